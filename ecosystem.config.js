@@ -16,12 +16,14 @@
     "env_production": {
         "NODE_ENV": "production",
         "PORT": 3000,
+        "DB_DRIVER": "postgres",
         "DB_HOST": "localhost",
         "DB_PORT": 5432,
         "DB_USER": "influencerium",
         "DB_NAME": "influencerium",
         "DB_SSL": true,
         "JWT_SECRET": "${JWT_SECRET}",
+        "JWT_REFRESH_SECRET": "${JWT_REFRESH_SECRET}",
         "SESSION_SECRET": "${SESSION_SECRET}",
         "FRONTEND_URL": "https://influencerium.com",
         "REDIS_ENABLED": false,
@@ -25,17 +25,26 @@ const envOverrides = {
   'app.host': process.env.HOST,
   'app.environment': process.env.NODE_ENV,
   'app.debug': process.env.DEBUG,
+  'database.driver': process.env.DB_DRIVER,
   'database.host': process.env.DB_HOST,
   'database.port': process.env.DB_PORT,
   'database.username': process.env.DB_USER,
   'database.password': process.env.DB_PASSWORD,
   'database.name': process.env.DB_NAME,
+  'database.ssl': process.env.DB_SSL,
   'jwt.secret': process.env.JWT_SECRET,
+  'jwt.refresh_secret': process.env.JWT_REFRESH_SECRET,
   'jwt.expires_in': process.env.JWT_EXPIRES_IN,
   'email.host': process.env.SMTP_HOST,
   'email.port': process.env.SMTP_PORT,
   'email.auth.user': process.env.SMTP_USER,
   'email.auth.pass': process.env.SMTP_PASS,
+  'oidc.providers.google.client_id': process.env.GOOGLE_CLIENT_ID,
+  'oidc.providers.google.client_secret': process.env.GOOGLE_CLIENT_SECRET,
+  'oidc.providers.microsoft.client_id': process.env.MICROSOFT_CLIENT_ID,
+  'oidc.providers.microsoft.client_secret': process.env.MICROSOFT_CLIENT_SECRET,
+  'trash.retention_days': process.env.TRASH_RETENTION_DAYS,
+  'jobs.concurrency': process.env.JOBS_CONCURRENCY,
   'redis.host': process.env.REDIS_HOST,
   'redis.port': process.env.REDIS_PORT,
   'redis.password': process.env.REDIS_PASSWORD,
@@ -101,6 +110,54 @@ module.exports = {
   get upload() {
     return config.upload;
   },
+
+  get budget() {
+    return config.budget;
+  },
+  
+  get campaigns() {
+    return config.campaigns;
+  },
+  
+  get workspaces() {
+    return config.workspaces;
+  },
+  
+  get roles() {
+    return config.roles;
+  },
+  
+  get apiKeys() {
+    return config.api_keys;
+  },
+  
+  get twoFactor() {
+    return config.two_factor;
+  },
+  
+  get loginProtection() {
+    return config.login_protection;
+  },
+  
+  get oidc() {
+    return config.oidc;
+  },
+  
+  get trash() {
+    return config.trash;
+  },
+  
+  get webhooks() {
+    return config.webhooks;
+  },
+  
+  get jobs() {
+    return config.jobs;
+  },
+  
+  get search() {
+    return config.search;
+  },
   
   get pagination() {
     return config.pagination;
@@ -1,172 +1,159 @@
 /**
- * Database Connection Module (Mock for Local Development)
- * In-memory mock database for testing without PostgreSQL
+ * Database Connection Module
+ * Routes queries to the adapter selected by `database.driver` in config.yaml:
+ * the embedded in-memory engine for local development, or a pooled PostgreSQL
+ * connection
  */
 
 const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('./config');
+const { createAdapter } = require('./db/adapters');
 
-// In-memory mock data store
-const mockStore = {
-  users: [],
-  influencers: [],
-  campaigns: [],
-  models: [],
-  analytics: []
-};
-
-// Helper to generate UUID
-function generateId() {
-  return crypto.randomUUID();
-}
+const adapter = createAdapter(config.database);
 
-// Helper to hash password (simplified mock)
+// Hash a password for storage
 async function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+  const saltRounds = (config.password && config.password.salt_rounds) || 12;
+  return bcrypt.hash(password, saltRounds);
 }
 
-// Mock query function (returns data from in-memory store)
+// Execute a parameterised query
 async function query(text, params) {
-  const queryLower = text.toLowerCase();
-  
-  // SELECT queries
-  if (queryLower.includes('select')) {
-    let result = { rows: [], rowCount: 0 };
-    
-    if (queryLower.includes('users')) {
-      let users = [...mockStore.users];
-      
-      // Handle WHERE clause for email lookup
-      if (queryLower.includes('where') && params && params.length > 0) {
-        const emailParam = params[0];
-        users = users.filter(user => user.email === emailParam);
-      }
-      
-      result.rows = users;
-      result.rowCount = users.length;
-    } else if (queryLower.includes('influencers')) {
-      result.rows = mockStore.influencers;
-      result.rowCount = mockStore.influencers.length;
-    } else if (queryLower.includes('campaigns')) {
-      result.rows = mockStore.campaigns;
-      result.rowCount = mockStore.campaigns.length;
-    } else if (queryLower.includes('models')) {
-      result.rows = mockStore.models;
-      result.rowCount = mockStore.models.length;
-    } else if (queryLower.includes('now()')) {
-      result.rows = [{ now: new Date().toISOString() }];
-      result.rowCount = 1;
-    }
-    
-    return result;
-  }
-  
-  // INSERT/UPDATE/DELETE (simulated)
-  if (queryLower.includes('insert')) {
-    if (queryLower.includes('users')) {
-      // params = [name, email, password, role, status]
-      const [name, email, password, role, status] = params || [];
-      const newUser = {
-        id: generateId(),
-        name,
-        email,
-        password,
-        role,
-        status,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      };
-      mockStore.users.push(newUser);
-      return { rows: [newUser], rowCount: 1 };
-    }
-  }
-  
-  return { rows: [], rowCount: 0 };
+  return adapter.query(text, params);
 }
 
 // Password verification helper
 async function verifyPassword(plainPassword, hashedPassword) {
-  // In mock mode, compare the SHA256 hash
+  if (!hashedPassword) {
+    return false;
+  }
+
+  if (hashedPassword.startsWith('$2')) {
+    return bcrypt.compare(plainPassword, hashedPassword);
+  }
+
+  // Accounts created before bcrypt hashing store an unsalted SHA256 digest
   const plainHash = crypto.createHash('sha256').update(plainPassword).digest('hex');
-  return plainHash === hashedPassword;
+  return plainHash.length === hashedPassword.length &&
+    crypto.timingSafeEqual(Buffer.from(plainHash), Buffer.from(hashedPassword));
 }
 
-// Get a client from the pool (mock)
+// Get a dedicated client (needed for transactions)
 async function getClient() {
-  return {
-    query: query,
-    release: () => {}
-  };
+  return adapter.getClient();
 }
 
-// Transaction helper (mock)
+// Run callback inside BEGIN/COMMIT on one client, rolling back on error
 async function transaction(callback) {
-  return callback({ query });
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Iterate over a large result in batches of rows without loading it all at once
+function streamQuery(text, params, { batchSize = 500 } = {}) {
+  return adapter.stream(text, params, batchSize);
 }
 
-// Check database connection (always succeeds in mock)
+// Check database connection
 async function checkConnection() {
-  console.log('Mock database initialized (development mode)');
-  return true;
+  try {
+    await query('SELECT NOW()');
+    console.log(`Database connected (${adapter.name})`);
+    return true;
+  } catch (error) {
+    console.error(`Database connection failed (${adapter.name}):`, error.message);
+    return false;
+  }
 }
 
-// Close the pool (mock)
+// Close the pool
 async function closePool() {
-  console.log('Mock database pool closed');
+  await adapter.close();
+  console.log('Database pool closed');
+}
+
+// Drop all data and recreate the schema (in-memory driver only)
+async function resetDatabase() {
+  if (typeof adapter.reset !== 'function') {
+    throw new Error(`The ${adapter.name} database driver does not support resetting`);
+  }
+  await adapter.reset();
 }
 
+// Workspace created by the migrations for records that predate workspaces
+const DEFAULT_WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
 // Initialize mock data
 async function initMockData() {
-  // Create sample users
-  mockStore.users = [
-    {
-      id: '1',
-      email: 'brand@example.com',
-      password: await hashPassword('password123'),
-      role: 'brand',
-      name: 'Demo Brand',
-      status: 'active',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    },
-    {
-      id: '2',
-      email: 'creator@example.com',
-      password: await hashPassword('password123'),
-      role: 'creator',
-      name: 'Demo Creator',
-      status: 'active',
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    }
-  ];
-  
-  // Create sample influencers
-  mockStore.influencers = [
-    {
-      id: '1',
-      user_id: '2',
-      username: 'democreator',
-      platform: 'instagram',
-      followers: 50000,
-      niche: 'lifestyle',
-      engagement_rate: 3.5,
-      created_at: new Date().toISOString()
-    }
-  ];
-  
-  // Create sample campaigns
-  mockStore.campaigns = [
-    {
-      id: '1',
-      brand_id: '1',
-      title: 'Summer Campaign 2024',
-      description: 'Promote our new summer collection',
-      budget: 5000,
-      status: 'active',
-      created_at: new Date().toISOString()
-    }
-  ];
-  
+  const password = await hashPassword('password123');
+
+  await transaction(async (client) => {
+    await client.query(
+      `INSERT INTO users (id, name, email, password, role, status, email_verified_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW()), ($7, $8, $9, $10, $11, $12, NOW())
+       ON CONFLICT (email) DO NOTHING`,
+      [
+        '00000000-0000-4000-8000-000000000001', 'Demo Admin', 'admin@example.com', password, 'admin', 'active',
+        '00000000-0000-4000-8000-000000000002', 'Demo User', 'user@example.com', password, 'user', 'active'
+      ]
+    );
+
+    // Both demo users work in the default workspace created by the migrations
+    await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role)
+       VALUES ($1, $2, $3), ($1, $4, $5)
+       ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+      [DEFAULT_WORKSPACE_ID, '00000000-0000-4000-8000-000000000001', 'owner', '00000000-0000-4000-8000-000000000002', 'member']
+    );
+
+    await client.query(
+      `INSERT INTO influencers (id, name, username, platform, followers, engagement_rate, category, user_id, workspace_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       ON CONFLICT (id) DO NOTHING`,
+      ['00000000-0000-4000-8000-000000000101', 'Demo Creator', 'democreator', 'instagram', 50000, 3.5, 'lifestyle', '00000000-0000-4000-8000-000000000002', DEFAULT_WORKSPACE_ID]
+    );
+
+    await client.query(
+      `INSERT INTO campaigns (id, name, description, platform, status, budget, created_by, workspace_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       ON CONFLICT (id) DO NOTHING`,
+      ['00000000-0000-4000-8000-000000000201', 'Summer Campaign 2024', 'Promote our new summer collection', 'instagram', 'active', 5000, '00000000-0000-4000-8000-000000000001', DEFAULT_WORKSPACE_ID]
+    );
+
+    await client.query(
+      `INSERT INTO campaign_influencers (campaign_id, influencer_id, status)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (campaign_id, influencer_id) DO NOTHING`,
+      ['00000000-0000-4000-8000-000000000201', '00000000-0000-4000-8000-000000000101', 'active']
+    );
+
+    await client.query(
+      `INSERT INTO campaign_status_history (campaign_id, from_status, to_status, reason, changed_by)
+       SELECT c.id, NULL, c.status, 'Campaign created', c.created_by
+       FROM campaigns c
+       WHERE NOT EXISTS (SELECT 1 FROM campaign_status_history h WHERE h.campaign_id = c.id)`
+    );
+
+    await client.query(
+      `INSERT INTO influencer_metrics (influencer_id, followers, engagement_rate, source)
+       SELECT i.id, i.followers, i.engagement_rate, 'baseline'
+       FROM influencers i
+       WHERE NOT EXISTS (SELECT 1 FROM influencer_metrics m WHERE m.influencer_id = i.id)`
+    );
+  });
+
   console.log('Mock data initialized');
 }
 
@@ -174,13 +161,16 @@ module.exports = {
   query,
   getClient,
   transaction,
+  streamQuery,
   pool: {
+    query,
     connect: getClient,
     end: closePool
   },
   checkConnection,
   closePool,
-  mockStore,
+  resetDatabase,
+  adapter,
   initMockData,
   verifyPassword,
   hashPassword
@@ -190,14 +180,17 @@ module.exports.default = {
   query,
   getClient,
   transaction,
+  streamQuery,
   pool: {
+    query,
     connect: getClient,
     end: closePool
   },
   checkConnection,
   closePool,
-  mockStore,
+  resetDatabase,
+  adapter,
   initMockData,
   verifyPassword,
   hashPassword
-};
\ No newline at end of file
+};
@@ -0,0 +1,41 @@
+/**
+ * Database Adapters
+ * Every adapter exposes query(text, params), getClient() and close();
+ * the database module builds transactions and health checks on top of them
+ */
+
+const { createMemoryAdapter } = require('./memory');
+const { createPostgresAdapter } = require('./postgres');
+
+const ADAPTERS = {
+  memory: createMemoryAdapter,
+  postgres: createPostgresAdapter
+};
+
+// Aliases accepted in config.yaml
+const DRIVER_ALIASES = {
+  postgresql: 'postgres',
+  pg: 'postgres',
+  'in-memory': 'memory'
+};
+
+/**
+ * Create the adapter named by `database.driver` (defaults to memory)
+ * @param {object} settings - The `database` section of the configuration
+ */
+function createAdapter(settings = {}) {
+  const requested = String(settings.driver || 'memory').toLowerCase();
+  const driver = DRIVER_ALIASES[requested] || requested;
+  const factory = ADAPTERS[driver];
+
+  if (!factory) {
+    throw new Error(`Unknown database driver "${settings.driver}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+
+  return factory(settings);
+}
+
+module.exports = {
+  ADAPTERS,
+  createAdapter
+};
@@ -0,0 +1,56 @@
+/**
+ * In-Memory Database Adapter
+ * Backs the database module with the embedded SQL engine and applies the
+ * migrations on first use
+ */
+
+const { MemoryDatabase } = require('../memory');
+const migrator = require('../migrator');
+
+function createMemoryAdapter() {
+  const db = new MemoryDatabase();
+  let schemaReady = null;
+
+  // Create the schema before the first query runs
+  function ensureSchema() {
+    if (!schemaReady) {
+      schemaReady = migrator.up({ getClient: () => db.connect() }, { log: () => {} });
+    }
+    return schemaReady;
+  }
+
+  return {
+    name: 'memory',
+
+    async query(text, params) {
+      await ensureSchema();
+      return db.query(text, params);
+    },
+
+    async getClient() {
+      await ensureSchema();
+      return db.connect();
+    },
+
+    // Rows already live in memory, so run the query once and hand out batches
+    async *stream(text, params, batchSize) {
+      await ensureSchema();
+      const result = await db.query(text, params);
+      for (let i = 0; i < result.rows.length; i += batchSize) {
+        yield result.rows.slice(i, i + batchSize);
+      }
+    },
+
+    // Nothing to release in memory
+    async close() {},
+
+    // Drop all data and recreate the schema
+    async reset() {
+      db.reset();
+      schemaReady = null;
+      await ensureSchema();
+    }
+  };
+}
+
+module.exports = { createMemoryAdapter };
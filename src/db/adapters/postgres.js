@@ -0,0 +1,72 @@
+/**
+ * PostgreSQL Database Adapter
+ * Backs the database module with a pooled `pg` connection
+ */
+
+const { Pool } = require('pg');
+
+function createPostgresAdapter(settings) {
+  const poolSettings = settings.pool || {};
+
+  const pool = new Pool({
+    host: settings.host,
+    port: settings.port,
+    user: settings.username,
+    password: settings.password,
+    database: settings.name,
+    ssl: settings.ssl ? { rejectUnauthorized: false } : false,
+    min: poolSettings.min,
+    max: poolSettings.max,
+    idleTimeoutMillis: poolSettings.idle_timeout
+  });
+
+  // An idle client losing its connection must not crash the process
+  pool.on('error', (error) => {
+    console.error('Unexpected database pool error:', error.message);
+  });
+
+  return {
+    name: 'postgres',
+
+    query(text, params) {
+      return pool.query(text, params);
+    },
+
+    getClient() {
+      return pool.connect();
+    },
+
+    // Read large results through a server-side cursor, batchSize rows at a time
+    async *stream(text, params, batchSize) {
+      const client = await pool.connect();
+      let open = false;
+
+      try {
+        await client.query('BEGIN');
+        open = true;
+        await client.query(`DECLARE stream_cursor NO SCROLL CURSOR FOR ${text}`, params);
+
+        while (true) {
+          const { rows } = await client.query(`FETCH ${batchSize} FROM stream_cursor`);
+          if (rows.length === 0) break;
+          yield rows;
+        }
+
+        await client.query('COMMIT');
+        open = false;
+      } finally {
+        // Also reached when the consumer stops early (e.g. client disconnected)
+        if (open) {
+          await client.query('ROLLBACK').catch(() => {});
+        }
+        client.release();
+      }
+    },
+
+    close() {
+      return pool.end();
+    }
+  };
+}
+
+module.exports = { createPostgresAdapter };
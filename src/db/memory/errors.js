@@ -0,0 +1,35 @@
+/**
+ * In-Memory Database Errors
+ * Mirrors the shape of errors raised by the `pg` driver so callers can
+ * branch on SQLSTATE codes (23505, 23503, ...) regardless of backend
+ */
+
+class DatabaseError extends Error {
+  constructor(message, code = 'XX000', details = {}) {
+    super(message);
+    this.name = 'DatabaseError';
+    this.code = code;
+    this.severity = 'ERROR';
+    Object.assign(this, details);
+
+    Error.captureStackTrace(this, this.constructor);
+  }
+}
+
+/**
+ * Raised when a statement needs a row lock another session holds; the
+ * database catches it, waits for that session's transaction to end and runs
+ * the statement again
+ */
+class LockConflict extends Error {
+  constructor(holder) {
+    super('row is locked by another transaction');
+    this.name = 'LockConflict';
+    this.holder = holder;
+  }
+}
+
+module.exports = {
+  DatabaseError,
+  LockConflict
+};
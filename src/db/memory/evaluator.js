@@ -0,0 +1,960 @@
+/**
+ * In-Memory Database Expression Evaluator
+ * Name resolution, expression evaluation and result type inference
+ */
+
+const { DatabaseError } = require('./errors');
+const {
+  Interval,
+  castValue,
+  compareValues,
+  valueKey,
+  toNumber,
+  toBoolean,
+  toText,
+  typeDisplayName,
+  isIntegerType
+} = require('./types');
+const {
+  AGGREGATES,
+  callScalar,
+  computeAggregate,
+  distinctInputs,
+  jsonContains,
+  jsonGet,
+  jsonText,
+  asJson
+} = require('./functions');
+
+const COMPARISON_OPS = new Set(['=', '<>', '<', '<=', '>', '>=']);
+const ARITHMETIC_OPS = new Set(['+', '-', '*', '/', '%']);
+
+const TYPES = {
+  boolean: { name: 'boolean', args: [], array: false },
+  integer: { name: 'integer', args: [], array: false },
+  bigint: { name: 'bigint', args: [], array: false },
+  numeric: { name: 'numeric', args: [], array: false },
+  double: { name: 'double', args: [], array: false },
+  text: { name: 'text', args: [], array: false },
+  jsonb: { name: 'jsonb', args: [], array: false },
+  uuid: { name: 'uuid', args: [], array: false },
+  date: { name: 'date', args: [], array: false },
+  timestamp: { name: 'timestamp', args: [], array: false },
+  timestamptz: { name: 'timestamptz', args: [], array: false },
+  interval: { name: 'interval', args: [], array: false }
+};
+
+const TEXT_FUNCTIONS = new Set([
+  'lower', 'upper', 'initcap', 'trim', 'btrim', 'ltrim', 'rtrim', 'substring', 'substr', 'left', 'right',
+  'replace', 'translate', 'concat', 'concat_ws', 'split_part', 'repeat', 'lpad', 'rpad', 'md5', 'regexp_replace',
+  'to_char', 'jsonb_typeof', 'json_typeof', 'array_to_string', 'jsonb_extract_path_text',
+  'json_extract_path_text', 'version', 'current_database', 'current_schema', 'string_agg'
+]);
+const INTEGER_FUNCTIONS = new Set([
+  'length', 'char_length', 'character_length', 'strpos', 'position', 'jsonb_array_length',
+  'json_array_length', 'array_length', 'cardinality'
+]);
+const JSON_FUNCTIONS = new Set([
+  'jsonb_build_object', 'json_build_object', 'jsonb_build_array', 'json_build_array', 'to_jsonb',
+  'to_json', 'json_agg', 'jsonb_agg', 'json_object_agg', 'jsonb_object_agg'
+]);
+const DOUBLE_FUNCTIONS = new Set(['random', 'power', 'pow', 'sqrt', 'ln', 'log', 'exp', 'date_part']);
+const SAME_TYPE_FUNCTIONS = new Set(['abs', 'mod', 'min', 'max', 'sign', 'trunc', 'ceil', 'ceiling', 'floor']);
+const FIRST_ARG_FUNCTIONS = new Set(['coalesce', 'nullif', 'greatest', 'least']);
+
+/**
+ * Name-resolution scope: the FROM sources of one query level and the
+ * current tuple (one row per source), linked to the enclosing query level
+ */
+class Scope {
+  constructor(sources, tuple = null, parent = null) {
+    this.sources = sources;
+    this.tuple = tuple;
+    this.parent = parent;
+    this.groupRows = null;
+    this.boundary = null;
+    this.ctes = null;
+  }
+
+  /**
+   * A scope separating a subquery from its outer query; resolving a name
+   * through it marks the subquery as correlated (so it cannot be cached)
+   */
+  static boundary(parent, marker) {
+    const scope = new Scope([], null, parent);
+    scope.boundary = marker;
+    return scope;
+  }
+}
+
+/**
+ * Does an expression contain an aggregate call at this query level?
+ * (aggregates inside nested subqueries belong to those subqueries)
+ */
+function containsAggregate(node) {
+  if (!node || typeof node !== 'object') return false;
+  if (Array.isArray(node)) return node.some(containsAggregate);
+  if (node.type === 'func' && AGGREGATES.has(node.name)) return true;
+  if (node.type === 'subquery' || node.type === 'exists' || node.type === 'array_subquery') return false;
+  if (node.type === 'in' && node.query) return containsAggregate(node.expr);
+
+  return Object.keys(node).some(key => {
+    const child = node[key];
+    return child && typeof child === 'object' && key !== 'to' && containsAggregate(child);
+  });
+}
+
+// Translate a LIKE pattern into a regular expression
+function likeToRegExp(pattern, escape, caseInsensitive) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (escape && ch === escape && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (ch === '%') {
+      source += '.*';
+    } else if (ch === '_') {
+      source += '.';
+    } else {
+      source += ch.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'is' : 's');
+}
+
+function isJsonValue(value) {
+  return value !== null && typeof value === 'object' && !(value instanceof Date) && !(value instanceof Interval);
+}
+
+class Evaluator {
+  /**
+   * @param {object} db - Owning MemoryDatabase (catalog)
+   * @param {object} options
+   * @param {Array} options.params - Bound parameter values
+   * @param {Date} options.now - Statement/transaction timestamp returned by now()
+   */
+  constructor(db, { params = [], now = new Date() } = {}) {
+    this.db = db;
+    this.params = params;
+    this.now = now;
+    this.subqueryCache = new Map();
+    this.subqueryColumns = new Map();
+    this.typeCache = new Map();
+    this.likeCache = new Map();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Name resolution
+  // ---------------------------------------------------------------------------
+
+  findInSources(sources, node) {
+    if (node.table) {
+      const index = sources.findIndex(source => source.alias === node.table);
+      if (index === -1) return null;
+      if (!sources[index].columns.includes(node.name)) {
+        throw new DatabaseError(`column ${node.table}.${node.name} does not exist`, '42703');
+      }
+      return { index, name: node.name };
+    }
+
+    let found = null;
+    for (let i = 0; i < sources.length; i++) {
+      if (sources[i].columns.includes(node.name)) {
+        if (found) {
+          throw new DatabaseError(`column reference "${node.name}" is ambiguous`, '42702');
+        }
+        found = { index: i, name: node.name };
+      }
+    }
+    if (found) return found;
+
+    // Whole-row reference to a single-column source, e.g. `tag` in unnest(tags) AS tag
+    const index = sources.findIndex(source => source.alias === node.name && source.columns.length === 1);
+    return index === -1 ? null : { index, name: sources[index].columns[0] };
+  }
+
+  resolveColumn(scope, node) {
+    const crossed = [];
+    for (let current = scope; current; current = current.parent) {
+      if (current.boundary) {
+        crossed.push(current.boundary);
+        continue;
+      }
+      const hit = this.findInSources(current.sources, node);
+      if (hit) {
+        crossed.forEach(marker => {
+          marker.correlated = true;
+        });
+        return { scope: current, index: hit.index, name: hit.name };
+      }
+    }
+
+    if (node.table) {
+      throw new DatabaseError(`missing FROM-clause entry for table "${node.table}"`, '42P01');
+    }
+    throw new DatabaseError(`column "${node.name}" does not exist`, '42703');
+  }
+
+  lookupCte(scope, name) {
+    const crossed = [];
+    for (let current = scope; current; current = current.parent) {
+      if (current.boundary) crossed.push(current.boundary);
+      if (current.ctes && current.ctes.has(name)) {
+        crossed.forEach(marker => {
+          marker.correlated = true;
+        });
+        return current.ctes.get(name);
+      }
+    }
+    return null;
+  }
+
+  columnValue(node, scope) {
+    const { scope: owner, index, name } = this.resolveColumn(scope, node);
+    const row = owner.tuple && owner.tuple[index];
+    if (!row) return null;
+    const value = row[name];
+    return value === undefined ? null : value;
+  }
+
+  param(index) {
+    if (index < 1 || index > this.params.length) {
+      throw new DatabaseError(`there is no parameter $${index}`, '42P02');
+    }
+    const value = this.params[index - 1];
+    return value === undefined ? null : value;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Evaluation
+  // ---------------------------------------------------------------------------
+
+  isTrue(value) {
+    return this.toCondition(value) === true;
+  }
+
+  toCondition(value) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'string') return toBoolean(value);
+    throw new DatabaseError('argument of WHERE must be type boolean', '42804');
+  }
+
+  evaluate(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+      case 'param':
+        return this.param(node.index);
+      case 'column':
+        return this.columnValue(node, scope);
+      case 'slot': {
+        const row = scope.tuple && scope.tuple[node.index];
+        return row && row[node.name] !== undefined ? row[node.name] : null;
+      }
+      case 'unary':
+        return this.evaluateUnary(node, scope);
+      case 'binary':
+        return this.evaluateBinary(node, scope);
+      case 'is': {
+        const value = this.evaluate(node.expr, scope);
+        const result = node.value === null ? value === null : this.toCondition(value) === node.value;
+        return node.not ? !result : result;
+      }
+      case 'distinct_from': {
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+        let distinct;
+        if (left === null || right === null) distinct = left !== right;
+        else distinct = this.compare(left, right) !== 0;
+        return node.not ? !distinct : distinct;
+      }
+      case 'in':
+        return this.evaluateIn(node, scope);
+      case 'like':
+        return this.evaluateLike(node, scope);
+      case 'between': {
+        const value = this.evaluate(node.expr, scope);
+        const low = this.evaluate(node.low, scope);
+        const high = this.evaluate(node.high, scope);
+        const result = this.and(
+          value === null || low === null ? null : this.compare(value, low) >= 0,
+          value === null || high === null ? null : this.compare(value, high) <= 0
+        );
+        return node.not && result !== null ? !result : result;
+      }
+      case 'quantified':
+        return this.evaluateQuantified(node, scope);
+      case 'exists':
+        return this.runSubquery(node.query, scope).rows.length > 0;
+      case 'subquery':
+        return this.evaluateScalarSubquery(node, scope);
+      case 'array':
+        return node.items.map(item => this.evaluate(item, scope));
+      case 'array_subquery': {
+        const result = this.runSubquery(node.query, scope);
+        return result.rows.map(row => row[0]);
+      }
+      case 'case':
+        return this.evaluateCase(node, scope);
+      case 'cast':
+        return this.evaluateCast(node, scope);
+      case 'func':
+        return this.evaluateFunction(node, scope);
+      case 'subscript': {
+        const base = this.evaluate(node.expr, scope);
+        const index = this.evaluate(node.index, scope);
+        if (base === null || index === null) return null;
+        if (Array.isArray(base) && typeof index === 'number') {
+          const item = base[index - 1];
+          return item === undefined ? null : item;
+        }
+        return jsonGet(base, index);
+      }
+      case 'nextval':
+        node.sequence.value += 1;
+        return node.sequence.value;
+      case 'default':
+        throw new DatabaseError('DEFAULT is not allowed in this context', '42601');
+      case 'star':
+        throw new DatabaseError('row expansion via "*" is not supported here', '0A000');
+      default:
+        throw new DatabaseError(`unsupported expression type "${node.type}"`, '0A000');
+    }
+  }
+
+  and(left, right) {
+    if (left === false || right === false) return false;
+    if (left === null || right === null) return null;
+    return true;
+  }
+
+  // Text compared with a uuid is read as a uuid, so malformed ids fail like in PostgreSQL
+  coerceOperand(value, otherNode, scope) {
+    if (typeof value !== 'string') return value;
+    const otherType = this.inferType(otherNode, scope);
+    return otherType && otherType.name === 'uuid' && !otherType.array ? castValue(value, otherType) : value;
+  }
+
+  compare(left, right) {
+    // Text compared with json is read as json, like an unknown literal would be
+    if (isJsonValue(left) && typeof right === 'string') right = asJson(right);
+    else if (isJsonValue(right) && typeof left === 'string') left = asJson(left);
+    return compareValues(left, right);
+  }
+
+  evaluateUnary(node, scope) {
+    const value = this.evaluate(node.expr, scope);
+    if (node.op === 'not') {
+      const condition = this.toCondition(value);
+      return condition === null ? null : !condition;
+    }
+    if (value === null) return null;
+    if (value instanceof Interval) return value.scale(-1);
+    return -toNumber(value, 'numeric');
+  }
+
+  evaluateBinary(node, scope) {
+    const { op } = node;
+
+    if (op === 'and') {
+      const left = this.toCondition(this.evaluate(node.left, scope));
+      if (left === false) return false;
+      return this.and(left, this.toCondition(this.evaluate(node.right, scope)));
+    }
+    if (op === 'or') {
+      const left = this.toCondition(this.evaluate(node.left, scope));
+      if (left === true) return true;
+      const right = this.toCondition(this.evaluate(node.right, scope));
+      if (right === true) return true;
+      return left === null || right === null ? null : false;
+    }
+
+    const left = this.evaluate(node.left, scope);
+    const right = this.evaluate(node.right, scope);
+
+    if (COMPARISON_OPS.has(op)) {
+      if (left === null || right === null) return null;
+      const result = this.compare(
+        this.coerceOperand(left, node.right, scope),
+        this.coerceOperand(right, node.left, scope)
+      );
+      switch (op) {
+        case '=': return result === 0;
+        case '<>': return result !== 0;
+        case '<': return result < 0;
+        case '<=': return result <= 0;
+        case '>': return result > 0;
+        default: return result >= 0;
+      }
+    }
+
+    if (ARITHMETIC_OPS.has(op)) {
+      return this.arithmetic(op, left, right, node, scope);
+    }
+
+    switch (op) {
+      case '||':
+        if (left === null || right === null) return null;
+        if (isJsonValue(left) || isJsonValue(right)) {
+          return this.jsonConcat(left, right);
+        }
+        return toText(left) + toText(right);
+      case '->':
+        return left === null || right === null ? null : jsonGet(left, right);
+      case '->>':
+        return left === null || right === null ? null : jsonText(jsonGet(left, right));
+      case '@>':
+        return left === null || right === null ? null : jsonContains(left, right);
+      case '<@':
+        return left === null || right === null ? null : jsonContains(right, left);
+      default:
+        throw new DatabaseError(`operator does not exist: ${op}`, '42883');
+    }
+  }
+
+  jsonConcat(left, right) {
+    const a = asJson(left);
+    const b = asJson(right);
+    if (Array.isArray(a) || Array.isArray(b)) {
+      return [].concat(Array.isArray(a) ? a : [a], Array.isArray(b) ? b : [b]);
+    }
+    return { ...a, ...b };
+  }
+
+  arithmetic(op, left, right, node, scope) {
+    if (left === null || right === null) return null;
+
+    // Date/time arithmetic
+    if (left instanceof Date || right instanceof Date || left instanceof Interval || right instanceof Interval) {
+      return this.temporalArithmetic(op, left, right, node, scope);
+    }
+
+    const a = toNumber(left, 'numeric');
+    const b = toNumber(right, 'numeric');
+    switch (op) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/':
+        if (b === 0) throw new DatabaseError('division by zero', '22012');
+        return this.isIntegerExpression(node, scope) ? Math.trunc(a / b) : a / b;
+      default:
+        if (b === 0) throw new DatabaseError('division by zero', '22012');
+        return a % b;
+    }
+  }
+
+  temporalArithmetic(op, left, right, node, scope) {
+    const asInterval = value => (value instanceof Interval ? value : Interval.parse(value));
+
+    if (left instanceof Date) {
+      if (right instanceof Date || (op === '-' && typeof right === 'string' && this.looksLikeTimestamp(right))) {
+        const other = right instanceof Date ? right : castValue(right, TYPES.timestamp);
+        if (op !== '-') throw new DatabaseError('operator does not exist: timestamp + timestamp', '42883');
+        const leftType = this.inferType(node.left, scope);
+        const rightType = this.inferType(node.right, scope);
+        if (leftType && leftType.name === 'date' && (!rightType || rightType.name === 'date')) {
+          return Math.round((left.getTime() - other.getTime()) / 86400000);
+        }
+        const diff = left.getTime() - other.getTime();
+        return new Interval(0, Math.trunc(diff / 86400000), diff % 86400000);
+      }
+      if (typeof right === 'number') {
+        const days = op === '-' ? -right : right;
+        return new Interval(0, days, 0).addTo(left);
+      }
+      if (op === '+' || op === '-') return asInterval(right).addTo(left, op === '-' ? -1 : 1);
+    }
+
+    if (right instanceof Date && op === '+') {
+      if (typeof left === 'number') return new Interval(0, left, 0).addTo(right);
+      return asInterval(left).addTo(right);
+    }
+
+    if (left instanceof Interval || right instanceof Interval) {
+      if (op === '+' || op === '-') {
+        if (typeof left === 'string' && this.looksLikeTimestamp(left)) {
+          return asInterval(right).addTo(castValue(left, TYPES.timestamp), op === '-' ? -1 : 1);
+        }
+        return asInterval(left).plus(asInterval(right), op === '-' ? -1 : 1);
+      }
+      if (op === '*') {
+        return left instanceof Interval ? left.scale(toNumber(right, 'numeric')) : right.scale(toNumber(left, 'numeric'));
+      }
+      if (op === '/' && left instanceof Interval) {
+        const divisor = toNumber(right, 'numeric');
+        if (divisor === 0) throw new DatabaseError('division by zero', '22012');
+        return left.scale(1 / divisor);
+      }
+    }
+
+    throw new DatabaseError(`operator does not exist for the given date/time operands: ${op}`, '42883');
+  }
+
+  looksLikeTimestamp(text) {
+    return /^\s*\d{4}-\d{2}-\d{2}/.test(String(text));
+  }
+
+  isIntegerExpression(node, scope) {
+    const leftType = this.inferType(node.left, scope);
+    const rightType = this.inferType(node.right, scope);
+    if (isIntegerType(leftType) && isIntegerType(rightType)) return true;
+    // Untyped parameters adopt the type of the other operand
+    if (isIntegerType(leftType) && node.right.type === 'param') return true;
+    if (isIntegerType(rightType) && node.left.type === 'param') return true;
+    return false;
+  }
+
+  evaluateIn(node, scope) {
+    const value = this.evaluate(node.expr, scope);
+    const candidates = node.query
+      ? this.runSubquery(node.query, scope).rows.map(row => row[0])
+      : null;
+
+    if (value === null) {
+      return candidates && candidates.length === 0 ? Boolean(node.not) : null;
+    }
+
+    let sawNull = false;
+    let found = false;
+    const count = candidates ? candidates.length : node.list.length;
+    for (let i = 0; i < count && !found; i++) {
+      const candidate = candidates ? candidates[i] : this.evaluate(node.list[i], scope);
+      if (candidate === null) sawNull = true;
+      else if (this.compare(value, candidates ? candidate : this.coerceOperand(candidate, node.expr, scope)) === 0) found = true;
+    }
+
+    const result = found ? true : (sawNull ? null : false);
+    return node.not && result !== null ? !result : result;
+  }
+
+  evaluateLike(node, scope) {
+    const value = this.evaluate(node.expr, scope);
+    const pattern = this.evaluate(node.pattern, scope);
+    if (value === null || pattern === null) return null;
+    const escape = node.escape ? this.evaluate(node.escape, scope) : '\\';
+
+    const cacheKey = `${node.caseInsensitive ? 'i' : 's'}${escape}\u0000${pattern}`;
+    let regex = this.likeCache.get(cacheKey);
+    if (!regex) {
+      regex = likeToRegExp(toText(pattern), escape, node.caseInsensitive);
+      this.likeCache.set(cacheKey, regex);
+    }
+
+    const result = regex.test(toText(value));
+    return node.not ? !result : result;
+  }
+
+  evaluateQuantified(node, scope) {
+    const left = this.evaluate(node.left, scope);
+    let values;
+    if (node.right.type === 'subquery') {
+      values = this.runSubquery(node.right.query, scope).rows.map(row => row[0]);
+    } else {
+      const array = this.evaluate(node.right, scope);
+      if (array === null) return null;
+      values = Array.isArray(array) ? array : castValue(array, { name: 'text', args: [], array: true });
+    }
+
+    if (values.length === 0) return node.all;
+    if (left === null) return null;
+
+    let sawNull = false;
+    for (const value of values) {
+      if (value === null) {
+        sawNull = true;
+        continue;
+      }
+      const result = this.evaluate({
+        type: 'binary',
+        op: node.op,
+        left: { type: 'literal', value: left },
+        right: { type: 'literal', value }
+      }, scope);
+      if (node.all && result === false) return false;
+      if (!node.all && result === true) return true;
+    }
+    if (sawNull) return null;
+    return node.all;
+  }
+
+  evaluateScalarSubquery(node, scope) {
+    const result = this.runSubquery(node.query, scope);
+    if (result.columns.length !== 1) {
+      throw new DatabaseError('subquery must return only one column', '42601');
+    }
+    if (result.rows.length > 1) {
+      throw new DatabaseError('more than one row returned by a subquery used as an expression', '21000');
+    }
+    return result.rows.length ? result.rows[0][0] : null;
+  }
+
+  evaluateCase(node, scope) {
+    if (node.operand) {
+      const operand = this.evaluate(node.operand, scope);
+      for (const branch of node.whens) {
+        const candidate = this.evaluate(branch.when, scope);
+        if (operand !== null && candidate !== null && this.compare(operand, candidate) === 0) {
+          return this.evaluate(branch.then, scope);
+        }
+      }
+    } else {
+      for (const branch of node.whens) {
+        if (this.isTrue(this.evaluate(branch.when, scope))) {
+          return this.evaluate(branch.then, scope);
+        }
+      }
+    }
+    return node.else ? this.evaluate(node.else, scope) : null;
+  }
+
+  evaluateCast(node, scope) {
+    const value = this.evaluate(node.expr, scope);
+    if (value === null) return null;
+
+    // date values render without a time part
+    if (value instanceof Date && (node.to.name === 'text' || node.to.name === 'varchar') && !node.to.array) {
+      const sourceType = this.inferType(node.expr, scope);
+      if (sourceType && sourceType.name === 'date') {
+        const pad = n => String(n).padStart(2, '0');
+        return castValue(`${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`, node.to);
+      }
+    }
+    return castValue(value, node.to);
+  }
+
+  evaluateFunction(node, scope) {
+    if (AGGREGATES.has(node.name)) {
+      return this.evaluateAggregate(node, scope);
+    }
+
+    // coalesce stops at the first non-null argument
+    if (node.name === 'coalesce') {
+      for (const arg of node.args) {
+        const value = this.evaluate(arg, scope);
+        if (value !== null) return value;
+      }
+      return null;
+    }
+
+    const args = node.args.map(arg => this.evaluate(arg, scope));
+    return callScalar(node.name, args, this);
+  }
+
+  evaluateAggregate(node, scope) {
+    if (!scope || !scope.groupRows) {
+      throw new DatabaseError(`aggregate function ${node.name}() is not allowed here`, '42803');
+    }
+
+    const entries = [];
+    for (const tuple of scope.groupRows) {
+      const rowScope = new Scope(scope.sources, tuple, scope.parent);
+      if (node.filter && !this.isTrue(this.evaluate(node.filter, rowScope))) continue;
+      entries.push({
+        args: node.star ? [] : node.args.map(arg => this.evaluate(arg, rowScope)),
+        keys: node.orderBy ? node.orderBy.map(item => this.evaluate(item.expr, rowScope)) : null
+      });
+    }
+
+    if (node.orderBy) {
+      entries.sort((a, b) => this.compareSortKeys(a.keys, b.keys, node.orderBy));
+    }
+
+    let inputs = entries.map(entry => entry.args);
+    if (node.distinct) {
+      inputs = distinctInputs(inputs);
+    }
+    return computeAggregate(node.name, inputs, node.star);
+  }
+
+  /**
+   * Compare two sort key tuples following ORDER BY semantics
+   * (NULLS LAST for ascending, NULLS FIRST for descending by default)
+   */
+  compareSortKeys(a, b, orderBy) {
+    for (let i = 0; i < orderBy.length; i++) {
+      const { desc, nulls } = orderBy[i];
+      const left = a[i];
+      const right = b[i];
+      const nullsFirst = nulls ? nulls === 'first' : desc;
+
+      if (left === null || right === null) {
+        if (left === right) continue;
+        return (left === null) === nullsFirst ? -1 : 1;
+      }
+      const result = this.compare(left, right);
+      if (result !== 0) return desc ? -result : result;
+    }
+    return 0;
+  }
+
+  // Run a subquery, caching its result when it never reads from the outer query
+  runSubquery(query, scope) {
+    const cached = this.subqueryCache.get(query);
+    if (cached) return cached;
+
+    const marker = { correlated: false };
+    const result = this.runSelect(query, Scope.boundary(scope, marker));
+    if (!marker.correlated) {
+      this.subqueryCache.set(query, result);
+    }
+    this.subqueryColumns.set(query, result.columns);
+    return result;
+  }
+
+  // Implemented by the executor
+  runSelect() {
+    throw new Error('runSelect is not implemented');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Output naming and type inference
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Column name PostgreSQL would give an unaliased select-list expression
+   */
+  columnName(node) {
+    switch (node.type) {
+      case 'column':
+      case 'slot':
+        return node.name;
+      case 'func':
+        return node.display || node.name;
+      case 'cast': {
+        const inner = this.columnName(node.expr);
+        return inner === '?column?' ? typeDisplayName(node.to) : inner;
+      }
+      case 'case':
+        return 'case';
+      case 'exists':
+        return 'exists';
+      case 'array':
+      case 'array_subquery':
+        return 'array';
+      case 'subscript':
+        return this.columnName(node.expr);
+      case 'subquery':
+        return this.queryColumnName(node.query);
+      default:
+        return '?column?';
+    }
+  }
+
+  queryColumnName(query) {
+    let body = query.body;
+    while (body.type === 'setop' || body.type === 'nested') {
+      body = body.type === 'setop' ? body.left : body.select.body;
+    }
+    if (body.type === 'values') return 'column1';
+    const first = body.columns[0];
+    if (!first || first.star) return '?column?';
+    return first.alias || this.columnName(first.expr);
+  }
+
+  inferType(node, scope) {
+    if (this.typeCache.has(node)) return this.typeCache.get(node);
+    const type = this.computeType(node, scope);
+    // Subquery types are only known once the subquery has run at least once
+    if (type || (node.type !== 'subquery' && node.type !== 'array_subquery')) {
+      this.typeCache.set(node, type);
+    }
+    return type;
+  }
+
+  computeType(node, scope) {
+    switch (node.type) {
+      case 'literal':
+        if (node.value === null) return null;
+        if (typeof node.value === 'boolean') return TYPES.boolean;
+        if (typeof node.value === 'number') return node.numeric ? TYPES.numeric : TYPES.integer;
+        return TYPES.text;
+      case 'param':
+      case 'default':
+      case 'star':
+        return null;
+      case 'column': {
+        const { scope: owner, index, name } = this.resolveColumn(scope, node);
+        return owner.sources[index].types[name] || null;
+      }
+      case 'slot':
+        return scope.sources[node.index].types[node.name] || null;
+      case 'nextval':
+        return TYPES.integer;
+      case 'cast':
+        return node.to;
+      case 'unary':
+        return node.op === 'not' ? TYPES.boolean : this.inferType(node.expr, scope);
+      case 'is':
+      case 'distinct_from':
+      case 'in':
+      case 'like':
+      case 'between':
+      case 'quantified':
+      case 'exists':
+        return TYPES.boolean;
+      case 'binary':
+        return this.binaryType(node, scope);
+      case 'case': {
+        const branches = node.whens.map(branch => branch.then).concat(node.else ? [node.else] : []);
+        return this.firstKnownType(branches, scope);
+      }
+      case 'subquery': {
+        const columns = this.subqueryColumns.get(node.query);
+        return columns && columns[0] ? columns[0].type : null;
+      }
+      case 'array_subquery': {
+        const columns = this.subqueryColumns.get(node.query);
+        const element = columns && columns[0] ? columns[0].type : null;
+        return element ? { ...element, array: true } : null;
+      }
+      case 'array': {
+        const element = this.firstKnownType(node.items, scope);
+        return element ? { ...element, array: true } : { ...TYPES.text, array: true };
+      }
+      case 'subscript': {
+        const base = this.inferType(node.expr, scope);
+        if (base && base.array) return { ...base, array: false };
+        return base && (base.name === 'json' || base.name === 'jsonb') ? TYPES.jsonb : null;
+      }
+      case 'func':
+        return this.functionType(node, scope);
+      default:
+        return null;
+    }
+  }
+
+  firstKnownType(nodes, scope) {
+    let fallback = null;
+    for (const node of nodes) {
+      const type = this.inferType(node, scope);
+      if (type && type.name !== 'text') return type;
+      if (type && !fallback) fallback = type;
+    }
+    return fallback;
+  }
+
+  binaryType(node, scope) {
+    const { op } = node;
+    if (op === 'and' || op === 'or' || COMPARISON_OPS.has(op) || op === '@>' || op === '<@') {
+      return TYPES.boolean;
+    }
+    if (op === '->') return TYPES.jsonb;
+    if (op === '->>') return TYPES.text;
+
+    const left = this.inferType(node.left, scope);
+    const right = this.inferType(node.right, scope);
+
+    if (op === '||') {
+      const isJson = type => type && (type.name === 'json' || type.name === 'jsonb');
+      if (isJson(left) || isJson(right)) return TYPES.jsonb;
+      if (left && left.array) return left;
+      return TYPES.text;
+    }
+
+    if (!left) return right;
+    if (!right) return left;
+
+    const temporal = ['date', 'timestamp', 'timestamptz'];
+    if (temporal.includes(left.name) || temporal.includes(right.name)) {
+      if (temporal.includes(left.name) && temporal.includes(right.name)) {
+        return left.name === 'date' && right.name === 'date' ? TYPES.integer : TYPES.interval;
+      }
+      const base = temporal.includes(left.name) ? left : right;
+      const other = base === left ? right : left;
+      if (base.name === 'date' && isIntegerType(other)) return TYPES.date;
+      return base.name === 'timestamptz' ? TYPES.timestamptz : TYPES.timestamp;
+    }
+    if (left.name === 'interval' || right.name === 'interval') return TYPES.interval;
+
+    const rank = type => {
+      if (type.name === 'double') return 4;
+      if (type.name === 'numeric') return 3;
+      if (type.name === 'bigint' || type.name === 'bigserial') return 2;
+      if (isIntegerType(type)) return 1;
+      return 0;
+    };
+    const leftRank = rank(left);
+    const rightRank = rank(right);
+    if (!leftRank && !rightRank) return left;
+    if (!leftRank) return right;
+    if (!rightRank) return left;
+    const best = leftRank >= rightRank ? left : right;
+    if (best.name === 'numeric') return TYPES.numeric;
+    return best;
+  }
+
+  functionType(node, scope) {
+    const { name } = node;
+    const argType = index => (node.args[index] ? this.inferType(node.args[index], scope) : null);
+
+    if (name === 'count') return TYPES.bigint;
+    if (name === 'sum') {
+      const type = argType(0);
+      if (!type) return TYPES.numeric;
+      if (type.name === 'integer' || type.name === 'serial') return TYPES.bigint;
+      if (type.name === 'double' || type.name === 'interval') return type;
+      if (type.name === 'numeric') return type.args && type.args[1] !== undefined ? { ...TYPES.numeric, args: [null, type.args[1]] } : TYPES.numeric;
+      return TYPES.numeric;
+    }
+    if (name === 'avg') {
+      const type = argType(0);
+      return type && type.name === 'double' ? TYPES.double : TYPES.numeric;
+    }
+    if (name === 'round') {
+      const type = argType(0);
+      if (type && type.name === 'double' && node.args.length === 1) return TYPES.double;
+      const places = node.args[1];
+      if (places && places.type === 'literal' && typeof places.value === 'number') {
+        return { ...TYPES.numeric, args: [null, places.value] };
+      }
+      return TYPES.numeric;
+    }
+    if (name === 'date_part') return node.display === 'extract' ? TYPES.numeric : TYPES.double;
+    if (name === 'array_agg') {
+      const type = argType(0);
+      return type ? { ...type, array: true } : { ...TYPES.text, array: true };
+    }
+    if (name === 'string_to_array') return { ...TYPES.text, array: true };
+    if (name === 'bool_and' || name === 'bool_or' || name === 'every') return TYPES.boolean;
+    if (name === 'now' || name === 'transaction_timestamp' || name === 'statement_timestamp' ||
+        name === 'clock_timestamp' || name === 'to_timestamp') {
+      return TYPES.timestamptz;
+    }
+    if (name === 'current_date') return TYPES.date;
+    if (name === 'date_trunc') {
+      const type = argType(1);
+      return type && type.name === 'timestamptz' ? TYPES.timestamptz : TYPES.timestamp;
+    }
+    if (name === 'age') return TYPES.interval;
+    if (name === 'gen_random_uuid' || name === 'uuid_generate_v4') return TYPES.uuid;
+    if (TEXT_FUNCTIONS.has(name)) return TYPES.text;
+    if (INTEGER_FUNCTIONS.has(name)) return TYPES.integer;
+    if (JSON_FUNCTIONS.has(name)) return TYPES.jsonb;
+    if (DOUBLE_FUNCTIONS.has(name)) return TYPES.double;
+    if (SAME_TYPE_FUNCTIONS.has(name)) {
+      const type = argType(0);
+      if ((name === 'ceil' || name === 'ceiling' || name === 'floor' || name === 'trunc') && type && type.name === 'numeric') {
+        return TYPES.numeric;
+      }
+      return type;
+    }
+    if (FIRST_ARG_FUNCTIONS.has(name)) return this.firstKnownType(node.args, scope);
+    return null;
+  }
+
+  /**
+   * Stable key for grouping/distinct on a list of values
+   */
+  rowKey(values) {
+    return values.map(valueKey).join('\u0000');
+  }
+}
+
+module.exports = {
+  Evaluator,
+  Scope,
+  TYPES,
+  containsAggregate
+};
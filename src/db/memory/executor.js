@@ -0,0 +1,1526 @@
+/**
+ * In-Memory Database Executor
+ * Runs parsed statements against the catalog: queries, DML with constraint
+ * enforcement, and DDL. Every change is recorded in an undo log so the
+ * caller can roll back a failed statement or an aborted transaction.
+ */
+
+const { DatabaseError, LockConflict } = require('./errors');
+const { Evaluator, Scope, TYPES, containsAggregate } = require('./evaluator');
+const { callTableFunction } = require('./functions');
+const { castValue, compareValues, toText } = require('./types');
+
+const COMMAND_TAGS = {
+  create_table: 'CREATE',
+  create_index: 'CREATE',
+  drop_table: 'DROP',
+  drop_index: 'DROP',
+  alter_table: 'ALTER',
+  truncate: 'TRUNCATE'
+};
+
+const TABLE_FUNCTION_TYPES = {
+  unnest: {},
+  jsonb_array_elements: { value: TYPES.jsonb },
+  json_array_elements: { value: TYPES.jsonb },
+  jsonb_array_elements_text: { value: TYPES.text },
+  json_array_elements_text: { value: TYPES.text },
+  jsonb_each: { key: TYPES.text, value: TYPES.jsonb },
+  json_each: { key: TYPES.text, value: TYPES.jsonb },
+  jsonb_each_text: { key: TYPES.text, value: TYPES.text },
+  json_each_text: { key: TYPES.text, value: TYPES.text },
+  jsonb_object_keys: { jsonb_object_keys: TYPES.text },
+  json_object_keys: { json_object_keys: TYPES.text }
+};
+
+// Functions whose single output column is named after the FROM alias
+const SCALAR_TABLE_FUNCTIONS = new Set(['generate_series', 'unnest', 'jsonb_object_keys', 'json_object_keys']);
+
+function columnList(columns) {
+  return columns.join(', ');
+}
+
+class Executor extends Evaluator {
+  constructor(db, options = {}) {
+    super(db, options);
+    this.session = options.session || null;
+    this.undo = [];
+    this.lockedKeys = [];
+    this.catalogSaved = false;
+    this.copiedTables = new Set();
+  }
+
+  /**
+   * Execute one statement
+   * @returns {{ command: string, rowCount: number|null, columns: Array, rows: Array<Array> }}
+   */
+  execute(statement) {
+    switch (statement.type) {
+      case 'select': {
+        const result = this.runSelect(statement, null);
+        return { command: 'SELECT', rowCount: result.rows.length, columns: result.columns, rows: result.rows };
+      }
+      case 'insert':
+        return this.executeInsert(statement);
+      case 'update':
+        return this.executeUpdate(statement);
+      case 'delete':
+        return this.executeDelete(statement);
+      case 'truncate':
+        this.executeTruncate(statement);
+        break;
+      case 'create_table':
+        this.executeCreateTable(statement);
+        break;
+      case 'create_index':
+        this.executeCreateIndex(statement);
+        break;
+      case 'drop_table':
+        this.executeDropTable(statement);
+        break;
+      case 'drop_index':
+        this.executeDropIndex(statement);
+        break;
+      case 'alter_table':
+        this.executeAlterTable(statement);
+        break;
+      case 'noop':
+        return { command: statement.command.split(' ')[0], rowCount: null, columns: [], rows: [] };
+      default:
+        throw new DatabaseError(`unsupported statement "${statement.type}"`, '0A000');
+    }
+    return { command: COMMAND_TAGS[statement.type], rowCount: null, columns: [], rows: [] };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Catalog helpers
+  // ---------------------------------------------------------------------------
+
+  lookupTable(name) {
+    const table = this.db.tables.get(name);
+    if (!table) {
+      throw new DatabaseError(`relation "${name}" does not exist`, '42P01');
+    }
+    return table;
+  }
+
+  tableColumn(table, name) {
+    const column = table.columns.find(candidate => candidate.name === name);
+    if (!column) {
+      throw new DatabaseError(`column "${name}" of relation "${table.name}" does not exist`, '42703');
+    }
+    return column;
+  }
+
+  tableSource(table, alias) {
+    const types = {};
+    table.columns.forEach(column => {
+      types[column.name] = column.type;
+    });
+    return { alias: alias || table.name, columns: table.columns.map(column => column.name), types };
+  }
+
+  rowScope(table, row) {
+    return new Scope([this.tableSource(table)], [row], null);
+  }
+
+  // Save the catalog once per statement so DDL can be undone wholesale
+  saveCatalog() {
+    if (this.catalogSaved) return;
+    this.catalogSaved = true;
+    this.undo.push({ type: 'ddl', tables: new Map(this.db.tables), indexes: new Map(this.db.indexes) });
+  }
+
+  // Copy-on-write: DDL never mutates a table object captured by the saved catalog
+  writableTable(name) {
+    this.saveCatalog();
+    const table = this.lookupTable(name);
+    if (this.copiedTables.has(table)) return table;
+    const copy = {
+      ...table,
+      columns: table.columns.map(column => ({ ...column })),
+      constraints: table.constraints.map(constraint => ({ ...constraint })),
+      rows: table.rows.slice()
+    };
+    this.copiedTables.add(copy);
+    this.db.tables.set(name, copy);
+    return copy;
+  }
+
+  constraintNameTaken(name) {
+    if (this.db.indexes.has(name)) return true;
+    for (const table of this.db.tables.values()) {
+      if (table.constraints.some(constraint => constraint.name === name)) return true;
+    }
+    return false;
+  }
+
+  chooseName(base, pending = []) {
+    const taken = candidate => this.constraintNameTaken(candidate) || pending.includes(candidate);
+    if (!taken(base)) return base;
+    for (let i = 1; ; i++) {
+      if (!taken(`${base}${i}`)) return `${base}${i}`;
+    }
+  }
+
+  // Unique constraints and unique indexes of a table, as comparable key definitions
+  uniqueKeys(table) {
+    const keys = table.constraints
+      .filter(constraint => constraint.type === 'primary' || constraint.type === 'unique')
+      .map(constraint => ({
+        name: constraint.name,
+        label: columnList(constraint.columns),
+        exprs: constraint.columns.map(name => ({ type: 'column', table: null, name })),
+        where: null
+      }));
+
+    for (const index of this.db.indexes.values()) {
+      if (index.table === table.name && index.unique) {
+        keys.push({
+          name: index.name,
+          label: columnList(index.columns.map(expr => (expr.type === 'column' ? expr.name : this.columnName(expr)))),
+          exprs: index.columns,
+          where: index.where
+        });
+      }
+    }
+    return keys;
+  }
+
+  keyValues(table, key, row) {
+    let scope = null;
+    const rowScope = () => scope || (scope = this.rowScope(table, row));
+    if (key.where && !this.isTrue(this.evaluate(key.where, rowScope()))) return null;
+    const values = key.exprs.map(expr => (expr.type === 'column' && !expr.table
+      ? (row[expr.name] === undefined ? null : row[expr.name])
+      : this.evaluate(expr, rowScope())));
+    return values.some(value => value === null) ? null : values;
+  }
+
+  findUniqueConflict(table, row, keys, ignoreRow) {
+    for (const key of keys) {
+      const values = this.keyValues(table, key, row);
+      if (!values) continue;
+      const wanted = this.rowKey(values);
+      for (const other of table.rows) {
+        if (other === ignoreRow || other === row) continue;
+        const otherValues = this.keyValues(table, key, other);
+        if (otherValues && this.rowKey(otherValues) === wanted) {
+          return { key, values, row: other };
+        }
+      }
+    }
+    return null;
+  }
+
+  uniqueViolation(table, conflict) {
+    return new DatabaseError(`duplicate key value violates unique constraint "${conflict.key.name}"`, '23505', {
+      detail: `Key (${conflict.key.label})=(${conflict.values.map(toText).join(', ')}) already exists.`,
+      table: table.name,
+      constraint: conflict.key.name
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Constraint enforcement
+  // ---------------------------------------------------------------------------
+
+  checkRow(table, row) {
+    for (const column of table.columns) {
+      if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+        throw new DatabaseError(`null value in column "${column.name}" of relation "${table.name}" violates not-null constraint`, '23502', {
+          table: table.name,
+          column: column.name
+        });
+      }
+    }
+
+    for (const constraint of table.constraints) {
+      if (constraint.type !== 'check') continue;
+      if (this.evaluate(constraint.expr, this.rowScope(table, row)) === false) {
+        throw new DatabaseError(`new row for relation "${table.name}" violates check constraint "${constraint.name}"`, '23514', {
+          table: table.name,
+          constraint: constraint.name
+        });
+      }
+    }
+  }
+
+  checkForeignKeys(table, row, oldRow = null) {
+    for (const constraint of table.constraints) {
+      if (constraint.type !== 'foreign') continue;
+      const values = constraint.columns.map(name => row[name]);
+      if (values.some(value => value === null || value === undefined)) continue;
+      if (oldRow && constraint.columns.every(name => oldRow[name] === row[name])) continue;
+
+      const parent = this.lookupTable(constraint.refTable);
+      const found = parent.rows.some(candidate => constraint.refColumns.every((name, i) => (
+        candidate[name] !== null && candidate[name] !== undefined && compareValues(candidate[name], values[i]) === 0
+      )));
+      if (!found) {
+        throw new DatabaseError(`insert or update on table "${table.name}" violates foreign key constraint "${constraint.name}"`, '23503', {
+          detail: `Key (${columnList(constraint.columns)})=(${values.map(toText).join(', ')}) is not present in table "${parent.name}".`,
+          table: table.name,
+          constraint: constraint.name
+        });
+      }
+    }
+  }
+
+  // Tables (including `table` itself) with foreign keys pointing at `table`
+  referencingConstraints(table) {
+    const found = [];
+    for (const child of this.db.tables.values()) {
+      for (const constraint of child.constraints) {
+        if (constraint.type === 'foreign' && constraint.refTable === table.name) {
+          found.push({ child, constraint });
+        }
+      }
+    }
+    return found;
+  }
+
+  referencingRows(child, constraint, parentRow) {
+    const values = constraint.refColumns.map(name => parentRow[name]);
+    if (values.some(value => value === null || value === undefined)) return [];
+    return child.rows.filter(row => constraint.columns.every((name, i) => (
+      row[name] !== null && row[name] !== undefined && compareValues(row[name], values[i]) === 0
+    )));
+  }
+
+  referencedViolation(table, child, constraint, parentRow) {
+    const values = constraint.refColumns.map(name => toText(parentRow[name]));
+    return new DatabaseError(`update or delete on table "${table.name}" violates foreign key constraint "${constraint.name}" on table "${child.name}"`, '23503', {
+      detail: `Key (${columnList(constraint.refColumns)})=(${values.join(', ')}) is still referenced from table "${child.name}".`,
+      table: child.name,
+      constraint: constraint.name
+    });
+  }
+
+  // Apply ON DELETE actions for rows referencing a row that is being deleted
+  applyDeleteActions(table, row) {
+    for (const { child, constraint } of this.referencingConstraints(table)) {
+      const children = this.referencingRows(child, constraint, row).filter(candidate => candidate !== row);
+      if (children.length === 0) continue;
+
+      switch (constraint.onDelete) {
+        case 'cascade':
+          children.forEach(candidate => this.deleteRow(child, candidate));
+          break;
+        case 'set null':
+        case 'set default':
+          children.forEach(candidate => {
+            const updated = { ...candidate };
+            constraint.columns.forEach(name => {
+              updated[name] = constraint.onDelete === 'set null' ? null : this.columnDefault(this.tableColumn(child, name));
+            });
+            this.replaceRow(child, candidate, updated);
+          });
+          break;
+        default:
+          throw this.referencedViolation(table, child, constraint, row);
+      }
+    }
+  }
+
+  // Apply ON UPDATE actions when referenced key columns change
+  applyUpdateActions(table, oldRow, newRow) {
+    for (const { child, constraint } of this.referencingConstraints(table)) {
+      const unchanged = constraint.refColumns.every(name => {
+        const before = oldRow[name] === undefined ? null : oldRow[name];
+        const after = newRow[name] === undefined ? null : newRow[name];
+        return before === null || after === null ? before === after : compareValues(before, after) === 0;
+      });
+      if (unchanged) continue;
+      const children = this.referencingRows(child, constraint, oldRow).filter(candidate => candidate !== oldRow);
+      if (children.length === 0) continue;
+
+      if (constraint.onUpdate === 'cascade' || constraint.onUpdate === 'set null') {
+        children.forEach(candidate => {
+          const updated = { ...candidate };
+          constraint.columns.forEach((name, i) => {
+            updated[name] = constraint.onUpdate === 'cascade' ? newRow[constraint.refColumns[i]] : null;
+          });
+          this.replaceRow(child, candidate, updated);
+        });
+      } else {
+        throw this.referencedViolation(table, child, constraint, oldRow);
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Row mutations (all recorded in the undo log)
+  // ---------------------------------------------------------------------------
+
+  assign(value, column) {
+    return castValue(value, column.type, { assignment: true, column: column.name });
+  }
+
+  columnDefault(column) {
+    if (!column.default) return null;
+    return this.assign(this.evaluate(column.default, new Scope([], null, null)), column);
+  }
+
+  insertRow(table, row) {
+    this.checkRow(table, row);
+    const conflict = this.findUniqueConflict(table, row, this.uniqueKeys(table), null);
+    if (conflict) throw this.uniqueViolation(table, conflict);
+    this.checkForeignKeys(table, row);
+
+    table.rows.push(row);
+    this.undo.push({ type: 'insert', table, row });
+    return row;
+  }
+
+  replaceRow(table, oldRow, newRow) {
+    this.checkRow(table, newRow);
+    const conflict = this.findUniqueConflict(table, newRow, this.uniqueKeys(table), oldRow);
+    if (conflict) throw this.uniqueViolation(table, conflict);
+    this.checkForeignKeys(table, newRow, oldRow);
+    this.applyUpdateActions(table, oldRow, newRow);
+
+    const index = table.rows.indexOf(oldRow);
+    if (index === -1) return null;
+    table.rows[index] = newRow;
+    this.undo.push({ type: 'update', table, oldRow, newRow });
+    return newRow;
+  }
+
+  deleteRow(table, row) {
+    if (!table.rows.includes(row)) return false;
+    this.applyDeleteActions(table, row);
+
+    const index = table.rows.indexOf(row);
+    if (index === -1) return false;
+    table.rows.splice(index, 1);
+    this.undo.push({ type: 'delete', table, row, index });
+    return true;
+  }
+
+  buildUpdatedRow(table, oldRow, assignments, scope) {
+    const updated = { ...oldRow };
+    const seen = new Set();
+    for (const { column: name, expr } of assignments) {
+      const column = this.tableColumn(table, name);
+      if (seen.has(name)) {
+        throw new DatabaseError(`multiple assignments to same column "${name}"`, '42601');
+      }
+      seen.add(name);
+      updated[name] = expr.type === 'default' ? this.columnDefault(column) : this.assign(this.evaluate(expr, scope), column);
+    }
+    return updated;
+  }
+
+  // ---------------------------------------------------------------------------
+  // SELECT
+  // ---------------------------------------------------------------------------
+
+  runSelect(statement, parent) {
+    let scope = parent;
+    if (statement.ctes.length) {
+      scope = new Scope([], null, parent);
+      scope.ctes = new Map();
+      for (const cte of statement.ctes) {
+        const result = this.runSelect(cte.query, scope);
+        scope.ctes.set(cte.name, this.materialize(result, cte.name, cte.columns));
+      }
+    }
+
+    if (statement.body.type === 'core') {
+      return this.runCore(statement.body, scope, statement);
+    }
+
+    const result = this.runBody(statement.body, scope);
+    return this.finishSetResult(result, statement, scope);
+  }
+
+  runBody(body, scope) {
+    switch (body.type) {
+      case 'core':
+        return this.runCore(body, scope, null);
+      case 'nested':
+        return this.runSelect(body.select, scope);
+      case 'values': {
+        const empty = new Scope([], null, scope);
+        const width = body.rows[0].length;
+        const rows = body.rows.map(row => {
+          if (row.length !== width) {
+            throw new DatabaseError('VALUES lists must all be the same length', '42601');
+          }
+          return row.map(expr => this.evaluate(expr, empty));
+        });
+        const columns = body.rows[0].map((expr, i) => ({
+          name: `column${i + 1}`,
+          type: this.firstKnownType(body.rows.map(row => row[i]), empty)
+        }));
+        return { columns, rows };
+      }
+      case 'setop':
+        return this.runSetOperation(body, scope);
+      default:
+        throw new DatabaseError(`unsupported query body "${body.type}"`, '0A000');
+    }
+  }
+
+  runSetOperation(body, scope) {
+    const left = this.runBody(body.left, scope);
+    const right = this.runBody(body.right, scope);
+    const opName = body.op.toUpperCase();
+    if (left.columns.length !== right.columns.length) {
+      throw new DatabaseError(`each ${opName} query must have the same number of columns`, '42601');
+    }
+
+    const columns = left.columns.map((column, i) => ({ name: column.name, type: column.type || right.columns[i].type }));
+    const distinct = rows => {
+      const seen = new Set();
+      return rows.filter(row => {
+        const key = this.rowKey(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    };
+
+    let rows;
+    if (body.op === 'union') {
+      rows = left.rows.concat(right.rows);
+      if (!body.all) rows = distinct(rows);
+    } else {
+      const counts = new Map();
+      right.rows.forEach(row => {
+        const key = this.rowKey(row);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      });
+      const wantPresent = body.op === 'intersect';
+      rows = left.rows.filter(row => {
+        const key = this.rowKey(row);
+        const count = counts.get(key) || 0;
+        if (body.all && count > 0) counts.set(key, count - 1);
+        return wantPresent ? count > 0 : count === 0;
+      });
+      if (!body.all) rows = distinct(rows);
+    }
+    return { columns, rows };
+  }
+
+  finishSetResult(result, statement, scope) {
+    let rows = result.rows;
+    if (statement.orderBy) {
+      const getters = statement.orderBy.map(item => {
+        const index = this.outputIndex(item.expr, result.columns);
+        if (index === -1) {
+          throw new DatabaseError('invalid UNION/INTERSECT/EXCEPT ORDER BY clause', '0A000', {
+            detail: 'Only result column names can be used, not expressions or functions.'
+          });
+        }
+        return row => row[index];
+      });
+      rows = rows
+        .map(row => ({ row, keys: getters.map(get => get(row)) }))
+        .sort((a, b) => this.compareSortKeys(a.keys, b.keys, statement.orderBy))
+        .map(entry => entry.row);
+    }
+    return { columns: result.columns, rows: this.applyLimit(rows, statement, scope) };
+  }
+
+  // Position of an ORDER BY/GROUP BY item that names an output column (by ordinal or name)
+  outputIndex(expr, columns) {
+    if (expr.type === 'literal' && typeof expr.value === 'number' && !expr.numeric) {
+      if (expr.value < 1 || expr.value > columns.length) {
+        throw new DatabaseError(`ORDER BY position ${expr.value} is not in select list`, '42P10');
+      }
+      return expr.value - 1;
+    }
+    if (expr.type === 'column' && !expr.table) {
+      return columns.findIndex(column => column.name === expr.name);
+    }
+    return -1;
+  }
+
+  applyLimit(rows, statement, scope) {
+    if (!statement.limit && !statement.offset) return rows;
+    const empty = new Scope([], null, scope);
+    const number = (expr, clause) => {
+      if (!expr) return null;
+      const value = this.evaluate(expr, empty);
+      if (value === null) return null;
+      const count = Number(value);
+      if (!Number.isFinite(count)) {
+        throw new DatabaseError(`invalid input syntax for type bigint: "${value}"`, '22P02');
+      }
+      if (count < 0) {
+        throw new DatabaseError(`${clause} must not be negative`, '2201W');
+      }
+      return Math.floor(count);
+    };
+    const offset = number(statement.offset, 'OFFSET') || 0;
+    const limit = number(statement.limit, 'LIMIT');
+    return rows.slice(offset, limit === null ? undefined : offset + limit);
+  }
+
+  expandColumns(columns, sources) {
+    const items = [];
+    for (const column of columns) {
+      if (!column.star) {
+        items.push({ expr: column.expr, name: column.alias || this.columnName(column.expr) });
+        continue;
+      }
+
+      let indexes;
+      if (column.table) {
+        const index = sources.findIndex(source => source.alias === column.table);
+        if (index === -1) {
+          throw new DatabaseError(`missing FROM-clause entry for table "${column.table}"`, '42P01');
+        }
+        indexes = [index];
+      } else {
+        if (sources.length === 0) {
+          throw new DatabaseError('SELECT * with no tables specified is not valid', '42601');
+        }
+        indexes = sources.map((source, i) => i);
+      }
+      indexes.forEach(index => {
+        sources[index].columns.forEach(name => {
+          items.push({ expr: { type: 'slot', index, name }, name });
+        });
+      });
+    }
+    return items;
+  }
+
+  runCore(core, parent, statement) {
+    const { sources, tuples } = this.runFrom(core.from, parent);
+    const filtered = core.where
+      ? tuples.filter(tuple => this.isTrue(this.evaluate(core.where, new Scope(sources, tuple, parent))))
+      : tuples;
+
+    const items = this.expandColumns(core.columns, sources);
+    const orderBy = statement ? statement.orderBy : null;
+    const aggregated = Boolean(core.groupBy) || Boolean(core.having) ||
+      items.some(item => containsAggregate(item.expr)) ||
+      Boolean(orderBy && orderBy.some(item => containsAggregate(item.expr)));
+
+    let scopes = aggregated
+      ? this.groupTuples(core, items, sources, filtered, parent)
+      : filtered.map(tuple => new Scope(sources, tuple, parent));
+
+    if (core.having) {
+      scopes = scopes.filter(scope => this.isTrue(this.evaluate(core.having, scope)));
+    }
+
+    let rows = scopes.map(scope => ({ scope, values: items.map(item => this.evaluate(item.expr, scope)) }));
+
+    const typeScope = new Scope(sources, null, parent);
+    const columns = items.map(item => ({ name: item.name, type: this.inferType(item.expr, typeScope) }));
+
+    if (orderBy) {
+      const getters = orderBy.map(item => {
+        const index = this.outputIndex(item.expr, columns);
+        if (index !== -1) return row => row.values[index];
+        return row => this.evaluate(item.expr, row.scope);
+      });
+      rows.forEach(row => {
+        row.keys = getters.map(get => get(row));
+      });
+      rows.sort((a, b) => this.compareSortKeys(a.keys, b.keys, orderBy));
+    }
+
+    if (core.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = core.distinctOn
+          ? this.rowKey(core.distinctOn.map(expr => {
+            const index = this.outputIndex(expr, columns);
+            return index !== -1 ? row.values[index] : this.evaluate(expr, row.scope);
+          }))
+          : this.rowKey(row.values);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    if (statement && statement.lock) {
+      if (aggregated) {
+        throw new DatabaseError('FOR UPDATE is not allowed with aggregate functions or GROUP BY clause', '0A000');
+      }
+      return { columns, rows: this.lockRows(rows, sources, statement, parent).map(row => row.values) };
+    }
+
+    const values = rows.map(row => row.values);
+    return { columns, rows: statement ? this.applyLimit(values, statement, parent) : values };
+  }
+
+  /**
+   * Lock the table rows behind a SELECT ... FOR UPDATE/SHARE result
+   * Every strength locks exclusively, and a row is keyed by its primary key
+   * (a table without one locks as a whole). A row another session holds
+   * raises a LockConflict, which the database waits out before running the
+   * statement again; NOWAIT fails instead and SKIP LOCKED leaves it out.
+   * @returns {Array} The rows that remain after LIMIT/OFFSET
+   */
+  lockRows(rows, sources, statement, scope) {
+    const { tables, nowait, skipLocked } = statement.lock;
+    const targets = [];
+    sources.forEach((source, index) => {
+      if (source.table && (!tables || tables.includes(source.alias))) {
+        targets.push({ table: source.table, index });
+      }
+    });
+
+    const keysOf = row => targets
+      .filter(({ index }) => row.scope.tuple[index])
+      .map(({ table, index }) => this.lockKey(table, row.scope.tuple[index]));
+    const holderOf = (key) => {
+      const holder = this.db.rowLocks.get(key);
+      return holder && holder !== this.session ? holder : null;
+    };
+
+    const available = skipLocked ? rows.filter(row => !keysOf(row).some(holderOf)) : rows;
+    const locked = this.applyLimit(available, statement, scope);
+    const keys = locked.flatMap(keysOf);
+
+    const blocked = keys.find(holderOf);
+    if (blocked) {
+      if (nowait) {
+        throw new DatabaseError(`could not obtain lock on row in relation "${blocked.split(':')[0]}"`, '55P03');
+      }
+      throw new LockConflict(holderOf(blocked));
+    }
+
+    this.lockedKeys.push(...keys);
+    return locked;
+  }
+
+  lockKey(table, row) {
+    const primary = table.constraints.find(constraint => constraint.type === 'primary');
+    return primary ? `${table.name}:${JSON.stringify(primary.columns.map(name => row[name]))}` : table.name;
+  }
+
+  groupTuples(core, items, sources, tuples, parent) {
+    const makeGroup = (rows) => {
+      const scope = new Scope(sources, rows[0] || sources.map(() => null), parent);
+      scope.groupRows = rows;
+      return scope;
+    };
+
+    if (!core.groupBy) {
+      return [makeGroup(tuples)];
+    }
+
+    const typeScope = new Scope(sources, null, parent);
+    const exprs = core.groupBy.map(expr => {
+      if (expr.type === 'literal' && typeof expr.value === 'number' && !expr.numeric) {
+        if (expr.value < 1 || expr.value > items.length) {
+          throw new DatabaseError(`GROUP BY position ${expr.value} is not in select list`, '42P10');
+        }
+        return items[expr.value - 1].expr;
+      }
+      // Input columns win over output aliases, as in PostgreSQL
+      if (expr.type === 'column' && !expr.table) {
+        try {
+          this.resolveColumn(typeScope, expr);
+        } catch (error) {
+          const item = items.find(candidate => candidate.name === expr.name);
+          if (item) return item.expr;
+          throw error;
+        }
+      }
+      return expr;
+    });
+
+    const groups = new Map();
+    for (const tuple of tuples) {
+      const scope = new Scope(sources, tuple, parent);
+      const key = this.rowKey(exprs.map(expr => this.evaluate(expr, scope)));
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(tuple);
+    }
+    return Array.from(groups.values()).map(makeGroup);
+  }
+
+  materialize(result, alias, columnAliases) {
+    const names = result.columns.map((column, i) => (columnAliases && columnAliases[i]) || column.name);
+    const types = {};
+    names.forEach((name, i) => {
+      types[name] = result.columns[i].type;
+    });
+    const rows = result.rows.map(values => {
+      const row = {};
+      names.forEach((name, i) => {
+        row[name] = values[i];
+      });
+      return row;
+    });
+    return { source: { alias, columns: names, types }, rows };
+  }
+
+  // ---------------------------------------------------------------------------
+  // FROM clause
+  // ---------------------------------------------------------------------------
+
+  runFrom(items, parent) {
+    if (!items || items.length === 0) {
+      return { sources: [], tuples: [[]] };
+    }
+    let relation = this.runFromItem(items[0], parent);
+    for (let i = 1; i < items.length; i++) {
+      relation = this.joinRelations(relation, items[i], 'cross', null, null, parent);
+    }
+    return relation;
+  }
+
+  isLateral(item) {
+    return item.type === 'function' || (item.type === 'subquery' && item.lateral);
+  }
+
+  runFromItem(item, scope) {
+    switch (item.type) {
+      case 'table': {
+        const cte = this.lookupCte(scope, item.name);
+        if (cte) {
+          return { sources: [{ ...cte.source, alias: item.alias }], tuples: cte.rows.map(row => [row]) };
+        }
+        const table = this.lookupTable(item.name);
+        return { sources: [{ ...this.tableSource(table, item.alias), table }], tuples: table.rows.map(row => [row]) };
+      }
+      case 'subquery': {
+        const result = this.runSubquery(item.query, scope);
+        const { source, rows } = this.materialize(result, item.alias || 'subquery', item.columnAliases);
+        return { sources: [source], tuples: rows.map(row => [row]) };
+      }
+      case 'function':
+        return this.runTableFunction(item, scope);
+      case 'join': {
+        const left = this.runFromItem(item.left, scope);
+        return this.joinRelations(left, item.right, item.kind, item.on, item.using, scope);
+      }
+      default:
+        throw new DatabaseError(`unsupported FROM item "${item.type}"`, '0A000');
+    }
+  }
+
+  runTableFunction(item, scope) {
+    const empty = new Scope([], null, scope);
+    const args = item.args.map(arg => this.evaluate(arg, empty));
+    const result = callTableFunction(item.name, args);
+
+    let names = result.columns.slice();
+    if (SCALAR_TABLE_FUNCTIONS.has(item.name) && item.alias !== item.name) {
+      names = [item.alias];
+    }
+    if (item.columnAliases) {
+      names = names.map((name, i) => item.columnAliases[i] || name);
+    }
+
+    const knownTypes = TABLE_FUNCTION_TYPES[item.name] || {};
+    const types = {};
+    names.forEach((name, i) => {
+      let type = knownTypes[result.columns[i]] || null;
+      if (item.name === 'generate_series') {
+        type = args[0] instanceof Date || (typeof args[0] === 'string' && Number.isNaN(Number(args[0]))) ? TYPES.timestamp : TYPES.integer;
+      }
+      types[name] = type;
+    });
+
+    const rows = result.rows.map(row => {
+      const renamed = {};
+      names.forEach((name, i) => {
+        renamed[name] = row[result.columns[i]];
+      });
+      return renamed;
+    });
+    return { sources: [{ alias: item.alias, columns: names, types }], tuples: rows.map(row => [row]) };
+  }
+
+  joinRelations(left, rightItem, kind, on, using, parent) {
+    const lateral = this.isLateral(rightItem);
+    let right = lateral ? null : this.runFromItem(rightItem, parent);
+    let rightSources = right ? right.sources : null;
+
+    const rightFor = tuple => {
+      if (!lateral) return right;
+      const result = this.runFromItem(rightItem, new Scope(left.sources, tuple, parent));
+      rightSources = rightSources || result.sources;
+      return result;
+    };
+
+    if (lateral && left.tuples.length === 0) {
+      rightSources = this.runFromItem(rightItem, new Scope(left.sources, left.sources.map(() => null), parent)).sources;
+    }
+
+    const output = [];
+    const matchedRight = new Set();
+    let sources = null;
+
+    const conditionHolds = (combinedSources, tuple) => {
+      if (kind === 'cross') return true;
+      const scope = new Scope(combinedSources, tuple, parent);
+      if (using) {
+        return using.every(name => {
+          const leftValue = this.evaluate({ type: 'column', table: null, name }, new Scope(left.sources, tuple.slice(0, left.sources.length), parent));
+          const rightValue = this.evaluate({ type: 'column', table: null, name }, new Scope(combinedSources.slice(left.sources.length), tuple.slice(left.sources.length), parent));
+          return leftValue !== null && rightValue !== null && this.compare(leftValue, rightValue) === 0;
+        });
+      }
+      return this.isTrue(this.evaluate(on, scope));
+    };
+
+    for (const leftTuple of left.tuples) {
+      const current = rightFor(leftTuple);
+      sources = sources || left.sources.concat(current.sources);
+      let matched = false;
+      current.tuples.forEach((rightTuple, index) => {
+        const tuple = leftTuple.concat(rightTuple);
+        if (conditionHolds(sources, tuple)) {
+          matched = true;
+          if (!lateral) matchedRight.add(index);
+          output.push(tuple);
+        }
+      });
+      if (!matched && (kind === 'left' || kind === 'full')) {
+        output.push(leftTuple.concat(current.sources.map(() => null)));
+      }
+    }
+
+    sources = sources || left.sources.concat(rightSources);
+    if ((kind === 'right' || kind === 'full') && right) {
+      right.tuples.forEach((rightTuple, index) => {
+        if (!matchedRight.has(index)) {
+          output.push(left.sources.map(() => null).concat(rightTuple));
+        }
+      });
+    }
+
+    return { sources, tuples: output };
+  }
+
+  // ---------------------------------------------------------------------------
+  // DML
+  // ---------------------------------------------------------------------------
+
+  returning(list, sources, scopes) {
+    if (!list) {
+      return { columns: [], rows: [] };
+    }
+    const items = this.expandColumns(list, sources);
+    const rows = scopes.map(scope => items.map(item => this.evaluate(item.expr, scope)));
+    const typeScope = new Scope(sources, null, null);
+    const columns = items.map(item => ({ name: item.name, type: this.inferType(item.expr, typeScope) }));
+    return { columns, rows };
+  }
+
+  executeInsert(statement) {
+    const table = this.lookupTable(statement.table);
+    const targets = statement.columns
+      ? statement.columns.map(name => this.tableColumn(table, name))
+      : table.columns;
+    if (new Set(targets).size !== targets.length) {
+      const duplicate = targets.find((column, i) => targets.indexOf(column) !== i);
+      throw new DatabaseError(`column "${duplicate.name}" specified more than once`, '42701');
+    }
+
+    let inputs;
+    if (statement.select) {
+      const result = this.runSelect(statement.select, null);
+      if (result.columns.length > targets.length) {
+        throw new DatabaseError('INSERT has more expressions than target columns', '42601');
+      }
+      inputs = result.rows.map(values => values.map(value => ({ value })));
+    } else {
+      const empty = new Scope([], null, null);
+      inputs = statement.rows.map(row => {
+        if (row.length > targets.length) {
+          throw new DatabaseError('INSERT has more expressions than target columns', '42601');
+        }
+        if (statement.columns && row.length && row.length < targets.length) {
+          throw new DatabaseError('INSERT has more target columns than expressions', '42601');
+        }
+        return row.map(expr => (expr.type === 'default' ? { useDefault: true } : { value: this.evaluate(expr, empty) }));
+      });
+    }
+
+    const source = this.tableSource(table, statement.alias);
+    const excluded = this.tableSource(table, 'excluded');
+    const arbiters = statement.onConflict ? this.conflictArbiters(table, statement.onConflict) : null;
+    const touched = new Set();
+    const written = [];
+
+    for (const input of inputs) {
+      const row = {};
+      table.columns.forEach(column => {
+        const index = targets.indexOf(column);
+        const spec = index !== -1 && index < input.length ? input[index] : { useDefault: true };
+        row[column.name] = spec.useDefault ? this.columnDefault(column) : this.assign(spec.value, column);
+      });
+
+      if (arbiters) {
+        this.checkRow(table, row);
+        const conflict = this.findUniqueConflict(table, row, arbiters, null);
+        if (conflict) {
+          if (statement.onConflict.action === 'nothing') continue;
+          if (touched.has(conflict.row)) {
+            throw new DatabaseError('ON CONFLICT DO UPDATE command cannot affect row a second time', '21000', {
+              hint: 'Ensure that no rows proposed for insertion within the same command have duplicate constrained values.'
+            });
+          }
+          const scope = new Scope([source, excluded], [conflict.row, row], null);
+          if (statement.onConflict.where && !this.isTrue(this.evaluate(statement.onConflict.where, scope))) continue;
+          const updated = this.replaceRow(table, conflict.row, this.buildUpdatedRow(table, conflict.row, statement.onConflict.set, scope));
+          touched.add(updated);
+          written.push(updated);
+          continue;
+        }
+      }
+
+      const inserted = this.insertRow(table, row);
+      touched.add(inserted);
+      written.push(inserted);
+    }
+
+    const result = this.returning(statement.returning, [source], written.map(row => new Scope([source], [row], null)));
+    return { command: 'INSERT', rowCount: written.length, ...result };
+  }
+
+  conflictArbiters(table, onConflict) {
+    const keys = this.uniqueKeys(table);
+    if (onConflict.constraint) {
+      const key = keys.find(candidate => candidate.name === onConflict.constraint);
+      if (!key) {
+        throw new DatabaseError(`constraint "${onConflict.constraint}" for table "${table.name}" does not exist`, '42704');
+      }
+      return [key];
+    }
+    if (onConflict.target) {
+      const wanted = onConflict.target.slice().sort().join(',');
+      const matches = keys.filter(key => key.exprs.every(expr => expr.type === 'column') &&
+        key.exprs.map(expr => expr.name).sort().join(',') === wanted);
+      if (matches.length === 0) {
+        throw new DatabaseError('there is no unique or exclusion constraint matching the ON CONFLICT specification', '42P10');
+      }
+      return matches;
+    }
+    if (onConflict.action === 'update') {
+      throw new DatabaseError('ON CONFLICT DO UPDATE requires inference specification or constraint name', '42601');
+    }
+    return keys;
+  }
+
+  // Rows of `table` matching WHERE, joined with FROM/USING items
+  matchTargets(table, alias, fromItems, where) {
+    const target = this.tableSource(table, alias);
+    const from = fromItems.length ? this.runFrom(fromItems, null) : { sources: [], tuples: [[]] };
+    const sources = [target].concat(from.sources);
+    const matches = [];
+
+    for (const row of table.rows.slice()) {
+      for (const tuple of from.tuples) {
+        const scope = new Scope(sources, [row].concat(tuple), null);
+        if (!where || this.isTrue(this.evaluate(where, scope))) {
+          matches.push(scope);
+          break;
+        }
+      }
+    }
+    return { sources, matches };
+  }
+
+  executeUpdate(statement) {
+    const table = this.lookupTable(statement.table);
+    statement.set.forEach(({ column }) => this.tableColumn(table, column));
+
+    const { sources, matches } = this.matchTargets(table, statement.alias, statement.from, statement.where);
+    const changes = matches.map(scope => ({
+      scope,
+      oldRow: scope.tuple[0],
+      newRow: this.buildUpdatedRow(table, scope.tuple[0], statement.set, scope)
+    }));
+
+    const scopes = [];
+    for (const change of changes) {
+      const written = this.replaceRow(table, change.oldRow, change.newRow);
+      if (written) {
+        scopes.push(new Scope(sources, [written].concat(change.scope.tuple.slice(1)), null));
+      }
+    }
+
+    const result = this.returning(statement.returning, sources, scopes);
+    return { command: 'UPDATE', rowCount: scopes.length, ...result };
+  }
+
+  executeDelete(statement) {
+    const table = this.lookupTable(statement.table);
+    const { sources, matches } = this.matchTargets(table, statement.alias, statement.using, statement.where);
+
+    const deleted = matches.filter(scope => this.deleteRow(table, scope.tuple[0]));
+    const result = this.returning(statement.returning, sources, deleted);
+    return { command: 'DELETE', rowCount: deleted.length, ...result };
+  }
+
+  executeTruncate(statement) {
+    const tables = statement.tables.map(name => this.lookupTable(name));
+
+    if (statement.cascade) {
+      for (let i = 0; i < tables.length; i++) {
+        this.referencingConstraints(tables[i]).forEach(({ child }) => {
+          if (!tables.includes(child)) tables.push(child);
+        });
+      }
+    } else {
+      for (const table of tables) {
+        const blocking = this.referencingConstraints(table).find(({ child }) => !tables.includes(child));
+        if (blocking) {
+          throw new DatabaseError('cannot truncate a table referenced in a foreign key constraint', '0A000', {
+            detail: `Table "${blocking.child.name}" references "${table.name}".`,
+            hint: `Truncate table "${blocking.child.name}" at the same time, or use TRUNCATE ... CASCADE.`
+          });
+        }
+      }
+    }
+
+    for (const table of tables) {
+      this.undo.push({ type: 'truncate', table, rows: table.rows });
+      table.rows = [];
+      if (statement.restartIdentity) {
+        table.columns.forEach(column => {
+          if (column.default && column.default.type === 'nextval') {
+            column.default.sequence.value = 0;
+          }
+        });
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // DDL
+  // ---------------------------------------------------------------------------
+
+  columnFromDefinition(definition) {
+    const { dataType } = definition;
+    if (dataType.name === 'serial' || dataType.name === 'bigserial') {
+      return {
+        name: definition.name,
+        type: { name: dataType.name === 'serial' ? 'integer' : 'bigint', args: [], array: dataType.array },
+        notNull: true,
+        default: { type: 'nextval', sequence: { value: 0 } }
+      };
+    }
+    return {
+      name: definition.name,
+      type: dataType,
+      notNull: definition.notNull,
+      default: definition.default
+    };
+  }
+
+  // Names of columns referenced by an expression, in order of appearance
+  referencedColumns(node, found = []) {
+    if (!node || typeof node !== 'object') return found;
+    if (Array.isArray(node)) {
+      node.forEach(child => this.referencedColumns(child, found));
+      return found;
+    }
+    if (node.type === 'column' && !found.includes(node.name)) {
+      found.push(node.name);
+    }
+    Object.keys(node).forEach(key => {
+      if (node[key] && typeof node[key] === 'object' && key !== 'to') this.referencedColumns(node[key], found);
+    });
+    return found;
+  }
+
+  normalizeConstraint(table, constraint, pending = []) {
+    const requireColumns = columns => columns.forEach(name => {
+      if (!table.columns.some(column => column.name === name)) {
+        throw new DatabaseError(`column "${name}" named in key does not exist`, '42703');
+      }
+    });
+
+    switch (constraint.type) {
+      case 'primary':
+        requireColumns(constraint.columns);
+        if (table.constraints.some(existing => existing.type === 'primary') || pending.some(existing => existing.type === 'primary')) {
+          throw new DatabaseError(`multiple primary keys for table "${table.name}" are not allowed`, '42P16');
+        }
+        table.columns.forEach(column => {
+          if (constraint.columns.includes(column.name)) column.notNull = true;
+        });
+        return { type: 'primary', name: constraint.name || this.chooseName(`${table.name}_pkey`, pending.map(c => c.name)), columns: constraint.columns };
+      case 'unique':
+        requireColumns(constraint.columns);
+        return {
+          type: 'unique',
+          name: constraint.name || this.chooseName(`${table.name}_${constraint.columns.join('_')}_key`, pending.map(c => c.name)),
+          columns: constraint.columns
+        };
+      case 'foreign': {
+        requireColumns(constraint.columns);
+        const parent = constraint.refTable === table.name ? table : this.lookupTable(constraint.refTable);
+        let refColumns = constraint.refColumns;
+        if (!refColumns) {
+          const primary = parent.constraints.concat(parent === table ? pending : []).find(existing => existing.type === 'primary');
+          if (!primary) {
+            throw new DatabaseError(`there is no primary key for referenced table "${parent.name}"`, '42830');
+          }
+          refColumns = primary.columns;
+        }
+        refColumns.forEach(name => {
+          if (!parent.columns.some(column => column.name === name)) {
+            throw new DatabaseError(`column "${name}" referenced in foreign key constraint does not exist`, '42703');
+          }
+        });
+        return {
+          type: 'foreign',
+          name: constraint.name || this.chooseName(`${table.name}_${constraint.columns.join('_')}_fkey`, pending.map(c => c.name)),
+          columns: constraint.columns,
+          refTable: parent.name,
+          refColumns,
+          onDelete: constraint.onDelete,
+          onUpdate: constraint.onUpdate
+        };
+      }
+      case 'check': {
+        const first = this.referencedColumns(constraint.expr)[0];
+        return {
+          type: 'check',
+          name: constraint.name || this.chooseName(first ? `${table.name}_${first}_check` : `${table.name}_check`, pending.map(c => c.name)),
+          expr: constraint.expr
+        };
+      }
+      default:
+        throw new DatabaseError(`unsupported constraint type "${constraint.type}"`, '0A000');
+    }
+  }
+
+  // Check existing rows against a constraint being added
+  validateConstraint(table, constraint) {
+    if (constraint.type === 'check') {
+      table.rows.forEach(row => {
+        if (this.evaluate(constraint.expr, this.rowScope(table, row)) === false) {
+          throw new DatabaseError(`check constraint "${constraint.name}" of relation "${table.name}" is violated by some row`, '23514', {
+            table: table.name,
+            constraint: constraint.name
+          });
+        }
+      });
+    } else if (constraint.type === 'foreign') {
+      const scratch = { ...table, constraints: [constraint] };
+      table.rows.forEach(row => this.checkForeignKeys(scratch, row));
+    } else {
+      const key = {
+        name: constraint.name,
+        label: columnList(constraint.columns),
+        exprs: constraint.columns.map(name => ({ type: 'column', table: null, name })),
+        where: null
+      };
+      this.checkNoDuplicates(table, key);
+      if (constraint.type === 'primary') {
+        constraint.columns.forEach(name => this.checkNoNulls(table, name));
+      }
+    }
+  }
+
+  checkNoDuplicates(table, key) {
+    const seen = new Map();
+    for (const row of table.rows) {
+      const values = this.keyValues(table, key, row);
+      if (!values) continue;
+      const rowKey = this.rowKey(values);
+      if (seen.has(rowKey)) {
+        throw new DatabaseError(`could not create unique index "${key.name}"`, '23505', {
+          detail: `Key (${key.label})=(${values.map(toText).join(', ')}) is duplicated.`,
+          table: table.name,
+          constraint: key.name
+        });
+      }
+      seen.set(rowKey, row);
+    }
+  }
+
+  checkNoNulls(table, name) {
+    if (table.rows.some(row => row[name] === null || row[name] === undefined)) {
+      throw new DatabaseError(`column "${name}" of relation "${table.name}" contains null values`, '23502', {
+        table: table.name,
+        column: name
+      });
+    }
+  }
+
+  executeCreateTable(statement) {
+    if (this.db.tables.has(statement.name)) {
+      if (statement.ifNotExists) return;
+      throw new DatabaseError(`relation "${statement.name}" already exists`, '42P07');
+    }
+    this.saveCatalog();
+
+    const table = { name: statement.name, columns: [], constraints: [], rows: [] };
+    statement.columns.forEach(definition => {
+      if (table.columns.some(column => column.name === definition.name)) {
+        throw new DatabaseError(`column "${definition.name}" specified more than once`, '42701');
+      }
+      table.columns.push(this.columnFromDefinition(definition));
+    });
+
+    const pending = [];
+    // Primary keys first so self-references without a column list can find them
+    const ordered = statement.constraints.filter(c => c.type === 'primary')
+      .concat(statement.constraints.filter(c => c.type !== 'primary'));
+    ordered.forEach(constraint => {
+      pending.push(this.normalizeConstraint(table, constraint, pending));
+    });
+    table.constraints = statement.constraints.map(original => pending[ordered.indexOf(original)]);
+
+    this.db.tables.set(table.name, table);
+  }
+
+  executeCreateIndex(statement) {
+    const table = this.lookupTable(statement.table);
+    const scope = this.rowScope(table, {});
+    statement.columns.forEach(expr => this.referencedColumns(expr).forEach(name => {
+      this.resolveColumn(scope, { type: 'column', table: null, name });
+    }));
+
+    const described = statement.columns.map(expr => (expr.type === 'column' ? expr.name : 'expr')).join('_');
+    const name = statement.name || this.chooseName(`${table.name}_${described}_idx`);
+    if (this.db.indexes.has(name) || this.constraintNameTaken(name)) {
+      if (statement.ifNotExists) return;
+      throw new DatabaseError(`relation "${name}" already exists`, '42P07');
+    }
+
+    const index = { name, table: table.name, unique: statement.unique, columns: statement.columns, where: statement.where };
+    if (index.unique) {
+      this.checkNoDuplicates(table, {
+        name,
+        label: columnList(statement.columns.map(expr => (expr.type === 'column' ? expr.name : this.columnName(expr)))),
+        exprs: statement.columns,
+        where: statement.where
+      });
+    }
+
+    this.saveCatalog();
+    this.db.indexes.set(name, index);
+  }
+
+  executeDropTable(statement) {
+    const dropping = statement.names.filter(name => {
+      if (this.db.tables.has(name)) return true;
+      if (statement.ifExists) return false;
+      throw new DatabaseError(`table "${name}" does not exist`, '42P01');
+    });
+    if (dropping.length === 0) return;
+    this.saveCatalog();
+
+    for (const name of dropping) {
+      const table = this.lookupTable(name);
+      const dependents = this.referencingConstraints(table).filter(({ child }) => !dropping.includes(child.name));
+      if (dependents.length && !statement.cascade) {
+        throw new DatabaseError(`cannot drop table ${name} because other objects depend on it`, '2BP01', {
+          detail: dependents.map(({ child, constraint }) => `constraint ${constraint.name} on table ${child.name} depends on table ${name}`).join('\n'),
+          hint: 'Use DROP ... CASCADE to drop the dependent objects too.'
+        });
+      }
+      dependents.forEach(({ child, constraint }) => {
+        const writable = this.writableTable(child.name);
+        writable.constraints = writable.constraints.filter(existing => existing.name !== constraint.name);
+      });
+
+      this.db.tables.delete(name);
+      for (const [indexName, index] of this.db.indexes) {
+        if (index.table === name) this.db.indexes.delete(indexName);
+      }
+    }
+  }
+
+  executeDropIndex(statement) {
+    for (const name of statement.names) {
+      if (!this.db.indexes.has(name)) {
+        if (statement.ifExists) continue;
+        throw new DatabaseError(`index "${name}" does not exist`, '42704');
+      }
+      this.saveCatalog();
+      this.db.indexes.delete(name);
+    }
+  }
+
+  executeAlterTable(statement) {
+    if (!this.db.tables.has(statement.table)) {
+      if (statement.ifExists) return;
+      throw new DatabaseError(`relation "${statement.table}" does not exist`, '42P01');
+    }
+
+    let table = this.writableTable(statement.table);
+    for (const action of statement.actions) {
+      table = this.alterTable(table, action);
+    }
+  }
+
+  alterTable(table, action) {
+    const findColumn = name => table.columns.find(column => column.name === name);
+    const missingColumn = name => new DatabaseError(`column "${name}" of relation "${table.name}" does not exist`, '42703');
+
+    switch (action.type) {
+      case 'add_column': {
+        if (findColumn(action.column.name)) {
+          if (action.ifNotExists) return table;
+          throw new DatabaseError(`column "${action.column.name}" of relation "${table.name}" already exists`, '42701');
+        }
+        const column = this.columnFromDefinition(action.column);
+        table.columns.push(column);
+        table.rows = table.rows.map(row => ({ ...row, [column.name]: this.columnDefault(column) }));
+        if (column.notNull) this.checkNoNulls(table, column.name);
+        action.constraints.forEach(constraint => {
+          const normalized = this.normalizeConstraint(table, constraint);
+          this.validateConstraint(table, normalized);
+          table.constraints.push(normalized);
+        });
+        return table;
+      }
+      case 'add_constraint': {
+        const normalized = this.normalizeConstraint(table, action.constraint);
+        if (action.constraint.name && this.constraintNameTaken(normalized.name)) {
+          throw new DatabaseError(`constraint "${normalized.name}" for relation "${table.name}" already exists`, '42710');
+        }
+        this.validateConstraint(table, normalized);
+        table.constraints.push(normalized);
+        return table;
+      }
+      case 'drop_column': {
+        if (!findColumn(action.name)) {
+          if (action.ifExists) return table;
+          throw missingColumn(action.name);
+        }
+        table.columns = table.columns.filter(column => column.name !== action.name);
+        table.rows = table.rows.map(row => {
+          const copy = { ...row };
+          delete copy[action.name];
+          return copy;
+        });
+        table.constraints = table.constraints.filter(constraint => {
+          if (constraint.type === 'check') return !this.referencedColumns(constraint.expr).includes(action.name);
+          return !constraint.columns.includes(action.name);
+        });
+        for (const [name, index] of this.db.indexes) {
+          if (index.table === table.name && this.referencedColumns(index.columns).includes(action.name)) {
+            this.db.indexes.delete(name);
+          }
+        }
+        this.referencingConstraints(table).forEach(({ child, constraint }) => {
+          if (constraint.refColumns.includes(action.name)) {
+            const writable = this.writableTable(child.name);
+            writable.constraints = writable.constraints.filter(existing => existing.name !== constraint.name);
+          }
+        });
+        return table;
+      }
+      case 'drop_constraint': {
+        if (!table.constraints.some(constraint => constraint.name === action.name)) {
+          if (action.ifExists) return table;
+          throw new DatabaseError(`constraint "${action.name}" of relation "${table.name}" does not exist`, '42704');
+        }
+        table.constraints = table.constraints.filter(constraint => constraint.name !== action.name);
+        return table;
+      }
+      case 'set_default': {
+        const column = findColumn(action.column);
+        if (!column) throw missingColumn(action.column);
+        column.default = action.expr;
+        return table;
+      }
+      case 'set_not_null': {
+        const column = findColumn(action.column);
+        if (!column) throw missingColumn(action.column);
+        if (action.notNull) this.checkNoNulls(table, column.name);
+        column.notNull = action.notNull;
+        return table;
+      }
+      case 'set_type': {
+        const column = findColumn(action.column);
+        if (!column) throw missingColumn(action.column);
+        const source = this.tableSource(table);
+        table.rows = table.rows.map(row => {
+          const value = action.using ? this.evaluate(action.using, new Scope([source], [row], null)) : row[column.name];
+          return { ...row, [column.name]: castValue(value, action.dataType, { assignment: true, column: column.name }) };
+        });
+        column.type = action.dataType;
+        return table;
+      }
+      case 'rename_table': {
+        if (this.db.tables.has(action.name)) {
+          throw new DatabaseError(`relation "${action.name}" already exists`, '42P07');
+        }
+        const oldName = table.name;
+        const dependents = this.referencingConstraints(table).filter(({ child }) => child !== table);
+        this.db.tables.delete(oldName);
+        table.name = action.name;
+        this.db.tables.set(action.name, table);
+
+        table.constraints.forEach(constraint => {
+          if (constraint.type === 'foreign' && constraint.refTable === oldName) constraint.refTable = action.name;
+        });
+        dependents.forEach(({ child, constraint }) => {
+          const writable = this.writableTable(child.name);
+          writable.constraints = writable.constraints.map(existing => (
+            existing.name === constraint.name ? { ...existing, refTable: action.name } : existing
+          ));
+        });
+        for (const [name, index] of this.db.indexes) {
+          if (index.table === oldName) this.db.indexes.set(name, { ...index, table: action.name });
+        }
+        return table;
+      }
+      case 'rename_column': {
+        const column = findColumn(action.from);
+        if (!column) throw missingColumn(action.from);
+        if (findColumn(action.to)) {
+          throw new DatabaseError(`column "${action.to}" of relation "${table.name}" already exists`, '42701');
+        }
+        const rename = names => names.map(name => (name === action.from ? action.to : name));
+        const renameExpr = node => {
+          if (!node || typeof node !== 'object') return node;
+          if (Array.isArray(node)) return node.map(renameExpr);
+          const copy = {};
+          Object.keys(node).forEach(key => {
+            copy[key] = key === 'to' || key === 'sequence' ? node[key] : renameExpr(node[key]);
+          });
+          if (copy.type === 'column' && copy.name === action.from) copy.name = action.to;
+          return copy;
+        };
+
+        column.name = action.to;
+        table.rows = table.rows.map(row => {
+          const copy = { ...row, [action.to]: row[action.from] };
+          delete copy[action.from];
+          return copy;
+        });
+        table.constraints = table.constraints.map(constraint => {
+          if (constraint.type === 'check') return { ...constraint, expr: renameExpr(constraint.expr) };
+          const renamed = { ...constraint, columns: rename(constraint.columns) };
+          if (constraint.type === 'foreign' && constraint.refTable === table.name) {
+            renamed.refColumns = rename(constraint.refColumns);
+          }
+          return renamed;
+        });
+        this.referencingConstraints(table).forEach(({ child, constraint }) => {
+          if (child === table) return;
+          const writable = this.writableTable(child.name);
+          writable.constraints = writable.constraints.map(existing => (
+            existing.name === constraint.name ? { ...existing, refColumns: rename(existing.refColumns) } : existing
+          ));
+        });
+        for (const [name, index] of this.db.indexes) {
+          if (index.table === table.name) {
+            this.db.indexes.set(name, { ...index, columns: renameExpr(index.columns), where: renameExpr(index.where) });
+          }
+        }
+        return table;
+      }
+      default:
+        throw new DatabaseError(`unsupported ALTER TABLE action "${action.type}"`, '0A000');
+    }
+  }
+}
+
+module.exports = {
+  Executor
+};
@@ -0,0 +1,626 @@
+/**
+ * In-Memory Database Functions
+ * Scalar, aggregate and set-returning SQL functions
+ */
+
+const crypto = require('crypto');
+const { DatabaseError } = require('./errors');
+const {
+  Interval,
+  compareValues,
+  valueKey,
+  parseTimestamp,
+  toNumber,
+  toText,
+  stableStringify,
+  cloneJson
+} = require('./types');
+
+const AGGREGATES = new Set([
+  'count', 'sum', 'avg', 'min', 'max', 'string_agg', 'array_agg',
+  'json_agg', 'jsonb_agg', 'bool_and', 'bool_or', 'every',
+  'json_object_agg', 'jsonb_object_agg'
+]);
+
+function asDate(value) {
+  return value instanceof Date ? value : parseTimestamp(value, 'timestamp');
+}
+
+function asJson(value) {
+  if (typeof value === 'string') {
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new DatabaseError(`invalid input syntax for type json: "${value}"`, '22P02');
+    }
+  }
+  return value;
+}
+
+// ISO-8601 week number and week-based year
+function isoWeek(date) {
+  const target = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const dayNumber = (target.getDay() + 6) % 7;
+  target.setDate(target.getDate() - dayNumber + 3);
+  const weekYear = target.getFullYear();
+  const firstThursday = new Date(weekYear, 0, 4);
+  const week = 1 + Math.round(((target - firstThursday) / 86400000 - 3 + ((firstThursday.getDay() + 6) % 7)) / 7);
+  return { week, year: weekYear };
+}
+
+function dateTrunc(field, value) {
+  const date = new Date(asDate(value).getTime());
+  switch (String(field).toLowerCase()) {
+    case 'millennium':
+    case 'century':
+    case 'decade':
+    case 'year':
+      date.setMonth(0, 1);
+      date.setHours(0, 0, 0, 0);
+      return date;
+    case 'quarter':
+      date.setMonth(date.getMonth() - (date.getMonth() % 3), 1);
+      date.setHours(0, 0, 0, 0);
+      return date;
+    case 'month':
+      date.setDate(1);
+      date.setHours(0, 0, 0, 0);
+      return date;
+    case 'week':
+      date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+      date.setHours(0, 0, 0, 0);
+      return date;
+    case 'day':
+      date.setHours(0, 0, 0, 0);
+      return date;
+    case 'hour':
+      date.setMinutes(0, 0, 0);
+      return date;
+    case 'minute':
+      date.setSeconds(0, 0);
+      return date;
+    case 'second':
+      date.setMilliseconds(0);
+      return date;
+    case 'milliseconds':
+    case 'microseconds':
+      return date;
+    default:
+      throw new DatabaseError(`unit "${field}" not recognized for type timestamp`, '22023');
+  }
+}
+
+function datePart(field, value) {
+  const unit = String(field).toLowerCase();
+
+  if (value instanceof Interval) {
+    switch (unit) {
+      case 'epoch':
+        return value.totalMilliseconds() / 1000;
+      case 'year':
+        return Math.trunc(value.months / 12);
+      case 'month':
+        return value.months % 12;
+      case 'day':
+        return value.days;
+      case 'hour':
+        return Math.trunc(value.ms / 3600000);
+      case 'minute':
+        return Math.trunc((value.ms % 3600000) / 60000);
+      case 'second':
+        return (value.ms % 60000) / 1000;
+      default:
+        throw new DatabaseError(`unit "${field}" not supported for type interval`, '22023');
+    }
+  }
+
+  const date = asDate(value);
+  switch (unit) {
+    case 'epoch':
+      return date.getTime() / 1000;
+    case 'year':
+      return date.getFullYear();
+    case 'quarter':
+      return Math.floor(date.getMonth() / 3) + 1;
+    case 'month':
+      return date.getMonth() + 1;
+    case 'week':
+      return isoWeek(date).week;
+    case 'isoyear':
+      return isoWeek(date).year;
+    case 'day':
+      return date.getDate();
+    case 'dow':
+      return date.getDay();
+    case 'isodow':
+      return date.getDay() || 7;
+    case 'doy': {
+      const start = new Date(date.getFullYear(), 0, 1);
+      return Math.round((new Date(date.getFullYear(), date.getMonth(), date.getDate()) - start) / 86400000) + 1;
+    }
+    case 'hour':
+      return date.getHours();
+    case 'minute':
+      return date.getMinutes();
+    case 'second':
+      return date.getSeconds() + date.getMilliseconds() / 1000;
+    case 'milliseconds':
+      return date.getSeconds() * 1000 + date.getMilliseconds();
+    default:
+      throw new DatabaseError(`unit "${field}" not recognized for type timestamp`, '22023');
+  }
+}
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Subset of to_char() template patterns used for bucketing and labels
+function toChar(value, format) {
+  const date = asDate(value);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const tokens = {
+    YYYY: () => pad(date.getFullYear(), 4),
+    IYYY: () => pad(isoWeek(date).year, 4),
+    YY: () => pad(date.getFullYear() % 100),
+    MM: () => pad(date.getMonth() + 1),
+    DD: () => pad(date.getDate()),
+    HH24: () => pad(date.getHours()),
+    HH12: () => pad(date.getHours() % 12 || 12),
+    HH: () => pad(date.getHours() % 12 || 12),
+    MI: () => pad(date.getMinutes()),
+    SS: () => pad(date.getSeconds()),
+    MS: () => pad(date.getMilliseconds(), 3),
+    IW: () => pad(isoWeek(date).week),
+    Q: () => String(Math.floor(date.getMonth() / 3) + 1),
+    Month: () => MONTH_NAMES[date.getMonth()].padEnd(9, ' '),
+    Mon: () => MONTH_NAMES[date.getMonth()].slice(0, 3),
+    Day: () => DAY_NAMES[date.getDay()].padEnd(9, ' '),
+    Dy: () => DAY_NAMES[date.getDay()].slice(0, 3),
+    AM: () => (date.getHours() < 12 ? 'AM' : 'PM'),
+    PM: () => (date.getHours() < 12 ? 'AM' : 'PM')
+  };
+  const pattern = /FM|YYYY|IYYY|HH24|HH12|Month|Mon|Day|Dy|YY|MM|DD|HH|MI|SS|MS|IW|AM|PM|Q|"[^"]*"/g;
+
+  let fillMode = false;
+  return String(format).replace(pattern, token => {
+    if (token === 'FM') {
+      fillMode = true;
+      return '';
+    }
+    if (token.startsWith('"')) return token.slice(1, -1);
+    let output = tokens[token]();
+    if (fillMode) {
+      output = output.trim().replace(/^0+(?=\d)/, '');
+      fillMode = false;
+    }
+    return output;
+  });
+}
+
+function jsonContains(container, contained) {
+  return containsValue(asJson(container), asJson(contained));
+}
+
+function containsValue(container, contained) {
+  if (Array.isArray(container)) {
+    if (Array.isArray(contained)) {
+      return contained.every(item => container.some(candidate => containsValue(candidate, item)));
+    }
+    if (contained === null || typeof contained !== 'object') {
+      return container.some(candidate => stableStringify(candidate) === stableStringify(contained));
+    }
+    return false;
+  }
+  if (container && typeof container === 'object') {
+    if (!contained || typeof contained !== 'object' || Array.isArray(contained)) return false;
+    return Object.keys(contained).every(key => key in container && containsValue(container[key], contained[key]));
+  }
+  return stableStringify(container) === stableStringify(contained);
+}
+
+function jsonGet(value, key) {
+  const json = asJson(value);
+  if (json === null || typeof json !== 'object') return null;
+  if (Array.isArray(json)) {
+    if (typeof key !== 'number' && !/^-?\d+$/.test(String(key))) return null;
+    let index = Number(key);
+    if (index < 0) index += json.length;
+    return json[index] === undefined ? null : json[index];
+  }
+  return Object.prototype.hasOwnProperty.call(json, key) ? json[key] : null;
+}
+
+function jsonText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function trimChars(text, chars, mode) {
+  const set = new Set(String(chars));
+  let start = 0;
+  let end = text.length;
+  if (mode !== 'trailing') {
+    while (start < end && set.has(text[start])) start++;
+  }
+  if (mode !== 'leading') {
+    while (end > start && set.has(text[end - 1])) end--;
+  }
+  return text.slice(start, end);
+}
+
+function requireArgs(name, args, min, max = min) {
+  if (args.length < min || args.length > max) {
+    throw new DatabaseError(`function ${name} with ${args.length} argument(s) does not exist`, '42883');
+  }
+}
+
+// Functions that return NULL whenever any argument is NULL
+const STRICT = new Set([
+  'lower', 'upper', 'length', 'char_length', 'character_length', 'trim', 'btrim', 'ltrim', 'rtrim',
+  'substring', 'substr', 'left', 'right', 'replace', 'translate', 'split_part', 'strpos', 'position', 'initcap',
+  'repeat', 'lpad', 'rpad', 'md5', 'abs', 'round', 'trunc', 'ceil', 'ceiling', 'floor', 'sign',
+  'power', 'pow', 'sqrt', 'mod', 'ln', 'log', 'exp', 'date_trunc', 'date_part', 'to_char',
+  'to_timestamp', 'jsonb_array_length', 'json_array_length', 'jsonb_typeof', 'json_typeof',
+  'array_length', 'cardinality', 'array_to_string', 'string_to_array', 'regexp_replace',
+  'jsonb_extract_path_text', 'json_extract_path_text', 'age'
+]);
+
+const SCALAR_FUNCTIONS = {
+  // Conditional
+  coalesce: args => {
+    const found = args.find(value => value !== null && value !== undefined);
+    return found === undefined ? null : found;
+  },
+  nullif: args => {
+    requireArgs('nullif', args, 2);
+    if (args[0] !== null && args[1] !== null && compareValues(args[0], args[1]) === 0) return null;
+    return args[0];
+  },
+  greatest: args => {
+    const values = args.filter(value => value !== null);
+    return values.length ? values.reduce((best, value) => (compareValues(value, best) > 0 ? value : best)) : null;
+  },
+  least: args => {
+    const values = args.filter(value => value !== null);
+    return values.length ? values.reduce((best, value) => (compareValues(value, best) < 0 ? value : best)) : null;
+  },
+
+  // Strings
+  lower: ([text]) => toText(text).toLowerCase(),
+  upper: ([text]) => toText(text).toUpperCase(),
+  initcap: ([text]) => toText(text).toLowerCase().replace(/(^|[^a-z0-9])([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase()),
+  length: ([text]) => toText(text).length,
+  char_length: ([text]) => toText(text).length,
+  character_length: ([text]) => toText(text).length,
+  trim: ([text, chars = ' ', mode = 'both']) => trimChars(toText(text), chars, mode),
+  btrim: ([text, chars = ' ']) => trimChars(toText(text), chars, 'both'),
+  ltrim: ([text, chars = ' ']) => trimChars(toText(text), chars, 'leading'),
+  rtrim: ([text, chars = ' ']) => trimChars(toText(text), chars, 'trailing'),
+  substring: ([text, start = 1, count]) => {
+    const source = toText(text);
+    const from = Math.max(0, toNumber(start, 'integer') - 1);
+    const to = count === undefined ? source.length : toNumber(start, 'integer') - 1 + toNumber(count, 'integer');
+    return source.slice(from, Math.max(from, to));
+  },
+  substr: args => SCALAR_FUNCTIONS.substring(args),
+  left: ([text, count]) => {
+    const source = toText(text);
+    const n = toNumber(count, 'integer');
+    return n >= 0 ? source.slice(0, n) : source.slice(0, Math.max(0, source.length + n));
+  },
+  right: ([text, count]) => {
+    const source = toText(text);
+    const n = toNumber(count, 'integer');
+    return n >= 0 ? source.slice(Math.max(0, source.length - n)) : source.slice(-n);
+  },
+  replace: ([text, from, to]) => toText(text).split(toText(from)).join(toText(to)),
+  // Each character of from becomes the one at the same place in to, or is
+  // dropped when to is shorter
+  translate: ([text, from, to]) => {
+    const source = Array.from(toText(from));
+    const target = Array.from(toText(to));
+    return Array.from(toText(text), ch => {
+      const index = source.indexOf(ch);
+      return index === -1 ? ch : (target[index] || '');
+    }).join('');
+  },
+  concat: args => args.filter(value => value !== null && value !== undefined).map(toText).join(''),
+  concat_ws: ([separator, ...rest]) => (separator === null ? null : rest.filter(value => value !== null).map(toText).join(toText(separator))),
+  split_part: ([text, delimiter, index]) => {
+    const parts = toText(text).split(toText(delimiter));
+    const n = toNumber(index, 'integer');
+    return (n > 0 ? parts[n - 1] : parts[parts.length + n]) || '';
+  },
+  strpos: ([text, needle]) => toText(text).indexOf(toText(needle)) + 1,
+  position: ([needle, text]) => toText(text).indexOf(toText(needle)) + 1,
+  repeat: ([text, count]) => toText(text).repeat(Math.max(0, toNumber(count, 'integer'))),
+  lpad: ([text, length, fill = ' ']) => {
+    const source = toText(text);
+    const n = toNumber(length, 'integer');
+    return source.length >= n ? source.slice(0, n) : source.padStart(n, fill);
+  },
+  rpad: ([text, length, fill = ' ']) => {
+    const source = toText(text);
+    const n = toNumber(length, 'integer');
+    return source.length >= n ? source.slice(0, n) : source.padEnd(n, fill);
+  },
+  md5: ([text]) => crypto.createHash('md5').update(toText(text)).digest('hex'),
+  regexp_replace: ([text, pattern, replacement, flags = '']) => {
+    const jsFlags = String(flags).replace(/[^gi]/g, '');
+    return toText(text).replace(new RegExp(toText(pattern), jsFlags), toText(replacement).replace(/\\(\d)/g, '$$$1'));
+  },
+
+  // Numbers
+  abs: ([value]) => Math.abs(toNumber(value, 'numeric')),
+  round: ([value, places = 0]) => {
+    const factor = Math.pow(10, toNumber(places, 'integer'));
+    const number = toNumber(value, 'numeric');
+    return Math.sign(number) * Math.round(Math.abs(number) * factor) / factor;
+  },
+  trunc: ([value, places = 0]) => {
+    const factor = Math.pow(10, toNumber(places, 'integer'));
+    return Math.trunc(toNumber(value, 'numeric') * factor) / factor;
+  },
+  ceil: ([value]) => Math.ceil(toNumber(value, 'numeric')),
+  ceiling: ([value]) => Math.ceil(toNumber(value, 'numeric')),
+  floor: ([value]) => Math.floor(toNumber(value, 'numeric')),
+  sign: ([value]) => Math.sign(toNumber(value, 'numeric')),
+  power: ([base, exponent]) => Math.pow(toNumber(base, 'numeric'), toNumber(exponent, 'numeric')),
+  pow: args => SCALAR_FUNCTIONS.power(args),
+  sqrt: ([value]) => {
+    const number = toNumber(value, 'numeric');
+    if (number < 0) throw new DatabaseError('cannot take square root of a negative number', '2201F');
+    return Math.sqrt(number);
+  },
+  mod: ([a, b]) => {
+    const divisor = toNumber(b, 'numeric');
+    if (divisor === 0) throw new DatabaseError('division by zero', '22012');
+    return toNumber(a, 'numeric') % divisor;
+  },
+  ln: ([value]) => Math.log(toNumber(value, 'numeric')),
+  log: args => (args.length === 2
+    ? Math.log(toNumber(args[1], 'numeric')) / Math.log(toNumber(args[0], 'numeric'))
+    : Math.log10(toNumber(args[0], 'numeric'))),
+  exp: ([value]) => Math.exp(toNumber(value, 'numeric')),
+  random: () => Math.random(),
+
+  // Date/time
+  now: (args, ctx) => new Date(ctx.now.getTime()),
+  transaction_timestamp: (args, ctx) => new Date(ctx.now.getTime()),
+  statement_timestamp: (args, ctx) => new Date(ctx.now.getTime()),
+  clock_timestamp: () => new Date(),
+  current_date: (args, ctx) => {
+    const today = new Date(ctx.now.getTime());
+    today.setHours(0, 0, 0, 0);
+    return today;
+  },
+  date_trunc: ([field, value]) => dateTrunc(field, value),
+  date_part: ([field, value]) => datePart(field, value),
+  to_char: ([value, format]) => (typeof value === 'number' ? String(value) : toChar(value, format)),
+  to_timestamp: ([seconds]) => new Date(toNumber(seconds, 'double precision') * 1000),
+  age: ([a, b]) => {
+    const end = asDate(a);
+    const start = b === undefined ? new Date() : asDate(b);
+    const diff = end.getTime() - start.getTime();
+    return new Interval(0, Math.trunc(diff / 86400000), diff % 86400000);
+  },
+
+  // Identifiers
+  gen_random_uuid: () => crypto.randomUUID(),
+  uuid_generate_v4: () => crypto.randomUUID(),
+
+  // JSON
+  jsonb_array_length: ([value]) => {
+    const json = asJson(value);
+    if (!Array.isArray(json)) throw new DatabaseError('cannot get array length of a non-array', '22023');
+    return json.length;
+  },
+  json_array_length: args => SCALAR_FUNCTIONS.jsonb_array_length(args),
+  jsonb_typeof: ([value]) => {
+    const json = asJson(value);
+    if (json === null) return 'null';
+    if (Array.isArray(json)) return 'array';
+    return typeof json === 'object' ? 'object' : typeof json;
+  },
+  json_typeof: args => SCALAR_FUNCTIONS.jsonb_typeof(args),
+  jsonb_build_object: args => {
+    if (args.length % 2 !== 0) {
+      throw new DatabaseError('argument list must have even number of elements', '22023');
+    }
+    const result = {};
+    for (let i = 0; i < args.length; i += 2) {
+      result[toText(args[i])] = args[i + 1] instanceof Date ? args[i + 1].toISOString() : cloneJson(args[i + 1]);
+    }
+    return result;
+  },
+  json_build_object: args => SCALAR_FUNCTIONS.jsonb_build_object(args),
+  jsonb_build_array: args => args.map(value => (value instanceof Date ? value.toISOString() : cloneJson(value))),
+  json_build_array: args => SCALAR_FUNCTIONS.jsonb_build_array(args),
+  to_jsonb: ([value]) => (value instanceof Date ? value.toISOString() : cloneJson(value === undefined ? null : value)),
+  to_json: args => SCALAR_FUNCTIONS.to_jsonb(args),
+  jsonb_extract_path_text: ([value, ...path]) => jsonText(path.reduce((current, key) => (current === null ? null : jsonGet(current, key)), asJson(value))),
+  json_extract_path_text: args => SCALAR_FUNCTIONS.jsonb_extract_path_text(args),
+
+  // Arrays
+  array_length: ([array, dimension = 1]) => (Array.isArray(array) && dimension === 1 && array.length ? array.length : null),
+  cardinality: ([array]) => (Array.isArray(array) ? array.length : null),
+  array_to_string: ([array, separator]) => array.filter(item => item !== null).map(toText).join(toText(separator)),
+  string_to_array: ([text, separator]) => toText(text).split(toText(separator)),
+
+  // Introspection
+  version: () => 'PostgreSQL 15.0 (in-memory)',
+  current_database: () => 'memory',
+  current_schema: () => 'public'
+};
+
+/**
+ * Call a scalar function by name
+ */
+function callScalar(name, args, ctx) {
+  const fn = SCALAR_FUNCTIONS[name];
+  if (!fn) {
+    throw new DatabaseError(`function ${name}() does not exist`, '42883');
+  }
+  if (STRICT.has(name) && args.some(value => value === null || value === undefined)) {
+    return null;
+  }
+  return fn(args, ctx);
+}
+
+/**
+ * Compute an aggregate over already-evaluated inputs
+ * @param {string} name - Aggregate name
+ * @param {Array<Array<*>>} inputs - Argument tuples, one per input row (already filtered/ordered/distinct)
+ * @param {boolean} star - count(*)
+ */
+function computeAggregate(name, inputs, star) {
+  if (star) {
+    if (name !== 'count') {
+      throw new DatabaseError(`${name}(*) is not supported`, '42809');
+    }
+    return inputs.length;
+  }
+
+  const values = inputs.map(tuple => tuple[0]);
+  const present = values.filter(value => value !== null && value !== undefined);
+
+  switch (name) {
+    case 'count':
+      return present.length;
+    case 'sum':
+      if (present.length === 0) return null;
+      if (present[0] instanceof Interval) return present.reduce((total, value) => total.plus(value));
+      return present.reduce((total, value) => total + toNumber(value, 'numeric'), 0);
+    case 'avg':
+      if (present.length === 0) return null;
+      return present.reduce((total, value) => total + toNumber(value, 'numeric'), 0) / present.length;
+    case 'min':
+      return present.length ? present.reduce((best, value) => (compareValues(value, best) < 0 ? value : best)) : null;
+    case 'max':
+      return present.length ? present.reduce((best, value) => (compareValues(value, best) > 0 ? value : best)) : null;
+    case 'bool_and':
+    case 'every':
+      return present.length ? present.every(Boolean) : null;
+    case 'bool_or':
+      return present.length ? present.some(Boolean) : null;
+    case 'string_agg': {
+      const kept = inputs.filter(tuple => tuple[0] !== null && tuple[0] !== undefined);
+      if (kept.length === 0) return null;
+      return kept.map((tuple, i) => (i === 0 ? '' : toText(tuple[1] === null ? '' : tuple[1])) + toText(tuple[0])).join('');
+    }
+    case 'array_agg':
+      return inputs.length ? values.map(value => (value === undefined ? null : value)) : null;
+    case 'json_agg':
+    case 'jsonb_agg':
+      return inputs.length ? values.map(value => (value instanceof Date ? value.toISOString() : cloneJson(value === undefined ? null : value))) : null;
+    case 'json_object_agg':
+    case 'jsonb_object_agg': {
+      if (inputs.length === 0) return null;
+      const result = {};
+      inputs.forEach(tuple => {
+        result[toText(tuple[0])] = cloneJson(tuple[1] === undefined ? null : tuple[1]);
+      });
+      return result;
+    }
+    default:
+      throw new DatabaseError(`function ${name}() does not exist`, '42883');
+  }
+}
+
+/**
+ * Dedupe aggregate input tuples for `agg(DISTINCT ...)`
+ */
+function distinctInputs(inputs) {
+  const seen = new Set();
+  return inputs.filter(tuple => {
+    const key = tuple.map(valueKey).join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Evaluate a set-returning function used in FROM
+ * @returns {{ columns: string[], rows: object[] }}
+ */
+function callTableFunction(name, args) {
+  switch (name) {
+    case 'generate_series': {
+      requireArgs(name, args, 2, 3);
+      const [start, stop, step] = args;
+      if (start === null || stop === null) return { columns: ['generate_series'], rows: [] };
+      const rows = [];
+
+      if (start instanceof Date || (typeof start === 'string' && isNaN(Number(start)))) {
+        const interval = step instanceof Interval ? step : Interval.parse(step);
+        if (interval.totalMilliseconds() <= 0) {
+          throw new DatabaseError('step size cannot equal zero', '22023');
+        }
+        const end = asDate(stop);
+        for (let current = asDate(start), i = 0; current <= end && i < 100000; i++) {
+          rows.push({ generate_series: current });
+          current = interval.addTo(current);
+        }
+      } else {
+        const increment = step === undefined ? 1 : toNumber(step, 'integer');
+        if (increment === 0) throw new DatabaseError('step size cannot equal zero', '22023');
+        const from = toNumber(start, 'integer');
+        const to = toNumber(stop, 'integer');
+        for (let value = from; increment > 0 ? value <= to : value >= to; value += increment) {
+          rows.push({ generate_series: value });
+        }
+      }
+      return { columns: ['generate_series'], rows };
+    }
+    case 'unnest': {
+      const array = args[0];
+      if (array === null || array === undefined) return { columns: ['unnest'], rows: [] };
+      if (!Array.isArray(array)) throw new DatabaseError('function unnest requires an array argument', '42883');
+      return { columns: ['unnest'], rows: array.map(value => ({ unnest: value })) };
+    }
+    case 'jsonb_array_elements':
+    case 'json_array_elements':
+    case 'jsonb_array_elements_text':
+    case 'json_array_elements_text': {
+      const json = asJson(args[0]);
+      if (json === null || json === undefined) return { columns: ['value'], rows: [] };
+      if (!Array.isArray(json)) throw new DatabaseError('cannot extract elements from an object', '22023');
+      const asText = name.endsWith('_text');
+      return { columns: ['value'], rows: json.map(value => ({ value: asText ? jsonText(value) : value })) };
+    }
+    case 'jsonb_each':
+    case 'json_each':
+    case 'jsonb_each_text':
+    case 'json_each_text': {
+      const json = asJson(args[0]);
+      if (json === null || json === undefined) return { columns: ['key', 'value'], rows: [] };
+      const asText = name.endsWith('_text');
+      return {
+        columns: ['key', 'value'],
+        rows: Object.keys(json).map(key => ({ key, value: asText ? jsonText(json[key]) : json[key] }))
+      };
+    }
+    case 'jsonb_object_keys':
+    case 'json_object_keys': {
+      const json = asJson(args[0]);
+      if (json === null || json === undefined) return { columns: [name], rows: [] };
+      return { columns: [name], rows: Object.keys(json).map(key => ({ [name]: key })) };
+    }
+    default:
+      throw new DatabaseError(`function ${name}() does not exist`, '42883');
+  }
+}
+
+module.exports = {
+  AGGREGATES,
+  callScalar,
+  computeAggregate,
+  distinctInputs,
+  callTableFunction,
+  jsonContains,
+  jsonGet,
+  jsonText,
+  asJson
+};
@@ -0,0 +1,306 @@
+/**
+ * In-Memory Database
+ * A small PostgreSQL-compatible SQL engine used when no database server is
+ * available. Exposes the same query/connect surface as a `pg` Pool, with
+ * per-client sessions, real BEGIN/COMMIT/ROLLBACK semantics and row locks
+ * taken with SELECT ... FOR UPDATE.
+ */
+
+const { parse } = require('./parser');
+const { Executor } = require('./executor');
+const { DatabaseError, LockConflict } = require('./errors');
+const { formatValue, typeOid } = require('./types');
+
+const PARSE_CACHE_SIZE = 500;
+
+// Convert parameter values the way node-postgres prepares them
+function prepareValue(value) {
+  if (value === undefined || value === null) return null;
+  if (Array.isArray(value)) return value.map(prepareValue);
+  if (value instanceof Date || Buffer.isBuffer(value)) return value;
+  if (typeof value === 'object') {
+    return typeof value.toPostgres === 'function' ? value.toPostgres(prepareValue) : JSON.stringify(value);
+  }
+  if (typeof value === 'bigint') return value.toString();
+  return value;
+}
+
+class MemoryDatabase {
+  constructor() {
+    this.tables = new Map();
+    this.indexes = new Map();
+    this.parseCache = new Map();
+    // Row lock key -> session holding it until its transaction ends
+    this.rowLocks = new Map();
+    this.defaultSession = this.createSession();
+  }
+
+  createSession() {
+    return {
+      inTransaction: false,
+      aborted: false,
+      undo: [],
+      startedAt: null,
+      locks: new Set(),
+      waitingFor: null,
+      released: null,
+      notifyReleased: null
+    };
+  }
+
+  parse(text) {
+    let statements = this.parseCache.get(text);
+    if (statements) {
+      // Refresh LRU position
+      this.parseCache.delete(text);
+    } else {
+      statements = parse(text);
+    }
+    this.parseCache.set(text, statements);
+    if (this.parseCache.size > PARSE_CACHE_SIZE) {
+      this.parseCache.delete(this.parseCache.keys().next().value);
+    }
+    return statements;
+  }
+
+  /**
+   * Run SQL text
+   * @param {string|object} config - SQL text or a `{ text, values }` query config
+   * @param {Array} [values] - Positional parameters ($1, $2, ...)
+   * @param {object} [session] - Session from createSession(); defaults to the shared autocommit session
+   * @returns {Promise<object|object[]>} pg-style result (an array for multi-statement text)
+   */
+  async query(config, values, session = this.defaultSession) {
+    const text = typeof config === 'string' ? config : config.text;
+    const params = (values || (typeof config === 'object' && config.values) || []).map(prepareValue);
+    return this.execute(text, params, session);
+  }
+
+  async execute(text, params, session) {
+    const statements = this.parse(text);
+
+    if (params.length > 0) {
+      if (statements.length > 1) {
+        throw new DatabaseError('cannot insert multiple commands into a prepared statement', '42601');
+      }
+      if (params.length !== statements.paramCount) {
+        throw new DatabaseError(`bind message supplies ${params.length} parameters, but prepared statement "" requires ${statements.paramCount}`, '08P01');
+      }
+    }
+
+    // Several statements sent together run as one implicit transaction
+    const controlsTransaction = statements.some(statement => ['begin', 'commit', 'rollback'].includes(statement.type));
+    const implicit = statements.length > 1 && !session.inTransaction && !controlsTransaction;
+    const implicitUndo = [];
+    const now = new Date();
+    const results = [];
+
+    try {
+      for (const statement of statements) {
+        // Only a lock wait yields, so other sessions never see a statement half done
+        for (;;) {
+          try {
+            results.push(this.executeStatement(statement, params, session, implicit ? implicitUndo : null, now));
+            break;
+          } catch (error) {
+            if (!(error instanceof LockConflict)) throw error;
+            await this.waitForLock(session, error.holder);
+          }
+        }
+      }
+    } catch (error) {
+      this.revert(implicitUndo);
+      throw error;
+    }
+
+    if (statements.length === 0) {
+      return this.formatResult({ command: null, rowCount: null, columns: [], rows: [] });
+    }
+    return results.length === 1 ? results[0] : results;
+  }
+
+  executeStatement(statement, params, session, implicitUndo, now) {
+    if (session.aborted && statement.type !== 'commit' && statement.type !== 'rollback') {
+      throw new DatabaseError('current transaction is aborted, commands ignored until end of transaction block', '25P02');
+    }
+
+    switch (statement.type) {
+      case 'begin':
+        if (!session.inTransaction) {
+          session.inTransaction = true;
+          session.aborted = false;
+          session.undo = [];
+          session.startedAt = new Date();
+        }
+        return this.formatResult({ command: 'BEGIN', rowCount: null, columns: [], rows: [] });
+      case 'commit': {
+        const command = session.aborted ? 'ROLLBACK' : 'COMMIT';
+        if (session.aborted) this.revert(session.undo);
+        this.endTransaction(session);
+        return this.formatResult({ command, rowCount: null, columns: [], rows: [] });
+      }
+      case 'rollback':
+        this.revert(session.undo);
+        this.endTransaction(session);
+        return this.formatResult({ command: 'ROLLBACK', rowCount: null, columns: [], rows: [] });
+      default:
+        break;
+    }
+
+    const executor = new Executor(this, { params, session, now: session.inTransaction ? session.startedAt : now });
+    let result;
+    try {
+      result = executor.execute(statement);
+    } catch (error) {
+      this.revert(executor.undo);
+      if (session.inTransaction && !(error instanceof LockConflict)) {
+        session.aborted = true;
+      }
+      throw error;
+    }
+
+    if (session.inTransaction) {
+      session.undo.push(...executor.undo);
+      // Outside a transaction a lock ends with its statement
+      executor.lockedKeys.forEach(key => {
+        this.rowLocks.set(key, session);
+        session.locks.add(key);
+      });
+    } else if (implicitUndo) {
+      implicitUndo.push(...executor.undo);
+    }
+    return this.formatResult(result);
+  }
+
+  endTransaction(session) {
+    session.inTransaction = false;
+    session.aborted = false;
+    session.undo = [];
+    session.startedAt = null;
+
+    session.locks.forEach(key => this.rowLocks.delete(key));
+    session.locks.clear();
+    if (session.notifyReleased) {
+      session.notifyReleased();
+      session.released = null;
+      session.notifyReleased = null;
+    }
+  }
+
+  /**
+   * Wait for the session holding a lock to end its transaction
+   * Waiting on a session that is (through others) waiting on this one would
+   * never end, so that fails as a deadlock and aborts the transaction.
+   */
+  async waitForLock(session, holder) {
+    for (let waiter = holder; waiter; waiter = waiter.waitingFor) {
+      if (waiter === session) {
+        if (session.inTransaction) {
+          session.aborted = true;
+        }
+        throw new DatabaseError('deadlock detected', '40P01');
+      }
+    }
+
+    if (!holder.released) {
+      holder.released = new Promise(resolve => {
+        holder.notifyReleased = resolve;
+      });
+    }
+    session.waitingFor = holder;
+    try {
+      await holder.released;
+    } finally {
+      session.waitingFor = null;
+    }
+  }
+
+  // Undo changes newest-first
+  revert(entries) {
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const entry = entries[i];
+      switch (entry.type) {
+        case 'insert': {
+          const index = entry.table.rows.lastIndexOf(entry.row);
+          if (index !== -1) entry.table.rows.splice(index, 1);
+          break;
+        }
+        case 'update': {
+          const index = entry.table.rows.indexOf(entry.newRow);
+          if (index !== -1) entry.table.rows[index] = entry.oldRow;
+          break;
+        }
+        case 'delete':
+          entry.table.rows.splice(Math.min(entry.index, entry.table.rows.length), 0, entry.row);
+          break;
+        case 'truncate':
+          entry.table.rows = entry.rows;
+          break;
+        case 'ddl':
+          this.tables = entry.tables;
+          this.indexes = entry.indexes;
+          break;
+        default:
+          break;
+      }
+    }
+    entries.length = 0;
+  }
+
+  formatResult({ command, rowCount, columns, rows }) {
+    return {
+      command,
+      rowCount,
+      oid: command === 'INSERT' ? 0 : null,
+      rows: rows.map(values => {
+        const row = {};
+        columns.forEach((column, i) => {
+          row[column.name] = formatValue(values[i], column.type);
+        });
+        return row;
+      }),
+      fields: columns.map(column => ({ name: column.name, dataTypeID: typeOid(column.type) }))
+    };
+  }
+
+  /**
+   * Check out a client with its own session (for transactions)
+   */
+  async connect() {
+    const session = this.createSession();
+    let released = false;
+
+    return {
+      query: (config, values) => {
+        if (released) {
+          return Promise.reject(new Error('Client was released and cannot be queried'));
+        }
+        return this.query(config, values, session);
+      },
+      release: () => {
+        if (released) return;
+        released = true;
+        // A client returned mid-transaction must not leak its changes
+        if (session.inTransaction) {
+          this.revert(session.undo);
+          this.endTransaction(session);
+        }
+      }
+    };
+  }
+
+  /**
+   * Drop every table and index
+   */
+  reset() {
+    this.tables = new Map();
+    this.indexes = new Map();
+    this.rowLocks = new Map();
+    this.defaultSession = this.createSession();
+  }
+}
+
+module.exports = {
+  MemoryDatabase,
+  DatabaseError
+};
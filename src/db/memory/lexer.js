@@ -0,0 +1,161 @@
+/**
+ * SQL Lexer
+ * Splits PostgreSQL-flavoured SQL text into tokens for the in-memory engine
+ */
+
+const { DatabaseError } = require('./errors');
+
+// Multi-character operators, longest first so greedy matching works
+const OPERATORS = [
+  '->>', '::', '<>', '!=', '<=', '>=', '||', '->', '@>', '<@',
+  '=', '<', '>', '+', '-', '*', '/', '%'
+];
+
+const PUNCTUATION = new Set(['(', ')', ',', ';', '.', '[', ']']);
+
+function isIdentStart(ch) {
+  return /[A-Za-z_]/.test(ch);
+}
+
+function isIdentPart(ch) {
+  return /[A-Za-z0-9_$]/.test(ch);
+}
+
+function isDigit(ch) {
+  return ch >= '0' && ch <= '9';
+}
+
+/**
+ * Tokenize a SQL string
+ * @param {string} sql - SQL text
+ * @returns {Array<{type: string, value: *, pos: number}>} Tokens, terminated by an `eof` token
+ */
+function tokenize(sql) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < sql.length) {
+    const ch = sql[i];
+
+    // Whitespace
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line comments
+    if (ch === '-' && sql[i + 1] === '-') {
+      while (i < sql.length && sql[i] !== '\n') i++;
+      continue;
+    }
+
+    // Block comments
+    if (ch === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      if (end === -1) {
+        throw new DatabaseError('unterminated /* comment', '42601');
+      }
+      i = end + 2;
+      continue;
+    }
+
+    const start = i;
+
+    // String literals ('it''s'), optionally with an E prefix for escapes
+    if (ch === "'" || ((ch === 'E' || ch === 'e') && sql[i + 1] === "'")) {
+      const escapes = ch !== "'";
+      i += escapes ? 2 : 1;
+      let value = '';
+      for (;;) {
+        if (i >= sql.length) {
+          throw new DatabaseError('unterminated quoted string', '42601');
+        }
+        if (sql[i] === "'") {
+          if (sql[i + 1] === "'") {
+            value += "'";
+            i += 2;
+            continue;
+          }
+          i++;
+          break;
+        }
+        if (escapes && sql[i] === '\\' && i + 1 < sql.length) {
+          const next = sql[i + 1];
+          value += { n: '\n', t: '\t', r: '\r' }[next] || next;
+          i += 2;
+          continue;
+        }
+        value += sql[i++];
+      }
+      tokens.push({ type: 'string', value, pos: start });
+      continue;
+    }
+
+    // Quoted identifiers keep their case
+    if (ch === '"') {
+      const end = sql.indexOf('"', i + 1);
+      if (end === -1) {
+        throw new DatabaseError('unterminated quoted identifier', '42601');
+      }
+      tokens.push({ type: 'ident', value: sql.slice(i + 1, end), quoted: true, pos: start });
+      i = end + 1;
+      continue;
+    }
+
+    // Positional parameters ($1, $2, ...)
+    if (ch === '$' && isDigit(sql[i + 1])) {
+      i++;
+      while (isDigit(sql[i])) i++;
+      tokens.push({ type: 'param', value: parseInt(sql.slice(start + 1, i), 10), pos: start });
+      continue;
+    }
+
+    // Numbers
+    if (isDigit(ch) || (ch === '.' && isDigit(sql[i + 1]))) {
+      while (isDigit(sql[i])) i++;
+      if (sql[i] === '.' && isDigit(sql[i + 1] || '')) {
+        i++;
+        while (isDigit(sql[i])) i++;
+      } else if (sql[i] === '.' && !isIdentStart(sql[i + 1] || '')) {
+        i++;
+      }
+      if ((sql[i] === 'e' || sql[i] === 'E') && /[0-9+-]/.test(sql[i + 1] || '')) {
+        i += 2;
+        while (isDigit(sql[i])) i++;
+      }
+      tokens.push({ type: 'number', value: Number(sql.slice(start, i)), raw: sql.slice(start, i), pos: start });
+      continue;
+    }
+
+    // Identifiers and keywords (unquoted identifiers fold to lower case)
+    if (isIdentStart(ch)) {
+      while (i < sql.length && isIdentPart(sql[i])) i++;
+      const raw = sql.slice(start, i);
+      tokens.push({ type: 'ident', value: raw.toLowerCase(), upper: raw.toUpperCase(), pos: start });
+      continue;
+    }
+
+    // Operators
+    const op = OPERATORS.find(candidate => sql.startsWith(candidate, i));
+    if (op) {
+      tokens.push({ type: 'op', value: op, pos: start });
+      i += op.length;
+      continue;
+    }
+
+    if (PUNCTUATION.has(ch)) {
+      tokens.push({ type: 'punct', value: ch, pos: start });
+      i++;
+      continue;
+    }
+
+    throw new DatabaseError(`syntax error at or near "${ch}"`, '42601', { position: start + 1 });
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: sql.length });
+  return tokens;
+}
+
+module.exports = {
+  tokenize
+};
@@ -0,0 +1,1338 @@
+/**
+ * SQL Parser
+ * Recursive-descent parser producing a plain-object AST for the subset of
+ * PostgreSQL used by the API (DML, DDL, transactions)
+ */
+
+const { tokenize } = require('./lexer');
+const { DatabaseError } = require('./errors');
+
+// Words that cannot be used as implicit (AS-less) aliases
+const RESERVED = new Set([
+  'all', 'and', 'any', 'as', 'asc', 'between', 'by', 'case', 'cross', 'default', 'desc',
+  'distinct', 'do', 'else', 'end', 'except', 'exists', 'false', 'fetch', 'for', 'from',
+  'full', 'group', 'having', 'ilike', 'in', 'inner', 'intersect', 'into', 'is', 'isnull',
+  'join', 'lateral', 'left', 'like', 'limit', 'natural', 'not', 'notnull', 'null', 'nulls',
+  'offset', 'on', 'or', 'order', 'outer', 'returning', 'right', 'select', 'set', 'some',
+  'then', 'true', 'union', 'using', 'values', 'when', 'where', 'window', 'with', 'filter'
+]);
+
+const JOIN_STARTERS = new Set(['join', 'inner', 'left', 'right', 'full', 'cross']);
+
+// Canonical names for SQL type spellings
+const TYPE_ALIASES = {
+  int: 'integer',
+  int4: 'integer',
+  integer: 'integer',
+  smallint: 'integer',
+  int2: 'integer',
+  bigint: 'bigint',
+  int8: 'bigint',
+  serial: 'serial',
+  serial4: 'serial',
+  bigserial: 'bigserial',
+  serial8: 'bigserial',
+  decimal: 'numeric',
+  numeric: 'numeric',
+  real: 'double',
+  float4: 'double',
+  float: 'double',
+  float8: 'double',
+  'double precision': 'double',
+  varchar: 'varchar',
+  'character varying': 'varchar',
+  char: 'varchar',
+  character: 'varchar',
+  text: 'text',
+  citext: 'text',
+  name: 'text',
+  bool: 'boolean',
+  boolean: 'boolean',
+  timestamp: 'timestamp',
+  'timestamp without time zone': 'timestamp',
+  timestamptz: 'timestamptz',
+  'timestamp with time zone': 'timestamptz',
+  date: 'date',
+  time: 'text',
+  uuid: 'uuid',
+  json: 'json',
+  jsonb: 'jsonb',
+  inet: 'inet',
+  cidr: 'inet',
+  interval: 'interval',
+  bytea: 'text'
+};
+
+class Parser {
+  constructor(sql) {
+    this.sql = sql;
+    this.tokens = tokenize(sql);
+    this.pos = 0;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Token helpers
+  // ---------------------------------------------------------------------------
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    return this.tokens[this.pos++];
+  }
+
+  error(token = this.peek()) {
+    const near = token.type === 'eof' ? 'end of input' : `"${this.sql.slice(token.pos, token.pos + 20).split(/\s/)[0] || token.value}"`;
+    return new DatabaseError(`syntax error at or near ${near}`, '42601', { position: token.pos + 1 });
+  }
+
+  isKeyword(word, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'ident' && !token.quoted && token.value === word;
+  }
+
+  acceptKeyword(...words) {
+    for (let i = 0; i < words.length; i++) {
+      if (!this.isKeyword(words[i], i)) return false;
+    }
+    this.pos += words.length;
+    return true;
+  }
+
+  expectKeyword(...words) {
+    if (!this.acceptKeyword(...words)) {
+      throw this.error();
+    }
+  }
+
+  isPunct(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'punct' && token.value === value;
+  }
+
+  acceptPunct(value) {
+    if (this.isPunct(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectPunct(value) {
+    if (!this.acceptPunct(value)) {
+      throw this.error();
+    }
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'op' && token.value === value;
+  }
+
+  acceptOp(value) {
+    if (this.isOp(value)) {
+      this.pos++;
+      return true;
+    }
+    return false;
+  }
+
+  expectIdent() {
+    const token = this.next();
+    if (token.type !== 'ident') {
+      throw this.error(token);
+    }
+    return token.value;
+  }
+
+  // Parse an identifier list wrapped in parentheses: (a, b, c)
+  parseIdentList() {
+    this.expectPunct('(');
+    const names = [this.expectIdent()];
+    while (this.acceptPunct(',')) {
+      names.push(this.expectIdent());
+    }
+    this.expectPunct(')');
+    return names;
+  }
+
+  // Optional alias: `AS name` or a bare non-reserved identifier
+  parseAlias() {
+    if (this.acceptKeyword('as')) {
+      return this.expectIdent();
+    }
+    const token = this.peek();
+    if (token.type === 'ident' && (token.quoted || !RESERVED.has(token.value))) {
+      this.pos++;
+      return token.value;
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Statements
+  // ---------------------------------------------------------------------------
+
+  parseScript() {
+    const statements = [];
+    while (this.peek().type !== 'eof') {
+      if (this.acceptPunct(';')) continue;
+      statements.push(this.parseStatement());
+      if (this.peek().type !== 'eof') {
+        this.expectPunct(';');
+      }
+    }
+    return statements;
+  }
+
+  parseStatement() {
+    const token = this.peek();
+
+    if (this.isPunct('(')) {
+      return this.parseSelect();
+    }
+    if (token.type !== 'ident') {
+      throw this.error();
+    }
+
+    switch (token.value) {
+      case 'select':
+      case 'with':
+        return this.parseSelect();
+      case 'insert':
+        return this.parseInsert();
+      case 'update':
+        return this.parseUpdate();
+      case 'delete':
+        return this.parseDelete();
+      case 'create':
+        return this.parseCreate();
+      case 'drop':
+        return this.parseDrop();
+      case 'alter':
+        return this.parseAlter();
+      case 'truncate':
+        return this.parseTruncate();
+      case 'begin':
+      case 'start':
+        this.next();
+        this.acceptKeyword('transaction') || this.acceptKeyword('work');
+        this.skipTransactionModes();
+        return { type: 'begin' };
+      case 'commit':
+      case 'end':
+        this.next();
+        this.acceptKeyword('transaction') || this.acceptKeyword('work');
+        return { type: 'commit' };
+      case 'rollback':
+      case 'abort':
+        this.next();
+        this.acceptKeyword('transaction') || this.acceptKeyword('work');
+        return { type: 'rollback' };
+      case 'set':
+        // Session settings (SET search_path, SET LOCAL ...) have no effect in memory
+        while (this.peek().type !== 'eof' && !this.isPunct(';')) this.next();
+        return { type: 'noop', command: 'SET' };
+      default:
+        throw this.error();
+    }
+  }
+
+  skipTransactionModes() {
+    while (this.peek().type === 'ident' && ['isolation', 'level', 'read', 'write', 'only', 'serializable', 'repeatable', 'committed', 'uncommitted'].includes(this.peek().value)) {
+      this.next();
+      this.acceptPunct(',');
+    }
+  }
+
+  parseSelect() {
+    const ctes = [];
+    if (this.acceptKeyword('with')) {
+      if (this.isKeyword('recursive')) {
+        throw new DatabaseError('WITH RECURSIVE is not supported by the in-memory database', '0A000');
+      }
+      do {
+        const name = this.expectIdent();
+        const columns = this.isPunct('(') ? this.parseIdentList() : null;
+        this.expectKeyword('as');
+        this.expectPunct('(');
+        const query = this.parseSelect();
+        this.expectPunct(')');
+        ctes.push({ name, columns, query });
+      } while (this.acceptPunct(','));
+    }
+
+    const body = this.parseSetExpression();
+    const statement = { type: 'select', ctes, body, orderBy: null, limit: null, offset: null, lock: null };
+
+    this.parseSelectTail(statement);
+    return statement;
+  }
+
+  parseSelectTail(statement) {
+    if (this.acceptKeyword('order', 'by')) {
+      statement.orderBy = this.parseOrderByList();
+    }
+    for (;;) {
+      if (this.acceptKeyword('limit')) {
+        statement.limit = this.acceptKeyword('all') ? null : this.parseExpr();
+      } else if (this.acceptKeyword('offset')) {
+        statement.offset = this.parseExpr();
+        this.acceptKeyword('rows') || this.acceptKeyword('row');
+      } else if (this.acceptKeyword('fetch')) {
+        this.acceptKeyword('first') || this.expectKeyword('next');
+        statement.limit = this.peek().type === 'ident' ? { type: 'literal', value: 1 } : this.parseExpr();
+        this.acceptKeyword('rows') || this.expectKeyword('row');
+        this.expectKeyword('only');
+      } else if (this.acceptKeyword('for')) {
+        // Every strength locks exclusively; see Executor#lockRows
+        const lock = { tables: null, nowait: false, skipLocked: false };
+        this.acceptKeyword('no', 'key');
+        this.acceptKeyword('update') || this.acceptKeyword('share') || this.expectKeyword('key', 'share');
+        if (this.acceptKeyword('of')) {
+          lock.tables = [];
+          do { lock.tables.push(this.expectIdent()); } while (this.acceptPunct(','));
+        }
+        if (this.acceptKeyword('skip', 'locked')) {
+          lock.skipLocked = true;
+        } else if (this.acceptKeyword('nowait')) {
+          lock.nowait = true;
+        }
+        statement.lock = lock;
+      } else {
+        break;
+      }
+    }
+  }
+
+  parseSetExpression() {
+    let left = this.parseSelectCore();
+    for (;;) {
+      let op = null;
+      if (this.acceptKeyword('union')) op = 'union';
+      else if (this.acceptKeyword('intersect')) op = 'intersect';
+      else if (this.acceptKeyword('except')) op = 'except';
+      if (!op) break;
+
+      const all = this.acceptKeyword('all');
+      if (!all) this.acceptKeyword('distinct');
+      const right = this.parseSelectCore();
+      left = { type: 'setop', op, all, left, right };
+    }
+    return left;
+  }
+
+  parseSelectCore() {
+    if (this.acceptPunct('(')) {
+      const select = this.parseSelect();
+      this.expectPunct(')');
+      return { type: 'nested', select };
+    }
+
+    if (this.acceptKeyword('values')) {
+      const rows = this.parseValuesRows();
+      return { type: 'values', rows };
+    }
+
+    this.expectKeyword('select');
+    const core = {
+      type: 'core',
+      distinct: false,
+      distinctOn: null,
+      columns: [],
+      from: [],
+      where: null,
+      groupBy: null,
+      having: null
+    };
+
+    if (this.acceptKeyword('distinct')) {
+      core.distinct = true;
+      if (this.acceptKeyword('on')) {
+        this.expectPunct('(');
+        core.distinctOn = this.parseExprList();
+        this.expectPunct(')');
+      }
+    } else {
+      this.acceptKeyword('all');
+    }
+
+    core.columns = this.parseSelectList();
+
+    if (this.acceptKeyword('from')) {
+      core.from = this.parseFromList();
+    }
+    if (this.acceptKeyword('where')) {
+      core.where = this.parseExpr();
+    }
+    if (this.acceptKeyword('group', 'by')) {
+      core.groupBy = this.parseExprList();
+    }
+    if (this.acceptKeyword('having')) {
+      core.having = this.parseExpr();
+    }
+
+    return core;
+  }
+
+  parseSelectList() {
+    const columns = [];
+    do {
+      if (this.acceptOp('*')) {
+        columns.push({ star: true, table: null });
+        continue;
+      }
+      if (this.peek().type === 'ident' && this.isPunct('.', 1) && this.isOp('*', 2)) {
+        const table = this.expectIdent();
+        this.pos += 2;
+        columns.push({ star: true, table });
+        continue;
+      }
+      const expr = this.parseExpr();
+      const alias = this.parseAlias();
+      columns.push({ expr, alias });
+    } while (this.acceptPunct(','));
+    return columns;
+  }
+
+  parseOrderByList() {
+    const items = [];
+    do {
+      const expr = this.parseExpr();
+      let desc = false;
+      if (this.acceptKeyword('desc')) desc = true;
+      else this.acceptKeyword('asc');
+
+      let nulls = null;
+      if (this.acceptKeyword('nulls')) {
+        if (this.acceptKeyword('first')) nulls = 'first';
+        else {
+          this.expectKeyword('last');
+          nulls = 'last';
+        }
+      }
+      items.push({ expr, desc, nulls });
+    } while (this.acceptPunct(','));
+    return items;
+  }
+
+  parseFromList() {
+    const items = [this.parseJoinChain()];
+    while (this.acceptPunct(',')) {
+      items.push(this.parseJoinChain());
+    }
+    return items;
+  }
+
+  parseJoinChain() {
+    let left = this.parseFromPrimary();
+
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'ident' || !JOIN_STARTERS.has(token.value)) break;
+
+      let kind = 'inner';
+      if (this.acceptKeyword('cross')) {
+        this.expectKeyword('join');
+        const right = this.parseFromPrimary();
+        left = { type: 'join', kind: 'cross', left, right, on: null, using: null };
+        continue;
+      }
+      if (this.acceptKeyword('left')) kind = 'left';
+      else if (this.acceptKeyword('right')) kind = 'right';
+      else if (this.acceptKeyword('full')) kind = 'full';
+      else this.acceptKeyword('inner');
+      this.acceptKeyword('outer');
+      this.expectKeyword('join');
+
+      const right = this.parseFromPrimary();
+      let on = null;
+      let using = null;
+      if (this.acceptKeyword('on')) {
+        on = this.parseExpr();
+      } else if (this.acceptKeyword('using')) {
+        using = this.parseIdentList();
+      } else {
+        throw this.error();
+      }
+      left = { type: 'join', kind, left, right, on, using };
+    }
+
+    return left;
+  }
+
+  parseFromPrimary() {
+    const lateral = this.acceptKeyword('lateral');
+
+    if (this.acceptPunct('(')) {
+      if (this.isKeyword('select') || this.isKeyword('with') || this.isKeyword('values') || this.isPunct('(')) {
+        const query = this.parseSelect();
+        this.expectPunct(')');
+        const alias = this.parseAlias();
+        const columnAliases = alias && this.isPunct('(') ? this.parseIdentList() : null;
+        return { type: 'subquery', query, alias, columnAliases, lateral };
+      }
+      const inner = this.parseJoinChain();
+      this.expectPunct(')');
+      return inner;
+    }
+
+    const name = this.expectIdent();
+
+    // Set-returning functions in FROM (generate_series, unnest, ...)
+    if (this.isPunct('(')) {
+      this.pos++;
+      const args = this.isPunct(')') ? [] : this.parseExprList();
+      this.expectPunct(')');
+      this.acceptKeyword('with', 'ordinality');
+      const alias = this.parseAlias();
+      const columnAliases = alias && this.isPunct('(') ? this.parseIdentList() : null;
+      return { type: 'function', name, args, alias: alias || name, columnAliases };
+    }
+
+    let table = name;
+    if (this.acceptPunct('.')) {
+      // Schema-qualified names: only the public schema exists
+      table = this.expectIdent();
+    }
+    const alias = this.parseAlias();
+    return { type: 'table', name: table, alias: alias || table };
+  }
+
+  parseValuesRows() {
+    const rows = [];
+    do {
+      this.expectPunct('(');
+      const row = [];
+      do {
+        if (this.acceptKeyword('default')) {
+          row.push({ type: 'default' });
+        } else {
+          row.push(this.parseExpr());
+        }
+      } while (this.acceptPunct(','));
+      this.expectPunct(')');
+      rows.push(row);
+    } while (this.acceptPunct(','));
+    return rows;
+  }
+
+  parseInsert() {
+    this.expectKeyword('insert');
+    this.expectKeyword('into');
+    const table = this.parseTableName();
+    const alias = this.acceptKeyword('as') ? this.expectIdent() : table;
+    const columns = this.isPunct('(') && !this.isKeyword('select', 1) ? this.parseIdentList() : null;
+
+    const statement = { type: 'insert', table, alias, columns, rows: null, select: null, onConflict: null, returning: null };
+
+    if (this.acceptKeyword('default', 'values')) {
+      statement.rows = [[]];
+    } else if (this.acceptKeyword('values')) {
+      statement.rows = this.parseValuesRows();
+    } else {
+      statement.select = this.parseSelect();
+    }
+
+    if (this.acceptKeyword('on', 'conflict')) {
+      const conflict = { target: null, constraint: null, action: 'nothing', set: null, where: null };
+      if (this.isPunct('(')) {
+        conflict.target = this.parseIdentList();
+      } else if (this.acceptKeyword('on', 'constraint')) {
+        conflict.constraint = this.expectIdent();
+      }
+      this.expectKeyword('do');
+      if (this.acceptKeyword('update')) {
+        this.expectKeyword('set');
+        conflict.action = 'update';
+        conflict.set = this.parseSetList();
+        if (this.acceptKeyword('where')) {
+          conflict.where = this.parseExpr();
+        }
+      } else {
+        this.expectKeyword('nothing');
+      }
+      statement.onConflict = conflict;
+    }
+
+    if (this.acceptKeyword('returning')) {
+      statement.returning = this.parseSelectList();
+    }
+    return statement;
+  }
+
+  parseSetList() {
+    const assignments = [];
+    do {
+      let column = this.expectIdent();
+      if (this.acceptPunct('.')) {
+        column = this.expectIdent();
+      }
+      if (!this.acceptOp('=')) throw this.error();
+      const expr = this.acceptKeyword('default') ? { type: 'default' } : this.parseExpr();
+      assignments.push({ column, expr });
+    } while (this.acceptPunct(','));
+    return assignments;
+  }
+
+  parseTableName() {
+    let name = this.expectIdent();
+    if (this.acceptPunct('.')) {
+      name = this.expectIdent();
+    }
+    return name;
+  }
+
+  parseUpdate() {
+    this.expectKeyword('update');
+    this.acceptKeyword('only');
+    const table = this.parseTableName();
+    const alias = this.parseAlias() || table;
+    this.expectKeyword('set');
+    const set = this.parseSetList();
+    const from = this.acceptKeyword('from') ? this.parseFromList() : [];
+    const where = this.acceptKeyword('where') ? this.parseExpr() : null;
+    const returning = this.acceptKeyword('returning') ? this.parseSelectList() : null;
+    return { type: 'update', table, alias, set, from, where, returning };
+  }
+
+  parseDelete() {
+    this.expectKeyword('delete');
+    this.expectKeyword('from');
+    this.acceptKeyword('only');
+    const table = this.parseTableName();
+    const alias = this.parseAlias() || table;
+    const using = this.acceptKeyword('using') ? this.parseFromList() : [];
+    const where = this.acceptKeyword('where') ? this.parseExpr() : null;
+    const returning = this.acceptKeyword('returning') ? this.parseSelectList() : null;
+    return { type: 'delete', table, alias, using, where, returning };
+  }
+
+  parseTruncate() {
+    this.expectKeyword('truncate');
+    this.acceptKeyword('table');
+    const tables = [this.parseTableName()];
+    while (this.acceptPunct(',')) {
+      tables.push(this.parseTableName());
+    }
+    const restartIdentity = this.acceptKeyword('restart', 'identity');
+    this.acceptKeyword('continue', 'identity');
+    const cascade = this.acceptKeyword('cascade');
+    this.acceptKeyword('restrict');
+    return { type: 'truncate', tables, restartIdentity, cascade };
+  }
+
+  // ---------------------------------------------------------------------------
+  // DDL
+  // ---------------------------------------------------------------------------
+
+  parseCreate() {
+    this.expectKeyword('create');
+    this.acceptKeyword('or', 'replace');
+
+    if (this.acceptKeyword('extension')) {
+      this.acceptKeyword('if', 'not', 'exists');
+      this.expectIdent();
+      return { type: 'noop', command: 'CREATE EXTENSION' };
+    }
+
+    const unique = this.acceptKeyword('unique');
+    if (this.acceptKeyword('index')) {
+      return this.parseCreateIndex(unique);
+    }
+    if (unique) throw this.error();
+
+    this.acceptKeyword('temporary') || this.acceptKeyword('temp') || this.acceptKeyword('unlogged');
+    if (this.acceptKeyword('table')) {
+      return this.parseCreateTable();
+    }
+
+    throw new DatabaseError(`CREATE ${String(this.peek().upper || '').trim()} is not supported by the in-memory database`, '0A000');
+  }
+
+  parseCreateIndex(unique) {
+    this.acceptKeyword('concurrently');
+    const ifNotExists = this.acceptKeyword('if', 'not', 'exists');
+    const name = this.isKeyword('on') ? null : this.expectIdent();
+    this.expectKeyword('on');
+    const table = this.parseTableName();
+    if (this.acceptKeyword('using')) {
+      this.expectIdent();
+    }
+    this.expectPunct('(');
+    const columns = [];
+    do {
+      const expr = this.parseExpr();
+      // Operator classes (gin_trgm_ops) and sort directions do not matter here
+      if (this.peek().type === 'ident' && /_ops$/.test(this.peek().value)) this.next();
+      this.acceptKeyword('asc') || this.acceptKeyword('desc');
+      if (this.acceptKeyword('nulls')) {
+        this.acceptKeyword('first') || this.expectKeyword('last');
+      }
+      columns.push(expr);
+    } while (this.acceptPunct(','));
+    this.expectPunct(')');
+    const where = this.acceptKeyword('where') ? this.parseExpr() : null;
+    return { type: 'create_index', name, table, unique, columns, where, ifNotExists };
+  }
+
+  parseCreateTable() {
+    const ifNotExists = this.acceptKeyword('if', 'not', 'exists');
+    const name = this.parseTableName();
+    this.expectPunct('(');
+
+    const columns = [];
+    const constraints = [];
+
+    do {
+      if (this.isKeyword('constraint') || this.isKeyword('primary') || this.isKeyword('unique') ||
+          this.isKeyword('foreign') || this.isKeyword('check')) {
+        constraints.push(this.parseTableConstraint());
+      } else {
+        const column = this.parseColumnDefinition();
+        columns.push(column.definition);
+        constraints.push(...column.constraints);
+      }
+    } while (this.acceptPunct(','));
+
+    this.expectPunct(')');
+    return { type: 'create_table', name, ifNotExists, columns, constraints };
+  }
+
+  parseColumnDefinition() {
+    const name = this.expectIdent();
+    const dataType = this.parseType();
+    const definition = { name, dataType, notNull: false, default: null };
+    const constraints = [];
+
+    for (;;) {
+      let constraintName = null;
+      if (this.acceptKeyword('constraint')) {
+        constraintName = this.expectIdent();
+      }
+
+      if (this.acceptKeyword('primary', 'key')) {
+        definition.notNull = true;
+        constraints.push({ type: 'primary', name: constraintName, columns: [name] });
+      } else if (this.acceptKeyword('not', 'null')) {
+        definition.notNull = true;
+      } else if (this.acceptKeyword('null')) {
+        definition.notNull = false;
+      } else if (this.acceptKeyword('unique')) {
+        constraints.push({ type: 'unique', name: constraintName, columns: [name] });
+      } else if (this.acceptKeyword('default')) {
+        definition.default = this.parseBinary(this.precedence('||'));
+      } else if (this.acceptKeyword('references')) {
+        const reference = this.parseReference();
+        constraints.push({ type: 'foreign', name: constraintName, columns: [name], ...reference });
+      } else if (this.acceptKeyword('check')) {
+        this.expectPunct('(');
+        const expr = this.parseExpr();
+        this.expectPunct(')');
+        constraints.push({ type: 'check', name: constraintName, expr });
+      } else if (this.acceptKeyword('generated')) {
+        throw new DatabaseError('generated columns are not supported by the in-memory database', '0A000');
+      } else {
+        break;
+      }
+    }
+
+    return { definition, constraints };
+  }
+
+  parseReference() {
+    const table = this.parseTableName();
+    const columns = this.isPunct('(') ? this.parseIdentList() : null;
+    let onDelete = 'no action';
+    let onUpdate = 'no action';
+
+    while (this.acceptKeyword('on')) {
+      const event = this.acceptKeyword('delete') ? 'delete' : (this.expectKeyword('update'), 'update');
+      let action;
+      if (this.acceptKeyword('cascade')) action = 'cascade';
+      else if (this.acceptKeyword('restrict')) action = 'restrict';
+      else if (this.acceptKeyword('set', 'null')) action = 'set null';
+      else if (this.acceptKeyword('set', 'default')) action = 'set default';
+      else {
+        this.expectKeyword('no', 'action');
+        action = 'no action';
+      }
+      if (event === 'delete') onDelete = action;
+      else onUpdate = action;
+    }
+    this.acceptKeyword('deferrable');
+    this.acceptKeyword('initially', 'deferred') || this.acceptKeyword('initially', 'immediate');
+
+    return { refTable: table, refColumns: columns, onDelete, onUpdate };
+  }
+
+  parseTableConstraint() {
+    let name = null;
+    if (this.acceptKeyword('constraint')) {
+      name = this.expectIdent();
+    }
+    if (this.acceptKeyword('primary', 'key')) {
+      return { type: 'primary', name, columns: this.parseIdentList() };
+    }
+    if (this.acceptKeyword('unique')) {
+      return { type: 'unique', name, columns: this.parseIdentList() };
+    }
+    if (this.acceptKeyword('foreign', 'key')) {
+      const columns = this.parseIdentList();
+      this.expectKeyword('references');
+      return { type: 'foreign', name, columns, ...this.parseReference() };
+    }
+    if (this.acceptKeyword('check')) {
+      this.expectPunct('(');
+      const expr = this.parseExpr();
+      this.expectPunct(')');
+      return { type: 'check', name, expr };
+    }
+    throw this.error();
+  }
+
+  parseDrop() {
+    this.expectKeyword('drop');
+    let kind;
+    if (this.acceptKeyword('table')) kind = 'table';
+    else if (this.acceptKeyword('index')) kind = 'index';
+    else if (this.acceptKeyword('extension')) kind = 'extension';
+    else throw this.error();
+
+    this.acceptKeyword('concurrently');
+    const ifExists = this.acceptKeyword('if', 'exists');
+    const names = [this.parseTableName()];
+    while (this.acceptPunct(',')) {
+      names.push(this.parseTableName());
+    }
+    const cascade = this.acceptKeyword('cascade');
+    this.acceptKeyword('restrict');
+
+    if (kind === 'extension') {
+      return { type: 'noop', command: 'DROP EXTENSION' };
+    }
+    return { type: kind === 'table' ? 'drop_table' : 'drop_index', names, ifExists, cascade };
+  }
+
+  parseAlter() {
+    this.expectKeyword('alter');
+    this.expectKeyword('table');
+    const ifExists = this.acceptKeyword('if', 'exists');
+    this.acceptKeyword('only');
+    const table = this.parseTableName();
+    const actions = [];
+
+    do {
+      if (this.acceptKeyword('add')) {
+        if (this.isKeyword('constraint') || this.isKeyword('primary') || this.isKeyword('unique') ||
+            this.isKeyword('foreign') || this.isKeyword('check')) {
+          actions.push({ type: 'add_constraint', constraint: this.parseTableConstraint() });
+        } else {
+          this.acceptKeyword('column');
+          const ifNotExists = this.acceptKeyword('if', 'not', 'exists');
+          const column = this.parseColumnDefinition();
+          actions.push({ type: 'add_column', ifNotExists, column: column.definition, constraints: column.constraints });
+        }
+      } else if (this.acceptKeyword('drop')) {
+        if (this.acceptKeyword('constraint')) {
+          const dropIfExists = this.acceptKeyword('if', 'exists');
+          actions.push({ type: 'drop_constraint', name: this.expectIdent(), ifExists: dropIfExists });
+        } else {
+          this.acceptKeyword('column');
+          const dropIfExists = this.acceptKeyword('if', 'exists');
+          actions.push({ type: 'drop_column', name: this.expectIdent(), ifExists: dropIfExists });
+        }
+        this.acceptKeyword('cascade') || this.acceptKeyword('restrict');
+      } else if (this.acceptKeyword('alter')) {
+        this.acceptKeyword('column');
+        const column = this.expectIdent();
+        if (this.acceptKeyword('set', 'default')) {
+          actions.push({ type: 'set_default', column, expr: this.parseExpr() });
+        } else if (this.acceptKeyword('drop', 'default')) {
+          actions.push({ type: 'set_default', column, expr: null });
+        } else if (this.acceptKeyword('set', 'not', 'null')) {
+          actions.push({ type: 'set_not_null', column, notNull: true });
+        } else if (this.acceptKeyword('drop', 'not', 'null')) {
+          actions.push({ type: 'set_not_null', column, notNull: false });
+        } else {
+          this.acceptKeyword('set', 'data');
+          this.expectKeyword('type');
+          const dataType = this.parseType();
+          const using = this.acceptKeyword('using') ? this.parseExpr() : null;
+          actions.push({ type: 'set_type', column, dataType, using });
+        }
+      } else if (this.acceptKeyword('rename')) {
+        if (this.acceptKeyword('to')) {
+          actions.push({ type: 'rename_table', name: this.expectIdent() });
+        } else {
+          this.acceptKeyword('column');
+          const from = this.expectIdent();
+          this.expectKeyword('to');
+          actions.push({ type: 'rename_column', from, to: this.expectIdent() });
+        }
+      } else {
+        throw this.error();
+      }
+    } while (this.acceptPunct(','));
+
+    return { type: 'alter_table', table, ifExists, actions };
+  }
+
+  parseType() {
+    let words = [this.expectIdent()];
+
+    // Multi-word type names
+    if (words[0] === 'double' && this.acceptKeyword('precision')) {
+      words.push('precision');
+    } else if (words[0] === 'character' && this.acceptKeyword('varying')) {
+      words.push('varying');
+    }
+
+    const args = [];
+    if (this.acceptPunct('(')) {
+      do {
+        const token = this.next();
+        if (token.type !== 'number') throw this.error(token);
+        args.push(token.value);
+      } while (this.acceptPunct(','));
+      this.expectPunct(')');
+    }
+
+    if ((words[0] === 'timestamp' || words[0] === 'time') && (this.isKeyword('with') || this.isKeyword('without'))) {
+      const withZone = this.next().value === 'with';
+      this.expectKeyword('time', 'zone');
+      words = [words[0], withZone ? 'with' : 'without', 'time', 'zone'];
+    }
+
+    let array = false;
+    while (this.acceptPunct('[')) {
+      this.expectPunct(']');
+      array = true;
+    }
+
+    const spelled = words.join(' ');
+    const name = TYPE_ALIASES[spelled];
+    if (!name) {
+      throw new DatabaseError(`type "${spelled}" does not exist`, '42704');
+    }
+    return { name, args, array };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Expressions
+  // ---------------------------------------------------------------------------
+
+  parseExprList() {
+    const items = [this.parseExpr()];
+    while (this.acceptPunct(',')) {
+      items.push(this.parseExpr());
+    }
+    return items;
+  }
+
+  parseExpr() {
+    return this.parseOr();
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.acceptKeyword('or')) {
+      left = { type: 'binary', op: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.acceptKeyword('and')) {
+      left = { type: 'binary', op: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.acceptKeyword('not')) {
+      return { type: 'unary', op: 'not', expr: this.parseNot() };
+    }
+    return this.parseIs();
+  }
+
+  parseIs() {
+    let expr = this.parseComparison();
+    for (;;) {
+      if (this.acceptKeyword('isnull')) {
+        expr = { type: 'is', expr, not: false, value: null };
+      } else if (this.acceptKeyword('notnull')) {
+        expr = { type: 'is', expr, not: true, value: null };
+      } else if (this.acceptKeyword('is')) {
+        const not = this.acceptKeyword('not');
+        if (this.acceptKeyword('null')) {
+          expr = { type: 'is', expr, not, value: null };
+        } else if (this.acceptKeyword('true')) {
+          expr = { type: 'is', expr, not, value: true };
+        } else if (this.acceptKeyword('false')) {
+          expr = { type: 'is', expr, not, value: false };
+        } else if (this.acceptKeyword('distinct', 'from')) {
+          expr = { type: 'distinct_from', left: expr, right: this.parseComparison(), not };
+        } else {
+          throw this.error();
+        }
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  parseComparison() {
+    const left = this.parsePredicate();
+    const token = this.peek();
+    if (token.type === 'op' && ['=', '<>', '!=', '<', '<=', '>', '>='].includes(token.value)) {
+      this.pos++;
+      const op = token.value === '!=' ? '<>' : token.value;
+
+      // Quantified comparisons: x = ANY(...), x <> ALL(...)
+      if ((this.isKeyword('any') || this.isKeyword('some') || this.isKeyword('all')) && this.isPunct('(', 1)) {
+        const all = this.next().value === 'all';
+        this.expectPunct('(');
+        const right = this.isKeyword('select') || this.isKeyword('with')
+          ? { type: 'subquery', query: this.parseSelect() }
+          : this.parseExpr();
+        this.expectPunct(')');
+        return { type: 'quantified', op, all, left, right };
+      }
+
+      return { type: 'binary', op, left, right: this.parsePredicate() };
+    }
+    return left;
+  }
+
+  parsePredicate() {
+    const expr = this.parseBinary(0);
+
+    const not = this.isKeyword('not') && (this.isKeyword('in', 1) || this.isKeyword('like', 1) ||
+      this.isKeyword('ilike', 1) || this.isKeyword('between', 1));
+    if (not) this.pos++;
+
+    if (this.acceptKeyword('in')) {
+      this.expectPunct('(');
+      let node;
+      if (this.isKeyword('select') || this.isKeyword('with')) {
+        node = { type: 'in', expr, not, query: this.parseSelect(), list: null };
+      } else {
+        node = { type: 'in', expr, not, query: null, list: this.parseExprList() };
+      }
+      this.expectPunct(')');
+      return node;
+    }
+    if (this.acceptKeyword('like') || this.acceptKeyword('ilike')) {
+      const caseInsensitive = this.tokens[this.pos - 1].value === 'ilike';
+      const pattern = this.parseBinary(0);
+      let escape = null;
+      if (this.acceptKeyword('escape')) {
+        escape = this.parseBinary(0);
+      }
+      return { type: 'like', expr, pattern, escape, caseInsensitive, not };
+    }
+    if (this.acceptKeyword('between')) {
+      this.acceptKeyword('symmetric');
+      const low = this.parseBinary(0);
+      this.expectKeyword('and');
+      const high = this.parseBinary(0);
+      return { type: 'between', expr, low, high, not };
+    }
+    if (not) throw this.error();
+    return expr;
+  }
+
+  precedence(op) {
+    switch (op) {
+      case '||':
+      case '->':
+      case '->>':
+      case '@>':
+      case '<@':
+        return 1;
+      case '+':
+      case '-':
+        return 2;
+      case '*':
+      case '/':
+      case '%':
+        return 3;
+      default:
+        return -1;
+    }
+  }
+
+  // Precedence climbing for arithmetic and "other" operators
+  parseBinary(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (token.type !== 'op') break;
+      const prec = this.precedence(token.value);
+      if (prec < 0 || prec < minPrecedence) break;
+      this.pos++;
+      const right = this.parseBinary(prec + 1);
+      left = { type: 'binary', op: token.value, left, right };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.acceptOp('-')) {
+      const expr = this.parseUnary();
+      if (expr.type === 'literal' && typeof expr.value === 'number') {
+        return { ...expr, value: -expr.value };
+      }
+      return { type: 'unary', op: '-', expr };
+    }
+    if (this.acceptOp('+')) {
+      return this.parseUnary();
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(expr) {
+    for (;;) {
+      if (this.acceptOp('::')) {
+        expr = { type: 'cast', expr, to: this.parseType() };
+      } else if (this.isPunct('[')) {
+        this.pos++;
+        const index = this.parseExpr();
+        this.expectPunct(']');
+        expr = { type: 'subscript', expr, index };
+      } else {
+        return expr;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+        return { type: 'literal', value: token.value, numeric: !Number.isInteger(token.value) || /\./.test(token.raw) };
+      case 'string':
+        return { type: 'literal', value: token.value };
+      case 'param':
+        return { type: 'param', index: token.value };
+      case 'punct':
+        if (token.value === '(') {
+          if (this.isKeyword('select') || this.isKeyword('with')) {
+            const query = this.parseSelect();
+            this.expectPunct(')');
+            return { type: 'subquery', query };
+          }
+          const expr = this.parseExpr();
+          this.expectPunct(')');
+          return expr;
+        }
+        throw this.error(token);
+      case 'ident':
+        if (token.quoted) {
+          return this.parseIdentifierExpression(token);
+        }
+        return this.parseKeywordExpression(token);
+      default:
+        throw this.error(token);
+    }
+  }
+
+  parseKeywordExpression(token) {
+    switch (token.value) {
+      case 'null':
+        return { type: 'literal', value: null };
+      case 'true':
+        return { type: 'literal', value: true };
+      case 'false':
+        return { type: 'literal', value: false };
+      case 'case':
+        return this.parseCase();
+      case 'cast': {
+        this.expectPunct('(');
+        const expr = this.parseExpr();
+        this.expectKeyword('as');
+        const to = this.parseType();
+        this.expectPunct(')');
+        return { type: 'cast', expr, to };
+      }
+      case 'exists': {
+        this.expectPunct('(');
+        const query = this.parseSelect();
+        this.expectPunct(')');
+        return { type: 'exists', query };
+      }
+      case 'array': {
+        if (this.acceptPunct('(')) {
+          const query = this.parseSelect();
+          this.expectPunct(')');
+          return { type: 'array_subquery', query };
+        }
+        this.expectPunct('[');
+        const items = this.isPunct(']') ? [] : this.parseExprList();
+        this.expectPunct(']');
+        return { type: 'array', items };
+      }
+      case 'extract': {
+        this.expectPunct('(');
+        const field = this.next();
+        this.expectKeyword('from');
+        const expr = this.parseExpr();
+        this.expectPunct(')');
+        return { type: 'func', name: 'date_part', display: 'extract', args: [{ type: 'literal', value: String(field.value).toLowerCase() }, expr] };
+      }
+      case 'current_timestamp':
+      case 'current_date':
+      case 'localtimestamp':
+        if (this.acceptPunct('(')) this.expectPunct(')');
+        return { type: 'func', name: token.value === 'current_date' ? 'current_date' : 'now', display: token.value, args: [] };
+      case 'interval':
+      case 'date':
+      case 'timestamp':
+      case 'timestamptz':
+        if (this.peek().type === 'string') {
+          const value = this.next().value;
+          return { type: 'cast', expr: { type: 'literal', value }, to: { name: TYPE_ALIASES[token.value], args: [], array: false } };
+        }
+        return this.parseIdentifierExpression(token);
+      default:
+        return this.parseIdentifierExpression(token);
+    }
+  }
+
+  parseIdentifierExpression(token) {
+    if (!token.quoted && this.isPunct('(')) {
+      return this.parseFunctionCall(token.value);
+    }
+
+    if (this.acceptPunct('.')) {
+      if (this.acceptOp('*')) {
+        return { type: 'star', table: token.value };
+      }
+      const name = this.expectIdent();
+      return { type: 'column', table: token.value, name };
+    }
+
+    return { type: 'column', table: null, name: token.value };
+  }
+
+  parseFunctionCall(name) {
+    this.expectPunct('(');
+    const call = { type: 'func', name, args: [], distinct: false, star: false, orderBy: null, filter: null };
+
+    if (this.acceptOp('*')) {
+      call.star = true;
+    } else if (!this.isPunct(')')) {
+      if (this.acceptKeyword('distinct')) {
+        call.distinct = true;
+      } else {
+        this.acceptKeyword('all');
+      }
+
+      if (name === 'substring' || name === 'position' || name === 'trim') {
+        call.args = this.parseSpecialFunctionArgs(name);
+      } else {
+        call.args = this.parseExprList();
+      }
+
+      if (this.acceptKeyword('order', 'by')) {
+        call.orderBy = this.parseOrderByList();
+      }
+    }
+    this.expectPunct(')');
+
+    if (this.acceptKeyword('within', 'group')) {
+      this.expectPunct('(');
+      this.expectKeyword('order', 'by');
+      call.orderBy = this.parseOrderByList();
+      this.expectPunct(')');
+    }
+
+    if (this.acceptKeyword('filter')) {
+      this.expectPunct('(');
+      this.expectKeyword('where');
+      call.filter = this.parseExpr();
+      this.expectPunct(')');
+    }
+
+    if (this.isKeyword('over')) {
+      throw new DatabaseError('window functions are not supported by the in-memory database', '0A000');
+    }
+
+    return call;
+  }
+
+  // SQL-standard call syntax: substring(x FROM a FOR b), position(a IN b), trim(BOTH x FROM y)
+  parseSpecialFunctionArgs(name) {
+    if (name === 'trim') {
+      let mode = 'both';
+      if (this.acceptKeyword('both')) mode = 'both';
+      else if (this.acceptKeyword('leading')) mode = 'leading';
+      else if (this.acceptKeyword('trailing')) mode = 'trailing';
+
+      if (this.acceptKeyword('from')) {
+        return [this.parseExpr(), { type: 'literal', value: ' ' }, { type: 'literal', value: mode }];
+      }
+      const first = this.parseExpr();
+      if (this.acceptKeyword('from')) {
+        return [this.parseExpr(), first, { type: 'literal', value: mode }];
+      }
+      const args = [first];
+      while (this.acceptPunct(',')) args.push(this.parseExpr());
+      return args.length === 1 ? [first, { type: 'literal', value: ' ' }, { type: 'literal', value: mode }] : args;
+    }
+
+    if (name === 'position') {
+      const needle = this.parseBinary(0);
+      this.expectKeyword('in');
+      return [needle, this.parseExpr()];
+    }
+
+    const args = [this.parseExpr()];
+    if (this.acceptKeyword('from')) {
+      args.push(this.parseExpr());
+      if (this.acceptKeyword('for')) args.push(this.parseExpr());
+      return args;
+    }
+    while (this.acceptPunct(',')) args.push(this.parseExpr());
+    return args;
+  }
+
+  parseCase() {
+    let operand = null;
+    if (!this.isKeyword('when')) {
+      operand = this.parseExpr();
+    }
+    const whens = [];
+    while (this.acceptKeyword('when')) {
+      const when = this.parseExpr();
+      this.expectKeyword('then');
+      const then = this.parseExpr();
+      whens.push({ when, then });
+    }
+    if (whens.length === 0) throw this.error();
+    const elseExpr = this.acceptKeyword('else') ? this.parseExpr() : null;
+    this.expectKeyword('end');
+    return { type: 'case', operand, whens, else: elseExpr };
+  }
+}
+
+/**
+ * Parse SQL text into a list of statement ASTs
+ * @param {string} sql - SQL text (one or more statements)
+ * @returns {Array<object>} Statement ASTs (with a `paramCount` property)
+ */
+function parse(sql) {
+  const parser = new Parser(sql);
+  const statements = parser.parseScript();
+  statements.paramCount = parser.tokens.reduce((max, token) => (token.type === 'param' ? Math.max(max, token.value) : max), 0);
+  return statements;
+}
+
+module.exports = {
+  parse,
+  TYPE_ALIASES
+};
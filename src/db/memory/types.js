@@ -0,0 +1,466 @@
+/**
+ * In-Memory Database Types
+ * Value coercion, comparison and result formatting that follow PostgreSQL
+ * semantics closely enough for the node `pg` driver contract
+ */
+
+const { DatabaseError } = require('./errors');
+
+// Type OIDs reported in result `fields`, matching pg_type
+const TYPE_OIDS = {
+  boolean: 16,
+  bigint: 20,
+  integer: 23,
+  text: 25,
+  json: 114,
+  inet: 869,
+  double: 701,
+  varchar: 1043,
+  date: 1082,
+  timestamp: 1114,
+  timestamptz: 1184,
+  interval: 1186,
+  numeric: 1700,
+  uuid: 2950,
+  jsonb: 3802,
+  unknown: 705
+};
+
+// Internal PostgreSQL type names (used for unnamed cast columns, e.g. $1::int -> "int4")
+const TYPE_DISPLAY_NAMES = {
+  integer: 'int4',
+  bigint: 'int8',
+  double: 'float8',
+  boolean: 'bool'
+};
+
+const INTEGER_TYPES = new Set(['integer', 'bigint', 'serial', 'bigserial']);
+const UUID_PATTERN = /^\{?[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}\}?$/i;
+
+const collator = new Intl.Collator('en', { sensitivity: 'variant', numeric: false });
+
+/**
+ * Interval value (months, days and milliseconds are kept apart like PostgreSQL)
+ */
+class Interval {
+  constructor(months = 0, days = 0, ms = 0) {
+    this.months = months;
+    this.days = days;
+    this.ms = ms;
+  }
+
+  static parse(text) {
+    const source = String(text).trim().toLowerCase();
+    const interval = new Interval();
+    let matched = false;
+
+    const unitPattern = /([+-]?\d+(?:\.\d+)?)\s*(years?|yrs?|y|months?|mons?|weeks?|w|days?|d|hours?|hrs?|h|minutes?|mins?|m|seconds?|secs?|s|milliseconds?|ms)\b/g;
+    let match;
+    while ((match = unitPattern.exec(source)) !== null) {
+      matched = true;
+      const amount = parseFloat(match[1]);
+      const unit = match[2];
+      if (/^(years?|yrs?|y)$/.test(unit)) interval.months += amount * 12;
+      else if (/^(months?|mons?)$/.test(unit)) interval.months += amount;
+      else if (/^(weeks?|w)$/.test(unit)) interval.days += amount * 7;
+      else if (/^(days?|d)$/.test(unit)) interval.days += amount;
+      else if (/^(hours?|hrs?|h)$/.test(unit)) interval.ms += amount * 3600000;
+      else if (/^(minutes?|mins?|m)$/.test(unit)) interval.ms += amount * 60000;
+      else if (/^(seconds?|secs?|s)$/.test(unit)) interval.ms += amount * 1000;
+      else interval.ms += amount;
+    }
+
+    // Clock notation: [-]HH:MM[:SS[.fff]]
+    const clock = source.match(/(-)?(\d+):(\d{2})(?::(\d{2}(?:\.\d+)?))?/);
+    if (clock) {
+      matched = true;
+      const sign = clock[1] ? -1 : 1;
+      interval.ms += sign * ((parseInt(clock[2], 10) * 3600 + parseInt(clock[3], 10) * 60 + parseFloat(clock[4] || '0')) * 1000);
+    }
+
+    if (!matched) {
+      throw new DatabaseError(`invalid input syntax for type interval: "${text}"`, '22007');
+    }
+    return interval;
+  }
+
+  // Approximate length in milliseconds (a month counts as 30 days, as PostgreSQL does for comparisons)
+  totalMilliseconds() {
+    return (this.months * 30 + this.days) * 86400000 + this.ms;
+  }
+
+  addTo(date, sign = 1) {
+    const result = new Date(date.getTime());
+    if (this.months) result.setMonth(result.getMonth() + sign * this.months);
+    if (this.days) result.setDate(result.getDate() + sign * this.days);
+    return new Date(result.getTime() + sign * this.ms);
+  }
+
+  scale(factor) {
+    return new Interval(this.months * factor, this.days * factor, this.ms * factor);
+  }
+
+  plus(other, sign = 1) {
+    return new Interval(this.months + sign * other.months, this.days + sign * other.days, this.ms + sign * other.ms);
+  }
+
+  toString() {
+    const parts = [];
+    const years = Math.trunc(this.months / 12);
+    const months = this.months % 12;
+    if (years) parts.push(`${years} year${Math.abs(years) === 1 ? '' : 's'}`);
+    if (months) parts.push(`${months} mon${Math.abs(months) === 1 ? '' : 's'}`);
+    if (this.days) parts.push(`${this.days} day${Math.abs(this.days) === 1 ? '' : 's'}`);
+    if (this.ms || parts.length === 0) {
+      const sign = this.ms < 0 ? '-' : '';
+      const total = Math.abs(this.ms) / 1000;
+      const hours = Math.floor(total / 3600);
+      const minutes = Math.floor((total % 3600) / 60);
+      const seconds = total % 60;
+      const pad = n => String(Math.floor(n)).padStart(2, '0');
+      const fraction = seconds % 1 ? String(seconds % 1).slice(1, 8) : '';
+      parts.push(`${sign}${pad(hours)}:${pad(minutes)}:${pad(seconds)}${fraction}`);
+    }
+    return parts.join(' ');
+  }
+
+  toPostgres() {
+    return this.toString();
+  }
+
+  toJSON() {
+    return this.toString();
+  }
+}
+
+/**
+ * Serialize a value with object keys sorted (jsonb equality ignores key order)
+ */
+function stableStringify(value) {
+  if (value instanceof Date) return JSON.stringify(value.toISOString());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function cloneJson(value) {
+  return value === null || value === undefined || typeof value !== 'object' ? value : JSON.parse(JSON.stringify(value));
+}
+
+// Parse a PostgreSQL array literal such as {a,"b c",NULL}
+function parseArrayLiteral(text) {
+  const source = String(text).trim();
+  if (!source.startsWith('{') || !source.endsWith('}')) {
+    throw new DatabaseError(`malformed array literal: "${text}"`, '22P02');
+  }
+  const body = source.slice(1, -1);
+  const items = [];
+  let current = '';
+  let quoted = false;
+  let wasQuoted = false;
+  for (let i = 0; i < body.length; i++) {
+    const ch = body[i];
+    if (quoted) {
+      if (ch === '\\') current += body[++i];
+      else if (ch === '"') quoted = false;
+      else current += ch;
+    } else if (ch === '"') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (ch === ',') {
+      items.push(!wasQuoted && current.trim().toUpperCase() === 'NULL' ? null : (wasQuoted ? current : current.trim()));
+      current = '';
+      wasQuoted = false;
+    } else {
+      current += ch;
+    }
+  }
+  if (body.length > 0) {
+    items.push(!wasQuoted && current.trim().toUpperCase() === 'NULL' ? null : (wasQuoted ? current : current.trim()));
+  }
+  return items;
+}
+
+function invalidInput(typeName, value) {
+  const shown = typeof value === 'object' ? stableStringify(value) : String(value);
+  return new DatabaseError(`invalid input syntax for type ${typeName}: "${shown}"`, '22P02');
+}
+
+function parseTimestamp(value, typeName) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (typeof value === 'number') return new Date(value);
+
+  const text = String(value).trim();
+  const lower = text.toLowerCase();
+  if (lower === 'now') return new Date();
+  if (lower === 'today') {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    return today;
+  }
+
+  // Date-only strings are local midnight (JavaScript would otherwise read them as UTC)
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  const parsed = dateOnly
+    ? new Date(parseInt(dateOnly[1], 10), parseInt(dateOnly[2], 10) - 1, parseInt(dateOnly[3], 10))
+    : new Date(text.replace(/^(\d{4}-\d{2}-\d{2}) (\d)/, '$1T$2'));
+
+  if (Number.isNaN(parsed.getTime())) {
+    throw new DatabaseError(`invalid input syntax for type ${typeName}: "${text}"`, '22007');
+  }
+  return parsed;
+}
+
+function toNumber(value, typeName) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  const text = String(value).trim();
+  if (text === '' || Number.isNaN(Number(text))) {
+    throw invalidInput(typeName, value);
+  }
+  return Number(text);
+}
+
+function toBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const text = String(value).trim().toLowerCase();
+  if (['t', 'true', 'yes', 'y', 'on', '1'].includes(text)) return true;
+  if (['f', 'false', 'no', 'n', 'off', '0'].includes(text)) return false;
+  throw invalidInput('boolean', value);
+}
+
+// Timestamps render as PostgreSQL prints them: 2024-01-31 09:30:00[.123]
+function formatTimestampText(date) {
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const base = `${pad(date.getFullYear(), 4)}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+  return date.getMilliseconds() ? `${base}.${pad(date.getMilliseconds(), 3).replace(/0+$/, '')}` : base;
+}
+
+function toText(value) {
+  if (value instanceof Date) return formatTimestampText(value);
+  if (value instanceof Interval) return value.toString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+/**
+ * Cast a value to a column/cast type
+ * @param {*} value - Value to convert
+ * @param {object} type - Type spec ({ name, args, array })
+ * @param {object} [options]
+ * @param {boolean} [options.assignment] - Assignment casts raise on overlong strings instead of truncating
+ * @param {string} [options.column] - Column name used in error messages
+ */
+function castValue(value, type, options = {}) {
+  if (value === null || value === undefined || !type) {
+    return value === undefined ? null : value;
+  }
+
+  if (type.array) {
+    const items = Array.isArray(value) ? value : parseArrayLiteral(value);
+    const elementType = { ...type, array: false };
+    return items.map(item => castValue(item, elementType, options));
+  }
+
+  switch (type.name) {
+    case 'integer':
+    case 'serial':
+    case 'bigint':
+    case 'bigserial': {
+      if (typeof value === 'string' && !/^\s*[+-]?\d+\s*$/.test(value)) {
+        throw invalidInput(type.name === 'integer' || type.name === 'serial' ? 'integer' : 'bigint', value);
+      }
+      const number = Math.round(toNumber(value, 'integer'));
+      if ((type.name === 'integer' || type.name === 'serial') && (number > 2147483647 || number < -2147483648)) {
+        throw new DatabaseError('integer out of range', '22003');
+      }
+      return number;
+    }
+    case 'numeric': {
+      let number = toNumber(value, 'numeric');
+      const [precision, scale] = type.args || [];
+      if (scale !== undefined && scale !== null) {
+        const factor = Math.pow(10, scale);
+        number = Math.round(number * factor) / factor;
+      }
+      if (precision !== undefined && precision !== null && Math.abs(number) >= Math.pow(10, precision - (scale || 0))) {
+        throw new DatabaseError('numeric field overflow', '22003', {
+          detail: `A field with precision ${precision}, scale ${scale || 0} must round to an absolute value less than 10^${precision - (scale || 0)}.`
+        });
+      }
+      return number;
+    }
+    case 'double':
+      return toNumber(value, 'double precision');
+    case 'boolean':
+      return toBoolean(value);
+    case 'timestamp':
+    case 'timestamptz':
+      return parseTimestamp(value, type.name === 'timestamp' ? 'timestamp' : 'timestamp with time zone');
+    case 'date': {
+      const date = parseTimestamp(value, 'date');
+      date.setHours(0, 0, 0, 0);
+      return date;
+    }
+    case 'json':
+    case 'jsonb':
+      if (typeof value === 'string') {
+        try {
+          return JSON.parse(value);
+        } catch (error) {
+          throw invalidInput('json', value);
+        }
+      }
+      if (value instanceof Interval) return value.toString();
+      return cloneJson(value);
+    case 'interval':
+      if (value instanceof Interval) return value;
+      return Interval.parse(value);
+    case 'varchar': {
+      const text = toText(value);
+      const limit = type.args && type.args[0];
+      if (limit && text.length > limit) {
+        if (options.assignment) {
+          throw new DatabaseError(`value too long for type character varying(${limit})`, '22001', { column: options.column });
+        }
+        return text.slice(0, limit);
+      }
+      return text;
+    }
+    case 'uuid': {
+      const text = toText(value);
+      if (!UUID_PATTERN.test(text)) throw invalidInput('uuid', text);
+      const hex = text.replace(/[{}-]/g, '').toLowerCase();
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+    case 'text':
+    case 'inet':
+    default:
+      return toText(value);
+  }
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+}
+
+/**
+ * Compare two non-null values (returns negative, zero or positive)
+ * Mixed types are coerced the way PostgreSQL resolves unknown-typed literals.
+ */
+function compareValues(a, b) {
+  if (a instanceof Date || b instanceof Date) {
+    const left = a instanceof Date ? a : parseTimestamp(a, 'timestamp');
+    const right = b instanceof Date ? b : parseTimestamp(b, 'timestamp');
+    return left.getTime() - right.getTime();
+  }
+  if (a instanceof Interval || b instanceof Interval) {
+    const left = a instanceof Interval ? a : Interval.parse(a);
+    const right = b instanceof Interval ? b : Interval.parse(b);
+    return left.totalMilliseconds() - right.totalMilliseconds();
+  }
+  if (typeof a === 'number' || typeof b === 'number') {
+    if (isNumeric(a) && isNumeric(b)) {
+      return Number(a) - Number(b);
+    }
+    throw invalidInput('numeric', typeof a === 'number' ? b : a);
+  }
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    return Number(toBoolean(a)) - Number(toBoolean(b));
+  }
+  if (typeof a === 'object' || typeof b === 'object') {
+    const left = stableStringify(a);
+    const right = stableStringify(b);
+    return left < right ? -1 : (left > right ? 1 : 0);
+  }
+  return collator.compare(String(a), String(b)) || (a < b ? -1 : (a > b ? 1 : 0));
+}
+
+function valuesEqual(a, b) {
+  return compareValues(a, b) === 0;
+}
+
+/**
+ * Key used for grouping, DISTINCT and unique constraints
+ */
+function valueKey(value) {
+  if (value === null || value === undefined) return 'null';
+  if (value instanceof Date) return `d:${value.getTime()}`;
+  if (value instanceof Interval) return `i:${value.totalMilliseconds()}`;
+  if (typeof value === 'number') return `n:${value}`;
+  if (typeof value === 'boolean') return `b:${value}`;
+  if (typeof value === 'object') return `j:${stableStringify(value)}`;
+  return `s:${value}`;
+}
+
+/**
+ * Convert a stored value into what the `pg` driver would hand back
+ * (int8 and numeric arrive as strings, json is parsed, timestamps are Dates)
+ */
+function formatValue(value, type) {
+  if (value === null || value === undefined) return null;
+  if (type && type.array && Array.isArray(value)) {
+    const elementType = { ...type, array: false };
+    return value.map(item => formatValue(item, elementType));
+  }
+
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value) || (typeof value === 'object' && !(value instanceof Interval))) {
+    return cloneJson(value);
+  }
+
+  if (!type || typeof value !== 'number') {
+    return value;
+  }
+
+  switch (type.name) {
+    case 'bigint':
+    case 'bigserial':
+      return String(value);
+    case 'numeric': {
+      const scale = type.args && type.args[1];
+      // Unscaled results (avg, division) drop binary floating-point noise
+      return scale !== undefined && scale !== null ? value.toFixed(scale) : String(Number(value.toPrecision(15)));
+    }
+    default:
+      return value;
+  }
+}
+
+function typeOid(type) {
+  if (!type) return TYPE_OIDS.unknown;
+  if (type.name === 'serial') return TYPE_OIDS.integer;
+  if (type.name === 'bigserial') return TYPE_OIDS.bigint;
+  return TYPE_OIDS[type.name] || TYPE_OIDS.text;
+}
+
+function typeDisplayName(type) {
+  return TYPE_DISPLAY_NAMES[type.name] || type.name;
+}
+
+function isIntegerType(type) {
+  return Boolean(type) && !type.array && INTEGER_TYPES.has(type.name);
+}
+
+module.exports = {
+  Interval,
+  castValue,
+  compareValues,
+  valuesEqual,
+  valueKey,
+  formatValue,
+  stableStringify,
+  cloneJson,
+  parseTimestamp,
+  toNumber,
+  toBoolean,
+  toText,
+  typeOid,
+  typeDisplayName,
+  isIntegerType
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration 002: Influencer Metrics History
+ * Time series of follower count and engagement rate snapshots, seeded with
+ * each existing influencer's current values
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE influencer_metrics (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      influencer_id UUID NOT NULL REFERENCES influencers(id) ON DELETE CASCADE,
+      followers INTEGER NOT NULL,
+      engagement_rate DECIMAL(5,2) NOT NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'update',
+      recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      recorded_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_influencer_metrics_influencer_recorded ON influencer_metrics(influencer_id, recorded_at)',
+    'CREATE INDEX idx_influencer_metrics_recorded_at ON influencer_metrics(recorded_at)',
+
+    `INSERT INTO influencer_metrics (influencer_id, followers, engagement_rate, source, recorded_at)
+     SELECT id, COALESCE(followers, 0), COALESCE(engagement_rate, 0), 'baseline', COALESCE(updated_at, created_at, NOW())
+     FROM influencers`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS influencer_metrics'
+  ]
+};
@@ -0,0 +1,42 @@
+/**
+ * Migration 003: Campaign Deliverables
+ * Content each creator owes a campaign, its review workflow and the
+ * performance numbers of the published piece
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE campaign_deliverables (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      campaign_influencer_id UUID NOT NULL REFERENCES campaign_influencers(id) ON DELETE CASCADE,
+      type VARCHAR(30) NOT NULL,
+      title VARCHAR(200),
+      description TEXT,
+      due_date DATE,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      content_url TEXT,
+      submission_notes TEXT,
+      submitted_at TIMESTAMP,
+      submitted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      review_notes TEXT,
+      reviewed_at TIMESTAMP,
+      reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      views INTEGER NOT NULL DEFAULT 0,
+      likes INTEGER NOT NULL DEFAULT 0,
+      comments INTEGER NOT NULL DEFAULT 0,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      metrics_updated_at TIMESTAMP,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_campaign_deliverables_participant ON campaign_deliverables(campaign_influencer_id)',
+    'CREATE INDEX idx_campaign_deliverables_status ON campaign_deliverables(status)',
+    'CREATE INDEX idx_campaign_deliverables_due_date ON campaign_deliverables(due_date)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS campaign_deliverables'
+  ]
+};
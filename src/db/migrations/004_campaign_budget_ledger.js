@@ -0,0 +1,53 @@
+/**
+ * Migration 004: Campaign Budget Ledger
+ * Campaign currency, agreed influencer fees and their payment, line-item
+ * expenses, and exchange rates for converting between currencies
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE campaigns ADD COLUMN currency VARCHAR(3) NOT NULL DEFAULT 'USD'`,
+
+    `ALTER TABLE campaign_influencers
+       ADD COLUMN agreed_fee DECIMAL(12,2),
+       ADD COLUMN fee_currency VARCHAR(3),
+       ADD COLUMN payment_status VARCHAR(20) NOT NULL DEFAULT 'unpaid',
+       ADD COLUMN paid_at TIMESTAMP`,
+
+    `CREATE TABLE campaign_expenses (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      campaign_influencer_id UUID REFERENCES campaign_influencers(id) ON DELETE SET NULL,
+      category VARCHAR(30) NOT NULL,
+      description VARCHAR(500) NOT NULL,
+      amount DECIMAL(12,2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'committed',
+      incurred_on DATE,
+      paid_at TIMESTAMP,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_campaign_expenses_campaign ON campaign_expenses(campaign_id)',
+
+    `CREATE TABLE exchange_rates (
+      currency VARCHAR(3) PRIMARY KEY,
+      rate DECIMAL(18,8) NOT NULL,
+      updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS exchange_rates',
+    'DROP TABLE IF EXISTS campaign_expenses',
+    `ALTER TABLE campaign_influencers
+       DROP COLUMN IF EXISTS paid_at,
+       DROP COLUMN IF EXISTS payment_status,
+       DROP COLUMN IF EXISTS fee_currency,
+       DROP COLUMN IF EXISTS agreed_fee`,
+    'ALTER TABLE campaigns DROP COLUMN IF EXISTS currency'
+  ]
+};
@@ -0,0 +1,19 @@
+/**
+ * Migration 005: Deliverable Conversions
+ * Conversions and attributed revenue (in the campaign currency) on each
+ * deliverable, for campaign ROI
+ */
+
+module.exports = {
+  up: [
+    `ALTER TABLE campaign_deliverables
+       ADD COLUMN conversions INTEGER NOT NULL DEFAULT 0,
+       ADD COLUMN revenue DECIMAL(12,2) NOT NULL DEFAULT 0`
+  ],
+
+  down: [
+    `ALTER TABLE campaign_deliverables
+       DROP COLUMN IF EXISTS revenue,
+       DROP COLUMN IF EXISTS conversions`
+  ]
+};
@@ -0,0 +1,29 @@
+/**
+ * Migration 006: Campaign Status History
+ * Every campaign status change, who made it and why, seeded with each
+ * existing campaign's current status
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE campaign_status_history (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      campaign_id UUID NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+      from_status VARCHAR(50),
+      to_status VARCHAR(50) NOT NULL,
+      reason TEXT,
+      changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      changed_at TIMESTAMP NOT NULL DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_campaign_status_history_campaign ON campaign_status_history(campaign_id, changed_at)',
+
+    `INSERT INTO campaign_status_history (campaign_id, from_status, to_status, reason, changed_by, changed_at)
+     SELECT id, NULL, COALESCE(status, 'draft'), 'Status before history was tracked', created_by, COALESCE(created_at, NOW())
+     FROM campaigns`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS campaign_status_history'
+  ]
+};
@@ -0,0 +1,36 @@
+/**
+ * Migration 007: Record Ownership
+ * Teams for grouping users, and per-user shares of influencers, campaigns
+ * and data models for record-level access control
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE teams (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) NOT NULL UNIQUE,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'ALTER TABLE users ADD COLUMN team_id UUID REFERENCES teams(id) ON DELETE SET NULL',
+
+    `CREATE TABLE record_shares (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      resource_type VARCHAR(20) NOT NULL,
+      resource_id UUID NOT NULL,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      shared_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(resource_type, resource_id, user_id)
+    )`,
+
+    'CREATE INDEX idx_record_shares_user ON record_shares(user_id, resource_type)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS record_shares',
+    'ALTER TABLE users DROP COLUMN team_id',
+    'DROP TABLE IF EXISTS teams'
+  ]
+};
@@ -0,0 +1,80 @@
+/**
+ * Migration 008: Workspaces
+ * Organizations with members, per-workspace roles and email invitations.
+ * Influencers, campaigns and data models belong to a workspace; existing
+ * records and users are moved into a default workspace.
+ */
+
+const DEFAULT_WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
+module.exports = {
+  up: [
+    `CREATE TABLE workspaces (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(100) NOT NULL UNIQUE,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    `CREATE TABLE workspace_members (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      joined_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(workspace_id, user_id)
+    )`,
+
+    'CREATE INDEX idx_workspace_members_user ON workspace_members(user_id)',
+
+    `CREATE TABLE workspace_invitations (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      email VARCHAR(255) NOT NULL,
+      role VARCHAR(20) NOT NULL DEFAULT 'member',
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      expires_at TIMESTAMP NOT NULL,
+      accepted_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_workspace_invitations_workspace ON workspace_invitations(workspace_id, email)',
+
+    'ALTER TABLE influencers ADD COLUMN workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE',
+    'ALTER TABLE campaigns ADD COLUMN workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE',
+    'ALTER TABLE data_models ADD COLUMN workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE',
+
+    'CREATE INDEX idx_influencers_workspace ON influencers(workspace_id)',
+    'CREATE INDEX idx_campaigns_workspace ON campaigns(workspace_id)',
+    'CREATE INDEX idx_data_models_workspace ON data_models(workspace_id)',
+
+    // Model names only need to be unique within a workspace
+    `ALTER TABLE data_models DROP CONSTRAINT data_models_name_key,
+      ADD CONSTRAINT data_models_workspace_name_key UNIQUE (workspace_id, name)`,
+
+    `INSERT INTO workspaces (id, name, slug, created_at, updated_at)
+     VALUES ('${DEFAULT_WORKSPACE_ID}', 'Default Workspace', 'default', NOW(), NOW())`,
+
+    `INSERT INTO workspace_members (workspace_id, user_id, role, joined_at)
+     SELECT '${DEFAULT_WORKSPACE_ID}', id, CASE WHEN role IN ('admin', 'super_admin') THEN 'owner' ELSE 'member' END, NOW()
+     FROM users`,
+
+    `UPDATE influencers SET workspace_id = '${DEFAULT_WORKSPACE_ID}'`,
+    `UPDATE campaigns SET workspace_id = '${DEFAULT_WORKSPACE_ID}'`,
+    `UPDATE data_models SET workspace_id = '${DEFAULT_WORKSPACE_ID}'`
+  ],
+
+  down: [
+    `ALTER TABLE data_models DROP CONSTRAINT data_models_workspace_name_key,
+      ADD CONSTRAINT data_models_name_key UNIQUE (name)`,
+    'ALTER TABLE data_models DROP COLUMN workspace_id',
+    'ALTER TABLE campaigns DROP COLUMN workspace_id',
+    'ALTER TABLE influencers DROP COLUMN workspace_id',
+    'DROP TABLE IF EXISTS workspace_invitations',
+    'DROP TABLE IF EXISTS workspace_members',
+    'DROP TABLE IF EXISTS workspaces'
+  ]
+};
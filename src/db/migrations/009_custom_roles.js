@@ -0,0 +1,66 @@
+/**
+ * Migration 009: Custom Roles
+ * Roles and their permission grants stored in the database, so admins can
+ * add roles that inherit from another and edit what each role may do, plus
+ * per-user permission overrides. The built-in roles are seeded with the
+ * permissions they were hardcoded with, each building on the one below it.
+ */
+
+const grants = (role, permissions) => `INSERT INTO role_permissions (role_name, permission, granted)
+  VALUES ${permissions.map(permission => `('${role}', '${permission}', true)`).join(', ')}`;
+
+module.exports = {
+  up: [
+    `CREATE TABLE roles (
+      name VARCHAR(50) PRIMARY KEY,
+      description TEXT,
+      base_role VARCHAR(50) REFERENCES roles(name),
+      is_system BOOLEAN DEFAULT false,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    // granted = false revokes a permission the role would otherwise inherit
+    `CREATE TABLE role_permissions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      role_name VARCHAR(50) NOT NULL REFERENCES roles(name) ON DELETE CASCADE,
+      permission VARCHAR(50) NOT NULL,
+      granted BOOLEAN NOT NULL DEFAULT true,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(role_name, permission)
+    )`,
+
+    `CREATE TABLE user_permissions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      permission VARCHAR(50) NOT NULL,
+      granted BOOLEAN NOT NULL DEFAULT true,
+      granted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      UNIQUE(user_id, permission)
+    )`,
+
+    `INSERT INTO roles (name, description, base_role, is_system, created_at, updated_at) VALUES
+      ('user', 'Manage your own influencers, campaigns and models', NULL, true, NOW(), NOW()),
+      ('moderator', 'Users who may also delete records and export analytics', 'user', true, NOW(), NOW()),
+      ('admin', 'Moderators who may also manage users', 'moderator', true, NOW(), NOW()),
+      ('super_admin', 'Every permission', NULL, true, NOW(), NOW())`,
+
+    grants('user', [
+      'user:read', 'user:update',
+      'influencer:read', 'influencer:create', 'influencer:update',
+      'campaign:read', 'campaign:create', 'campaign:update',
+      'model:read', 'model:create', 'model:update',
+      'analytics:read'
+    ]),
+    grants('moderator', ['influencer:delete', 'campaign:delete', 'model:delete', 'analytics:export']),
+    grants('admin', ['user:manage', 'admin:access'])
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS user_permissions',
+    'DROP TABLE IF EXISTS role_permissions',
+    'DROP TABLE IF EXISTS roles'
+  ]
+};
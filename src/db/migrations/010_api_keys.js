@@ -0,0 +1,31 @@
+/**
+ * Migration 010: API Keys
+ * Personal API keys for integrations, stored hashed like password reset
+ * tokens, each limited to a set of permissions and optionally to one
+ * workspace
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE api_keys (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      key_prefix VARCHAR(16) NOT NULL,
+      key_hash VARCHAR(64) NOT NULL UNIQUE,
+      scopes JSONB NOT NULL DEFAULT '[]',
+      workspace_id UUID REFERENCES workspaces(id) ON DELETE CASCADE,
+      expires_at TIMESTAMP NOT NULL,
+      last_used_at TIMESTAMP,
+      last_used_ip VARCHAR(45),
+      revoked_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_api_keys_user ON api_keys(user_id)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS api_keys'
+  ]
+};
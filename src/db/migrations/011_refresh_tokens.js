@@ -0,0 +1,29 @@
+/**
+ * Migration 011: Refresh Tokens
+ * Opaque refresh tokens that rotate on every use, chained to the session
+ * they were issued for. Replaying a used token revokes its whole session.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE refresh_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      session_id UUID NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      used_at TIMESTAMP,
+      replaced_by UUID,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_refresh_tokens_session ON refresh_tokens(session_id)',
+
+    'ALTER TABLE sessions ADD COLUMN revoked_reason VARCHAR(50)',
+    'ALTER TABLE sessions ADD COLUMN workspace_id UUID REFERENCES workspaces(id) ON DELETE SET NULL'
+  ],
+
+  down: [
+    'ALTER TABLE sessions DROP COLUMN workspace_id',
+    'ALTER TABLE sessions DROP COLUMN revoked_reason',
+    'DROP TABLE IF EXISTS refresh_tokens'
+  ]
+};
@@ -0,0 +1,52 @@
+/**
+ * Migration 012: Two-Factor Authentication
+ * TOTP secrets on users, hashed one-time recovery codes, login challenges
+ * for the second step, roles that require 2FA, and whether each session
+ * satisfied it
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE users ADD COLUMN totp_secret VARCHAR(64)',
+    'ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT false',
+    'ALTER TABLE users ADD COLUMN totp_enabled_at TIMESTAMP',
+    'ALTER TABLE users ADD COLUMN totp_last_step BIGINT',
+
+    `CREATE TABLE recovery_codes (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id)',
+
+    `CREATE TABLE mfa_challenges (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      attempts INTEGER DEFAULT 0,
+      expires_at TIMESTAMP NOT NULL,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'ALTER TABLE roles ADD COLUMN require_mfa BOOLEAN DEFAULT false',
+
+    'ALTER TABLE sessions ADD COLUMN mfa_verified BOOLEAN DEFAULT false',
+    'ALTER TABLE sessions ADD COLUMN mfa_method VARCHAR(20)'
+  ],
+
+  down: [
+    'ALTER TABLE sessions DROP COLUMN mfa_method',
+    'ALTER TABLE sessions DROP COLUMN mfa_verified',
+    'ALTER TABLE roles DROP COLUMN require_mfa',
+    'DROP TABLE IF EXISTS mfa_challenges',
+    'DROP TABLE IF EXISTS recovery_codes',
+    'ALTER TABLE users DROP COLUMN totp_last_step',
+    'ALTER TABLE users DROP COLUMN totp_enabled_at',
+    'ALTER TABLE users DROP COLUMN totp_enabled',
+    'ALTER TABLE users DROP COLUMN totp_secret'
+  ]
+};
@@ -0,0 +1,28 @@
+/**
+ * Migration 013: Authentication Attempts
+ * Audit trail of login and password reset attempts, successful or not,
+ * with the reason each failed or was blocked
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE auth_attempts (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      kind VARCHAR(20) NOT NULL,
+      email VARCHAR(255),
+      user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_auth_attempts_user ON auth_attempts(user_id, created_at)',
+    'CREATE INDEX idx_auth_attempts_email ON auth_attempts(email, created_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS auth_attempts'
+  ]
+};
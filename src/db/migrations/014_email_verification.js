@@ -0,0 +1,29 @@
+/**
+ * Migration 014: Email Verification
+ * Hashed, expiring tokens that prove a new user owns their email address,
+ * and when each user verified it. Existing users count as verified.
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE email_verification_tokens (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used BOOLEAN DEFAULT false,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_email_verification_tokens_user ON email_verification_tokens(user_id)',
+
+    'ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP',
+    'UPDATE users SET email_verified_at = created_at'
+  ],
+
+  down: [
+    'ALTER TABLE users DROP COLUMN email_verified_at',
+    'DROP TABLE IF EXISTS email_verification_tokens'
+  ]
+};
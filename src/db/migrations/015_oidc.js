@@ -0,0 +1,38 @@
+/**
+ * Migration 015: OpenID Connect Sign-In
+ * Identities users sign in with at external providers, and the state,
+ * nonce and PKCE verifier of each sign-in while the user is at the provider
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE user_identities (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      provider VARCHAR(50) NOT NULL,
+      subject VARCHAR(255) NOT NULL,
+      email VARCHAR(255),
+      created_at TIMESTAMP DEFAULT NOW(),
+      last_login_at TIMESTAMP,
+      UNIQUE(provider, subject)
+    )`,
+
+    'CREATE INDEX idx_user_identities_user ON user_identities(user_id)',
+
+    `CREATE TABLE oidc_login_states (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      state_hash VARCHAR(64) NOT NULL UNIQUE,
+      provider VARCHAR(50) NOT NULL,
+      nonce VARCHAR(64) NOT NULL,
+      code_verifier VARCHAR(128) NOT NULL,
+      expires_at TIMESTAMP NOT NULL,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT NOW()
+    )`
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS oidc_login_states',
+    'DROP TABLE IF EXISTS user_identities'
+  ]
+};
@@ -0,0 +1,31 @@
+/**
+ * Migration 016: Audit Log
+ * Who created, changed or deleted users, influencers, campaigns, campaign
+ * influencers and data models, from where, and what changed
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE audit_logs (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      action VARCHAR(10) NOT NULL,
+      resource_type VARCHAR(50) NOT NULL,
+      resource_id UUID NOT NULL,
+      workspace_id UUID,
+      actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+      api_key_id UUID,
+      ip_address VARCHAR(45),
+      user_agent TEXT,
+      changes JSONB NOT NULL DEFAULT '{}',
+      created_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_audit_logs_resource ON audit_logs(resource_type, resource_id, created_at)',
+    'CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_id, created_at)',
+    'CREATE INDEX idx_audit_logs_created ON audit_logs(created_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS audit_logs'
+  ]
+};
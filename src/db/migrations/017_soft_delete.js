@@ -0,0 +1,29 @@
+/**
+ * Migration 017: Soft Delete
+ * Deleted influencers, campaigns and data models are kept in the trash,
+ * with when and by whom they were deleted, until they are purged
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE influencers ADD COLUMN deleted_at TIMESTAMP',
+    'ALTER TABLE influencers ADD COLUMN deleted_by UUID REFERENCES users(id) ON DELETE SET NULL',
+    'ALTER TABLE campaigns ADD COLUMN deleted_at TIMESTAMP',
+    'ALTER TABLE campaigns ADD COLUMN deleted_by UUID REFERENCES users(id) ON DELETE SET NULL',
+    'ALTER TABLE data_models ADD COLUMN deleted_at TIMESTAMP',
+    'ALTER TABLE data_models ADD COLUMN deleted_by UUID REFERENCES users(id) ON DELETE SET NULL',
+
+    'CREATE INDEX idx_influencers_deleted ON influencers(deleted_at)',
+    'CREATE INDEX idx_campaigns_deleted ON campaigns(deleted_at)',
+    'CREATE INDEX idx_data_models_deleted ON data_models(deleted_at)'
+  ],
+
+  down: [
+    'ALTER TABLE data_models DROP COLUMN deleted_by',
+    'ALTER TABLE data_models DROP COLUMN deleted_at',
+    'ALTER TABLE campaigns DROP COLUMN deleted_by',
+    'ALTER TABLE campaigns DROP COLUMN deleted_at',
+    'ALTER TABLE influencers DROP COLUMN deleted_by',
+    'ALTER TABLE influencers DROP COLUMN deleted_at'
+  ]
+};
@@ -0,0 +1,49 @@
+/**
+ * Migration 018: Webhooks
+ * Per-workspace subscriptions to domain events, and a log of every delivery
+ * attempt with its response and retry schedule
+ */
+
+module.exports = {
+  up: [
+    `CREATE TABLE webhook_subscriptions (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      workspace_id UUID NOT NULL REFERENCES workspaces(id) ON DELETE CASCADE,
+      url TEXT NOT NULL,
+      secret VARCHAR(100) NOT NULL,
+      events JSONB NOT NULL DEFAULT '[]',
+      description VARCHAR(255),
+      is_active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW()
+    )`,
+
+    'CREATE INDEX idx_webhook_subscriptions_workspace ON webhook_subscriptions(workspace_id)',
+
+    `CREATE TABLE webhook_deliveries (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      subscription_id UUID NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+      event VARCHAR(100) NOT NULL,
+      payload JSONB NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMP,
+      last_attempt_at TIMESTAMP,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      redelivery_of UUID REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT NOW(),
+      delivered_at TIMESTAMP
+    )`,
+
+    'CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, created_at)',
+    'CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at)'
+  ],
+
+  down: [
+    'DROP TABLE IF EXISTS webhook_deliveries',
+    'DROP TABLE IF EXISTS webhook_subscriptions'
+  ]
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration 019: Email Change
+ * A changed email address waits on its verification token until it is
+ * confirmed; the account keeps its old address until then
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE email_verification_tokens ADD COLUMN new_email VARCHAR(255)'
+  ],
+
+  down: [
+    'ALTER TABLE email_verification_tokens DROP COLUMN new_email'
+  ]
+};
@@ -0,0 +1,16 @@
+/**
+ * Migration 020: Webhook Response Timing
+ * The delivery log keeps how long a receiver took to answer instead of what
+ * it answered, so webhooks cannot be used to read other servers' responses
+ */
+
+module.exports = {
+  up: [
+    'ALTER TABLE webhook_deliveries ADD COLUMN response_time_ms INTEGER',
+    'ALTER TABLE webhook_deliveries DROP COLUMN response_body'
+  ],
+  down: [
+    'ALTER TABLE webhook_deliveries ADD COLUMN response_body TEXT',
+    'ALTER TABLE webhook_deliveries DROP COLUMN response_time_ms'
+  ]
+};
@@ -0,0 +1,316 @@
+/**
+ * Migration Runner
+ * Applies the numbered files in src/db/migrations in order and records each
+ * one in the schema_migrations ledger. Every migration runs in its own
+ * transaction, and applied migrations are checked against their checksum so
+ * edits to already-deployed files are caught.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const LEDGER_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version VARCHAR(20) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    execution_ms INTEGER,
+    applied_at TIMESTAMP DEFAULT NOW()
+  )`;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function toStatements(sql) {
+  if (!sql) return [];
+  return Array.isArray(sql) ? sql : [sql];
+}
+
+/**
+ * Checksum of a migration's SQL
+ */
+function checksum(migration) {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify({ up: migration.up, down: migration.down }))
+    .digest('hex');
+}
+
+/**
+ * Load migration files sorted by version
+ * @param {string} [directory] - Defaults to src/db/migrations
+ */
+function loadMigrations(directory = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(directory)
+    .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const definition = require(path.join(directory, file));
+      const migration = {
+        version: match[1],
+        name: match[2],
+        file,
+        up: toStatements(definition.up),
+        down: toStatements(definition.down)
+      };
+
+      if (migration.up.length === 0) {
+        throw new MigrationError(`Migration ${file} has no up statements`);
+      }
+
+      migration.checksum = checksum(migration);
+      return migration;
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (Number(migrations[i].version) === Number(migrations[i - 1].version)) {
+      throw new MigrationError(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+// Read the ledger; a database that was never migrated has no ledger yet
+async function getApplied(client) {
+  try {
+    const result = await client.query(
+      'SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version'
+    );
+    return result.rows;
+  } catch (error) {
+    if (error.code === '42P01') return [];
+    throw error;
+  }
+}
+
+/**
+ * Compare the ledger with the migration files
+ * @returns {Promise<Array>} One entry per migration: applied, pending, modified or missing
+ */
+async function status(db, options = {}) {
+  const migrations = options.migrations || loadMigrations(options.directory);
+  const client = await db.getClient();
+
+  try {
+    return describe(migrations, await getApplied(client));
+  } finally {
+    client.release();
+  }
+}
+
+function describe(migrations, applied) {
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const entries = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    appliedByVersion.delete(migration.version);
+
+    let state = 'pending';
+    if (row) {
+      state = row.checksum === migration.checksum ? 'applied' : 'modified';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+
+  // Ledger rows whose file has been removed
+  for (const row of appliedByVersion.values()) {
+    entries.push({ version: row.version, name: row.name, state: 'missing', appliedAt: row.applied_at });
+  }
+
+  return entries.sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+function verifyChecksums(entries) {
+  const problems = entries.filter(entry => entry.state === 'modified' || entry.state === 'missing');
+  if (problems.length > 0) {
+    const details = problems.map(entry => `${entry.version}_${entry.name} (${entry.state})`).join(', ');
+    throw new MigrationError(`Applied migrations do not match the migration files: ${details}`);
+  }
+}
+
+async function runStatements(client, statements, options) {
+  for (const statement of statements) {
+    if (options.dryRun) {
+      options.log(`${statement.trim()};`);
+    } else {
+      await client.query(statement);
+    }
+  }
+}
+
+async function applyMigration(client, migration, direction, options) {
+  const label = `${migration.version}_${migration.name}`;
+  const statements = direction === 'up' ? migration.up : migration.down;
+
+  if (direction === 'down' && statements.length === 0) {
+    throw new MigrationError(`Migration ${label} cannot be rolled back: it has no down statements`);
+  }
+
+  if (options.dryRun) {
+    options.log(`-- ${direction}: ${label}`);
+    await runStatements(client, statements, options);
+    return;
+  }
+
+  const startedAt = Date.now();
+  await client.query('BEGIN');
+
+  try {
+    await runStatements(client, statements, options);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+        [migration.version, migration.name, migration.checksum, Date.now() - startedAt]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new MigrationError(`Migration ${label} (${direction}) failed: ${error.message}`);
+  }
+
+  options.log(`✓ ${direction === 'up' ? 'Applied' : 'Rolled back'} ${label} (${Date.now() - startedAt}ms)`);
+}
+
+function withDefaults(options) {
+  return {
+    log: console.log,
+    dryRun: false,
+    ...options
+  };
+}
+
+/**
+ * Apply pending migrations
+ * @param {object} db - Anything with getClient() (the database module or an adapter)
+ * @param {object} [options] - { to, dryRun, log, directory }
+ * @returns {Promise<string[]>} Versions applied (or that would be applied in a dry run)
+ */
+async function up(db, options = {}) {
+  options = withDefaults(options);
+  const migrations = options.migrations || loadMigrations(options.directory);
+  const client = await db.getClient();
+
+  try {
+    if (!options.dryRun) {
+      await client.query(LEDGER_SQL);
+    }
+
+    const entries = describe(migrations, await getApplied(client));
+    verifyChecksums(entries);
+
+    const pending = migrations.filter(migration =>
+      entries.find(entry => entry.version === migration.version).state === 'pending' &&
+      (options.to === undefined || Number(migration.version) <= Number(options.to))
+    );
+
+    for (const migration of pending) {
+      await applyMigration(client, migration, 'up', options);
+    }
+
+    return pending.map(migration => migration.version);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {object} db - Anything with getClient()
+ * @param {object} [options] - { steps = 1, to, dryRun, log, directory }; `to` keeps that version applied
+ * @returns {Promise<string[]>} Versions rolled back
+ */
+async function down(db, options = {}) {
+  options = withDefaults({ steps: 1, ...options });
+  const migrations = options.migrations || loadMigrations(options.directory);
+  const client = await db.getClient();
+
+  try {
+    const entries = describe(migrations, await getApplied(client));
+    verifyChecksums(entries);
+
+    const applied = migrations
+      .filter(migration => entries.find(entry => entry.version === migration.version).state === 'applied')
+      .reverse();
+
+    const targets = options.to !== undefined
+      ? applied.filter(migration => Number(migration.version) > Number(options.to))
+      : applied.slice(0, options.steps);
+
+    for (const migration of targets) {
+      await applyMigration(client, migration, 'down', options);
+    }
+
+    return targets.map(migration => migration.version);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Roll back and re-apply the most recent migrations
+ * @param {object} db - Anything with getClient()
+ * @param {object} [options] - { steps = 1, dryRun, log, directory }
+ */
+async function redo(db, options = {}) {
+  const rolledBack = await down(db, options);
+  if (rolledBack.length === 0) return [];
+
+  if (options.dryRun) {
+    // The ledger was left untouched, so print the re-apply step directly
+    const settings = withDefaults(options);
+    const migrations = options.migrations || loadMigrations(options.directory);
+    for (const version of [...rolledBack].reverse()) {
+      await applyMigration(null, migrations.find(migration => migration.version === version), 'up', settings);
+    }
+    return rolledBack;
+  }
+
+  return up(db, { ...options, to: rolledBack[0] });
+}
+
+/**
+ * Roll back every migration and drop the ledger
+ */
+async function reset(db, options = {}) {
+  const rolledBack = await down(db, { ...options, to: 0 });
+
+  const client = await db.getClient();
+  try {
+    await runStatements(client, ['DROP TABLE IF EXISTS schema_migrations'], withDefaults(options));
+  } finally {
+    client.release();
+  }
+
+  return rolledBack;
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  checksum,
+  status,
+  up,
+  down,
+  redo,
+  reset
+};
@@ -9,6 +9,9 @@ const fs = require('fs');
 const path = require('path');
 const yaml = require('yaml');
 
+// Workspace created by the migrations for records that predate workspaces
+const DEFAULT_WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
 // Load config
 const configPath = path.join(__dirname, '..', 'config.yaml');
 const configFile = fs.readFileSync(configPath, 'utf8');
@@ -278,8 +281,8 @@ async function seedDatabase() {
     for (const user of sampleUsers) {
       const hashedPassword = await bcrypt.hash(user.password, saltRounds);
       await client.query(
-        `INSERT INTO users (name, email, password, role, status, created_at, updated_at)
-         VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+        `INSERT INTO users (name, email, password, role, status, email_verified_at, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), NOW())
          ON CONFLICT (email) DO NOTHING`,
         [user.name, user.email.toLowerCase(), hashedPassword, user.role, user.status]
       );
@@ -375,6 +378,16 @@ async function seedDatabase() {
       console.log(`✓ Linked campaign to influencer`);
     }
     
+    // Start the status history for campaigns that have none
+    console.log('\nRecording campaign status history...');
+    await client.query(
+      `INSERT INTO campaign_status_history (campaign_id, from_status, to_status, reason, changed_by, changed_at)
+       SELECT c.id, NULL, c.status, 'Campaign created', c.created_by, NOW()
+       FROM campaigns c
+       WHERE NOT EXISTS (SELECT 1 FROM campaign_status_history h WHERE h.campaign_id = c.id)`
+    );
+    console.log(`✓ Recorded campaign status history`);
+    
     // Add sample model data
     console.log('\nAdding sample model data...');
     const modelResult = await client.query('SELECT id FROM data_models LIMIT 1');
@@ -389,6 +402,30 @@ async function seedDatabase() {
       console.log(`✓ Added sample data point`);
     }
     
+    // Put the sample users and records in the default workspace
+    console.log('\nSetting up the default workspace...');
+    await client.query(
+      `INSERT INTO workspace_members (workspace_id, user_id, role, joined_at)
+       SELECT $1, id, CASE WHEN role IN ('admin', 'super_admin') THEN 'owner' ELSE 'member' END, NOW()
+       FROM users
+       ON CONFLICT (workspace_id, user_id) DO NOTHING`,
+      [DEFAULT_WORKSPACE_ID]
+    );
+    for (const table of ['influencers', 'campaigns', 'data_models']) {
+      await client.query(`UPDATE ${table} SET workspace_id = $1 WHERE workspace_id IS NULL`, [DEFAULT_WORKSPACE_ID]);
+    }
+    console.log(`✓ Added users and records to the default workspace`);
+    
+    // Start metrics history for influencers that have none
+    console.log('\nRecording influencer metrics...');
+    const metricsResult = await client.query(
+      `INSERT INTO influencer_metrics (influencer_id, followers, engagement_rate, source, recorded_at)
+       SELECT i.id, i.followers, i.engagement_rate, 'baseline', NOW()
+       FROM influencers i
+       WHERE NOT EXISTS (SELECT 1 FROM influencer_metrics m WHERE m.influencer_id = i.id)`
+    );
+    console.log(`✓ Recorded ${metricsResult.rowCount} metrics snapshot(s)`);
+    
     console.log('\n✅ Database seeding completed successfully!');
     console.log('\nSample login credentials:');
     console.log('  Admin: admin@influencerium.com / Admin123!');
@@ -12,6 +12,7 @@ const config = require('./config');
 const database = require('./database');
 const { errorHandler } = require('./middleware/error');
 const routes = require('./routes');
+const jobs = require('./services/jobs');
 
 // Initialize Express app
 const app = express();
@@ -111,6 +112,10 @@ async function startServer() {
       await database.initMockData();
     }
 
+    // Run background jobs and their schedules (campaign auto-complete,
+    // trash purge, webhook retries, expired session and token cleanup)
+    jobs.start();
+
     // Start listening
     const port = config.app.port || 3000;
     const host = config.app.host || '0.0.0.0';
@@ -142,12 +147,14 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  await jobs.stop();
   await database.closePool();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  await jobs.stop();
   await database.closePool();
   process.exit(0);
 });
@@ -1,20 +1,95 @@
 /**
  * Authentication Middleware
- * JWT token verification and user authentication
+ * JWT and API key verification and user authentication. Access tokens are
+ * only honoured while the session they were issued for is active.
  */
 
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { query } = require('../database');
 const { AuthenticationError, AuthorizationError } = require('./error');
+const { PERMISSIONS } = require('./rbac');
+const workspaces = require('../services/workspaces');
+const roles = require('../services/roles');
+const apiKeys = require('../services/apiKeys');
+const sessions = require('../services/session');
+const emailVerification = require('../services/emailVerification');
 
-// Verify JWT token middleware
+// Attach the active workspace, chosen by header or token claim, and the
+// user's role permissions and overrides to the user
+async function attachAccess(req, user, { requested, claimed = null }) {
+  const workspace = await workspaces.resolveWorkspace(user, { requested, claimed });
+  user.workspace_id = workspace ? workspace.id : null;
+  user.workspace_role = workspace ? workspace.role : null;
+  await roles.loadUserPermissions(user);
+}
+
+// Sessions of users whose role requires 2FA may only reach the routes that
+// set it up until they have satisfied it
+async function assertMfaSatisfied(req, user, session) {
+  if (!session.mfa_verified && !req.allowPendingMfa && await roles.roleRequiresMfa(user.role)) {
+    throw new AuthorizationError('Your role requires two-factor authentication. Set it up to continue');
+  }
+}
+
+// Users who have not verified their email may only reach the routes that
+// let them do so
+function assertEmailVerified(req, user) {
+  if (user.status === emailVerification.PENDING_VERIFICATION && !req.allowUnverified) {
+    throw new AuthorizationError('Verify your email address to continue');
+  }
+}
+
+// Let a route through before the session has satisfied a required 2FA
+function allowPendingMfa(req, res, next) {
+  req.allowPendingMfa = true;
+  next();
+}
+
+// Let a route through before the user has verified their email
+function allowUnverified(req, res, next) {
+  req.allowUnverified = true;
+  next();
+}
+
+// Authenticate with an API key, limited to its scopes and to its workspace
+// when it has one
+async function authenticateApiKey(req, key) {
+  const apiKey = await apiKeys.verifyApiKey(key, req.ip);
+
+  const result = await query(
+    'SELECT id, email, name, role, status, team_id, created_at, updated_at FROM users WHERE id = $1 AND status = $2',
+    [apiKey.user_id, 'active']
+  );
+  if (result.rows.length === 0) {
+    throw new AuthenticationError('User not found or inactive');
+  }
+
+  const requested = req.headers[workspaces.WORKSPACE_HEADER];
+  if (apiKey.workspace_id && requested && requested !== apiKey.workspace_id) {
+    throw new AuthorizationError('This API key is limited to another workspace');
+  }
+
+  const user = result.rows[0];
+  await attachAccess(req, user, { requested: apiKey.workspace_id || requested });
+  user.api_key_scopes = apiKey.scopes;
+
+  req.user = user;
+  req.apiKey = { id: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, workspace_id: apiKey.workspace_id };
+}
+
+// Verify JWT token or API key middleware
+// A Bearer token wins when a request carries both.
 async function authenticate(req, res, next) {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      if (req.headers[apiKeys.API_KEY_HEADER]) {
+        await authenticateApiKey(req, req.headers[apiKeys.API_KEY_HEADER]);
+        return next();
+      }
       throw new AuthenticationError('No token provided');
     }
     
@@ -30,20 +105,33 @@ async function authenticate(req, res, next) {
       }
       throw new AuthenticationError('Invalid token');
     }
+    if (!decoded.sid) {
+      throw new AuthenticationError('Invalid token');
+    }
     
     // Get user from database
     const result = await query(
-      'SELECT id, email, name, role, status, created_at, updated_at FROM users WHERE id = $1 AND status = $1',
-      [decoded.userId]
+      'SELECT id, email, name, role, status, team_id, created_at, updated_at FROM users WHERE id = $1 AND status = ANY($2)',
+      [decoded.userId, emailVerification.SIGN_IN_STATUSES]
     );
     
     if (result.rows.length === 0) {
       throw new AuthenticationError('User not found or inactive');
     }
     
-    // Attach user to request
+    // Logout and session revocation end the token before it expires
+    const session = await sessions.assertActiveSession(decoded.sid, decoded.userId);
+    assertEmailVerified(req, result.rows[0]);
+    await assertMfaSatisfied(req, result.rows[0], session);
+    
+    // Attach user and their active workspace to request
+    await attachAccess(req, result.rows[0], {
+      requested: req.headers[workspaces.WORKSPACE_HEADER],
+      claimed: decoded.workspaceId
+    });
     req.user = result.rows[0];
     req.token = token;
+    req.sessionId = decoded.sid;
     
     next();
   } catch (error) {
@@ -57,6 +145,13 @@ async function optionalAuth(req, res, next) {
     const authHeader = req.headers.authorization;
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      if (req.headers[apiKeys.API_KEY_HEADER]) {
+        try {
+          await authenticateApiKey(req, req.headers[apiKeys.API_KEY_HEADER]);
+        } catch (err) {
+          // Key invalid but that's okay for optional auth
+        }
+      }
       return next();
     }
     
@@ -66,16 +161,23 @@ async function optionalAuth(req, res, next) {
       const decoded = jwt.verify(token, config.jwt.secret);
       
       const result = await query(
-        'SELECT id, email, name, role, status FROM users WHERE id = $1 AND status = $1',
-        [decoded.userId]
+        'SELECT id, email, name, role, status, team_id FROM users WHERE id = $1 AND status = $2',
+        [decoded.userId, 'active']
       );
       
-      if (result.rows.length > 0) {
+      if (result.rows.length > 0 && decoded.sid) {
+        const session = await sessions.assertActiveSession(decoded.sid, decoded.userId);
+        await assertMfaSatisfied(req, result.rows[0], session);
+        await attachAccess(req, result.rows[0], {
+          requested: req.headers[workspaces.WORKSPACE_HEADER],
+          claimed: decoded.workspaceId
+        });
         req.user = result.rows[0];
         req.token = token;
+        req.sessionId = decoded.sid;
       }
     } catch (err) {
-      // Token invalid but that's okay for optional auth
+      // Token or workspace invalid but that's okay for optional auth
     }
     
     next();
@@ -100,56 +202,51 @@ function authorize(...roles) {
 }
 
 // Admin-only middleware
+// API keys also need the admin:access scope.
 function adminOnly(req, res, next) {
+  if (req.apiKey && !req.apiKey.scopes.includes(PERMISSIONS.ADMIN_ACCESS)) {
+    return next(new AuthorizationError(`API key is missing the ${PERMISSIONS.ADMIN_ACCESS} scope`));
+  }
   return authorize('admin')(req, res, next);
 }
 
-// Generate JWT token
-function generateToken(user) {
+// Account, session, workspace and API key management needs a signed-in user;
+// API keys only reach the routes their scopes cover
+function signedInOnly(req, res, next) {
+  if (req.apiKey) {
+    return next(new AuthorizationError('API keys cannot be used for this action; sign in instead'));
+  }
+  next();
+}
+
+// Generate JWT access token for a session, optionally carrying the active workspace
+function generateToken(user, { sessionId = null, workspaceId = null } = {}) {
   const payload = {
     userId: user.id,
     email: user.email,
     role: user.role,
   };
-  
-  return jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.expires_in,
-  });
-}
 
-// Generate refresh token
-function generateRefreshToken(user) {
-  const payload = {
-    userId: user.id,
-    type: 'refresh',
-  };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+
+  if (workspaceId) {
+    payload.workspaceId = workspaceId;
+  }
   
   return jwt.sign(payload, config.jwt.secret, {
-    expiresIn: config.jwt.refresh_expires_in || '30d',
+    expiresIn: config.jwt.expires_in,
   });
 }
 
-// Verify refresh token
-function verifyRefreshToken(token) {
-  try {
-    const decoded = jwt.verify(token, config.jwt.secret);
-    
-    if (decoded.type !== 'refresh') {
-      throw new Error('Invalid token type');
-    }
-    
-    return decoded;
-  } catch (error) {
-    throw new AuthenticationError('Invalid refresh token');
-  }
-}
-
 module.exports = {
   authenticate,
   optionalAuth,
+  allowPendingMfa,
+  allowUnverified,
   authorize,
   adminOnly,
+  signedInOnly,
   generateToken,
-  generateRefreshToken,
-  verifyRefreshToken,
 };
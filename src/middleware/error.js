@@ -48,6 +48,25 @@ class ConflictError extends AppError {
   }
 }
 
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Too many requests', retryAfter = null) {
+    super(message, 429, 'TOO_MANY_REQUESTS');
+    this.retryAfter = retryAfter; // seconds
+  }
+}
+
+class PayloadTooLargeError extends AppError {
+  constructor(message = 'Payload too large') {
+    super(message, 413, 'PAYLOAD_TOO_LARGE');
+  }
+}
+
+class UnsupportedMediaTypeError extends AppError {
+  constructor(message = 'Unsupported media type') {
+    super(message, 415, 'UNSUPPORTED_MEDIA_TYPE');
+  }
+}
+
 // Error response formatter
 function formatErrorResponse(error, includeStack = false) {
   const response = {
@@ -81,8 +100,17 @@ function errorHandler(err, req, res, next) {
     method: req.method,
   });
 
+  // A response already under way, such as a streamed download, can only be
+  // cut short so it is not mistaken for complete
+  if (res.headersSent) {
+    return res.destroy(err);
+  }
+
   // Handle known operational errors
   if (err.isOperational) {
+    if (err.retryAfter) {
+      res.set('Retry-After', String(err.retryAfter));
+    }
     return res.status(err.statusCode).json(formatErrorResponse(err));
   }
 
@@ -177,4 +205,7 @@ module.exports = {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  TooManyRequestsError,
+  PayloadTooLargeError,
+  UnsupportedMediaTypeError,
 };
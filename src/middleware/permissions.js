@@ -12,6 +12,19 @@ const {
   ROLE_HIERARCHY 
 } = require('./rbac');
 const { AuthorizationError, AuthenticationError } = require('./error');
+const ownership = require('../services/ownership');
+
+/**
+ * Run a check once the request is authenticated
+ * Reuses req.user when an earlier middleware already authenticated the
+ * request, and passes authentication failures straight on (401, not 403).
+ */
+function withAuthentication(req, res, next, check) {
+  if (req.user) {
+    return check();
+  }
+  return authenticate(req, res, (error) => (error ? next(error) : check()));
+}
 
 /**
  * Middleware factory to check for specific permissions
@@ -29,21 +42,24 @@ const { AuthorizationError, AuthenticationError } = require('./error');
  * router.get('/secure', requireAllPermissions('data:read', 'data:write'), handler);
  */
 function requirePermission(...permissions) {
-  return async (req, res, next) => {
+  const middleware = async (req, res, next) => {
     try {
-      // First authenticate the user
-      await authenticate(req, res, async () => {
-        // Check if user has the permission
-        if (userHasPermission(req.user, permissions[0])) {
+      // First authenticate the user, then check every listed permission
+      await withAuthentication(req, res, next, () => {
+        if (userHasAllPermissions(req.user, permissions)) {
           next();
         } else {
-          next(new AuthorizationError(`Permission denied. Required: ${permissions[0]}`));
+          next(new AuthorizationError(`Permission denied. Required: ${permissions.join(', ')}`));
         }
       });
     } catch (error) {
       next(error);
     }
   };
+
+  // Exposed so the route manifest can be checked against the routers
+  middleware.permissions = permissions;
+  return middleware;
 }
 
 /**
@@ -54,7 +70,7 @@ function requirePermission(...permissions) {
 function requireAnyPermission(...permissions) {
   return async (req, res, next) => {
     try {
-      await authenticate(req, res, async () => {
+      await withAuthentication(req, res, next, () => {
         if (userHasAnyPermission(req.user, permissions)) {
           next();
         } else {
@@ -77,7 +93,7 @@ function requireAnyPermission(...permissions) {
 function requireAllPermissions(...permissions) {
   return async (req, res, next) => {
     try {
-      await authenticate(req, res, async () => {
+      await withAuthentication(req, res, next, () => {
         if (userHasAllPermissions(req.user, permissions)) {
           next();
         } else {
@@ -104,7 +120,7 @@ function requireAllPermissions(...permissions) {
 function requireMinRole(minimumRole) {
   return async (req, res, next) => {
     try {
-      await authenticate(req, res, async () => {
+      await withAuthentication(req, res, next, () => {
         const userRole = req.user.role;
         const minRoleLevel = ROLE_HIERARCHY[minimumRole] || 0;
         const userRoleLevel = ROLE_HIERARCHY[userRole] || 0;
@@ -135,7 +151,7 @@ function requireMinRole(minimumRole) {
 function requireRole(...roles) {
   return async (req, res, next) => {
     try {
-      await authenticate(req, res, async () => {
+      await withAuthentication(req, res, next, () => {
         if (roles.includes(req.user.role)) {
           next();
         } else {
@@ -151,32 +167,43 @@ function requireRole(...roles) {
 }
 
 /**
- * Middleware to check if user owns the resource or has permission
- * @param {string} userIdParam - Request parameter name containing user ID
- * @param {string} permission - Permission to check if not owner
+ * Middleware to check the user may access a record
+ * Users own their own account; influencers, campaigns and data models follow
+ * the ownership policy in services/ownership (own, shared, team or all
+ * records depending on role). Records out of reach are reported as not found.
+ * @param {string} resourceType - 'user', or a resource type from services/ownership
+ * @param {object} [options] - { param: route parameter with the record ID, permission: permission that bypasses the check }
  * @returns Middleware function
  * 
  * @example
  * // Check if user owns the profile or has user:manage permission
- * router.put('/users/:id', ownsResource('id', 'user:manage'), handler);
+ * router.put('/users/:id', ownsResource('user', { permission: 'user:manage' }), handler);
+ * 
+ * // Check the campaign is within the user's reach
+ * router.get('/campaigns/:id', ownsResource('campaign'), handler);
  */
-function ownsResource(userIdParam = 'id', permission = null) {
+function ownsResource(resourceType = 'user', { param = 'id', permission = null } = {}) {
   return async (req, res, next) => {
     try {
-      await authenticate(req, res, async () => {
-        const resourceUserId = req.params[userIdParam];
-        
-        // Check if user owns the resource
-        if (resourceUserId === req.user.id) {
-          return next();
-        }
-        
-        // Check if user has the required permission
-        if (permission && userHasPermission(req.user, permission)) {
-          return next();
+      await withAuthentication(req, res, next, async () => {
+        try {
+          // Check if user has the permission that overrides ownership
+          if (permission && userHasPermission(req.user, permission)) {
+            return next();
+          }
+
+          if (resourceType === 'user') {
+            if (req.params[param] === req.user.id) {
+              return next();
+            }
+            return next(new AuthorizationError('Access denied. You do not own this resource.'));
+          }
+
+          await ownership.findAccessible(req.user, resourceType, req.params[param]);
+          next();
+        } catch (error) {
+          next(error);
         }
-        
-        next(new AuthorizationError('Access denied. You do not own this resource.'));
       });
     } catch (error) {
       next(error);
@@ -193,7 +220,7 @@ function attachPermissions() {
     try {
       if (req.user) {
         const rbac = require('./rbac');
-        req.userPermissions = rbac.getRolePermissions(req.user.role);
+        req.userPermissions = rbac.getUserPermissions(req.user);
         req.hasPermission = (perm) => rbac.userHasPermission(req.user, perm);
       }
       next();
@@ -47,52 +47,142 @@ const PERMISSIONS = {
   ROLE_MANAGE: 'role:manage'
 };
 
-// Role-Permission mapping
+// Built-in role-permission mapping (each role builds on the one below it)
+const ROLES_USER_PERMISSIONS = [
+  PERMISSIONS.USER_READ,
+  PERMISSIONS.USER_UPDATE,
+  PERMISSIONS.INFLUENCER_READ,
+  PERMISSIONS.INFLUENCER_CREATE,
+  PERMISSIONS.INFLUENCER_UPDATE,
+  PERMISSIONS.CAMPAIGN_READ,
+  PERMISSIONS.CAMPAIGN_CREATE,
+  PERMISSIONS.CAMPAIGN_UPDATE,
+  PERMISSIONS.MODEL_READ,
+  PERMISSIONS.MODEL_CREATE,
+  PERMISSIONS.MODEL_UPDATE,
+  PERMISSIONS.ANALYTICS_READ
+];
+
+const ROLES_MODERATOR_PERMISSIONS = [
+  ...ROLES_USER_PERMISSIONS,
+  PERMISSIONS.INFLUENCER_DELETE,
+  PERMISSIONS.CAMPAIGN_DELETE,
+  PERMISSIONS.MODEL_DELETE,
+  PERMISSIONS.ANALYTICS_EXPORT
+];
+
+const ROLES_ADMIN_PERMISSIONS = [
+  ...ROLES_MODERATOR_PERMISSIONS,
+  PERMISSIONS.USER_MANAGE,
+  PERMISSIONS.ADMIN_ACCESS
+];
+
 const ROLE_PERMISSIONS = {
-  [ROLES.USER]: [
-    PERMISSIONS.USER_READ,
-    PERMISSIONS.USER_UPDATE,
-    PERMISSIONS.INFLUENCER_READ,
-    PERMISSIONS.INFLUENCER_CREATE,
-    PERMISSIONS.INFLUENCER_UPDATE,
-    PERMISSIONS.CAMPAIGN_READ,
-    PERMISSIONS.CAMPAIGN_CREATE,
-    PERMISSIONS.CAMPAIGN_UPDATE,
-    PERMISSIONS.MODEL_READ,
-    PERMISSIONS.MODEL_CREATE,
-    PERMISSIONS.MODEL_UPDATE,
-    PERMISSIONS.ANALYTICS_READ
-  ],
-  
-  [ROLES.MODERATOR]: [
-    ...ROLES_USER_PERMISSIONS,
-    PERMISSIONS.INFLUENCER_DELETE,
-    PERMISSIONS.CAMPAIGN_DELETE,
-    PERMISSIONS.MODEL_DELETE,
-    PERMISSIONS.ANALYTICS_EXPORT
-  ],
-  
-  [ROLES.ADMIN]: [
-    ...ROLES_MODERATOR_PERMISSIONS,
-    PERMISSIONS.USER_MANAGE,
-    PERMISSIONS.ADMIN_ACCESS
-  ],
-  
+  [ROLES.USER]: ROLES_USER_PERMISSIONS,
+  [ROLES.MODERATOR]: ROLES_MODERATOR_PERMISSIONS,
+  [ROLES.ADMIN]: ROLES_ADMIN_PERMISSIONS,
   [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS)
 };
 
-// Helper function to get user permissions
-const ROLES_USER_PERMISSIONS = ROLE_PERMISSIONS[ROLES.USER];
-const ROLES_MODERATOR_PERMISSIONS = ROLE_PERMISSIONS[ROLES.MODERATOR];
-const ROLES_ADMIN_PERMISSIONS = ROLE_PERMISSIONS[ROLES.ADMIN];
+// Workspace role definitions (a member's role within one workspace)
+const WORKSPACE_ROLES = {
+  VIEWER: 'viewer',
+  MEMBER: 'member',
+  ADMIN: 'admin',
+  OWNER: 'owner'
+};
+
+// Permissions on workspace records, which a member's workspace role decides
+const WORKSPACE_PERMISSIONS = [
+  PERMISSIONS.INFLUENCER_READ,
+  PERMISSIONS.INFLUENCER_CREATE,
+  PERMISSIONS.INFLUENCER_UPDATE,
+  PERMISSIONS.INFLUENCER_DELETE,
+  PERMISSIONS.CAMPAIGN_READ,
+  PERMISSIONS.CAMPAIGN_CREATE,
+  PERMISSIONS.CAMPAIGN_UPDATE,
+  PERMISSIONS.CAMPAIGN_DELETE,
+  PERMISSIONS.MODEL_READ,
+  PERMISSIONS.MODEL_CREATE,
+  PERMISSIONS.MODEL_UPDATE,
+  PERMISSIONS.MODEL_DELETE,
+  PERMISSIONS.ANALYTICS_READ,
+  PERMISSIONS.ANALYTICS_EXPORT
+];
+
+// Viewers may only read workspace records, whatever their role allows
+const WORKSPACE_VIEWER_PERMISSIONS = [
+  PERMISSIONS.INFLUENCER_READ,
+  PERMISSIONS.CAMPAIGN_READ,
+  PERMISSIONS.MODEL_READ,
+  PERMISSIONS.ANALYTICS_READ
+];
+
+// Workspace admins and owners may do what moderators do in their workspace
+const WORKSPACE_MANAGER_PERMISSIONS = ROLES_MODERATOR_PERMISSIONS.filter(p => WORKSPACE_PERMISSIONS.includes(p));
+
+const WORKSPACE_ROLE_HIERARCHY = {
+  [WORKSPACE_ROLES.VIEWER]: 1,
+  [WORKSPACE_ROLES.MEMBER]: 2,
+  [WORKSPACE_ROLES.ADMIN]: 3,
+  [WORKSPACE_ROLES.OWNER]: 4
+};
 
 /**
- * Get all permissions for a role
+ * Get the built-in permissions for a role
+ * The roles table is seeded from these; services/roles has the live ones.
  */
 function getRolePermissions(role) {
   return ROLE_PERMISSIONS[role] || [];
 }
 
+/**
+ * Apply a user's own grants and revokes on top of their role's permissions
+ * @param {object} [overrides] - { granted, revoked }
+ */
+function applyOverrides(permissions, overrides) {
+  if (!overrides) {
+    return permissions;
+  }
+  return [...new Set([...permissions, ...overrides.granted])]
+    .filter(p => !overrides.revoked.includes(p));
+}
+
+/**
+ * Adjust role permissions to the user's workspace role
+ * Viewers lose everything but reading workspace records, members keep
+ * their role's permissions and workspace admins and owners gain the
+ * moderator ones. Admins keep all of their permissions in every workspace.
+ */
+function applyWorkspaceRole(permissions, user) {
+  switch (user.workspace_role) {
+    case WORKSPACE_ROLES.VIEWER:
+      if (user.role === ROLES.ADMIN || user.role === ROLES.SUPER_ADMIN) {
+        return permissions;
+      }
+      return permissions.filter(p => !WORKSPACE_PERMISSIONS.includes(p) || WORKSPACE_VIEWER_PERMISSIONS.includes(p));
+    case WORKSPACE_ROLES.ADMIN:
+    case WORKSPACE_ROLES.OWNER:
+      return [...new Set([...permissions, ...WORKSPACE_MANAGER_PERMISSIONS])];
+    default:
+      return permissions;
+  }
+}
+
+/**
+ * Get the permissions a user holds in their active workspace
+ * Role permissions come from the roles table when authentication loaded
+ * them (services/roles), and from the built-in defaults otherwise. The
+ * workspace role adjusts them and per-user overrides apply on top. Requests
+ * made with an API key are limited to the key's scopes.
+ * @param {object} user - { role, workspace_role, role_permissions, permission_overrides, api_key_scopes }
+ */
+function getUserPermissions(user) {
+  const rolePermissions = user.role_permissions || getRolePermissions(user.role);
+  const permissions = applyOverrides(applyWorkspaceRole(rolePermissions, user), user.permission_overrides);
+  return user.api_key_scopes ? permissions.filter(p => user.api_key_scopes.includes(p)) : permissions;
+}
+
 /**
  * Check if a role has a specific permission
  */
@@ -106,7 +196,7 @@ function roleHasPermission(role, permission) {
  */
 function userHasPermission(user, permission) {
   if (!user || !user.role) return false;
-  const permissions = getRolePermissions(user.role);
+  const permissions = getUserPermissions(user);
   return permissions.includes(permission);
 }
 
@@ -115,7 +205,7 @@ function userHasPermission(user, permission) {
  */
 function userHasAnyPermission(user, permissionList) {
   if (!user || !user.role) return false;
-  const permissions = getRolePermissions(user.role);
+  const permissions = getUserPermissions(user);
   return permissionList.some(p => permissions.includes(p));
 }
 
@@ -124,7 +214,7 @@ function userHasAnyPermission(user, permissionList) {
  */
 function userHasAllPermissions(user, permissionList) {
   if (!user || !user.role) return false;
-  const permissions = getRolePermissions(user.role);
+  const permissions = getUserPermissions(user);
   return permissionList.every(p => permissions.includes(p));
 }
 
@@ -152,6 +242,13 @@ const ROLE_HIERARCHY = {
   [ROLES.SUPER_ADMIN]: 4
 };
 
+/**
+ * Check if a workspace role is valid
+ */
+function isValidWorkspaceRole(role) {
+  return Object.values(WORKSPACE_ROLES).includes(role);
+}
+
 /**
  * Check if role1 has higher or equal permission level than role2
  */
@@ -165,13 +262,20 @@ module.exports = {
   ROLES,
   PERMISSIONS,
   ROLE_PERMISSIONS,
+  WORKSPACE_ROLES,
+  WORKSPACE_PERMISSIONS,
+  WORKSPACE_VIEWER_PERMISSIONS,
+  WORKSPACE_MANAGER_PERMISSIONS,
+  WORKSPACE_ROLE_HIERARCHY,
   getRolePermissions,
+  getUserPermissions,
   roleHasPermission,
   userHasPermission,
   userHasAnyPermission,
   userHasAllPermissions,
   getAvailableRoles,
   isValidRole,
+  isValidWorkspaceRole,
   ROLE_HIERARCHY,
   isRoleHigherOrEqual
 };
@@ -0,0 +1,109 @@
+/**
+ * Route Permission Manifest
+ * The permission each influencer, campaign, model and analytics route
+ * requires, keyed by "METHOD /path" relative to /api/v1
+ */
+
+const { PERMISSIONS, ROLE_PERMISSIONS } = require('./rbac');
+
+const ROUTE_PERMISSIONS = {
+  // Influencers
+  'GET /influencers': PERMISSIONS.INFLUENCER_READ,
+  'GET /influencers/:id': PERMISSIONS.INFLUENCER_READ,
+  'POST /influencers': PERMISSIONS.INFLUENCER_CREATE,
+  'POST /influencers/import': PERMISSIONS.INFLUENCER_CREATE,
+  'PUT /influencers/:id': PERMISSIONS.INFLUENCER_UPDATE,
+  'DELETE /influencers/:id': PERMISSIONS.INFLUENCER_DELETE,
+  'GET /influencers/trash': PERMISSIONS.INFLUENCER_READ,
+  'POST /influencers/:id/restore': PERMISSIONS.INFLUENCER_DELETE,
+  'GET /influencers/search/query': PERMISSIONS.INFLUENCER_READ,
+  'POST /influencers/metrics/snapshots': PERMISSIONS.INFLUENCER_UPDATE,
+  'GET /influencers/:id/metrics': PERMISSIONS.INFLUENCER_READ,
+  'GET /influencers/stats/overview': PERMISSIONS.INFLUENCER_READ,
+  'GET /influencers/:id/shares': PERMISSIONS.INFLUENCER_READ,
+  'POST /influencers/:id/shares': PERMISSIONS.INFLUENCER_UPDATE,
+  'DELETE /influencers/:id/shares/:userId': PERMISSIONS.INFLUENCER_UPDATE,
+
+  // Campaigns
+  'GET /campaigns': PERMISSIONS.CAMPAIGN_READ,
+  'GET /campaigns/:id': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns': PERMISSIONS.CAMPAIGN_CREATE,
+  'PUT /campaigns/:id': PERMISSIONS.CAMPAIGN_UPDATE,
+  'DELETE /campaigns/:id': PERMISSIONS.CAMPAIGN_DELETE,
+  'GET /campaigns/trash': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns/:id/restore': PERMISSIONS.CAMPAIGN_DELETE,
+  'POST /campaigns/:id/status': PERMISSIONS.CAMPAIGN_UPDATE,
+  'GET /campaigns/:id/history': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns/:id/influencers': PERMISSIONS.CAMPAIGN_UPDATE,
+  'PUT /campaigns/:id/influencers/:influencerId': PERMISSIONS.CAMPAIGN_UPDATE,
+  'DELETE /campaigns/:id/influencers/:influencerId': PERMISSIONS.CAMPAIGN_UPDATE,
+  'GET /campaigns/:id/budget': PERMISSIONS.CAMPAIGN_READ,
+  'GET /campaigns/stats/overview': PERMISSIONS.CAMPAIGN_READ,
+  'GET /campaigns/:id/shares': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns/:id/shares': PERMISSIONS.CAMPAIGN_UPDATE,
+  'DELETE /campaigns/:id/shares/:userId': PERMISSIONS.CAMPAIGN_UPDATE,
+
+  // Campaign deliverables and expenses
+  'GET /campaigns/:id/influencers/:influencerId/deliverables': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns/:id/influencers/:influencerId/deliverables': PERMISSIONS.CAMPAIGN_UPDATE,
+  'GET /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId': PERMISSIONS.CAMPAIGN_READ,
+  'PUT /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId': PERMISSIONS.CAMPAIGN_UPDATE,
+  'POST /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/submit': PERMISSIONS.CAMPAIGN_UPDATE,
+  'POST /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/approve': PERMISSIONS.CAMPAIGN_UPDATE,
+  'POST /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/reject': PERMISSIONS.CAMPAIGN_UPDATE,
+  'PUT /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/metrics': PERMISSIONS.CAMPAIGN_UPDATE,
+  'DELETE /campaigns/:id/influencers/:influencerId/deliverables/:deliverableId': PERMISSIONS.CAMPAIGN_UPDATE,
+  'GET /campaigns/:id/expenses': PERMISSIONS.CAMPAIGN_READ,
+  'POST /campaigns/:id/expenses': PERMISSIONS.CAMPAIGN_UPDATE,
+  'PUT /campaigns/:id/expenses/:expenseId': PERMISSIONS.CAMPAIGN_UPDATE,
+  'DELETE /campaigns/:id/expenses/:expenseId': PERMISSIONS.CAMPAIGN_UPDATE,
+
+  // Data models
+  'GET /models': PERMISSIONS.MODEL_READ,
+  'GET /models/:id': PERMISSIONS.MODEL_READ,
+  'POST /models': PERMISSIONS.MODEL_CREATE,
+  'PUT /models/:id': PERMISSIONS.MODEL_UPDATE,
+  'DELETE /models/:id': PERMISSIONS.MODEL_DELETE,
+  'GET /models/trash': PERMISSIONS.MODEL_READ,
+  'POST /models/:id/restore': PERMISSIONS.MODEL_DELETE,
+  'GET /models/:id/data': PERMISSIONS.MODEL_READ,
+  'POST /models/:id/data': PERMISSIONS.MODEL_UPDATE,
+  'DELETE /models/:id/data/:dataId': PERMISSIONS.MODEL_UPDATE,
+  'GET /models/:id/shares': PERMISSIONS.MODEL_READ,
+  'POST /models/:id/shares': PERMISSIONS.MODEL_UPDATE,
+  'DELETE /models/:id/shares/:userId': PERMISSIONS.MODEL_UPDATE,
+
+  // Analytics
+  'GET /analytics/overview': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/influencers': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/growth': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/growth/top': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/campaigns': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/campaigns/performance': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/campaigns/:id/performance': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/reach': PERMISSIONS.ANALYTICS_READ,
+  'GET /analytics/export/:format': PERMISSIONS.ANALYTICS_EXPORT,
+  'GET /analytics/summary': PERMISSIONS.ANALYTICS_READ
+};
+
+/**
+ * The manifest as a list, with the roles that hold each permission
+ * @param {object} [rolePermissions] - Role name => permissions; defaults to the built-in roles
+ * @returns {object[]} { method, path, permission, roles }
+ */
+function listRoutePermissions(rolePermissions = ROLE_PERMISSIONS) {
+  return Object.entries(ROUTE_PERMISSIONS).map(([route, permission]) => {
+    const [method, path] = route.split(' ');
+    return {
+      method,
+      path,
+      permission,
+      roles: Object.keys(rolePermissions).filter(role => rolePermissions[role].includes(permission))
+    };
+  });
+}
+
+module.exports = {
+  ROUTE_PERMISSIONS,
+  listRoutePermissions
+};
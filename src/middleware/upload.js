@@ -0,0 +1,171 @@
+/**
+ * File Upload Middleware
+ * Accepts a single file as a raw request body or a multipart/form-data field
+ */
+
+const path = require('path');
+const config = require('../config');
+const { ValidationError, PayloadTooLargeError, UnsupportedMediaTypeError } = require('./error');
+
+// Content types guessed from the file name when the client sends a generic one
+const EXTENSION_TYPES = {
+  '.csv': 'text/csv',
+  '.json': 'application/json'
+};
+
+const GENERIC_TYPES = ['', 'application/octet-stream', 'text/plain'];
+
+// Resolve the effective content type of an uploaded file
+function resolveType(contentType, filename) {
+  const type = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (!GENERIC_TYPES.includes(type)) {
+    return type;
+  }
+  return EXTENSION_TYPES[path.extname(filename || '').toLowerCase()] || type;
+}
+
+// Read the request body into a buffer, stopping once it exceeds maxSize bytes
+function readBody(req, maxSize) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => new PayloadTooLargeError(`File exceeds the maximum upload size of ${maxSize} bytes`);
+
+    if (parseInt(req.headers['content-length'], 10) > maxSize) {
+      req.resume();
+      return reject(tooLarge());
+    }
+
+    const chunks = [];
+    let size = 0;
+    let aborted = false;
+
+    req.on('data', (chunk) => {
+      if (aborted) return;
+      size += chunk.length;
+      if (size > maxSize) {
+        aborted = true;
+        return reject(tooLarge());
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (!aborted) resolve(Buffer.concat(chunks));
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} buffer - Raw request body
+ * @param {string} boundary - Boundary from the Content-Type header
+ * @returns {Array<{ name: string, filename?: string, contentType?: string, data: Buffer }>}
+ */
+function parseMultipart(buffer, boundary) {
+  // latin1 maps bytes 1:1, so binary content survives the string split
+  const body = buffer.toString('latin1');
+  const parts = [];
+
+  for (const section of body.split(`--${boundary}`).slice(1)) {
+    if (section.startsWith('--')) break;
+
+    const headerEnd = section.indexOf('\r\n\r\n');
+    if (headerEnd === -1) continue;
+
+    const headers = {};
+    for (const line of section.slice(0, headerEnd).split('\r\n')) {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+      }
+    }
+
+    const disposition = headers['content-disposition'] || '';
+    const name = /\bname="([^"]*)"/i.exec(disposition);
+    const filename = /\bfilename="([^"]*)"/i.exec(disposition);
+    const content = section.slice(headerEnd + 4, section.endsWith('\r\n') ? -2 : undefined);
+
+    parts.push({
+      name: name ? name[1] : undefined,
+      filename: filename ? Buffer.from(filename[1], 'latin1').toString('utf8') : undefined,
+      contentType: headers['content-type'],
+      data: Buffer.from(content, 'latin1')
+    });
+  }
+
+  return parts;
+}
+
+/**
+ * Accept an uploaded file and expose it as req.file
+ * Raw bodies whose Content-Type is in `types` become the file; for multipart
+ * requests the `field` part is the file and other fields are merged into req.body.
+ * Other requests pass through untouched (e.g. JSON already parsed by express.json).
+ * @param {object} [options] - { field, types, maxSize }
+ */
+function acceptFile(options = {}) {
+  const field = options.field || 'file';
+  const types = options.types || config.upload.allowed_types;
+  const maxSize = options.maxSize || config.upload.max_file_size;
+
+  const checkType = (type) => {
+    if (!types.includes(type)) {
+      throw new UnsupportedMediaTypeError(
+        `Unsupported file type "${type || 'unknown'}". Allowed types: ${types.join(', ')}`
+      );
+    }
+  };
+
+  return async (req, res, next) => {
+    try {
+      if (req.is('multipart/form-data')) {
+        const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type']);
+        if (!match) {
+          throw new ValidationError('Multipart request is missing a boundary');
+        }
+
+        const parts = parseMultipart(await readBody(req, maxSize), match[1] || match[2]);
+        const fields = {};
+
+        for (const part of parts) {
+          if (part.name === field && part.filename !== undefined) {
+            const type = resolveType(part.contentType, part.filename);
+            checkType(type);
+            req.file = {
+              field,
+              filename: part.filename,
+              contentType: type,
+              size: part.data.length,
+              buffer: part.data
+            };
+          } else if (part.name) {
+            fields[part.name] = part.data.toString('utf8');
+          }
+        }
+
+        req.body = { ...(req.body || {}), ...fields };
+      } else if (!req._body && req.headers['content-type']) {
+        // Raw upload: the whole body is the file
+        const type = resolveType(req.headers['content-type']);
+        checkType(type);
+        const buffer = await readBody(req, maxSize);
+        req.file = {
+          field,
+          filename: undefined,
+          contentType: type,
+          size: buffer.length,
+          buffer
+        };
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  acceptFile,
+  parseMultipart,
+  resolveType
+};
@@ -6,23 +6,72 @@
 const express = require('express');
 const router = express.Router();
 const { query, transaction } = require('../database');
-const { authenticate } = require('../middleware/auth');
-const { asyncHandler } = require('../middleware/error');
+const { requirePermission, ownsResource } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const metrics = require('../services/metrics');
+const budget = require('../services/budget');
+const performance = require('../services/performance');
+const exportsService = require('../services/exports');
+const workspaces = require('../services/workspaces');
+const Joi = require('joi');
+
+const PLATFORMS = ['instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'other'];
+
+// Validation Schemas
+const growthQuerySchema = Joi.object({
+  interval: Joi.string().valid(...Object.keys(metrics.INTERVALS)).default('week'),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional(),
+  platform: Joi.string().valid(...PLATFORMS).optional()
+});
+
+const performanceQuerySchema = Joi.object({
+  search: Joi.string().max(100).optional(),
+  platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'multi').optional(),
+  status: Joi.string().valid('draft', 'active', 'paused', 'completed', 'cancelled').optional(),
+  costBasis: Joi.string().valid(...Object.values(performance.COST_BASIS)).default(performance.COST_BASIS.BUDGET),
+  sortBy: Joi.string().valid(...performance.SORT_FIELDS).default('roi'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const campaignPerformanceQuerySchema = Joi.object({
+  interval: Joi.string().valid(...performance.INTERVALS).default('week'),
+  costBasis: Joi.string().valid(...Object.values(performance.COST_BASIS)).default(performance.COST_BASIS.BUDGET)
+});
+
+const rankingQuerySchema = Joi.object({
+  days: Joi.number().integer().min(1).max(365).default(7),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  platform: Joi.string().valid(...PLATFORMS).optional(),
+  sortBy: Joi.string().valid(...Object.keys(metrics.RANKING_SORTS)).default('growth_pct')
+});
+
+// Filters accepted by the list endpoints pass through unchanged
+const exportQuerySchema = Joi.object({
+  format: Joi.string().valid(...Object.keys(exportsService.FORMATS)).required(),
+  type: Joi.string().valid(...Object.keys(exportsService.DATASETS)).default('summary'),
+  columns: Joi.string().max(2000).optional(),
+  modelId: Joi.string().uuid().when('type', { is: 'model_data', then: Joi.required(), otherwise: Joi.forbidden() }),
+  campaignId: Joi.string().uuid().when('type', { is: 'campaign_roster', then: Joi.required(), otherwise: Joi.forbidden() })
+}).unknown(true);
 
 // @route   GET /api/v1/analytics/overview
-// @desc    Get platform overview analytics
+// @desc    Get workspace overview analytics
 // @access  Private
-router.get('/overview', authenticate, asyncHandler(async (req, res) => {
+router.get('/overview', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
   const result = await query(`
     SELECT 
-      (SELECT COUNT(*) FROM users WHERE status = 'active') as total_users,
-      (SELECT COUNT(*) FROM influencers WHERE status = 'active') as total_influencers,
-      (SELECT COUNT(*) FROM campaigns) as total_campaigns,
-      (SELECT COUNT(*) FROM campaigns WHERE status = 'active') as active_campaigns,
-      (SELECT COUNT(*) FROM data_models) as total_models,
-      (SELECT SUM(followers) FROM influencers WHERE status = 'active') as total_reach,
-      (SELECT AVG(engagement_rate) FROM influencers WHERE status = 'active') as avg_engagement
-  `, []);
+      (SELECT COUNT(*) FROM workspace_members wm JOIN users u ON u.id = wm.user_id
+       WHERE wm.workspace_id = $1 AND u.status = 'active') as total_users,
+      (SELECT COUNT(*) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as total_influencers,
+      (SELECT COUNT(*) FROM campaigns WHERE workspace_id = $1 AND deleted_at IS NULL) as total_campaigns,
+      (SELECT COUNT(*) FROM campaigns WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as active_campaigns,
+      (SELECT COUNT(*) FROM data_models WHERE workspace_id = $1 AND deleted_at IS NULL) as total_models,
+      (SELECT SUM(followers) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as total_reach,
+      (SELECT AVG(engagement_rate) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as avg_engagement
+  `, [workspaces.activeWorkspaceId(req.user)]);
 
   const stats = result.rows[0];
 
@@ -45,10 +94,11 @@ router.get('/overview', authenticate, asyncHandler(async (req, res) => {
 // @route   GET /api/v1/analytics/influencers
 // @desc    Get influencer analytics
 // @access  Private
-router.get('/influencers', authenticate, asyncHandler(async (req, res) => {
+router.get('/influencers', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const offset = (page - 1) * limit;
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
 
   // Get influencer statistics by platform
   const platformStats = await query(`
@@ -61,37 +111,85 @@ router.get('/influencers', authenticate, asyncHandler(async (req, res) => {
       MIN(followers) as min_followers,
       MAX(followers) as max_followers
     FROM influencers 
-    WHERE status = 'active'
+    WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL
     GROUP BY platform
     ORDER BY total_followers DESC
-  `, []);
+  `, [workspaceId]);
 
   // Get top performers
   const topPerformers = await query(`
     SELECT id, name, username, platform, followers, engagement_rate, category
     FROM influencers 
-    WHERE status = 'active'
+    WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL
     ORDER BY engagement_rate DESC
     LIMIT 10
-  `, []);
+  `, [workspaceId]);
 
-  // Get growth trend (mock data - would need historical table)
-  const growthTrend = await query(`
+  // Get follower growth over the last year from the metrics history
+  const growth = await metrics.getPlatformGrowth({ interval: 'month', workspaceId });
+
+  // Get new influencers per month
+  const newInfluencers = await query(`
     SELECT 
       DATE_TRUNC('month', created_at) as month,
       COUNT(*) as new_influencers
     FROM influencers
+    WHERE workspace_id = $1 AND deleted_at IS NULL
     GROUP BY DATE_TRUNC('month', created_at)
     ORDER BY month DESC
     LIMIT 12
-  `, []);
+  `, [workspaceId]);
 
   res.json({
     success: true,
     data: {
       byPlatform: platformStats.rows,
       topPerformers: topPerformers.rows,
-      growthTrend: growthTrend.rows.reverse()
+      growthTrend: growth.overall,
+      newInfluencers: newInfluencers.rows.reverse()
+    }
+  });
+}));
+
+// @route   GET /api/v1/analytics/growth
+// @desc    Get follower growth curves per platform, with week-over-week deltas
+// @access  Private
+router.get('/growth', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
+  const { error, value } = growthQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
+  const growth = await metrics.getPlatformGrowth({ ...value, workspaceId });
+  const weekOverWeek = await metrics.getPlatformWeekOverWeek({ platform: value.platform, workspaceId });
+
+  res.json({
+    success: true,
+    data: {
+      ...growth,
+      weekOverWeek
+    }
+  });
+}));
+
+// @route   GET /api/v1/analytics/growth/top
+// @desc    Get fastest-growing influencers over a period
+// @access  Private
+router.get('/growth/top', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
+  const { error, value } = rankingQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const rankings = await metrics.getGrowthRankings({ ...value, workspaceId: workspaces.activeWorkspaceId(req.user) });
+
+  res.json({
+    success: true,
+    data: {
+      days: value.days,
+      sortBy: value.sortBy,
+      influencers: rankings
     }
   });
 }));
@@ -99,18 +197,21 @@ router.get('/influencers', authenticate, asyncHandler(async (req, res) => {
 // @route   GET /api/v1/analytics/campaigns
 // @desc    Get campaign analytics
 // @access  Private
-router.get('/campaigns', authenticate, asyncHandler(async (req, res) => {
-  // Get campaign statistics by status
+router.get('/campaigns', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
+  const rates = await budget.getExchangeRates();
+
+  // Budgets are summed per currency and converted to the base currency
   const statusStats = await query(`
     SELECT 
       status,
+      currency,
       COUNT(*) as count,
-      SUM(budget) as total_budget,
-      AVG(budget) as avg_budget
+      SUM(budget) as budget
     FROM campaigns
-    GROUP BY status
-    ORDER BY count DESC
-  `, []);
+    WHERE workspace_id = $1 AND deleted_at IS NULL
+    GROUP BY status, currency
+  `, [workspaceId]);
 
   // Get campaign performance
   const performance = await query(`
@@ -120,41 +221,89 @@ router.get('/campaigns', authenticate, asyncHandler(async (req, res) => {
       c.status,
       c.platform,
       c.budget,
+      c.currency,
       c.start_date,
       c.end_date,
       COUNT(ci.id) as influencer_count
     FROM campaigns c
     LEFT JOIN campaign_influencers ci ON c.id = ci.campaign_id
+    WHERE c.workspace_id = $1 AND c.deleted_at IS NULL
     GROUP BY c.id
     ORDER BY c.created_at DESC
     LIMIT 50
-  `, []);
+  `, [workspaceId]);
+
+  // Committed, paid and remaining spend for each campaign, in its own currency
+  const ledgers = await budget.getCampaignLedgers(performance.rows, rates);
+  const recentCampaigns = performance.rows.map(campaign => {
+    const { committed, paid, remaining, utilization, over_budget } = ledgers[campaign.id];
+    return { ...campaign, committed, paid, remaining, utilization, over_budget };
+  });
 
   // Get platform distribution
   const platformDist = await query(`
     SELECT 
       platform,
+      currency,
       COUNT(*) as count,
-      AVG(budget) as avg_budget
+      SUM(budget) as budget
     FROM campaigns
-    GROUP BY platform
-    ORDER BY count DESC
-  `, []);
+    WHERE workspace_id = $1 AND deleted_at IS NULL
+    GROUP BY platform, currency
+  `, [workspaceId]);
 
   res.json({
     success: true,
     data: {
-      byStatus: statusStats.rows,
-      recentCampaigns: performance.rows,
-      platformDistribution: platformDist.rows
+      currency: budget.baseCurrency(),
+      byStatus: budget.groupBudgets(statusStats.rows, 'status', rates),
+      recentCampaigns,
+      platformDistribution: budget.groupBudgets(platformDist.rows, 'platform', rates)
+        .map(({ platform, count, avg_budget }) => ({ platform, count, avg_budget }))
     }
   });
 }));
 
+// @route   GET /api/v1/analytics/campaigns/performance
+// @desc    Compare campaign and platform results, cost KPIs and ROI in the base currency
+// @access  Private
+router.get('/campaigns/performance', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
+  const { error, value } = performanceQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const comparison = await performance.compareCampaignPerformance({ ...value, user: req.user });
+
+  res.json({
+    success: true,
+    data: comparison
+  });
+}));
+
+// @route   GET /api/v1/analytics/campaigns/:id/performance
+// @desc    Get a campaign's reach, results, cost KPIs and ROI with a timeline from start to end date
+// @access  Private
+router.get('/campaigns/:id/performance', requirePermission(PERMISSIONS.ANALYTICS_READ), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const { error, value } = campaignPerformanceQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const report = await performance.getCampaignPerformance(req.params.id, value);
+
+  res.json({
+    success: true,
+    data: report
+  });
+}));
+
 // @route   GET /api/v1/analytics/reach
 // @desc    Get reach and engagement analytics
 // @access  Private
-router.get('/reach', authenticate, asyncHandler(async (req, res) => {
+router.get('/reach', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
+
   // Total reach by platform
   const reachByPlatform = await query(`
     SELECT 
@@ -163,10 +312,10 @@ router.get('/reach', authenticate, asyncHandler(async (req, res) => {
       COUNT(*) as influencer_count,
       AVG(engagement_rate) as avg_engagement
     FROM influencers 
-    WHERE status = 'active'
+    WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL
     GROUP BY platform
     ORDER BY total_reach DESC
-  `, []);
+  `, [workspaceId]);
 
   // Engagement rate distribution
   const engagementDistribution = await query(`
@@ -181,10 +330,10 @@ router.get('/reach', authenticate, asyncHandler(async (req, res) => {
       END as engagement_range,
       COUNT(*) as count
     FROM influencers 
-    WHERE status = 'active'
+    WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL
     GROUP BY 1
     ORDER BY MIN(engagement_rate)
-  `, []);
+  `, [workspaceId]);
 
   res.json({
     success: true,
@@ -195,74 +344,49 @@ router.get('/reach', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
-// @route   GET /api/v1/analytics/export/csv
-// @desc    Export analytics data as CSV
+// @route   GET /api/v1/analytics/export/:format
+// @desc    Stream an export as CSV, NDJSON or XLSX (type, columns and list filters in the query)
 // @access  Private
-router.get('/export/csv', authenticate, asyncHandler(async (req, res) => {
-  const { type } = req.query; // influencers, campaigns, models
-
-  let data;
-  let filename;
-
-  switch (type) {
-    case 'influencers':
-      data = await query('SELECT * FROM influencers ORDER BY created_at DESC', []);
-      filename = 'influencers_export.csv';
-      break;
-    case 'campaigns':
-      data = await query('SELECT * FROM campaigns ORDER BY created_at DESC', []);
-      filename = 'campaigns_export.csv';
-      break;
-    default:
-      data = await query(`
-        SELECT 'influencers' as type, COUNT(*) as count FROM influencers
-        UNION ALL
-        SELECT 'campaigns' as type, COUNT(*) as count FROM campaigns
-        UNION ALL
-        SELECT 'users' as type, COUNT(*) as count FROM users
-        UNION ALL
-        SELECT 'models' as type, COUNT(*) as count FROM data_models
-      `, []);
-      filename = 'analytics_summary.csv';
+router.get('/export/:format', requirePermission(PERMISSIONS.ANALYTICS_EXPORT), asyncHandler(async (req, res) => {
+  const { error, value } = exportQuerySchema.validate({ ...req.query, format: req.params.format });
+  if (error) {
+    throw new ValidationError(error.details[0].message);
   }
 
-  res.setHeader('Content-Type', 'text/csv');
-  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  const plan = await exportsService.prepareExport(value.type, { ...value, user: req.user });
+  const format = exportsService.FORMATS[value.format];
+  const date = new Date().toISOString().slice(0, 10);
 
-  if (data.rows.length === 0) {
-    return res.send('No data available');
-  }
+  res.setHeader('Content-Type', format.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${value.type}_export_${date}.${format.extension}"`);
 
-  // Convert to CSV
-  const headers = Object.keys(data.rows[0]);
-  const csvRows = [headers.join(',')];
-
-  data.rows.forEach(row => {
-    const values = headers.map(header => {
-      const value = row[header];
-      if (value === null || value === undefined) return '';
-      if (typeof value === 'object') return JSON.stringify(value);
-      return String(value).replace(/"/g, '""');
-    });
-    csvRows.push(values.join(','));
-  });
-
-  res.send(csvRows.join('\n'));
+  try {
+    await exportsService.writeExport(plan, value.format, res);
+    res.end();
+  } catch (streamError) {
+    // Once rows are sent the error handler can only cut the download short
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+    }
+    throw streamError;
+  }
 }));
 
 // @route   GET /api/v1/analytics/summary
 // @desc    Get quick summary for dashboard
 // @access  Private
-router.get('/summary', authenticate, asyncHandler(async (req, res) => {
+router.get('/summary', requirePermission(PERMISSIONS.ANALYTICS_READ), asyncHandler(async (req, res) => {
   const result = await query(`
     SELECT 
-      (SELECT COUNT(*) FROM influencers WHERE status = 'active') as influencers,
-      (SELECT COUNT(*) FROM campaigns WHERE status = 'active') as campaigns,
-      (SELECT SUM(followers) FROM influencers WHERE status = 'active') as total_reach,
-      (SELECT AVG(engagement_rate) FROM influencers WHERE status = 'active') as avg_engagement,
-      (SELECT COUNT(*) FROM users WHERE status = 'active') as users,
-      (SELECT COUNT(*) FROM data_models) as models
-  `, []);
+      (SELECT COUNT(*) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as influencers,
+      (SELECT COUNT(*) FROM campaigns WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as campaigns,
+      (SELECT SUM(followers) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as total_reach,
+      (SELECT AVG(engagement_rate) FROM influencers WHERE status = 'active' AND workspace_id = $1 AND deleted_at IS NULL) as avg_engagement,
+      (SELECT COUNT(*) FROM workspace_members wm JOIN users u ON u.id = wm.user_id
+       WHERE wm.workspace_id = $1 AND u.status = 'active') as users,
+      (SELECT COUNT(*) FROM data_models WHERE workspace_id = $1 AND deleted_at IS NULL) as models
+  `, [workspaces.activeWorkspaceId(req.user)]);
 
   const stats = result.rows[0];
 
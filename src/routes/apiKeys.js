@@ -0,0 +1,85 @@
+/**
+ * API Key Routes
+ * Endpoints: create, list and revoke the current user's API keys
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, signedInOnly } = require('../middleware/auth');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const apiKeys = require('../services/apiKeys');
+const roles = require('../services/roles');
+const workspaces = require('../services/workspaces');
+const config = require('../config');
+const Joi = require('joi');
+
+// Validation Schemas
+const createApiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).required(),
+  scopes: Joi.array().items(Joi.string().valid(...Object.values(PERMISSIONS))).min(1).unique().required(),
+  expires_in_days: Joi.number().integer().min(1).max(config.apiKeys.max_expires_in_days).optional(),
+  workspace_id: Joi.string().uuid().allow(null).optional()
+});
+
+// @route   GET /api/v1/api-keys
+// @desc    List the user's API keys
+// @access  Private
+router.get('/', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const keys = await apiKeys.listApiKeys(req.user.id);
+
+  res.json({
+    success: true,
+    data: keys
+  });
+}));
+
+// @route   POST /api/v1/api-keys
+// @desc    Create an API key limited to the given permissions; the key is only shown in this response
+// @access  Private
+router.post('/', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = createApiKeySchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  roles.assertCanGrant(req.user, value.scopes);
+  if (value.workspace_id) {
+    await workspaces.getWorkspace(req.user, value.workspace_id);
+  }
+
+  const { apiKey, key } = await apiKeys.createApiKey(req.user.id, value);
+
+  res.status(201).json({
+    success: true,
+    message: 'API key created. Copy it now, it will not be shown again',
+    data: { ...apiKey, key }
+  });
+}));
+
+// @route   GET /api/v1/api-keys/:id
+// @desc    Get one of the user's API keys
+// @access  Private
+router.get('/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const apiKey = await apiKeys.getApiKey(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    data: apiKey
+  });
+}));
+
+// @route   DELETE /api/v1/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const apiKey = await apiKeys.revokeApiKey(req.user.id, req.params.id);
+
+  res.json({
+    success: true,
+    message: 'API key revoked successfully',
+    data: apiKey
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,69 @@
+/**
+ * Audit Routes
+ * Endpoints: the audit log of data changes and its CSV export (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const audit = require('../services/audit');
+
+// Validation Schemas
+const auditFilterSchema = Joi.object({
+  resource_type: Joi.string().valid(...Object.values(audit.RESOURCE_TYPES)),
+  resource_id: Joi.string().uuid(),
+  actor_id: Joi.string().uuid(),
+  action: Joi.string().valid(...Object.values(audit.ACTIONS)),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().when('from', { is: Joi.exist(), then: Joi.date().min(Joi.ref('from')) }),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+function parseFilters(req) {
+  const { error, value } = auditFilterSchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  return value;
+}
+
+// @route   GET /api/v1/audit
+// @desc    List audit entries, newest first, filtered by resource, actor, action and date range
+// @access  Private/Admin
+router.get('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { page, limit, ...filters } = parseFilters(req);
+  const result = await audit.listEntries(filters, { page, limit });
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @route   GET /api/v1/audit/export
+// @desc    Download the audit entries matching the same filters as CSV
+// @access  Private/Admin
+router.get('/export', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { page, limit, ...filters } = parseFilters(req);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="audit_log_${date}.csv"`);
+
+  try {
+    await audit.writeCsv(filters, res);
+    res.end();
+  } catch (streamError) {
+    // Once rows are sent the error handler can only cut the download short
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Type');
+    }
+    throw streamError;
+  }
+}));
+
+module.exports = router;
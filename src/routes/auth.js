@@ -1,17 +1,23 @@
 /**
  * Authentication Routes
- * Endpoints: Register, Login, Logout, Password Reset
+ * Endpoints: Register, Login, Logout, Token Refresh, Password Reset, Sessions
  */
 
 const express = require('express');
 const router = express.Router();
-const bcrypt = require('bcryptjs');
-const { query, verifyPassword, hashPassword } = require('../database');
-const { generateToken, generateRefreshToken, authenticate } = require('../middleware/auth');
+const { query, transaction, verifyPassword, hashPassword } = require('../database');
+const { generateToken, authenticate, allowPendingMfa, allowUnverified, signedInOnly } = require('../middleware/auth');
 const { asyncHandler, ValidationError, AuthenticationError, NotFoundError, ConflictError } = require('../middleware/error');
 const config = require('../config');
 const Joi = require('joi');
 const passwordResetService = require('../services/passwordReset');
+const workspaces = require('../services/workspaces');
+const sessionService = require('../services/session');
+const twoFactor = require('../services/twoFactor');
+const loginProtection = require('../services/loginProtection');
+const emailVerification = require('../services/emailVerification');
+const oidc = require('../services/oidc');
+const audit = require('../services/audit');
 
 // Validation Schemas
 const registerSchema = Joi.object({
@@ -26,16 +32,50 @@ const loginSchema = Joi.object({
   password: Joi.string().required()
 });
 
+const loginChallengeSchema = Joi.object({
+  challenge_token: Joi.string().required(),
+  code: Joi.string().trim(),
+  recovery_code: Joi.string().trim()
+}).xor('code', 'recovery_code');
+
+const oidcCallbackSchema = Joi.object({
+  code: Joi.string().required(),
+  state: Joi.string().required()
+});
+
 const passwordResetRequestSchema = Joi.object({
   email: Joi.string().email().required()
 });
 
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().required()
+});
+
 const passwordResetSchema = Joi.object({
   token: Joi.string().required(),
   password: Joi.string().min(8).max(128).required(),
   confirmPassword: Joi.string().valid(Joi.ref('password')).required()
 });
 
+// Open a session for a user who just signed in and issue its tokens
+// mfaMethod records how the session satisfied 2FA, when it did.
+async function signIn(req, user, workspaceId, mfaMethod = null) {
+  const { session, refreshToken } = await sessionService.startSession(user.id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+    workspaceId,
+    mfaMethod
+  });
+
+  return {
+    token: generateToken(user, { sessionId: session.id, workspaceId }),
+    refreshToken,
+    session: { id: session.id, expires_at: session.expires_at, mfa_verified: Boolean(mfaMethod) },
+    mfa_setup_required: !mfaMethod && await twoFactor.isRequiredFor(user),
+    email_verification_required: user.status === emailVerification.PENDING_VERIFICATION
+  };
+}
+
 // @route   POST /api/v1/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -61,23 +101,34 @@ router.post('/register', asyncHandler(async (req, res) => {
   // Hash password (use SHA256 for mock mode consistency)
   const hashedPassword = await hashPassword(password);
 
-  // Create user
-  const result = await query(
-    `INSERT INTO users (name, email, password, role, status, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
-     RETURNING id, name, email, role, status, created_at`,
-    [name, email.toLowerCase(), hashedPassword, 'user', 'active']
-  );
-
-  const user = result.rows[0];
+  // Create user with a personal workspace they own; the account stays
+  // pending until the emailed link is followed
+  const { user, workspace } = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO users (name, email, password, role, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW())
+       RETURNING id, name, email, role, status, created_at`,
+      [name, email.toLowerCase(), hashedPassword, 'user', emailVerification.PENDING_VERIFICATION]
+    );
+
+    const created = result.rows[0];
+    const personal = await workspaces.createWorkspace(client, { name: `${name}'s Workspace`, userId: created.id });
+    // New users are their own actor
+    await audit.record({ ...audit.actorFrom(req), userId: created.id }, {
+      action: audit.ACTIONS.CREATE,
+      resourceType: audit.RESOURCE_TYPES.USER,
+      resourceId: created.id,
+      after: created
+    }, client);
+    return { user: created, workspace: personal };
+  });
 
-  // Generate tokens
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  await emailVerification.sendVerification(user);
+  const tokens = await signIn(req, user, workspace.id);
 
   res.status(201).json({
     success: true,
-    message: 'User registered successfully',
+    message: 'User registered successfully. Check your email to verify your address',
     data: {
       user: {
         id: user.id,
@@ -85,8 +136,8 @@ router.post('/register', asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role
       },
-      token,
-      refreshToken
+      workspace: { id: workspace.id, role: workspace.role },
+      ...tokens
     }
   });
 }));
@@ -105,30 +156,97 @@ router.post('/login', asyncHandler(async (req, res) => {
 
   // Find user
   const result = await query(
-    'SELECT id, name, email, password, role, status FROM users WHERE email = $1',
+    'SELECT id, name, email, password, role, status, totp_enabled FROM users WHERE email = $1',
     [email.toLowerCase()]
   );
+  const user = result.rows[0];
 
-  if (result.rows.length === 0) {
+  const { LOGIN } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { email, ip: req.ip, userId: user ? user.id : null, userAgent: req.get('user-agent') };
+  await loginProtection.assertNotLocked(LOGIN, attempt);
+  await loginProtection.throttle(LOGIN, attempt);
+
+  if (!user) {
+    await loginProtection.recordFailure(LOGIN, attempt, loginProtection.FAILURE_REASONS.UNKNOWN_ACCOUNT);
     throw new AuthenticationError('Invalid email or password');
   }
 
-  const user = result.rows[0];
-
-  // Check if user is active
-  if (user.status !== 'active') {
+  // Check if user is active; unverified users may sign in to verify
+  if (!emailVerification.SIGN_IN_STATUSES.includes(user.status)) {
     throw new AuthenticationError('Account is not active');
   }
 
   // Verify password
   const isValidPassword = await verifyPassword(password, user.password);
   if (!isValidPassword) {
+    await loginProtection.recordFailure(LOGIN, attempt, loginProtection.FAILURE_REASONS.INVALID_PASSWORD);
     throw new AuthenticationError('Invalid email or password');
   }
 
-  // Generate tokens
-  const token = generateToken(user);
-  const refreshToken = generateRefreshToken(user);
+  // With 2FA on, the password only earns a challenge for the code; the
+  // account's failures are only forgotten once the code is right too
+  if (user.totp_enabled) {
+    const challenge = await twoFactor.createChallenge(user.id);
+
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        mfa_required: true,
+        ...challenge,
+        methods: Object.values(twoFactor.MFA_METHODS)
+      }
+    });
+  }
+
+  await loginProtection.recordSuccess(LOGIN, attempt);
+
+  // Start in the workspace the user joined first
+  const workspace = await workspaces.resolveWorkspace(user);
+  const tokens = await signIn(req, user, workspace ? workspace.id : null);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      workspace,
+      ...tokens
+    }
+  });
+}));
+
+// @route   POST /api/v1/auth/login/2fa
+// @desc    Finish logging in with a code or recovery code for the login challenge
+// @access  Public
+router.post('/login/2fa', asyncHandler(async (req, res) => {
+  const { error, value } = loginChallengeSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const { challenge_token, ...factor } = value;
+  const { userId, method } = await twoFactor.completeChallenge(challenge_token, factor, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const result = await query(
+    'SELECT id, name, email, role, status FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user || !emailVerification.SIGN_IN_STATUSES.includes(user.status)) {
+    throw new AuthenticationError('Account is not active');
+  }
+
+  const workspace = await workspaces.resolveWorkspace(user);
+  const tokens = await signIn(req, user, workspace ? workspace.id : null, method);
 
   res.json({
     success: true,
@@ -140,19 +258,118 @@ router.post('/login', asyncHandler(async (req, res) => {
         email: user.email,
         role: user.role
       },
-      token,
-      refreshToken
+      workspace,
+      ...tokens
+    }
+  });
+}));
+
+// @route   GET /api/v1/auth/oidc/providers
+// @desc    List the identity providers users can sign in with
+// @access  Public
+router.get('/oidc/providers', (req, res) => {
+  res.json({
+    success: true,
+    data: oidc.listProviders()
+  });
+});
+
+// @route   GET /api/v1/auth/oidc/identities
+// @desc    List the provider identities linked to the current user
+// @access  Private
+router.get('/oidc/identities', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await oidc.listIdentities(req.user.id)
+  });
+}));
+
+// @route   GET /api/v1/auth/oidc/:provider/authorize
+// @desc    Start signing in with a provider; send the browser to authorization_url
+// @access  Public
+router.get('/oidc/:provider/authorize', asyncHandler(async (req, res) => {
+  const login = await oidc.beginLogin(req.params.provider);
+
+  res.json({
+    success: true,
+    data: login
+  });
+}));
+
+// @route   POST /api/v1/auth/oidc/:provider/callback
+// @desc    Finish signing in with the code and state the provider redirected back with
+// @access  Public
+router.post('/oidc/:provider/callback', asyncHandler(async (req, res) => {
+  const { error, value } = oidcCallbackSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const identity = await oidc.completeLogin(req.params.provider, value);
+  const { user, linked, created } = await oidc.resolveUser(req.params.provider, identity);
+
+  if (created) {
+    await audit.record({ ...audit.actorFrom(req), userId: user.id }, {
+      action: audit.ACTIONS.CREATE,
+      resourceType: audit.RESOURCE_TYPES.USER,
+      resourceId: user.id,
+      after: user
+    });
+  }
+
+  if (!emailVerification.SIGN_IN_STATUSES.includes(user.status)) {
+    throw new AuthenticationError('Account is not active');
+  }
+
+  // The provider stands in for the password, not for the second factor
+  if (user.totp_enabled) {
+    const challenge = await twoFactor.createChallenge(user.id);
+
+    return res.json({
+      success: true,
+      message: 'Enter the code from your authenticator app',
+      data: {
+        mfa_required: true,
+        ...challenge,
+        methods: Object.values(twoFactor.MFA_METHODS)
+      }
+    });
+  }
+
+  await loginProtection.recordSuccess(loginProtection.ATTEMPT_KINDS.LOGIN, {
+    email: user.email,
+    ip: req.ip,
+    userId: user.id,
+    userAgent: req.get('user-agent')
+  });
+
+  const workspace = await workspaces.resolveWorkspace(user);
+  const tokens = await signIn(req, user, workspace ? workspace.id : null);
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    message: created ? 'Account created' : 'Login successful',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      workspace,
+      identity: { provider: req.params.provider, linked, created },
+      ...tokens
     }
   });
 }));
 
 // @route   POST /api/v1/auth/logout
-// @desc    Logout user
+// @desc    Logout user, revoking the session and every token issued for it
 // @access  Private
-router.post('/logout', authenticate, asyncHandler(async (req, res) => {
-  // In a production environment, you might want to:
-  // 1. Add the token to a blacklist
-  // 2. Store logout events for security auditing
+router.post('/logout', allowPendingMfa, allowUnverified, authenticate, asyncHandler(async (req, res) => {
+  if (req.sessionId) {
+    await sessionService.revokeSession(req.sessionId, req.user.id, sessionService.REVOKE_REASONS.LOGOUT);
+  }
   
   res.json({
     success: true,
@@ -171,17 +388,16 @@ router.post('/forgot-password', asyncHandler(async (req, res) => {
 
   const { email } = value;
 
-  // Create reset request (returns token in dev mode)
-  const resetResult = await passwordResetService.createResetRequest(email);
+  // Each request counts toward the limits, so nobody can flood an inbox
+  const { PASSWORD_RESET } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+  await loginProtection.assertNotLocked(PASSWORD_RESET, attempt);
+  await loginProtection.recordFailure(PASSWORD_RESET, attempt, loginProtection.FAILURE_REASONS.RESET_REQUESTED);
 
-  // If user found and in production, send email
-  if (resetResult.userFound && config.email.enabled) {
-    const emailService = require('../services/email');
-    await emailService.sendPasswordResetEmail({
-      to: email,
-      name: resetResult.userName,
-      resetToken: resetResult.resetToken
-    });
+  // If the user exists and email is on, queue the email; its token is
+  // created when it is sent
+  if (config.email.enabled) {
+    await passwordResetService.queueResetEmail(email);
   }
 
   // Always return success to prevent email enumeration
@@ -202,36 +418,125 @@ router.post('/reset-password', asyncHandler(async (req, res) => {
 
   const { token, password } = value;
 
+  const { PASSWORD_RESET } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { ip: req.ip, userAgent: req.get('user-agent') };
+  await loginProtection.assertNotLocked(PASSWORD_RESET, attempt);
+  await loginProtection.throttle(PASSWORD_RESET, attempt);
+
   // Reset password using the service
   const resetResult = await passwordResetService.resetPassword(token, password);
 
   if (!resetResult.success) {
+    await loginProtection.recordFailure(PASSWORD_RESET, attempt, loginProtection.FAILURE_REASONS.INVALID_TOKEN);
     throw new AuthenticationError(resetResult.error);
   }
 
+  // Proving control of the inbox lifts any login lockout
+  const owner = await query('SELECT email FROM users WHERE id = $1', [resetResult.userId]);
+  await loginProtection.recordSuccess(PASSWORD_RESET, { ...attempt, userId: resetResult.userId });
+  if (owner.rows.length > 0) {
+    await loginProtection.unlockAccount(owner.rows[0].email);
+  }
+
   res.json({
     success: true,
     message: 'Password reset successfully'
   });
 }));
 
+// Verify an email with a token, counting invalid tokens against the IP
+async function verifyEmailToken(req, token) {
+  const { EMAIL_VERIFICATION } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { ip: req.ip, userAgent: req.get('user-agent') };
+  await loginProtection.assertNotLocked(EMAIL_VERIFICATION, attempt);
+  await loginProtection.throttle(EMAIL_VERIFICATION, attempt);
+
+  let verified;
+  try {
+    verified = await emailVerification.verifyEmail(token);
+  } catch (err) {
+    if (err instanceof ValidationError) {
+      await loginProtection.recordFailure(EMAIL_VERIFICATION, attempt, loginProtection.FAILURE_REASONS.INVALID_TOKEN);
+    }
+    throw err;
+  }
+
+  await loginProtection.recordSuccess(EMAIL_VERIFICATION, { ...attempt, email: verified.email, userId: verified.userId });
+  return verified;
+}
+
+// @route   GET /api/v1/auth/verify-email
+// @desc    Verify an email address from the emailed link
+// @access  Public
+router.get('/verify-email', asyncHandler(async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate({ token: req.query.token });
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const verified = await verifyEmailToken(req, value.token);
+
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: { email: verified.email, activated: verified.activated }
+  });
+}));
+
+// @route   POST /api/v1/auth/verify-email
+// @desc    Verify an email address with a token
+// @access  Public
+router.post('/verify-email', asyncHandler(async (req, res) => {
+  const { error, value } = verifyEmailSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const verified = await verifyEmailToken(req, value.token);
+
+  res.json({
+    success: true,
+    message: 'Email address verified',
+    data: { email: verified.email, activated: verified.activated }
+  });
+}));
+
+// @route   POST /api/v1/auth/verify-email/resend
+// @desc    Email the current user a new verification or email change link
+// @access  Private
+router.post('/verify-email/resend', allowPendingMfa, allowUnverified, authenticate, asyncHandler(async (req, res) => {
+  // Each request counts toward the limits, so nobody can flood an inbox
+  const { EMAIL_VERIFICATION } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { email: req.user.email, ip: req.ip, userId: req.user.id, userAgent: req.get('user-agent') };
+  await loginProtection.assertNotLocked(EMAIL_VERIFICATION, attempt);
+
+  const { expiresAt, pendingEmail } = await emailVerification.resendVerification(req.user.id);
+  await loginProtection.recordFailure(EMAIL_VERIFICATION, attempt, loginProtection.FAILURE_REASONS.VERIFICATION_REQUESTED);
+
+  res.json({
+    success: true,
+    message: 'Verification email sent',
+    data: pendingEmail ? { expires_at: expiresAt, pending_email: pendingEmail } : { expires_at: expiresAt }
+  });
+}));
+
 // @route   POST /api/v1/auth/refresh
-// @desc    Refresh access token
+// @desc    Exchange a refresh token for a new access token and refresh token
 // @access  Public
 router.post('/refresh', asyncHandler(async (req, res) => {
   const { refreshToken } = req.body;
 
-  if (!refreshToken) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
     throw new AuthenticationError('Refresh token required');
   }
 
-  // Verify refresh token
-  const decoded = require('jsonwebtoken').verify(refreshToken, config.jwt.secret);
+  // Each refresh token works once; replaying one revokes its session
+  const rotated = await sessionService.rotateRefreshToken(refreshToken);
   
   // Get user from database
   const result = await query(
-    'SELECT id, name, email, role, status FROM users WHERE id = $1 AND status = $1',
-    [decoded.userId]
+    'SELECT id, name, email, role, status FROM users WHERE id = $1 AND status = ANY($2)',
+    [rotated.session.user_id, emailVerification.SIGN_IN_STATUSES]
   );
 
   if (result.rows.length === 0) {
@@ -239,14 +544,14 @@ router.post('/refresh', asyncHandler(async (req, res) => {
   }
 
   const user = result.rows[0];
-
-  // Generate new access token
-  const newToken = generateToken(user);
+  const workspace = await workspaces.resolveWorkspace(user, { claimed: rotated.session.workspace_id });
 
   res.json({
     success: true,
     data: {
-      token: newToken
+      token: generateToken(user, { sessionId: rotated.session.id, workspaceId: workspace ? workspace.id : null }),
+      refreshToken: rotated.refreshToken,
+      session: { id: rotated.session.id, expires_at: rotated.session.expires_at }
     }
   });
 }));
@@ -254,9 +559,9 @@ router.post('/refresh', asyncHandler(async (req, res) => {
 // @route   GET /api/v1/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', authenticate, asyncHandler(async (req, res) => {
+router.get('/me', allowPendingMfa, allowUnverified, authenticate, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT id, name, email, role, status, created_at, updated_at FROM users WHERE id = $1',
+    'SELECT id, name, email, role, status, email_verified_at, created_at, updated_at FROM users WHERE id = $1',
     [req.user.id]
   );
 
@@ -273,9 +578,7 @@ router.get('/me', authenticate, asyncHandler(async (req, res) => {
 // @route   GET /api/v1/auth/sessions
 // @desc    Get all sessions for current user
 // @access  Private
-router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
-  
+router.get('/sessions', authenticate, signedInOnly, asyncHandler(async (req, res) => {
   const { status = 'all', page = 1, limit = 20 } = req.query;
   
   const result = await sessionService.getUserSessions(req.user.id, {
@@ -290,86 +593,73 @@ router.get('/sessions', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
-// @route   GET /api/v1/auth/sessions/:id
-// @desc    Get specific session
+// @route   GET /api/v1/auth/sessions/count
+// @desc    Get active session count
 // @access  Private
-router.get('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
-  
-  const session = await sessionService.getSessionById(req.params.id, req.user.id);
-  
-  if (!session) {
-    throw new NotFoundError('Session');
-  }
+router.get('/sessions/count', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const count = await sessionService.countActiveSessions(req.user.id);
 
   res.json({
     success: true,
-    data: session
+    data: {
+      active_sessions: count
+    }
   });
 }));
 
-// @route   DELETE /api/v1/auth/sessions/:id
-// @desc    Revoke specific session
+// @route   DELETE /api/v1/auth/sessions
+// @desc    Revoke all sessions except current
 // @access  Private
-router.delete('/sessions/:id', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
-  
-  const revoked = await sessionService.revokeSession(req.params.id, req.user.id);
-  
-  if (!revoked) {
-    throw new NotFoundError('Session');
-  }
+router.delete('/sessions', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAllSessions(req.user.id, req.sessionId);
 
   res.json({
     success: true,
-    message: 'Session revoked successfully'
+    message: `${count} session(s) revoked successfully`
   });
 }));
 
-// @route   DELETE /api/v1/auth/sessions
-// @desc    Revoke all sessions except current
+// @route   DELETE /api/v1/auth/sessions/all
+// @desc    Revoke all sessions including current (logout everywhere)
 // @access  Private
-router.delete('/sessions', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
-  
-  // Get current session ID from token or header
-  const currentSessionId = req.headers['x-session-id'];
-  
-  const count = await sessionService.revokeAllSessions(req.user.id, currentSessionId);
+router.delete('/sessions/all', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const count = await sessionService.revokeAllSessions(req.user.id);
 
   res.json({
     success: true,
-    message: `${count} session(s) revoked successfully`
+    message: `${count} session(s) revoked. You have been logged out from all devices.`
   });
 }));
 
-// @route   DELETE /api/v1/auth/sessions/all
-// @desc    Revoke all sessions including current (logout everywhere)
+// @route   GET /api/v1/auth/sessions/:id
+// @desc    Get specific session
 // @access  Private
-router.delete('/sessions/all', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
+router.get('/sessions/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const session = await sessionService.getSessionById(req.params.id, req.user.id);
   
-  const count = await sessionService.revokeAllSessions(req.user.id);
+  if (!session) {
+    throw new NotFoundError('Session');
+  }
 
   res.json({
     success: true,
-    message: `${count} session(s) revoked. You have been logged out from all devices.`
+    data: session
   });
 }));
 
-// @route   GET /api/v1/auth/sessions/count
-// @desc    Get active session count
+// @route   DELETE /api/v1/auth/sessions/:id
+// @desc    Revoke specific session
 // @access  Private
-router.get('/sessions/count', authenticate, asyncHandler(async (req, res) => {
-  const sessionService = require('../services/session');
+router.delete('/sessions/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const revoked = await sessionService.revokeSession(req.params.id, req.user.id);
   
-  const count = await sessionService.countActiveSessions(req.user.id);
+  if (!revoked) {
+    throw new NotFoundError('Session');
+  }
 
   res.json({
     success: true,
-    data: {
-      active_sessions: count
-    }
+    message: 'Session revoked successfully'
   });
 }));
 
@@ -1,24 +1,43 @@
 /**
  * Campaign Routes
- * Endpoints: CRUD operations for campaigns
+ * Endpoints: CRUD operations for campaigns, their status lifecycle, influencers and budget ledger,
+ * scoped to the records each user may access
  */
 
 const express = require('express');
 const router = express.Router();
-const { query } = require('../database');
-const { authenticate } = require('../middleware/auth');
+const { query, transaction } = require('../database');
+const { requirePermission, ownsResource } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
 const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/error');
+const { buildCampaignFilters, buildWhereClause } = require('../services/filters');
+const deliverables = require('../services/deliverables');
+const budget = require('../services/budget');
+const campaignStatus = require('../services/campaignStatus');
+const audit = require('../services/audit');
+const ownership = require('../services/ownership');
+const trash = require('../services/trash');
+const webhooks = require('../services/webhooks');
+const workspaces = require('../services/workspaces');
+const createShareRoutes = require('./shares');
+const deliverableRoutes = require('./deliverables');
+const expenseRoutes = require('./expenses');
 const Joi = require('joi');
 
 // Validation Schemas
+const { CAMPAIGN_STATUS } = campaignStatus;
+
+// New campaigns always start as drafts; later changes go through the lifecycle rules
 const createCampaignSchema = Joi.object({
   name: Joi.string().min(3).max(100).required(),
   description: Joi.string().max(500).optional(),
   platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'multi').required(),
-  status: Joi.string().valid('draft', 'active', 'paused', 'completed', 'cancelled').default('draft'),
+  status: Joi.string().valid(CAMPAIGN_STATUS.DRAFT).default(CAMPAIGN_STATUS.DRAFT)
+    .messages({ 'any.only': 'New campaigns start as draft; activate them via POST /campaigns/:id/status' }),
   start_date: Joi.date().optional(),
   end_date: Joi.date().optional().greater(Joi.ref('start_date')),
   budget: Joi.number().min(0).optional(),
+  currency: Joi.string().uppercase().length(3).optional(),
   goals: Joi.string().max(500).optional(),
   target_audience: Joi.string().max(500).optional(),
   notes: Joi.string().max(1000).optional()
@@ -28,46 +47,48 @@ const updateCampaignSchema = Joi.object({
   name: Joi.string().min(3).max(100).optional(),
   description: Joi.string().max(500).optional(),
   platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'multi').optional(),
-  status: Joi.string().valid('draft', 'active', 'paused', 'completed', 'cancelled').optional(),
+  status: Joi.string().valid(...Object.values(CAMPAIGN_STATUS)).optional(),
   start_date: Joi.date().optional(),
   end_date: Joi.date().optional(),
   budget: Joi.number().min(0).optional(),
+  currency: Joi.string().uppercase().length(3).optional(),
   goals: Joi.string().max(500).optional(),
   target_audience: Joi.string().max(500).optional(),
   notes: Joi.string().max(1000).optional()
 }).min(1);
 
+const statusChangeSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(CAMPAIGN_STATUS)).required(),
+  reason: Joi.string().max(500).optional()
+});
+
+const addInfluencerSchema = Joi.object({
+  influencer_id: Joi.string().uuid().required().messages({ 'any.required': 'Influencer ID is required' }),
+  status: Joi.string().max(50).optional(),
+  agreed_fee: Joi.number().min(0).precision(2).optional(),
+  fee_currency: Joi.string().uppercase().length(3).optional()
+});
+
+const updateParticipationSchema = Joi.object({
+  status: Joi.string().max(50).optional(),
+  agreed_fee: Joi.number().min(0).precision(2).allow(null).optional(),
+  fee_currency: Joi.string().uppercase().length(3).optional(),
+  payment_status: Joi.string().valid(...Object.values(budget.PAYMENT_STATUS)).optional()
+}).min(1);
+
 // @route   GET /api/v1/campaigns
 // @desc    Get all campaigns with pagination and filtering
 // @access  Private
-router.get('/', authenticate, asyncHandler(async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const offset = (page - 1) * limit;
 
-  const filters = [];
-  const values = [];
-  let paramIndex = 1;
-
-  if (req.query.search) {
-    filters.push(`(name ILIKE $${paramIndex} OR description ILIKE $${paramIndex})`);
-    values.push(`%${req.query.search}%`);
-    paramIndex++;
-  }
-
-  if (req.query.platform) {
-    filters.push(`platform = $${paramIndex}`);
-    values.push(req.query.platform);
-    paramIndex++;
-  }
-
-  if (req.query.status) {
-    filters.push(`status = $${paramIndex}`);
-    values.push(req.query.status);
-    paramIndex++;
-  }
-
-  const whereClause = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+  const listFilters = buildCampaignFilters(req.query);
+  const access = ownership.buildAccessFilters(req.user, 'campaign', { paramIndex: listFilters.paramIndex });
+  const whereClause = buildWhereClause([...listFilters.filters, ...access.filters]);
+  const values = [...listFilters.values, ...access.values];
+  const paramIndex = access.paramIndex;
 
   const countResult = await query(
     `SELECT COUNT(*) FROM campaigns ${whereClause}`,
@@ -77,7 +98,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
 
   const result = await query(
     `SELECT id, name, description, platform, status, start_date, end_date, 
-            budget, goals, target_audience, created_by, created_at, updated_at
+            budget, currency, goals, target_audience, created_by, created_at, updated_at
      FROM campaigns ${whereClause}
      ORDER BY created_at DESC
      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
@@ -98,10 +119,27 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/v1/campaigns/trash
+// @desc    Get deleted campaigns awaiting purge, most recently deleted first
+// @access  Private
+router.get('/trash', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const result = await trash.listTrash(req.user, 'campaign', { page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      campaigns: result.items,
+      pagination: result.pagination
+    }
+  });
+}));
+
 // @route   GET /api/v1/campaigns/:id
 // @desc    Get campaign by ID
 // @access  Private
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.CAMPAIGN_READ), ownsResource('campaign'), asyncHandler(async (req, res) => {
   const result = await query(
     `SELECT c.*, u.name as creator_name
      FROM campaigns c
@@ -121,12 +159,19 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
     `SELECT i.*, ci.joined_at, ci.status as participation_status
      FROM influencers i
      JOIN campaign_influencers ci ON i.id = ci.influencer_id
-     WHERE ci.campaign_id = $1
+     WHERE ci.campaign_id = $1 AND i.deleted_at IS NULL
      ORDER BY ci.joined_at DESC`,
     [req.params.id]
   );
 
-  campaign.influencers = influencersResult.rows;
+  // Roll up deliverable progress and performance, overall and per influencer
+  const rollup = await deliverables.getCampaignRollup(req.params.id);
+
+  campaign.influencers = influencersResult.rows.map(influencer => ({
+    ...influencer,
+    deliverables: rollup.byInfluencer[influencer.id] || deliverables.emptyRollup()
+  }));
+  campaign.deliverables = rollup.summary;
 
   res.json({
     success: true,
@@ -137,60 +182,98 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 // @route   POST /api/v1/campaigns
 // @desc    Create new campaign
 // @access  Private
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.CAMPAIGN_CREATE), asyncHandler(async (req, res) => {
   const { error, value } = createCampaignSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  const result = await query(
-    `INSERT INTO campaigns (name, description, platform, status, start_date, end_date, 
-                           budget, goals, target_audience, notes, created_by, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW(), NOW())
-     RETURNING *`,
-    [
-      value.name,
-      value.description || null,
-      value.platform,
-      value.status || 'draft',
-      value.start_date || null,
-      value.end_date || null,
-      value.budget || 0,
-      value.goals || null,
-      value.target_audience || null,
-      value.notes || null,
-      req.user.id
-    ]
-  );
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
+  const currency = value.currency || budget.baseCurrency();
+  budget.assertCurrency(currency, await budget.getExchangeRates());
+
+  const campaign = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO campaigns (name, description, platform, status, start_date, end_date, 
+                             budget, currency, goals, target_audience, notes, created_by, workspace_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW(), NOW())
+       RETURNING *`,
+      [
+        value.name,
+        value.description || null,
+        value.platform,
+        value.status,
+        value.start_date || null,
+        value.end_date || null,
+        value.budget || 0,
+        currency,
+        value.goals || null,
+        value.target_audience || null,
+        value.notes || null,
+        req.user.id,
+        workspaceId
+      ]
+    );
+
+    await campaignStatus.recordStatusChange(client, {
+      campaignId: result.rows[0].id,
+      to: result.rows[0].status,
+      reason: 'Campaign created',
+      userId: req.user.id
+    });
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.CREATE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN,
+      resourceId: result.rows[0].id,
+      after: result.rows[0]
+    }, client);
+
+    return result.rows[0];
+  });
+
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_CREATED, { workspaceId, data: campaign });
 
   res.status(201).json({
     success: true,
     message: 'Campaign created successfully',
-    data: result.rows[0]
+    data: campaign
   });
 }));
 
 // @route   PUT /api/v1/campaigns/:id
 // @desc    Update campaign
 // @access  Private
-router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), ownsResource('campaign'), asyncHandler(async (req, res) => {
   const { error, value } = updateCampaignSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  const existing = await query('SELECT id FROM campaigns WHERE id = $1', [req.params.id]);
+  const existing = await query('SELECT * FROM campaigns WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Campaign');
   }
 
+  // A status change here follows the same rules as POST /:id/status
+  const previousStatus = existing.rows[0].status;
+  const statusChanged = value.status !== undefined && value.status !== previousStatus;
+  if (statusChanged) {
+    campaignStatus.assertTransition(previousStatus, value.status);
+    await campaignStatus.assertPreconditions({ ...existing.rows[0], ...value }, value.status);
+  }
+
+  if (value.currency) {
+    budget.assertCurrency(value.currency, await budget.getExchangeRates());
+  }
+
   const updates = [];
   const values = [];
   let paramIndex = 1;
 
   const allowedFields = [
     'name', 'description', 'platform', 'status', 'start_date', 'end_date',
-    'budget', 'goals', 'target_audience', 'notes'
+    'budget', 'currency', 'goals', 'target_audience', 'notes'
   ];
 
   allowedFields.forEach(field => {
@@ -208,75 +291,186 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   updates.push(`updated_at = NOW()`);
   values.push(req.params.id);
 
-  const result = await query(
-    `UPDATE campaigns SET ${updates.join(', ')} WHERE id = $${paramIndex}
-     RETURNING *`,
-    values
-  );
+  const campaign = await transaction(async (client) => {
+    const result = await client.query(
+      `UPDATE campaigns SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    if (statusChanged) {
+      await campaignStatus.recordStatusChange(client, {
+        campaignId: req.params.id,
+        from: previousStatus,
+        to: value.status,
+        userId: req.user.id
+      });
+    }
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.UPDATE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN,
+      resourceId: req.params.id,
+      before: existing.rows[0],
+      after: result.rows[0]
+    }, client);
+
+    return result.rows[0];
+  });
+
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_UPDATED, { workspaceId: campaign.workspace_id, data: campaign });
+  if (statusChanged) {
+    await campaignStatus.emitStatusChanged(campaign, previousStatus);
+  }
 
   res.json({
     success: true,
     message: 'Campaign updated successfully',
-    data: result.rows[0]
+    data: campaign
   });
 }));
 
 // @route   DELETE /api/v1/campaigns/:id
-// @desc    Delete campaign
+// @desc    Delete campaign (moves it to the trash)
 // @access  Private
-router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
-  const existing = await query('SELECT id FROM campaigns WHERE id = $1', [req.params.id]);
+router.delete('/:id', requirePermission(PERMISSIONS.CAMPAIGN_DELETE), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const existing = await query('SELECT * FROM campaigns WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Campaign');
   }
 
-  await query('DELETE FROM campaign_influencers WHERE campaign_id = $1', [req.params.id]);
-  await query('DELETE FROM campaigns WHERE id = $1', [req.params.id]);
+  // Influencers stay on the campaign so a restore brings them back
+  const trashed = await transaction(client => trash.moveToTrash(client, 'campaign', existing.rows[0], audit.actorFrom(req)));
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_DELETED, {
+    workspaceId: trashed.workspace_id,
+    data: { id: trashed.id, deleted_at: trashed.deleted_at }
+  });
+
+  res.json({
+    success: true,
+    message: 'Campaign moved to the trash',
+    data: { id: trashed.id, deleted_at: trashed.deleted_at, purge_at: trash.purgeDate(trashed.deleted_at) }
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/restore
+// @desc    Restore a campaign from the trash
+// @access  Private
+router.post('/:id/restore', requirePermission(PERMISSIONS.CAMPAIGN_DELETE), asyncHandler(async (req, res) => {
+  const campaign = await trash.restore(req.user, 'campaign', req.params.id, audit.actorFrom(req));
 
   res.json({
     success: true,
-    message: 'Campaign deleted successfully'
+    message: 'Campaign restored successfully',
+    data: campaign
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/status
+// @desc    Move a campaign through its lifecycle (draft -> active -> paused/completed/cancelled)
+// @access  Private
+router.post('/:id/status', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const { error, value } = statusChangeSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const campaign = await campaignStatus.changeStatus(req.params.id, value.status, {
+    reason: value.reason,
+    userId: req.user.id,
+    actor: audit.actorFrom(req)
+  });
+
+  res.json({
+    success: true,
+    message: `Campaign is now ${campaign.status}`,
+    data: campaign
+  });
+}));
+
+// @route   GET /api/v1/campaigns/:id/history
+// @desc    Get a campaign's status history and the statuses it can move to next
+// @access  Private
+router.get('/:id/history', requirePermission(PERMISSIONS.CAMPAIGN_READ), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const history = await campaignStatus.getStatusHistory(req.params.id);
+
+  res.json({
+    success: true,
+    data: history
   });
 }));
 
 // @route   POST /api/v1/campaigns/:id/influencers
 // @desc    Add influencer to campaign
 // @access  Private
-router.post('/:id/influencers', authenticate, asyncHandler(async (req, res) => {
-  const { influencer_id, status } = req.body;
-
-  if (!influencer_id) {
-    throw new ValidationError('Influencer ID is required');
+router.post('/:id/influencers', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const { error, value } = addInfluencerSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
   }
 
   // Check campaign exists
-  const campaign = await query('SELECT id FROM campaigns WHERE id = $1', [req.params.id]);
+  const campaign = await query('SELECT id, currency, workspace_id FROM campaigns WHERE id = $1', [req.params.id]);
   if (campaign.rows.length === 0) {
     throw new NotFoundError('Campaign');
   }
 
-  // Check influencer exists
-  const influencer = await query('SELECT id FROM influencers WHERE id = $1', [influencer_id]);
-  if (influencer.rows.length === 0) {
-    throw new NotFoundError('Influencer');
-  }
+  // Check the influencer exists and is within the user's reach
+  await ownership.findAccessible(req.user, 'influencer', value.influencer_id);
 
   // Check if already added
   const existing = await query(
     'SELECT id FROM campaign_influencers WHERE campaign_id = $1 AND influencer_id = $2',
-    [req.params.id, influencer_id]
+    [req.params.id, value.influencer_id]
   );
 
   if (existing.rows.length > 0) {
     throw new ConflictError('Influencer already added to this campaign');
   }
 
-  const result = await query(
-    `INSERT INTO campaign_influencers (campaign_id, influencer_id, status, joined_at)
-     VALUES ($1, $2, $3, NOW())
-     RETURNING *`,
-    [req.params.id, influencer_id, status || 'pending']
-  );
+  // An agreed fee is committed spend and must fit in what is left of the budget;
+  // it is checked with the campaign locked so concurrent additions can't both fit
+  const hasFee = value.agreed_fee !== undefined;
+  const feeCurrency = value.fee_currency || campaign.rows[0].currency;
+
+  const rates = hasFee ? await budget.getExchangeRates() : null;
+  if (hasFee) {
+    budget.assertCurrency(feeCurrency, rates);
+  }
+
+  const result = await transaction(async (client) => {
+    if (hasFee) {
+      const ledger = await budget.lockCampaignLedger(client, req.params.id);
+      budget.assertWithinBudget(ledger, { amount: value.agreed_fee, currency: feeCurrency }, null, rates);
+    }
+
+    const inserted = await client.query(
+      `INSERT INTO campaign_influencers (campaign_id, influencer_id, status, agreed_fee, fee_currency, joined_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       RETURNING *`,
+      [
+        req.params.id,
+        value.influencer_id,
+        value.status || 'pending',
+        hasFee ? value.agreed_fee : null,
+        hasFee ? feeCurrency : null
+      ]
+    );
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.CREATE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN_INFLUENCER,
+      resourceId: inserted.rows[0].id,
+      after: inserted.rows[0]
+    }, client);
+
+    return inserted;
+  });
+
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_INFLUENCER_ADDED, {
+    workspaceId: campaign.rows[0].workspace_id,
+    data: result.rows[0]
+  });
 
   res.status(201).json({
     success: true,
@@ -285,57 +479,210 @@ router.post('/:id/influencers', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   PUT /api/v1/campaigns/:id/influencers/:influencerId
+// @desc    Update an influencer's participation status, agreed fee or payment
+// @access  Private
+router.put('/:id/influencers/:influencerId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const { error, value } = updateParticipationSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const existing = await query(
+    `SELECT ci.*, c.currency
+     FROM campaign_influencers ci
+     JOIN campaigns c ON c.id = ci.campaign_id
+     WHERE ci.campaign_id = $1 AND ci.influencer_id = $2`,
+    [req.params.id, req.params.influencerId]
+  );
+
+  if (existing.rows.length === 0) {
+    throw new NotFoundError('Campaign influencer relationship');
+  }
+
+  const participation = existing.rows[0];
+  const fee = value.agreed_fee !== undefined ? value.agreed_fee : participation.agreed_fee;
+  const feeCurrency = value.fee_currency || participation.fee_currency || participation.currency;
+  const paymentStatus = value.payment_status || participation.payment_status;
+
+  if (fee === null && paymentStatus === budget.PAYMENT_STATUS.PAID) {
+    throw new ValidationError('An agreed fee is required before marking the influencer as paid');
+  }
+  if (participation.payment_status === budget.PAYMENT_STATUS.PAID &&
+      (value.agreed_fee !== undefined || value.fee_currency) && value.payment_status !== budget.PAYMENT_STATUS.UNPAID) {
+    throw new ConflictError('The fee has already been paid; mark it unpaid before changing it');
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (value.status !== undefined) {
+    updates.push(`status = $${paramIndex++}`);
+    values.push(value.status);
+  }
+
+  const feeChanged = value.agreed_fee !== undefined || value.fee_currency;
+  const rates = feeChanged && fee !== null ? await budget.getExchangeRates() : null;
+  if (feeChanged) {
+    if (rates) {
+      budget.assertCurrency(feeCurrency, rates);
+    }
+
+    updates.push(`agreed_fee = $${paramIndex++}`, `fee_currency = $${paramIndex++}`);
+    values.push(fee, fee === null ? null : feeCurrency);
+  }
+
+  if (value.payment_status && value.payment_status !== participation.payment_status) {
+    updates.push(`payment_status = $${paramIndex++}`);
+    values.push(value.payment_status);
+    updates.push(value.payment_status === budget.PAYMENT_STATUS.PAID ? 'paid_at = NOW()' : 'paid_at = NULL');
+  }
+
+  if (updates.length === 0) {
+    return res.json({
+      success: true,
+      message: 'Campaign influencer unchanged',
+      data: participation
+    });
+  }
+
+  values.push(participation.id);
+  const result = await transaction(async (client) => {
+    // Checked with the campaign locked, against the fee as it stands now
+    if (rates) {
+      const ledger = await budget.lockCampaignLedger(client, req.params.id);
+      const current = await client.query('SELECT agreed_fee, fee_currency FROM campaign_influencers WHERE id = $1', [participation.id]);
+      const previous = current.rows[0] || {};
+      budget.assertWithinBudget(
+        ledger,
+        { amount: parseFloat(fee), currency: feeCurrency },
+        { amount: parseFloat(previous.agreed_fee), currency: previous.fee_currency },
+        rates
+      );
+    }
+
+    const updated = await client.query(
+      `UPDATE campaign_influencers SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.UPDATE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN_INFLUENCER,
+      resourceId: participation.id,
+      before: participation,
+      after: updated.rows[0]
+    }, client);
+
+    return updated;
+  });
+
+  res.json({
+    success: true,
+    message: 'Campaign influencer updated',
+    data: result.rows[0]
+  });
+}));
+
 // @route   DELETE /api/v1/campaigns/:id/influencers/:influencerId
 // @desc    Remove influencer from campaign
 // @access  Private
-router.delete('/:id/influencers/:influencerId', authenticate, asyncHandler(async (req, res) => {
-  const result = await query(
-    `DELETE FROM campaign_influencers 
-     WHERE campaign_id = $1 AND influencer_id = $2`,
+router.delete('/:id/influencers/:influencerId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const existing = await query(
+    `SELECT ci.*, c.workspace_id
+     FROM campaign_influencers ci
+     JOIN campaigns c ON c.id = ci.campaign_id
+     WHERE ci.campaign_id = $1 AND ci.influencer_id = $2`,
     [req.params.id, req.params.influencerId]
   );
 
-  if (result.rowCount === 0) {
+  if (existing.rows.length === 0) {
     throw new NotFoundError('Campaign influencer relationship');
   }
 
+  const { workspace_id: workspaceId, ...participation } = existing.rows[0];
+
+  await transaction(async (client) => {
+    await client.query('DELETE FROM campaign_influencers WHERE id = $1', [participation.id]);
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.DELETE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN_INFLUENCER,
+      resourceId: participation.id,
+      before: participation
+    }, client);
+  });
+
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_INFLUENCER_REMOVED, { workspaceId, data: participation });
+
   res.json({
     success: true,
     message: 'Influencer removed from campaign'
   });
 }));
 
+// Deliverables owed by each campaign influencer
+router.use('/:id/influencers/:influencerId/deliverables', ownsResource('campaign'), deliverableRoutes);
+
+// Line-item expenses
+router.use('/:id/expenses', ownsResource('campaign'), expenseRoutes);
+
+// Sharing with other users
+router.use('/:id/shares', createShareRoutes('campaign'));
+
+// @route   GET /api/v1/campaigns/:id/budget
+// @desc    Get the budget ledger: committed, paid and remaining in the campaign currency
+// @access  Private
+router.get('/:id/budget', requirePermission(PERMISSIONS.CAMPAIGN_READ), ownsResource('campaign'), asyncHandler(async (req, res) => {
+  const ledger = await budget.getCampaignLedger(req.params.id);
+
+  res.json({
+    success: true,
+    data: ledger
+  });
+}));
+
 // @route   GET /api/v1/campaigns/stats/overview
 // @desc    Get campaign statistics
 // @access  Private
-router.get('/stats/overview', authenticate, asyncHandler(async (req, res) => {
+router.get('/stats/overview', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
+  const { filters, values } = ownership.buildAccessFilters(req.user, 'campaign');
+  const whereClause = buildWhereClause(filters);
+
   const result = await query(
     `SELECT 
        COUNT(*) as total,
        COUNT(CASE WHEN status = 'active' THEN 1 END) as active,
        COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed,
        COUNT(CASE WHEN status = 'draft' THEN 1 END) as draft,
-       SUM(budget) as total_budget,
        COUNT(DISTINCT platform) as platforms_count
-     FROM campaigns`,
-    []
+     FROM campaigns ${whereClause}`,
+    values
   );
 
-  const stats = result.rows[0];
-
-  // Get campaign performance
-  const performance = await query(
-    `SELECT status, COUNT(*) as count, SUM(budget) as budget
-     FROM campaigns
-     GROUP BY status`,
-    []
+  // Budgets are summed per currency, then converted to the base currency
+  const budgets = await query(
+    `SELECT status, currency, COUNT(*) as count, SUM(budget) as budget
+     FROM campaigns ${whereClause}
+     GROUP BY status, currency`,
+    values
   );
 
+  const rates = await budget.getExchangeRates();
+  const byStatus = budget.groupBudgets(budgets.rows, 'status', rates);
+
+  const stats = {
+    ...result.rows[0],
+    total_budget: budget.roundMoney(byStatus.reduce((total, group) => total + group.total_budget, 0)),
+    currency: budget.baseCurrency()
+  };
+
   res.json({
     success: true,
     data: {
       overview: stats,
-      byStatus: performance.rows
+      byStatus: byStatus.map(({ status, count, total_budget }) => ({ status, count, budget: total_budget }))
     }
   });
 }));
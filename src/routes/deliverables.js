@@ -0,0 +1,341 @@
+/**
+ * Campaign Deliverable Routes
+ * Endpoints: content owed by a campaign influencer, its review workflow and performance
+ * Mounted at /campaigns/:id/influencers/:influencerId/deliverables
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { query } = require('../database');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError, ConflictError } = require('../middleware/error');
+const deliverables = require('../services/deliverables');
+const Joi = require('joi');
+
+const { DELIVERABLE_STATUS, DELIVERABLE_FIELDS } = deliverables;
+
+// Validation Schemas
+const createDeliverableSchema = Joi.object({
+  type: Joi.string().valid(...deliverables.DELIVERABLE_TYPES).required(),
+  title: Joi.string().max(200).optional(),
+  description: Joi.string().max(2000).optional(),
+  due_date: Joi.date().iso().optional()
+});
+
+const updateDeliverableSchema = Joi.object({
+  type: Joi.string().valid(...deliverables.DELIVERABLE_TYPES).optional(),
+  title: Joi.string().max(200).allow(null).optional(),
+  description: Joi.string().max(2000).allow(null).optional(),
+  due_date: Joi.date().iso().allow(null).optional()
+}).min(1);
+
+const submitDeliverableSchema = Joi.object({
+  content_url: Joi.string().uri().required(),
+  notes: Joi.string().max(1000).optional()
+});
+
+const approveDeliverableSchema = Joi.object({
+  notes: Joi.string().max(1000).optional()
+});
+
+const rejectDeliverableSchema = Joi.object({
+  reason: Joi.string().min(3).max(1000).required()
+});
+
+const performanceSchema = Joi.object({
+  views: Joi.number().integer().min(0).optional(),
+  likes: Joi.number().integer().min(0).optional(),
+  comments: Joi.number().integer().min(0).optional(),
+  clicks: Joi.number().integer().min(0).optional(),
+  conversions: Joi.number().integer().min(0).optional(),
+  revenue: Joi.number().min(0).precision(2).optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(DELIVERABLE_STATUS)).optional(),
+  type: Joi.string().valid(...deliverables.DELIVERABLE_TYPES).optional()
+});
+
+// Resolve the campaign participation from the route params
+async function loadParticipation(req) {
+  return deliverables.findParticipation(req.params.id, req.params.influencerId);
+}
+
+// @route   GET /api/v1/campaigns/:id/influencers/:influencerId/deliverables
+// @desc    List an influencer's deliverables for a campaign
+// @access  Private
+router.get('/', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+
+  const filters = ['campaign_influencer_id = $1'];
+  const values = [participation.id];
+  let paramIndex = 2;
+
+  if (value.status) {
+    filters.push(`status = $${paramIndex}`);
+    values.push(value.status);
+    paramIndex++;
+  }
+
+  if (value.type) {
+    filters.push(`type = $${paramIndex}`);
+    values.push(value.type);
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT ${DELIVERABLE_FIELDS}
+     FROM campaign_deliverables
+     WHERE ${filters.join(' AND ')}
+     ORDER BY due_date ASC NULLS LAST, created_at ASC`,
+    values
+  );
+
+  res.json({
+    success: true,
+    data: result.rows
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/influencers/:influencerId/deliverables
+// @desc    Add a deliverable
+// @access  Private
+router.post('/', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = createDeliverableSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+
+  const result = await query(
+    `INSERT INTO campaign_deliverables (campaign_influencer_id, type, title, description, due_date,
+                                        status, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    [
+      participation.id,
+      value.type,
+      value.title || null,
+      value.description || null,
+      value.due_date || null,
+      DELIVERABLE_STATUS.PENDING,
+      req.user.id
+    ]
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Deliverable created successfully',
+    data: result.rows[0]
+  });
+}));
+
+// @route   GET /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId
+// @desc    Get a deliverable
+// @access  Private
+router.get('/:deliverableId', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+
+  res.json({
+    success: true,
+    data: deliverable
+  });
+}));
+
+// @route   PUT /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId
+// @desc    Update deliverable details (type, title, description, due date)
+// @access  Private
+router.put('/:deliverableId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = updateDeliverableSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+
+  if (deliverable.status === DELIVERABLE_STATUS.APPROVED) {
+    throw new ConflictError('Approved deliverables cannot be changed');
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['type', 'title', 'description', 'due_date'].forEach(field => {
+    if (value[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex}`);
+      values.push(value[field]);
+      paramIndex++;
+    }
+  });
+
+  updates.push(`updated_at = NOW()`);
+  values.push(deliverable.id);
+
+  const result = await query(
+    `UPDATE campaign_deliverables SET ${updates.join(', ')} WHERE id = $${paramIndex}
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    values
+  );
+
+  res.json({
+    success: true,
+    message: 'Deliverable updated successfully',
+    data: result.rows[0]
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/submit
+// @desc    Submit a deliverable's live content URL for review
+// @access  Private
+router.post('/:deliverableId/submit', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = submitDeliverableSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+  const status = deliverables.nextStatus(deliverable, 'submit');
+
+  const result = await query(
+    `UPDATE campaign_deliverables
+     SET status = $1, content_url = $2, submission_notes = $3, submitted_at = NOW(), submitted_by = $4,
+         review_notes = NULL, reviewed_at = NULL, reviewed_by = NULL, updated_at = NOW()
+     WHERE id = $5
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    [status, value.content_url, value.notes || null, req.user.id, deliverable.id]
+  );
+
+  res.json({
+    success: true,
+    message: 'Deliverable submitted for review',
+    data: result.rows[0]
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/approve
+// @desc    Approve a submitted deliverable
+// @access  Private
+router.post('/:deliverableId/approve', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = approveDeliverableSchema.validate(req.body || {});
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+  const status = deliverables.nextStatus(deliverable, 'approve');
+
+  const result = await query(
+    `UPDATE campaign_deliverables
+     SET status = $1, review_notes = $2, reviewed_at = NOW(), reviewed_by = $3, updated_at = NOW()
+     WHERE id = $4
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    [status, value.notes || null, req.user.id, deliverable.id]
+  );
+
+  res.json({
+    success: true,
+    message: 'Deliverable approved',
+    data: result.rows[0]
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/reject
+// @desc    Reject a submitted deliverable so it can be reworked and resubmitted
+// @access  Private
+router.post('/:deliverableId/reject', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = rejectDeliverableSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+  const status = deliverables.nextStatus(deliverable, 'reject');
+
+  const result = await query(
+    `UPDATE campaign_deliverables
+     SET status = $1, review_notes = $2, reviewed_at = NOW(), reviewed_by = $3, updated_at = NOW()
+     WHERE id = $4
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    [status, value.reason, req.user.id, deliverable.id]
+  );
+
+  res.json({
+    success: true,
+    message: 'Deliverable rejected',
+    data: result.rows[0]
+  });
+}));
+
+// @route   PUT /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId/metrics
+// @desc    Record performance numbers (views, likes, comments, clicks, conversions, revenue) for published content
+// @access  Private
+router.put('/:deliverableId/metrics', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = performanceSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+
+  if (![DELIVERABLE_STATUS.SUBMITTED, DELIVERABLE_STATUS.APPROVED].includes(deliverable.status)) {
+    throw new ConflictError('Performance can only be recorded for submitted or approved deliverables');
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  deliverables.PERFORMANCE_FIELDS.forEach(field => {
+    if (value[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex}`);
+      values.push(value[field]);
+      paramIndex++;
+    }
+  });
+
+  updates.push('metrics_updated_at = NOW()', 'updated_at = NOW()');
+  values.push(deliverable.id);
+
+  const result = await query(
+    `UPDATE campaign_deliverables SET ${updates.join(', ')} WHERE id = $${paramIndex}
+     RETURNING ${DELIVERABLE_FIELDS}`,
+    values
+  );
+
+  res.json({
+    success: true,
+    message: 'Deliverable performance updated',
+    data: result.rows[0]
+  });
+}));
+
+// @route   DELETE /api/v1/campaigns/:id/influencers/:influencerId/deliverables/:deliverableId
+// @desc    Delete a deliverable
+// @access  Private
+router.delete('/:deliverableId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const participation = await loadParticipation(req);
+  const deliverable = await deliverables.findDeliverable(participation.id, req.params.deliverableId);
+
+  await query('DELETE FROM campaign_deliverables WHERE id = $1', [deliverable.id]);
+
+  res.json({
+    success: true,
+    message: 'Deliverable deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * Exchange Rate Routes
+ * Endpoints: the rates used to convert campaign budgets, fees and expenses
+ */
+
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const { query } = require('../database');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/error');
+const budget = require('../services/budget');
+const Joi = require('joi');
+
+// Validation Schemas
+const currencySchema = Joi.string().uppercase().pattern(/^[A-Z]{3}$/).required()
+  .messages({ 'string.pattern.base': 'Currency must be a three-letter ISO 4217 code' });
+
+const rateSchema = Joi.object({
+  rate: Joi.number().positive().required()
+});
+
+function validateCurrency(currency) {
+  const { error, value } = currencySchema.validate(currency);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  if (value === budget.baseCurrency()) {
+    throw new ValidationError(`${value} is the base currency; its rate is always 1`);
+  }
+  return value;
+}
+
+// @route   GET /api/v1/exchange-rates
+// @desc    List exchange rates against the base currency
+// @access  Private
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const saved = await query('SELECT currency, rate, updated_at FROM exchange_rates', []);
+  const savedByCurrency = new Map(saved.rows.map(row => [row.currency, row]));
+  const rates = await budget.getExchangeRates();
+
+  res.json({
+    success: true,
+    data: {
+      base_currency: budget.baseCurrency(),
+      rates: Object.keys(rates).sort().map(currency => ({
+        currency,
+        rate: rates[currency],
+        source: savedByCurrency.has(currency) ? 'custom' : 'default',
+        updated_at: savedByCurrency.has(currency) ? savedByCurrency.get(currency).updated_at : null
+      }))
+    }
+  });
+}));
+
+// @route   PUT /api/v1/exchange-rates/:currency
+// @desc    Set the rate for a currency (value of one unit in the base currency)
+// @access  Private/Admin
+router.put('/:currency', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const currency = validateCurrency(req.params.currency);
+  const { error, value } = rateSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const result = await query(
+    `INSERT INTO exchange_rates (currency, rate, updated_by, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (currency) DO UPDATE SET rate = EXCLUDED.rate, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING currency, rate, updated_at`,
+    [currency, value.rate, req.user.id]
+  );
+
+  res.json({
+    success: true,
+    message: 'Exchange rate saved',
+    data: result.rows[0]
+  });
+}));
+
+// @route   DELETE /api/v1/exchange-rates/:currency
+// @desc    Remove a saved rate, falling back to the configured default
+// @access  Private/Admin
+router.delete('/:currency', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const currency = validateCurrency(req.params.currency);
+
+  const existing = await query('SELECT currency FROM exchange_rates WHERE currency = $1', [currency]);
+  if (existing.rows.length === 0) {
+    throw new NotFoundError('Exchange rate');
+  }
+
+  // Amounts in a currency with no default rate could no longer be converted
+  if (!config.budget.exchange_rates[currency]) {
+    const usage = await query(
+      `SELECT
+         (SELECT COUNT(*) FROM campaigns WHERE currency = $1) +
+         (SELECT COUNT(*) FROM campaign_influencers WHERE fee_currency = $1) +
+         (SELECT COUNT(*) FROM campaign_expenses WHERE currency = $1) as count`,
+      [currency]
+    );
+    if (parseInt(usage.rows[0].count) > 0) {
+      throw new ConflictError(`${currency} is still used by campaign budgets, fees or expenses`);
+    }
+  }
+
+  await query('DELETE FROM exchange_rates WHERE currency = $1', [currency]);
+
+  res.json({
+    success: true,
+    message: 'Exchange rate removed'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,232 @@
+/**
+ * Campaign Expense Routes
+ * Endpoints: line-item spend recorded against a campaign budget
+ * Mounted at /campaigns/:id/expenses
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { query, transaction } = require('../database');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError, NotFoundError } = require('../middleware/error');
+const budget = require('../services/budget');
+const deliverables = require('../services/deliverables');
+const Joi = require('joi');
+
+const { EXPENSE_STATUS } = budget;
+
+// Validation Schemas
+const createExpenseSchema = Joi.object({
+  category: Joi.string().valid(...budget.EXPENSE_CATEGORIES).required(),
+  description: Joi.string().min(2).max(500).required(),
+  amount: Joi.number().positive().precision(2).required(),
+  currency: Joi.string().uppercase().length(3).optional(),
+  status: Joi.string().valid(...Object.values(EXPENSE_STATUS)).default(EXPENSE_STATUS.COMMITTED),
+  incurred_on: Joi.date().iso().optional(),
+  influencer_id: Joi.string().uuid().optional()
+});
+
+const updateExpenseSchema = Joi.object({
+  category: Joi.string().valid(...budget.EXPENSE_CATEGORIES).optional(),
+  description: Joi.string().min(2).max(500).optional(),
+  amount: Joi.number().positive().precision(2).optional(),
+  currency: Joi.string().uppercase().length(3).optional(),
+  status: Joi.string().valid(...Object.values(EXPENSE_STATUS)).optional(),
+  incurred_on: Joi.date().iso().allow(null).optional()
+}).min(1);
+
+const listQuerySchema = Joi.object({
+  category: Joi.string().valid(...budget.EXPENSE_CATEGORIES).optional(),
+  status: Joi.string().valid(...Object.values(EXPENSE_STATUS)).optional()
+});
+
+async function findCampaign(campaignId) {
+  const result = await query('SELECT id, currency FROM campaigns WHERE id = $1', [campaignId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Campaign');
+  }
+  return result.rows[0];
+}
+
+async function findExpense(campaignId, expenseId) {
+  const result = await query(
+    'SELECT * FROM campaign_expenses WHERE id = $1 AND campaign_id = $2',
+    [expenseId, campaignId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Expense');
+  }
+  return result.rows[0];
+}
+
+// @route   GET /api/v1/campaigns/:id/expenses
+// @desc    List a campaign's expenses
+// @access  Private
+router.get('/', requirePermission(PERMISSIONS.CAMPAIGN_READ), asyncHandler(async (req, res) => {
+  const { error, value } = listQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  await findCampaign(req.params.id);
+
+  const filters = ['campaign_id = $1'];
+  const values = [req.params.id];
+  let paramIndex = 2;
+
+  if (value.category) {
+    filters.push(`category = $${paramIndex}`);
+    values.push(value.category);
+    paramIndex++;
+  }
+
+  if (value.status) {
+    filters.push(`status = $${paramIndex}`);
+    values.push(value.status);
+    paramIndex++;
+  }
+
+  const result = await query(
+    `SELECT * FROM campaign_expenses
+     WHERE ${filters.join(' AND ')}
+     ORDER BY incurred_on DESC NULLS LAST, created_at DESC`,
+    values
+  );
+
+  res.json({
+    success: true,
+    data: result.rows
+  });
+}));
+
+// @route   POST /api/v1/campaigns/:id/expenses
+// @desc    Record an expense (rejected if it would exceed the budget)
+// @access  Private
+router.post('/', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = createExpenseSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const campaign = await findCampaign(req.params.id);
+  const currency = value.currency || campaign.currency;
+
+  // Optionally attribute the expense to one of the campaign's influencers
+  const participation = value.influencer_id
+    ? await deliverables.findParticipation(req.params.id, value.influencer_id)
+    : null;
+
+  const rates = await budget.getExchangeRates();
+  budget.assertCurrency(currency, rates);
+
+  // Checked with the campaign locked so concurrent expenses can't both fit
+  const result = await transaction(async (client) => {
+    const ledger = await budget.lockCampaignLedger(client, req.params.id);
+    budget.assertWithinBudget(ledger, { amount: value.amount, currency }, null, rates);
+
+    return client.query(
+      `INSERT INTO campaign_expenses (campaign_id, campaign_influencer_id, category, description, amount, currency,
+                                      status, incurred_on, paid_at, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW(), NOW())
+       RETURNING *`,
+      [
+        req.params.id,
+        participation ? participation.id : null,
+        value.category,
+        value.description,
+        value.amount,
+        currency,
+        value.status,
+        value.incurred_on || null,
+        value.status === EXPENSE_STATUS.PAID ? new Date() : null,
+        req.user.id
+      ]
+    );
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Expense recorded successfully',
+    data: result.rows[0]
+  });
+}));
+
+// @route   PUT /api/v1/campaigns/:id/expenses/:expenseId
+// @desc    Update an expense or mark it paid
+// @access  Private
+router.put('/:expenseId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = updateExpenseSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const expense = await findExpense(req.params.id, req.params.expenseId);
+
+  const amountChanged = value.amount !== undefined || value.currency;
+  const next = {
+    amount: value.amount !== undefined ? value.amount : parseFloat(expense.amount),
+    currency: value.currency || expense.currency
+  };
+  const rates = amountChanged ? await budget.getExchangeRates() : null;
+  if (amountChanged) {
+    budget.assertCurrency(next.currency, rates);
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  ['category', 'description', 'amount', 'currency', 'status', 'incurred_on'].forEach(field => {
+    if (value[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex}`);
+      values.push(value[field]);
+      paramIndex++;
+    }
+  });
+
+  if (value.status && value.status !== expense.status) {
+    updates.push(value.status === EXPENSE_STATUS.PAID ? 'paid_at = NOW()' : 'paid_at = NULL');
+  }
+
+  updates.push('updated_at = NOW()');
+  values.push(expense.id);
+
+  // Checked with the campaign locked, against the expense as it stands now
+  const result = await transaction(async (client) => {
+    if (amountChanged) {
+      const ledger = await budget.lockCampaignLedger(client, req.params.id);
+      const current = await client.query('SELECT amount, currency FROM campaign_expenses WHERE id = $1', [expense.id]);
+      const previous = current.rows[0] || {};
+      budget.assertWithinBudget(ledger, next, { amount: parseFloat(previous.amount), currency: previous.currency }, rates);
+    }
+
+    return client.query(
+      `UPDATE campaign_expenses SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+  });
+
+  res.json({
+    success: true,
+    message: 'Expense updated successfully',
+    data: result.rows[0]
+  });
+}));
+
+// @route   DELETE /api/v1/campaigns/:id/expenses/:expenseId
+// @desc    Delete an expense
+// @access  Private
+router.delete('/:expenseId', requirePermission(PERMISSIONS.CAMPAIGN_UPDATE), asyncHandler(async (req, res) => {
+  const expense = await findExpense(req.params.id, req.params.expenseId);
+
+  await query('DELETE FROM campaign_expenses WHERE id = $1', [expense.id]);
+
+  res.json({
+    success: true,
+    message: 'Expense deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -7,11 +7,20 @@ const express = require('express');
 const router = express.Router();
 
 const authRoutes = require('./auth');
+const twoFactorRoutes = require('./twoFactor');
 const userRoutes = require('./users');
 const influencerRoutes = require('./influencers');
 const campaignRoutes = require('./campaigns');
 const modelRoutes = require('./models');
 const analyticsRoutes = require('./analytics');
+const exchangeRateRoutes = require('./exchangeRates');
+const teamRoutes = require('./teams');
+const workspaceRoutes = require('./workspaces');
+const roleRoutes = require('./roles');
+const apiKeyRoutes = require('./apiKeys');
+const auditRoutes = require('./audit');
+const webhookRoutes = require('./webhooks');
+const jobRoutes = require('./jobs');
 
 // Health check endpoint (outside /api/v1)
 router.get('/health', (req, res) => {
@@ -24,11 +33,20 @@ router.get('/health', (req, res) => {
 });
 
 // Mount route modules
+router.use('/auth/2fa', twoFactorRoutes);
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/influencers', influencerRoutes);
 router.use('/campaigns', campaignRoutes);
 router.use('/models', modelRoutes);
 router.use('/analytics', analyticsRoutes);
+router.use('/exchange-rates', exchangeRateRoutes);
+router.use('/teams', teamRoutes);
+router.use('/workspaces/:id/webhooks', webhookRoutes);
+router.use('/workspaces', workspaceRoutes);
+router.use('/roles', roleRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/audit', auditRoutes);
+router.use('/jobs', jobRoutes);
 
 module.exports = router;
@@ -1,13 +1,26 @@
 /**
  * Influencer Routes
- * Endpoints: CRUD operations for influencers
+ * Endpoints: CRUD operations for influencers, scoped to the records each user may access
  */
 
 const express = require('express');
 const router = express.Router();
-const { query } = require('../database');
-const { authenticate, authorize } = require('../middleware/auth');
-const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/error');
+const { query, transaction } = require('../database');
+const { requirePermission, ownsResource } = require('../middleware/permissions');
+const { PERMISSIONS, userHasPermission } = require('../middleware/rbac');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError, AuthorizationError } = require('../middleware/error');
+const { acceptFile } = require('../middleware/upload');
+const metrics = require('../services/metrics');
+const audit = require('../services/audit');
+const ownership = require('../services/ownership');
+const search = require('../services/search');
+const trash = require('../services/trash');
+const webhooks = require('../services/webhooks');
+const workspaces = require('../services/workspaces');
+const { buildInfluencerFilters, buildInfluencerSort, buildWhereClause } = require('../services/filters');
+const { parseCsv } = require('../utils/csv');
+const createShareRoutes = require('./shares');
+const config = require('../config');
 const Joi = require('joi');
 
 // Validation Schemas
@@ -42,62 +55,315 @@ const updateInfluencerSchema = Joi.object({
   status: Joi.string().valid('active', 'inactive', 'pending', 'blocked').optional()
 }).min(1);
 
-// @route   GET /api/v1/influencers
-// @desc    Get all influencers with pagination and filtering
-// @access  Private
-router.get('/', authenticate, asyncHandler(async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
-  const offset = (page - 1) * limit;
-  
-  // Build filters
-  const filters = [];
+const snapshotSchema = Joi.object({
+  snapshots: Joi.array().items(Joi.object({
+    influencer_id: Joi.string().uuid().required(),
+    followers: Joi.number().integer().min(0).optional(),
+    engagement_rate: Joi.number().min(0).max(100).optional(),
+    recorded_at: Joi.date().iso().max('now').optional()
+  }).or('followers', 'engagement_rate')).min(1).max(1000).optional(),
+  platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'other').optional()
+}).oxor('snapshots', 'platform');
+
+const historyQuerySchema = Joi.object({
+  interval: Joi.string().valid(...Object.keys(metrics.INTERVALS)).default('day'),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().optional()
+});
+
+const importOptionsSchema = Joi.object({
+  mode: Joi.string().valid('skip', 'upsert').default('skip'),
+  dryRun: Joi.boolean().default(false)
+});
+
+const searchSchema = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required().messages({
+    'any.required': 'Search query must be at least 2 characters',
+    'string.empty': 'Search query must be at least 2 characters',
+    'string.min': 'Search query must be at least 2 characters'
+  }),
+  platform: Joi.string().valid('instagram', 'tiktok', 'youtube', 'twitter', 'facebook', 'linkedin', 'other').optional(),
+  category: Joi.string().max(50).optional(),
+  location: Joi.string().max(100).optional(),
+  fuzzy: Joi.boolean().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+// Fields accepted when creating or importing an influencer
+const INFLUENCER_FIELDS = [
+  'name', 'email', 'username', 'platform', 'profile_url', 'followers',
+  'engagement_rate', 'location', 'bio', 'category', 'tags', 'notes'
+];
+
+const DUPLICATE_MESSAGE = 'Influencer with this username and platform already exists';
+const TRASHED_DUPLICATE_MESSAGE = 'Influencer with this username and platform is in the trash. Restore it instead';
+
+// Row as returned by the API, with tags parsed
+function formatInfluencer(influencer) {
+  return { ...influencer, tags: typeof influencer.tags === 'string' ? JSON.parse(influencer.tags) : influencer.tags };
+}
+
+// Find an influencer with the same username on the same platform in the
+// workspace, including one in the trash
+async function findDuplicate(client, value, workspaceId) {
+  if (!value.username || !value.platform) {
+    return null;
+  }
+
+  const existing = await client.query(
+    'SELECT id, followers, engagement_rate, deleted_at FROM influencers WHERE username = $1 AND platform = $2 AND workspace_id = $3',
+    [value.username, value.platform, workspaceId]
+  );
+  return existing.rows[0] || null;
+}
+
+// Insert an influencer into the user's workspace and start its metrics history
+async function insertInfluencer(client, value, user, actor) {
+  const inserted = await client.query(
+    `INSERT INTO influencers (name, email, username, platform, profile_url, followers, 
+                             engagement_rate, location, bio, category, tags, notes, status, user_id,
+                             workspace_id, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW(), NOW())
+     RETURNING *`,
+    [
+      value.name,
+      value.email || null,
+      value.username || null,
+      value.platform,
+      value.profile_url || null,
+      value.followers || 0,
+      value.engagement_rate || 0,
+      value.location || null,
+      value.bio || null,
+      value.category || null,
+      value.tags ? JSON.stringify(value.tags) : '[]',
+      value.notes || null,
+      'active',
+      user.id,
+      workspaces.activeWorkspaceId(user)
+    ]
+  );
+
+  await metrics.recordSnapshot(inserted.rows[0].id, inserted.rows[0], {
+    source: metrics.SNAPSHOT_SOURCE.CREATE,
+    recordedBy: user.id,
+    client
+  });
+
+  await audit.record(actor, {
+    action: audit.ACTIONS.CREATE,
+    resourceType: audit.RESOURCE_TYPES.INFLUENCER,
+    resourceId: inserted.rows[0].id,
+    after: inserted.rows[0]
+  }, client);
+
+  return inserted.rows[0];
+}
+
+// Overwrite an existing influencer with imported values
+async function overwriteInfluencer(client, existing, value, userId, actor) {
+  const before = await client.query('SELECT * FROM influencers WHERE id = $1', [existing.id]);
+
+  const updates = [];
   const values = [];
   let paramIndex = 1;
 
-  if (req.query.search) {
-    filters.push(`(name ILIKE $${paramIndex} OR username ILIKE $${paramIndex} OR email ILIKE $${paramIndex})`);
-    values.push(`%${req.query.search}%`);
-    paramIndex++;
+  INFLUENCER_FIELDS.forEach(field => {
+    if (value[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex}`);
+      values.push(field === 'tags' ? JSON.stringify(value[field]) : value[field]);
+      paramIndex++;
+    }
+  });
+
+  updates.push(`updated_at = NOW()`);
+  values.push(existing.id);
+
+  const updated = await client.query(
+    `UPDATE influencers SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+    values
+  );
+
+  if (metrics.metricsChanged(existing, value)) {
+    await metrics.recordSnapshot(existing.id, updated.rows[0], {
+      source: metrics.SNAPSHOT_SOURCE.UPDATE,
+      recordedBy: userId,
+      client
+    });
   }
 
-  if (req.query.platform) {
-    filters.push(`platform = $${paramIndex}`);
-    values.push(req.query.platform);
-    paramIndex++;
+  await audit.record(actor, {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.INFLUENCER,
+    resourceId: existing.id,
+    before: before.rows[0],
+    after: updated.rows[0]
+  }, client);
+
+  return updated.rows[0];
+}
+
+// Split a tags cell written as a JSON array or a ; / , separated list
+function parseTags(text) {
+  if (text.startsWith('[')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      // Fall through to a plain list
+    }
   }
+  return text.split(/[;,]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+// Turn an uploaded CSV/JSON record into createInfluencerSchema input
+function normalizeImportRecord(record) {
+  const normalized = {};
+
+  for (const [key, raw] of Object.entries(record)) {
+    const field = key.trim().toLowerCase();
+    const value = typeof raw === 'string' ? raw.trim() : raw;
 
-  if (req.query.category) {
-    filters.push(`category = $${paramIndex}`);
-    values.push(req.query.category);
-    paramIndex++;
+    if (value === '' || value === null || value === undefined) {
+      continue;
+    }
+    normalized[field] = field === 'tags' && typeof value === 'string' ? parseTags(value) : value;
   }
 
-  if (req.query.status) {
-    filters.push(`status = $${paramIndex}`);
-    values.push(req.query.status);
-    paramIndex++;
+  return normalized;
+}
+
+// Read import records from the uploaded file or the JSON body
+function readImportRecords(req) {
+  if (req.file) {
+    const text = req.file.buffer.toString('utf8');
+
+    if (req.file.contentType !== 'application/json') {
+      try {
+        return parseCsv(text);
+      } catch (error) {
+        throw new ValidationError(`Invalid CSV file: ${error.message}`);
+      }
+    }
+
+    try {
+      return readImportRecords({ body: JSON.parse(text) });
+    } catch (error) {
+      throw error instanceof ValidationError ? error : new ValidationError(`Invalid JSON file: ${error.message}`);
+    }
   }
 
-  if (req.query.minFollowers) {
-    filters.push(`followers >= $${paramIndex}`);
-    values.push(parseInt(req.query.minFollowers));
-    paramIndex++;
+  const body = req.body;
+  const items = Array.isArray(body) ? body : body && body.influencers;
+  if (!Array.isArray(items)) {
+    throw new ValidationError('Upload a CSV or JSON file, or send a JSON array of influencers');
   }
+  return items.map(record => ({ record }));
+}
+
+/**
+ * Import influencer records row by row
+ * Each row is validated with createInfluencerSchema and written in its own
+ * transaction, so one bad row never blocks the rest of the file.
+ * @param {Array<{ line?: number, record: object }>} records - Parsed rows
+ * @param {object} options - { mode: 'skip' | 'upsert', dryRun, user }
+ * @returns {Promise<object>} Summary and per-row results
+ */
+async function importInfluencers(records, { mode, dryRun, user, actor }) {
+  const workspaceId = workspaces.activeWorkspaceId(user);
+  const summary = { total: records.length, created: 0, updated: 0, skipped: 0, failed: 0 };
+  const results = [];
+  // username/platform keys seen earlier in the file, used to predict duplicates in a dry run
+  const seen = new Map();
+
+  for (const [index, { line, record }] of records.entries()) {
+    const result = { row: index + 1 };
+    if (line) {
+      result.line = line;
+    }
+
+    const input = record && typeof record === 'object' && !Array.isArray(record)
+      ? normalizeImportRecord(record)
+      : null;
+    const { error, value } = input
+      ? createInfluencerSchema.validate(input, { abortEarly: false })
+      : { error: { details: [{ message: 'Row must be an object' }] } };
+
+    const identity = value || input || {};
+    result.name = identity.name || null;
+    result.username = identity.username || null;
+    result.platform = identity.platform || null;
+
+    if (error) {
+      summary.failed++;
+      results.push({ ...result, status: 'failed', errors: error.details.map(detail => detail.message) });
+      continue;
+    }
+
+    const key = value.username ? `${value.platform}:${value.username}` : null;
+
+    try {
+      const outcome = await transaction(async (client) => {
+        const duplicate = await findDuplicate(client, value, workspaceId);
+        if (duplicate && duplicate.deleted_at) {
+          throw new ConflictError(TRASHED_DUPLICATE_MESSAGE);
+        }
+        const existing = duplicate || (dryRun && seen.get(key)) || null;
+
+        // Never reveal or overwrite influencers the importer cannot access
+        if (duplicate && !(await ownership.canAccess(user, 'influencer', duplicate.id))) {
+          throw new ConflictError(DUPLICATE_MESSAGE);
+        }
+        if (existing && mode === 'skip') {
+          return { status: 'skipped', id: existing.id, message: DUPLICATE_MESSAGE };
+        }
+        if (dryRun) {
+          return { status: existing ? 'updated' : 'created', id: existing ? existing.id : null };
+        }
+        if (existing) {
+          const updated = await overwriteInfluencer(client, existing, value, user.id, actor);
+          return { status: 'updated', id: updated.id, record: updated };
+        }
+        const inserted = await insertInfluencer(client, value, user, actor);
+        return { status: 'created', id: inserted.id, record: inserted };
+      });
+
+      const { record, ...rowOutcome } = outcome;
+      if (record) {
+        await webhooks.emit(
+          rowOutcome.status === 'created' ? webhooks.EVENTS.INFLUENCER_CREATED : webhooks.EVENTS.INFLUENCER_UPDATED,
+          { workspaceId: record.workspace_id, data: formatInfluencer(record) }
+        );
+      }
 
-  if (req.query.maxFollowers) {
-    filters.push(`followers <= $${paramIndex}`);
-    values.push(parseInt(req.query.maxFollowers));
-    paramIndex++;
+      if (key && !seen.has(key)) {
+        seen.set(key, { id: rowOutcome.id });
+      }
+      summary[rowOutcome.status]++;
+      results.push({ ...result, ...rowOutcome });
+    } catch (rowError) {
+      summary.failed++;
+      results.push({ ...result, status: 'failed', errors: [rowError.message] });
+    }
   }
 
-  const whereClause = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+  return { dryRun, mode, summary, results };
+}
 
-  // Sorting
-  const sortField = req.query.sortBy || 'created_at';
-  const sortOrder = req.query.sortOrder === 'asc' ? 'ASC' : 'DESC';
-  const validSortFields = ['name', 'followers', 'engagement_rate', 'created_at', 'updated_at'];
-  const actualSortField = validSortFields.includes(sortField) ? sortField : 'created_at';
+// @route   GET /api/v1/influencers
+// @desc    Get all influencers with pagination and filtering
+// @access  Private
+router.get('/', requirePermission(PERMISSIONS.INFLUENCER_READ), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const offset = (page - 1) * limit;
+  
+  const listFilters = buildInfluencerFilters(req.query);
+  const access = ownership.buildAccessFilters(req.user, 'influencer', { paramIndex: listFilters.paramIndex });
+  const whereClause = buildWhereClause([...listFilters.filters, ...access.filters]);
+  const values = [...listFilters.values, ...access.values];
+  const paramIndex = access.paramIndex;
+  const orderBy = buildInfluencerSort(req.query);
 
   // Get total count
   const countResult = await query(
@@ -112,7 +378,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
             engagement_rate, location, category, status, tags, 
             created_at, updated_at
      FROM influencers ${whereClause}
-     ORDER BY ${actualSortField} ${sortOrder}
+     ORDER BY ${orderBy}
      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
     [...values, limit, offset]
   );
@@ -137,10 +403,30 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/v1/influencers/trash
+// @desc    Get deleted influencers awaiting purge, most recently deleted first
+// @access  Private
+router.get('/trash', requirePermission(PERMISSIONS.INFLUENCER_READ), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const result = await trash.listTrash(req.user, 'influencer', { page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      influencers: result.items.map(inf => ({
+        ...inf,
+        tags: typeof inf.tags === 'string' ? JSON.parse(inf.tags) : inf.tags
+      })),
+      pagination: result.pagination
+    }
+  });
+}));
+
 // @route   GET /api/v1/influencers/:id
 // @desc    Get influencer by ID
 // @access  Private
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.INFLUENCER_READ), ownsResource('influencer'), asyncHandler(async (req, res) => {
   const result = await query(
     `SELECT id, name, email, username, platform, profile_url, followers, 
             engagement_rate, location, bio, category, tags, notes, status,
@@ -165,49 +451,21 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 // @route   POST /api/v1/influencers
 // @desc    Create new influencer
 // @access  Private
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.INFLUENCER_CREATE), asyncHandler(async (req, res) => {
   const { error, value } = createInfluencerSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  // Check for duplicate if username and platform provided
-  if (value.username && value.platform) {
-    const existing = await query(
-      'SELECT id FROM influencers WHERE username = $1 AND platform = $2',
-      [value.username, value.platform]
-    );
-
-    if (existing.rows.length > 0) {
-      throw new ConflictError('Influencer with this username and platform already exists');
+  const influencer = await transaction(async (client) => {
+    const duplicate = await findDuplicate(client, value, workspaces.activeWorkspaceId(req.user));
+    if (duplicate) {
+      throw new ConflictError(duplicate.deleted_at ? TRASHED_DUPLICATE_MESSAGE : DUPLICATE_MESSAGE);
     }
-  }
-
-  const result = await query(
-    `INSERT INTO influencers (name, email, username, platform, profile_url, followers, 
-                             engagement_rate, location, bio, category, tags, notes, status, user_id, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, NOW(), NOW())
-     RETURNING *`,
-    [
-      value.name,
-      value.email || null,
-      value.username || null,
-      value.platform,
-      value.profile_url || null,
-      value.followers || 0,
-      value.engagement_rate || 0,
-      value.location || null,
-      value.bio || null,
-      value.category || null,
-      value.tags ? JSON.stringify(value.tags) : '[]',
-      value.notes || null,
-      'active',
-      req.user.id
-    ]
-  );
+    return formatInfluencer(await insertInfluencer(client, value, req.user, audit.actorFrom(req)));
+  });
 
-  const influencer = result.rows[0];
-  influencer.tags = typeof influencer.tags === 'string' ? JSON.parse(influencer.tags) : influencer.tags;
+  await webhooks.emit(webhooks.EVENTS.INFLUENCER_CREATED, { workspaceId: influencer.workspace_id, data: influencer });
 
   res.status(201).json({
     success: true,
@@ -216,17 +474,53 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   POST /api/v1/influencers/import
+// @desc    Bulk import influencers from a CSV/JSON file or JSON array, with dry-run and upsert
+// @access  Private
+router.post('/import', requirePermission(PERMISSIONS.INFLUENCER_CREATE), acceptFile({ types: config.upload.import_types }), asyncHandler(async (req, res) => {
+  const records = readImportRecords(req);
+
+  const { error, value: options } = importOptionsSchema.validate({
+    mode: req.query.mode !== undefined ? req.query.mode : (req.body || {}).mode,
+    dryRun: req.query.dryRun !== undefined ? req.query.dryRun : (req.body || {}).dryRun
+  });
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  // Upserting overwrites existing influencers, so it also takes update rights
+  if (options.mode === 'upsert' && !userHasPermission(req.user, PERMISSIONS.INFLUENCER_UPDATE)) {
+    throw new AuthorizationError(`Permission denied. Required: ${PERMISSIONS.INFLUENCER_UPDATE}`);
+  }
+
+  if (records.length === 0) {
+    throw new ValidationError('Import contains no rows');
+  }
+  if (records.length > config.upload.import_max_rows) {
+    throw new ValidationError(`Import is limited to ${config.upload.import_max_rows} rows`);
+  }
+
+  const report = await importInfluencers(records, { ...options, user: req.user, actor: audit.actorFrom(req) });
+  const { created, updated, skipped, failed } = report.summary;
+
+  res.json({
+    success: true,
+    message: `${options.dryRun ? 'Dry run: ' : ''}${created} created, ${updated} updated, ${skipped} skipped, ${failed} failed`,
+    data: report
+  });
+}));
+
 // @route   PUT /api/v1/influencers/:id
 // @desc    Update influencer
 // @access  Private
-router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.INFLUENCER_UPDATE), ownsResource('influencer'), asyncHandler(async (req, res) => {
   const { error, value } = updateInfluencerSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
   // Check if influencer exists
-  const existing = await query('SELECT id FROM influencers WHERE id = $1', [req.params.id]);
+  const existing = await query('SELECT * FROM influencers WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Influencer');
   }
@@ -256,16 +550,37 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   updates.push(`updated_at = NOW()`);
   values.push(req.params.id);
 
-  const result = await query(
-    `UPDATE influencers SET ${updates.join(', ')} WHERE id = $${paramIndex}
-     RETURNING id, name, email, username, platform, profile_url, followers, 
-               engagement_rate, location, bio, category, tags, notes, status,
-               created_at, updated_at`,
-    values
-  );
+  const result = await transaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE influencers SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING id, name, email, username, platform, profile_url, followers, 
+                 engagement_rate, location, bio, category, tags, notes, status,
+                 created_at, updated_at`,
+      values
+    );
 
-  const influencer = result.rows[0];
-  influencer.tags = typeof influencer.tags === 'string' ? JSON.parse(influencer.tags) : influencer.tags;
+    // Keep a history point whenever followers or engagement change
+    if (metrics.metricsChanged(existing.rows[0], value)) {
+      await metrics.recordSnapshot(req.params.id, updated.rows[0], {
+        source: metrics.SNAPSHOT_SOURCE.UPDATE,
+        recordedBy: req.user.id,
+        client
+      });
+    }
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.UPDATE,
+      resourceType: audit.RESOURCE_TYPES.INFLUENCER,
+      resourceId: req.params.id,
+      before: existing.rows[0],
+      after: updated.rows[0]
+    }, client);
+
+    return updated;
+  });
+
+  const influencer = formatInfluencer(result.rows[0]);
+  await webhooks.emit(webhooks.EVENTS.INFLUENCER_UPDATED, { workspaceId: existing.rows[0].workspace_id, data: influencer });
 
   res.json({
     success: true,
@@ -275,70 +590,126 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // @route   DELETE /api/v1/influencers/:id
-// @desc    Delete influencer
+// @desc    Delete influencer (moves it to the trash)
 // @access  Private
-router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
-  const existing = await query('SELECT id FROM influencers WHERE id = $1', [req.params.id]);
+router.delete('/:id', requirePermission(PERMISSIONS.INFLUENCER_DELETE), ownsResource('influencer'), asyncHandler(async (req, res) => {
+  const existing = await query('SELECT * FROM influencers WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Influencer');
   }
 
-  await query('DELETE FROM influencers WHERE id = $1', [req.params.id]);
+  const trashed = await transaction(client => trash.moveToTrash(client, 'influencer', existing.rows[0], audit.actorFrom(req)));
+  await webhooks.emit(webhooks.EVENTS.INFLUENCER_DELETED, {
+    workspaceId: trashed.workspace_id,
+    data: { id: trashed.id, deleted_at: trashed.deleted_at }
+  });
 
   res.json({
     success: true,
-    message: 'Influencer deleted successfully'
+    message: 'Influencer moved to the trash',
+    data: { id: trashed.id, deleted_at: trashed.deleted_at, purge_at: trash.purgeDate(trashed.deleted_at) }
   });
 }));
 
-// @route   GET /api/v1/influencers/search
-// @desc    Search influencers
+// @route   POST /api/v1/influencers/:id/restore
+// @desc    Restore an influencer from the trash
 // @access  Private
-router.get('/search/query', authenticate, asyncHandler(async (req, res) => {
-  const { q, platform, category, limit } = req.query;
-  
-  if (!q || q.length < 2) {
-    throw new ValidationError('Search query must be at least 2 characters');
+router.post('/:id/restore', requirePermission(PERMISSIONS.INFLUENCER_DELETE), asyncHandler(async (req, res) => {
+  const influencer = await trash.restore(req.user, 'influencer', req.params.id, audit.actorFrom(req));
+  influencer.tags = typeof influencer.tags === 'string' ? JSON.parse(influencer.tags) : influencer.tags;
+
+  res.json({
+    success: true,
+    message: 'Influencer restored successfully',
+    data: influencer
+  });
+}));
+
+// @route   GET /api/v1/influencers/search/query
+// @desc    Search influencers (typo tolerant, ranked, highlighted, with facet counts)
+// @access  Private
+router.get('/search/query', requirePermission(PERMISSIONS.INFLUENCER_READ), asyncHandler(async (req, res) => {
+  const { error, value } = searchSchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
   }
 
-  const searchLimit = Math.min(parseInt(limit) || 10, 50);
-  const searchTerm = `%${q}%`;
+  const result = await search.searchInfluencers(req.user, value);
 
-  let whereClause = `name ILIKE $1 OR username ILI1 OR email ILIKE $1`;
-  const values = [searchTerm];
-  let paramIndex = 2;
+  res.json({
+    success: true,
+    data: result
+  });
+}));
 
-  if (platform) {
-    whereClause += ` AND platform = $${paramIndex}`;
-    values.push(platform);
-    paramIndex++;
+// @route   POST /api/v1/influencers/metrics/snapshots
+// @desc    Record metrics snapshots (given values, or current values of all active influencers in the workspace)
+// @access  Private
+router.post('/metrics/snapshots', requirePermission(PERMISSIONS.INFLUENCER_UPDATE), asyncHandler(async (req, res) => {
+  const { error, value } = snapshotSchema.validate(req.body || {});
+  if (error) {
+    throw new ValidationError(error.details[0].message);
   }
 
-  if (category) {
-    whereClause += ` AND category = $${paramIndex}`;
-    values.push(category);
-    paramIndex++;
+  if (value.snapshots) {
+    for (const influencerId of new Set(value.snapshots.map(snapshot => snapshot.influencer_id))) {
+      await ownership.findAccessible(req.user, 'influencer', influencerId);
+    }
+
+    const recorded = await metrics.recordSnapshots(value.snapshots, req.user.id);
+
+    return res.status(201).json({
+      success: true,
+      message: `${recorded.length} snapshot(s) recorded`,
+      data: { recorded: recorded.length, snapshots: recorded }
+    });
   }
 
-  const result = await query(
-    `SELECT id, name, username, platform, followers, engagement_rate, category
-     FROM influencers
-     WHERE ${whereClause}
-     ORDER BY followers DESC
-     LIMIT $${paramIndex}`,
-    [...values, searchLimit]
-  );
+  const recorded = await metrics.captureSnapshots({
+    platform: value.platform,
+    recordedBy: req.user.id,
+    workspaceId: workspaces.activeWorkspaceId(req.user)
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${recorded} snapshot(s) recorded`,
+    data: { recorded }
+  });
+}));
+
+// @route   GET /api/v1/influencers/:id/metrics
+// @desc    Get follower/engagement history with growth deltas
+// @access  Private
+router.get('/:id/metrics', requirePermission(PERMISSIONS.INFLUENCER_READ), ownsResource('influencer'), asyncHandler(async (req, res) => {
+  const { error, value } = historyQuerySchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const existing = await query('SELECT id, name, platform FROM influencers WHERE id = $1', [req.params.id]);
+  if (existing.rows.length === 0) {
+    throw new NotFoundError('Influencer');
+  }
+
+  const history = await metrics.getInfluencerHistory(req.params.id, value);
 
   res.json({
     success: true,
-    data: result.rows
+    data: {
+      influencer: existing.rows[0],
+      ...history
+    }
   });
 }));
 
 // @route   GET /api/v1/influencers/stats/overview
 // @desc    Get influencer statistics
 // @access  Private
-router.get('/stats/overview', authenticate, asyncHandler(async (req, res) => {
+router.get('/stats/overview', requirePermission(PERMISSIONS.INFLUENCER_READ), asyncHandler(async (req, res) => {
+  const { filters, values } = ownership.buildAccessFilters(req.user, 'influencer');
+  const whereClause = buildWhereClause(filters);
+
   const result = await query(
     `SELECT 
        COUNT(*) as total,
@@ -348,8 +719,8 @@ router.get('/stats/overview', authenticate, asyncHandler(async (req, res) => {
        AVG(engagement_rate) as avg_engagement_rate,
        COUNT(DISTINCT platform) as platforms_count,
        COUNT(DISTINCT category) as categories_count
-     FROM influencers`,
-    []
+     FROM influencers ${whereClause}`,
+    values
   );
 
   const stats = result.rows[0];
@@ -357,10 +728,10 @@ router.get('/stats/overview', authenticate, asyncHandler(async (req, res) => {
   // Get top platforms
   const platformStats = await query(
     `SELECT platform, COUNT(*) as count, SUM(followers) as followers
-     FROM influencers
+     FROM influencers ${whereClause}
      GROUP BY platform
      ORDER BY followers DESC`,
-    []
+    values
   );
 
   res.json({
@@ -372,4 +743,7 @@ router.get('/stats/overview', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// Sharing with other users
+router.use('/:id/shares', createShareRoutes('influencer'));
+
 module.exports = router;
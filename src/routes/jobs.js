@@ -0,0 +1,88 @@
+/**
+ * Job Routes
+ * Endpoints: background jobs, their schedules and the dead-letter queue;
+ * retrying and cancelling jobs (admin only). Secrets in job data are redacted.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const jobQueue = require('../services/jobQueue');
+
+// Validation Schemas
+const jobFilterSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(jobQueue.JOB_STATUS)),
+  name: Joi.string().max(100),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+// @route   GET /api/v1/jobs
+// @desc    List jobs, newest first, filtered by status (dead for the dead-letter queue) and name
+// @access  Private/Admin
+router.get('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { error, value } = jobFilterSchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const { page, limit, ...filters } = value;
+  const result = await jobQueue.listJobs(filters, { page, limit });
+
+  res.json({
+    success: true,
+    data: { ...result, jobs: result.jobs.map(jobQueue.redactJob) }
+  });
+}));
+
+// @route   GET /api/v1/jobs/schedules
+// @desc    List recurring jobs and when each runs next
+// @access  Private/Admin
+router.get('/schedules', authenticate, adminOnly, (req, res) => {
+  res.json({
+    success: true,
+    data: jobQueue.listSchedules()
+  });
+});
+
+// @route   GET /api/v1/jobs/:id
+// @desc    Get a job with its data, result or last error
+// @access  Private/Admin
+router.get('/:id', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const job = await jobQueue.getJob(req.params.id);
+
+  res.json({
+    success: true,
+    data: jobQueue.redactJob(job)
+  });
+}));
+
+// @route   POST /api/v1/jobs/:id/retry
+// @desc    Put a dead or cancelled job back on the queue with fresh attempts
+// @access  Private/Admin
+router.post('/:id/retry', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const job = await jobQueue.retryJob(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Job queued for retry',
+    data: jobQueue.redactJob(job)
+  });
+}));
+
+// @route   POST /api/v1/jobs/:id/cancel
+// @desc    Cancel a waiting job so it never runs
+// @access  Private/Admin
+router.post('/:id/cancel', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const job = await jobQueue.cancelJob(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Job cancelled',
+    data: jobQueue.redactJob(job)
+  });
+}));
+
+module.exports = router;
@@ -1,13 +1,20 @@
 /**
  * Data Models Routes
- * Endpoints: CRUD operations for data models
+ * Endpoints: CRUD operations for data models, scoped to the records each user may access
  */
 
 const express = require('express');
 const router = express.Router();
-const { query } = require('../database');
-const { authenticate } = require('../middleware/auth');
+const { query, transaction } = require('../database');
+const { requirePermission, ownsResource } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
 const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/error');
+const ownership = require('../services/ownership');
+const trash = require('../services/trash');
+const audit = require('../services/audit');
+const webhooks = require('../services/webhooks');
+const workspaces = require('../services/workspaces');
+const createShareRoutes = require('./shares');
 const Joi = require('joi');
 
 // Validation Schemas
@@ -35,7 +42,7 @@ const addDataPointSchema = Joi.object({
 // @route   GET /api/v1/models
 // @desc    Get all data models
 // @access  Private
-router.get('/', authenticate, asyncHandler(async (req, res) => {
+router.get('/', requirePermission(PERMISSIONS.MODEL_READ), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 20, 100);
   const offset = (page - 1) * limit;
@@ -62,6 +69,11 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
+  const access = ownership.buildAccessFilters(req.user, 'model', { paramIndex });
+  filters.push(...access.filters);
+  values.push(...access.values);
+  paramIndex = access.paramIndex;
+
   const whereClause = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
 
   const countResult = await query(
@@ -97,10 +109,31 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+// @route   GET /api/v1/models/trash
+// @desc    Get deleted data models awaiting purge, most recently deleted first
+// @access  Private
+router.get('/trash', requirePermission(PERMISSIONS.MODEL_READ), asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const result = await trash.listTrash(req.user, 'model', { page, limit });
+
+  res.json({
+    success: true,
+    data: {
+      models: result.items.map(model => ({
+        ...model,
+        schema: typeof model.schema === 'string' ? JSON.parse(model.schema) : model.schema,
+        settings: typeof model.settings === 'string' ? JSON.parse(model.settings) : model.settings
+      })),
+      pagination: result.pagination
+    }
+  });
+}));
+
 // @route   GET /api/v1/models/:id
 // @desc    Get data model by ID
 // @access  Private
-router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+router.get('/:id', requirePermission(PERMISSIONS.MODEL_READ), ownsResource('model'), asyncHandler(async (req, res) => {
   const result = await query(
     `SELECT m.*, u.name as creator_name
      FROM data_models m
@@ -126,36 +159,51 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 // @route   POST /api/v1/models
 // @desc    Create new data model
 // @access  Private
-router.post('/', authenticate, asyncHandler(async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.MODEL_CREATE), asyncHandler(async (req, res) => {
   const { error, value } = createModelSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  // Check for duplicate name
+  // Check for duplicate name in the workspace, trash included
+  const workspaceId = workspaces.activeWorkspaceId(req.user);
   const existing = await query(
-    'SELECT id FROM data_models WHERE name = $1',
-    [value.name]
+    'SELECT id, deleted_at FROM data_models WHERE name = $1 AND workspace_id = $2',
+    [value.name, workspaceId]
   );
 
   if (existing.rows.length > 0) {
-    throw new ConflictError('A model with this name already exists');
+    throw new ConflictError(existing.rows[0].deleted_at
+      ? 'A model with this name is in the trash. Restore it instead'
+      : 'A model with this name already exists');
   }
 
-  const result = await query(
-    `INSERT INTO data_models (name, description, source, schema, settings, is_active, created_by, created_at, updated_at)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
-     RETURNING *`,
-    [
-      value.name,
-      value.description || null,
-      value.source,
-      JSON.stringify(value.schema),
-      value.settings ? JSON.stringify(value.settings) : '{}',
-      value.is_active !== undefined ? value.is_active : true,
-      req.user.id
-    ]
-  );
+  const result = await transaction(async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO data_models (name, description, source, schema, settings, is_active, created_by, workspace_id, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW())
+       RETURNING *`,
+      [
+        value.name,
+        value.description || null,
+        value.source,
+        JSON.stringify(value.schema),
+        value.settings ? JSON.stringify(value.settings) : '{}',
+        value.is_active !== undefined ? value.is_active : true,
+        req.user.id,
+        workspaceId
+      ]
+    );
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.CREATE,
+      resourceType: audit.RESOURCE_TYPES.DATA_MODEL,
+      resourceId: inserted.rows[0].id,
+      after: inserted.rows[0]
+    }, client);
+
+    return inserted;
+  });
 
   const model = result.rows[0];
   model.schema = typeof model.schema === 'string' ? JSON.parse(model.schema) : model.schema;
@@ -171,13 +219,13 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/models/:id
 // @desc    Update data model
 // @access  Private
-router.put('/:id', authenticate, asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.MODEL_UPDATE), ownsResource('model'), asyncHandler(async (req, res) => {
   const { error, value } = updateModelSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  const existing = await query('SELECT id FROM data_models WHERE id = $1', [req.params.id]);
+  const existing = await query('SELECT * FROM data_models WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Data Model');
   }
@@ -220,11 +268,23 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
   updates.push(`updated_at = NOW()`);
   values.push(req.params.id);
 
-  const result = await query(
-    `UPDATE data_models SET ${updates.join(', ')} WHERE id = $${paramIndex}
-     RETURNING *`,
-    values
-  );
+  const result = await transaction(async (client) => {
+    const updated = await client.query(
+      `UPDATE data_models SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING *`,
+      values
+    );
+
+    await audit.record(audit.actorFrom(req), {
+      action: audit.ACTIONS.UPDATE,
+      resourceType: audit.RESOURCE_TYPES.DATA_MODEL,
+      resourceId: req.params.id,
+      before: existing.rows[0],
+      after: updated.rows[0]
+    }, client);
+
+    return updated;
+  });
 
   const model = result.rows[0];
   model.schema = typeof model.schema === 'string' ? JSON.parse(model.schema) : model.schema;
@@ -238,28 +298,43 @@ router.put('/:id', authenticate, asyncHandler(async (req, res) => {
 }));
 
 // @route   DELETE /api/v1/models/:id
-// @desc    Delete data model
+// @desc    Delete data model (moves it to the trash)
 // @access  Private
-router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
-  const existing = await query('SELECT id FROM data_models WHERE id = $1', [req.params.id]);
+router.delete('/:id', requirePermission(PERMISSIONS.MODEL_DELETE), ownsResource('model'), asyncHandler(async (req, res) => {
+  const existing = await query('SELECT * FROM data_models WHERE id = $1', [req.params.id]);
   if (existing.rows.length === 0) {
     throw new NotFoundError('Data Model');
   }
 
-  // Delete associated data first
-  await query('DELETE FROM model_data WHERE model_id = $1', [req.params.id]);
-  await query('DELETE FROM data_models WHERE id = $1', [req.params.id]);
+  // Its data is kept until the model is purged
+  const trashed = await transaction(client => trash.moveToTrash(client, 'model', existing.rows[0], audit.actorFrom(req)));
 
   res.json({
     success: true,
-    message: 'Data model deleted successfully'
+    message: 'Data model moved to the trash',
+    data: { id: trashed.id, deleted_at: trashed.deleted_at, purge_at: trash.purgeDate(trashed.deleted_at) }
+  });
+}));
+
+// @route   POST /api/v1/models/:id/restore
+// @desc    Restore a data model from the trash
+// @access  Private
+router.post('/:id/restore', requirePermission(PERMISSIONS.MODEL_DELETE), asyncHandler(async (req, res) => {
+  const model = await trash.restore(req.user, 'model', req.params.id, audit.actorFrom(req));
+  model.schema = typeof model.schema === 'string' ? JSON.parse(model.schema) : model.schema;
+  model.settings = typeof model.settings === 'string' ? JSON.parse(model.settings) : model.settings;
+
+  res.json({
+    success: true,
+    message: 'Data model restored successfully',
+    data: model
   });
 }));
 
 // @route   GET /api/v1/models/:id/data
 // @desc    Get data points for a model
 // @access  Private
-router.get('/:id/data', authenticate, asyncHandler(async (req, res) => {
+router.get('/:id/data', requirePermission(PERMISSIONS.MODEL_READ), ownsResource('model'), asyncHandler(async (req, res) => {
   const page = parseInt(req.query.page) || 1;
   const limit = Math.min(parseInt(req.query.limit) || 50, 200);
   const offset = (page - 1) * limit;
@@ -303,13 +378,13 @@ router.get('/:id/data', authenticate, asyncHandler(async (req, res) => {
 // @route   POST /api/v1/models/:id/data
 // @desc    Add data point to model
 // @access  Private
-router.post('/:id/data', authenticate, asyncHandler(async (req, res) => {
+router.post('/:id/data', requirePermission(PERMISSIONS.MODEL_UPDATE), ownsResource('model'), asyncHandler(async (req, res) => {
   const { error, value } = addDataPointSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
   }
 
-  const model = await query('SELECT id, name, schema FROM data_models WHERE id = $1', [req.params.id]);
+  const model = await query('SELECT id, name, schema, workspace_id FROM data_models WHERE id = $1', [req.params.id]);
   if (model.rows.length === 0) {
     throw new NotFoundError('Data Model');
   }
@@ -330,6 +405,11 @@ router.post('/:id/data', authenticate, asyncHandler(async (req, res) => {
   const dataPoint = result.rows[0];
   dataPoint.data = typeof dataPoint.data === 'string' ? JSON.parse(dataPoint.data) : dataPoint.data;
 
+  await webhooks.emit(webhooks.EVENTS.MODEL_DATA_ADDED, {
+    workspaceId: model.rows[0].workspace_id,
+    data: { model: { id: model.rows[0].id, name: model.rows[0].name }, data_point: dataPoint }
+  });
+
   res.status(201).json({
     success: true,
     message: 'Data point added successfully',
@@ -340,7 +420,7 @@ router.post('/:id/data', authenticate, asyncHandler(async (req, res) => {
 // @route   DELETE /api/v1/models/:id/data/:dataId
 // @desc    Delete data point from model
 // @access  Private
-router.delete('/:id/data/:dataId', authenticate, asyncHandler(async (req, res) => {
+router.delete('/:id/data/:dataId', requirePermission(PERMISSIONS.MODEL_UPDATE), ownsResource('model'), asyncHandler(async (req, res) => {
   const result = await query(
     'DELETE FROM model_data WHERE id = $1 AND model_id = $2 RETURNING id',
     [req.params.dataId, req.params.id]
@@ -362,4 +442,7 @@ router.delete('/:id/data/:dataId', authenticate, asyncHandler(async (req, res) =
   });
 }));
 
+// Sharing with other users
+router.use('/:id/shares', createShareRoutes('model'));
+
 module.exports = router;
@@ -0,0 +1,171 @@
+/**
+ * Role Routes
+ * Endpoints: custom roles, their base roles and permission grants (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const roles = require('../services/roles');
+const Joi = require('joi');
+
+const roleName = Joi.string().min(2).max(50).pattern(/^[a-z][a-z0-9_]*$/)
+  .messages({ 'string.pattern.base': 'Role name may only contain lowercase letters, digits and underscores' });
+const permission = Joi.string().valid(...Object.values(PERMISSIONS));
+
+// Validation Schemas
+const createRoleSchema = Joi.object({
+  name: roleName.required(),
+  description: Joi.string().max(500).allow(null, '').optional(),
+  base_role: Joi.string().allow(null).optional(),
+  require_mfa: Joi.boolean().optional(),
+  permissions: Joi.array().items(permission).unique().default([])
+});
+
+const updateRoleSchema = Joi.object({
+  description: Joi.string().max(500).allow(null, '').optional(),
+  base_role: Joi.string().allow(null).optional(),
+  require_mfa: Joi.boolean().optional()
+}).min(1);
+
+const grantSchema = Joi.object({
+  granted: Joi.boolean().default(true)
+});
+
+function validatePermission(value) {
+  const { error } = permission.required().validate(value);
+  if (error) {
+    throw new ValidationError(`Unknown permission "${value}"`);
+  }
+}
+
+// @route   GET /api/v1/roles
+// @desc    List roles with their own grants and revokes and their effective permissions
+// @access  Private/Admin
+router.get('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const list = await roles.listRoles();
+
+  res.json({
+    success: true,
+    data: list
+  });
+}));
+
+// @route   GET /api/v1/roles/permissions
+// @desc    List every permission a role can be granted
+// @access  Private/Admin
+router.get('/permissions', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.values(PERMISSIONS)
+  });
+}));
+
+// @route   GET /api/v1/roles/:name
+// @desc    Get a role
+// @access  Private/Admin
+router.get('/:name', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const role = await roles.getRole(req.params.name);
+
+  res.json({
+    success: true,
+    data: role
+  });
+}));
+
+// @route   POST /api/v1/roles
+// @desc    Create a custom role, optionally inheriting from a base role
+// @access  Private/Admin
+router.post('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { error, value } = createRoleSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const inherited = value.base_role ? await roles.getRolePermissions(value.base_role) : [];
+  roles.assertCanGrant(req.user, [...inherited, ...value.permissions]);
+
+  const role = await roles.createRole(value, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Role created successfully',
+    data: role
+  });
+}));
+
+// @route   PUT /api/v1/roles/:name
+// @desc    Update a role's description and 2FA requirement, or a custom role's base role
+// @access  Private/Admin
+router.put('/:name', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { error, value } = updateRoleSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  if (value.base_role) {
+    roles.assertCanGrant(req.user, await roles.getRolePermissions(value.base_role));
+  }
+
+  const role = await roles.updateRole(req.params.name, value);
+
+  res.json({
+    success: true,
+    message: 'Role updated successfully',
+    data: role
+  });
+}));
+
+// @route   DELETE /api/v1/roles/:name
+// @desc    Delete a custom role no user holds and no role inherits from
+// @access  Private/Admin
+router.delete('/:name', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  await roles.deleteRole(req.params.name);
+
+  res.json({
+    success: true,
+    message: 'Role deleted successfully'
+  });
+}));
+
+// @route   PUT /api/v1/roles/:name/permissions/:permission
+// @desc    Grant a permission to a role, or revoke an inherited one with granted false
+// @access  Private/Admin
+router.put('/:name/permissions/:permission', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  validatePermission(req.params.permission);
+  const { error, value } = grantSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  if (value.granted) {
+    roles.assertCanGrant(req.user, [req.params.permission]);
+  }
+
+  const role = await roles.setRolePermission(req.params.name, req.params.permission, value.granted);
+
+  res.json({
+    success: true,
+    message: value.granted ? 'Permission granted' : 'Permission revoked',
+    data: role
+  });
+}));
+
+// @route   DELETE /api/v1/roles/:name/permissions/:permission
+// @desc    Remove a role's own grant or revoke, so it follows its base role again
+// @access  Private/Admin
+router.delete('/:name/permissions/:permission', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  validatePermission(req.params.permission);
+
+  const role = await roles.clearRolePermission(req.params.name, req.params.permission);
+
+  res.json({
+    success: true,
+    message: 'Permission reset to the inherited default',
+    data: role
+  });
+}));
+
+module.exports = router;
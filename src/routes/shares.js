@@ -0,0 +1,83 @@
+/**
+ * Record Share Routes
+ * Endpoints: share an influencer, campaign or data model with other users
+ * Mounted at /influencers/:id/shares, /campaigns/:id/shares and /models/:id/shares
+ */
+
+const express = require('express');
+const { requirePermission } = require('../middleware/permissions');
+const { PERMISSIONS } = require('../middleware/rbac');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const ownership = require('../services/ownership');
+const Joi = require('joi');
+
+// Seeing a record's shares needs read access; changing them needs update access
+const SHARE_PERMISSIONS = {
+  influencer: { read: PERMISSIONS.INFLUENCER_READ, update: PERMISSIONS.INFLUENCER_UPDATE },
+  campaign: { read: PERMISSIONS.CAMPAIGN_READ, update: PERMISSIONS.CAMPAIGN_UPDATE },
+  model: { read: PERMISSIONS.MODEL_READ, update: PERMISSIONS.MODEL_UPDATE }
+};
+
+// Validation Schemas
+const shareSchema = Joi.object({
+  user_id: Joi.string().uuid().required()
+});
+
+/**
+ * Build the share routes for one resource type
+ * @param {string} type - influencer, campaign or model
+ * @returns {express.Router}
+ */
+function createShareRoutes(type) {
+  const router = express.Router({ mergeParams: true });
+  const permissions = SHARE_PERMISSIONS[type];
+
+  // @route   GET /api/v1/{resource}/:id/shares
+  // @desc    List the users a record is shared with
+  // @access  Private (anyone who can access the record)
+  router.get('/', requirePermission(permissions.read), asyncHandler(async (req, res) => {
+    await ownership.findAccessible(req.user, type, req.params.id);
+    const shares = await ownership.listShares(type, req.params.id);
+
+    res.json({
+      success: true,
+      data: shares
+    });
+  }));
+
+  // @route   POST /api/v1/{resource}/:id/shares
+  // @desc    Share a record with another user
+  // @access  Private (owner, team moderator or admin)
+  router.post('/', requirePermission(permissions.update), asyncHandler(async (req, res) => {
+    const { error, value } = shareSchema.validate(req.body);
+    if (error) {
+      throw new ValidationError(error.details[0].message);
+    }
+
+    const record = await ownership.assertCanShare(req.user, type, req.params.id);
+    const share = await ownership.shareRecord(type, record, value.user_id, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shared successfully',
+      data: share
+    });
+  }));
+
+  // @route   DELETE /api/v1/{resource}/:id/shares/:userId
+  // @desc    Stop sharing a record with a user
+  // @access  Private (owner, team moderator or admin)
+  router.delete('/:userId', requirePermission(permissions.update), asyncHandler(async (req, res) => {
+    await ownership.assertCanShare(req.user, type, req.params.id);
+    await ownership.unshareRecord(type, req.params.id, req.params.userId);
+
+    res.json({
+      success: true,
+      message: 'Share removed successfully'
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createShareRoutes;
@@ -0,0 +1,82 @@
+/**
+ * Team Routes
+ * Endpoints: the teams moderators oversee (admin only)
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query } = require('../database');
+const { authenticate, adminOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError, NotFoundError, ConflictError } = require('../middleware/error');
+const Joi = require('joi');
+
+// Validation Schemas
+const teamSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required()
+});
+
+// @route   GET /api/v1/teams
+// @desc    List teams with their member counts
+// @access  Private/Admin
+router.get('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const result = await query(
+    `SELECT t.id, t.name, t.created_at, COUNT(u.id) as member_count
+     FROM teams t
+     LEFT JOIN users u ON u.team_id = t.id
+     GROUP BY t.id, t.name, t.created_at
+     ORDER BY t.name ASC`,
+    []
+  );
+
+  res.json({
+    success: true,
+    data: result.rows.map(team => ({ ...team, member_count: parseInt(team.member_count) }))
+  });
+}));
+
+// @route   POST /api/v1/teams
+// @desc    Create a team
+// @access  Private/Admin
+router.post('/', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { error, value } = teamSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const result = await query(
+    `INSERT INTO teams (name, created_by, created_at)
+     VALUES ($1, $2, NOW())
+     ON CONFLICT (name) DO NOTHING
+     RETURNING *`,
+    [value.name, req.user.id]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError('A team with this name already exists');
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Team created successfully',
+    data: result.rows[0]
+  });
+}));
+
+// @route   DELETE /api/v1/teams/:id
+// @desc    Delete a team; its members are left without a team
+// @access  Private/Admin
+router.delete('/:id', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const existing = await query('SELECT id FROM teams WHERE id = $1', [req.params.id]);
+  if (existing.rows.length === 0) {
+    throw new NotFoundError('Team');
+  }
+
+  await query('UPDATE users SET team_id = NULL WHERE team_id = $1', [req.params.id]);
+  await query('DELETE FROM teams WHERE id = $1', [req.params.id]);
+
+  res.json({
+    success: true,
+    message: 'Team deleted successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Two-Factor Authentication Routes
+ * Endpoints: 2FA status, enrollment, disabling and recovery codes for the
+ * current user
+ */
+
+const express = require('express');
+const router = express.Router();
+const { authenticate, allowPendingMfa, signedInOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const twoFactor = require('../services/twoFactor');
+const sessionService = require('../services/session');
+const Joi = require('joi');
+
+// Validation Schemas
+const codeSchema = Joi.object({
+  code: Joi.string().trim().required()
+});
+
+const factorSchema = Joi.object({
+  code: Joi.string().trim(),
+  recovery_code: Joi.string().trim()
+}).xor('code', 'recovery_code');
+
+// @route   GET /api/v1/auth/2fa
+// @desc    Get the user's 2FA status
+// @access  Private
+router.get('/', allowPendingMfa, authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const status = await twoFactor.getStatus(req.user.id);
+
+  res.json({
+    success: true,
+    data: status
+  });
+}));
+
+// @route   POST /api/v1/auth/2fa/setup
+// @desc    Start enrolling; returns the secret and the otpauth URI to show as a QR code
+// @access  Private
+router.post('/setup', allowPendingMfa, authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const setup = await twoFactor.beginSetup(req.user.id);
+
+  res.json({
+    success: true,
+    message: 'Scan the QR code with your authenticator app, then confirm with a code',
+    data: setup
+  });
+}));
+
+// @route   POST /api/v1/auth/2fa/enable
+// @desc    Confirm enrollment with a code; returns recovery codes once
+// @access  Private
+router.post('/enable', allowPendingMfa, authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const recoveryCodes = await twoFactor.enable(req.user.id, value.code);
+  await sessionService.markSessionMfa(req.sessionId, twoFactor.MFA_METHODS.TOTP);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+    data: { recovery_codes: recoveryCodes }
+  });
+}));
+
+// @route   POST /api/v1/auth/2fa/disable
+// @desc    Turn 2FA off with a code or a recovery code
+// @access  Private
+router.post('/disable', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = factorSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  await twoFactor.disable(req.user.id, value);
+
+  res.json({
+    success: true,
+    message: 'Two-factor authentication disabled'
+  });
+}));
+
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @desc    Replace the recovery codes; the old ones stop working
+// @access  Private
+router.post('/recovery-codes', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = codeSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user.id, value.code);
+
+  res.json({
+    success: true,
+    message: 'Recovery codes replaced',
+    data: { recovery_codes: recoveryCodes }
+  });
+}));
+
+module.exports = router;
@@ -7,9 +7,14 @@ const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
 const { query } = require('../database');
-const { authenticate, authorize, adminOnly } = require('../middleware/auth');
-const { asyncHandler, ValidationError, NotFoundError, AuthenticationError, ConflictError, AuthorizationError } = require('../middleware/error');
+const { authenticate, authorize, adminOnly, signedInOnly } = require('../middleware/auth');
+const { asyncHandler, ValidationError, NotFoundError, AuthenticationError, AuthorizationError } = require('../middleware/error');
 const config = require('../config');
+const { PERMISSIONS, ROLES, getUserPermissions } = require('../middleware/rbac');
+const roles = require('../services/roles');
+const loginProtection = require('../services/loginProtection');
+const emailVerification = require('../services/emailVerification');
+const audit = require('../services/audit');
 const Joi = require('joi');
 
 // Validation Schemas
@@ -24,6 +29,31 @@ const updatePasswordSchema = Joi.object({
   confirmNewPassword: Joi.string().valid(Joi.ref('newPassword')).required()
 });
 
+const assignTeamSchema = Joi.object({
+  team_id: Joi.string().uuid().allow(null).required()
+});
+
+const permissionOverrideSchema = Joi.object({
+  granted: Joi.boolean().default(true)
+});
+
+// Find a user whose permissions the current user may change
+async function findUserForPermissionChange(req) {
+  const { error } = Joi.string().valid(...Object.values(PERMISSIONS)).validate(req.params.permission);
+  if (error) {
+    throw new ValidationError(`Unknown permission "${req.params.permission}"`);
+  }
+
+  const targetUser = await query('SELECT id, role FROM users WHERE id = $1', [req.params.id]);
+  if (targetUser.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+  if (targetUser.rows[0].role === ROLES.SUPER_ADMIN && req.user.role !== ROLES.SUPER_ADMIN) {
+    throw new AuthorizationError('Cannot modify super_admin permissions');
+  }
+  return targetUser.rows[0];
+}
+
 // @route   GET /api/v1/users/profile
 // @desc    Get current user's profile
 // @access  Private
@@ -47,7 +77,7 @@ router.get('/profile', authenticate, asyncHandler(async (req, res) => {
 // @route   PUT /api/v1/users/profile
 // @desc    Update current user's profile
 // @access  Private
-router.put('/profile', authenticate, asyncHandler(async (req, res) => {
+router.put('/profile', authenticate, signedInOnly, asyncHandler(async (req, res) => {
   const { error, value } = updateProfileSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
@@ -63,20 +93,10 @@ router.put('/profile', authenticate, asyncHandler(async (req, res) => {
     paramIndex++;
   }
 
-  if (value.email) {
-    // Check if email is already taken
-    const existing = await query(
-      'SELECT id FROM users WHERE email = $1 AND id != $2',
-      [value.email.toLowerCase(), req.user.id]
-    );
-
-    if (existing.rows.length > 0) {
-      throw new ConflictError('Email already in use');
-    }
-
-    updates.push(`email = $${paramIndex}`);
-    values.push(value.email.toLowerCase());
-    paramIndex++;
+  // A new email address only replaces the old one once it is confirmed
+  let emailChange = null;
+  if (value.email && value.email.toLowerCase() !== req.user.email) {
+    emailChange = await emailVerification.requestEmailChange(req.user, value.email);
   }
 
   updates.push(`updated_at = NOW()`);
@@ -88,17 +108,30 @@ router.put('/profile', authenticate, asyncHandler(async (req, res) => {
     values
   );
 
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.user.id,
+    before: req.user,
+    after: result.rows[0]
+  });
+
   res.json({
     success: true,
-    message: 'Profile updated successfully',
-    data: result.rows[0]
+    message: emailChange
+      ? `Profile updated. Follow the link sent to ${emailChange.pendingEmail} to confirm your new email address`
+      : 'Profile updated successfully',
+    data: {
+      ...result.rows[0],
+      pending_email: emailChange ? emailChange.pendingEmail : null
+    }
   });
 }));
 
 // @route   PUT /api/v1/users/password
 // @desc    Update password
 // @access  Private
-router.put('/password', authenticate, asyncHandler(async (req, res) => {
+router.put('/password', authenticate, signedInOnly, asyncHandler(async (req, res) => {
   const { error, value } = updatePasswordSchema.validate(req.body);
   if (error) {
     throw new ValidationError(error.details[0].message);
@@ -134,6 +167,14 @@ router.put('/password', authenticate, asyncHandler(async (req, res) => {
     [hashedPassword, req.user.id]
   );
 
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.user.id,
+    before: { password: user.password },
+    after: { password: hashedPassword }
+  });
+
   res.json({
     success: true,
     message: 'Password updated successfully'
@@ -143,13 +184,21 @@ router.put('/password', authenticate, asyncHandler(async (req, res) => {
 // @route   DELETE /api/v1/users/account
 // @desc    Delete current user's account
 // @access  Private
-router.delete('/account', authenticate, asyncHandler(async (req, res) => {
+router.delete('/account', authenticate, signedInOnly, asyncHandler(async (req, res) => {
   // Soft delete - just mark as inactive
   await query(
     'UPDATE users SET status = $1, updated_at = NOW() WHERE id = $2',
     ['deleted', req.user.id]
   );
 
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.user.id,
+    before: req.user,
+    after: { ...req.user, status: 'deleted' }
+  });
+
   res.json({
     success: true,
     message: 'Account deleted successfully'
@@ -230,14 +279,17 @@ router.get('/:id', authenticate, adminOnly, asyncHandler(async (req, res) => {
 // @access  Private (Admin)
 router.put('/:id/role', authenticate, adminOnly, asyncHandler(async (req, res) => {
   const { role } = req.body;
-  const validRoles = ['user', 'moderator', 'admin'];
+  const validRoles = (await roles.listRoles())
+    .map(r => r.name)
+    .filter(name => name !== ROLES.SUPER_ADMIN);
   
   if (!validRoles.includes(role)) {
     throw new ValidationError(`Role must be one of: ${validRoles.join(', ')}`);
   }
+  roles.assertCanGrant(req.user, await roles.getRolePermissions(role));
   
   // Prevent changing super_admin role (only super_admin can do this)
-  const targetUser = await query('SELECT role FROM users WHERE id = $1', [req.params.id]);
+  const targetUser = await query('SELECT id, role FROM users WHERE id = $1', [req.params.id]);
   if (targetUser.rows.length === 0) {
     throw new NotFoundError('User');
   }
@@ -252,6 +304,14 @@ router.put('/:id/role', authenticate, adminOnly, asyncHandler(async (req, res) =
     [role, req.params.id]
   );
 
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.params.id,
+    before: targetUser.rows[0],
+    after: result.rows[0]
+  });
+
   res.json({
     success: true,
     message: 'User role updated successfully',
@@ -260,18 +320,18 @@ router.put('/:id/role', authenticate, adminOnly, asyncHandler(async (req, res) =
 }));
 
 // @route   PUT /api/v1/users/:id/status
-// @desc    Update user status (admin only)
+// @desc    Update user status (admin only); activating a pending user verifies their email
 // @access  Private (Admin)
 router.put('/:id/status', authenticate, adminOnly, asyncHandler(async (req, res) => {
   const { status } = req.body;
-  const validStatuses = ['active', 'inactive', 'suspended', 'pending'];
+  const validStatuses = ['active', 'inactive', 'suspended', 'pending', emailVerification.PENDING_VERIFICATION];
   
   if (!validStatuses.includes(status)) {
     throw new ValidationError(`Status must be one of: ${validStatuses.join(', ')}`);
   }
   
   // Prevent modifying super_admin status
-  const targetUser = await query('SELECT role FROM users WHERE id = $1', [req.params.id]);
+  const targetUser = await query('SELECT role, status, email_verified_at FROM users WHERE id = $1', [req.params.id]);
   if (targetUser.rows.length === 0) {
     throw new NotFoundError('User');
   }
@@ -280,12 +340,27 @@ router.put('/:id/status', authenticate, adminOnly, asyncHandler(async (req, res)
     throw new AuthorizationError('Cannot modify super_admin status');
   }
   
+  // Admin override for users who never followed their verification link
+  const { status: currentStatus, email_verified_at: verifiedAt } = targetUser.rows[0];
+  if (status === 'active' && currentStatus === emailVerification.PENDING_VERIFICATION && !verifiedAt) {
+    await query('UPDATE users SET email_verified_at = NOW() WHERE id = $1', [req.params.id]);
+    await query('DELETE FROM email_verification_tokens WHERE user_id = $1', [req.params.id]);
+  }
+  
   const result = await query(
     `UPDATE users SET status = $1, updated_at = NOW() WHERE id = $2
-     RETURNING id, name, email, role, status, created_at, updated_at`,
+     RETURNING id, name, email, role, status, email_verified_at, created_at, updated_at`,
     [status, req.params.id]
   );
 
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.params.id,
+    before: targetUser.rows[0],
+    after: result.rows[0]
+  });
+
   res.json({
     success: true,
     message: 'User status updated successfully',
@@ -293,8 +368,92 @@ router.put('/:id/status', authenticate, adminOnly, asyncHandler(async (req, res)
   });
 }));
 
+// @route   GET /api/v1/users/:id/login-attempts
+// @desc    Get a user's lockout state and recent login and password reset attempts (admin only)
+// @access  Private (Admin)
+router.get('/:id/login-attempts', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const target = await query('SELECT email FROM users WHERE id = $1', [req.params.id]);
+  if (target.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+
+  const { page = 1, limit = 20 } = req.query;
+  const attempts = await loginProtection.listAttempts(req.params.id, {
+    page: parseInt(page),
+    limit: Math.min(parseInt(limit), 100)
+  });
+
+  res.json({
+    success: true,
+    data: {
+      lockout: await loginProtection.getAccountStatus(target.rows[0].email),
+      ...attempts
+    }
+  });
+}));
+
+// @route   POST /api/v1/users/:id/unlock
+// @desc    Lift a user's login lockout and clear their failed attempts (admin only)
+// @access  Private (Admin)
+router.post('/:id/unlock', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const target = await query('SELECT email FROM users WHERE id = $1', [req.params.id]);
+  if (target.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+
+  await loginProtection.unlockAccount(target.rows[0].email);
+
+  res.json({
+    success: true,
+    message: 'User unlocked successfully',
+    data: await loginProtection.getAccountStatus(target.rows[0].email)
+  });
+}));
+
+// @route   PUT /api/v1/users/:id/team
+// @desc    Assign a user to a team, or remove them with team_id null (admin only)
+// @access  Private (Admin)
+router.put('/:id/team', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { error, value } = assignTeamSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const targetUser = await query('SELECT id, team_id FROM users WHERE id = $1', [req.params.id]);
+  if (targetUser.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+
+  if (value.team_id) {
+    const team = await query('SELECT id FROM teams WHERE id = $1', [value.team_id]);
+    if (team.rows.length === 0) {
+      throw new NotFoundError('Team');
+    }
+  }
+
+  const result = await query(
+    `UPDATE users SET team_id = $1, updated_at = NOW() WHERE id = $2
+     RETURNING id, name, email, role, status, team_id, created_at, updated_at`,
+    [value.team_id, req.params.id]
+  );
+
+  await audit.record(audit.actorFrom(req), {
+    action: audit.ACTIONS.UPDATE,
+    resourceType: audit.RESOURCE_TYPES.USER,
+    resourceId: req.params.id,
+    before: targetUser.rows[0],
+    after: result.rows[0]
+  });
+
+  res.json({
+    success: true,
+    message: value.team_id ? 'User assigned to team successfully' : 'User removed from team successfully',
+    data: result.rows[0]
+  });
+}));
+
 // @route   GET /api/v1/users/:id/permissions
-// @desc    Get user permissions (admin or self)
+// @desc    Get a user's effective permissions and overrides (admin or self)
 // @access  Private
 router.get('/:id/permissions', authenticate, asyncHandler(async (req, res) => {
   // Users can view their own permissions, admins can view any
@@ -302,33 +461,88 @@ router.get('/:id/permissions', authenticate, asyncHandler(async (req, res) => {
     throw new AuthorizationError('Access denied');
   }
   
-  const rbac = require('../middleware/rbac');
-  const permissions = rbac.getRolePermissions(req.user.role);
+  const result = await query('SELECT id, role FROM users WHERE id = $1', [req.params.id]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+  
+  const user = await roles.loadUserPermissions(result.rows[0]);
   
   res.json({
     success: true,
     data: {
-      userId: req.params.id,
-      role: req.user.role,
-      permissions
+      userId: user.id,
+      role: user.role,
+      permissions: getUserPermissions(user),
+      overrides: user.permission_overrides
     }
   });
 }));
 
+// @route   PUT /api/v1/users/:id/permissions/:permission
+// @desc    Grant a user a permission, or revoke one their role gives them with granted false (admin only)
+// @access  Private (Admin)
+router.put('/:id/permissions/:permission', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const targetUser = await findUserForPermissionChange(req);
+
+  const { error, value } = permissionOverrideSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  if (value.granted) {
+    roles.assertCanGrant(req.user, [req.params.permission]);
+  }
+
+  await roles.setUserPermission(targetUser.id, req.params.permission, value.granted, req.user.id);
+  const overrides = await roles.getUserOverrides(targetUser.id);
+
+  res.json({
+    success: true,
+    message: value.granted ? 'Permission granted' : 'Permission revoked',
+    data: { userId: targetUser.id, granted: overrides.granted, revoked: overrides.revoked }
+  });
+}));
+
+// @route   DELETE /api/v1/users/:id/permissions/:permission
+// @desc    Remove a user's permission override, so their role decides again (admin only)
+// @access  Private (Admin)
+router.delete('/:id/permissions/:permission', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const targetUser = await findUserForPermissionChange(req);
+
+  await roles.clearUserPermission(targetUser.id, req.params.permission);
+
+  res.json({
+    success: true,
+    message: 'Permission override removed'
+  });
+}));
+
 // @route   GET /api/v1/users/roles
-// @desc    Get all available roles (admin only)
+// @desc    Get all roles with their permissions (admin only)
 // @access  Private (Admin)
 router.get('/roles/list', authenticate, adminOnly, asyncHandler(async (req, res) => {
-  const rbac = require('../middleware/rbac');
-  
-  const roles = Object.values(rbac.ROLES).map(role => ({
-    name: role,
-    permissions: rbac.getRolePermissions(role)
-  }));
+  const list = await roles.listRoles();
   
   res.json({
     success: true,
-    data: roles
+    data: list.map(role => ({
+      name: role.name,
+      base_role: role.base_role,
+      is_system: role.is_system,
+      permissions: role.permissions
+    }))
+  });
+}));
+
+// @route   GET /api/v1/users/roles/routes
+// @desc    List the permission each API route requires and the roles that hold it (admin only)
+// @access  Private (Admin)
+router.get('/roles/routes', authenticate, adminOnly, asyncHandler(async (req, res) => {
+  const { listRoutePermissions } = require('../middleware/routePermissions');
+
+  res.json({
+    success: true,
+    data: listRoutePermissions(await roles.getPermissionMap())
   });
 }));
 
@@ -0,0 +1,177 @@
+/**
+ * Webhook Routes
+ * Endpoints: a workspace's webhook subscriptions, their delivery logs and
+ * redelivery (workspace admins). Mounted under /workspaces/:id/webhooks.
+ */
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { authenticate, signedInOnly } = require('../middleware/auth');
+const { WORKSPACE_ROLES } = require('../middleware/rbac');
+const { asyncHandler, ValidationError } = require('../middleware/error');
+const workspaces = require('../services/workspaces');
+const webhooks = require('../services/webhooks');
+const Joi = require('joi');
+
+// Validation Schemas
+const EVENT_NAMES = [...Object.values(webhooks.EVENTS), webhooks.ALL_EVENTS];
+
+const webhookFields = {
+  url: Joi.string().uri({ scheme: ['http', 'https'] }).max(2000),
+  events: Joi.array().items(Joi.string().valid(...EVENT_NAMES)).min(1).unique(),
+  description: Joi.string().max(255).allow('', null),
+  is_active: Joi.boolean()
+};
+
+const createWebhookSchema = Joi.object({
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required(),
+  secret: Joi.string().min(16).max(100).optional()
+});
+
+const updateWebhookSchema = Joi.object(webhookFields).min(1);
+
+const deliveryFilterSchema = Joi.object({
+  status: Joi.string().valid(...Object.values(webhooks.DELIVERY_STATUS)),
+  event: Joi.string().valid(...Object.values(webhooks.EVENTS)),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Every webhook endpoint is for admins of the workspace in the path
+const workspaceAdmin = asyncHandler(async (req, res, next) => {
+  req.workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+  next();
+});
+
+// @route   GET /api/v1/workspaces/:id/webhooks/events
+// @desc    List the events webhooks can subscribe to
+// @access  Private (workspace admins)
+router.get('/events', authenticate, signedInOnly, workspaceAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: Object.values(webhooks.EVENTS)
+  });
+});
+
+// @route   GET /api/v1/workspaces/:id/webhooks
+// @desc    List the workspace's webhooks
+// @access  Private (workspace admins)
+router.get('/', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const subscriptions = await webhooks.listSubscriptions(req.workspace.id);
+
+  res.json({
+    success: true,
+    data: subscriptions
+  });
+}));
+
+// @route   POST /api/v1/workspaces/:id/webhooks
+// @desc    Subscribe a URL to events; the signing secret is only shown in this response
+// @access  Private (workspace admins)
+router.post('/', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const { error, value } = createWebhookSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const { subscription, secret } = await webhooks.createSubscription(req.workspace.id, value, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook created. Copy the secret now, it will not be shown again',
+    data: { ...subscription, secret }
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id/webhooks/:webhookId
+// @desc    Get a webhook
+// @access  Private (workspace admins)
+router.get('/:webhookId', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const subscription = await webhooks.getSubscription(req.workspace.id, req.params.webhookId);
+
+  res.json({
+    success: true,
+    data: subscription
+  });
+}));
+
+// @route   PUT /api/v1/workspaces/:id/webhooks/:webhookId
+// @desc    Change a webhook's URL, events or description, or pause it
+// @access  Private (workspace admins)
+router.put('/:webhookId', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const { error, value } = updateWebhookSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const subscription = await webhooks.updateSubscription(req.workspace.id, req.params.webhookId, value);
+
+  res.json({
+    success: true,
+    message: 'Webhook updated successfully',
+    data: subscription
+  });
+}));
+
+// @route   DELETE /api/v1/workspaces/:id/webhooks/:webhookId
+// @desc    Delete a webhook and its delivery log
+// @access  Private (workspace admins)
+router.delete('/:webhookId', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  await webhooks.deleteSubscription(req.workspace.id, req.params.webhookId);
+
+  res.json({
+    success: true,
+    message: 'Webhook deleted successfully'
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id/webhooks/:webhookId/deliveries
+// @desc    List a webhook's deliveries, newest first, with the outcome of their last attempt
+// @access  Private (workspace admins)
+router.get('/:webhookId/deliveries', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const { error, value } = deliveryFilterSchema.validate(req.query);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const subscription = await webhooks.getSubscription(req.workspace.id, req.params.webhookId);
+  const result = await webhooks.listDeliveries(subscription.id, value);
+
+  res.json({
+    success: true,
+    data: result
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id/webhooks/:webhookId/deliveries/:deliveryId
+// @desc    Get a delivery with its payload and the receiver's last response
+// @access  Private (workspace admins)
+router.get('/:webhookId/deliveries/:deliveryId', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const subscription = await webhooks.getSubscription(req.workspace.id, req.params.webhookId);
+  const delivery = await webhooks.getDelivery(subscription.id, req.params.deliveryId);
+
+  res.json({
+    success: true,
+    data: delivery
+  });
+}));
+
+// @route   POST /api/v1/workspaces/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// @desc    Send a delivery's payload again and return the outcome
+// @access  Private (workspace admins)
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', authenticate, signedInOnly, workspaceAdmin, asyncHandler(async (req, res) => {
+  const subscription = await webhooks.getSubscription(req.workspace.id, req.params.webhookId);
+  const delivery = await webhooks.redeliver(subscription.id, req.params.deliveryId);
+
+  res.status(201).json({
+    success: true,
+    message: delivery.status === webhooks.DELIVERY_STATUS.SUCCEEDED
+      ? 'Delivery sent successfully'
+      : 'Delivery failed, it will be retried',
+    data: delivery
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,284 @@
+/**
+ * Workspace Routes
+ * Endpoints: workspaces, their members and invitations, and switching the
+ * active workspace
+ */
+
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../database');
+const { authenticate, signedInOnly, generateToken } = require('../middleware/auth');
+const { WORKSPACE_ROLES } = require('../middleware/rbac');
+const { asyncHandler, ValidationError, AuthorizationError } = require('../middleware/error');
+const workspaces = require('../services/workspaces');
+const sessionService = require('../services/session');
+const Joi = require('joi');
+
+// Validation Schemas
+const workspaceSchema = Joi.object({
+  name: Joi.string().min(2).max(100).required()
+});
+
+const addMemberSchema = Joi.object({
+  user_id: Joi.string().uuid().required(),
+  role: Joi.string().valid(...Object.values(WORKSPACE_ROLES)).default(WORKSPACE_ROLES.MEMBER)
+});
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid(...Object.values(WORKSPACE_ROLES)).required()
+});
+
+const invitationSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid(...Object.values(WORKSPACE_ROLES)).default(WORKSPACE_ROLES.MEMBER)
+});
+
+const acceptInvitationSchema = Joi.object({
+  token: Joi.string().required()
+});
+
+// @route   GET /api/v1/workspaces
+// @desc    List the workspaces the user belongs to, marking the active one
+// @access  Private
+router.get('/', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const list = await workspaces.listWorkspaces(req.user.id);
+
+  res.json({
+    success: true,
+    data: list.map(workspace => ({ ...workspace, active: workspace.id === req.user.workspace_id }))
+  });
+}));
+
+// @route   POST /api/v1/workspaces
+// @desc    Create a workspace owned by the user
+// @access  Private
+router.post('/', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = workspaceSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const workspace = await transaction(client => workspaces.createWorkspace(client, {
+    name: value.name,
+    userId: req.user.id
+  }));
+
+  res.status(201).json({
+    success: true,
+    message: 'Workspace created successfully',
+    data: workspace
+  });
+}));
+
+// @route   POST /api/v1/workspaces/invitations/accept
+// @desc    Accept an invitation sent to the user's email
+// @access  Private
+router.post('/invitations/accept', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const { error, value } = acceptInvitationSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const workspace = await workspaces.acceptInvitation(value.token, req.user);
+
+  res.json({
+    success: true,
+    message: `You joined ${workspace.name}`,
+    data: workspace
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id
+// @desc    Get a workspace with its members
+// @access  Private (members)
+router.get('/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.getWorkspace(req.user, req.params.id);
+  const members = await workspaces.listMembers(workspace.id);
+
+  res.json({
+    success: true,
+    data: { ...workspace, members }
+  });
+}));
+
+// @route   PUT /api/v1/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (workspace admins)
+router.put('/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  const { error, value } = workspaceSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const updated = await workspaces.updateWorkspace(workspace.id, value);
+
+  res.json({
+    success: true,
+    message: 'Workspace updated successfully',
+    data: { ...updated, role: workspace.role }
+  });
+}));
+
+// @route   DELETE /api/v1/workspaces/:id
+// @desc    Delete a workspace with all of its influencers, campaigns and models
+// @access  Private (workspace owners)
+router.delete('/:id', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.OWNER);
+
+  await workspaces.deleteWorkspace(workspace.id);
+
+  res.json({
+    success: true,
+    message: 'Workspace deleted successfully'
+  });
+}));
+
+// @route   POST /api/v1/workspaces/:id/switch
+// @desc    Make a workspace the active one, returning a token that carries it
+// @access  Private (members)
+router.post('/:id/switch', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  if (!req.sessionId) {
+    throw new AuthorizationError('API keys choose a workspace with the X-Workspace-Id header');
+  }
+
+  const workspace = await workspaces.getWorkspace(req.user, req.params.id);
+
+  // Refreshed tokens stay in the workspace the session switched to
+  await sessionService.setSessionWorkspace(req.sessionId, workspace.id);
+
+  res.json({
+    success: true,
+    message: `Switched to ${workspace.name}`,
+    data: {
+      workspace,
+      token: generateToken(req.user, { sessionId: req.sessionId, workspaceId: workspace.id })
+    }
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id/members
+// @desc    List workspace members and their roles
+// @access  Private (members)
+router.get('/:id/members', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.getWorkspace(req.user, req.params.id);
+  const members = await workspaces.listMembers(workspace.id);
+
+  res.json({
+    success: true,
+    data: members
+  });
+}));
+
+// @route   POST /api/v1/workspaces/:id/members
+// @desc    Add an existing user to a workspace
+// @access  Private (workspace admins)
+router.post('/:id/members', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  const { error, value } = addMemberSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  workspaces.assertCanAssignRole(req.user, workspace, value.role);
+
+  const member = await workspaces.addMember({ query }, workspace.id, value.user_id, value.role);
+
+  res.status(201).json({
+    success: true,
+    message: 'Member added successfully',
+    data: member
+  });
+}));
+
+// @route   PUT /api/v1/workspaces/:id/members/:userId
+// @desc    Change a member's workspace role
+// @access  Private (workspace admins; only owners grant or revoke ownership)
+router.put('/:id/members/:userId', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  const { error, value } = memberRoleSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+
+  const member = await workspaces.changeMemberRole(req.user, workspace, req.params.userId, value.role);
+
+  res.json({
+    success: true,
+    message: 'Member role updated successfully',
+    data: member
+  });
+}));
+
+// @route   DELETE /api/v1/workspaces/:id/members/:userId
+// @desc    Remove a member, or leave the workspace when removing yourself
+// @access  Private (workspace admins, or the member themselves)
+router.delete('/:id/members/:userId', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const leaving = req.params.userId === req.user.id;
+  const workspace = leaving
+    ? await workspaces.getWorkspace(req.user, req.params.id)
+    : await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  await workspaces.removeMember(req.user, workspace, req.params.userId);
+
+  res.json({
+    success: true,
+    message: leaving ? 'You left the workspace' : 'Member removed successfully'
+  });
+}));
+
+// @route   GET /api/v1/workspaces/:id/invitations
+// @desc    List open invitations
+// @access  Private (workspace admins)
+router.get('/:id/invitations', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+  const invitations = await workspaces.listInvitations(workspace.id);
+
+  res.json({
+    success: true,
+    data: invitations
+  });
+}));
+
+// @route   POST /api/v1/workspaces/:id/invitations
+// @desc    Invite someone by email to join the workspace
+// @access  Private (workspace admins)
+router.post('/:id/invitations', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  const { error, value } = invitationSchema.validate(req.body);
+  if (error) {
+    throw new ValidationError(error.details[0].message);
+  }
+  workspaces.assertCanAssignRole(req.user, workspace, value.role);
+
+  const invitation = await workspaces.createInvitation(workspace.id, {
+    email: value.email,
+    role: value.role,
+    invitedBy: req.user.id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Invitation sent',
+    data: invitation
+  });
+}));
+
+// @route   DELETE /api/v1/workspaces/:id/invitations/:invitationId
+// @desc    Withdraw an open invitation
+// @access  Private (workspace admins)
+router.delete('/:id/invitations/:invitationId', authenticate, signedInOnly, asyncHandler(async (req, res) => {
+  const workspace = await workspaces.assertWorkspaceRole(req.user, req.params.id, WORKSPACE_ROLES.ADMIN);
+
+  await workspaces.revokeInvitation(workspace.id, req.params.invitationId);
+
+  res.json({
+    success: true,
+    message: 'Invitation revoked successfully'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,145 @@
+/**
+ * API Key Service
+ * Personal API keys let integrations call the API without logging in as a
+ * person. Only a hash of each key is stored; the key itself is shown once,
+ * when it is created. A key carries its owner's permissions, limited to the
+ * scopes it was created with.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../database');
+const config = require('../config');
+const { NotFoundError, ConflictError, AuthenticationError } = require('../middleware/error');
+
+// Request header that carries an API key
+const API_KEY_HEADER = 'x-api-key';
+
+// Marks a string as one of our keys, so leaked keys are easy to spot
+const KEY_PREFIX = 'ifk_';
+
+const KEY_FIELDS = `id, user_id, name, key_prefix, scopes, workspace_id, expires_at,
+  last_used_at, last_used_ip, revoked_at, created_at`;
+
+/**
+ * Generate a new raw API key
+ */
+function generateKey() {
+  return KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash an API key for secure storage
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Create an API key for a user
+ * @param {string} userId - Owner
+ * @param {object} data - { name, scopes, expires_in_days, workspace_id }
+ * @returns {Promise<object>} { apiKey, key } - the stored key and the raw key to show once
+ */
+async function createApiKey(userId, { name, scopes, expires_in_days, workspace_id = null }) {
+  const active = await query(
+    'SELECT COUNT(*) as count FROM api_keys WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()',
+    [userId]
+  );
+  if (parseInt(active.rows[0].count) >= config.apiKeys.max_per_user) {
+    throw new ConflictError(`You can have at most ${config.apiKeys.max_per_user} active API keys`);
+  }
+
+  const key = generateKey();
+  const expiresInDays = expires_in_days || config.apiKeys.default_expires_in_days;
+  const expiresAt = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+
+  const result = await query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, workspace_id, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+     RETURNING ${KEY_FIELDS}`,
+    [userId, name, key.slice(0, 12), hashKey(key), JSON.stringify(scopes), workspace_id, expiresAt]
+  );
+
+  return { apiKey: result.rows[0], key };
+}
+
+/**
+ * A user's API keys, newest first
+ */
+async function listApiKeys(userId) {
+  const result = await query(
+    `SELECT ${KEY_FIELDS} FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * One of a user's API keys
+ */
+async function getApiKey(userId, keyId) {
+  const result = await query(
+    `SELECT ${KEY_FIELDS} FROM api_keys WHERE id = $1 AND user_id = $2`,
+    [keyId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('API key');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Revoke one of a user's API keys; it stops working straight away
+ */
+async function revokeApiKey(userId, keyId) {
+  const apiKey = await getApiKey(userId, keyId);
+  if (apiKey.revoked_at) {
+    throw new ConflictError('API key is already revoked');
+  }
+
+  const result = await query(
+    `UPDATE api_keys SET revoked_at = NOW() WHERE id = $1 RETURNING ${KEY_FIELDS}`,
+    [keyId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Look up the key sent with a request and record its use
+ * @param {string} key - Raw key from the X-API-Key header
+ * @param {string} [ip] - Client IP address
+ * @returns {Promise<object>} The stored key
+ */
+async function verifyApiKey(key, ip = null) {
+  const result = await query(
+    `SELECT ${KEY_FIELDS} FROM api_keys WHERE key_hash = $1`,
+    [hashKey(key)]
+  );
+  if (result.rows.length === 0) {
+    throw new AuthenticationError('Invalid API key');
+  }
+
+  const apiKey = result.rows[0];
+  if (apiKey.revoked_at) {
+    throw new AuthenticationError('API key has been revoked');
+  }
+  if (new Date(apiKey.expires_at) <= new Date()) {
+    throw new AuthenticationError('API key has expired');
+  }
+
+  await query(
+    'UPDATE api_keys SET last_used_at = NOW(), last_used_ip = $1 WHERE id = $2',
+    [ip, apiKey.id]
+  );
+
+  return apiKey;
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  verifyApiKey
+};
@@ -0,0 +1,231 @@
+/**
+ * Audit Service
+ * Records who created, changed or deleted users, influencers, campaigns,
+ * campaign influencers and data models (and restored or purged them from
+ * the trash), from which IP address, and the fields that changed with their
+ * values before and after.
+ *
+ * Entries are recorded after each write, inside the same transaction when
+ * it uses one, so a rolled back write leaves no entry behind.
+ */
+
+const { query, streamQuery } = require('../database');
+const { formatCsvRow } = require('../utils/csv');
+const { writeChunk } = require('../utils/stream');
+
+const ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge'
+};
+
+const RESOURCE_TYPES = {
+  USER: 'user',
+  INFLUENCER: 'influencer',
+  CAMPAIGN: 'campaign',
+  CAMPAIGN_INFLUENCER: 'campaign_influencer',
+  DATA_MODEL: 'data_model'
+};
+
+// Bookkeeping columns every write touches
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+// Secrets are never written to the log; a change to one shows as redacted
+const REDACTED_FIELDS = ['password', 'totp_secret', 'totp_last_step'];
+const REDACTED = '[REDACTED]';
+
+const CSV_COLUMNS = [
+  'created_at', 'action', 'resource_type', 'resource_id', 'workspace_id',
+  'actor_id', 'actor_email', 'api_key_id', 'ip_address', 'user_agent', 'changes'
+];
+
+const EXPORT_BATCH_SIZE = 500;
+
+// Actor for changes the app makes on its own, such as scheduled jobs
+const SYSTEM_ACTOR = Object.freeze({ userId: null, apiKeyId: null, ip: null, userAgent: null });
+
+/**
+ * Who is making a request, for the entries it records
+ * @param {object} req - Express request
+ * @returns {object} { userId, apiKeyId, ip, userAgent }
+ */
+function actorFrom(req) {
+  return {
+    userId: req.user ? req.user.id : null,
+    apiKeyId: req.apiKey ? req.apiKey.id : null,
+    ip: req.ip || null,
+    userAgent: req.get('user-agent') || null
+  };
+}
+
+// Compare values as stored, so a Date and its JSON string match
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+/**
+ * Fields that differ between two versions of a record
+ * A create has no before and a delete no after; every field they hold counts.
+ * Otherwise only fields both versions hold are compared, so either may be a
+ * partial row.
+ * @param {object|null} before - Record before the write
+ * @param {object|null} after - Record after the write
+ * @returns {object} { field: { before, after } }
+ */
+function diff(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = before ? before[field] : undefined;
+    const to = after ? after[field] : undefined;
+    if (before && after && (!(field in before) || !(field in after) || sameValue(from, to))) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: before ? REDACTED : null, after: after ? REDACTED : null }
+      : { before: from === undefined ? null : from, after: to === undefined ? null : to };
+  }
+  return changes;
+}
+
+/**
+ * Record a change. Updates that changed nothing are skipped.
+ * @param {object} actor - From actorFrom
+ * @param {object} entry - { action, resourceType, resourceId, before, after }
+ * @param {object} db - Query runner, so the entry joins the write's transaction
+ * @returns {Promise<object|null>} The entry, or null when nothing changed
+ */
+async function record(actor, { action, resourceType, resourceId, before = null, after = null }, db = { query }) {
+  const changes = diff(action === ACTIONS.CREATE ? null : before, action === ACTIONS.DELETE ? null : after);
+  if (action === ACTIONS.UPDATE && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  const workspaceId = (after && after.workspace_id) || (before && before.workspace_id) || null;
+  const result = await db.query(
+    `INSERT INTO audit_logs (action, resource_type, resource_id, workspace_id, actor_id, api_key_id,
+                             ip_address, user_agent, changes, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     RETURNING *`,
+    [
+      action,
+      resourceType,
+      resourceId,
+      workspaceId,
+      actor.userId,
+      actor.apiKeyId,
+      actor.ip,
+      actor.userAgent,
+      JSON.stringify(changes)
+    ]
+  );
+  return result.rows[0];
+}
+
+// WHERE clause for the list and export filters
+function buildFilters({ resource_type, resource_id, actor_id, action, from, to }) {
+  const filters = [];
+  const values = [];
+
+  const add = (sql, value) => {
+    values.push(value);
+    filters.push(sql.replace('?', `$${values.length}`));
+  };
+
+  if (resource_type) add('a.resource_type = ?', resource_type);
+  if (resource_id) add('a.resource_id = ?', resource_id);
+  if (actor_id) add('a.actor_id = ?', actor_id);
+  if (action) add('a.action = ?', action);
+  if (from) add('a.created_at >= ?', from);
+  if (to) add('a.created_at <= ?', to);
+
+  return {
+    where: filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '',
+    values
+  };
+}
+
+const ENTRY_COLUMNS = `a.id, a.action, a.resource_type, a.resource_id, a.workspace_id, a.actor_id,
+       u.email as actor_email, u.name as actor_name, a.api_key_id, a.ip_address, a.user_agent,
+       a.changes, a.created_at`;
+
+function formatEntry(entry) {
+  return {
+    ...entry,
+    changes: typeof entry.changes === 'string' ? JSON.parse(entry.changes) : entry.changes
+  };
+}
+
+/**
+ * Audit entries matching the filters, newest first
+ * @param {object} filters - resource_type, resource_id, actor_id, action, from, to
+ * @param {object} options - { page, limit }
+ */
+async function listEntries(filters, { page = 1, limit = 50 } = {}) {
+  const { where, values } = buildFilters(filters);
+  const offset = (page - 1) * limit;
+
+  const countResult = await query(`SELECT COUNT(*) as count FROM audit_logs a ${where}`, values);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM audit_logs a
+     LEFT JOIN users u ON u.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, offset]
+  );
+
+  return {
+    entries: result.rows.map(formatEntry),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Stream the entries matching the filters as CSV, newest first
+ * @param {object} filters - As for listEntries
+ * @param {import('stream').Writable} output - Destination stream
+ */
+async function writeCsv(filters, output) {
+  const { where, values } = buildFilters(filters);
+
+  await writeChunk(output, formatCsvRow(CSV_COLUMNS));
+  const rows = streamQuery(
+    `SELECT ${ENTRY_COLUMNS}
+     FROM audit_logs a
+     LEFT JOIN users u ON u.id = a.actor_id
+     ${where}
+     ORDER BY a.created_at DESC`,
+    values,
+    { batchSize: EXPORT_BATCH_SIZE }
+  );
+
+  for await (const batch of rows) {
+    const lines = batch
+      .map(formatEntry)
+      .map(entry => formatCsvRow(CSV_COLUMNS.map(column => entry[column])))
+      .join('');
+    await writeChunk(output, lines);
+  }
+}
+
+module.exports = {
+  ACTIONS,
+  RESOURCE_TYPES,
+  SYSTEM_ACTOR,
+  actorFrom,
+  diff,
+  record,
+  listEntries,
+  writeCsv
+};
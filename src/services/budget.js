@@ -0,0 +1,275 @@
+/**
+ * Campaign Budget Service
+ * Exchange rates, currency conversion and the committed / paid / remaining
+ * ledger built from agreed influencer fees and line-item expenses
+ */
+
+const config = require('../config');
+const { query } = require('../database');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/error');
+
+const EXPENSE_CATEGORIES = ['production', 'product', 'shipping', 'advertising', 'travel', 'agency', 'other'];
+
+const PAYMENT_STATUS = {
+  UNPAID: 'unpaid',
+  PAID: 'paid'
+};
+
+const EXPENSE_STATUS = {
+  COMMITTED: 'committed',
+  PAID: 'paid'
+};
+
+function baseCurrency() {
+  return config.budget.base_currency;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Current exchange rates: config defaults overridden by saved rates
+ * @returns {Promise<Object<string, number>>} Value of one unit of each currency in the base currency
+ */
+async function getExchangeRates() {
+  const rates = { ...config.budget.exchange_rates };
+  const result = await query('SELECT currency, rate FROM exchange_rates', []);
+
+  result.rows.forEach(row => {
+    rates[row.currency] = parseFloat(row.rate);
+  });
+  rates[baseCurrency()] = 1;
+  return rates;
+}
+
+/**
+ * Throw unless a currency has an exchange rate
+ */
+function assertCurrency(currency, rates) {
+  if (!rates[currency]) {
+    throw new ValidationError(`Unsupported currency "${currency}"`, [{ field: 'currency', allowed: Object.keys(rates) }]);
+  }
+}
+
+/**
+ * Convert an amount between currencies (unrounded)
+ */
+function convert(amount, from, to, rates) {
+  if (from === to) {
+    return amount;
+  }
+  assertCurrency(from, rates);
+  assertCurrency(to, rates);
+  return (amount * rates[from]) / rates[to];
+}
+
+/**
+ * Fees and expenses for a set of campaigns
+ * @param {string[]} campaignIds - Campaign IDs
+ * @param {object} [db] - Client to query with (defaults to the pool)
+ * @returns {Promise<{ fees: object[], expenses: object[] }>}
+ */
+async function loadCommitments(campaignIds, db = { query }) {
+  const fees = await db.query(
+    `SELECT ci.id, ci.campaign_id, ci.influencer_id, i.name, ci.status, ci.agreed_fee, ci.fee_currency,
+            ci.payment_status, ci.paid_at
+     FROM campaign_influencers ci
+     JOIN influencers i ON i.id = ci.influencer_id
+     WHERE ci.campaign_id = ANY($1) AND ci.agreed_fee IS NOT NULL
+     ORDER BY ci.joined_at ASC`,
+    [campaignIds]
+  );
+
+  const expenses = await db.query(
+    `SELECT campaign_id, category, amount, currency, status
+     FROM campaign_expenses
+     WHERE campaign_id = ANY($1)`,
+    [campaignIds]
+  );
+
+  return { fees: fees.rows, expenses: expenses.rows };
+}
+
+/**
+ * Build a campaign's ledger in the campaign currency
+ * @param {object} campaign - Campaign row (id, budget, currency)
+ * @param {object[]} fees - Its campaign_influencers rows with an agreed fee
+ * @param {object[]} expenses - Its campaign_expenses rows
+ * @param {Object<string, number>} rates - Exchange rates
+ */
+function summarizeLedger(campaign, fees, expenses, rates) {
+  const currency = campaign.currency;
+  const budget = parseFloat(campaign.budget) || 0;
+  const totals = { fees: { committed: 0, paid: 0 }, expenses: { committed: 0, paid: 0 } };
+  const byCategory = {};
+
+  const influencers = fees.map(fee => {
+    const amount = convert(parseFloat(fee.agreed_fee), fee.fee_currency, currency, rates);
+    totals.fees.committed += amount;
+    if (fee.payment_status === PAYMENT_STATUS.PAID) {
+      totals.fees.paid += amount;
+    }
+
+    return {
+      influencer_id: fee.influencer_id,
+      name: fee.name,
+      participation_status: fee.status,
+      agreed_fee: parseFloat(fee.agreed_fee),
+      fee_currency: fee.fee_currency,
+      amount: roundMoney(amount),
+      payment_status: fee.payment_status,
+      paid_at: fee.paid_at
+    };
+  });
+
+  expenses.forEach(expense => {
+    const amount = convert(parseFloat(expense.amount), expense.currency, currency, rates);
+    totals.expenses.committed += amount;
+    if (expense.status === EXPENSE_STATUS.PAID) {
+      totals.expenses.paid += amount;
+    }
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + amount;
+  });
+
+  const committed = totals.fees.committed + totals.expenses.committed;
+  const paid = totals.fees.paid + totals.expenses.paid;
+
+  return {
+    currency,
+    budget: roundMoney(budget),
+    committed: roundMoney(committed),
+    paid: roundMoney(paid),
+    outstanding: roundMoney(committed - paid),
+    remaining: roundMoney(budget - committed),
+    utilization: budget > 0 ? Math.round((committed / budget) * 10000) / 100 : null,
+    over_budget: committed - budget > 0.005,
+    fees: { committed: roundMoney(totals.fees.committed), paid: roundMoney(totals.fees.paid) },
+    expenses: {
+      committed: roundMoney(totals.expenses.committed),
+      paid: roundMoney(totals.expenses.paid),
+      byCategory: Object.fromEntries(Object.entries(byCategory).map(([category, amount]) => [category, roundMoney(amount)]))
+    },
+    influencers
+  };
+}
+
+/**
+ * Budget ledger for one campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object>} Ledger in the campaign currency
+ */
+async function getCampaignLedger(campaignId) {
+  return loadLedger({ query }, campaignId, '');
+}
+
+/**
+ * Budget ledger for one campaign, locking the campaign row until the
+ * caller's transaction ends
+ * Run budget checks on this ledger in the transaction that writes the new
+ * commitment, so concurrent commitments wait their turn instead of both
+ * fitting in the same remaining budget.
+ * @param {object} client - Client of the caller's transaction
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<object>} Ledger in the campaign currency
+ */
+async function lockCampaignLedger(client, campaignId) {
+  return loadLedger(client, campaignId, ' FOR UPDATE');
+}
+
+async function loadLedger(db, campaignId, lock) {
+  const campaign = await db.query(`SELECT id, budget, currency FROM campaigns WHERE id = $1${lock}`, [campaignId]);
+  if (campaign.rows.length === 0) {
+    throw new NotFoundError('Campaign');
+  }
+
+  const rates = await getExchangeRates();
+  const { fees, expenses } = await loadCommitments([campaignId], db);
+  return summarizeLedger(campaign.rows[0], fees, expenses, rates);
+}
+
+/**
+ * Ledgers for several campaigns, keyed by campaign ID
+ * @param {object[]} campaigns - Campaign rows (id, budget, currency)
+ * @param {Object<string, number>} rates - Exchange rates
+ */
+async function getCampaignLedgers(campaigns, rates) {
+  const ledgers = {};
+  if (campaigns.length === 0) {
+    return ledgers;
+  }
+
+  const { fees, expenses } = await loadCommitments(campaigns.map(campaign => campaign.id));
+  campaigns.forEach(campaign => {
+    ledgers[campaign.id] = summarizeLedger(
+      campaign,
+      fees.filter(fee => fee.campaign_id === campaign.id),
+      expenses.filter(expense => expense.campaign_id === campaign.id),
+      rates
+    );
+  });
+  return ledgers;
+}
+
+/**
+ * Throw if a new or changed commitment would take the campaign over budget
+ * Lowering a commitment is always allowed.
+ * @param {object} ledger - Current campaign ledger
+ * @param {{ amount: number, currency: string }} next - Commitment being added
+ * @param {{ amount: number, currency: string }} [previous] - Commitment it replaces
+ * @param {Object<string, number>} rates - Exchange rates
+ */
+function assertWithinBudget(ledger, next, previous, rates) {
+  const added = convert(next.amount, next.currency, ledger.currency, rates) -
+    (previous && previous.amount ? convert(previous.amount, previous.currency, ledger.currency, rates) : 0);
+
+  if (added > 0 && ledger.committed + added - ledger.budget > 0.005) {
+    throw new ConflictError(
+      `This would exceed the campaign budget: ${roundMoney(ledger.committed + added)} ${ledger.currency} ` +
+      `committed of ${ledger.budget} ${ledger.currency} (${ledger.remaining} remaining)`
+    );
+  }
+}
+
+/**
+ * Fold per-currency budget aggregates into base-currency totals per group
+ * @param {object[]} rows - Rows with the group column, currency, count and budget (a SUM)
+ * @param {string} key - Group column, e.g. status or platform
+ * @param {Object<string, number>} rates - Exchange rates
+ * @returns {object[]} { [key], count, total_budget, avg_budget } sorted by count, descending
+ */
+function groupBudgets(rows, key, rates) {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const group = groups.get(row[key]) || { [key]: row[key], count: 0, total_budget: 0 };
+    group.count += parseInt(row.count) || 0;
+    group.total_budget += convert(parseFloat(row.budget) || 0, row.currency, baseCurrency(), rates);
+    groups.set(row[key], group);
+  });
+
+  return [...groups.values()]
+    .map(group => ({
+      ...group,
+      total_budget: roundMoney(group.total_budget),
+      avg_budget: group.count > 0 ? roundMoney(group.total_budget / group.count) : 0
+    }))
+    .sort((a, b) => b.count - a.count);
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  PAYMENT_STATUS,
+  EXPENSE_STATUS,
+  baseCurrency,
+  roundMoney,
+  getExchangeRates,
+  assertCurrency,
+  convert,
+  summarizeLedger,
+  getCampaignLedger,
+  lockCampaignLedger,
+  getCampaignLedgers,
+  assertWithinBudget,
+  groupBudgets
+};
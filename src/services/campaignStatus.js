@@ -0,0 +1,254 @@
+/**
+ * Campaign Status Service
+ * The campaign lifecycle: which status changes are allowed, what a campaign
+ * needs before it can go live, the status history, and completing campaigns
+ * whose end date has passed
+ */
+
+const { query, transaction } = require('../database');
+const { NotFoundError, ValidationError, ConflictError } = require('../middleware/error');
+const audit = require('./audit');
+const webhooks = require('./webhooks');
+
+const CAMPAIGN_STATUS = {
+  DRAFT: 'draft',
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+// Allowed next statuses; completed and cancelled are final
+const TRANSITIONS = {
+  [CAMPAIGN_STATUS.DRAFT]: [CAMPAIGN_STATUS.ACTIVE, CAMPAIGN_STATUS.CANCELLED],
+  [CAMPAIGN_STATUS.ACTIVE]: [CAMPAIGN_STATUS.PAUSED, CAMPAIGN_STATUS.COMPLETED, CAMPAIGN_STATUS.CANCELLED],
+  [CAMPAIGN_STATUS.PAUSED]: [CAMPAIGN_STATUS.ACTIVE, CAMPAIGN_STATUS.COMPLETED, CAMPAIGN_STATUS.CANCELLED],
+  [CAMPAIGN_STATUS.COMPLETED]: [],
+  [CAMPAIGN_STATUS.CANCELLED]: []
+};
+
+function startOfToday() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Throw unless a campaign may move from one status to another
+ */
+function assertTransition(from, to) {
+  const allowed = TRANSITIONS[from] || [];
+  if (!allowed.includes(to)) {
+    throw new ConflictError(
+      allowed.length > 0
+        ? `Cannot change a ${from} campaign to ${to} (allowed: ${allowed.join(', ')})`
+        : `Cannot change a ${from} campaign; ${from} is a final status`
+    );
+  }
+}
+
+/**
+ * Throw if a campaign is not ready for a status
+ * Going live needs a start and end date, an end date that has not passed and
+ * at least one influencer.
+ * @param {object} campaign - Campaign row, with any pending changes applied
+ * @param {string} to - Target status
+ * @param {object} [db] - Client to query with (inside a transaction)
+ */
+async function assertPreconditions(campaign, to, db = { query }) {
+  if (to !== CAMPAIGN_STATUS.ACTIVE) {
+    return;
+  }
+
+  const problems = [];
+  if (!campaign.start_date) {
+    problems.push({ field: 'start_date', message: 'A start date is required' });
+  }
+  if (!campaign.end_date) {
+    problems.push({ field: 'end_date', message: 'An end date is required' });
+  } else if (new Date(campaign.end_date) < startOfToday()) {
+    problems.push({ field: 'end_date', message: 'The end date has passed' });
+  }
+
+  const influencers = await db.query(
+    'SELECT COUNT(*) FROM campaign_influencers WHERE campaign_id = $1',
+    [campaign.id]
+  );
+  if (parseInt(influencers.rows[0].count) === 0) {
+    problems.push({ field: 'influencers', message: 'At least one influencer is required' });
+  }
+
+  if (problems.length > 0) {
+    throw new ValidationError(
+      `Campaign cannot be activated: ${problems.map(problem => problem.message.toLowerCase()).join('; ')}`,
+      problems
+    );
+  }
+}
+
+/**
+ * Record a status change in the campaign history
+ * @param {object} db - Client or { query }
+ * @param {object} change - { campaignId, from, to, reason, userId }
+ */
+async function recordStatusChange(db, { campaignId, from, to, reason, userId }) {
+  const result = await db.query(
+    `INSERT INTO campaign_status_history (campaign_id, from_status, to_status, reason, changed_by, changed_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     RETURNING *`,
+    [campaignId, from || null, to, reason || null, userId || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Tell webhook subscribers a campaign's status changed
+ * @param {object} campaign - Campaign row after the change
+ * @param {string} from - Previous status
+ */
+async function emitStatusChanged(campaign, from) {
+  await webhooks.emit(webhooks.EVENTS.CAMPAIGN_STATUS_CHANGED, {
+    workspaceId: campaign.workspace_id,
+    data: { campaign, from, to: campaign.status }
+  });
+}
+
+/**
+ * Move a campaign to a new status, checking the transition and preconditions
+ * @param {string} campaignId - Campaign ID
+ * @param {string} to - Target status
+ * @param {object} options - { reason, userId, actor } - actor as from audit.actorFrom
+ * @returns {Promise<object>} Updated campaign row
+ */
+async function changeStatus(campaignId, to, options = {}) {
+  const { campaign, from } = await transaction(async (client) => {
+    const existing = await client.query('SELECT * FROM campaigns WHERE id = $1', [campaignId]);
+    if (existing.rows.length === 0) {
+      throw new NotFoundError('Campaign');
+    }
+
+    const campaign = existing.rows[0];
+    assertTransition(campaign.status, to);
+    await assertPreconditions(campaign, to, client);
+
+    // The status guard makes a concurrent change fail rather than be overwritten
+    const result = await client.query(
+      `UPDATE campaigns SET status = $1, updated_at = NOW()
+       WHERE id = $2 AND status = $3
+       RETURNING *`,
+      [to, campaignId, campaign.status]
+    );
+    if (result.rows.length === 0) {
+      throw new ConflictError('The campaign status was changed by another request; reload and try again');
+    }
+
+    await recordStatusChange(client, {
+      campaignId,
+      from: campaign.status,
+      to,
+      reason: options.reason,
+      userId: options.userId
+    });
+
+    await audit.record(options.actor || audit.SYSTEM_ACTOR, {
+      action: audit.ACTIONS.UPDATE,
+      resourceType: audit.RESOURCE_TYPES.CAMPAIGN,
+      resourceId: campaignId,
+      before: campaign,
+      after: result.rows[0]
+    }, client);
+
+    return { campaign: result.rows[0], from: campaign.status };
+  });
+
+  await emitStatusChanged(campaign, from);
+  return campaign;
+}
+
+/**
+ * Status history for a campaign, oldest first
+ * @param {string} campaignId - Campaign ID
+ */
+async function getStatusHistory(campaignId) {
+  const campaign = await query('SELECT id, status FROM campaigns WHERE id = $1', [campaignId]);
+  if (campaign.rows.length === 0) {
+    throw new NotFoundError('Campaign');
+  }
+
+  const history = await query(
+    `SELECT h.id, h.from_status, h.to_status, h.reason, h.changed_by, u.name as changed_by_name, h.changed_at
+     FROM campaign_status_history h
+     LEFT JOIN users u ON u.id = h.changed_by
+     WHERE h.campaign_id = $1
+     ORDER BY h.changed_at ASC`,
+    [campaignId]
+  );
+
+  return {
+    campaign_id: campaignId,
+    status: campaign.rows[0].status,
+    allowed_transitions: TRANSITIONS[campaign.rows[0].status] || [],
+    history: history.rows
+  };
+}
+
+/**
+ * Complete every active or paused campaign whose end date has passed,
+ * leaving campaigns in the trash as they are
+ * @returns {Promise<number>} Campaigns completed
+ */
+async function completeEndedCampaigns() {
+  const ended = await query(
+    `SELECT id, status, workspace_id FROM campaigns
+     WHERE status IN ($1, $2) AND end_date < CURRENT_DATE AND deleted_at IS NULL`,
+    [CAMPAIGN_STATUS.ACTIVE, CAMPAIGN_STATUS.PAUSED]
+  );
+
+  let completed = 0;
+  for (const campaign of ended.rows) {
+    const updated = await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE campaigns SET status = $1, updated_at = NOW()
+         WHERE id = $2 AND status = $3
+         RETURNING *`,
+        [CAMPAIGN_STATUS.COMPLETED, campaign.id, campaign.status]
+      );
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await recordStatusChange(client, {
+        campaignId: campaign.id,
+        from: campaign.status,
+        to: CAMPAIGN_STATUS.COMPLETED,
+        reason: 'Completed automatically after the end date'
+      });
+      await audit.record(audit.SYSTEM_ACTOR, {
+        action: audit.ACTIONS.UPDATE,
+        resourceType: audit.RESOURCE_TYPES.CAMPAIGN,
+        resourceId: campaign.id,
+        before: campaign,
+        after: { ...campaign, status: CAMPAIGN_STATUS.COMPLETED }
+      }, client);
+      return result.rows[0];
+    });
+
+    if (updated) {
+      await emitStatusChanged(updated, campaign.status);
+      completed++;
+    }
+  }
+
+  return completed;
+}
+
+module.exports = {
+  CAMPAIGN_STATUS,
+  TRANSITIONS,
+  assertTransition,
+  assertPreconditions,
+  recordStatusChange,
+  changeStatus,
+  emitStatusChanged,
+  getStatusHistory,
+  completeEndedCampaigns
+};
@@ -0,0 +1,142 @@
+/**
+ * Counter Store
+ * Short-lived counters and flags that expire on their own, such as failed
+ * login attempts. Kept in process memory, or in Redis when the `redis`
+ * config block enables it so every app instance shares the same counts.
+ */
+
+const config = require('../config');
+const { createRedisClient } = require('./redisClient');
+
+// Sweep expired memory entries after this many writes
+const SWEEP_EVERY = 1000;
+
+/**
+ * In-process store; counts are per instance and lost on restart
+ */
+function createMemoryStore() {
+  const entries = new Map();
+  let writes = 0;
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const sweep = () => {
+    if (++writes % SWEEP_EVERY !== 0) return;
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt <= now) entries.delete(key);
+    }
+  };
+
+  return {
+    async increment(key, ttlMs) {
+      sweep();
+      const entry = live(key);
+      if (entry) {
+        entry.value++;
+        return entry.value;
+      }
+      entries.set(key, { value: 1, expiresAt: Date.now() + ttlMs });
+      return 1;
+    },
+
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+
+    async set(key, value, ttlMs) {
+      sweep();
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    async ttl(key) {
+      const entry = live(key);
+      return entry ? entry.expiresAt - Date.now() : 0;
+    },
+
+    async delete(...keys) {
+      keys.forEach(key => entries.delete(key));
+    },
+
+    async clear() {
+      entries.clear();
+    }
+  };
+}
+
+/**
+ * Redis store. Needs the optional `redis` package (node-redis 4).
+ */
+function createRedisStore(redisConfig) {
+  const { client, ready } = createRedisClient(redisConfig);
+  const prefix = 'influencerium:';
+
+  return {
+    async increment(key, ttlMs) {
+      await ready;
+      const value = await client.incr(prefix + key);
+      if (value === 1) {
+        await client.pExpire(prefix + key, ttlMs);
+      }
+      return value;
+    },
+
+    async get(key) {
+      await ready;
+      const value = await client.get(prefix + key);
+      return value === null ? null : Number(value);
+    },
+
+    async set(key, value, ttlMs) {
+      await ready;
+      await client.set(prefix + key, String(value), { PX: ttlMs });
+    },
+
+    async ttl(key) {
+      await ready;
+      const ms = await client.pTTL(prefix + key);
+      return ms > 0 ? ms : 0;
+    },
+
+    async delete(...keys) {
+      await ready;
+      if (keys.length > 0) {
+        await client.del(keys.map(key => prefix + key));
+      }
+    },
+
+    async clear() {
+      await ready;
+      const keys = await client.keys(`${prefix}*`);
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The shared store, created on first use
+ */
+function getStore() {
+  if (!store) {
+    store = config.redis && config.redis.enabled ? createRedisStore(config.redis) : createMemoryStore();
+  }
+  return store;
+}
+
+module.exports = {
+  createMemoryStore,
+  createRedisStore,
+  getStore
+};
@@ -0,0 +1,162 @@
+/**
+ * Campaign Deliverables Service
+ * Review workflow for the content creators owe a campaign, and the
+ * performance rollups shown on the campaign detail
+ */
+
+const { query } = require('../database');
+const { NotFoundError, ConflictError } = require('../middleware/error');
+
+const DELIVERABLE_TYPES = ['post', 'story', 'reel', 'video', 'short', 'live', 'blog', 'other'];
+
+const DELIVERABLE_STATUS = {
+  PENDING: 'pending',
+  SUBMITTED: 'submitted',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+// Review actions and the statuses they may start from
+const TRANSITIONS = {
+  submit: { from: [DELIVERABLE_STATUS.PENDING, DELIVERABLE_STATUS.REJECTED], to: DELIVERABLE_STATUS.SUBMITTED },
+  approve: { from: [DELIVERABLE_STATUS.SUBMITTED], to: DELIVERABLE_STATUS.APPROVED },
+  reject: { from: [DELIVERABLE_STATUS.SUBMITTED], to: DELIVERABLE_STATUS.REJECTED }
+};
+
+// Revenue is attributed in the campaign currency; the rest are counts
+const PERFORMANCE_FIELDS = ['views', 'likes', 'comments', 'clicks', 'conversions', 'revenue'];
+
+// Row columns plus an overdue flag: past due and still waiting on the creator
+const DELIVERABLE_FIELDS = `*, (due_date < CURRENT_DATE AND status IN ('pending', 'rejected')) as is_overdue`;
+
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 100 : null;
+}
+
+/**
+ * Check that a review action is allowed from the deliverable's current status
+ * @param {object} deliverable - Deliverable row
+ * @param {string} action - submit, approve or reject
+ * @returns {string} The status the deliverable moves to
+ */
+function nextStatus(deliverable, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition.from.includes(deliverable.status)) {
+    throw new ConflictError(
+      `Cannot ${action} a deliverable that is ${deliverable.status} (allowed from: ${transition.from.join(', ')})`
+    );
+  }
+  return transition.to;
+}
+
+/**
+ * Find an influencer's participation in a campaign
+ * @returns {Promise<object>} campaign_influencers row
+ */
+async function findParticipation(campaignId, influencerId) {
+  const result = await query(
+    'SELECT id, campaign_id, influencer_id, status FROM campaign_influencers WHERE campaign_id = $1 AND influencer_id = $2',
+    [campaignId, influencerId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Campaign influencer relationship');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Find a deliverable belonging to a participation
+ * @returns {Promise<object>} campaign_deliverables row
+ */
+async function findDeliverable(participationId, deliverableId) {
+  const result = await query(
+    `SELECT ${DELIVERABLE_FIELDS} FROM campaign_deliverables WHERE id = $1 AND campaign_influencer_id = $2`,
+    [deliverableId, participationId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Deliverable');
+  }
+  return result.rows[0];
+}
+
+// Convert aggregate columns (strings from pg) into a rollup object
+function toRollup(row) {
+  const rollup = {
+    total: parseInt(row.total) || 0,
+    pending: parseInt(row.pending) || 0,
+    submitted: parseInt(row.submitted) || 0,
+    approved: parseInt(row.approved) || 0,
+    rejected: parseInt(row.rejected) || 0,
+    overdue: parseInt(row.overdue) || 0
+  };
+  PERFORMANCE_FIELDS.forEach(field => {
+    rollup[field] = field === 'revenue'
+      ? Math.round((parseFloat(row[field]) || 0) * 100) / 100
+      : parseInt(row[field]) || 0;
+  });
+  rollup.engagement_rate = percentage(rollup.likes + rollup.comments, rollup.views);
+  rollup.click_through_rate = percentage(rollup.clicks, rollup.views);
+  return rollup;
+}
+
+// Rollup for an influencer with no deliverables yet
+function emptyRollup() {
+  return toRollup({});
+}
+
+/**
+ * Deliverable counts and performance totals for a campaign
+ * Overdue means past the due date and not yet submitted or approved.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<{ summary: object, byInfluencer: Object<string, object> }>}
+ */
+async function getCampaignRollup(campaignId) {
+  const result = await query(
+    `SELECT ci.influencer_id,
+            COUNT(*) as total,
+            COUNT(CASE WHEN d.status = 'pending' THEN 1 END) as pending,
+            COUNT(CASE WHEN d.status = 'submitted' THEN 1 END) as submitted,
+            COUNT(CASE WHEN d.status = 'approved' THEN 1 END) as approved,
+            COUNT(CASE WHEN d.status = 'rejected' THEN 1 END) as rejected,
+            COUNT(CASE WHEN d.due_date < CURRENT_DATE AND d.status IN ('pending', 'rejected') THEN 1 END) as overdue,
+            SUM(d.views) as views,
+            SUM(d.likes) as likes,
+            SUM(d.comments) as comments,
+            SUM(d.clicks) as clicks,
+            SUM(d.conversions) as conversions,
+            SUM(d.revenue) as revenue
+     FROM campaign_deliverables d
+     JOIN campaign_influencers ci ON ci.id = d.campaign_influencer_id
+     WHERE ci.campaign_id = $1
+     GROUP BY ci.influencer_id`,
+    [campaignId]
+  );
+
+  const totals = {};
+  const byInfluencer = {};
+
+  for (const row of result.rows) {
+    const rollup = toRollup(row);
+    byInfluencer[row.influencer_id] = rollup;
+    for (const key of ['total', 'pending', 'submitted', 'approved', 'rejected', 'overdue', ...PERFORMANCE_FIELDS]) {
+      totals[key] = (totals[key] || 0) + rollup[key];
+    }
+  }
+
+  return { summary: toRollup(totals), byInfluencer };
+}
+
+module.exports = {
+  DELIVERABLE_TYPES,
+  DELIVERABLE_STATUS,
+  TRANSITIONS,
+  PERFORMANCE_FIELDS,
+  DELIVERABLE_FIELDS,
+  nextStatus,
+  findParticipation,
+  findDeliverable,
+  emptyRollup,
+  getCampaignRollup
+};
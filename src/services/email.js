@@ -1,10 +1,14 @@
 /**
  * Email Service
- * Handles sending transactional emails (password reset, notifications)
+ * Handles sending transactional emails (password reset, invitations, notifications)
  */
 
 const nodemailer = require('nodemailer');
 const config = require('../config');
+const jobQueue = require('./jobQueue');
+
+// Job that sends queued emails (see services/jobs.js)
+const EMAIL_JOB = 'email.send';
 
 // Create transporter
 let transporter = null;
@@ -238,8 +242,339 @@ async function sendWelcomeEmail(options) {
   }
 }
 
+// Escape text written into an HTML email (names chosen by other users)
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Send an invitation to join a workspace
+ * @param {object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.inviterName - Name of the member who sent the invitation
+ * @param {string} options.workspaceName - Workspace the recipient is invited to
+ * @param {string} options.role - Workspace role the recipient will get
+ * @param {string} options.inviteToken - Invitation token
+ * @param {Date} options.expiresAt - When the invitation expires
+ * @param {string} options.inviteUrl - Invitation URL (optional)
+ */
+async function sendWorkspaceInvitationEmail(options) {
+  const { to, inviterName, workspaceName, role, inviteToken, expiresAt, inviteUrl } = options;
+  
+  const transporter = await getTransporter();
+  
+  // Build invitation URL
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const url = inviteUrl || `${baseUrl}/accept-invitation.html?token=${inviteToken}`;
+  const expires = new Date(expiresAt).toUTCString();
+  
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Workspace Invitation</title>
+</head>
+<body style="font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5;">
+  <div style="max-width: 600px; margin: 40px auto; padding: 20px;">
+    <div style="background-color: #ffffff; border-radius: 12px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+      <div style="text-align: center; margin-bottom: 32px;">
+        <h1 style="margin: 0; color: #000000; font-size: 24px; font-weight: 700;">Influencerium</h1>
+      </div>
+      
+      <div style="margin-bottom: 32px;">
+        <h2 style="margin: 0 0 16px 0; color: #000000; font-size: 20px; font-weight: 600;">
+          Join ${escapeHtml(workspaceName)}
+        </h2>
+        <p style="margin: 0 0 24px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          ${escapeHtml(inviterName)} invited you to the ${escapeHtml(workspaceName)} workspace on Influencerium as ${escapeHtml(role)}.
+        </p>
+        
+        <div style="text-align: center; margin: 32px 0;">
+          <a href="${url}" style="display: inline-block; padding: 14px 28px; background-color: #000000; color: #ffffff; text-decoration: none; border-radius: 8px; font-size: 14px; font-weight: 500;">
+            Accept Invitation
+          </a>
+        </div>
+        
+        <p style="margin: 0; color: #6c757d; font-size: 12px; line-height: 1.6;">
+          This invitation expires on ${expires}. If you weren't expecting it, you can ignore this email.
+        </p>
+      </div>
+      
+      <div style="border-top: 1px solid #dee2e6; padding-top: 24px; text-align: center;">
+        <p style="margin: 0; color: #6c757d; font-size: 12px;">
+          © 2025 Influencerium. All rights reserved.
+        </p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textContent = `
+Join ${workspaceName}
+
+${inviterName} invited you to the ${workspaceName} workspace on Influencerium as ${role}.
+
+Accept the invitation here:
+${url}
+
+This invitation expires on ${expires}. If you weren't expecting it, you can ignore this email.
+
+© 2025 Influencerium. All rights reserved.
+  `;
+
+  try {
+    const result = await transporter.sendMail({
+      from: config.email.from,
+      to: to,
+      subject: `You're invited to ${workspaceName} - Influencerium`,
+      text: textContent,
+      html: htmlContent
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId,
+      previewUrl: result.previewUrl
+    };
+  } catch (error) {
+    console.error('Failed to send workspace invitation email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Send account locked notification email
+ * @param {object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {Date} options.lockedUntil - When the account unlocks
+ * @param {string} options.ipAddress - Where the last failed attempt came from
+ */
+async function sendAccountLockedEmail(options) {
+  const { to, name, lockedUntil, ipAddress } = options;
+  
+  const transporter = await getTransporter();
+  
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const until = new Date(lockedUntil).toUTCString();
+  const from = ipAddress ? ` from ${ipAddress}` : '';
+  
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Account Locked</title>
+</head>
+<body style="font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5;">
+  <div style="max-width: 600px; margin: 40px auto; padding: 20px;">
+    <div style="background-color: #ffffff; border-radius: 12px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+      <div style="text-align: center; margin-bottom: 32px;">
+        <h1 style="margin: 0; color: #000000; font-size: 24px; font-weight: 700;">Influencerium</h1>
+      </div>
+      
+      <div style="margin-bottom: 32px;">
+        <h2 style="margin: 0 0 16px 0; color: #000000; font-size: 20px; font-weight: 600;">
+          Your account has been locked
+        </h2>
+        <p style="margin: 0 0 16px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          Hi ${escapeHtml(name || 'there')}, we locked your account after several failed sign-in attempts${escapeHtml(from)}.
+          You can sign in again after ${until}.
+        </p>
+        <p style="margin: 0 0 24px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          If this wasn't you, someone may be trying to guess your password. We recommend resetting it with "Forgot password" on the sign-in page.
+        </p>
+        
+        <div style="text-align: center; margin: 32px 0;">
+          <a href="${baseUrl}" style="display: inline-block; padding: 14px 28px; background-color: #000000; color: #ffffff; text-decoration: none; border-radius: 8px; font-size: 14px; font-weight: 500;">
+            Go to Influencerium
+          </a>
+        </div>
+      </div>
+      
+      <div style="border-top: 1px solid #dee2e6; padding-top: 24px; text-align: center;">
+        <p style="margin: 0; color: #6c757d; font-size: 12px;">
+          © 2025 Influencerium. All rights reserved.
+        </p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textContent = `
+Your account has been locked
+
+Hi ${name || 'there'}, we locked your account after several failed sign-in attempts${from}.
+You can sign in again after ${until}.
+
+If this wasn't you, someone may be trying to guess your password. We recommend resetting it with
+"Forgot password" on the sign-in page: ${baseUrl}
+
+© 2025 Influencerium. All rights reserved.
+  `;
+
+  try {
+    const result = await transporter.sendMail({
+      from: config.email.from,
+      to: to,
+      subject: 'Your account has been locked - Influencerium',
+      text: textContent,
+      html: htmlContent
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+  } catch (error) {
+    console.error('Failed to send account locked email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Send email address verification email
+ * @param {object} options - Email options
+ * @param {string} options.to - Recipient email
+ * @param {string} options.name - Recipient name
+ * @param {string} options.verifyToken - Verification token
+ * @param {Date} options.expiresAt - When the link stops working
+ * @param {string} options.verifyUrl - Full verification URL (optional)
+ */
+async function sendVerificationEmail(options) {
+  const { to, name, verifyToken, expiresAt, verifyUrl } = options;
+  
+  const transporter = await getTransporter();
+  
+  const baseUrl = process.env.FRONTEND_URL || 'http://localhost:8080';
+  const url = verifyUrl || `${baseUrl}/verify-email.html?token=${verifyToken}`;
+  const until = new Date(expiresAt).toUTCString();
+  
+  const htmlContent = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Verify your email</title>
+</head>
+<body style="font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; padding: 0; background-color: #f5f5f5;">
+  <div style="max-width: 600px; margin: 40px auto; padding: 20px;">
+    <div style="background-color: #ffffff; border-radius: 12px; padding: 40px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+      <div style="text-align: center; margin-bottom: 32px;">
+        <h1 style="margin: 0; color: #000000; font-size: 24px; font-weight: 700;">Influencerium</h1>
+      </div>
+      
+      <div style="margin-bottom: 32px;">
+        <h2 style="margin: 0 0 16px 0; color: #000000; font-size: 20px; font-weight: 600;">
+          Verify your email address
+        </h2>
+        <p style="margin: 0 0 16px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          Hi ${escapeHtml(name || 'there')},
+        </p>
+        <p style="margin: 0 0 24px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          Thanks for signing up for Influencerium. Confirm that this is your email address to finish setting up your account.
+        </p>
+        
+        <div style="text-align: center; margin: 32px 0;">
+          <a href="${url}" style="display: inline-block; padding: 14px 28px; background-color: #000000; color: #ffffff; text-decoration: none; border-radius: 8px; font-size: 14px; font-weight: 500;">
+            Verify Email
+          </a>
+        </div>
+        
+        <p style="margin: 0 0 16px 0; color: #495057; font-size: 14px; line-height: 1.6;">
+          This link works until ${until}.
+        </p>
+        
+        <p style="margin: 0; color: #6c757d; font-size: 12px; line-height: 1.6;">
+          If you didn't create an account, you can ignore this email.
+        </p>
+      </div>
+      
+      <div style="border-top: 1px solid #dee2e6; padding-top: 24px; text-align: center;">
+        <p style="margin: 0; color: #6c757d; font-size: 12px;">
+          © 2025 Influencerium. All rights reserved.
+        </p>
+      </div>
+    </div>
+  </div>
+</body>
+</html>
+  `;
+
+  const textContent = `
+Verify your email address
+
+Hi ${name || 'there'},
+
+Thanks for signing up for Influencerium. Confirm that this is your email address to finish setting up your account:
+
+${url}
+
+This link works until ${until}.
+
+If you didn't create an account, you can ignore this email.
+
+© 2025 Influencerium. All rights reserved.
+  `;
+
+  try {
+    const result = await transporter.sendMail({
+      from: config.email.from,
+      to: to,
+      subject: 'Verify your email address - Influencerium',
+      text: textContent,
+      html: htmlContent
+    });
+
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+  } catch (error) {
+    console.error('Failed to send verification email:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+/**
+ * Queue an email to be sent in the background, retried if sending fails
+ * @param {string} template - Name of one of the send functions, e.g. 'sendVerificationEmail'
+ * @param {object} options - Options for that function
+ * @returns {Promise<object>} The queued job
+ */
+async function queueEmail(template, options) {
+  return jobQueue.enqueue(EMAIL_JOB, { template, options });
+}
+
 module.exports = {
+  EMAIL_JOB,
+  queueEmail,
   sendPasswordResetEmail,
   sendWelcomeEmail,
+  sendWorkspaceInvitationEmail,
+  sendAccountLockedEmail,
+  sendVerificationEmail,
   getTransporter
 };
@@ -0,0 +1,242 @@
+/**
+ * Email Verification Service
+ * New registrations start as pending_verification and may only sign in,
+ * read their profile and ask for another link until they follow the one
+ * emailed to them. Tokens are hashed and expire like password reset tokens.
+ * A changed email address is confirmed the same way, by a link sent to the
+ * new address; the account keeps its old one until then.
+ *
+ * Links are created when the queued email is sent, so the job queue only
+ * holds the user and never a usable token.
+ */
+
+const { query } = require('../database');
+const crypto = require('crypto');
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+const { ValidationError, ConflictError, NotFoundError } = require('../middleware/error');
+
+// Status of users who have not verified their email yet
+const PENDING_VERIFICATION = 'pending_verification';
+
+// Statuses that may sign in and hold a session
+const SIGN_IN_STATUSES = ['active', PENDING_VERIFICATION];
+
+// Job that creates a verification link and emails it (see services/jobs.js)
+const VERIFICATION_EMAIL_JOB = 'email.verification';
+
+/**
+ * Generate a secure verification token
+ */
+function generateVerificationToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Hash the verification token for secure storage
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// When a link created now stops working
+function tokenExpiry() {
+  const expiresIn = config.email.verification_expires_in || 86400; // 24 hours default
+  return new Date(Date.now() + expiresIn * 1000);
+}
+
+/**
+ * Create a verification token for a user, replacing any earlier one
+ * @param {string} userId - User ID
+ * @param {object} [options] - { newEmail } for a token confirming an email
+ *   change, { expiresAt } to expire other than a full lifetime from now
+ * @returns {Promise<object>} { token, expiresAt } - the raw token is never stored
+ */
+async function createVerificationToken(userId, { newEmail = null, expiresAt = tokenExpiry() } = {}) {
+  const rawToken = generateVerificationToken();
+
+  await query('DELETE FROM email_verification_tokens WHERE user_id = $1', [userId]);
+  await query(
+    `INSERT INTO email_verification_tokens (user_id, token_hash, expires_at, new_email, created_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [userId, hashToken(rawToken), expiresAt, newEmail]
+  );
+
+  return { token: rawToken, expiresAt };
+}
+
+/**
+ * Queue an email with a new verification link for a user
+ * @param {object} user - { id }
+ * @returns {Promise<object>} { expiresAt } of the link
+ */
+async function sendVerification(user) {
+  const expiresAt = tokenExpiry();
+  await jobQueue.enqueue(VERIFICATION_EMAIL_JOB, { user_id: user.id, expires_at: expiresAt });
+  return { expiresAt };
+}
+
+// Throw when another account already uses an email address
+async function assertEmailAvailable(email, userId) {
+  const existing = await query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, userId]);
+  if (existing.rows.length > 0) {
+    throw new ConflictError('Email already in use');
+  }
+}
+
+/**
+ * Start changing a user's email: the new address gets a link to confirm it
+ * and only replaces the old one once it is followed
+ * @param {object} user - { id }
+ * @param {string} newEmail - The address to change to
+ * @returns {Promise<object>} { pendingEmail, expiresAt }
+ * @throws {ConflictError} When another account uses the address
+ */
+async function requestEmailChange(user, newEmail) {
+  const email = newEmail.toLowerCase();
+  await assertEmailAvailable(email, user.id);
+
+  const expiresAt = tokenExpiry();
+  await jobQueue.enqueue(VERIFICATION_EMAIL_JOB, { user_id: user.id, new_email: email, expires_at: expiresAt });
+
+  return { pendingEmail: email, expiresAt };
+}
+
+/**
+ * Create the link for a queued verification email, replacing any earlier one
+ * @param {object} data - { user_id, new_email, expires_at } as queued
+ * @returns {Promise<object|null>} Options for emailService.sendVerificationEmail,
+ *   or null when the user is gone or was verified meanwhile
+ */
+async function prepareVerificationEmail({ user_id: userId, new_email: newEmail = null, expires_at: expiresAt }) {
+  const result = await query('SELECT id, name, email, email_verified_at FROM users WHERE id = $1', [userId]);
+  const user = result.rows[0];
+  if (!user || (!newEmail && user.email_verified_at)) {
+    return null;
+  }
+
+  const { token } = await createVerificationToken(user.id, { newEmail, expiresAt: new Date(expiresAt) });
+  return {
+    to: newEmail || user.email,
+    name: user.name,
+    verifyToken: token,
+    expiresAt: new Date(expiresAt)
+  };
+}
+
+/**
+ * Send another link to a user who has not verified yet, or to the new
+ * address of an email change still waiting to be confirmed
+ * @returns {Promise<object>} { expiresAt }, plus { pendingEmail } for an email change
+ * @throws {ConflictError} When the email is already verified and no change is pending
+ */
+async function resendVerification(userId) {
+  const result = await query(
+    'SELECT id, name, email, status, email_verified_at FROM users WHERE id = $1',
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  const pending = await query(
+    'SELECT new_email FROM email_verification_tokens WHERE user_id = $1 AND used = false AND new_email IS NOT NULL',
+    [user.id]
+  );
+  if (pending.rows.length > 0) {
+    return requestEmailChange(user, pending.rows[0].new_email);
+  }
+  if (user.email_verified_at) {
+    throw new ConflictError('Email address is already verified');
+  }
+
+  return sendVerification(user);
+}
+
+/**
+ * Verify an email with a token, activating the account if it was pending
+ * and switching to the new address if the token confirms an email change
+ * @param {string} token - Raw verification token
+ * @returns {Promise<object>} { userId, email, activated, changed }
+ * @throws {ConflictError} When another account took the new address meanwhile
+ */
+async function verifyEmail(token) {
+  const hashedToken = hashToken(token);
+
+  const result = await query(
+    `SELECT evt.id, evt.expires_at, evt.new_email, u.id as user_id, u.email
+     FROM email_verification_tokens evt
+     JOIN users u ON evt.user_id = u.id
+     WHERE evt.token_hash = $1 AND evt.used = false`,
+    [hashedToken]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ValidationError('Invalid or expired verification token');
+  }
+
+  const record = result.rows[0];
+  if (new Date(record.expires_at) < new Date()) {
+    throw new ValidationError('Verification token has expired. Request a new one');
+  }
+  if (record.new_email) {
+    await assertEmailAvailable(record.new_email, record.user_id);
+  }
+
+  // Only one request can spend the token
+  const spent = await query(
+    'UPDATE email_verification_tokens SET used = true, used_at = NOW() WHERE id = $1 AND used = false RETURNING id',
+    [record.id]
+  );
+  if (spent.rows.length === 0) {
+    throw new ValidationError('Invalid or expired verification token');
+  }
+
+  const email = record.new_email || record.email;
+  await query(
+    'UPDATE users SET email = $2, email_verified_at = NOW(), updated_at = NOW() WHERE id = $1',
+    [record.user_id, email]
+  );
+
+  // Suspended or deactivated accounts stay that way
+  const activated = await query(
+    `UPDATE users SET status = 'active', updated_at = NOW()
+     WHERE id = $1 AND status = $2
+     RETURNING status`,
+    [record.user_id, PENDING_VERIFICATION]
+  );
+
+  return {
+    userId: record.user_id,
+    email,
+    activated: activated.rows.length > 0,
+    changed: email !== record.email
+  };
+}
+
+/**
+ * Clean up expired verification tokens
+ */
+async function cleanupExpiredTokens() {
+  const result = await query(
+    'DELETE FROM email_verification_tokens WHERE expires_at < NOW()',
+    []
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  PENDING_VERIFICATION,
+  SIGN_IN_STATUSES,
+  VERIFICATION_EMAIL_JOB,
+  createVerificationToken,
+  sendVerification,
+  requestEmailChange,
+  prepareVerificationEmail,
+  resendVerification,
+  verifyEmail,
+  cleanupExpiredTokens,
+  hashToken
+};
@@ -0,0 +1,330 @@
+/**
+ * Data Export Service
+ * Streams influencers, campaigns, data model records and campaign rosters as
+ * CSV, NDJSON or XLSX, with column selection and the list endpoints' filters
+ */
+
+const { query, streamQuery } = require('../database');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+const {
+  buildInfluencerFilters,
+  buildInfluencerSort,
+  buildCampaignFilters,
+  buildWhereClause
+} = require('./filters');
+const ownership = require('./ownership');
+const workspaces = require('./workspaces');
+const { formatCsvRow } = require('../utils/csv');
+const { writeXlsx } = require('../utils/xlsx');
+const { writeChunk } = require('../utils/stream');
+
+const BATCH_SIZE = 500;
+
+// Column types drive XLSX cell formatting: text, number, date or json
+const INFLUENCER_COLUMNS = {
+  id: 'text',
+  name: 'text',
+  email: 'text',
+  username: 'text',
+  platform: 'text',
+  profile_url: 'text',
+  followers: 'number',
+  engagement_rate: 'number',
+  location: 'text',
+  bio: 'text',
+  category: 'text',
+  tags: 'json',
+  notes: 'text',
+  status: 'text',
+  created_at: 'date',
+  updated_at: 'date'
+};
+
+const CAMPAIGN_COLUMNS = {
+  id: 'text',
+  name: 'text',
+  description: 'text',
+  platform: 'text',
+  status: 'text',
+  start_date: 'date',
+  end_date: 'date',
+  budget: 'number',
+  currency: 'text',
+  goals: 'text',
+  target_audience: 'text',
+  notes: 'text',
+  created_by: 'text',
+  created_at: 'date',
+  updated_at: 'date'
+};
+
+const MODEL_DATA_COLUMNS = {
+  id: 'text',
+  model_id: 'text',
+  data: 'json',
+  created_by: 'text',
+  created_at: 'date'
+};
+
+const FIELD_TYPES = {
+  number: 'number',
+  integer: 'number',
+  date: 'date'
+};
+
+// Build { name: { type, sql } } column definitions for a table
+function tableColumns(types, alias) {
+  const columns = {};
+  for (const [name, type] of Object.entries(types)) {
+    columns[name] = { type, sql: alias ? `${alias}.${name}` : name };
+  }
+  return columns;
+}
+
+const ROSTER_INFLUENCER_FIELDS = [
+  'name', 'email', 'username', 'platform', 'profile_url', 'followers',
+  'engagement_rate', 'location', 'bio', 'category', 'tags', 'status'
+];
+
+// Campaign roster rows: the influencer plus their participation in the campaign
+const ROSTER_COLUMNS = {
+  influencer_id: { type: 'text', sql: 'i.id' },
+  ...tableColumns(Object.fromEntries(ROSTER_INFLUENCER_FIELDS.map(name => [name, INFLUENCER_COLUMNS[name]])), 'i'),
+  participation_status: { type: 'text', sql: 'ci.status' },
+  joined_at: { type: 'date', sql: 'ci.joined_at' }
+};
+
+/**
+ * Export datasets
+ * prepare(params) resolves the columns available for the request and the
+ * FROM/WHERE/ORDER BY part of the query; values are its bind parameters.
+ */
+const DATASETS = {
+  influencers: {
+    async prepare(params) {
+      const { filters, values, paramIndex } = buildInfluencerFilters(params);
+      const access = ownership.buildAccessFilters(params.user, 'influencer', { paramIndex });
+      return {
+        columns: tableColumns(INFLUENCER_COLUMNS),
+        from: `FROM influencers ${buildWhereClause([...filters, ...access.filters])} ORDER BY ${buildInfluencerSort(params)}, id`,
+        values: [...values, ...access.values]
+      };
+    }
+  },
+
+  campaigns: {
+    async prepare(params) {
+      const { filters, values, paramIndex } = buildCampaignFilters(params);
+      const access = ownership.buildAccessFilters(params.user, 'campaign', { paramIndex });
+      return {
+        columns: tableColumns(CAMPAIGN_COLUMNS),
+        from: `FROM campaigns ${buildWhereClause([...filters, ...access.filters])} ORDER BY created_at DESC, id`,
+        values: [...values, ...access.values]
+      };
+    }
+  },
+
+  model_data: {
+    async prepare(params) {
+      if (params.user) {
+        await ownership.findAccessible(params.user, 'model', params.modelId);
+      }
+      const model = await query('SELECT id, name, schema FROM data_models WHERE id = $1', [params.modelId]);
+      if (model.rows.length === 0) {
+        throw new NotFoundError('Data Model');
+      }
+
+      // Each field declared in the model schema becomes a data.<field> column
+      const schema = typeof model.rows[0].schema === 'string' ? JSON.parse(model.rows[0].schema) : model.rows[0].schema;
+      const fields = (schema && Array.isArray(schema.fields) ? schema.fields : [])
+        .filter(field => field && /^\w+$/.test(field.name));
+
+      const columns = tableColumns(MODEL_DATA_COLUMNS);
+      for (const field of fields) {
+        columns[`data.${field.name}`] = { type: FIELD_TYPES[field.type] || 'text', sql: `data->'${field.name}'` };
+      }
+
+      return {
+        columns,
+        defaultColumns: fields.length > 0
+          ? ['id', 'created_at', ...fields.map(field => `data.${field.name}`)]
+          : Object.keys(MODEL_DATA_COLUMNS),
+        from: 'FROM model_data WHERE model_id = $1 ORDER BY created_at DESC, id',
+        values: [params.modelId],
+        name: model.rows[0].name
+      };
+    }
+  },
+
+  campaign_roster: {
+    async prepare(params) {
+      if (params.user) {
+        await ownership.findAccessible(params.user, 'campaign', params.campaignId);
+      }
+      const campaign = await query('SELECT id, name FROM campaigns WHERE id = $1', [params.campaignId]);
+      if (campaign.rows.length === 0) {
+        throw new NotFoundError('Campaign');
+      }
+
+      const { filters, values } = buildInfluencerFilters(params, { alias: 'i', paramIndex: 2 });
+      return {
+        columns: ROSTER_COLUMNS,
+        from: `FROM campaign_influencers ci
+               JOIN influencers i ON i.id = ci.influencer_id
+               ${buildWhereClause(['ci.campaign_id = $1', 'i.deleted_at IS NULL', ...filters])}
+               ORDER BY ci.joined_at DESC, i.id`,
+        values: [params.campaignId, ...values],
+        name: campaign.rows[0].name
+      };
+    }
+  },
+
+  // Record counts per table (the original export without a type), within
+  // the user's workspace and leaving out the trash
+  summary: {
+    async prepare(params) {
+      const workspaceId = params.user ? workspaces.activeWorkspaceId(params.user) : null;
+      const scope = workspaceId ? 'WHERE workspace_id = $1' : '';
+      const recordScope = workspaceId ? 'WHERE workspace_id = $1 AND deleted_at IS NULL' : 'WHERE deleted_at IS NULL';
+      return {
+        columns: {
+          type: { type: 'text', sql: 'type' },
+          count: { type: 'number', sql: 'count' }
+        },
+        from: `FROM (
+          SELECT 'influencers' as type, COUNT(*) as count FROM influencers ${recordScope}
+          UNION ALL
+          SELECT 'campaigns' as type, COUNT(*) as count FROM campaigns ${recordScope}
+          UNION ALL
+          SELECT 'users' as type, COUNT(*) as count FROM ${workspaceId ? 'workspace_members' : 'users'} ${scope}
+          UNION ALL
+          SELECT 'models' as type, COUNT(*) as count FROM data_models ${recordScope}
+        ) counts`,
+        values: workspaceId ? [workspaceId] : []
+      };
+    }
+  }
+};
+
+async function* csvLines(columns, batches) {
+  yield formatCsvRow(columns.map(column => column.name));
+  for await (const rows of batches) {
+    yield rows.map(formatCsvRow).join('');
+  }
+}
+
+async function* ndjsonLines(columns, batches) {
+  for await (const rows of batches) {
+    yield rows.map(values => {
+      const record = {};
+      columns.forEach((column, i) => {
+        record[column.name] = values[i] === undefined ? null : values[i];
+      });
+      return `${JSON.stringify(record)}\n`;
+    }).join('');
+  }
+}
+
+// Write every chunk of an async iterable, respecting backpressure
+async function pipeLines(output, lines) {
+  for await (const chunk of lines) {
+    if (chunk) {
+      await writeChunk(output, chunk);
+    }
+  }
+}
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    write: (output, columns, batches) => pipeLines(output, csvLines(columns, batches))
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    write: (output, columns, batches) => pipeLines(output, ndjsonLines(columns, batches))
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    write: (output, columns, batches, plan) => writeXlsx(output, columns, batches, { sheetName: plan.name || plan.type })
+  }
+};
+
+// Resolve the requested column list against the dataset's columns
+function selectColumns(available, requested, defaults) {
+  if (!requested) {
+    return defaults || Object.keys(available);
+  }
+
+  const names = [...new Set(requested.split(',').map(name => name.trim()).filter(Boolean))];
+  const unknown = names.filter(name => !available[name]);
+
+  if (names.length === 0 || unknown.length > 0) {
+    throw new ValidationError(
+      unknown.length > 0 ? `Unknown export column(s): ${unknown.join(', ')}` : 'No export columns selected',
+      [{ field: 'columns', allowed: Object.keys(available) }]
+    );
+  }
+  return names;
+}
+
+/**
+ * Plan an export: resolve the dataset, columns and query
+ * Runs before anything is written so lookup and validation errors can still
+ * be returned as JSON.
+ * @param {string} type - Dataset name (see DATASETS)
+ * @param {object} params - Filters, `columns`, `modelId` / `campaignId`, and the
+ *   `user` whose records to export (see services/ownership)
+ * @returns {Promise<object>} Export plan for writeExport
+ */
+async function prepareExport(type, params = {}) {
+  const dataset = DATASETS[type];
+  if (!dataset) {
+    throw new ValidationError(`Unknown export type "${type}"`);
+  }
+
+  const prepared = await dataset.prepare(params);
+  const names = selectColumns(prepared.columns, params.columns, prepared.defaultColumns);
+  const columns = names.map(name => ({ name, type: prepared.columns[name].type }));
+
+  // Positional aliases keep dotted column names out of the SQL
+  const select = names.map((name, i) => `${prepared.columns[name].sql} AS c${i}`).join(', ');
+
+  return {
+    type,
+    name: prepared.name,
+    columns,
+    text: `SELECT ${select} ${prepared.from}`,
+    values: prepared.values
+  };
+}
+
+/**
+ * Stream a planned export to a writable stream (typically the response)
+ * @param {object} plan - Result of prepareExport
+ * @param {string} format - csv, ndjson or xlsx
+ * @param {import('stream').Writable} output - Destination stream
+ */
+async function writeExport(plan, format, output) {
+  const writer = FORMATS[format];
+  if (!writer) {
+    throw new ValidationError(`Unsupported export format "${format}"`);
+  }
+
+  async function* batches() {
+    for await (const rows of streamQuery(plan.text, plan.values, { batchSize: BATCH_SIZE })) {
+      yield rows.map(row => plan.columns.map((column, i) => row[`c${i}`]));
+    }
+  }
+
+  await writer.write(output, plan.columns, batches(), plan);
+}
+
+module.exports = {
+  DATASETS,
+  FORMATS,
+  prepareExport,
+  writeExport
+};
@@ -0,0 +1,118 @@
+/**
+ * List Filters
+ * Builds the WHERE/ORDER BY clauses shared by list endpoints and exports
+ */
+
+const INFLUENCER_SORT_FIELDS = ['name', 'followers', 'engagement_rate', 'created_at', 'updated_at'];
+
+// Qualify a column with an optional table alias
+function qualify(alias, column) {
+  return alias ? `${alias}.${column}` : column;
+}
+
+/**
+ * Influencer list filters (search, platform, category, status, minFollowers, maxFollowers)
+ * @param {object} params - Query string parameters
+ * @param {object} [options] - { alias, paramIndex }
+ * @returns {{ filters: string[], values: Array, paramIndex: number }}
+ */
+function buildInfluencerFilters(params, { alias, paramIndex = 1 } = {}) {
+  const filters = [];
+  const values = [];
+  const column = name => qualify(alias, name);
+
+  if (params.search) {
+    filters.push(`(${column('name')} ILIKE $${paramIndex} OR ${column('username')} ILIKE $${paramIndex} OR ${column('email')} ILIKE $${paramIndex})`);
+    values.push(`%${params.search}%`);
+    paramIndex++;
+  }
+
+  if (params.platform) {
+    filters.push(`${column('platform')} = $${paramIndex}`);
+    values.push(params.platform);
+    paramIndex++;
+  }
+
+  if (params.category) {
+    filters.push(`${column('category')} = $${paramIndex}`);
+    values.push(params.category);
+    paramIndex++;
+  }
+
+  if (params.status) {
+    filters.push(`${column('status')} = $${paramIndex}`);
+    values.push(params.status);
+    paramIndex++;
+  }
+
+  if (params.minFollowers) {
+    filters.push(`${column('followers')} >= $${paramIndex}`);
+    values.push(parseInt(params.minFollowers));
+    paramIndex++;
+  }
+
+  if (params.maxFollowers) {
+    filters.push(`${column('followers')} <= $${paramIndex}`);
+    values.push(parseInt(params.maxFollowers));
+    paramIndex++;
+  }
+
+  return { filters, values, paramIndex };
+}
+
+/**
+ * Influencer list ordering (sortBy, sortOrder), defaulting to newest first
+ * @param {object} params - Query string parameters
+ * @param {object} [options] - { alias }
+ * @returns {string} ORDER BY expression
+ */
+function buildInfluencerSort(params, { alias } = {}) {
+  const sortField = INFLUENCER_SORT_FIELDS.includes(params.sortBy) ? params.sortBy : 'created_at';
+  const sortOrder = params.sortOrder === 'asc' ? 'ASC' : 'DESC';
+  return `${qualify(alias, sortField)} ${sortOrder}`;
+}
+
+/**
+ * Campaign list filters (search, platform, status)
+ * @param {object} params - Query string parameters
+ * @param {object} [options] - { alias, paramIndex }
+ * @returns {{ filters: string[], values: Array, paramIndex: number }}
+ */
+function buildCampaignFilters(params, { alias, paramIndex = 1 } = {}) {
+  const filters = [];
+  const values = [];
+  const column = name => qualify(alias, name);
+
+  if (params.search) {
+    filters.push(`(${column('name')} ILIKE $${paramIndex} OR ${column('description')} ILIKE $${paramIndex})`);
+    values.push(`%${params.search}%`);
+    paramIndex++;
+  }
+
+  if (params.platform) {
+    filters.push(`${column('platform')} = $${paramIndex}`);
+    values.push(params.platform);
+    paramIndex++;
+  }
+
+  if (params.status) {
+    filters.push(`${column('status')} = $${paramIndex}`);
+    values.push(params.status);
+    paramIndex++;
+  }
+
+  return { filters, values, paramIndex };
+}
+
+// Join filters into a WHERE clause (empty when there are none)
+function buildWhereClause(filters) {
+  return filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+}
+
+module.exports = {
+  INFLUENCER_SORT_FIELDS,
+  buildInfluencerFilters,
+  buildInfluencerSort,
+  buildCampaignFilters,
+  buildWhereClause
+};
@@ -0,0 +1,638 @@
+/**
+ * Job Queue
+ * Background work such as sending emails and cleanups runs as jobs instead
+ * of inside requests. A job is enqueued with a name and JSON data, picked up
+ * by the worker once due, and retried with exponential backoff when its
+ * handler throws. A job that runs out of attempts is dead-lettered: kept with
+ * its last error until an admin retries or cancels it. Schedules enqueue
+ * recurring jobs every so many milliseconds or on a cron expression.
+ *
+ * Jobs are kept in process memory, or in Redis when the `redis` config block
+ * enables it so every app instance shares the queue and each scheduled run
+ * is enqueued once. Each instance runs at most `jobs.concurrency` jobs at a
+ * time, and a job type can set a lower limit of its own.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { nextCronRun, parseCron } = require('../utils/cron');
+const { createRedisClient } = require('./redisClient');
+const { NotFoundError, ConflictError } = require('../middleware/error');
+
+const JOB_STATUS = {
+  WAITING: 'waiting',
+  ACTIVE: 'active',
+  COMPLETED: 'completed',
+  DEAD: 'dead',
+  CANCELLED: 'cancelled'
+};
+
+const HOUR = 60 * 60 * 1000;
+
+// How long a scheduled run's key blocks the same run being enqueued again
+const SCHEDULE_KEY_TTL = 24 * HOUR;
+
+// Due jobs looked at per poll, enough to get past types at their limit
+const DUE_BATCH = 100;
+
+const copy = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-process store; jobs are per instance and lost on restart
+ */
+function createMemoryStore() {
+  const jobs = new Map();
+  const uniqueKeys = new Map();
+
+  return {
+    async add(job, { uniqueKey, uniqueTtl } = {}) {
+      if (uniqueKey) {
+        const now = Date.now();
+        for (const [key, expiresAt] of uniqueKeys) {
+          if (expiresAt <= now) uniqueKeys.delete(key);
+        }
+        if (uniqueKeys.has(uniqueKey)) {
+          return false;
+        }
+        uniqueKeys.set(uniqueKey, now + uniqueTtl);
+      }
+      jobs.set(job.id, copy(job));
+      return true;
+    },
+
+    async save(job) {
+      jobs.set(job.id, copy(job));
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? copy(job) : null;
+    },
+
+    async dueIds(now, count) {
+      return [...jobs.values()]
+        .filter(job => job.status === JOB_STATUS.WAITING && Date.parse(job.run_at) <= now)
+        .sort((a, b) => Date.parse(a.run_at) - Date.parse(b.run_at))
+        .slice(0, count)
+        .map(job => job.id);
+    },
+
+    // Take a waiting job off the queue; null when it is no longer waiting
+    async take(id) {
+      const job = jobs.get(id);
+      if (!job || job.status !== JOB_STATUS.WAITING) {
+        return null;
+      }
+      job.status = JOB_STATUS.ACTIVE;
+      return copy(job);
+    },
+
+    // Every job, newest first
+    async list() {
+      return [...jobs.values()]
+        .sort((a, b) => Date.parse(b.created_at) - Date.parse(a.created_at))
+        .map(copy);
+    },
+
+    async remove(ids) {
+      ids.forEach(id => jobs.delete(id));
+    },
+
+    async clear() {
+      jobs.clear();
+      uniqueKeys.clear();
+    }
+  };
+}
+
+/**
+ * Redis store. Needs the optional `redis` package (node-redis 4).
+ * Waiting jobs sit in a sorted set scored by when they are due; removing a
+ * job from it is what claims it, so only one instance runs each job.
+ */
+function createRedisStore(redisConfig) {
+  const { client, ready } = createRedisClient(redisConfig);
+  const prefix = 'influencerium:jobs:';
+  const dueKey = `${prefix}due`;
+  const indexKey = `${prefix}index`;
+  const jobKey = id => `${prefix}job:${id}`;
+
+  const get = async (id) => {
+    await ready;
+    const value = await client.get(jobKey(id));
+    return value ? JSON.parse(value) : null;
+  };
+
+  const save = async (job) => {
+    await ready;
+    await client.set(jobKey(job.id), JSON.stringify(job));
+    if (job.status === JOB_STATUS.WAITING) {
+      await client.zAdd(dueKey, { score: Date.parse(job.run_at), value: job.id });
+    } else {
+      await client.zRem(dueKey, job.id);
+    }
+  };
+
+  return {
+    async add(job, { uniqueKey, uniqueTtl } = {}) {
+      await ready;
+      if (uniqueKey) {
+        const reserved = await client.set(`${prefix}unique:${uniqueKey}`, job.id, { NX: true, PX: uniqueTtl });
+        if (reserved === null) {
+          return false;
+        }
+      }
+      await client.zAdd(indexKey, { score: Date.parse(job.created_at), value: job.id });
+      await save(job);
+      return true;
+    },
+
+    save,
+    get,
+
+    async dueIds(now, count) {
+      await ready;
+      return client.zRange(dueKey, 0, now, { BY: 'SCORE', LIMIT: { offset: 0, count } });
+    },
+
+    async take(id) {
+      await ready;
+      if (await client.zRem(dueKey, id) === 0) {
+        return null;
+      }
+      const job = await get(id);
+      return job && { ...job, status: JOB_STATUS.ACTIVE };
+    },
+
+    async list() {
+      await ready;
+      const ids = await client.zRange(indexKey, 0, -1, { REV: true });
+      if (ids.length === 0) {
+        return [];
+      }
+      const values = await client.mGet(ids.map(jobKey));
+      return values.filter(Boolean).map(value => JSON.parse(value));
+    },
+
+    async remove(ids) {
+      await ready;
+      if (ids.length > 0) {
+        await client.del(ids.map(jobKey));
+        await client.zRem(indexKey, ids);
+        await client.zRem(dueKey, ids);
+      }
+    },
+
+    async clear() {
+      await ready;
+      const keys = await client.keys(`${prefix}*`);
+      if (keys.length > 0) {
+        await client.del(keys);
+      }
+    }
+  };
+}
+
+let store = null;
+
+/**
+ * The shared store, created on first use
+ */
+function getStore() {
+  if (!store) {
+    store = config.redis && config.redis.enabled ? createRedisStore(config.redis) : createMemoryStore();
+  }
+  return store;
+}
+
+// Job types by name: { handler, maxAttempts, retryDelay, concurrency }
+const definitions = new Map();
+// Recurring runs by job name: { name, every, cron, data, runAtStart, nextRunAt }
+const schedules = new Map();
+// Jobs running in this instance, and how many of each type
+const running = new Map();
+const runningByName = new Map();
+
+let timer = null;
+let polling = false;
+
+/**
+ * Register the handler for a type of job
+ * @param {string} name - Job name, e.g. "email.send"
+ * @param {Function} handler - async (data, job) => result; throw to retry
+ * @param {object} [options] - { maxAttempts, retryDelay, concurrency } overriding the `jobs` config
+ */
+function defineJob(name, handler, options = {}) {
+  definitions.set(name, { handler, ...options });
+}
+
+/**
+ * Add a job to the queue
+ * @param {string} name - A defined job name
+ * @param {object} [data] - JSON data passed to the handler
+ * @param {object} [options] - { delay, runAt, maxAttempts, uniqueKey, uniqueTtl, schedule }
+ * @returns {Promise<object|null>} The job, or null when uniqueKey was already used
+ */
+async function enqueue(name, data = {}, options = {}) {
+  const definition = definitions.get(name);
+  if (!definition) {
+    throw new Error(`Unknown job "${name}"`);
+  }
+
+  const now = new Date();
+  const runAt = options.runAt ? new Date(options.runAt) : new Date(now.getTime() + (options.delay || 0));
+  const job = {
+    id: crypto.randomUUID(),
+    name,
+    data,
+    status: JOB_STATUS.WAITING,
+    attempts: 0,
+    max_attempts: options.maxAttempts || definition.maxAttempts || config.jobs.max_attempts,
+    run_at: runAt.toISOString(),
+    schedule: options.schedule || null,
+    result: null,
+    last_error: null,
+    created_at: now.toISOString(),
+    started_at: null,
+    finished_at: null
+  };
+
+  const added = await getStore().add(job, { uniqueKey: options.uniqueKey, uniqueTtl: options.uniqueTtl || SCHEDULE_KEY_TTL });
+  if (!added) {
+    return null;
+  }
+
+  // Start it straight away when the worker has room
+  if (timer) {
+    setImmediate(poll);
+  }
+  return job;
+}
+
+/**
+ * Delay before retrying a job that has failed this many times
+ */
+function retryDelay(definition, attempts) {
+  const base = definition.retryDelay !== undefined ? definition.retryDelay : config.jobs.retry_base_delay;
+  return base * Math.pow(2, attempts - 1);
+}
+
+// Run a claimed job and record how it went
+async function run(job) {
+  const definition = definitions.get(job.name);
+  const started = { ...job, status: JOB_STATUS.ACTIVE, attempts: job.attempts + 1, started_at: new Date().toISOString() };
+  await getStore().save(started);
+
+  let finished;
+  try {
+    if (!definition) {
+      throw new Error(`No handler is defined for job "${job.name}"`);
+    }
+    const result = await definition.handler(started.data, started);
+    finished = {
+      ...started,
+      status: JOB_STATUS.COMPLETED,
+      result: result === undefined ? null : result,
+      last_error: null,
+      finished_at: new Date().toISOString()
+    };
+  } catch (error) {
+    if (definition && started.attempts < started.max_attempts) {
+      finished = {
+        ...started,
+        status: JOB_STATUS.WAITING,
+        last_error: error.message,
+        run_at: new Date(Date.now() + retryDelay(definition, started.attempts)).toISOString()
+      };
+    } else {
+      finished = { ...started, status: JOB_STATUS.DEAD, last_error: error.message, finished_at: new Date().toISOString() };
+      console.error(`Job ${job.name} (${job.id}) dead-lettered after ${started.attempts} attempt(s):`, error.message);
+    }
+  }
+
+  await getStore().save(finished);
+  return finished;
+}
+
+function hasRoom(name) {
+  if (running.size >= config.jobs.concurrency) {
+    return false;
+  }
+  const definition = definitions.get(name);
+  const limit = definition && definition.concurrency;
+  return !limit || (runningByName.get(name) || 0) < limit;
+}
+
+// Claim and start due jobs while this instance has room for them
+async function startDueJobs() {
+  if (running.size >= config.jobs.concurrency) {
+    return;
+  }
+
+  const ids = await getStore().dueIds(Date.now(), DUE_BATCH);
+  for (const id of ids) {
+    if (running.size >= config.jobs.concurrency) {
+      break;
+    }
+    const waiting = await getStore().get(id);
+    if (!waiting || !hasRoom(waiting.name)) {
+      continue;
+    }
+    const job = await getStore().take(id);
+    if (!job) {
+      continue;
+    }
+
+    runningByName.set(job.name, (runningByName.get(job.name) || 0) + 1);
+    const execution = run(job)
+      .catch(error => console.error(`Job ${job.name} (${job.id}) could not be recorded:`, error.message))
+      .finally(() => {
+        running.delete(job.id);
+        runningByName.set(job.name, runningByName.get(job.name) - 1);
+        if (timer) {
+          setImmediate(poll);
+        }
+      });
+    running.set(job.id, execution);
+  }
+}
+
+// When a schedule runs next after the given time
+function nextRun(schedule, from) {
+  if (schedule.every) {
+    return new Date((Math.floor(from.getTime() / schedule.every) + 1) * schedule.every);
+  }
+  return nextCronRun(schedule.cron, from);
+}
+
+/**
+ * Run a job on a schedule
+ * Each run is enqueued once even with several instances polling.
+ * @param {string} name - A defined job name
+ * @param {object} options - { every } in milliseconds or { cron }, plus { data, runAtStart }
+ */
+function schedule(name, { every, cron, data = {}, runAtStart = false }) {
+  if (!every && !cron) {
+    throw new Error(`Schedule for "${name}" needs every or cron`);
+  }
+  if (cron) {
+    parseCron(cron);
+  }
+  const entry = { name, every: every || null, cron: cron || null, data, runAtStart };
+  entry.nextRunAt = nextRun(entry, new Date());
+  schedules.set(name, entry);
+}
+
+/**
+ * Enqueue every scheduled run that is due
+ * @param {Date} [now] - Defaults to now
+ * @returns {Promise<number>} Runs enqueued
+ */
+async function runSchedules(now = new Date()) {
+  let enqueued = 0;
+  for (const entry of schedules.values()) {
+    if (!entry.nextRunAt || entry.nextRunAt > now) {
+      continue;
+    }
+    const slot = entry.nextRunAt;
+    entry.nextRunAt = nextRun(entry, now);
+    const job = await enqueue(entry.name, entry.data, {
+      runAt: slot,
+      schedule: entry.name,
+      uniqueKey: `schedule:${entry.name}:${slot.getTime()}`
+    });
+    if (job) {
+      enqueued++;
+    }
+  }
+  return enqueued;
+}
+
+/**
+ * Schedules with when each runs next
+ */
+function listSchedules() {
+  return [...schedules.values()].map(entry => ({
+    name: entry.name,
+    every: entry.every,
+    cron: entry.cron,
+    next_run_at: entry.nextRunAt
+  }));
+}
+
+async function poll() {
+  if (polling) {
+    return;
+  }
+  polling = true;
+  try {
+    await runSchedules();
+    await startDueJobs();
+  } catch (error) {
+    console.error('Job queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+}
+
+/**
+ * Start the worker and the schedules in this instance
+ */
+function start() {
+  if (timer) {
+    return;
+  }
+
+  const now = new Date();
+  for (const entry of schedules.values()) {
+    entry.nextRunAt = nextRun(entry, now);
+    if (entry.runAtStart) {
+      enqueue(entry.name, entry.data, { schedule: entry.name })
+        .catch(error => console.error(`Failed to enqueue ${entry.name}:`, error.message));
+    }
+  }
+
+  timer = setInterval(poll, config.jobs.poll_interval);
+  timer.unref();
+  setImmediate(poll);
+}
+
+/**
+ * Stop taking new jobs and wait for the running ones to finish
+ */
+async function stop() {
+  clearInterval(timer);
+  timer = null;
+  await Promise.all(running.values());
+}
+
+/**
+ * Run due jobs until none are due or running, including retries that fall
+ * due meanwhile. Used by tests and scripts that need the queue emptied.
+ */
+async function drain() {
+  for (;;) {
+    await startDueJobs();
+    if (running.size === 0) {
+      return;
+    }
+    await Promise.all(running.values());
+  }
+}
+
+// Data keys whose values are hidden when jobs are shown to admins
+const SECRET_KEY = /token|secret|password|code/i;
+
+function redactData(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactData);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+      key,
+      SECRET_KEY.test(key) && item !== null && item !== undefined ? '[redacted]' : redactData(item)
+    ]));
+  }
+  return value;
+}
+
+/**
+ * A job as shown to admins, with anything in its data that looks like a
+ * token, secret, password or code replaced by "[redacted]"
+ */
+function redactJob(job) {
+  return { ...job, data: redactData(job.data) };
+}
+
+/**
+ * Jobs, newest first, with how many there are in each status
+ * @param {object} filters - { status, name }
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { jobs, counts, pagination }
+ */
+async function listJobs({ status, name } = {}, { page = 1, limit = 50 } = {}) {
+  const all = await getStore().list();
+  const counts = Object.fromEntries(Object.values(JOB_STATUS).map(value => [value, 0]));
+  all.forEach(job => { counts[job.status]++; });
+
+  const matching = all.filter(job => (!status || job.status === status) && (!name || job.name === name));
+
+  return {
+    jobs: matching.slice((page - 1) * limit, page * limit),
+    counts,
+    pagination: {
+      page,
+      limit,
+      total: matching.length,
+      pages: Math.ceil(matching.length / limit)
+    }
+  };
+}
+
+/**
+ * One job
+ * @throws {NotFoundError} When there is no such job
+ */
+async function getJob(id) {
+  const job = await getStore().get(id);
+  if (!job) {
+    throw new NotFoundError('Job');
+  }
+  return job;
+}
+
+/**
+ * Put a dead-lettered or cancelled job back on the queue with fresh attempts
+ */
+async function retryJob(id) {
+  const job = await getJob(id);
+  if (job.status !== JOB_STATUS.DEAD && job.status !== JOB_STATUS.CANCELLED) {
+    throw new ConflictError('Only dead or cancelled jobs can be retried');
+  }
+
+  const retried = {
+    ...job,
+    status: JOB_STATUS.WAITING,
+    attempts: 0,
+    run_at: new Date().toISOString(),
+    finished_at: null
+  };
+  await getStore().save(retried);
+  if (timer) {
+    setImmediate(poll);
+  }
+  return retried;
+}
+
+/**
+ * Take a waiting job off the queue so it never runs
+ */
+async function cancelJob(id) {
+  await getJob(id);
+  const job = await getStore().take(id);
+  if (!job) {
+    throw new ConflictError('Only waiting jobs can be cancelled');
+  }
+
+  const cancelled = { ...job, status: JOB_STATUS.CANCELLED, finished_at: new Date().toISOString() };
+  await getStore().save(cancelled);
+  return cancelled;
+}
+
+/**
+ * Remove finished jobs past the retention period, and requeue jobs that
+ * have been running so long their instance has probably gone away
+ * @returns {Promise<object>} { pruned, recovered }
+ */
+async function maintain() {
+  const now = Date.now();
+  const retainedSince = now - config.jobs.retention_hours * HOUR;
+  const stalledSince = now - config.jobs.stalled_after;
+  const jobs = await getStore().list();
+
+  const expired = jobs.filter(job =>
+    (job.status === JOB_STATUS.COMPLETED || job.status === JOB_STATUS.CANCELLED) &&
+    Date.parse(job.finished_at) < retainedSince
+  );
+  await getStore().remove(expired.map(job => job.id));
+
+  const stalled = jobs.filter(job =>
+    job.status === JOB_STATUS.ACTIVE && !running.has(job.id) && Date.parse(job.started_at) < stalledSince
+  );
+  for (const job of stalled) {
+    const lastError = `Job stalled after running for more than ${Math.round(config.jobs.stalled_after / 1000)} seconds`;
+    await getStore().save(job.attempts < job.max_attempts
+      ? { ...job, status: JOB_STATUS.WAITING, run_at: new Date().toISOString(), last_error: lastError }
+      : { ...job, status: JOB_STATUS.DEAD, last_error: lastError, finished_at: new Date().toISOString() });
+  }
+
+  return { pruned: expired.length, recovered: stalled.length };
+}
+
+/**
+ * Remove every job (tests)
+ */
+async function clear() {
+  await getStore().clear();
+}
+
+module.exports = {
+  JOB_STATUS,
+  createMemoryStore,
+  createRedisStore,
+  defineJob,
+  enqueue,
+  schedule,
+  runSchedules,
+  listSchedules,
+  start,
+  stop,
+  drain,
+  listJobs,
+  getJob,
+  redactJob,
+  retryJob,
+  cancelJob,
+  maintain,
+  clear
+};
@@ -0,0 +1,103 @@
+/**
+ * Background Jobs
+ * The application's job types and the schedules of the recurring ones.
+ * Requiring this module defines them; start() begins running them in this
+ * instance.
+ */
+
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+const emailService = require('./email');
+const sessionService = require('./session');
+const passwordResetService = require('./passwordReset');
+const emailVerification = require('./emailVerification');
+const oidc = require('./oidc');
+const campaignStatus = require('./campaignStatus');
+const trash = require('./trash');
+const webhooks = require('./webhooks');
+const workspaces = require('./workspaces');
+
+const JOBS = {
+  SEND_EMAIL: emailService.EMAIL_JOB,
+  SEND_VERIFICATION_EMAIL: emailVerification.VERIFICATION_EMAIL_JOB,
+  SEND_PASSWORD_RESET_EMAIL: passwordResetService.RESET_EMAIL_JOB,
+  SEND_INVITATION_EMAIL: workspaces.INVITATION_EMAIL_JOB,
+  COMPLETE_ENDED_CAMPAIGNS: 'campaigns.complete_ended',
+  PURGE_TRASH: 'trash.purge',
+  RETRY_WEBHOOKS: 'webhooks.retry',
+  CLEANUP_EXPIRED_AUTH: 'auth.cleanup_expired',
+  MAINTAIN_QUEUE: 'jobs.maintain'
+};
+
+// Send one email with a template from the email service
+async function sendEmail(template, options) {
+  const send = emailService[template];
+  if (typeof send !== 'function') {
+    throw new Error(`Unknown email template "${template}"`);
+  }
+
+  const sent = await send(options);
+  if (sent && sent.success === false) {
+    throw new Error(sent.error || 'The email could not be sent');
+  }
+  return { message_id: (sent && sent.messageId) || null };
+}
+
+jobQueue.defineJob(JOBS.SEND_EMAIL, ({ template, options }) => sendEmail(template, options), { concurrency: 2 });
+
+// Emails with a secret link are queued with references only and the link is
+// created here, so the queue never holds a usable token. Nothing is sent
+// when the link is no longer needed.
+function defineLinkEmail(name, template, prepare) {
+  jobQueue.defineJob(name, async (data) => {
+    const options = await prepare(data);
+    return options ? sendEmail(template, options) : { skipped: true };
+  }, { concurrency: 2 });
+}
+
+defineLinkEmail(JOBS.SEND_VERIFICATION_EMAIL, 'sendVerificationEmail', emailVerification.prepareVerificationEmail);
+defineLinkEmail(JOBS.SEND_PASSWORD_RESET_EMAIL, 'sendPasswordResetEmail', passwordResetService.prepareResetEmail);
+defineLinkEmail(JOBS.SEND_INVITATION_EMAIL, 'sendWorkspaceInvitationEmail', workspaces.prepareInvitationEmail);
+
+jobQueue.defineJob(JOBS.COMPLETE_ENDED_CAMPAIGNS, async () => {
+  const completed = await campaignStatus.completeEndedCampaigns();
+  if (completed > 0) {
+    console.log(`Completed ${completed} campaign(s) past their end date`);
+  }
+  return { completed };
+}, { concurrency: 1, maxAttempts: 1 });
+
+jobQueue.defineJob(JOBS.PURGE_TRASH, async () => {
+  const purged = await trash.purgeExpired();
+  if (purged > 0) {
+    console.log(`Purged ${purged} record(s) from the trash`);
+  }
+  return { purged };
+}, { concurrency: 1, maxAttempts: 1 });
+
+jobQueue.defineJob(JOBS.RETRY_WEBHOOKS, async () => ({
+  attempted: await webhooks.processDueDeliveries()
+}), { concurrency: 1, maxAttempts: 1 });
+
+// Expired sessions and tokens that nothing else removes
+jobQueue.defineJob(JOBS.CLEANUP_EXPIRED_AUTH, async () => ({
+  sessions: await sessionService.cleanupExpiredSessions(),
+  password_reset_tokens: await passwordResetService.cleanupExpiredTokens(),
+  email_verification_tokens: await emailVerification.cleanupExpiredTokens(),
+  oidc_login_states: await oidc.cleanupExpiredStates()
+}), { concurrency: 1 });
+
+jobQueue.defineJob(JOBS.MAINTAIN_QUEUE, () => jobQueue.maintain(), { concurrency: 1, maxAttempts: 1 });
+
+// Recurring jobs; the ones that ran on a timer before also run at startup
+jobQueue.schedule(JOBS.COMPLETE_ENDED_CAMPAIGNS, { every: config.campaigns.auto_complete_interval, runAtStart: true });
+jobQueue.schedule(JOBS.PURGE_TRASH, { every: config.trash.purge_interval, runAtStart: true });
+jobQueue.schedule(JOBS.RETRY_WEBHOOKS, { every: config.webhooks.retry_interval });
+jobQueue.schedule(JOBS.CLEANUP_EXPIRED_AUTH, { cron: config.jobs.cleanup_schedule });
+jobQueue.schedule(JOBS.MAINTAIN_QUEUE, { cron: config.jobs.maintenance_schedule });
+
+module.exports = {
+  JOBS,
+  start: jobQueue.start,
+  stop: jobQueue.stop
+};
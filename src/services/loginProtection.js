@@ -0,0 +1,243 @@
+/**
+ * Login Protection Service
+ * Counts failed login, password reset and email verification attempts per
+ * account and per IP address (wrong two-factor codes count as failed
+ * logins), slows responses as failures pile up and locks the account or IP
+ * for a while once they pass a limit. Account lockouts grow with each one in
+ * a day and are emailed to the owner. Every attempt is audited.
+ *
+ * Accounts are keyed by the email that was tried, whether or not it exists,
+ * so lockouts do not reveal which emails are registered.
+ */
+
+const { query } = require('../database');
+const config = require('../config');
+const counterStore = require('./counterStore');
+const emailService = require('./email');
+const { TooManyRequestsError } = require('../middleware/error');
+
+// What an attempt was for; each has its own counters
+const ATTEMPT_KINDS = {
+  LOGIN: 'login',
+  PASSWORD_RESET: 'password_reset',
+  EMAIL_VERIFICATION: 'email_verification'
+};
+
+// Why an attempt failed
+const FAILURE_REASONS = {
+  UNKNOWN_ACCOUNT: 'unknown_account',
+  INVALID_PASSWORD: 'invalid_password',
+  INVALID_CODE: 'invalid_code',
+  INVALID_TOKEN: 'invalid_token',
+  RESET_REQUESTED: 'reset_requested',
+  VERIFICATION_REQUESTED: 'verification_requested',
+  LOCKED: 'locked'
+};
+
+const MINUTE = 60 * 1000;
+
+// Lockouts in this period make the next one longer
+const LOCKOUT_MEMORY_MS = 24 * 60 * MINUTE;
+
+const keys = (kind, { email, ip }) => ({
+  accountFailures: email && `${kind}:failures:account:${email}`,
+  accountLock: email && `${kind}:lock:account:${email}`,
+  accountLockouts: email && `${kind}:lockouts:account:${email}`,
+  ipFailures: ip && `${kind}:failures:ip:${ip}`,
+  ipLock: ip && `${kind}:lock:ip:${ip}`
+});
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Write an attempt to the audit trail
+ */
+async function audit(kind, { email, ip, userId = null, userAgent = null }, success, reason = null) {
+  await query(
+    `INSERT INTO auth_attempts (kind, email, user_id, ip_address, user_agent, success, reason, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())`,
+    [kind, normalizeEmail(email), userId, ip || null, userAgent, success, reason]
+  );
+}
+
+/**
+ * Throw when the account or IP is locked, auditing the blocked attempt
+ * @param {string} kind - One of ATTEMPT_KINDS
+ * @param {object} attempt - { email, ip, userAgent }
+ * @throws {TooManyRequestsError} With the seconds until the lock ends
+ */
+async function assertNotLocked(kind, attempt) {
+  const store = counterStore.getStore();
+  const k = keys(kind, { email: normalizeEmail(attempt.email), ip: attempt.ip });
+
+  const remaining = Math.max(
+    k.accountLock ? await store.ttl(k.accountLock) : 0,
+    k.ipLock ? await store.ttl(k.ipLock) : 0
+  );
+  if (remaining > 0) {
+    await audit(kind, attempt, false, FAILURE_REASONS.LOCKED);
+    const minutes = Math.ceil(remaining / MINUTE);
+    throw new TooManyRequestsError(
+      `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`,
+      Math.ceil(remaining / 1000)
+    );
+  }
+}
+
+/**
+ * Wait before answering once an account or IP has failed a few times
+ */
+async function throttle(kind, attempt) {
+  const { delay } = config.loginProtection;
+  const store = counterStore.getStore();
+  const k = keys(kind, { email: normalizeEmail(attempt.email), ip: attempt.ip });
+
+  const failures = Math.max(
+    k.accountFailures ? await store.get(k.accountFailures) || 0 : 0,
+    k.ipFailures ? await store.get(k.ipFailures) || 0 : 0
+  );
+  if (failures >= delay.after_failures) {
+    await sleep(Math.min(delay.base_ms * 2 ** (failures - delay.after_failures), delay.max_ms));
+  }
+}
+
+/**
+ * Lock an account, longer for each lockout in the past day
+ * @returns {Promise<Date>} When it unlocks
+ */
+async function lockAccount(store, k) {
+  const settings = config.loginProtection.account;
+  const lockouts = await store.increment(k.accountLockouts, LOCKOUT_MEMORY_MS);
+  const minutes = Math.min(settings.lockout_minutes * 2 ** (lockouts - 1), settings.max_lockout_minutes);
+
+  await store.set(k.accountLock, 1, minutes * MINUTE);
+  await store.delete(k.accountFailures);
+  return new Date(Date.now() + minutes * MINUTE);
+}
+
+/**
+ * Tell the owner their account was locked
+ */
+async function notifyLocked(userId, lockedUntil, ip) {
+  const result = await query('SELECT name, email FROM users WHERE id = $1', [userId]);
+  if (result.rows.length === 0) return;
+
+  await emailService.queueEmail('sendAccountLockedEmail', {
+    to: result.rows[0].email,
+    name: result.rows[0].name,
+    lockedUntil,
+    ipAddress: ip
+  });
+}
+
+/**
+ * Count a failed attempt, locking the account or IP when it passes the limit
+ * @param {string} kind - One of ATTEMPT_KINDS
+ * @param {object} attempt - { email, ip, userId, userAgent }
+ * @param {string} reason - One of FAILURE_REASONS
+ * @returns {Promise<object>} { accountLockedUntil } - set when this attempt locked the account
+ */
+async function recordFailure(kind, attempt, reason) {
+  const settings = config.loginProtection;
+  const store = counterStore.getStore();
+  const email = normalizeEmail(attempt.email);
+  const k = keys(kind, { email, ip: attempt.ip });
+  const windowMs = settings.failure_window_minutes * MINUTE;
+
+  await audit(kind, attempt, false, reason);
+
+  let accountLockedUntil = null;
+  if (email && await store.increment(k.accountFailures, windowMs) >= settings.account.max_failures) {
+    accountLockedUntil = await lockAccount(store, k);
+    if (attempt.userId && kind === ATTEMPT_KINDS.LOGIN) {
+      await notifyLocked(attempt.userId, accountLockedUntil, attempt.ip);
+    }
+  }
+
+  if (attempt.ip && await store.increment(k.ipFailures, windowMs) >= settings.ip.max_failures) {
+    await store.set(k.ipLock, 1, settings.ip.lockout_minutes * MINUTE);
+    await store.delete(k.ipFailures);
+  }
+
+  return { accountLockedUntil };
+}
+
+/**
+ * Record a successful attempt and forget the account's failures
+ */
+async function recordSuccess(kind, attempt) {
+  const k = keys(kind, { email: normalizeEmail(attempt.email) });
+  await counterStore.getStore().delete(k.accountFailures);
+  await audit(kind, attempt, true);
+}
+
+/**
+ * An account's current lockout state
+ * @returns {Promise<object>} { locked, locked_until, failed_attempts }
+ */
+async function getAccountStatus(email) {
+  const store = counterStore.getStore();
+  const k = keys(ATTEMPT_KINDS.LOGIN, { email: normalizeEmail(email) });
+  const remaining = await store.ttl(k.accountLock);
+
+  return {
+    locked: remaining > 0,
+    locked_until: remaining > 0 ? new Date(Date.now() + remaining) : null,
+    failed_attempts: await store.get(k.accountFailures) || 0
+  };
+}
+
+/**
+ * Lift an account's lockouts and forget its failures
+ */
+async function unlockAccount(email) {
+  const store = counterStore.getStore();
+  for (const kind of Object.values(ATTEMPT_KINDS)) {
+    const k = keys(kind, { email: normalizeEmail(email) });
+    await store.delete(k.accountFailures, k.accountLock, k.accountLockouts);
+  }
+}
+
+/**
+ * Recent audited attempts for a user, newest first
+ */
+async function listAttempts(userId, { page = 1, limit = 20 } = {}) {
+  const offset = (page - 1) * limit;
+
+  const countResult = await query('SELECT COUNT(*) as count FROM auth_attempts WHERE user_id = $1', [userId]);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT id, kind, email, ip_address, user_agent, success, reason, created_at
+     FROM auth_attempts WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return {
+    attempts: result.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  ATTEMPT_KINDS,
+  FAILURE_REASONS,
+  assertNotLocked,
+  throttle,
+  recordFailure,
+  recordSuccess,
+  getAccountStatus,
+  unlockAccount,
+  listAttempts
+};
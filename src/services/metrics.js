@@ -0,0 +1,428 @@
+/**
+ * Influencer Metrics Service
+ * Records follower/engagement snapshots and derives growth curves, period
+ * deltas and fastest-growing rankings from them
+ */
+
+const { query, transaction } = require('../database');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+
+// Where a snapshot came from
+const SNAPSHOT_SOURCE = {
+  BASELINE: 'baseline',
+  CREATE: 'create',
+  UPDATE: 'update',
+  SNAPSHOT: 'snapshot'
+};
+
+// Bucket sizes for growth curves, with the default look-back for each
+const INTERVALS = {
+  day: 90,
+  week: 26 * 7,
+  month: 365
+};
+
+const RANKING_SORTS = {
+  growth_pct: 'growth_pct',
+  followers_change: 'followers_change',
+  engagement_change: 'engagement_change'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toNumber(value) {
+  return value === null || value === undefined ? null : Number(value);
+}
+
+function percentChange(current, previous) {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+}
+
+function roundRate(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Whether an update changes any tracked metric
+ */
+function metricsChanged(before, after) {
+  if (after.followers !== undefined && Number(after.followers) !== Number(before.followers)) {
+    return true;
+  }
+  return after.engagement_rate !== undefined && Number(after.engagement_rate) !== Number(before.engagement_rate);
+}
+
+/**
+ * Resolve interval/from/to options to a validated range
+ */
+function resolveRange(options = {}) {
+  const interval = options.interval || 'day';
+  if (!INTERVALS[interval]) {
+    throw new ValidationError(`interval must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+  }
+
+  const to = options.to ? new Date(options.to) : new Date();
+  const from = options.from ? new Date(options.from) : new Date(to.getTime() - INTERVALS[interval] * DAY_MS);
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+    throw new ValidationError('from and to must be valid dates with from before to');
+  }
+  return { interval, from, to };
+}
+
+/**
+ * Record a metrics snapshot for one influencer
+ * @param {string} influencerId - Influencer ID
+ * @param {object} metrics - { followers, engagement_rate }
+ * @param {object} options - { source, recordedBy, recordedAt, client }
+ */
+async function recordSnapshot(influencerId, metrics, options = {}) {
+  const db = options.client || { query };
+
+  const result = await db.query(
+    `INSERT INTO influencer_metrics (influencer_id, followers, engagement_rate, source, recorded_by, recorded_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()))
+     RETURNING id, influencer_id, followers, engagement_rate, source, recorded_at`,
+    [
+      influencerId,
+      metrics.followers || 0,
+      metrics.engagement_rate || 0,
+      options.source || SNAPSHOT_SOURCE.UPDATE,
+      options.recordedBy || null,
+      options.recordedAt || null
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Snapshot the current values of every active influencer
+ * @param {object} options - { platform, recordedBy, workspaceId }
+ * @returns {number} Snapshots recorded
+ */
+async function captureSnapshots(options = {}) {
+  const filters = [`status = 'active'`, 'deleted_at IS NULL'];
+  const values = [SNAPSHOT_SOURCE.SNAPSHOT, options.recordedBy || null];
+
+  if (options.platform) {
+    values.push(options.platform);
+    filters.push(`platform = $${values.length}`);
+  }
+
+  if (options.workspaceId) {
+    values.push(options.workspaceId);
+    filters.push(`workspace_id = $${values.length}`);
+  }
+
+  const result = await query(
+    `INSERT INTO influencer_metrics (influencer_id, followers, engagement_rate, source, recorded_by)
+     SELECT id, COALESCE(followers, 0), COALESCE(engagement_rate, 0), $1, $2
+     FROM influencers
+     WHERE ${filters.join(' AND ')}`,
+    values
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Record externally collected snapshots in one transaction
+ * Snapshots without recorded_at are current readings and also update the
+ * influencer's followers/engagement_rate.
+ * @param {Array} snapshots - [{ influencer_id, followers, engagement_rate, recorded_at }]
+ * @param {string} recordedBy - User ID
+ */
+async function recordSnapshots(snapshots, recordedBy) {
+  return transaction(async (client) => {
+    const ids = [...new Set(snapshots.map(snapshot => snapshot.influencer_id))];
+    const existing = await client.query(
+      'SELECT id, followers, engagement_rate FROM influencers WHERE id = ANY($1)',
+      [ids]
+    );
+    const current = new Map(existing.rows.map(row => [row.id, row]));
+
+    const missing = ids.filter(id => !current.has(id));
+    if (missing.length > 0) {
+      throw new NotFoundError(`Influencer ${missing.join(', ')}`);
+    }
+
+    const recorded = [];
+    for (const snapshot of snapshots) {
+      const influencer = current.get(snapshot.influencer_id);
+      const metrics = {
+        followers: snapshot.followers !== undefined ? snapshot.followers : influencer.followers,
+        engagement_rate: snapshot.engagement_rate !== undefined ? snapshot.engagement_rate : influencer.engagement_rate
+      };
+
+      recorded.push(await recordSnapshot(snapshot.influencer_id, metrics, {
+        source: SNAPSHOT_SOURCE.SNAPSHOT,
+        recordedBy,
+        recordedAt: snapshot.recorded_at,
+        client
+      }));
+
+      if (!snapshot.recorded_at && metricsChanged(influencer, snapshot)) {
+        await client.query(
+          'UPDATE influencers SET followers = $1, engagement_rate = $2, updated_at = NOW() WHERE id = $3',
+          [metrics.followers, metrics.engagement_rate, snapshot.influencer_id]
+        );
+        current.set(snapshot.influencer_id, { ...influencer, ...metrics });
+      }
+    }
+
+    return recorded;
+  });
+}
+
+/**
+ * Compare the latest snapshot of each influencer with the latest one at least
+ * `days` old. Influencers without a snapshot that old are left out.
+ */
+async function getPeriodDeltas(options = {}) {
+  const days = options.days || 7;
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const sort = RANKING_SORTS[options.sortBy] || RANKING_SORTS.growth_pct;
+
+  const filters = [`i.status = 'active'`, 'i.deleted_at IS NULL'];
+  const values = [cutoff];
+  let paramIndex = 2;
+
+  if (options.influencerId) {
+    filters.push(`i.id = $${paramIndex}`);
+    values.push(options.influencerId);
+    paramIndex++;
+  }
+
+  if (options.platform) {
+    filters.push(`i.platform = $${paramIndex}`);
+    values.push(options.platform);
+    paramIndex++;
+  }
+
+  if (options.workspaceId) {
+    filters.push(`i.workspace_id = $${paramIndex}`);
+    values.push(options.workspaceId);
+    paramIndex++;
+  }
+
+  let limitClause = '';
+  if (options.limit) {
+    limitClause = `LIMIT $${paramIndex}`;
+    values.push(options.limit);
+  }
+
+  const result = await query(
+    `SELECT i.id, i.name, i.username, i.platform,
+            cur.followers, cur.engagement_rate, cur.recorded_at,
+            prev.followers as previous_followers,
+            prev.engagement_rate as previous_engagement_rate,
+            prev.recorded_at as previous_recorded_at,
+            cur.followers - prev.followers as followers_change,
+            ROUND((cur.followers - prev.followers) * 100.0 / NULLIF(prev.followers, 0), 2) as growth_pct,
+            cur.engagement_rate - prev.engagement_rate as engagement_change
+     FROM influencers i
+     JOIN (
+       SELECT DISTINCT ON (influencer_id) influencer_id, followers, engagement_rate, recorded_at
+       FROM influencer_metrics
+       ORDER BY influencer_id, recorded_at DESC
+     ) cur ON cur.influencer_id = i.id
+     JOIN (
+       SELECT DISTINCT ON (influencer_id) influencer_id, followers, engagement_rate, recorded_at
+       FROM influencer_metrics
+       WHERE recorded_at <= $1
+       ORDER BY influencer_id, recorded_at DESC
+     ) prev ON prev.influencer_id = i.id
+     WHERE ${filters.join(' AND ')}
+     ORDER BY ${sort} DESC NULLS LAST, cur.followers DESC
+     ${limitClause}`,
+    values
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    engagement_rate: toNumber(row.engagement_rate),
+    previous_engagement_rate: toNumber(row.previous_engagement_rate),
+    followers_change: toNumber(row.followers_change),
+    growth_pct: toNumber(row.growth_pct),
+    engagement_change: toNumber(row.engagement_change)
+  }));
+}
+
+/**
+ * Fastest-growing influencers over the last `days` days
+ * @param {object} options - { days = 7, limit = 10, platform, sortBy, workspaceId }
+ */
+async function getGrowthRankings(options = {}) {
+  return getPeriodDeltas({ days: 7, limit: 10, ...options });
+}
+
+/**
+ * Growth curve for one influencer: the last snapshot in each bucket, with
+ * the change from the previous bucket
+ * @param {string} influencerId - Influencer ID
+ * @param {object} options - { interval, from, to }
+ */
+async function getInfluencerHistory(influencerId, options = {}) {
+  const { interval, from, to } = resolveRange(options);
+
+  const result = await query(
+    `SELECT DISTINCT ON (DATE_TRUNC('${interval}', recorded_at))
+            DATE_TRUNC('${interval}', recorded_at) as period,
+            followers, engagement_rate, recorded_at
+     FROM influencer_metrics
+     WHERE influencer_id = $1 AND recorded_at >= $2 AND recorded_at <= $3
+     ORDER BY DATE_TRUNC('${interval}', recorded_at), recorded_at DESC`,
+    [influencerId, from, to]
+  );
+
+  let previous = null;
+  const points = result.rows.map(row => {
+    const point = {
+      period: row.period,
+      followers: row.followers,
+      engagement_rate: toNumber(row.engagement_rate),
+      followers_change: previous ? row.followers - previous.followers : null,
+      growth_pct: previous ? percentChange(row.followers, previous.followers) : null,
+      engagement_change: previous ? roundRate(toNumber(row.engagement_rate) - previous.engagement_rate) : null
+    };
+    previous = point;
+    return point;
+  });
+
+  const [weekOverWeek] = await getPeriodDeltas({ influencerId, days: 7 });
+
+  return {
+    interval,
+    from,
+    to,
+    points,
+    weekOverWeek: weekOverWeek || null
+  };
+}
+
+// Sum each influencer's latest known value per bucket, carrying values forward
+function buildCurve(rows, periods) {
+  const latest = new Map();
+  const byPeriod = new Map();
+  rows.forEach(row => {
+    const key = row.period.getTime();
+    if (!byPeriod.has(key)) byPeriod.set(key, []);
+    byPeriod.get(key).push(row);
+  });
+
+  let previous = null;
+  const points = [];
+  for (const period of periods) {
+    (byPeriod.get(period) || []).forEach(row => latest.set(row.influencer_id, row));
+    if (latest.size === 0) continue;
+
+    const values = [...latest.values()];
+    const totalFollowers = values.reduce((sum, row) => sum + row.followers, 0);
+    const avgEngagement = values.reduce((sum, row) => sum + toNumber(row.engagement_rate), 0) / values.length;
+
+    const point = {
+      period: new Date(period),
+      total_followers: totalFollowers,
+      influencer_count: values.length,
+      avg_engagement: roundRate(avgEngagement),
+      followers_change: previous ? totalFollowers - previous.total_followers : null,
+      growth_pct: previous ? percentChange(totalFollowers, previous.total_followers) : null
+    };
+    points.push(point);
+    previous = point;
+  }
+
+  return points;
+}
+
+/**
+ * Follower growth curves per platform and across all platforms
+ * @param {object} options - { interval, from, to, platform, workspaceId }
+ */
+async function getPlatformGrowth(options = {}) {
+  const { interval, from, to } = resolveRange(options);
+  const filters = ['m.recorded_at <= $1', `i.status = 'active'`, 'i.deleted_at IS NULL'];
+  const values = [to];
+
+  if (options.platform) {
+    values.push(options.platform);
+    filters.push(`i.platform = $${values.length}`);
+  }
+
+  if (options.workspaceId) {
+    values.push(options.workspaceId);
+    filters.push(`i.workspace_id = $${values.length}`);
+  }
+
+  // Snapshots before `from` are kept so the first bucket starts from known values
+  const result = await query(
+    `SELECT DISTINCT ON (m.influencer_id, DATE_TRUNC('${interval}', m.recorded_at))
+            m.influencer_id, i.platform,
+            DATE_TRUNC('${interval}', m.recorded_at) as period,
+            m.followers, m.engagement_rate
+     FROM influencer_metrics m
+     JOIN influencers i ON i.id = m.influencer_id
+     WHERE ${filters.join(' AND ')}
+     ORDER BY m.influencer_id, DATE_TRUNC('${interval}', m.recorded_at), m.recorded_at DESC`,
+    values
+  );
+
+  const start = await query(`SELECT DATE_TRUNC('${interval}', $1::timestamp) as period`, [from]);
+  const startTime = start.rows[0].period.getTime();
+
+  const allPeriods = [...new Set(result.rows.map(row => row.period.getTime()))].sort((a, b) => a - b);
+  const trim = points => points.filter(point => point.period.getTime() >= startTime);
+
+  const platforms = [...new Set(result.rows.map(row => row.platform))].sort();
+  const byPlatform = platforms.map(platform => ({
+    platform,
+    points: trim(buildCurve(result.rows.filter(row => row.platform === platform), allPeriods))
+  }));
+
+  return {
+    interval,
+    from,
+    to,
+    overall: trim(buildCurve(result.rows, allPeriods)),
+    byPlatform
+  };
+}
+
+/**
+ * Week-over-week totals per platform
+ * @param {object} options - { platform, workspaceId }
+ */
+async function getPlatformWeekOverWeek(options = {}) {
+  const deltas = await getPeriodDeltas({ days: 7, platform: options.platform, workspaceId: options.workspaceId });
+  const platforms = new Map();
+
+  deltas.forEach(row => {
+    const entry = platforms.get(row.platform) || { platform: row.platform, followers: 0, previous_followers: 0, influencer_count: 0 };
+    entry.followers += row.followers;
+    entry.previous_followers += row.previous_followers;
+    entry.influencer_count++;
+    platforms.set(row.platform, entry);
+  });
+
+  return [...platforms.values()].map(entry => ({
+    ...entry,
+    followers_change: entry.followers - entry.previous_followers,
+    growth_pct: percentChange(entry.followers, entry.previous_followers)
+  }));
+}
+
+module.exports = {
+  SNAPSHOT_SOURCE,
+  INTERVALS,
+  RANKING_SORTS,
+  metricsChanged,
+  recordSnapshot,
+  recordSnapshots,
+  captureSnapshots,
+  getInfluencerHistory,
+  getPeriodDeltas,
+  getGrowthRankings,
+  getPlatformGrowth,
+  getPlatformWeekOverWeek
+};
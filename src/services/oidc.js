@@ -0,0 +1,396 @@
+/**
+ * OpenID Connect Service
+ * Sign-in with external identity providers such as Google and Microsoft
+ * using the authorization code flow with PKCE. Providers are configured under
+ * `oidc.providers` and found through their discovery documents.
+ *
+ * A provider identity signs in the user it is linked to. The first time one
+ * is seen it is linked to the user with the same email when the provider has
+ * verified that email, or a new user is created for it. Linking to an
+ * account whose email was never verified hands it to the provider's user:
+ * whoever registered it cannot be trusted to own the inbox, so the password,
+ * two-factor setup, API keys and sessions they may hold are dropped.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { query, transaction, hashPassword } = require('../database');
+const config = require('../config');
+const workspaces = require('./workspaces');
+const emailVerification = require('./emailVerification');
+const sessions = require('./session');
+const { ValidationError, AuthenticationError, ConflictError, NotFoundError } = require('../middleware/error');
+
+// Signing algorithms accepted on ID tokens
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+// Clock skew allowed when checking ID token times, in seconds
+const CLOCK_TOLERANCE = 60;
+
+// Discovery documents and signing keys, by issuer
+const discoveryCache = new Map();
+const keyCache = new Map();
+
+const base64url = buffer => buffer.toString('base64url');
+
+function hashState(state) {
+  return crypto.createHash('sha256').update(state).digest('hex');
+}
+
+/**
+ * Enabled providers, for the sign-in page
+ * @returns {Array<object>} [{ id, name }]
+ */
+function listProviders() {
+  const providers = (config.oidc && config.oidc.providers) || {};
+  return Object.entries(providers)
+    .filter(([, provider]) => provider.enabled)
+    .map(([id, provider]) => ({ id, name: provider.name || id }));
+}
+
+/**
+ * An enabled provider's settings
+ * @throws {NotFoundError} When it is not configured or not enabled
+ */
+function getProvider(id) {
+  const providers = (config.oidc && config.oidc.providers) || {};
+  const provider = Object.prototype.hasOwnProperty.call(providers, id) ? providers[id] : null;
+  if (!provider || !provider.enabled) {
+    throw new NotFoundError('Sign-in provider');
+  }
+  return { id, ...provider };
+}
+
+async function fetchJson(url, options = {}) {
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: AbortSignal.timeout(config.oidc.http_timeout_ms || 5000) });
+  } catch (error) {
+    throw new AuthenticationError(`Could not reach the sign-in provider: ${error.message}`);
+  }
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || `HTTP ${response.status}`;
+    throw new AuthenticationError(`The sign-in provider refused the request: ${reason}`);
+  }
+  return body;
+}
+
+/**
+ * The provider's discovery document
+ */
+async function discover(provider) {
+  if (!discoveryCache.has(provider.issuer)) {
+    const issuer = provider.issuer.replace(/\/$/, '');
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.issuer, metadata);
+  }
+  return discoveryCache.get(provider.issuer);
+}
+
+/**
+ * The public key a provider signed an ID token with. Keys are fetched again
+ * once when the token names one we have not seen, as providers rotate them.
+ */
+async function getSigningKey(metadata, kid) {
+  const find = keys => keys.find(key => key.kid === kid && (!key.use || key.use === 'sig'));
+
+  let key = keyCache.has(metadata.jwks_uri) ? find(keyCache.get(metadata.jwks_uri)) : null;
+  if (!key) {
+    const { keys = [] } = await fetchJson(metadata.jwks_uri);
+    keyCache.set(metadata.jwks_uri, keys);
+    key = find(keys);
+  }
+  if (!key) {
+    throw new AuthenticationError('ID token was signed with an unknown key');
+  }
+  return crypto.createPublicKey({ key, format: 'jwk' });
+}
+
+/**
+ * Start signing in with a provider
+ * @param {string} providerId - Key under oidc.providers
+ * @returns {Promise<object>} { authorization_url, state, expires_at }
+ */
+async function beginLogin(providerId) {
+  const provider = getProvider(providerId);
+  const metadata = await discover(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(48));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+  const expiresAt = new Date(Date.now() + (config.oidc.state_expires_in_minutes || 10) * 60 * 1000);
+
+  await query(
+    `INSERT INTO oidc_login_states (state_hash, provider, nonce, code_verifier, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())`,
+    [hashState(state), provider.id, nonce, codeVerifier, expiresAt]
+  );
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.client_id,
+    redirect_uri: provider.redirect_uri,
+    scope: (provider.scopes || ['openid', 'email', 'profile']).join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  }).toString();
+
+  return { authorization_url: url.toString(), state, expires_at: expiresAt };
+}
+
+/**
+ * Spend a sign-in's state so it works once
+ * @returns {Promise<object>} { nonce, code_verifier }
+ */
+async function consumeState(provider, state) {
+  const result = await query(
+    'SELECT id, provider, nonce, code_verifier, expires_at, completed_at FROM oidc_login_states WHERE state_hash = $1',
+    [hashState(state)]
+  );
+  const record = result.rows[0];
+  if (!record || record.provider !== provider.id || record.completed_at || new Date(record.expires_at) <= new Date()) {
+    throw new AuthenticationError('Invalid or expired sign-in. Start again');
+  }
+
+  const spent = await query(
+    'UPDATE oidc_login_states SET completed_at = NOW() WHERE id = $1 AND completed_at IS NULL RETURNING id',
+    [record.id]
+  );
+  if (spent.rows.length === 0) {
+    throw new AuthenticationError('Invalid or expired sign-in. Start again');
+  }
+  return record;
+}
+
+/**
+ * Check an ID token's signature and claims
+ * @returns {Promise<object>} The token's claims
+ */
+async function verifyIdToken(provider, metadata, idToken, nonce) {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header || !decoded.payload) {
+    throw new AuthenticationError('Invalid ID token');
+  }
+
+  const key = await getSigningKey(metadata, decoded.header.kid);
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.client_id,
+      clockTolerance: CLOCK_TOLERANCE
+    });
+  } catch (error) {
+    throw new AuthenticationError(`Invalid ID token: ${error.message}`);
+  }
+
+  // Multi-tenant issuers such as Microsoft's name the tenant in each token
+  const issuer = metadata.issuer.replace('{tenantid}', claims.tid || '');
+  if (claims.iss !== issuer) {
+    throw new AuthenticationError('Invalid ID token: wrong issuer');
+  }
+  if (claims.nonce !== nonce) {
+    throw new AuthenticationError('Invalid ID token: nonce does not match');
+  }
+  if (!claims.sub) {
+    throw new AuthenticationError('Invalid ID token: no subject');
+  }
+  return claims;
+}
+
+/**
+ * Finish signing in: exchange the code and verify the ID token it returns
+ * @param {string} providerId - Key under oidc.providers
+ * @param {object} params - { code, state } from the provider's redirect
+ * @returns {Promise<object>} { subject, email, emailVerified, name }
+ */
+async function completeLogin(providerId, { code, state }) {
+  const provider = getProvider(providerId);
+  const metadata = await discover(provider);
+  const { nonce, code_verifier: codeVerifier } = await consumeState(provider, state);
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+    body: new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: provider.redirect_uri,
+      client_id: provider.client_id,
+      client_secret: provider.client_secret,
+      code_verifier: codeVerifier
+    }).toString()
+  });
+  if (!tokens.id_token) {
+    throw new AuthenticationError('The sign-in provider did not return an ID token');
+  }
+
+  const claims = await verifyIdToken(provider, metadata, tokens.id_token, nonce);
+  return {
+    subject: String(claims.sub),
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null
+  };
+}
+
+const USER_COLUMNS = 'u.id, u.name, u.email, u.role, u.status, u.totp_enabled, u.email_verified_at';
+
+/**
+ * The user a provider identity signs in, linking or creating one the first time
+ * @param {string} providerId - Key under oidc.providers
+ * @param {object} identity - From completeLogin
+ * @returns {Promise<object>} { user, linked, created }
+ */
+async function resolveUser(providerId, identity) {
+  const linkedUser = await query(
+    `SELECT ${USER_COLUMNS}, ui.id as identity_id
+     FROM user_identities ui
+     JOIN users u ON ui.user_id = u.id
+     WHERE ui.provider = $1 AND ui.subject = $2`,
+    [providerId, identity.subject]
+  );
+  if (linkedUser.rows.length > 0) {
+    const { identity_id: identityId, ...user } = linkedUser.rows[0];
+    await query(
+      'UPDATE user_identities SET email = $1, last_login_at = NOW() WHERE id = $2',
+      [identity.email, identityId]
+    );
+    return { user, linked: false, created: false };
+  }
+
+  if (!identity.email) {
+    throw new ValidationError('The sign-in provider did not share an email address');
+  }
+
+  const existing = await query(`SELECT ${USER_COLUMNS} FROM users u WHERE u.email = $1`, [identity.email]);
+  if (existing.rows.length > 0) {
+    // Only an email the provider vouches for may take over an account
+    if (!identity.emailVerified) {
+      throw new ConflictError('An account with this email already exists. Sign in with your password');
+    }
+
+    const user = existing.rows[0];
+    await linkIdentity(user.id, providerId, identity);
+
+    // The provider has proven the inbox, so a pending account is verified
+    // and now belongs to the provider's user
+    if (!user.email_verified_at) {
+      await claimUnverifiedAccount(user);
+      if (user.status === emailVerification.PENDING_VERIFICATION) {
+        await query(`UPDATE users SET status = 'active' WHERE id = $1`, [user.id]);
+        user.status = 'active';
+      }
+      user.totp_enabled = false;
+    }
+    return { user, linked: true, created: false };
+  }
+
+  const user = await createUser(providerId, identity);
+  return { user, linked: true, created: true };
+}
+
+// Mark an unverified account verified and drop every credential whoever
+// registered it may hold. They get a random password; "Forgot password" sets a real one.
+async function claimUnverifiedAccount(user) {
+  const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET password = $2, email_verified_at = NOW(), totp_secret = NULL, totp_enabled = false,
+         totp_enabled_at = NULL, totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [user.id, password]
+    );
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM email_verification_tokens WHERE user_id = $1', [user.id]);
+    await client.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
+    await client.query('UPDATE api_keys SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL', [user.id]);
+  });
+
+  // Ending the sessions also ends their refresh tokens
+  await sessions.revokeAllSessions(user.id, null, sessions.REVOKE_REASONS.ACCOUNT_CLAIMED);
+}
+
+async function linkIdentity(userId, providerId, identity, db = { query }) {
+  await db.query(
+    `INSERT INTO user_identities (user_id, provider, subject, email, created_at, last_login_at)
+     VALUES ($1, $2, $3, $4, NOW(), NOW())`,
+    [userId, providerId, identity.subject, identity.email]
+  );
+}
+
+/**
+ * Create a user and personal workspace for a new identity. They get a
+ * random password; "Forgot password" sets a real one.
+ */
+async function createUser(providerId, identity) {
+  const name = identity.name || identity.email.split('@')[0];
+  const password = await hashPassword(crypto.randomBytes(32).toString('hex'));
+  const status = identity.emailVerified ? 'active' : emailVerification.PENDING_VERIFICATION;
+
+  const user = await transaction(async (client) => {
+    const result = await client.query(
+      `INSERT INTO users (name, email, password, role, status, email_verified_at, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())
+       RETURNING id, name, email, role, status, totp_enabled, email_verified_at`,
+      [name, identity.email, password, 'user', status, identity.emailVerified ? new Date() : null]
+    );
+
+    const created = result.rows[0];
+    await workspaces.createWorkspace(client, { name: `${name}'s Workspace`, userId: created.id });
+    await linkIdentity(created.id, providerId, identity, client);
+    return created;
+  });
+
+  if (!identity.emailVerified) {
+    await emailVerification.sendVerification(user);
+  }
+  return user;
+}
+
+/**
+ * Identities linked to a user
+ */
+async function listIdentities(userId) {
+  const result = await query(
+    `SELECT id, provider, email, created_at, last_login_at
+     FROM user_identities WHERE user_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Clean up sign-ins that were never finished
+ */
+async function cleanupExpiredStates() {
+  const result = await query('DELETE FROM oidc_login_states WHERE expires_at < NOW()', []);
+  return result.rowCount;
+}
+
+/**
+ * Forget cached discovery documents and keys
+ */
+function clearCache() {
+  discoveryCache.clear();
+  keyCache.clear();
+}
+
+module.exports = {
+  listProviders,
+  getProvider,
+  beginLogin,
+  completeLogin,
+  resolveUser,
+  listIdentities,
+  cleanupExpiredStates,
+  clearCache
+};
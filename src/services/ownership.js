@@ -0,0 +1,230 @@
+/**
+ * Ownership Service
+ * Record-level access policy for influencers, campaigns and data models.
+ * Access never leaves the active workspace. Within it regular users reach
+ * the records they own or that were shared with them, moderators also reach
+ * their team's records, and admins and workspace owners/admins reach
+ * everything.
+ */
+
+const { query } = require('../database');
+const { ROLES, WORKSPACE_ROLES } = require('../middleware/rbac');
+const workspaces = require('./workspaces');
+const { NotFoundError, ValidationError, AuthorizationError, ConflictError } = require('../middleware/error');
+
+// Tables that carry an owner, and which column records it
+const RESOURCES = {
+  influencer: { table: 'influencers', ownerColumn: 'user_id', label: 'Influencer' },
+  campaign: { table: 'campaigns', ownerColumn: 'created_by', label: 'Campaign' },
+  model: { table: 'data_models', ownerColumn: 'created_by', label: 'Data Model' }
+};
+
+const SCOPE = {
+  ALL: 'all',
+  TEAM: 'team',
+  OWN: 'own'
+};
+
+function getResource(type) {
+  const resource = RESOURCES[type];
+  if (!resource) {
+    throw new Error(`Unknown resource type "${type}"`);
+  }
+  return resource;
+}
+
+/**
+ * How far a user's access reaches within the active workspace
+ * @param {object} user - Authenticated user (role, team_id, workspace_role)
+ * @returns {string} One of SCOPE
+ */
+function accessScope(user) {
+  if (user.role === ROLES.ADMIN || user.role === ROLES.SUPER_ADMIN) {
+    return SCOPE.ALL;
+  }
+  if (user.workspace_role === WORKSPACE_ROLES.OWNER || user.workspace_role === WORKSPACE_ROLES.ADMIN) {
+    return SCOPE.ALL;
+  }
+  if (user.role === ROLES.MODERATOR && user.team_id) {
+    return SCOPE.TEAM;
+  }
+  return SCOPE.OWN;
+}
+
+/**
+ * Filters limiting a query to the records a user may access in their
+ * active workspace
+ * Same shape as the list filters, so the result can be merged with them.
+ * Records in the trash are left out, or only they are kept with trashed set.
+ * Internal callers with no user (scheduled jobs and the like) are not
+ * otherwise limited.
+ * @param {object|null} user - Authenticated user
+ * @param {string} type - Resource type (see RESOURCES)
+ * @param {object} [options] - { alias, paramIndex, trashed }
+ * @returns {{ filters: string[], values: Array, paramIndex: number }}
+ */
+function buildAccessFilters(user, type, { alias, paramIndex = 1, trashed = false } = {}) {
+  const resource = getResource(type);
+  const table = alias || resource.table;
+  const filters = [`${table}.deleted_at ${trashed ? 'IS NOT NULL' : 'IS NULL'}`];
+  if (!user) {
+    return { filters, values: [], paramIndex };
+  }
+
+  filters.push(`${table}.workspace_id = $${paramIndex}`);
+  const values = [workspaces.activeWorkspaceId(user)];
+  paramIndex++;
+
+  if (accessScope(user) === SCOPE.ALL) {
+    return { filters, values, paramIndex };
+  }
+
+  const owner = `${table}.${resource.ownerColumn}`;
+  const conditions = [
+    `${owner} = $${paramIndex}`,
+    `EXISTS (SELECT 1 FROM record_shares rs WHERE rs.resource_type = $${paramIndex + 1} AND rs.resource_id = ${table}.id AND rs.user_id = $${paramIndex})`
+  ];
+  values.push(user.id, type);
+  paramIndex += 2;
+
+  if (accessScope(user) === SCOPE.TEAM) {
+    conditions.push(`EXISTS (SELECT 1 FROM users tm WHERE tm.id = ${owner} AND tm.team_id = $${paramIndex})`);
+    values.push(user.team_id);
+    paramIndex++;
+  }
+
+  filters.push(`(${conditions.join(' OR ')})`);
+  return { filters, values, paramIndex };
+}
+
+/**
+ * Load a record the user may access
+ * Records outside the user's reach are reported as not found, the same way
+ * list endpoints leave them out.
+ * @param {object} user - Authenticated user
+ * @param {string} type - Resource type
+ * @param {string} id - Record ID
+ * @param {object} [options] - { trashed } to look in the trash instead
+ * @returns {Promise<object>} { id, owner_id, workspace_id }
+ */
+async function findAccessible(user, type, id, { trashed = false } = {}) {
+  const resource = getResource(type);
+  const { filters, values } = buildAccessFilters(user, type, { paramIndex: 2, trashed });
+
+  const result = await query(
+    `SELECT id, ${resource.ownerColumn} as owner_id, workspace_id FROM ${resource.table}
+     WHERE ${['id = $1', ...filters].join(' AND ')}`,
+    [id, ...values]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError(resource.label);
+  }
+  return result.rows[0];
+}
+
+/**
+ * Whether a user may access a record
+ */
+async function canAccess(user, type, id) {
+  try {
+    await findAccessible(user, type, id);
+    return true;
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return false;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Throw unless the user may share a record: its owner, or anyone whose access
+ * reaches it through their role rather than through a share
+ */
+async function assertCanShare(user, type, id) {
+  const record = await findAccessible(user, type, id);
+  if (record.owner_id !== user.id && accessScope(user) === SCOPE.OWN) {
+    throw new AuthorizationError(`Only the owner can share this ${getResource(type).label.toLowerCase()}`);
+  }
+  return record;
+}
+
+/**
+ * Users a record is shared with
+ */
+async function listShares(type, id) {
+  const result = await query(
+    `SELECT rs.user_id, u.name, u.email, rs.shared_by, rs.created_at
+     FROM record_shares rs
+     JOIN users u ON u.id = rs.user_id
+     WHERE rs.resource_type = $1 AND rs.resource_id = $2
+     ORDER BY rs.created_at ASC`,
+    [type, id]
+  );
+  return result.rows;
+}
+
+/**
+ * Share a record with another member of its workspace
+ * @returns {Promise<object>} The share
+ */
+async function shareRecord(type, record, userId, sharedBy) {
+  if (userId === record.owner_id) {
+    throw new ValidationError('The owner already has access');
+  }
+
+  const user = await query('SELECT id FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+  if (!(await workspaces.isMember(record.workspace_id, userId))) {
+    throw new ValidationError('Records can only be shared with members of their workspace');
+  }
+
+  const result = await query(
+    `INSERT INTO record_shares (resource_type, resource_id, user_id, shared_by, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (resource_type, resource_id, user_id) DO NOTHING
+     RETURNING *`,
+    [type, record.id, userId, sharedBy]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError('Already shared with this user');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Stop sharing a record with a user
+ */
+async function unshareRecord(type, id, userId) {
+  const result = await query(
+    'DELETE FROM record_shares WHERE resource_type = $1 AND resource_id = $2 AND user_id = $3 RETURNING id',
+    [type, id, userId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Share');
+  }
+}
+
+/**
+ * Remove every share of a deleted record
+ * @param {object} db - Client or { query }
+ */
+async function removeShares(db, type, id) {
+  await db.query('DELETE FROM record_shares WHERE resource_type = $1 AND resource_id = $2', [type, id]);
+}
+
+module.exports = {
+  RESOURCES,
+  SCOPE,
+  accessScope,
+  buildAccessFilters,
+  findAccessible,
+  canAccess,
+  assertCanShare,
+  listShares,
+  shareRecord,
+  unshareRecord,
+  removeShares
+};
@@ -1,11 +1,16 @@
 /**
  * Password Reset Service
- * Handles password reset token generation and validation
+ * Handles password reset token generation and validation. Reset emails are
+ * queued with the user ID only; the token is created when the email is sent.
  */
 
 const { query } = require('../database');
 const crypto = require('crypto');
 const config = require('../config');
+const jobQueue = require('./jobQueue');
+
+// Job that creates a reset token and emails it (see services/jobs.js)
+const RESET_EMAIL_JOB = 'email.password_reset';
 
 /**
  * Generate a secure reset token
@@ -22,29 +27,13 @@ function hashToken(token) {
 }
 
 /**
- * Create a password reset request
- * @param {string} email - User's email address
- * @returns {object} - Reset info including the raw token
+ * Create a reset token for a user, replacing any earlier one
+ * @param {string} userId - User ID
+ * @returns {Promise<object>} { token, expiresIn, expiresAt } - the raw token is never stored
  */
-async function createResetRequest(email) {
-  // Check if user exists
-  const userResult = await query(
-    'SELECT id, name FROM users WHERE email = $1 AND status = $1',
-    [email.toLowerCase()]
-  );
-
-  // Always return success to prevent email enumeration
-  if (userResult.rows.length === 0) {
-    return {
-      success: true,
-      message: 'If an account exists with this email, a password reset link will be sent.',
-      userFound: false
-    };
-  }
-
-  const user = userResult.rows[0];
+async function createResetToken(userId) {
   const expiresIn = config.password.reset_expires_in || 3600; // 1 hour default
-  
+
   // Generate tokens
   const rawToken = generateResetToken();
   const hashedToken = hashToken(rawToken);
@@ -53,16 +42,47 @@ async function createResetRequest(email) {
   // Delete any existing reset tokens for this user
   await query(
     'DELETE FROM password_reset_tokens WHERE user_id = $1',
-    [user.id]
+    [userId]
   );
 
   // Store the hashed token
   await query(
     `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
      VALUES ($1, $2, $3, NOW())`,
-    [user.id, hashedToken, expiresAt]
+    [userId, hashedToken, expiresAt]
   );
 
+  return { token: rawToken, expiresIn, expiresAt };
+}
+
+// Active user with an email address
+async function findActiveUser(email) {
+  const userResult = await query(
+    'SELECT id, name, email FROM users WHERE email = $1 AND status = $2',
+    [email.toLowerCase(), 'active']
+  );
+  return userResult.rows[0] || null;
+}
+
+/**
+ * Create a password reset request
+ * @param {string} email - User's email address
+ * @returns {object} - Reset info including the raw token
+ */
+async function createResetRequest(email) {
+  const user = await findActiveUser(email);
+
+  // Always return success to prevent email enumeration
+  if (!user) {
+    return {
+      success: true,
+      message: 'If an account exists with this email, a password reset link will be sent.',
+      userFound: false
+    };
+  }
+
+  const { token, expiresIn, expiresAt } = await createResetToken(user.id);
+
   return {
     success: true,
     message: 'Password reset link sent',
@@ -71,12 +91,44 @@ async function createResetRequest(email) {
     userName: user.name,
     // In development, return the token for testing
     // In production, this would be sent via email
-    resetToken: rawToken,
+    resetToken: token,
     expiresIn: expiresIn,
     expiresAt: expiresAt
   };
 }
 
+/**
+ * Queue a reset email for the active user with an email address, if any
+ * @param {string} email - User's email address
+ * @returns {Promise<boolean>} Whether there was such a user
+ */
+async function queueResetEmail(email) {
+  const user = await findActiveUser(email);
+  if (!user) {
+    return false;
+  }
+
+  await jobQueue.enqueue(RESET_EMAIL_JOB, { user_id: user.id });
+  return true;
+}
+
+/**
+ * Create the token for a queued reset email
+ * @param {object} data - { user_id } as queued
+ * @returns {Promise<object|null>} Options for emailService.sendPasswordResetEmail,
+ *   or null when the user is no longer active
+ */
+async function prepareResetEmail({ user_id: userId }) {
+  const result = await query('SELECT id, name, email FROM users WHERE id = $1 AND status = $2', [userId, 'active']);
+  const user = result.rows[0];
+  if (!user) {
+    return null;
+  }
+
+  const { token } = await createResetToken(user.id);
+  return { to: user.email, name: user.name, resetToken: token };
+}
+
 /**
  * Verify a reset token
  * @param {string} token - Raw reset token
@@ -162,6 +214,7 @@ async function resetPassword(token, newPassword) {
 
   return {
     success: true,
+    userId: verification.userId,
     message: 'Password reset successfully'
   };
 }
@@ -179,7 +232,10 @@ async function cleanupExpiredTokens() {
 }
 
 module.exports = {
+  RESET_EMAIL_JOB,
   createResetRequest,
+  queueResetEmail,
+  prepareResetEmail,
   verifyResetToken,
   resetPassword,
   cleanupExpiredTokens,
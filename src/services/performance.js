@@ -0,0 +1,379 @@
+/**
+ * Campaign Performance Service
+ * Reach, impressions, engagements, clicks, conversions and revenue per
+ * campaign, with cost KPIs (CPM, CPE, CPC, CPA) and ROI against budget or spend
+ *
+ * Results come from two places: performance recorded on submitted/approved
+ * deliverables, and data points (model_data) whose data carries a
+ * campaign_id plus any of impressions, engagements, clicks, conversions and
+ * revenue. Revenue is taken to be in the campaign currency.
+ */
+
+const { query } = require('../database');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+const { buildCampaignFilters, buildWhereClause } = require('./filters');
+const budget = require('./budget');
+const ownership = require('./ownership');
+
+const RESULT_FIELDS = ['impressions', 'engagements', 'clicks', 'conversions', 'revenue'];
+
+// What ROI and the cost KPIs are measured against
+const COST_BASIS = {
+  BUDGET: 'budget',
+  SPEND: 'spend'
+};
+
+const SORT_FIELDS = [
+  'roi', 'revenue', 'cost', 'reach', 'impressions', 'engagements', 'clicks', 'conversions',
+  'engagement_rate', 'click_through_rate', 'cpm', 'cpe', 'cpc', 'cpa'
+];
+
+const INTERVALS = ['day', 'week', 'month'];
+const MAX_BUCKETS = 1000;
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function ratio(numerator, denominator, scale = 1) {
+  return denominator > 0 ? round2((numerator / denominator) * scale) : null;
+}
+
+function emptyResults() {
+  return { impressions: 0, engagements: 0, clicks: 0, conversions: 0, revenue: 0 };
+}
+
+function addResults(target, source) {
+  RESULT_FIELDS.forEach(field => {
+    target[field] += source[field];
+  });
+  return target;
+}
+
+/**
+ * Rates and cost KPIs from result totals
+ * @param {object} results - impressions, engagements, clicks, conversions, revenue
+ * @param {number} cost - Budget or spend, in the same currency as revenue
+ */
+function computeKpis(results, cost) {
+  return {
+    engagement_rate: ratio(results.engagements, results.impressions, 100),
+    click_through_rate: ratio(results.clicks, results.impressions, 100),
+    conversion_rate: ratio(results.conversions, results.clicks, 100),
+    cpm: ratio(cost, results.impressions, 1000),
+    cpe: ratio(cost, results.engagements),
+    cpc: ratio(cost, results.clicks),
+    cpa: ratio(cost, results.conversions),
+    roi: ratio(results.revenue - cost, cost, 100)
+  };
+}
+
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+/**
+ * Dated result events for a set of campaigns, from deliverables and data points
+ * @param {string[]} campaignIds - Campaign IDs
+ * @returns {Promise<object[]>} { campaign_id, at, impressions, engagements, clicks, conversions, revenue }
+ */
+async function loadResultEvents(campaignIds) {
+  const deliverables = await query(
+    `SELECT ci.campaign_id, COALESCE(d.submitted_at, d.created_at) as at,
+            d.views, d.likes, d.comments, d.clicks, d.conversions, d.revenue
+     FROM campaign_deliverables d
+     JOIN campaign_influencers ci ON ci.id = d.campaign_influencer_id
+     WHERE ci.campaign_id = ANY($1) AND d.status IN ('submitted', 'approved')`,
+    [campaignIds]
+  );
+
+  const dataPoints = await query(
+    `SELECT data, created_at FROM model_data WHERE data->>'campaign_id' = ANY($1)`,
+    [campaignIds]
+  );
+
+  const events = deliverables.rows.map(row => ({
+    campaign_id: row.campaign_id,
+    at: new Date(row.at),
+    impressions: toNumber(row.views),
+    engagements: toNumber(row.likes) + toNumber(row.comments),
+    clicks: toNumber(row.clicks),
+    conversions: toNumber(row.conversions),
+    revenue: toNumber(row.revenue)
+  }));
+
+  dataPoints.rows.forEach(row => {
+    const data = typeof row.data === 'string' ? JSON.parse(row.data) : row.data;
+    const date = data.date ? new Date(data.date) : null;
+    const event = {
+      campaign_id: data.campaign_id,
+      at: date && !Number.isNaN(date.getTime()) ? date : new Date(row.created_at)
+    };
+    RESULT_FIELDS.forEach(field => {
+      event[field] = toNumber(data[field]);
+    });
+    events.push(event);
+  });
+
+  return events;
+}
+
+/**
+ * Reach (total followers) and influencer count per campaign
+ * @returns {Promise<Map<string, { reach: number, influencer_count: number }>>}
+ */
+async function loadReach(campaignIds) {
+  const result = await query(
+    `SELECT ci.campaign_id, COUNT(*) as influencer_count, SUM(i.followers) as reach
+     FROM campaign_influencers ci
+     JOIN influencers i ON i.id = ci.influencer_id
+     WHERE ci.campaign_id = ANY($1) AND i.deleted_at IS NULL
+     GROUP BY ci.campaign_id`,
+    [campaignIds]
+  );
+
+  return new Map(result.rows.map(row => [row.campaign_id, {
+    reach: parseInt(row.reach) || 0,
+    influencer_count: parseInt(row.influencer_count) || 0
+  }]));
+}
+
+// Start of the UTC bucket containing a date
+function bucketStart(date, interval) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    // Weeks start on Monday, as with DATE_TRUNC('week', ...)
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+}
+
+function nextBucket(start, interval) {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+}
+
+/**
+ * Results per time bucket between from and to, with running revenue and ROI
+ * Events outside the range are left out of the timeline (but not the totals).
+ * @param {object[]} events - Result events
+ * @param {{ from: Date, to: Date, interval: string }} range - Timeline range
+ * @param {number} cost - Cost the running ROI is measured against
+ */
+function buildTimeline(events, { from, to, interval }, cost) {
+  const buckets = [];
+  for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+    if (buckets.length === MAX_BUCKETS) {
+      throw new ValidationError(`The campaign spans more than ${MAX_BUCKETS} ${interval}s; use a larger interval`);
+    }
+    buckets.push({ period: start, end: nextBucket(start, interval), results: emptyResults() });
+  }
+
+  events.forEach(event => {
+    const bucket = buckets.find(candidate => event.at >= candidate.period && event.at < candidate.end);
+    if (bucket) {
+      addResults(bucket.results, event);
+    }
+  });
+
+  let revenueToDate = 0;
+  return buckets.map(({ period, results }) => {
+    revenueToDate += results.revenue;
+    return {
+      period,
+      ...results,
+      revenue: round2(results.revenue),
+      engagement_rate: ratio(results.engagements, results.impressions, 100),
+      click_through_rate: ratio(results.clicks, results.impressions, 100),
+      revenue_to_date: round2(revenueToDate),
+      roi_to_date: ratio(revenueToDate - cost, cost, 100)
+    };
+  });
+}
+
+// Performance figures for one campaign; money in the currency of `cost`/`revenue`
+function summarize(results, cost, reach) {
+  return {
+    cost: round2(cost),
+    reach: reach.reach,
+    influencer_count: reach.influencer_count,
+    ...results,
+    revenue: round2(results.revenue),
+    ...computeKpis(results, cost)
+  };
+}
+
+/**
+ * Performance of one campaign, in the campaign currency, with a timeline
+ * between its start and end dates
+ * @param {string} campaignId - Campaign ID
+ * @param {object} options - { interval = 'week', costBasis = 'budget' }
+ */
+async function getCampaignPerformance(campaignId, options = {}) {
+  const interval = options.interval || 'week';
+  const costBasis = options.costBasis || COST_BASIS.BUDGET;
+
+  const result = await query(
+    `SELECT id, name, platform, status, budget, currency, start_date, end_date, created_at
+     FROM campaigns WHERE id = $1`,
+    [campaignId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Campaign');
+  }
+  const campaign = result.rows[0];
+
+  const ledger = await budget.getCampaignLedger(campaignId);
+  const events = await loadResultEvents([campaignId]);
+  const reach = (await loadReach([campaignId])).get(campaignId) || { reach: 0, influencer_count: 0 };
+
+  const results = events.reduce(addResults, emptyResults());
+  const cost = costBasis === COST_BASIS.SPEND ? ledger.committed : ledger.budget;
+
+  // Campaigns without dates run from creation until today
+  const from = new Date(campaign.start_date || campaign.created_at);
+  const end = campaign.end_date ? new Date(campaign.end_date) : new Date();
+  const to = end < from ? from : end;
+
+  return {
+    campaign: {
+      id: campaign.id,
+      name: campaign.name,
+      platform: campaign.platform,
+      status: campaign.status,
+      start_date: campaign.start_date,
+      end_date: campaign.end_date
+    },
+    currency: campaign.currency,
+    cost_basis: costBasis,
+    budget: ledger.budget,
+    spend: ledger.committed,
+    ...summarize(results, cost, reach),
+    interval,
+    from,
+    to,
+    timeline: buildTimeline(events, { from, to, interval }, cost)
+  };
+}
+
+function emptyGroup(fields = {}) {
+  return { ...fields, results: emptyResults(), cost: 0, reach: 0, influencer_count: 0 };
+}
+
+function accumulate(group, results, cost, reach) {
+  addResults(group.results, results);
+  group.cost += cost;
+  group.reach += reach.reach;
+  group.influencer_count += reach.influencer_count;
+}
+
+function sortByMetric(rows, sortBy, sortOrder) {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  return rows.sort((a, b) => {
+    if (a[sortBy] === null || b[sortBy] === null) {
+      return (a[sortBy] === null) - (b[sortBy] === null);
+    }
+    return (a[sortBy] - b[sortBy]) * direction;
+  });
+}
+
+/**
+ * Compare campaigns and platforms, with money converted to the base currency
+ * @param {object} params - Campaign list filters (search, platform, status) and
+ *   { costBasis, sortBy, sortOrder, limit, user }; with a user, only the
+ *   campaigns they may access are compared
+ */
+async function compareCampaignPerformance(params = {}) {
+  const costBasis = params.costBasis || COST_BASIS.BUDGET;
+  const limit = params.limit || 50;
+
+  const listFilters = buildCampaignFilters(params);
+  const access = ownership.buildAccessFilters(params.user, 'campaign', { paramIndex: listFilters.paramIndex });
+  const values = [...listFilters.values, ...access.values];
+  const paramIndex = access.paramIndex;
+  const result = await query(
+    `SELECT id, name, platform, status, budget, currency, start_date, end_date
+     FROM campaigns ${buildWhereClause([...listFilters.filters, ...access.filters])}
+     ORDER BY created_at DESC
+     LIMIT $${paramIndex}`,
+    [...values, limit]
+  );
+  const campaigns = result.rows;
+  const base = budget.baseCurrency();
+
+  const ids = campaigns.map(campaign => campaign.id);
+  const rates = await budget.getExchangeRates();
+  const ledgers = await budget.getCampaignLedgers(campaigns, rates);
+  const events = ids.length > 0 ? await loadResultEvents(ids) : [];
+  const reachByCampaign = ids.length > 0 ? await loadReach(ids) : new Map();
+
+  const platforms = new Map();
+  const overall = emptyGroup();
+
+  const rows = campaigns.map(campaign => {
+    const ledger = ledgers[campaign.id];
+    const toBase = amount => budget.convert(amount, campaign.currency, base, rates);
+    const reach = reachByCampaign.get(campaign.id) || { reach: 0, influencer_count: 0 };
+
+    const results = events
+      .filter(event => event.campaign_id === campaign.id)
+      .reduce(addResults, emptyResults());
+    results.revenue = toBase(results.revenue);
+    const cost = toBase(costBasis === COST_BASIS.SPEND ? ledger.committed : ledger.budget);
+
+    // Roll the campaign into its platform and the overall totals
+    if (!platforms.has(campaign.platform)) {
+      platforms.set(campaign.platform, emptyGroup({ platform: campaign.platform, campaign_count: 0 }));
+    }
+    const platform = platforms.get(campaign.platform);
+    platform.campaign_count++;
+    accumulate(platform, results, cost, reach);
+    accumulate(overall, results, cost, reach);
+
+    return {
+      id: campaign.id,
+      name: campaign.name,
+      platform: campaign.platform,
+      status: campaign.status,
+      campaign_currency: campaign.currency,
+      start_date: campaign.start_date,
+      end_date: campaign.end_date,
+      ...summarize(results, cost, reach)
+    };
+  });
+
+  return {
+    currency: base,
+    cost_basis: costBasis,
+    totals: summarize(overall.results, overall.cost, overall),
+    campaigns: sortByMetric(rows, params.sortBy || 'roi', params.sortOrder),
+    platforms: sortByMetric(
+      [...platforms.values()].map(group => ({
+        platform: group.platform,
+        campaign_count: group.campaign_count,
+        ...summarize(group.results, group.cost, group)
+      })),
+      params.sortBy || 'roi',
+      params.sortOrder
+    )
+  };
+}
+
+module.exports = {
+  RESULT_FIELDS,
+  COST_BASIS,
+  SORT_FIELDS,
+  INTERVALS,
+  computeKpis,
+  buildTimeline,
+  getCampaignPerformance,
+  compareCampaignPerformance
+};
@@ -0,0 +1,36 @@
+/**
+ * Redis Client
+ * Connects to the server in the `redis` config block for the stores that
+ * share state across app instances.
+ */
+
+/**
+ * Create a client and start connecting. Needs the optional `redis`
+ * package (node-redis 4).
+ * @param {object} redisConfig - The `redis` config block
+ * @returns {{ client: object, ready: Promise }} The client and its pending connection
+ */
+function createRedisClient(redisConfig) {
+  let redis;
+  try {
+    redis = require('redis');
+  } catch (error) {
+    if (error.code === 'MODULE_NOT_FOUND') {
+      throw new Error('redis.enabled is set but the "redis" package is not installed; run npm install redis');
+    }
+    throw error;
+  }
+
+  const client = redis.createClient({
+    socket: { host: redisConfig.host, port: redisConfig.port },
+    password: redisConfig.password || undefined,
+    database: redisConfig.db || 0
+  });
+  client.on('error', (error) => console.error('Redis error:', error.message));
+
+  return { client, ready: client.connect() };
+}
+
+module.exports = {
+  createRedisClient
+};
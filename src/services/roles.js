@@ -0,0 +1,402 @@
+/**
+ * Role Service
+ * Roles and their permissions live in the database. A role inherits every
+ * permission of its base role, then adds its own grants and drops its own
+ * revokes; users can hold further per-user overrides on top of their role.
+ * Lookups are cached per process and cleared whenever a role or override
+ * changes here.
+ */
+
+const { query, transaction } = require('../database');
+const config = require('../config');
+const { ROLES, PERMISSIONS, ROLE_HIERARCHY, userHasPermission } = require('../middleware/rbac');
+const { NotFoundError, ValidationError, AuthorizationError, ConflictError } = require('../middleware/error');
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// { roles: Map of name => role, expiresAt }
+let roleCache = null;
+// user ID => { granted, revoked, expiresAt }
+const overrideCache = new Map();
+
+function cacheExpiry() {
+  return Date.now() + config.roles.permission_cache_ttl * 1000;
+}
+
+/**
+ * Forget every cached role and override
+ */
+function clearCache() {
+  roleCache = null;
+  overrideCache.clear();
+}
+
+/**
+ * Load every role with its own grants and revokes
+ * @returns {Promise<Map>} name => { name, description, base_role, is_system, grants, revokes, ... }
+ */
+async function loadRoles() {
+  if (roleCache && roleCache.expiresAt > Date.now()) {
+    return roleCache.roles;
+  }
+
+  const result = await query(
+    'SELECT name, description, base_role, is_system, require_mfa, created_by, created_at, updated_at FROM roles',
+    []
+  );
+  const grantRows = await query('SELECT role_name, permission, granted FROM role_permissions', []);
+
+  const roles = new Map(result.rows.map(role => [role.name, { ...role, grants: [], revokes: [] }]));
+  for (const row of grantRows.rows) {
+    const role = roles.get(row.role_name);
+    if (role) {
+      (row.granted ? role.grants : role.revokes).push(row.permission);
+    }
+  }
+
+  roleCache = { roles, expiresAt: cacheExpiry() };
+  return roles;
+}
+
+/**
+ * Resolve a role's permissions through its chain of base roles
+ * super_admin always holds every permission.
+ */
+function resolvePermissions(roles, name, seen = new Set()) {
+  const role = roles.get(name);
+  if (!role || seen.has(name)) {
+    return [];
+  }
+  if (name === ROLES.SUPER_ADMIN) {
+    return ALL_PERMISSIONS;
+  }
+
+  seen.add(name);
+  const inherited = role.base_role ? resolvePermissions(roles, role.base_role, seen) : [];
+  const permissions = new Set([...inherited, ...role.grants]);
+  role.revokes.forEach(permission => permissions.delete(permission));
+
+  return ALL_PERMISSIONS.filter(permission => permissions.has(permission));
+}
+
+function formatRole(roles, role) {
+  return {
+    name: role.name,
+    description: role.description,
+    base_role: role.base_role,
+    is_system: role.is_system,
+    require_mfa: Boolean(role.require_mfa),
+    grants: role.grants,
+    revokes: role.revokes,
+    permissions: resolvePermissions(roles, role.name),
+    created_at: role.created_at,
+    updated_at: role.updated_at
+  };
+}
+
+/**
+ * Find a role or throw NotFoundError
+ */
+async function findRole(name) {
+  const roles = await loadRoles();
+  const role = roles.get(name);
+  if (!role) {
+    throw new NotFoundError('Role');
+  }
+  return { roles, role };
+}
+
+// super_admin is not editable: it always holds every permission
+function assertEditable(role) {
+  if (role.name === ROLES.SUPER_ADMIN) {
+    throw new AuthorizationError('Cannot modify super_admin role');
+  }
+}
+
+/**
+ * Every role with its effective permissions, built-in roles first
+ */
+async function listRoles() {
+  const roles = await loadRoles();
+  const rank = role => ROLE_HIERARCHY[role.name] || Infinity;
+
+  return [...roles.values()]
+    .sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name))
+    .map(role => formatRole(roles, role));
+}
+
+/**
+ * A role with its effective permissions
+ */
+async function getRole(name) {
+  const { roles, role } = await findRole(name);
+  return formatRole(roles, role);
+}
+
+/**
+ * Check a role exists
+ */
+async function roleExists(name) {
+  const roles = await loadRoles();
+  return roles.has(name);
+}
+
+/**
+ * Effective permissions of every role, built-in roles first
+ * @returns {Promise<object>} role name => permissions
+ */
+async function getPermissionMap() {
+  const roles = await listRoles();
+  return Object.fromEntries(roles.map(role => [role.name, role.permissions]));
+}
+
+/**
+ * Effective permissions of one role
+ */
+async function getRolePermissions(name) {
+  const roles = await loadRoles();
+  return resolvePermissions(roles, name);
+}
+
+/**
+ * Whether holders of a role must use two-factor authentication
+ */
+async function roleRequiresMfa(name) {
+  const roles = await loadRoles();
+  const role = roles.get(name);
+  return Boolean(role && role.require_mfa);
+}
+
+/**
+ * Check a user holds every permission they are about to hand out
+ * Stops admins granting themselves, or anyone, more than they have.
+ * @param {object} actor - Authenticated user
+ * @param {string[]} permissions - Permissions being granted
+ */
+function assertCanGrant(actor, permissions) {
+  const missing = permissions.filter(permission => !userHasPermission(actor, permission));
+  if (missing.length > 0) {
+    throw new AuthorizationError(`You cannot grant permissions you do not hold: ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * Create a custom role
+ * @param {object} data - { name, description, base_role, require_mfa, permissions: extra grants }
+ * @param {string} createdBy - User ID
+ */
+async function createRole({ name, description = null, base_role = null, require_mfa = false, permissions = [] }, createdBy) {
+  const roles = await loadRoles();
+  if (roles.has(name)) {
+    throw new ConflictError('A role with this name already exists');
+  }
+  if (base_role && !roles.has(base_role)) {
+    throw new ValidationError(`Base role "${base_role}" does not exist`);
+  }
+
+  await transaction(async (client) => {
+    await client.query(
+      `INSERT INTO roles (name, description, base_role, is_system, require_mfa, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, false, $4, $5, NOW(), NOW())`,
+      [name, description, base_role, require_mfa, createdBy]
+    );
+    for (const permission of permissions) {
+      await client.query(
+        'INSERT INTO role_permissions (role_name, permission, granted) VALUES ($1, $2, true)',
+        [name, permission]
+      );
+    }
+  });
+
+  clearCache();
+  return getRole(name);
+}
+
+/**
+ * Update a role's description and 2FA requirement, or a custom role's base role
+ * super_admin's permissions are fixed, but it can still be made to require 2FA.
+ * @param {object} data - { description, base_role, require_mfa }
+ */
+async function updateRole(name, data) {
+  const { roles, role } = await findRole(name);
+  if (Object.keys(data).some(field => field !== 'require_mfa')) {
+    assertEditable(role);
+  }
+
+  if (data.base_role !== undefined && data.base_role !== role.base_role) {
+    if (role.is_system) {
+      throw new ValidationError('The base role of a built-in role cannot be changed');
+    }
+    // Walk up from the new base role; reaching this role would make a cycle
+    for (let current = data.base_role; current; current = roles.get(current).base_role) {
+      if (!roles.has(current)) {
+        throw new ValidationError(`Base role "${current}" does not exist`);
+      }
+      if (current === name) {
+        throw new ValidationError('A role cannot inherit from itself');
+      }
+    }
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+  for (const field of ['description', 'base_role', 'require_mfa']) {
+    if (data[field] !== undefined) {
+      updates.push(`${field} = $${paramIndex++}`);
+      values.push(data[field]);
+    }
+  }
+  values.push(name);
+
+  await query(
+    `UPDATE roles SET ${updates.join(', ')}, updated_at = NOW() WHERE name = $${paramIndex}`,
+    values
+  );
+
+  clearCache();
+  return getRole(name);
+}
+
+/**
+ * Delete a custom role nobody holds and no role inherits from
+ */
+async function deleteRole(name) {
+  const { roles, role } = await findRole(name);
+  if (role.is_system) {
+    throw new ConflictError('Built-in roles cannot be deleted');
+  }
+
+  const heirs = [...roles.values()].filter(other => other.base_role === name).map(other => other.name);
+  if (heirs.length > 0) {
+    throw new ConflictError(`Role is the base role of: ${heirs.join(', ')}`);
+  }
+
+  const holders = await query('SELECT COUNT(*) as count FROM users WHERE role = $1', [name]);
+  const count = parseInt(holders.rows[0].count);
+  if (count > 0) {
+    throw new ConflictError(`Role is assigned to ${count} user${count === 1 ? '' : 's'}`);
+  }
+
+  await query('DELETE FROM roles WHERE name = $1', [name]);
+  clearCache();
+}
+
+/**
+ * Grant a permission to a role, or revoke one it would inherit
+ * @param {boolean} granted - false to revoke
+ */
+async function setRolePermission(name, permission, granted) {
+  const { role } = await findRole(name);
+  assertEditable(role);
+
+  await query(
+    `INSERT INTO role_permissions (role_name, permission, granted, created_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (role_name, permission) DO UPDATE SET granted = EXCLUDED.granted`,
+    [name, permission, granted]
+  );
+
+  clearCache();
+  return getRole(name);
+}
+
+/**
+ * Drop a role's own grant or revoke, so it inherits the permission again
+ */
+async function clearRolePermission(name, permission) {
+  const { role } = await findRole(name);
+  assertEditable(role);
+
+  const result = await query(
+    'DELETE FROM role_permissions WHERE role_name = $1 AND permission = $2 RETURNING id',
+    [name, permission]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Role permission');
+  }
+
+  clearCache();
+  return getRole(name);
+}
+
+/**
+ * A user's permission overrides
+ * @returns {Promise<object>} { granted, revoked }
+ */
+async function getUserOverrides(userId) {
+  const cached = overrideCache.get(userId);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached;
+  }
+
+  const result = await query('SELECT permission, granted FROM user_permissions WHERE user_id = $1', [userId]);
+  const overrides = {
+    granted: result.rows.filter(row => row.granted).map(row => row.permission),
+    revoked: result.rows.filter(row => !row.granted).map(row => row.permission),
+    expiresAt: cacheExpiry()
+  };
+
+  overrideCache.set(userId, overrides);
+  return overrides;
+}
+
+/**
+ * Attach a user's role permissions and overrides, which the RBAC checks use
+ * in place of the built-in defaults
+ * @param {object} user - { id, role }
+ */
+async function loadUserPermissions(user) {
+  const overrides = await getUserOverrides(user.id);
+  user.role_permissions = await getRolePermissions(user.role);
+  user.permission_overrides = { granted: overrides.granted, revoked: overrides.revoked };
+  return user;
+}
+
+/**
+ * Grant a user a permission, or revoke one their role gives them
+ * @param {boolean} granted - false to revoke
+ */
+async function setUserPermission(userId, permission, granted, grantedBy) {
+  await query(
+    `INSERT INTO user_permissions (user_id, permission, granted, granted_by, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (user_id, permission) DO UPDATE SET granted = EXCLUDED.granted, granted_by = EXCLUDED.granted_by`,
+    [userId, permission, granted, grantedBy]
+  );
+  overrideCache.delete(userId);
+}
+
+/**
+ * Drop a user's override, so their role decides the permission again
+ */
+async function clearUserPermission(userId, permission) {
+  const result = await query(
+    'DELETE FROM user_permissions WHERE user_id = $1 AND permission = $2 RETURNING id',
+    [userId, permission]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Permission override');
+  }
+  overrideCache.delete(userId);
+}
+
+module.exports = {
+  clearCache,
+  listRoles,
+  getRole,
+  roleExists,
+  getPermissionMap,
+  getRolePermissions,
+  roleRequiresMfa,
+  assertCanGrant,
+  createRole,
+  updateRole,
+  deleteRole,
+  setRolePermission,
+  clearRolePermission,
+  getUserOverrides,
+  loadUserPermissions,
+  setUserPermission,
+  clearUserPermission
+};
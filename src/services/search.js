@@ -0,0 +1,437 @@
+/**
+ * Influencer Search
+ * Full-text search over the influencers a user may access. Queries and
+ * fields are split into words (lowercased, accents removed); every query
+ * word must match a word of the name, username, tags, category, location
+ * or bio exactly, as a prefix, inside it or, for longer words, within a
+ * typo or two. Results are ranked by how well and where they matched,
+ * blended with followers and engagement rate, and come with the matched
+ * fields highlighted and counts by platform, category and location.
+ *
+ * The database narrows the candidates first: filters are applied in SQL, and
+ * so is a text prefilter that keeps every influencer the query words could
+ * match (typos included). At most max_candidates of those, by followers, are
+ * ranked; when there were more, the response says it was truncated.
+ */
+
+const { query } = require('../database');
+const config = require('../config');
+const ownership = require('./ownership');
+
+// Searched fields and how much a match in each counts
+const FIELDS = [
+  { name: 'name', weight: 3 },
+  { name: 'username', weight: 3 },
+  { name: 'tags', weight: 2 },
+  { name: 'category', weight: 2 },
+  { name: 'location', weight: 1.5 },
+  { name: 'bio', weight: 1 }
+];
+const MAX_WEIGHT = Math.max(...FIELDS.map(field => field.weight));
+
+const MATCH_SCORES = { exact: 1, prefix: 0.8, fuzzy: [1, 0.6, 0.4], infix: 0.5 };
+
+const FACETS = ['platform', 'category', 'location'];
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+// Characters of a bio shown either side of its first match
+const SNIPPET_CONTEXT = 60;
+
+function settings() {
+  return {
+    fuzzy: true,
+    popularity_weight: 0.2,
+    max_candidates: 5000,
+    facet_limit: 10,
+    ...config.search
+  };
+}
+
+// Lowercase without accents, so "Café" and "cafe" are the same word
+function normalize(text) {
+  return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+// Accented letters with the letter normalize() leaves of each, then the
+// accents it drops, so translate() can normalize text in SQL the same way
+const ACCENTS = (() => {
+  let from = '';
+  let to = '';
+  for (const [first, last] of [[0xc0, 0x24f], [0x1e00, 0x1eff]]) {
+    for (let code = first; code <= last; code++) {
+      const letter = String.fromCharCode(code).toLowerCase();
+      const plain = normalize(letter);
+      if (letter.length === 1 && plain.length === 1 && plain !== letter && !from.includes(letter)) {
+        from += letter;
+        to += plain;
+      }
+    }
+  }
+  for (let code = 0x300; code <= 0x36f; code++) {
+    from += String.fromCharCode(code);
+  }
+  return { from, to };
+})();
+
+/**
+ * Split text into normalized words
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  if (text === null || text === undefined) {
+    return [];
+  }
+  return normalize(text).match(WORD) || [];
+}
+
+// Words of some text with where each one is in it, for highlighting
+function wordsOf(text) {
+  return Array.from(String(text).matchAll(WORD), match => ({
+    word: normalize(match[0]),
+    start: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+// Typos allowed in a query word of this length
+function maxEdits(length) {
+  if (length >= 7) return 2;
+  if (length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of
+ * neighbouring letters, giving up once it is over max
+ * @returns {number} The distance, or max + 1 when over max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      best = Math.min(best, current[j]);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = current;
+  }
+
+  return Math.min(previous[b.length], max + 1);
+}
+
+/**
+ * Parts of a query word, one of which every word it matches contains
+ * With n typos allowed the word is cut into 2n + 1 pieces, since a typo (or
+ * a swap of neighbouring letters) spoils at most two of them.
+ * @returns {string[]}
+ */
+function requiredPieces(term, fuzzy) {
+  const allowed = fuzzy ? maxEdits(term.length) : 0;
+  if (allowed === 0) {
+    return [term];
+  }
+
+  const count = 2 * allowed + 1;
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    pieces.push(term.slice(Math.floor(i * term.length / count), Math.floor((i + 1) * term.length / count)));
+  }
+  return Array.from(new Set(pieces.filter(Boolean)));
+}
+
+/**
+ * How well a query word matches a word of a field
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+function matchWord(term, word, fuzzy) {
+  if (word === term) {
+    return MATCH_SCORES.exact;
+  }
+  if (word.startsWith(term)) {
+    return MATCH_SCORES.prefix;
+  }
+
+  let score = 0;
+  if (term.length >= 3 && word.includes(term)) {
+    score = MATCH_SCORES.infix;
+  }
+  const allowed = fuzzy ? maxEdits(term.length) : 0;
+  if (allowed > 0) {
+    const distance = editDistance(term, word, allowed);
+    if (distance <= allowed) {
+      score = Math.max(score, MATCH_SCORES.fuzzy[distance]);
+    }
+  }
+  return score;
+}
+
+// Text of each searched field of an influencer (tags as a list)
+function fieldValues(influencer, field) {
+  const value = influencer[field];
+  if (Array.isArray(value)) {
+    return value.filter(item => item !== null && item !== undefined).map(String);
+  }
+  return value === null || value === undefined || value === '' ? [] : [String(value)];
+}
+
+/**
+ * Score an influencer's text against the query words
+ * @returns {{ score: number, matched: object }|null} Null unless every word
+ *   matched; matched holds the matching words of each field
+ */
+function scoreText(influencer, terms, fuzzy) {
+  const matched = {};
+  let total = 0;
+
+  for (const term of terms) {
+    let best = 0;
+    for (const { name, weight } of FIELDS) {
+      for (const word of new Set(fieldValues(influencer, name).flatMap(tokenize))) {
+        const score = matchWord(term, word, fuzzy);
+        if (score > 0) {
+          (matched[name] = matched[name] || new Set()).add(word);
+          best = Math.max(best, score * weight);
+        }
+      }
+    }
+    if (best === 0) {
+      return null;
+    }
+    total += best;
+  }
+
+  return { score: total / (terms.length * MAX_WEIGHT), matched };
+}
+
+/**
+ * Popularity from followers (on a log scale, 100M and up counting fully)
+ * and engagement rate (10% and up counting fully)
+ * @returns {number} 0 to 1
+ */
+function popularity(influencer) {
+  const followers = Math.min(Math.log10((Number(influencer.followers) || 0) + 1) / 8, 1);
+  const engagement = Math.min((Number(influencer.engagement_rate) || 0) / 10, 1);
+  return 0.7 * followers + 0.3 * engagement;
+}
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;'
+  }[char]));
+}
+
+/**
+ * Wrap the matched words of some text in <mark> tags, escaping the rest
+ * @param {string} text
+ * @param {Set<string>} words - Normalized words to mark
+ * @param {object} [options] - { snippet } to cut long text down to the first match
+ * @returns {string} HTML
+ */
+function highlight(text, words, { snippet = false } = {}) {
+  let ranges = wordsOf(text).filter(({ word }) => words.has(word));
+  let from = 0;
+  let to = text.length;
+
+  if (snippet && ranges.length > 0 && text.length > SNIPPET_CONTEXT * 2) {
+    from = Math.max(ranges[0].start - SNIPPET_CONTEXT, 0);
+    to = Math.min(ranges[0].end + SNIPPET_CONTEXT, text.length);
+    // Don't cut words in half
+    while (from > 0 && /\S/.test(text[from - 1])) from--;
+    while (to < text.length && /\S/.test(text[to])) to++;
+    ranges = ranges.filter(range => range.start >= from && range.end <= to);
+  }
+
+  let html = from > 0 ? '…' : '';
+  let position = from;
+  for (const { start, end } of ranges) {
+    html += `${escapeHtml(text.slice(position, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  }
+  html += escapeHtml(text.slice(position, to));
+  return to < text.length ? `${html}…` : html;
+}
+
+function buildHighlights(influencer, matched) {
+  const highlights = {};
+  for (const [field, words] of Object.entries(matched)) {
+    if (field === 'tags') {
+      highlights.tags = influencer.tags
+        .filter(tag => tokenize(tag).some(word => words.has(word)))
+        .map(tag => highlight(String(tag), words));
+    } else {
+      highlights[field] = highlight(String(influencer[field]), words, { snippet: field === 'bio' });
+    }
+  }
+  return highlights;
+}
+
+/**
+ * Counts of each facet's values among the matches, with every filter but the
+ * facet's own applied so the other values stay selectable
+ * @param {object} matchesByFacet - Matches to count for each facet
+ */
+function buildFacets(matchesByFacet, limit) {
+  const facets = {};
+
+  for (const facet of FACETS) {
+    const counts = new Map();
+    for (const { influencer } of matchesByFacet[facet]) {
+      const value = influencer[facet];
+      if (value !== null && value !== undefined && value !== '') {
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+    facets[facet] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)))
+      .slice(0, limit);
+  }
+
+  return facets;
+}
+
+/**
+ * Load the accessible influencers the query words could match, with the
+ * filters applied
+ * @param {object} user - The requesting user
+ * @param {object} options - { terms, fuzzy, filters, ignore, limit }; ignore
+ *   names a filter to leave out, for counting its facet
+ * @returns {Promise<object>} { influencers, truncated } - at most limit, by followers
+ */
+async function loadCandidates(user, { terms, fuzzy, filters, ignore = null, limit }) {
+  const access = ownership.buildAccessFilters(user, 'influencer');
+  const conditions = [...access.filters];
+  const values = [...access.values, ACCENTS.from, ACCENTS.to];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const from = `$${values.length - 1}`;
+  const to = `$${values.length}`;
+  const normalized = column => `translate(lower(${column}), ${from}, ${to})`;
+
+  for (const facet of FACETS) {
+    if (facet !== ignore && filters[facet]) {
+      conditions.push(`${normalized(facet)} = ${param(normalize(filters[facet]))}`);
+    }
+  }
+
+  const text = normalized(`concat_ws(' ', ${FIELDS.map(({ name }) => (name === 'tags' ? 'tags::text' : name)).join(', ')})`);
+  for (const term of terms) {
+    const patterns = requiredPieces(term, fuzzy).map(piece => `${text} LIKE ${param(`%${piece}%`)}`);
+    conditions.push(`(${patterns.join(' OR ')})`);
+  }
+
+  const result = await query(
+    `SELECT id, name, email, username, platform, profile_url, followers,
+            engagement_rate, location, bio, category, status, tags,
+            created_at, updated_at
+     FROM influencers
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY followers DESC
+     LIMIT ${param(limit + 1)}`,
+    values
+  );
+
+  const influencers = result.rows.slice(0, limit).map(influencer => ({
+    ...influencer,
+    tags: (typeof influencer.tags === 'string' ? JSON.parse(influencer.tags) : influencer.tags) || []
+  }));
+  return { influencers, truncated: result.rows.length > limit };
+}
+
+/**
+ * Search the influencers a user may access
+ * @param {object} user - The requesting user
+ * @param {object} params - { q, platform, category, location, fuzzy, page, limit }
+ * @returns {Promise<object>} { query, results, facets, truncated, pagination };
+ *   each result is the influencer with its score and highlights, and
+ *   truncated says whether there were more candidates than were ranked
+ */
+async function searchInfluencers(user, params) {
+  const options = settings();
+  const { q, page = 1, limit = 10 } = params;
+  const fuzzy = params.fuzzy === undefined ? options.fuzzy : params.fuzzy;
+  const filters = { platform: params.platform, category: params.category, location: params.location };
+  const terms = Array.from(new Set(tokenize(q)));
+  const weight = Math.min(Math.max(Number(options.popularity_weight) || 0, 0), 1);
+
+  // Influencers loaded by more than one query are scored once
+  const scored = new Map();
+  const match = (influencer) => {
+    if (!scored.has(influencer.id)) {
+      const text = scoreText(influencer, terms, fuzzy);
+      const score = text && (1 - weight) * text.score + weight * popularity(influencer);
+      scored.set(influencer.id, text && { influencer, text, score: Math.round(score * 10000) / 10000 });
+    }
+    return scored.get(influencer.id);
+  };
+
+  let truncated = false;
+  const load = async (ignore) => {
+    if (terms.length === 0) {
+      return [];
+    }
+    const candidates = await loadCandidates(user, { terms, fuzzy, filters, ignore, limit: options.max_candidates });
+    truncated = truncated || candidates.truncated;
+    return candidates.influencers.map(match).filter(Boolean);
+  };
+
+  const matches = await load();
+  // A filtered facet counts matches without its own filter
+  const matchesByFacet = {};
+  for (const facet of FACETS) {
+    matchesByFacet[facet] = filters[facet] ? await load(facet) : matches;
+  }
+
+  const ranked = matches
+    .sort((a, b) => b.score - a.score ||
+      (Number(b.influencer.followers) || 0) - (Number(a.influencer.followers) || 0) ||
+      a.influencer.name.localeCompare(b.influencer.name));
+
+  const total = ranked.length;
+  const results = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(({ influencer, text, score }) => ({
+      ...influencer,
+      score,
+      highlights: buildHighlights(influencer, text.matched)
+    }));
+
+  return {
+    query: q,
+    results,
+    facets: buildFacets(matchesByFacet, options.facet_limit),
+    truncated,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+module.exports = {
+  FIELDS,
+  tokenize,
+  editDistance,
+  highlight,
+  searchInfluencers
+};
@@ -1,11 +1,14 @@
 /**
  * Session Management Service
- * Handles user session tracking and management
+ * Handles user session tracking and management. Every login opens a session;
+ * access tokens name it in their `sid` claim and refresh tokens belong to it,
+ * so revoking a session invalidates every token issued for it.
  */
 
 const { query, transaction } = require('../database');
 const crypto = require('crypto');
 const config = require('../config');
+const { AuthenticationError } = require('../middleware/error');
 
 // Session status constants
 const SESSION_STATUS = {
@@ -14,6 +17,31 @@ const SESSION_STATUS = {
   REVOKED: 'revoked'
 };
 
+// Why a session was revoked
+const REVOKE_REASONS = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  TOKEN_REUSE: 'refresh_token_reuse',
+  ACCOUNT_CLAIMED: 'account_claimed'
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Convert a duration such as "30d" or "12h" (or a number of seconds) to milliseconds
+ */
+function durationToMs(duration) {
+  if (typeof duration === 'number') {
+    return duration * 1000;
+  }
+
+  const match = /^(\d+)\s*([smhd])$/.exec(String(duration).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return parseInt(match[1]) * DURATION_UNITS[match[2]];
+}
+
 /**
  * Generate a secure session token
  */
@@ -24,20 +52,25 @@ function generateSessionToken() {
 /**
  * Create a new session for a user
  */
-async function createSession(userId, metadata = {}) {
+async function createSession(userId, metadata = {}, db = { query }) {
   const sessionToken = generateSessionToken();
-  const expiresAt = new Date(Date.now() + (config.session.cookie_max_age || 604800000)); // 7 days
+  const expiresAt = metadata.expiresAt || new Date(Date.now() + (config.session.cookie_max_age || 604800000)); // 7 days
   
-  const result = await query(
-    `INSERT INTO sessions (user_id, session_token, ip_address, user_agent, device_info, expires_at, created_at)
-     VALUES ($1, $2, $3, $4, $5, $6, NOW())
-     RETURNING id, session_token, ip_address, user_agent, device_info, status, created_at, expires_at`,
+  const result = await db.query(
+    `INSERT INTO sessions (user_id, session_token, ip_address, user_agent, device_info, workspace_id,
+       mfa_verified, mfa_method, expires_at, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     RETURNING id, session_token, ip_address, user_agent, device_info, workspace_id, mfa_verified, mfa_method,
+       status, created_at, expires_at`,
     [
       userId,
       sessionToken,
       metadata.ip || null,
       metadata.userAgent || null,
       metadata.deviceInfo || null,
+      metadata.workspaceId || null,
+      Boolean(metadata.mfaMethod),
+      metadata.mfaMethod || null,
       expiresAt
     ]
   );
@@ -56,9 +89,9 @@ async function validateSession(token) {
      FROM sessions s
      JOIN users u ON s.user_id = u.id
      WHERE s.session_token = $1 
-       AND s.status = $1
+       AND s.status = $2
        AND s.expires_at > NOW()`,
-    [token]
+    [token, SESSION_STATUS.ACTIVE]
   );
 
   if (result.rows.length === 0) return null;
@@ -93,7 +126,7 @@ async function getUserSessions(userId, options = {}) {
   // Get sessions
   const result = await query(
     `SELECT id, session_token, ip_address, user_agent, device_info, status, 
-            created_at, last_active_at, expires_at
+            workspace_id, mfa_verified, mfa_method, revoked_reason, created_at, last_active_at, expires_at
      FROM sessions ${whereClause}
      ORDER BY last_active_at DESC
      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
@@ -124,7 +157,7 @@ async function getUserSessions(userId, options = {}) {
 async function getSessionById(sessionId, userId) {
   const result = await query(
     `SELECT id, session_token, ip_address, user_agent, device_info, status, 
-            created_at, last_active_at, expires_at
+            workspace_id, mfa_verified, mfa_method, revoked_reason, created_at, last_active_at, expires_at
      FROM sessions WHERE id = $1 AND user_id = $2`,
     [sessionId, userId]
   );
@@ -145,12 +178,12 @@ async function updateSessionActivity(sessionId) {
 /**
  * Revoke a specific session
  */
-async function revokeSession(sessionId, userId) {
+async function revokeSession(sessionId, userId, reason = REVOKE_REASONS.USER_REVOKED) {
   const result = await query(
-    `UPDATE sessions SET status = $1, revoked_at = NOW() 
+    `UPDATE sessions SET status = $1, revoked_at = NOW(), revoked_reason = $4
      WHERE id = $2 AND user_id = $3
      RETURNING id, status`,
-    [SESSION_STATUS.REVOKED, sessionId, userId]
+    [SESSION_STATUS.REVOKED, sessionId, userId, reason]
   );
 
   return result.rowCount > 0;
@@ -159,12 +192,13 @@ async function revokeSession(sessionId, userId) {
 /**
  * Revoke all sessions for a user (except current)
  */
-async function revokeAllSessions(userId, excludeSessionId = null) {
-  let queryText = `UPDATE sessions SET status = $1, revoked_at = NOW() WHERE user_id = $2 AND status = $3`;
-  const values = [SESSION_STATUS.REVOKED, userId, SESSION_STATUS.ACTIVE];
+async function revokeAllSessions(userId, excludeSessionId = null, reason = REVOKE_REASONS.USER_REVOKED) {
+  let queryText = `UPDATE sessions SET status = $1, revoked_at = NOW(), revoked_reason = $4
+    WHERE user_id = $2 AND status = $3`;
+  const values = [SESSION_STATUS.REVOKED, userId, SESSION_STATUS.ACTIVE, reason];
   
   if (excludeSessionId) {
-    queryText += ' AND id != $4';
+    queryText += ' AND id != $5';
     values.push(excludeSessionId);
   }
 
@@ -224,6 +258,148 @@ async function createSessionFromJWT(user, metadata = {}) {
   return null;
 }
 
+/**
+ * Check that the session an access token was issued for is still usable
+ * @param {string} sessionId - The token's `sid` claim
+ * @param {string} userId - The token's user
+ * @returns {Promise<object>} The active session
+ */
+async function assertActiveSession(sessionId, userId) {
+  const result = await query(
+    'SELECT id, user_id, status, workspace_id, mfa_verified, expires_at FROM sessions WHERE id = $1 AND user_id = $2',
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0 || result.rows[0].status === SESSION_STATUS.REVOKED) {
+    throw new AuthenticationError('Session has been revoked');
+  }
+
+  const session = result.rows[0];
+  if (session.status === SESSION_STATUS.EXPIRED || new Date(session.expires_at) <= new Date()) {
+    throw new AuthenticationError('Session has expired');
+  }
+  return session;
+}
+
+/**
+ * Remember the workspace a session is working in, so refreshed tokens keep it
+ */
+async function setSessionWorkspace(sessionId, workspaceId) {
+  await query('UPDATE sessions SET workspace_id = $1 WHERE id = $2', [workspaceId, sessionId]);
+}
+
+/**
+ * Record that a session satisfied two-factor authentication
+ * @param {string} method - How, e.g. 'totp'
+ */
+async function markSessionMfa(sessionId, method) {
+  await query('UPDATE sessions SET mfa_verified = true, mfa_method = $1 WHERE id = $2', [method, sessionId]);
+}
+
+/**
+ * Hash a refresh token for storage. Keyed with its own secret so a leaked
+ * table is useless without it, and unrelated to the access token key.
+ */
+function hashRefreshToken(token) {
+  return crypto.createHmac('sha256', config.jwt.refresh_secret).update(token).digest('hex');
+}
+
+/**
+ * Issue a new opaque refresh token for a session
+ * @returns {Promise<object>} { id, token } - the stored row ID and the raw token
+ */
+async function issueRefreshToken(sessionId, db = { query }) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (session_id, token_hash, created_at)
+     VALUES ($1, $2, NOW())
+     RETURNING id`,
+    [sessionId, hashRefreshToken(token)]
+  );
+  return { id: result.rows[0].id, token };
+}
+
+/**
+ * Open a session at login and issue its first refresh token
+ * @param {string} userId - User signing in
+ * @param {object} metadata - { ip, userAgent, deviceInfo, workspaceId, mfaMethod }
+ * @returns {Promise<object>} { session, refreshToken }
+ */
+async function startSession(userId, metadata = {}) {
+  const expiresAt = new Date(Date.now() + durationToMs(config.jwt.refresh_expires_in));
+
+  return transaction(async (client) => {
+    const session = await createSession(userId, { ...metadata, expiresAt }, client);
+    const { token } = await issueRefreshToken(session.id, client);
+    return { session, refreshToken: token };
+  });
+}
+
+/**
+ * Exchange a refresh token for a new one. Each token works once; presenting a
+ * token that was already exchanged means it was copied, so the whole session
+ * and every token descended from it is revoked.
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<object>} { session, refreshToken }
+ */
+async function rotateRefreshToken(token) {
+  const result = await query(
+    `SELECT rt.id, rt.used_at, s.id as session_id, s.user_id, s.status, s.workspace_id, s.expires_at
+     FROM refresh_tokens rt
+     JOIN sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = $1`,
+    [hashRefreshToken(token)]
+  );
+  if (result.rows.length === 0) {
+    throw new AuthenticationError('Invalid refresh token');
+  }
+
+  const stored = result.rows[0];
+  if (stored.status === SESSION_STATUS.REVOKED) {
+    throw new AuthenticationError('Session has been revoked');
+  }
+  if (stored.status === SESSION_STATUS.EXPIRED || new Date(stored.expires_at) <= new Date()) {
+    throw new AuthenticationError('Refresh token has expired');
+  }
+
+  const revokeForReuse = async () => {
+    await revokeSession(stored.session_id, stored.user_id, REVOKE_REASONS.TOKEN_REUSE);
+    throw new AuthenticationError('Refresh token has already been used; the session has been revoked');
+  };
+
+  if (stored.used_at) {
+    return revokeForReuse();
+  }
+
+  const rotated = await transaction(async (client) => {
+    // Only one request can consume a token, even when two race for it
+    const consumed = await client.query(
+      'UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1 AND used_at IS NULL RETURNING id',
+      [stored.id]
+    );
+    if (consumed.rows.length === 0) {
+      return null;
+    }
+
+    const next = await issueRefreshToken(stored.session_id, client);
+    await client.query('UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2', [next.id, stored.id]);
+    await client.query('UPDATE sessions SET last_active_at = NOW() WHERE id = $1', [stored.session_id]);
+    return next;
+  });
+  if (!rotated) {
+    return revokeForReuse();
+  }
+
+  return {
+    session: {
+      id: stored.session_id,
+      user_id: stored.user_id,
+      workspace_id: stored.workspace_id,
+      expires_at: stored.expires_at
+    },
+    refreshToken: rotated.token
+  };
+}
+
 /**
  * Get current session info for response headers
  */
@@ -236,6 +412,8 @@ function getSessionHeaders(session) {
 
 module.exports = {
   SESSION_STATUS,
+  REVOKE_REASONS,
+  durationToMs,
   generateSessionToken,
   createSession,
   validateSession,
@@ -248,5 +426,10 @@ module.exports = {
   cleanupExpiredSessions,
   countActiveSessions,
   createSessionFromJWT,
+  assertActiveSession,
+  setSessionWorkspace,
+  markSessionMfa,
+  startSession,
+  rotateRefreshToken,
   getSessionHeaders
 };
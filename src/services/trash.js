@@ -0,0 +1,176 @@
+/**
+ * Trash Service
+ * Deleting an influencer, campaign or data model moves it to the trash:
+ * the row stays, marked with when and by whom it was deleted, and every
+ * list, search and analytics query leaves it out. From the trash it can be
+ * restored as it was, with its campaign memberships, data and shares, until
+ * it is purged for good once the retention period has passed.
+ */
+
+const { query, transaction } = require('../database');
+const config = require('../config');
+const audit = require('./audit');
+const ownership = require('./ownership');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audit resource type of each resource, and the rows removed with it on purge
+const TRASH_RESOURCES = {
+  influencer: { auditType: audit.RESOURCE_TYPES.INFLUENCER, dependents: [] },
+  campaign: { auditType: audit.RESOURCE_TYPES.CAMPAIGN, dependents: [{ table: 'campaign_influencers', column: 'campaign_id' }] },
+  model: { auditType: audit.RESOURCE_TYPES.DATA_MODEL, dependents: [{ table: 'model_data', column: 'model_id' }] }
+};
+
+function retentionDays() {
+  return (config.trash && config.trash.retention_days) || 30;
+}
+
+// When a record deleted at the given time will be purged
+function purgeDate(deletedAt) {
+  return new Date(new Date(deletedAt).getTime() + retentionDays() * DAY_MS);
+}
+
+/**
+ * Move a record to the trash
+ * @param {object} db - Client of the caller's transaction
+ * @param {string} type - Resource type (see TRASH_RESOURCES)
+ * @param {object} record - The full row being deleted
+ * @param {object} actor - From audit.actorFrom
+ * @returns {Promise<object>} The trashed row
+ */
+async function moveToTrash(db, type, record, actor) {
+  const { table } = ownership.RESOURCES[type];
+  const result = await db.query(
+    `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [record.id, actor.userId]
+  );
+
+  await audit.record(actor, {
+    action: audit.ACTIONS.DELETE,
+    resourceType: TRASH_RESOURCES[type].auditType,
+    resourceId: record.id,
+    before: record
+  }, db);
+
+  return result.rows[0];
+}
+
+/**
+ * Records of one type in the user's trash, most recently deleted first
+ * @param {object} user - Authenticated user
+ * @param {string} type - Resource type
+ * @param {object} options - { page, limit }
+ * @returns {Promise<object>} { items, pagination }
+ */
+async function listTrash(user, type, { page = 1, limit = 20 } = {}) {
+  const { table } = ownership.RESOURCES[type];
+  const { filters, values, paramIndex } = ownership.buildAccessFilters(user, type, { alias: 't', trashed: true });
+  const whereClause = `WHERE ${filters.join(' AND ')}`;
+  const offset = (page - 1) * limit;
+
+  const countResult = await query(`SELECT COUNT(*) FROM ${table} t ${whereClause}`, values);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT t.*, u.name as deleted_by_name
+     FROM ${table} t
+     LEFT JOIN users u ON u.id = t.deleted_by
+     ${whereClause}
+     ORDER BY t.deleted_at DESC
+     LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`,
+    [...values, limit, offset]
+  );
+
+  return {
+    items: result.rows.map(row => ({ ...row, purge_at: purgeDate(row.deleted_at) })),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * Take a record out of the trash
+ * @param {object} user - Authenticated user; records outside their reach are not found
+ * @param {string} type - Resource type
+ * @param {string} id - Record ID
+ * @param {object} actor - From audit.actorFrom
+ * @returns {Promise<object>} The restored row
+ */
+async function restore(user, type, id, actor) {
+  const { table } = ownership.RESOURCES[type];
+  await ownership.findAccessible(user, type, id, { trashed: true });
+
+  return transaction(async (client) => {
+    const before = await client.query(`SELECT * FROM ${table} WHERE id = $1`, [id]);
+    const result = await client.query(
+      `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL, updated_at = NOW()
+       WHERE id = $1 AND deleted_at IS NOT NULL
+       RETURNING *`,
+      [id]
+    );
+
+    await audit.record(actor, {
+      action: audit.ACTIONS.RESTORE,
+      resourceType: TRASH_RESOURCES[type].auditType,
+      resourceId: id,
+      before: before.rows[0],
+      after: result.rows[0]
+    }, client);
+
+    return result.rows[0];
+  });
+}
+
+/**
+ * Permanently delete every record that has been in the trash longer than
+ * the retention period, along with its dependent rows and shares
+ * @param {object} [options] - { retentionDays } overriding the configured period
+ * @returns {Promise<number>} Records purged
+ */
+async function purgeExpired(options = {}) {
+  const days = options.retentionDays !== undefined ? options.retentionDays : retentionDays();
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  let purged = 0;
+
+  for (const [type, { auditType, dependents }] of Object.entries(TRASH_RESOURCES)) {
+    const { table } = ownership.RESOURCES[type];
+    const expired = await query(
+      `SELECT * FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at <= $1`,
+      [cutoff]
+    );
+
+    for (const record of expired.rows) {
+      await transaction(async (client) => {
+        for (const dependent of dependents) {
+          await client.query(`DELETE FROM ${dependent.table} WHERE ${dependent.column} = $1`, [record.id]);
+        }
+        await client.query(`DELETE FROM ${table} WHERE id = $1`, [record.id]);
+        await ownership.removeShares(client, type, record.id);
+        await audit.record(audit.SYSTEM_ACTOR, {
+          action: audit.ACTIONS.PURGE,
+          resourceType: auditType,
+          resourceId: record.id,
+          before: record
+        }, client);
+      });
+      purged++;
+    }
+  }
+
+  return purged;
+}
+
+module.exports = {
+  TRASH_RESOURCES,
+  purgeDate,
+  moveToTrash,
+  listTrash,
+  restore,
+  purgeExpired
+};
@@ -0,0 +1,396 @@
+/**
+ * Two-Factor Authentication Service
+ * Time-based one-time passwords (RFC 6238) from an authenticator app, with
+ * one-time recovery codes for a lost device. When 2FA is on, a correct
+ * password only earns a short-lived challenge; the code completes the login.
+ */
+
+const crypto = require('crypto');
+const { query, transaction } = require('../database');
+const config = require('../config');
+const roles = require('./roles');
+const loginProtection = require('./loginProtection');
+const { ValidationError, AuthenticationError, ConflictError, NotFoundError } = require('../middleware/error');
+
+// Ways a user can satisfy the second step
+const MFA_METHODS = {
+  TOTP: 'totp',
+  RECOVERY_CODE: 'recovery_code'
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+
+/**
+ * Encode bytes as base32, the format authenticator apps expect secrets in
+ */
+function base32Encode(buffer) {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+}
+
+/**
+ * Decode a base32 secret back to bytes
+ */
+function base32Decode(secret) {
+  let bits = '';
+  for (const char of secret.toUpperCase().replace(/=+$/, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new ValidationError('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * The code for a secret at a 30 second time step
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Seconds since the epoch divided by 30
+ * @returns {string} Six digit code
+ */
+function generateTotp(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * The time step a code belongs to, allowing for clock drift
+ * @returns {number|null} The matching step, or null when the code is wrong
+ */
+function findTotpStep(secret, code, now = Date.now()) {
+  const normalized = String(code).replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = Math.floor(now / 1000 / STEP_SECONDS);
+  const window = config.twoFactor.window;
+  for (let step = current - window; step <= current + window; step++) {
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI to show as a QR code for authenticator apps
+ */
+function buildOtpauthUrl(secret, email) {
+  const issuer = config.twoFactor.issuer;
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(email)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Hash a recovery code or challenge token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Recovery codes are compared without case, spaces or dashes
+function normalizeRecoveryCode(code) {
+  return String(code).toLowerCase().replace(/[^0-9a-z]/g, '');
+}
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @returns {Promise<string[]>} The codes, shown to the user once
+ */
+async function replaceRecoveryCodes(userId, db = { query }) {
+  const codes = Array.from({ length: config.twoFactor.recovery_code_count }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+  return codes;
+}
+
+async function findUser(userId) {
+  const result = await query(
+    'SELECT id, email, role, totp_secret, totp_enabled, totp_enabled_at, totp_last_step FROM users WHERE id = $1',
+    [userId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+  return result.rows[0];
+}
+
+/**
+ * Check a TOTP code and use up its time step, so a code cannot be replayed
+ */
+async function consumeTotp(user, code) {
+  const step = findTotpStep(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await query(
+    `UPDATE users SET totp_last_step = $1
+     WHERE id = $2 AND (totp_last_step IS NULL OR totp_last_step < $1)
+     RETURNING id`,
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Use up one of a user's recovery codes
+ */
+async function consumeRecoveryCode(userId, code) {
+  const result = await query(
+    `UPDATE recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Check the second factor a user sent
+ * @param {object} user - Row with the TOTP columns
+ * @param {object} factor - { code } or { recovery_code }
+ * @returns {Promise<string|null>} The method used, or null when it was wrong
+ */
+async function verifySecondFactor(user, { code, recovery_code }) {
+  if (code && await consumeTotp(user, code)) {
+    return MFA_METHODS.TOTP;
+  }
+  if (recovery_code && await consumeRecoveryCode(user.id, recovery_code)) {
+    return MFA_METHODS.RECOVERY_CODE;
+  }
+  return null;
+}
+
+/**
+ * Whether a user's role requires 2FA
+ */
+async function isRequiredFor(user) {
+  return roles.roleRequiresMfa(user.role);
+}
+
+/**
+ * A user's 2FA status
+ */
+async function getStatus(userId) {
+  const user = await findUser(userId);
+  const remaining = await query(
+    'SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    enabled: Boolean(user.totp_enabled),
+    enabled_at: user.totp_enabled_at || null,
+    recovery_codes_remaining: parseInt(remaining.rows[0].count),
+    required: await isRequiredFor(user)
+  };
+}
+
+/**
+ * Start enrolling: create a secret that stays pending until a code confirms it
+ * @returns {Promise<object>} { secret, otpauth_url }
+ */
+async function beginSetup(userId) {
+  const user = await findUser(userId);
+  if (user.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL, updated_at = NOW() WHERE id = $2',
+    [secret, userId]
+  );
+
+  return { secret, otpauth_url: buildOtpauthUrl(secret, user.email) };
+}
+
+/**
+ * Finish enrolling with a code from the app
+ * @returns {Promise<string[]>} Recovery codes, shown to the user once
+ */
+async function enable(userId, code) {
+  const user = await findUser(userId);
+  if (user.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is already enabled');
+  }
+  if (!user.totp_secret) {
+    throw new ValidationError('Start two-factor setup first');
+  }
+  if (!await consumeTotp(user, code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  return transaction(async (client) => {
+    await client.query(
+      'UPDATE users SET totp_enabled = true, totp_enabled_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [userId]
+    );
+    return replaceRecoveryCodes(userId, client);
+  });
+}
+
+/**
+ * Turn 2FA off after checking a code or recovery code
+ */
+async function disable(userId, factor) {
+  const user = await findUser(userId);
+  if (!user.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+  if (await isRequiredFor(user)) {
+    throw new ConflictError('Your role requires two-factor authentication');
+  }
+  if (!await verifySecondFactor(user, factor)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  await transaction(async (client) => {
+    await client.query(
+      `UPDATE users SET totp_secret = NULL, totp_enabled = false, totp_enabled_at = NULL,
+         totp_last_step = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+    await client.query('DELETE FROM recovery_codes WHERE user_id = $1', [userId]);
+  });
+}
+
+/**
+ * Replace the recovery codes after checking a code from the app
+ * @returns {Promise<string[]>} The new codes
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  const user = await findUser(userId);
+  if (!user.totp_enabled) {
+    throw new ConflictError('Two-factor authentication is not enabled');
+  }
+  if (!await consumeTotp(user, code)) {
+    throw new ValidationError('Invalid authentication code');
+  }
+
+  return replaceRecoveryCodes(userId);
+}
+
+/**
+ * Issue the challenge a user answers with their code after the password
+ * @returns {Promise<object>} { challenge_token, expires_at }
+ */
+async function createChallenge(userId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + config.twoFactor.challenge_expires_in_minutes * 60 * 1000);
+
+  await query(
+    `INSERT INTO mfa_challenges (user_id, token_hash, expires_at, created_at)
+     VALUES ($1, $2, $3, NOW())`,
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { challenge_token: token, expires_at: expiresAt };
+}
+
+/**
+ * Answer a login challenge
+ * @param {string} token - Challenge token from the login response
+ * @param {object} factor - { code } or { recovery_code }
+ * @param {object} [client] - { ip, userAgent } of the request, for login protection
+ * @returns {Promise<object>} { userId, method }
+ * @throws {TooManyRequestsError} While the account or IP is locked
+ */
+async function completeChallenge(token, factor, { ip = null, userAgent = null } = {}) {
+  const result = await query(
+    `SELECT id, user_id, attempts, expires_at, completed_at FROM mfa_challenges WHERE token_hash = $1`,
+    [hashToken(token)]
+  );
+  const challenge = result.rows[0];
+  if (!challenge || challenge.completed_at || new Date(challenge.expires_at) <= new Date()) {
+    throw new AuthenticationError('Invalid or expired challenge. Sign in again');
+  }
+  if (challenge.attempts >= config.twoFactor.max_challenge_attempts) {
+    throw new AuthenticationError('Too many attempts. Sign in again');
+  }
+
+  // Wrong codes count as failed logins of the account, so signing in again
+  // for a fresh challenge doesn't buy more guesses
+  const user = await findUser(challenge.user_id);
+  const { LOGIN } = loginProtection.ATTEMPT_KINDS;
+  const attempt = { email: user.email, ip, userId: user.id, userAgent };
+  await loginProtection.assertNotLocked(LOGIN, attempt);
+  await loginProtection.throttle(LOGIN, attempt);
+
+  const method = await verifySecondFactor(user, factor);
+  if (!method) {
+    await query('UPDATE mfa_challenges SET attempts = attempts + 1 WHERE id = $1', [challenge.id]);
+    await loginProtection.recordFailure(LOGIN, attempt, loginProtection.FAILURE_REASONS.INVALID_CODE);
+    throw new AuthenticationError('Invalid authentication code');
+  }
+
+  // Only one request can complete a challenge
+  const completed = await query(
+    'UPDATE mfa_challenges SET completed_at = NOW() WHERE id = $1 AND completed_at IS NULL RETURNING id',
+    [challenge.id]
+  );
+  if (completed.rows.length === 0) {
+    throw new AuthenticationError('Invalid or expired challenge. Sign in again');
+  }
+
+  await loginProtection.recordSuccess(LOGIN, attempt);
+  return { userId: challenge.user_id, method };
+}
+
+module.exports = {
+  MFA_METHODS,
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  findTotpStep,
+  buildOtpauthUrl,
+  isRequiredFor,
+  getStatus,
+  beginSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  createChallenge,
+  completeChallenge
+};
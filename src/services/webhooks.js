@@ -0,0 +1,467 @@
+/**
+ * Webhook Service
+ * Workspaces subscribe URLs to domain events such as influencer.created or
+ * campaign.status_changed. Each event becomes one delivery per matching
+ * subscription: a JSON POST signed with the subscription's secret, retried
+ * with exponential backoff until the receiver answers with a 2xx or the
+ * attempts run out. Every attempt's outcome is kept in the delivery log:
+ * the status code and how long the receiver took, never what it answered.
+ *
+ * Receivers must be on public addresses. A URL is checked when it is
+ * subscribed and again on every attempt, where the connection itself refuses
+ * private addresses and redirects are not followed, so a receiver cannot point
+ * deliveries at the server or its network. Hosts in webhooks.allowed_hosts
+ * are exempt.
+ *
+ * X-Webhook-Id carries the event ID, which stays the same when a delivery
+ * is retried or redelivered, so receivers can ignore repeats.
+ * Receivers verify a delivery by computing an HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" with the secret and comparing it with
+ * the hex digest in X-Webhook-Signature (after its "sha256=" prefix).
+ */
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { query } = require('../database');
+const config = require('../config');
+const { assertPublicHost, hostOf, publicLookup } = require('../utils/network');
+const { NotFoundError, ValidationError } = require('../middleware/error');
+
+const EVENTS = {
+  INFLUENCER_CREATED: 'influencer.created',
+  INFLUENCER_UPDATED: 'influencer.updated',
+  INFLUENCER_DELETED: 'influencer.deleted',
+  CAMPAIGN_CREATED: 'campaign.created',
+  CAMPAIGN_UPDATED: 'campaign.updated',
+  CAMPAIGN_DELETED: 'campaign.deleted',
+  CAMPAIGN_STATUS_CHANGED: 'campaign.status_changed',
+  CAMPAIGN_INFLUENCER_ADDED: 'campaign.influencer_added',
+  CAMPAIGN_INFLUENCER_REMOVED: 'campaign.influencer_removed',
+  MODEL_DATA_ADDED: 'model.data_added'
+};
+
+// Subscribes to every event
+const ALL_EVENTS = '*';
+
+const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// Marks a string as one of our signing secrets
+const SECRET_PREFIX = 'whsec_';
+
+const SUBSCRIPTION_FIELDS = 'id, workspace_id, url, events, description, is_active, created_by, created_at, updated_at';
+
+const DELIVERY_FIELDS = `id, subscription_id, event, payload, status, attempts, next_attempt_at, last_attempt_at,
+  response_status, response_time_ms, error, redelivery_of, created_at, delivered_at`;
+
+const parseJson = value => (typeof value === 'string' ? JSON.parse(value) : value);
+
+function formatSubscription(subscription) {
+  return { ...subscription, events: parseJson(subscription.events) };
+}
+
+function formatDelivery(delivery) {
+  return { ...delivery, payload: parseJson(delivery.payload) };
+}
+
+/**
+ * Generate a new signing secret
+ */
+function generateSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Signature of a delivery body, as sent in X-Webhook-Signature
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds, as sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ */
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+  return config.webhooks.retry_base_delay * Math.pow(2, attempts - 1);
+}
+
+const allowedHosts = () => (config.webhooks.allowed_hosts || []).map(host => String(host).toLowerCase());
+
+/**
+ * Check a receiver URL resolves only to public addresses
+ * @param {string} url
+ * @throws {ValidationError} When it could reach a loopback, private or link-local address
+ */
+async function assertReceiverUrl(url) {
+  try {
+    await assertPublicHost(url, { allowedHosts: allowedHosts() });
+  } catch (error) {
+    throw new ValidationError(`Webhook URL is not allowed: ${error.message}`);
+  }
+}
+
+/**
+ * Subscriptions of a workspace, newest first
+ */
+async function listSubscriptions(workspaceId) {
+  const result = await query(
+    `SELECT ${SUBSCRIPTION_FIELDS} FROM webhook_subscriptions WHERE workspace_id = $1 ORDER BY created_at DESC`,
+    [workspaceId]
+  );
+  return result.rows.map(formatSubscription);
+}
+
+/**
+ * One of a workspace's subscriptions
+ */
+async function getSubscription(workspaceId, id) {
+  const result = await query(
+    `SELECT ${SUBSCRIPTION_FIELDS} FROM webhook_subscriptions WHERE id = $1 AND workspace_id = $2`,
+    [id, workspaceId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook');
+  }
+  return formatSubscription(result.rows[0]);
+}
+
+/**
+ * Subscribe a URL to events
+ * @param {string} workspaceId - Workspace whose events are sent
+ * @param {object} data - { url, events, description, secret, is_active }
+ * @param {string} userId - Creator
+ * @returns {Promise<object>} { subscription, secret } - the secret is only returned here
+ */
+async function createSubscription(workspaceId, { url, events, description, secret, is_active = true }, userId) {
+  await assertReceiverUrl(url);
+
+  const signingSecret = secret || generateSecret();
+  const result = await query(
+    `INSERT INTO webhook_subscriptions (workspace_id, url, secret, events, description, is_active, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW())
+     RETURNING ${SUBSCRIPTION_FIELDS}`,
+    [workspaceId, url, signingSecret, JSON.stringify(events), description || null, is_active, userId]
+  );
+  return { subscription: formatSubscription(result.rows[0]), secret: signingSecret };
+}
+
+/**
+ * Change a subscription's URL, events, description or whether it is active
+ */
+async function updateSubscription(workspaceId, id, data) {
+  await getSubscription(workspaceId, id);
+  if (data.url !== undefined) {
+    await assertReceiverUrl(data.url);
+  }
+
+  const updates = [];
+  const values = [];
+  for (const field of ['url', 'events', 'description', 'is_active']) {
+    if (data[field] !== undefined) {
+      values.push(field === 'events' ? JSON.stringify(data[field]) : data[field]);
+      updates.push(`${field} = $${values.length}`);
+    }
+  }
+  values.push(id);
+
+  const result = await query(
+    `UPDATE webhook_subscriptions SET ${[...updates, 'updated_at = NOW()'].join(', ')}
+     WHERE id = $${values.length}
+     RETURNING ${SUBSCRIPTION_FIELDS}`,
+    values
+  );
+  return formatSubscription(result.rows[0]);
+}
+
+/**
+ * Remove a subscription with its delivery log
+ */
+async function deleteSubscription(workspaceId, id) {
+  await getSubscription(workspaceId, id);
+  await query('DELETE FROM webhook_subscriptions WHERE id = $1', [id]);
+}
+
+/**
+ * A subscription's deliveries, newest first
+ * @param {string} subscriptionId - Subscription
+ * @param {object} options - { status, event, page, limit }
+ */
+async function listDeliveries(subscriptionId, { status, event, page = 1, limit = 20 } = {}) {
+  const filters = ['subscription_id = $1'];
+  const values = [subscriptionId];
+  if (status) {
+    values.push(status);
+    filters.push(`status = $${values.length}`);
+  }
+  if (event) {
+    values.push(event);
+    filters.push(`event = $${values.length}`);
+  }
+  const whereClause = `WHERE ${filters.join(' AND ')}`;
+
+  const countResult = await query(`SELECT COUNT(*) as count FROM webhook_deliveries ${whereClause}`, values);
+  const total = parseInt(countResult.rows[0].count);
+
+  const result = await query(
+    `SELECT ${DELIVERY_FIELDS} FROM webhook_deliveries ${whereClause}
+     ORDER BY created_at DESC
+     LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+    [...values, limit, (page - 1) * limit]
+  );
+
+  return {
+    deliveries: result.rows.map(formatDelivery),
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+}
+
+/**
+ * One delivery of a subscription
+ */
+async function getDelivery(subscriptionId, deliveryId) {
+  const result = await query(
+    `SELECT ${DELIVERY_FIELDS} FROM webhook_deliveries WHERE id = $1 AND subscription_id = $2`,
+    [deliveryId, subscriptionId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Webhook delivery');
+  }
+  return formatDelivery(result.rows[0]);
+}
+
+/**
+ * Claim a due delivery so no other attempt sends it at the same time
+ * The claim lasts until the attempt would have timed out twice over.
+ * @returns {Promise<object|null>} The delivery with its subscription's URL and secret
+ */
+async function claimDelivery(deliveryId) {
+  const claimed = await query(
+    `UPDATE webhook_deliveries SET next_attempt_at = $2
+     WHERE id = $1 AND status = $3 AND next_attempt_at <= NOW()
+     RETURNING id`,
+    [deliveryId, new Date(Date.now() + config.webhooks.timeout_ms * 2), DELIVERY_STATUS.PENDING]
+  );
+  if (claimed.rows.length === 0) {
+    return null;
+  }
+
+  const result = await query(
+    `SELECT d.id, d.event, d.payload, d.attempts, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.id = $1`,
+    [deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+// POST a body to a receiver, resolving with its status code. Redirects are
+// not followed, and unless the host is allowed the connection is refused
+// when it resolves to a private address.
+function post(url, headers, body) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: allowedHosts().includes(hostOf(target)) ? undefined : publicLookup,
+      signal: AbortSignal.timeout(config.webhooks.timeout_ms)
+    }, (res) => {
+      // Only the status is kept; drain the body without reading it
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+      res.on('error', reject);
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+// POST a delivery to its receiver, returning the status and how long it took
+async function send(delivery) {
+  const payload = parseJson(delivery.payload);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    // Checked on every attempt: the URL may have been subscribed before the
+    // check existed, and an IP in the URL is never looked up
+    await assertReceiverUrl(delivery.url);
+
+    const status = await post(delivery.url, {
+      'Content-Type': 'application/json',
+      'User-Agent': 'Influencerium-Webhooks/1.0',
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': sign(delivery.secret, timestamp, body)
+    }, body);
+    return { status, timeMs: Date.now() - started, error: null };
+  } catch (error) {
+    return { status: null, timeMs: null, error: error.message };
+  }
+}
+
+/**
+ * Make one attempt at a delivery if it is due, then record the outcome:
+ * delivered, scheduled for a retry, or failed for good
+ * @returns {Promise<object|null>} The updated delivery, or null when it was not due
+ */
+async function attemptDelivery(deliveryId) {
+  const delivery = await claimDelivery(deliveryId);
+  if (!delivery) {
+    return null;
+  }
+
+  const outcome = await send(delivery);
+  const attempts = delivery.attempts + 1;
+  const delivered = outcome.status >= 200 && outcome.status < 300;
+  const error = delivered ? null : (outcome.error || `Receiver responded with HTTP ${outcome.status}`);
+
+  let status = DELIVERY_STATUS.PENDING;
+  let nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+  if (delivered) {
+    status = DELIVERY_STATUS.SUCCEEDED;
+    nextAttemptAt = null;
+  } else if (attempts >= config.webhooks.max_attempts) {
+    status = DELIVERY_STATUS.FAILED;
+    nextAttemptAt = null;
+  }
+
+  const result = await query(
+    `UPDATE webhook_deliveries
+     SET status = $2, attempts = $3, next_attempt_at = $4, last_attempt_at = NOW(),
+         response_status = $5, response_time_ms = $6, error = $7,
+         delivered_at = ${delivered ? 'NOW()' : 'NULL'}
+     WHERE id = $1
+     RETURNING ${DELIVERY_FIELDS}`,
+    [deliveryId, status, attempts, nextAttemptAt, outcome.status, outcome.timeMs, error]
+  );
+  return formatDelivery(result.rows[0]);
+}
+
+// Attempt deliveries one after another, logging rather than throwing
+async function attemptAll(deliveryIds) {
+  for (const id of deliveryIds) {
+    try {
+      await attemptDelivery(id);
+    } catch (error) {
+      console.error(`Webhook delivery ${id} failed:`, error.message);
+    }
+  }
+}
+
+// Queue a delivery of a payload to a subscription, due at once
+async function createDelivery(subscriptionId, event, payload, redeliveryOf = null) {
+  const result = await query(
+    `INSERT INTO webhook_deliveries (subscription_id, event, payload, status, next_attempt_at, redelivery_of, created_at)
+     VALUES ($1, $2, $3, $4, NOW(), $5, NOW())
+     RETURNING id`,
+    [subscriptionId, event, JSON.stringify(payload), DELIVERY_STATUS.PENDING, redeliveryOf]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Send an event to every active subscription of the workspace that wants it
+ * Call after the change is committed. Deliveries are queued before this
+ * returns and attempted in the background; a webhook problem never fails
+ * the change that caused it.
+ * @param {string} event - One of EVENTS
+ * @param {object} options - { workspaceId, data }
+ * @returns {Promise<string[]>} IDs of the queued deliveries
+ */
+async function emit(event, { workspaceId, data }) {
+  if (!workspaceId) {
+    return [];
+  }
+
+  try {
+    const result = await query(
+      'SELECT id, events FROM webhook_subscriptions WHERE workspace_id = $1 AND is_active = TRUE',
+      [workspaceId]
+    );
+    const subscribed = result.rows.filter(subscription => {
+      const events = parseJson(subscription.events) || [];
+      return events.includes(event) || events.includes(ALL_EVENTS);
+    });
+
+    const deliveryIds = [];
+    for (const subscription of subscribed) {
+      const id = crypto.randomUUID();
+      const payload = { id, event, workspace_id: workspaceId, created_at: new Date().toISOString(), data };
+      deliveryIds.push(await createDelivery(subscription.id, event, payload));
+    }
+
+    if (deliveryIds.length > 0) {
+      setImmediate(() => attemptAll(deliveryIds));
+    }
+    return deliveryIds;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${event}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Send a delivery's payload again, as a new delivery attempted straight away
+ * The payload keeps its event ID so receivers can recognise a repeat.
+ * @returns {Promise<object>} The new delivery after its first attempt
+ */
+async function redeliver(subscriptionId, deliveryId) {
+  const original = await getDelivery(subscriptionId, deliveryId);
+  const id = await createDelivery(subscriptionId, original.event, original.payload, original.id);
+  return (await attemptDelivery(id)) || getDelivery(subscriptionId, id);
+}
+
+/**
+ * Attempt every delivery whose retry is due
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function processDueDeliveries() {
+  const due = await query(
+    `SELECT id FROM webhook_deliveries
+     WHERE status = $1 AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at ASC`,
+    [DELIVERY_STATUS.PENDING]
+  );
+  await attemptAll(due.rows.map(row => row.id));
+  return due.rows.length;
+}
+
+module.exports = {
+  EVENTS,
+  ALL_EVENTS,
+  DELIVERY_STATUS,
+  sign,
+  retryDelay,
+  listSubscriptions,
+  getSubscription,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  listDeliveries,
+  getDelivery,
+  attemptDelivery,
+  emit,
+  redeliver,
+  processDueDeliveries
+};
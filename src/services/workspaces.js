@@ -0,0 +1,528 @@
+/**
+ * Workspace Service
+ * Workspaces (organizations) group influencers, campaigns and data models.
+ * Users join them as members with a workspace role, directly or through an
+ * emailed invitation, and work in one active workspace at a time.
+ * Invitation emails are queued with the invitation ID only; the token the
+ * invitee accepts with is created when the email is sent.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { query, transaction } = require('../database');
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+const { ROLES, WORKSPACE_ROLES, WORKSPACE_ROLE_HIERARCHY } = require('../middleware/rbac');
+const { NotFoundError, ValidationError, AuthorizationError, ConflictError } = require('../middleware/error');
+
+// Workspace that records created before workspaces existed were moved into
+const DEFAULT_WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
+// Tables whose records belong to a workspace, by share resource type
+const WORKSPACE_TABLES = {
+  influencer: 'influencers',
+  campaign: 'campaigns',
+  model: 'data_models'
+};
+
+// Request header that selects the active workspace
+const WORKSPACE_HEADER = 'x-workspace-id';
+
+// Job that creates an invitation's token and emails it (see services/jobs.js)
+const INVITATION_EMAIL_JOB = 'email.workspace_invitation';
+
+const workspaceIdSchema = Joi.string().uuid();
+
+function isPlatformAdmin(user) {
+  return user.role === ROLES.ADMIN || user.role === ROLES.SUPER_ADMIN;
+}
+
+/**
+ * Hash an invitation token for storage
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Turn a workspace name into a URL-friendly slug
+ */
+function slugify(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80);
+  return slug || 'workspace';
+}
+
+/**
+ * The user's membership of a workspace
+ * Admins may enter any workspace; without a membership they have no
+ * workspace role and keep their global permissions.
+ * @returns {Promise<object|null>} { id, role }
+ */
+async function findMembership(user, workspaceId) {
+  const result = await query(
+    'SELECT workspace_id as id, role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, user.id]
+  );
+  if (result.rows.length > 0) {
+    return result.rows[0];
+  }
+
+  if (isPlatformAdmin(user)) {
+    const workspace = await query('SELECT id FROM workspaces WHERE id = $1', [workspaceId]);
+    if (workspace.rows.length > 0) {
+      return { id: workspace.rows[0].id, role: null };
+    }
+  }
+  return null;
+}
+
+/**
+ * Work out the active workspace for a request
+ * The X-Workspace-Id header wins over the token's workspace claim, and the
+ * workspace the user joined first is used when neither is given. A claim the
+ * user no longer has access to is ignored; a header is not.
+ * @param {object} user - Authenticated user
+ * @param {object} [options] - { requested: header value, claimed: token claim }
+ * @returns {Promise<object|null>} { id, role } or null if the user has no workspace
+ */
+async function resolveWorkspace(user, { requested, claimed } = {}) {
+  if (requested) {
+    if (workspaceIdSchema.validate(requested).error) {
+      throw new ValidationError('X-Workspace-Id must be a valid workspace ID');
+    }
+    const membership = await findMembership(user, requested);
+    if (!membership) {
+      throw new AuthorizationError('You are not a member of this workspace');
+    }
+    return membership;
+  }
+
+  if (claimed && !workspaceIdSchema.validate(claimed).error) {
+    const membership = await findMembership(user, claimed);
+    if (membership) {
+      return membership;
+    }
+  }
+
+  const result = await query(
+    `SELECT workspace_id as id, role FROM workspace_members
+     WHERE user_id = $1
+     ORDER BY joined_at ASC, workspace_id ASC
+     LIMIT 1`,
+    [user.id]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * The ID of the user's active workspace
+ * @throws {ValidationError} When the user has not selected a workspace
+ */
+function activeWorkspaceId(user) {
+  if (!user.workspace_id) {
+    throw new ValidationError('No workspace selected. Join a workspace or send the X-Workspace-Id header');
+  }
+  return user.workspace_id;
+}
+
+/**
+ * Throw unless the user holds at least `minimumRole` in the workspace
+ * Admins pass in every workspace.
+ * @returns {Promise<object>} The workspace
+ */
+async function assertWorkspaceRole(user, workspaceId, minimumRole) {
+  const workspace = await getWorkspace(user, workspaceId);
+  if (isPlatformAdmin(user)) {
+    return workspace;
+  }
+  if ((WORKSPACE_ROLE_HIERARCHY[workspace.role] || 0) < WORKSPACE_ROLE_HIERARCHY[minimumRole]) {
+    throw new AuthorizationError(`Access denied. Workspace role required: ${minimumRole}`);
+  }
+  return workspace;
+}
+
+/**
+ * Throw unless the user may give a member the role
+ * Only owners (and admins) hand out ownership.
+ * @param {object} workspace - Workspace with the user's role in it
+ */
+function assertCanAssignRole(user, workspace, role) {
+  if (role === WORKSPACE_ROLES.OWNER && workspace.role !== WORKSPACE_ROLES.OWNER && !isPlatformAdmin(user)) {
+    throw new AuthorizationError('Only owners can make someone an owner');
+  }
+}
+
+/**
+ * Workspaces the user is a member of, with their role in each
+ */
+async function listWorkspaces(userId) {
+  const result = await query(
+    `SELECT w.id, w.name, w.slug, w.created_by, w.created_at, w.updated_at, wm.role, wm.joined_at
+     FROM workspace_members wm
+     JOIN workspaces w ON w.id = wm.workspace_id
+     WHERE wm.user_id = $1
+     ORDER BY wm.joined_at ASC, w.name ASC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Load a workspace the user may enter, with their role in it
+ * Workspaces the user is not a member of are reported as not found.
+ */
+async function getWorkspace(user, workspaceId) {
+  const membership = workspaceIdSchema.validate(workspaceId).error ? null : await findMembership(user, workspaceId);
+  if (!membership) {
+    throw new NotFoundError('Workspace');
+  }
+
+  const result = await query(
+    'SELECT id, name, slug, created_by, created_at, updated_at FROM workspaces WHERE id = $1',
+    [workspaceId]
+  );
+  return { ...result.rows[0], role: membership.role };
+}
+
+/**
+ * Create a workspace with the user as its owner
+ * @param {object} db - Client or { query }
+ * @returns {Promise<object>} The workspace
+ */
+async function createWorkspace(db, { name, userId }) {
+  const base = slugify(name);
+  let slug = base;
+  while ((await db.query('SELECT id FROM workspaces WHERE slug = $1', [slug])).rows.length > 0) {
+    slug = `${base}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  const result = await db.query(
+    `INSERT INTO workspaces (name, slug, created_by, created_at, updated_at)
+     VALUES ($1, $2, $3, NOW(), NOW())
+     RETURNING id, name, slug, created_by, created_at, updated_at`,
+    [name, slug, userId]
+  );
+  const workspace = result.rows[0];
+
+  await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role, joined_at)
+     VALUES ($1, $2, $3, NOW())`,
+    [workspace.id, userId, WORKSPACE_ROLES.OWNER]
+  );
+
+  return { ...workspace, role: WORKSPACE_ROLES.OWNER };
+}
+
+/**
+ * Rename a workspace
+ */
+async function updateWorkspace(workspaceId, { name }) {
+  const result = await query(
+    `UPDATE workspaces SET name = $1, updated_at = NOW() WHERE id = $2
+     RETURNING id, name, slug, created_by, created_at, updated_at`,
+    [name, workspaceId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Delete a workspace with its members, invitations and records
+ */
+async function deleteWorkspace(workspaceId) {
+  await transaction(async (client) => {
+    for (const [type, table] of Object.entries(WORKSPACE_TABLES)) {
+      await client.query(
+        `DELETE FROM record_shares
+         WHERE resource_type = $1 AND resource_id IN (SELECT id FROM ${table} WHERE workspace_id = $2)`,
+        [type, workspaceId]
+      );
+    }
+    await client.query('DELETE FROM workspaces WHERE id = $1', [workspaceId]);
+  });
+}
+
+/**
+ * Members of a workspace
+ */
+async function listMembers(workspaceId) {
+  const result = await query(
+    `SELECT wm.user_id, u.name, u.email, u.role as user_role, wm.role, wm.joined_at
+     FROM workspace_members wm
+     JOIN users u ON u.id = wm.user_id
+     WHERE wm.workspace_id = $1
+     ORDER BY wm.joined_at ASC, u.name ASC`,
+    [workspaceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Whether a user is a member of a workspace
+ */
+async function isMember(workspaceId, userId) {
+  const result = await query(
+    'SELECT 1 FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Add an existing user to a workspace
+ * @param {object} db - Client or { query }
+ * @returns {Promise<object>} The membership
+ */
+async function addMember(db, workspaceId, userId, role) {
+  const user = await db.query('SELECT id FROM users WHERE id = $1', [userId]);
+  if (user.rows.length === 0) {
+    throw new NotFoundError('User');
+  }
+
+  const result = await db.query(
+    `INSERT INTO workspace_members (workspace_id, user_id, role, joined_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (workspace_id, user_id) DO NOTHING
+     RETURNING workspace_id, user_id, role, joined_at`,
+    [workspaceId, userId, role]
+  );
+  if (result.rows.length === 0) {
+    throw new ConflictError('User is already a member of this workspace');
+  }
+  return result.rows[0];
+}
+
+// Load a membership, and check the workspace keeps an owner without it
+async function findMemberForChange(db, workspaceId, userId, newRole) {
+  const result = await db.query(
+    'SELECT user_id, role FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+    [workspaceId, userId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Member');
+  }
+
+  const member = result.rows[0];
+  if (member.role === WORKSPACE_ROLES.OWNER && newRole !== WORKSPACE_ROLES.OWNER) {
+    const owners = await db.query(
+      'SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = $1 AND role = $2',
+      [workspaceId, WORKSPACE_ROLES.OWNER]
+    );
+    if (parseInt(owners.rows[0].count) <= 1) {
+      throw new ConflictError('A workspace must keep at least one owner');
+    }
+  }
+  return member;
+}
+
+/**
+ * Change a member's workspace role
+ * @param {object} user - User making the change
+ * @param {object} workspace - Workspace with that user's role in it
+ */
+async function changeMemberRole(user, workspace, userId, role) {
+  return transaction(async (client) => {
+    const member = await findMemberForChange(client, workspace.id, userId, role);
+    assertCanAssignRole(user, workspace, member.role);
+    assertCanAssignRole(user, workspace, role);
+
+    const result = await client.query(
+      `UPDATE workspace_members SET role = $1 WHERE workspace_id = $2 AND user_id = $3
+       RETURNING workspace_id, user_id, role, joined_at`,
+      [role, workspace.id, userId]
+    );
+    return result.rows[0];
+  });
+}
+
+/**
+ * Remove a member from a workspace, or let a user leave it
+ * Shares of the workspace's records with the member are removed too.
+ * @param {object} user - User making the change
+ * @param {object} workspace - Workspace with that user's role in it
+ */
+async function removeMember(user, workspace, userId) {
+  const workspaceId = workspace.id;
+  await transaction(async (client) => {
+    const member = await findMemberForChange(client, workspaceId, userId, null);
+    if (userId !== user.id) {
+      assertCanAssignRole(user, workspace, member.role);
+    }
+
+    await client.query(
+      'DELETE FROM workspace_members WHERE workspace_id = $1 AND user_id = $2',
+      [workspaceId, userId]
+    );
+    for (const [type, table] of Object.entries(WORKSPACE_TABLES)) {
+      await client.query(
+        `DELETE FROM record_shares
+         WHERE user_id = $1 AND resource_type = $2
+           AND resource_id IN (SELECT id FROM ${table} WHERE workspace_id = $3)`,
+        [userId, type, workspaceId]
+      );
+    }
+  });
+}
+
+/**
+ * Invite someone to a workspace by email and queue the invitation email
+ * Any earlier open invitation for the same address is replaced.
+ * @returns {Promise<object>} The invitation
+ */
+async function createInvitation(workspaceId, { email, role, invitedBy }) {
+  const normalized = email.toLowerCase();
+
+  const existing = await query(
+    `SELECT 1 FROM workspace_members wm
+     JOIN users u ON u.id = wm.user_id
+     WHERE wm.workspace_id = $1 AND u.email = $2`,
+    [workspaceId, normalized]
+  );
+  if (existing.rows.length > 0) {
+    throw new ConflictError('User is already a member of this workspace');
+  }
+
+  // A placeholder nobody holds; the invitation email replaces it
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresIn = (config.workspaces && config.workspaces.invitation_expires_in) || 604800;
+  const expiresAt = new Date(Date.now() + expiresIn * 1000);
+
+  const invitation = await transaction(async (client) => {
+    await client.query(
+      'DELETE FROM workspace_invitations WHERE workspace_id = $1 AND email = $2 AND accepted_at IS NULL',
+      [workspaceId, normalized]
+    );
+
+    const result = await client.query(
+      `INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       RETURNING id, workspace_id, email, role, invited_by, expires_at, accepted_at, created_at`,
+      [workspaceId, normalized, role, hashToken(token), invitedBy, expiresAt]
+    );
+    return result.rows[0];
+  });
+
+  await jobQueue.enqueue(INVITATION_EMAIL_JOB, { invitation_id: invitation.id });
+  return invitation;
+}
+
+/**
+ * Create the token for a queued invitation email, replacing any earlier one
+ * @param {object} data - { invitation_id } as queued
+ * @returns {Promise<object|null>} Options for emailService.sendWorkspaceInvitationEmail,
+ *   or null when the invitation was accepted, withdrawn or has expired
+ */
+async function prepareInvitationEmail({ invitation_id: invitationId }) {
+  const result = await query(
+    `SELECT wi.id, wi.email, wi.role, wi.expires_at, w.name as workspace_name, u.name as invited_by_name
+     FROM workspace_invitations wi
+     JOIN workspaces w ON w.id = wi.workspace_id
+     LEFT JOIN users u ON u.id = wi.invited_by
+     WHERE wi.id = $1 AND wi.accepted_at IS NULL AND wi.expires_at > NOW()`,
+    [invitationId]
+  );
+  const invitation = result.rows[0];
+  if (!invitation) {
+    return null;
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await query('UPDATE workspace_invitations SET token_hash = $2 WHERE id = $1', [invitation.id, hashToken(token)]);
+
+  return {
+    to: invitation.email,
+    inviterName: invitation.invited_by_name,
+    workspaceName: invitation.workspace_name,
+    role: invitation.role,
+    inviteToken: token,
+    expiresAt: invitation.expires_at
+  };
+}
+
+/**
+ * Open invitations of a workspace
+ */
+async function listInvitations(workspaceId) {
+  const result = await query(
+    `SELECT wi.id, wi.email, wi.role, wi.invited_by, u.name as invited_by_name, wi.expires_at, wi.created_at
+     FROM workspace_invitations wi
+     LEFT JOIN users u ON u.id = wi.invited_by
+     WHERE wi.workspace_id = $1 AND wi.accepted_at IS NULL AND wi.expires_at > NOW()
+     ORDER BY wi.created_at DESC`,
+    [workspaceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Withdraw an open invitation
+ */
+async function revokeInvitation(workspaceId, invitationId) {
+  const result = await query(
+    `DELETE FROM workspace_invitations
+     WHERE id = $1 AND workspace_id = $2 AND accepted_at IS NULL
+     RETURNING id`,
+    [invitationId, workspaceId]
+  );
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Invitation');
+  }
+}
+
+/**
+ * Accept an invitation as the signed-in user
+ * The invitation must be addressed to the user's email.
+ * @returns {Promise<object>} The workspace joined, with the user's role
+ */
+async function acceptInvitation(token, user) {
+  return transaction(async (client) => {
+    const result = await client.query(
+      `SELECT wi.id, wi.workspace_id, wi.email, wi.role, wi.expires_at, wi.accepted_at, w.name, w.slug
+       FROM workspace_invitations wi
+       JOIN workspaces w ON w.id = wi.workspace_id
+       WHERE wi.token_hash = $1`,
+      [hashToken(token)]
+    );
+
+    const invitation = result.rows[0];
+    if (!invitation || invitation.accepted_at || new Date(invitation.expires_at) <= new Date()) {
+      throw new ValidationError('Invalid or expired invitation');
+    }
+    if (invitation.email !== user.email.toLowerCase()) {
+      throw new AuthorizationError('This invitation was sent to a different email address');
+    }
+
+    await addMember(client, invitation.workspace_id, user.id, invitation.role);
+    await client.query(
+      'UPDATE workspace_invitations SET accepted_at = NOW() WHERE id = $1',
+      [invitation.id]
+    );
+
+    return { id: invitation.workspace_id, name: invitation.name, slug: invitation.slug, role: invitation.role };
+  });
+}
+
+module.exports = {
+  DEFAULT_WORKSPACE_ID,
+  WORKSPACE_HEADER,
+  INVITATION_EMAIL_JOB,
+  slugify,
+  resolveWorkspace,
+  activeWorkspaceId,
+  assertWorkspaceRole,
+  assertCanAssignRole,
+  listWorkspaces,
+  getWorkspace,
+  createWorkspace,
+  updateWorkspace,
+  deleteWorkspace,
+  listMembers,
+  isMember,
+  addMember,
+  changeMemberRole,
+  removeMember,
+  createInvitation,
+  prepareInvitationEmail,
+  listInvitations,
+  revokeInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,122 @@
+/**
+ * Cron Utility
+ * Parses standard five-field cron expressions (minute hour day-of-month
+ * month day-of-week) and finds when they next match. Fields accept *, single
+ * values, ranges (1-5), steps over either (0-30/10) and comma-separated lists.
+ * Times are matched in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+const MINUTE = 60 * 1000;
+
+// Give up looking for a match after this many years (e.g. "0 0 31 2 *")
+const MAX_SEARCH_YEARS = 5;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const step = match[4] ? parseInt(match[4]) : 1;
+    let from = min;
+    let to = max;
+    if (match[2] !== undefined) {
+      from = parseInt(match[2]);
+      to = match[3] !== undefined ? parseInt(match[3]) : (match[4] ? max : from);
+    }
+    if (from < min || to > max || from > to || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 * * * *" for the top of every hour
+ * @returns {object} Allowed values of each field
+ * @throws {Error} When the expression is malformed
+ */
+function parseCron(expression) {
+  const parts = String(expression).trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`Invalid cron expression "${expression}": expected ${FIELDS.length} fields`);
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // Sunday is both 0 and 7
+  if (weekdays.has(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Like cron, a restricted day of month or day of week matches either
+    anyDay: parts[2] === '*',
+    anyWeekday: parts[4] === '*'
+  };
+}
+
+function dayMatches(schedule, date) {
+  const dayOfMonth = schedule.days.has(date.getUTCDate());
+  const dayOfWeek = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.anyDay || schedule.anyWeekday) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * The first time after `from` that a cron expression matches
+ * @param {string|object} expression - Expression, or the result of parseCron
+ * @param {Date} [from] - Defaults to now
+ * @returns {Date|null} Null when it never matches within a few years
+ */
+function nextCronRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(Math.floor(from.getTime() / MINUTE) * MINUTE + MINUTE);
+  const limit = from.getTime() + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE;
+
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronRun
+};
@@ -0,0 +1,135 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and formatting (quoted fields, escaped quotes, CRLF line endings)
+ */
+
+/**
+ * Split CSV text into rows of raw string fields
+ * @param {string} text - CSV content
+ * @param {string} [delimiter=','] - Field delimiter
+ * @returns {Array<{ line: number, fields: string[] }>} Rows with their starting line number
+ */
+function parseRows(text, delimiter = ',') {
+  const rows = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    fields.push(field);
+    // Skip blank lines
+    if (fields.length > 1 || fields[0] !== '') {
+      rows.push({ line: rowLine, fields });
+    }
+    fields = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || fields.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV content
+ * @param {object} [options] - { delimiter }
+ * @returns {Array<{ line: number, record: object }>} One entry per data row
+ */
+function parseCsv(text, options = {}) {
+  const rows = parseRows(text, options.delimiter || ',');
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const headers = rows[0].fields.map(header => header.trim());
+  if (headers.some(header => header === '')) {
+    throw new Error('CSV header contains an empty column name');
+  }
+
+  return rows.slice(1).map(({ line, fields }) => {
+    const record = {};
+    headers.forEach((header, i) => {
+      record[header] = fields[i] !== undefined ? fields[i] : '';
+    });
+    return { line, record };
+  });
+}
+
+/**
+ * Format one value as a CSV field, quoting it when needed
+ * @param {*} value - Cell value (objects are written as JSON, dates as ISO 8601)
+ * @returns {string} Field text
+ */
+function formatCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format values as one CSV record terminated by CRLF
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function formatCsvRow(values) {
+  return `${values.map(formatCsvValue).join(',')}\r\n`;
+}
+
+module.exports = {
+  parseRows,
+  parseCsv,
+  formatCsvValue,
+  formatCsvRow
+};
@@ -0,0 +1,103 @@
+/**
+ * Network Utilities
+ * Tell addresses on the public internet from loopback, private, link-local,
+ * unique-local and other special-purpose ones, so requests to user-supplied
+ * URLs cannot reach the server itself or the network it runs in.
+ */
+
+const dns = require('dns');
+const net = require('net');
+
+// Special-purpose ranges (IPv4-mapped IPv6 addresses are checked against the IPv4 ones)
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],
+  ['240.0.0.0', 4, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [network, prefix, type] of BLOCKED_RANGES) {
+  blockList.addSubnet(network, prefix, type);
+}
+
+/**
+ * Whether an address is anything but a public one
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for special-purpose addresses and for anything that is not an IP
+ */
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  return blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Host of a URL as DNS knows it, without the brackets of an IPv6 literal
+function hostOf(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+/**
+ * Resolve a URL's host and check every address it resolves to is public
+ * @param {string|URL} url
+ * @param {object} [options] - { allowedHosts } that may resolve anywhere
+ * @returns {Promise<void>}
+ * @throws {Error} When the host cannot be resolved or resolves to a private address
+ */
+async function assertPublicHost(url, { allowedHosts = [] } = {}) {
+  const host = hostOf(new URL(url));
+  if (allowedHosts.includes(host)) {
+    return;
+  }
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`${host} could not be resolved`);
+  }
+  if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`${host} resolves to a private address`);
+  }
+}
+
+/**
+ * A dns.lookup replacement for http.request that refuses private addresses,
+ * so a host cannot pass a check and then resolve elsewhere for the request
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    if (addresses.length === 0 || addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = {
+  isPrivateAddress,
+  hostOf,
+  assertPublicHost,
+  publicLookup
+};
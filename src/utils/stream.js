@@ -0,0 +1,49 @@
+/**
+ * Stream Utilities
+ * Backpressure-aware writes to HTTP responses and other writable streams
+ */
+
+/**
+ * Write a chunk, waiting for 'drain' when the stream's buffer is full
+ * Rejects if the stream closes first (e.g. the client disconnected) so
+ * producers stop instead of waiting forever.
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {string|Buffer} chunk - Data to write
+ * @returns {Promise<void>}
+ */
+function writeChunk(output, chunk) {
+  if (output.destroyed) {
+    return Promise.reject(new Error('Output stream closed'));
+  }
+  if (output.write(chunk)) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      output.off('drain', onDrain);
+      output.off('close', onClose);
+      output.off('error', onError);
+    };
+    const onDrain = () => {
+      cleanup();
+      resolve();
+    };
+    const onClose = () => {
+      cleanup();
+      reject(new Error('Output stream closed'));
+    };
+    const onError = (error) => {
+      cleanup();
+      reject(error);
+    };
+
+    output.on('drain', onDrain);
+    output.on('close', onClose);
+    output.on('error', onError);
+  });
+}
+
+module.exports = {
+  writeChunk
+};
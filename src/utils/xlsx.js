@@ -0,0 +1,151 @@
+/**
+ * XLSX Writer
+ * Streams a single-sheet Excel workbook; rows use inline strings so nothing
+ * has to be buffered for a shared string table
+ */
+
+const { ZipWriter } = require('./zip');
+
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PACKAGE_REL_NS = 'http://schemas.openxmlformats.org/package/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// Cell style indexes defined in styles.xml
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+
+// Days between the Excel epoch (1899-12-30) and the Unix epoch
+const EXCEL_EPOCH_OFFSET = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATIC_PARTS = {
+  '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>',
+  '_rels/.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>',
+  'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="${PACKAGE_REL_NS}">` +
+    `<Relationship Id="rId1" Type="${REL_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `<Relationship Id="rId2" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>',
+  'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${MAIN_NS}">` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="3">' +
+    '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+    '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+    '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+    '</cellXfs></styleSheet>'
+};
+
+// Escape text for XML, dropping control characters XML cannot represent
+function escapeXml(text) {
+  return text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Render one cell
+ * @param {string} ref - Cell reference (e.g. B2)
+ * @param {*} value - Cell value
+ * @param {string} [type] - Column type hint: number, date, json or text
+ * @param {number} [style] - Style index for text cells
+ * @returns {string} <c> element, or '' for empty cells
+ */
+function renderCell(ref, value, type, style) {
+  if (value === null || value === undefined || value === '') {
+    return '';
+  }
+
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+
+  if (value instanceof Date || (type === 'date' && !isNaN(Date.parse(value)))) {
+    const serial = new Date(value).getTime() / DAY_MS + EXCEL_EPOCH_OFFSET;
+    return `<c r="${ref}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+  }
+
+  // pg returns DECIMAL and COUNT values as strings
+  if (typeof value === 'number' || (type === 'number' && value !== '' && isFinite(value))) {
+    return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+  }
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  const styleAttr = style ? ` s="${style}"` : '';
+  return `<c r="${ref}"${styleAttr} t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+// Render one <row> element
+function renderRow(rowNumber, values, columns, style) {
+  const cells = values
+    .map((value, i) => renderCell(`${columnName(i)}${rowNumber}`, value, columns[i].type, style))
+    .join('');
+  return `<row r="${rowNumber}">${cells}</row>`;
+}
+
+/**
+ * Stream a workbook with a header row followed by the given rows
+ * @param {import('stream').Writable} output - Destination stream
+ * @param {Array<{ name: string, type?: string }>} columns - Column names and type hints
+ * @param {AsyncIterable<Array<Array>>} batches - Batches of row values
+ * @param {object} [options] - { sheetName }
+ */
+async function writeXlsx(output, columns, batches, options = {}) {
+  // Excel limits sheet names to 31 characters and forbids []:*?/\
+  const sheetName = escapeXml((options.sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').slice(0, 31));
+  const zip = new ZipWriter(output);
+
+  for (const [name, content] of Object.entries(STATIC_PARTS)) {
+    await zip.addEntry(name, [content]);
+  }
+  await zip.addEntry('xl/workbook.xml', [
+    `${XML_HEADER}<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<sheets><sheet name="${sheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+  ]);
+
+  async function* sheet() {
+    yield `${XML_HEADER}<worksheet xmlns="${MAIN_NS}">` +
+      '<sheetViews><sheetView workbookViewId="0">' +
+      '<pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/>' +
+      '</sheetView></sheetViews><sheetData>' +
+      renderRow(1, columns.map(column => column.name), columns.map(() => ({ type: 'text' })), STYLE_HEADER);
+
+    let rowNumber = 1;
+    for await (const rows of batches) {
+      yield rows.map(values => renderRow(++rowNumber, values, columns)).join('');
+    }
+
+    yield '</sheetData></worksheet>';
+  }
+
+  await zip.addEntry('xl/worksheets/sheet1.xml', sheet());
+  await zip.finish();
+}
+
+module.exports = {
+  writeXlsx,
+  columnName,
+  escapeXml
+};
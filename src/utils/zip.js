@@ -0,0 +1,141 @@
+/**
+ * ZIP Writer
+ * Streams a deflate-compressed ZIP archive without knowing entry sizes upfront
+ * (sizes and CRCs follow each entry in a data descriptor)
+ */
+
+const zlib = require('zlib');
+const { writeChunk } = require('./stream');
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+// Bit 3: sizes in data descriptor, bit 11: UTF-8 file names
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+const VERSION = 20;
+
+/**
+ * CRC-32 checksum, continuing from a previous value
+ * @param {Buffer} buffer - Data
+ * @param {number} [crc=0] - Checksum of the preceding data
+ * @returns {number} Unsigned checksum
+ */
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS time and date fields used by ZIP headers
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+class ZipWriter {
+  /**
+   * @param {import('stream').Writable} output - Destination stream
+   */
+  constructor(output) {
+    this.output = output;
+    this.offset = 0;
+    this.entries = [];
+  }
+
+  async write(buffer) {
+    this.offset += buffer.length;
+    await writeChunk(this.output, buffer);
+  }
+
+  /**
+   * Add a file, compressing each chunk as it arrives
+   * Chunks are deflated independently with a sync flush, which together with
+   * a final empty block forms one valid deflate stream.
+   * @param {string} name - Path inside the archive
+   * @param {Iterable|AsyncIterable<string|Buffer>} source - File content
+   */
+  async addEntry(name, source) {
+    const fileName = Buffer.from(name, 'utf8');
+    const { time, date } = dosDateTime(new Date());
+    const entry = { fileName, time, date, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+    const header = Buffer.alloc(30);
+    header.writeUInt32LE(0x04034b50, 0);
+    header.writeUInt16LE(VERSION, 4);
+    header.writeUInt16LE(FLAGS, 6);
+    header.writeUInt16LE(DEFLATE, 8);
+    header.writeUInt16LE(time, 10);
+    header.writeUInt16LE(date, 12);
+    header.writeUInt16LE(fileName.length, 26);
+    await this.write(Buffer.concat([header, fileName]));
+
+    for await (const chunk of source) {
+      const data = Buffer.from(chunk);
+      if (data.length === 0) continue;
+
+      entry.crc = crc32(data, entry.crc);
+      entry.size += data.length;
+      const compressed = zlib.deflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+      entry.compressedSize += compressed.length;
+      await this.write(compressed);
+    }
+
+    const last = zlib.deflateRawSync(Buffer.alloc(0));
+    entry.compressedSize += last.length;
+    await this.write(last);
+
+    const descriptor = Buffer.alloc(16);
+    descriptor.writeUInt32LE(0x08074b50, 0);
+    descriptor.writeUInt32LE(entry.crc, 4);
+    descriptor.writeUInt32LE(entry.compressedSize, 8);
+    descriptor.writeUInt32LE(entry.size, 12);
+    await this.write(descriptor);
+
+    this.entries.push(entry);
+  }
+
+  // Write the central directory; the archive is complete afterwards
+  async finish() {
+    const directoryOffset = this.offset;
+
+    for (const entry of this.entries) {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(VERSION, 4);
+      header.writeUInt16LE(VERSION, 6);
+      header.writeUInt16LE(FLAGS, 8);
+      header.writeUInt16LE(DEFLATE, 10);
+      header.writeUInt16LE(entry.time, 12);
+      header.writeUInt16LE(entry.date, 14);
+      header.writeUInt32LE(entry.crc, 16);
+      header.writeUInt32LE(entry.compressedSize, 20);
+      header.writeUInt32LE(entry.size, 24);
+      header.writeUInt16LE(entry.fileName.length, 28);
+      header.writeUInt32LE(entry.offset, 42);
+      await this.write(Buffer.concat([header, entry.fileName]));
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(this.entries.length, 8);
+    end.writeUInt16LE(this.entries.length, 10);
+    end.writeUInt32LE(this.offset - directoryOffset, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await this.write(end);
+  }
+}
+
+module.exports = {
+  ZipWriter,
+  crc32
+};
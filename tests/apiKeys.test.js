@@ -0,0 +1,136 @@
+/**
+ * API Key Tests
+ * Tests for creating, using, scoping and revoking personal API keys
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+
+const WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
+describe('API Keys', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  const withKey = (key, method, path) => request(app)[method](`/api/v1${path}`)
+    .set('X-API-Key', key);
+
+  const createKey = async (token, body) => {
+    const res = await as(token, 'post', '/api-keys').send({ name: 'Integration', ...body });
+    return res.body.data;
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  test('should authenticate with a key limited to its scopes', async () => {
+    const created = await as(userToken, 'post', '/api-keys')
+      .send({ name: 'Reporting sync', scopes: ['influencer:read'], expires_in_days: 30 });
+    expect(created.status).toBe(201);
+    expect(created.body.data.key).toMatch(/^ifk_[0-9a-f]{64}$/);
+    expect(created.body.data).toMatchObject({ name: 'Reporting sync', scopes: ['influencer:read'], last_used_at: null });
+    expect(created.body.data.key_hash).toBeUndefined();
+
+    const { key, id } = created.body.data;
+    const list = await withKey(key, 'get', '/influencers');
+    expect(list.status).toBe(200);
+    expect(list.body.data.influencers).toHaveLength(1);
+
+    const write = await withKey(key, 'post', '/influencers').send({ name: 'Key Creator', platform: 'tiktok' });
+    expect(write.status).toBe(403);
+
+    const stored = await as(userToken, 'get', `/api-keys/${id}`);
+    expect(stored.body.data.last_used_at).not.toBeNull();
+    expect(stored.body.data.key).toBeUndefined();
+  });
+
+  test('should only grant scopes the user holds and keep admin routes behind admin:access', async () => {
+    const notHeld = await as(userToken, 'post', '/api-keys').send({ name: 'Escalate', scopes: ['user:manage'] });
+    expect(notHeld.status).toBe(403);
+
+    const readOnly = await createKey(adminToken, { scopes: ['influencer:read'] });
+    const denied = await withKey(readOnly.key, 'get', '/users');
+    expect(denied.status).toBe(403);
+
+    const adminKey = await createKey(adminToken, { scopes: ['admin:access', 'user:manage'] });
+    const allowed = await withKey(adminKey.key, 'get', '/users');
+    expect(allowed.status).toBe(200);
+
+    const manage = await withKey(adminKey.key, 'get', '/api-keys');
+    expect(manage.status).toBe(403);
+  });
+
+  test('should keep keys away from account, session and workspace management', async () => {
+    const { key } = await createKey(userToken, { scopes: ['influencer:read'] });
+
+    const attempts = [
+      ['put', '/users/profile', { email: 'taken-over@example.com' }],
+      ['put', '/users/password', { currentPassword: 'password123', newPassword: 'newpassword1', confirmNewPassword: 'newpassword1' }],
+      ['delete', '/users/account', { password: 'password123' }],
+      ['get', '/auth/sessions'],
+      ['delete', '/auth/sessions/all'],
+      ['post', '/auth/2fa/setup'],
+      ['post', '/workspaces', { name: 'Key Workspace' }],
+      ['delete', `/workspaces/${WORKSPACE_ID}`],
+      ['post', `/workspaces/${WORKSPACE_ID}/invitations`, { email: 'friend@example.com', role: 'member' }],
+      ['post', `/workspaces/${WORKSPACE_ID}/webhooks`, { url: 'https://example.com/hook', events: ['*'] }]
+    ];
+    for (const [method, path, body] of attempts) {
+      const res = await withKey(key, method, path).send(body);
+      expect([path, res.status]).toEqual([path, 403]);
+      expect(res.body.error.message).toBe('API keys cannot be used for this action; sign in instead');
+    }
+
+    const profile = await as(userToken, 'get', '/users/profile');
+    expect(profile.body.data.email).toBe('user@example.com');
+    const sessions = await as(userToken, 'get', '/auth/sessions');
+    expect(sessions.status).toBe(200);
+  });
+
+  test('should reject revoked, expired and unknown keys', async () => {
+    const revokedKey = await createKey(userToken, { scopes: ['influencer:read'] });
+    const revoked = await as(userToken, 'delete', `/api-keys/${revokedKey.id}`);
+    expect(revoked.status).toBe(200);
+    expect(revoked.body.data.revoked_at).not.toBeNull();
+
+    const afterRevoke = await withKey(revokedKey.key, 'get', '/influencers');
+    expect(afterRevoke.status).toBe(401);
+    expect(afterRevoke.body.error.message).toBe('API key has been revoked');
+
+    const expiredKey = await createKey(userToken, { scopes: ['influencer:read'] });
+    await database.query("UPDATE api_keys SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1", [expiredKey.id]);
+    const expired = await withKey(expiredKey.key, 'get', '/influencers');
+    expect(expired.body.error.message).toBe('API key has expired');
+
+    const unknown = await withKey('ifk_not-a-real-key', 'get', '/influencers');
+    expect(unknown.status).toBe(401);
+
+    // Other users cannot see or revoke the key
+    const foreign = await as(adminToken, 'delete', `/api-keys/${expiredKey.id}`);
+    expect(foreign.status).toBe(404);
+  });
+
+  test('should keep a workspace key inside its workspace', async () => {
+    const brand = await as(adminToken, 'post', '/workspaces').send({ name: 'Brand B' });
+    const brandId = brand.body.data.id;
+    const brandKey = await createKey(adminToken, { scopes: ['influencer:read'], workspace_id: brandId });
+
+    const list = await withKey(brandKey.key, 'get', '/influencers');
+    expect(list.body.data.influencers).toHaveLength(0);
+
+    const other = await withKey(brandKey.key, 'get', '/influencers').set('X-Workspace-Id', WORKSPACE_ID);
+    expect(other.status).toBe(403);
+
+    const notMember = await as(userToken, 'post', '/api-keys')
+      .send({ name: 'Elsewhere', scopes: ['influencer:read'], workspace_id: brandId });
+    expect(notMember.status).toBe(404);
+  });
+});
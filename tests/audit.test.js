@@ -0,0 +1,135 @@
+/**
+ * Audit Log Tests
+ * Tests for recording changes with their actor and diff, the admin query
+ * filters and the CSV export
+ */
+
+const database = require('../src/database');
+const audit = require('../src/services/audit');
+
+const ADMIN_ID = '00000000-0000-4000-8000-000000000001';
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+
+describe('Audit Log', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  test('should record who changed which fields with before and after values', async () => {
+    const before = await as(userToken, 'get', `/influencers/${INFLUENCER_ID}`);
+    const updated = await as(userToken, 'put', `/influencers/${INFLUENCER_ID}`)
+      .set('User-Agent', 'audit-test')
+      .send({ followers: 123456 });
+    expect(updated.status).toBe(200);
+
+    const res = await as(adminToken, 'get', `/audit?resource_type=influencer&resource_id=${INFLUENCER_ID}`);
+    expect(res.status).toBe(200);
+    expect(res.body.data.entries).toHaveLength(1);
+
+    const entry = res.body.data.entries[0];
+    expect(entry).toMatchObject({
+      action: 'update',
+      resource_type: 'influencer',
+      actor_id: USER_ID,
+      actor_email: 'user@example.com',
+      user_agent: 'audit-test'
+    });
+    expect(entry.ip_address).toBeTruthy();
+    expect(entry.changes).toEqual({
+      followers: { before: before.body.data.followers, after: 123456 }
+    });
+  });
+
+  test('should record deletes and skip updates that change nothing', async () => {
+    const deleted = await as(adminToken, 'delete', `/campaigns/${CAMPAIGN_ID}`);
+    expect(deleted.status).toBe(200);
+
+    const entries = await as(adminToken, 'get', `/audit?resource_type=campaign&action=delete`);
+    expect(entries.body.data.entries).toHaveLength(1);
+    expect(entries.body.data.entries[0].changes.name.after).toBeNull();
+    expect(entries.body.data.entries[0].changes.name.before).toBeTruthy();
+
+    const current = await as(userToken, 'get', `/influencers/${INFLUENCER_ID}`);
+    await as(userToken, 'put', `/influencers/${INFLUENCER_ID}`).send({ name: current.body.data.name });
+    const unchanged = await as(adminToken, 'get', '/audit?resource_type=influencer');
+    expect(unchanged.body.data.entries).toHaveLength(0);
+  });
+
+  test('should filter by actor and date range', async () => {
+    await as(userToken, 'put', `/influencers/${INFLUENCER_ID}`).send({ engagement_rate: 7.5 });
+    await as(adminToken, 'post', '/influencers').send({ name: 'Admin Creator', username: 'admincreator', platform: 'tiktok' });
+
+    const byAdmin = await as(adminToken, 'get', `/audit?actor_id=${ADMIN_ID}`);
+    expect(byAdmin.body.data.entries.map(entry => entry.action)).toEqual(['create']);
+
+    const past = await as(adminToken, 'get', '/audit?to=2000-01-01T00:00:00Z');
+    expect(past.body.data.pagination.total).toBe(0);
+
+    const recent = await as(adminToken, 'get', `/audit?from=${new Date(Date.now() - 60000).toISOString()}`);
+    expect(recent.body.data.pagination.total).toBe(2);
+
+    const reversed = await as(adminToken, 'get', '/audit?from=2030-01-01&to=2020-01-01');
+    expect(reversed.status).toBe(400);
+  });
+
+  test('should redact secrets and record user changes', async () => {
+    const changed = await as(userToken, 'put', '/users/password')
+      .send({ currentPassword: 'password123', newPassword: 'newpassword123', confirmNewPassword: 'newpassword123' });
+    expect(changed.status).toBe(200);
+
+    await as(adminToken, 'put', `/users/${USER_ID}/role`).send({ role: 'moderator' });
+
+    const res = await as(adminToken, 'get', `/audit?resource_type=user&resource_id=${USER_ID}`);
+    const [roleChange, passwordChange] = res.body.data.entries;
+    expect(passwordChange.changes).toEqual({ password: { before: '[REDACTED]', after: '[REDACTED]' } });
+    expect(roleChange.changes).toEqual({ role: { before: 'user', after: 'moderator' } });
+    expect(JSON.stringify(res.body)).not.toContain('newpassword123');
+  });
+
+  test('should export matching entries as CSV', async () => {
+    await as(userToken, 'put', `/influencers/${INFLUENCER_ID}`).send({ followers: 42 });
+
+    const res = await as(adminToken, 'get', '/audit/export?resource_type=influencer');
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/csv/);
+    expect(res.headers['content-disposition']).toMatch(/attachment; filename="audit_log_\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const lines = res.text.trim().split(/\r?\n/);
+    expect(lines[0]).toBe('created_at,action,resource_type,resource_id,workspace_id,actor_id,actor_email,api_key_id,ip_address,user_agent,changes');
+    expect(lines).toHaveLength(2);
+    expect(lines[1]).toContain(INFLUENCER_ID);
+    expect(lines[1]).toContain('user@example.com');
+  });
+
+  test('should report a failed export to the error handler and cut the download short', async () => {
+    jest.spyOn(audit, 'writeCsv').mockImplementation(async (filters, output) => {
+      output.write('created_at,action\n');
+      throw new Error('connection lost');
+    });
+
+    const res = await as(adminToken, 'get', '/audit/export').catch(error => error);
+    audit.writeCsv.mockRestore();
+
+    expect(res.message).toMatch(/aborted|socket hang up/);
+    expect(console.error).toHaveBeenCalledWith('Error:', expect.objectContaining({ message: 'connection lost', path: '/api/v1/audit/export' }));
+  });
+
+  test('should be limited to admins', async () => {
+    const list = await as(userToken, 'get', '/audit');
+    expect(list.status).toBe(403);
+
+    const exported = await as(userToken, 'get', '/audit/export');
+    expect(exported.status).toBe(403);
+  });
+});
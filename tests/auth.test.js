@@ -22,7 +22,7 @@ jest.mock('../src/config', () => ({
 }));
 
 // Import modules under test
-const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../src/middleware/auth');
+const { generateToken } = require('../src/middleware/auth');
 const config = require('../src/config');
 
 describe('Authentication Module', () => {
@@ -60,46 +60,20 @@ describe('Authentication Module', () => {
     });
   });
 
-  describe('Refresh Token Generation', () => {
-    test('should generate a valid refresh token', () => {
-      const refreshToken = generateRefreshToken(mockUser);
-
-      expect(refreshToken).toBeDefined();
-      expect(typeof refreshToken).toBe('string');
-      expect(refreshToken.split('.')).toHaveLength(3);
-    });
-
-    test('should include type=refresh in payload', () => {
-      const refreshToken = generateRefreshToken(mockUser);
-      const decoded = jwt.verify(refreshToken, config.jwt.secret);
-
-      expect(decoded.type).toBe('refresh');
-      expect(decoded.userId).toBe(mockUser.id);
-    });
-  });
-
-  describe('Refresh Token Verification', () => {
-    test('should verify valid refresh token', () => {
-      const refreshToken = generateRefreshToken(mockUser);
-      const decoded = verifyRefreshToken(refreshToken);
-
-      expect(decoded).toBeDefined();
-      expect(decoded.userId).toBe(mockUser.id);
-      expect(decoded.type).toBe('refresh');
-    });
+  describe('Session Claims', () => {
+    test('should name the session and workspace the token was issued for', () => {
+      const token = generateToken(mockUser, { sessionId: 'session-uuid', workspaceId: 'workspace-uuid' });
+      const decoded = jwt.verify(token, config.jwt.secret);
 
-    test('should reject invalid refresh token', () => {
-      expect(() => {
-        verifyRefreshToken('invalid-token');
-      }).toThrow();
+      expect(decoded.sid).toBe('session-uuid');
+      expect(decoded.workspaceId).toBe('workspace-uuid');
     });
 
-    test('should reject access token as refresh token', () => {
-      const accessToken = generateToken(mockUser);
+    test('should leave out claims that were not given', () => {
+      const decoded = jwt.decode(generateToken(mockUser));
 
-      expect(() => {
-        verifyRefreshToken(accessToken);
-      }).toThrow();
+      expect(decoded.sid).toBeUndefined();
+      expect(decoded.workspaceId).toBeUndefined();
     });
   });
 });
@@ -0,0 +1,197 @@
+/**
+ * Campaign Budget Tests
+ * Tests for currency conversion, the budget ledger and the over-budget guard
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const budget = require('../src/services/budget');
+
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+const RATES = { USD: 1, EUR: 1.1, GBP: 1.25 };
+
+describe('Budget Calculations', () => {
+  test('should convert through the base currency', () => {
+    expect(budget.convert(100, 'EUR', 'USD', RATES)).toBeCloseTo(110);
+    expect(budget.convert(125, 'USD', 'GBP', RATES)).toBeCloseTo(100);
+    expect(budget.convert(110, 'EUR', 'GBP', RATES)).toBeCloseTo(96.8);
+    expect(() => budget.convert(1, 'ZZZ', 'USD', RATES)).toThrow('Unsupported currency "ZZZ"');
+  });
+
+  test('should total committed, paid and remaining spend in the campaign currency', () => {
+    const ledger = budget.summarizeLedger(
+      { id: 'c1', budget: '800.00', currency: 'EUR' },
+      [
+        { influencer_id: 'i1', agreed_fee: '440.00', fee_currency: 'USD', payment_status: 'paid' },
+        { influencer_id: 'i2', agreed_fee: '300.00', fee_currency: 'EUR', payment_status: 'unpaid' }
+      ],
+      [
+        { category: 'shipping', amount: '50.00', currency: 'EUR', status: 'paid' },
+        { category: 'production', amount: '125.00', currency: 'GBP', status: 'committed' }
+      ],
+      RATES
+    );
+
+    expect(ledger).toMatchObject({
+      currency: 'EUR',
+      budget: 800,
+      committed: 892.05,
+      paid: 450,
+      outstanding: 442.05,
+      remaining: -92.05,
+      over_budget: true,
+      fees: { committed: 700, paid: 400 },
+      expenses: { committed: 192.05, paid: 50, byCategory: { shipping: 50, production: 142.05 } }
+    });
+    expect(ledger.influencers[0]).toMatchObject({ agreed_fee: 440, fee_currency: 'USD', amount: 400 });
+  });
+
+  test('should only block commitments that push spend over budget', () => {
+    const ledger = { currency: 'USD', budget: 1000, committed: 900, remaining: 100 };
+
+    expect(() => budget.assertWithinBudget(ledger, { amount: 100, currency: 'USD' }, null, RATES)).not.toThrow();
+    expect(() => budget.assertWithinBudget(ledger, { amount: 100, currency: 'EUR' }, null, RATES))
+      .toThrow('This would exceed the campaign budget: 1010 USD committed of 1000 USD (100 remaining)');
+    expect(() => budget.assertWithinBudget(
+      ledger, { amount: 300, currency: 'USD' }, { amount: 250, currency: 'USD' }, RATES
+    )).not.toThrow();
+  });
+
+  test('should fold per-currency sums into base currency groups', () => {
+    const groups = budget.groupBudgets([
+      { status: 'active', currency: 'USD', count: '1', budget: '100.00' },
+      { status: 'active', currency: 'EUR', count: '1', budget: '100.00' },
+      { status: 'draft', currency: 'GBP', count: '3', budget: '300.00' }
+    ], 'status', RATES);
+
+    expect(groups).toEqual([
+      { status: 'draft', count: 3, total_budget: 375, avg_budget: 125 },
+      { status: 'active', count: 2, total_budget: 210, avg_budget: 105 }
+    ]);
+  });
+});
+
+describe('Budget Endpoints', () => {
+  let token;
+  let influencerId;
+
+  const api = (method, path) => request(app)[method](`/api/v1${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    token = login.body.data.token;
+
+    const influencer = await database.query(
+      `INSERT INTO influencers (name, platform, workspace_id) VALUES ('Second Creator', 'tiktok', $1) RETURNING id`,
+      [WORKSPACE_ID]
+    );
+    influencerId = influencer.rows[0].id;
+  });
+
+  test('should refuse to add an influencer whose fee exceeds the remaining budget', async () => {
+    await api('put', `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}`).send({ agreed_fee: 4000 });
+
+    const tooMuch = await api('post', `/campaigns/${CAMPAIGN_ID}/influencers`)
+      .send({ influencer_id: influencerId, agreed_fee: 1000, fee_currency: 'EUR' });
+    expect(tooMuch.status).toBe(409);
+    expect(tooMuch.body.error.message).toContain('exceed the campaign budget');
+
+    const added = await api('post', `/campaigns/${CAMPAIGN_ID}/influencers`)
+      .send({ influencer_id: influencerId, agreed_fee: 900, fee_currency: 'EUR' });
+    expect(added.status).toBe(201);
+    expect(added.body.data).toMatchObject({ agreed_fee: '900.00', fee_currency: 'EUR', payment_status: 'unpaid' });
+  });
+
+  test('should report committed, paid and remaining budget', async () => {
+    await api('put', `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}`)
+      .send({ agreed_fee: 2500, payment_status: 'paid' });
+    await api('post', `/campaigns/${CAMPAIGN_ID}/expenses`)
+      .send({ category: 'shipping', description: 'Product samples', amount: 100, currency: 'GBP' });
+
+    const res = await api('get', `/campaigns/${CAMPAIGN_ID}/budget`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      currency: 'USD',
+      budget: 5000,
+      committed: 2627,
+      paid: 2500,
+      outstanding: 127,
+      remaining: 2373,
+      expenses: { committed: 127, byCategory: { shipping: 127 } }
+    });
+  });
+
+  test('should guard expenses and require a fee before payment', async () => {
+    const over = await api('post', `/campaigns/${CAMPAIGN_ID}/expenses`)
+      .send({ category: 'advertising', description: 'Boosted posts', amount: 5000.01 });
+    expect(over.status).toBe(409);
+
+    const paid = await api('put', `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}`)
+      .send({ payment_status: 'paid' });
+    expect(paid.status).toBe(400);
+  });
+
+  test('should let only one of two concurrent commitments take the remaining budget', async () => {
+    // Hold both requests until each has reached the budget check
+    const lockCampaignLedger = budget.lockCampaignLedger;
+    let arrived = 0;
+    let bothArrived;
+    const barrier = new Promise(resolve => { bothArrived = resolve; });
+    const lock = jest.spyOn(budget, 'lockCampaignLedger').mockImplementation(async (...args) => {
+      if (++arrived === 2) bothArrived();
+      await barrier;
+      return lockCampaignLedger(...args);
+    });
+
+    const [expense, fee] = await Promise.all([
+      api('post', `/campaigns/${CAMPAIGN_ID}/expenses`)
+        .send({ category: 'advertising', description: 'Boosted posts', amount: 3000 }),
+      api('post', `/campaigns/${CAMPAIGN_ID}/influencers`)
+        .send({ influencer_id: influencerId, agreed_fee: 3000 })
+    ]);
+    lock.mockRestore();
+
+    expect([expense.status, fee.status].sort()).toEqual([201, 409]);
+    const rejected = expense.status === 409 ? expense : fee;
+    expect(rejected.body.error.message).toContain('exceed the campaign budget');
+
+    const ledger = await api('get', `/campaigns/${CAMPAIGN_ID}/budget`);
+    expect(ledger.body.data).toMatchObject({ committed: 3000, remaining: 2000, over_budget: false });
+  });
+
+  test('should apply saved exchange rates over the configured defaults', async () => {
+    const saved = await api('put', '/exchange-rates/EUR').send({ rate: 2 });
+    expect(saved.status).toBe(200);
+
+    const rates = await api('get', '/exchange-rates');
+    expect(rates.body.data.rates.find(rate => rate.currency === 'EUR')).toMatchObject({ rate: 2, source: 'custom' });
+
+    await api('post', `/campaigns/${CAMPAIGN_ID}/expenses`)
+      .send({ category: 'travel', description: 'Shoot travel', amount: 100, currency: 'EUR' });
+    const ledger = await api('get', `/campaigns/${CAMPAIGN_ID}/budget`);
+    expect(ledger.body.data.committed).toBe(200);
+
+    await api('delete', '/exchange-rates/EUR');
+    const reverted = await api('get', `/campaigns/${CAMPAIGN_ID}/budget`);
+    expect(reverted.body.data.committed).toBe(108);
+  });
+
+  test('should convert campaign analytics to the base currency', async () => {
+    await api('post', '/campaigns').send({ name: 'Euro Launch', platform: 'instagram', budget: 1000, currency: 'EUR' });
+
+    const res = await api('get', '/analytics/campaigns');
+
+    expect(res.body.data.currency).toBe('USD');
+    expect(res.body.data.platformDistribution).toEqual([{ platform: 'instagram', count: 2, avg_budget: 3040 }]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Campaign Status Tests
+ * Tests for lifecycle transitions, activation preconditions, status history
+ * and automatic completion after the end date
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const { assertTransition, completeEndedCampaigns } = require('../src/services/campaignStatus');
+
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+
+describe('Campaign Status Transitions', () => {
+  test('should allow the lifecycle moves', () => {
+    expect(() => assertTransition('draft', 'active')).not.toThrow();
+    expect(() => assertTransition('active', 'paused')).not.toThrow();
+    expect(() => assertTransition('paused', 'active')).not.toThrow();
+    expect(() => assertTransition('paused', 'completed')).not.toThrow();
+  });
+
+  test('should reject skipping ahead or leaving a final status', () => {
+    expect(() => assertTransition('draft', 'completed')).toThrow('allowed: active, cancelled');
+    expect(() => assertTransition('completed', 'active')).toThrow('final status');
+    expect(() => assertTransition('cancelled', 'draft')).toThrow('final status');
+  });
+});
+
+describe('Campaign Status Endpoints', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](`/api/v1${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  const futureDate = (days) => new Date(Date.now() + days * 86400000).toISOString().slice(0, 10);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    token = login.body.data.token;
+  });
+
+  test('should create campaigns as drafts only', async () => {
+    const rejected = await api('post', '/campaigns').send({ name: 'Launch', platform: 'tiktok', status: 'active' });
+    expect(rejected.status).toBe(400);
+
+    const created = await api('post', '/campaigns').send({ name: 'Launch', platform: 'tiktok' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.status).toBe('draft');
+  });
+
+  test('should only activate a campaign with dates and an influencer', async () => {
+    const created = await api('post', '/campaigns').send({ name: 'Launch', platform: 'instagram' });
+    const id = created.body.data.id;
+
+    const notReady = await api('post', `/campaigns/${id}/status`).send({ status: 'active' });
+    expect(notReady.status).toBe(400);
+    expect(notReady.body.error.details.map(problem => problem.field)).toEqual(['start_date', 'end_date', 'influencers']);
+
+    await api('put', `/campaigns/${id}`).send({ start_date: futureDate(0), end_date: futureDate(30) });
+    await api('post', `/campaigns/${id}/influencers`).send({ influencer_id: INFLUENCER_ID });
+
+    const activated = await api('post', `/campaigns/${id}/status`).send({ status: 'active', reason: 'Brief approved' });
+    expect(activated.status).toBe(200);
+    expect(activated.body.data.status).toBe('active');
+  });
+
+  test('should apply the same rules to status changes through PUT', async () => {
+    const completed = await api('put', `/campaigns/${CAMPAIGN_ID}`).send({ status: 'completed' });
+    expect(completed.status).toBe(200);
+
+    const reopened = await api('put', `/campaigns/${CAMPAIGN_ID}`).send({ status: 'draft' });
+    expect(reopened.status).toBe(409);
+
+    const viaStatus = await api('post', `/campaigns/${CAMPAIGN_ID}/status`).send({ status: 'active' });
+    expect(viaStatus.status).toBe(409);
+  });
+
+  test('should record every change in the status history', async () => {
+    await api('post', `/campaigns/${CAMPAIGN_ID}/status`).send({ status: 'paused', reason: 'Waiting on assets' });
+
+    const res = await api('get', `/campaigns/${CAMPAIGN_ID}/history`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'paused', allowed_transitions: ['active', 'completed', 'cancelled'] });
+    expect(res.body.data.history.map(entry => [entry.from_status, entry.to_status])).toEqual([
+      [null, 'active'],
+      ['active', 'paused']
+    ]);
+    expect(res.body.data.history[1]).toMatchObject({ reason: 'Waiting on assets', changed_by_name: 'Demo Admin' });
+  });
+
+  test('should complete active campaigns whose end date has passed', async () => {
+    await api('put', `/campaigns/${CAMPAIGN_ID}`).send({ start_date: '2024-06-01', end_date: '2024-07-31' });
+
+    expect(await completeEndedCampaigns()).toBe(1);
+    expect(await completeEndedCampaigns()).toBe(0);
+
+    const res = await api('get', `/campaigns/${CAMPAIGN_ID}/history`);
+    expect(res.body.data.status).toBe('completed');
+    expect(res.body.data.history[1]).toMatchObject({
+      from_status: 'active',
+      to_status: 'completed',
+      reason: 'Completed automatically after the end date',
+      changed_by: null
+    });
+  });
+
+  test('should return 404 for the history of an unknown campaign', async () => {
+    const res = await api('get', '/campaigns/00000000-0000-4000-8000-000000000999/history');
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,370 @@
+/**
+ * Database Unit Tests
+ * Tests for the in-memory SQL engine, database adapters and password hashing
+ */
+
+const { DatabaseError } = require('../src/db/memory');
+const { createAdapter } = require('../src/db/adapters');
+const { createMemoryAdapter } = require('../src/db/adapters/memory');
+const database = require('../src/database');
+
+describe('In-Memory Database', () => {
+  let db;
+
+  beforeEach(() => {
+    db = createMemoryAdapter();
+  });
+
+  async function createUser(overrides = {}) {
+    const result = await db.query(
+      'INSERT INTO users (name, email, password, role) VALUES ($1, $2, $3, $4) RETURNING *',
+      [overrides.name || 'Test User', overrides.email || global.testHelpers.randomString() + '@example.com', 'hash', overrides.role || 'user']
+    );
+    return result.rows[0];
+  }
+
+  async function createInfluencer(name, platform, followers, engagementRate) {
+    const result = await db.query(
+      `INSERT INTO influencers (name, platform, followers, engagement_rate, tags)
+       VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+      [name, platform, followers, engagementRate, JSON.stringify(['fashion'])]
+    );
+    return result.rows[0].id;
+  }
+
+  describe('Inserts and Defaults', () => {
+    test('should apply column defaults and return inserted rows', async () => {
+      const user = await createUser({ name: 'Alice' });
+
+      expect(user.id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(user.name).toBe('Alice');
+      expect(user.status).toBe('active');
+      expect(user.created_at).toBeInstanceOf(Date);
+      expect(user.avatar).toBeNull();
+    });
+
+    test('should parse JSONB and format DECIMAL like pg', async () => {
+      const id = await createInfluencer('Ann', 'instagram', 1000, 3.5);
+      const { rows } = await db.query('SELECT tags, engagement_rate, followers FROM influencers WHERE id = $1', [id]);
+
+      expect(rows[0].tags).toEqual(['fashion']);
+      expect(rows[0].engagement_rate).toBe('3.50');
+      expect(rows[0].followers).toBe(1000);
+    });
+
+    test('should reject NOT NULL violations', async () => {
+      await expect(db.query('INSERT INTO users (email, password) VALUES ($1, $2)', ['a@b.com', 'x']))
+        .rejects.toMatchObject({ code: '23502' });
+    });
+
+    test('should reject duplicate unique values', async () => {
+      await createUser({ email: 'dup@example.com' });
+
+      await expect(createUser({ email: 'dup@example.com' })).rejects.toMatchObject({ code: '23505' });
+    });
+
+    test('should reject malformed uuids', async () => {
+      await createUser();
+
+      await expect(db.query('SELECT * FROM users WHERE id = $1', ['not-a-uuid']))
+        .rejects.toMatchObject({ code: '22P02' });
+    });
+
+    test('should support ON CONFLICT DO UPDATE', async () => {
+      await createUser({ email: 'same@example.com', name: 'Before' });
+      await db.query(
+        `INSERT INTO users (name, email, password) VALUES ($1, $2, $3)
+         ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name`,
+        ['After', 'same@example.com', 'hash']
+      );
+
+      const { rows } = await db.query('SELECT name FROM users');
+      expect(rows).toEqual([{ name: 'After' }]);
+    });
+  });
+
+  describe('Queries', () => {
+    beforeEach(async () => {
+      await createInfluencer('Ann', 'instagram', 1000, 3.5);
+      await createInfluencer('Bob', 'instagram', 3000, 4.5);
+      await createInfluencer('Cid', 'tiktok', 500, 1.25);
+    });
+
+    test('should filter, sort and paginate', async () => {
+      const { rows } = await db.query(
+        'SELECT name FROM influencers WHERE platform = $1 ORDER BY followers DESC LIMIT $2 OFFSET $3',
+        ['instagram', 1, 1]
+      );
+
+      expect(rows).toEqual([{ name: 'Ann' }]);
+    });
+
+    test('should match ILIKE patterns and JSONB containment', async () => {
+      const { rows } = await db.query(
+        `SELECT name FROM influencers WHERE name ILIKE $1 AND tags @> $2 ORDER BY name`,
+        ['%b%', JSON.stringify(['fashion'])]
+      );
+
+      expect(rows).toEqual([{ name: 'Bob' }]);
+    });
+
+    test('should group and aggregate like PostgreSQL', async () => {
+      const { rows } = await db.query(
+        `SELECT platform, COUNT(*) as count, SUM(followers) as total, ROUND(AVG(engagement_rate), 2) as avg
+         FROM influencers GROUP BY platform ORDER BY count DESC`
+      );
+
+      expect(rows).toEqual([
+        { platform: 'instagram', count: '2', total: '4000', avg: '4.00' },
+        { platform: 'tiktok', count: '1', total: '500', avg: '1.25' }
+      ]);
+    });
+
+    test('should support FILTER clauses and CASE expressions', async () => {
+      const { rows } = await db.query(
+        `SELECT COUNT(*) FILTER (WHERE followers > 800) as big,
+                CASE WHEN MAX(followers) > 2000 THEN 'yes' ELSE 'no' END as has_large
+         FROM influencers`
+      );
+
+      expect(rows[0]).toEqual({ big: '2', has_large: 'yes' });
+    });
+
+    test('should join through campaign_influencers', async () => {
+      const user = await createUser();
+      const campaign = await db.query(
+        'INSERT INTO campaigns (name, platform, budget, created_by) VALUES ($1, $2, $3, $4) RETURNING id',
+        ['Launch', 'instagram', 2500, user.id]
+      );
+      const campaignId = campaign.rows[0].id;
+      await db.query(
+        `INSERT INTO campaign_influencers (campaign_id, influencer_id)
+         SELECT $1, id FROM influencers WHERE platform = 'instagram'`,
+        [campaignId]
+      );
+
+      const { rows } = await db.query(
+        `SELECT c.name, COUNT(ci.influencer_id) as influencer_count, u.name as creator
+         FROM campaigns c
+         LEFT JOIN campaign_influencers ci ON c.id = ci.campaign_id
+         LEFT JOIN users u ON c.created_by = u.id
+         GROUP BY c.id, u.name`
+      );
+
+      expect(rows).toEqual([{ name: 'Launch', influencer_count: '2', creator: 'Test User' }]);
+    });
+
+    test('should evaluate scalar subqueries', async () => {
+      const { rows } = await db.query(
+        `SELECT (SELECT COUNT(*) FROM influencers) as total,
+                (SELECT name FROM influencers ORDER BY followers DESC LIMIT 1) as top`
+      );
+
+      expect(rows[0]).toEqual({ total: '3', top: 'Bob' });
+    });
+  });
+
+  describe('Updates and Deletes', () => {
+    test('should update rows and return the new values', async () => {
+      const user = await createUser();
+      const result = await db.query(
+        'UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, role',
+        ['admin', user.id]
+      );
+
+      expect(result.rowCount).toBe(1);
+      expect(result.rows[0]).toEqual({ id: user.id, role: 'admin' });
+    });
+
+    test('should cascade deletes through foreign keys', async () => {
+      const user = await createUser();
+      await db.query(
+        'INSERT INTO sessions (user_id, session_token, expires_at) VALUES ($1, $2, NOW() + INTERVAL \'1 day\')',
+        [user.id, 'token']
+      );
+
+      const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING id', [user.id]);
+      const sessions = await db.query('SELECT COUNT(*) FROM sessions');
+
+      expect(result.rows).toEqual([{ id: user.id }]);
+      expect(sessions.rows[0].count).toBe('0');
+    });
+
+    test('should block deletes that would orphan rows', async () => {
+      const user = await createUser();
+      await db.query('INSERT INTO campaigns (name, platform, created_by) VALUES ($1, $2, $3)', ['C', 'x', user.id]);
+
+      await expect(db.query('DELETE FROM users WHERE id = $1', [user.id])).rejects.toMatchObject({ code: '23503' });
+    });
+  });
+
+  describe('Transactions', () => {
+    test('should roll back changes made inside a transaction', async () => {
+      const client = await db.getClient();
+      await client.query('BEGIN');
+      await client.query('INSERT INTO users (name, email, password) VALUES ($1, $2, $3)', ['T', 't@example.com', 'x']);
+      await client.query('ROLLBACK');
+      client.release();
+
+      const { rows } = await db.query('SELECT COUNT(*) FROM users');
+      expect(rows[0].count).toBe('0');
+    });
+
+    test('should abort the transaction after a failed statement', async () => {
+      const client = await db.getClient();
+      await client.query('BEGIN');
+      await client.query('INSERT INTO users (name, email, password) VALUES ($1, $2, $3)', ['T', 't@example.com', 'x']);
+      await expect(client.query('SELECT 1 / 0')).rejects.toMatchObject({ code: '22012' });
+      await expect(client.query('SELECT 1')).rejects.toMatchObject({ code: '25P02' });
+
+      const commit = await client.query('COMMIT');
+      client.release();
+
+      expect(commit.command).toBe('ROLLBACK');
+      const { rows } = await db.query('SELECT COUNT(*) FROM users');
+      expect(rows[0].count).toBe('0');
+    });
+
+    test('should make SELECT ... FOR UPDATE wait for the transaction holding the row', async () => {
+      const user = await createUser({ name: 'Locked' });
+      const first = await db.getClient();
+      const second = await db.getClient();
+      await first.query('BEGIN');
+      await second.query('BEGIN');
+      await first.query('SELECT * FROM users WHERE id = $1 FOR UPDATE', [user.id]);
+
+      let waited = false;
+      const pending = second.query('SELECT name FROM users WHERE id = $1 FOR UPDATE', [user.id])
+        .then(result => { waited = true; return result; });
+      await db.query('SELECT 1');
+      expect(waited).toBe(false);
+
+      await first.query('UPDATE users SET name = $1 WHERE id = $2', ['Renamed', user.id]);
+      await first.query('COMMIT');
+      const { rows } = await pending;
+      await second.query('COMMIT');
+      first.release();
+      second.release();
+
+      expect(rows[0].name).toBe('Renamed');
+    });
+
+    test('should honor NOWAIT and SKIP LOCKED and detect deadlocks', async () => {
+      const ann = await createUser({ name: 'Ann' });
+      const bob = await createUser({ name: 'Bob' });
+      const first = await db.getClient();
+      const second = await db.getClient();
+      await first.query('BEGIN');
+      await second.query('BEGIN');
+      await first.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [ann.id]);
+
+      await expect(second.query('SELECT id FROM users WHERE id = $1 FOR UPDATE NOWAIT', [ann.id]))
+        .rejects.toMatchObject({ code: '55P03' });
+      await second.query('ROLLBACK');
+      await second.query('BEGIN');
+
+      const skipped = await second.query('SELECT name FROM users ORDER BY name FOR UPDATE SKIP LOCKED');
+      expect(skipped.rows).toEqual([{ name: 'Bob' }]);
+
+      const waiting = first.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [bob.id]);
+      await expect(second.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [ann.id]))
+        .rejects.toMatchObject({ code: '40P01' });
+      await second.query('ROLLBACK');
+      await waiting;
+      await first.query('COMMIT');
+      first.release();
+      second.release();
+    });
+
+    test('should report errors as DatabaseError with SQLSTATE codes', async () => {
+      const error = await db.query('SELECT * FROM missing_table').catch(err => err);
+
+      expect(error).toBeInstanceOf(DatabaseError);
+      expect(error.code).toBe('42P01');
+    });
+  });
+
+  describe('Database Module', () => {
+    beforeEach(async () => {
+      await database.resetDatabase();
+    });
+
+    test('should commit successful transactions', async () => {
+      await database.transaction(async (client) => {
+        await client.query('INSERT INTO users (name, email, password) VALUES ($1, $2, $3)', ['A', 'a@example.com', 'x']);
+      });
+
+      const { rows } = await database.query('SELECT email FROM users');
+      expect(rows).toEqual([{ email: 'a@example.com' }]);
+    });
+
+    test('should roll back failed transactions', async () => {
+      await expect(database.transaction(async (client) => {
+        await client.query('INSERT INTO users (name, email, password) VALUES ($1, $2, $3)', ['A', 'a@example.com', 'x']);
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      const { rows } = await database.query('SELECT COUNT(*) FROM users');
+      expect(rows[0].count).toBe('0');
+    });
+
+    test('should stream query results in batches', async () => {
+      for (const email of ['a@example.com', 'b@example.com', 'c@example.com']) {
+        await database.query('INSERT INTO users (name, email, password) VALUES ($1, $2, $3)', ['A', email, 'x']);
+      }
+
+      const batches = [];
+      for await (const rows of database.streamQuery('SELECT email FROM users ORDER BY email', [], { batchSize: 2 })) {
+        batches.push(rows.map(row => row.email));
+      }
+      expect(batches).toEqual([['a@example.com', 'b@example.com'], ['c@example.com']]);
+    });
+
+    test('should seed mock data', async () => {
+      await database.initMockData();
+
+      const { rows } = await database.query('SELECT email, role FROM users ORDER BY email');
+      expect(rows).toEqual([
+        { email: 'admin@example.com', role: 'admin' },
+        { email: 'user@example.com', role: 'user' }
+      ]);
+    });
+  });
+
+  describe('Adapters', () => {
+    test('should default to the in-memory driver', () => {
+      expect(createAdapter({}).name).toBe('memory');
+      expect(database.adapter.name).toBe('memory');
+    });
+
+    test('should create a pooled postgres adapter without connecting', async () => {
+      const adapter = createAdapter({ driver: 'postgresql', host: 'localhost', port: 5432, pool: { max: 2 } });
+
+      expect(adapter.name).toBe('postgres');
+      expect(adapter.reset).toBeUndefined();
+      await adapter.close();
+    });
+
+    test('should reject unknown drivers', () => {
+      expect(() => createAdapter({ driver: 'mysql' })).toThrow('Unknown database driver "mysql"');
+    });
+  });
+
+  describe('Password Hashing', () => {
+    test('should hash passwords with bcrypt', async () => {
+      const hash = await database.hashPassword('Secret123!');
+
+      expect(hash).toMatch(/^\$2[aby]\$/);
+      await expect(database.verifyPassword('Secret123!', hash)).resolves.toBe(true);
+      await expect(database.verifyPassword('wrong', hash)).resolves.toBe(false);
+    });
+
+    test('should still accept legacy SHA256 hashes', async () => {
+      const legacy = require('crypto').createHash('sha256').update('password123').digest('hex');
+
+      await expect(database.verifyPassword('password123', legacy)).resolves.toBe(true);
+      await expect(database.verifyPassword('password124', legacy)).resolves.toBe(false);
+      await expect(database.verifyPassword('password123', null)).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Campaign Deliverable Tests
+ * Tests for the review workflow, performance updates and campaign rollups
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const { nextStatus, emptyRollup } = require('../src/services/deliverables');
+
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const BASE = `/api/v1/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}/deliverables`;
+
+describe('Deliverable Transitions', () => {
+  test('should allow resubmitting a rejected deliverable', () => {
+    expect(nextStatus({ status: 'pending' }, 'submit')).toBe('submitted');
+    expect(nextStatus({ status: 'rejected' }, 'submit')).toBe('submitted');
+    expect(nextStatus({ status: 'submitted' }, 'approve')).toBe('approved');
+  });
+
+  test('should reject review actions out of order', () => {
+    expect(() => nextStatus({ status: 'pending' }, 'approve'))
+      .toThrow('Cannot approve a deliverable that is pending (allowed from: submitted)');
+    expect(() => nextStatus({ status: 'approved' }, 'submit')).toThrow('Cannot submit');
+  });
+
+  test('should start rollups at zero with no rates', () => {
+    expect(emptyRollup()).toMatchObject({ total: 0, views: 0, engagement_rate: null, click_through_rate: null });
+  });
+});
+
+describe('Deliverable Endpoints', () => {
+  let token;
+
+  const api = (method, path = '') => request(app)[method](`${BASE}${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    token = login.body.data.token;
+  });
+
+  test('should take a deliverable through rejection, resubmission and approval', async () => {
+    const created = await api('post').send({ type: 'reel', title: 'Launch reel' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.status).toBe('pending');
+    const id = created.body.data.id;
+
+    expect((await api('post', `/${id}/approve`).send({})).status).toBe(409);
+
+    await api('post', `/${id}/submit`).send({ content_url: 'https://instagram.com/p/1' });
+    const rejected = await api('post', `/${id}/reject`).send({ reason: 'Missing the #ad disclosure' });
+    expect(rejected.body.data).toMatchObject({ status: 'rejected', review_notes: 'Missing the #ad disclosure' });
+
+    const resubmitted = await api('post', `/${id}/submit`).send({ content_url: 'https://instagram.com/p/2' });
+    expect(resubmitted.body.data).toMatchObject({ status: 'submitted', review_notes: null });
+
+    const approved = await api('post', `/${id}/approve`).send({ notes: 'Looks great' });
+    expect(approved.body.data.status).toBe('approved');
+
+    const edit = await api('put', `/${id}`).send({ title: 'Renamed' });
+    expect(edit.status).toBe(409);
+  });
+
+  test('should require a content URL to submit and a reason to reject', async () => {
+    const { body } = await api('post').send({ type: 'post' });
+
+    expect((await api('post', `/${body.data.id}/submit`).send({})).status).toBe(400);
+    await api('post', `/${body.data.id}/submit`).send({ content_url: 'https://tiktok.com/v/1' });
+    expect((await api('post', `/${body.data.id}/reject`).send({})).status).toBe(400);
+  });
+
+  test('should flag overdue deliverables and filter by status', async () => {
+    await api('post').send({ type: 'story', due_date: '2020-01-01' });
+    await api('post').send({ type: 'video', due_date: '2999-01-01' });
+
+    const res = await api('get').query({ type: 'story' });
+    expect(res.body.data).toHaveLength(1);
+    expect(res.body.data[0].is_overdue).toBe(true);
+
+    const pending = await api('get').query({ status: 'pending' });
+    expect(pending.body.data.map(d => d.type)).toEqual(['story', 'video']);
+  });
+
+  test('should only record performance for submitted content', async () => {
+    const { body } = await api('post').send({ type: 'reel' });
+    const id = body.data.id;
+
+    expect((await api('put', `/${id}/metrics`).send({ views: 10 })).status).toBe(409);
+
+    await api('post', `/${id}/submit`).send({ content_url: 'https://instagram.com/p/3' });
+    const res = await api('put', `/${id}/metrics`).send({ views: 2000, likes: 150, comments: 50, clicks: 40 });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ views: 2000, likes: 150, comments: 50, clicks: 40 });
+  });
+
+  test('should roll deliverables up into the campaign detail', async () => {
+    const { body } = await api('post').send({ type: 'reel', due_date: '2020-01-01' });
+    await api('post').send({ type: 'story' });
+    await api('post', `/${body.data.id}/submit`).send({ content_url: 'https://instagram.com/p/4' });
+    await api('put', `/${body.data.id}/metrics`).send({ views: 1000, likes: 80, comments: 20, clicks: 25 });
+
+    const res = await request(app)
+      .get(`/api/v1/campaigns/${CAMPAIGN_ID}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const expected = {
+      total: 2, pending: 1, submitted: 1, overdue: 0,
+      views: 1000, engagement_rate: 10, click_through_rate: 2.5
+    };
+    expect(res.body.data.deliverables).toMatchObject(expected);
+    expect(res.body.data.influencers.find(i => i.id === INFLUENCER_ID).deliverables).toMatchObject(expected);
+  });
+
+  test('should 404 for influencers outside the campaign', async () => {
+    const res = await request(app)
+      .get(BASE.replace(INFLUENCER_ID, '00000000-0000-4000-8000-00000000ffff'))
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Email Verification Tests
+ * Tests for pending registrations, verification links, resending and the
+ * admin override
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const counterStore = require('../src/services/counterStore');
+const emailService = require('../src/services/email');
+const jobQueue = require('../src/services/jobQueue');
+
+describe('Email Verification', () => {
+  let verificationEmail;
+
+  const { as, login } = global.testHelpers;
+
+  const register = async () => {
+    const res = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'New Agent', email: 'new@example.com', password: 'password123' });
+    await jobQueue.drain();
+    return res.body.data;
+  };
+
+  // Token from the most recent verification email
+  const lastToken = () => verificationEmail.mock.calls[verificationEmail.mock.calls.length - 1][0].verifyToken;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    await counterStore.getStore().clear();
+    await jobQueue.clear();
+    verificationEmail = jest.spyOn(emailService, 'sendVerificationEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should register users as pending and restrict them until verified', async () => {
+    const registered = await register();
+    expect(registered.email_verification_required).toBe(true);
+    expect(verificationEmail).toHaveBeenCalledTimes(1);
+    expect(verificationEmail.mock.calls[0][0]).toMatchObject({ to: 'new@example.com', name: 'New Agent' });
+
+    const me = await as(registered.token, 'get', '/auth/me');
+    expect(me.status).toBe(200);
+    expect(me.body.data).toMatchObject({ status: 'pending_verification', email_verified_at: null });
+
+    const blocked = await as(registered.token, 'get', '/influencers');
+    expect(blocked.status).toBe(403);
+    expect(blocked.body.error.message).toBe('Verify your email address to continue');
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'new@example.com', password: 'password123' });
+    expect(login.status).toBe(200);
+    expect(login.body.data.email_verification_required).toBe(true);
+  });
+
+  test('should verify with the emailed token once', async () => {
+    const registered = await register();
+    const token = lastToken();
+
+    const verified = await request(app).post('/api/v1/auth/verify-email').send({ token });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({ email: 'new@example.com', activated: true });
+
+    const allowed = await as(registered.token, 'get', '/influencers');
+    expect(allowed.status).toBe(200);
+
+    const reused = await request(app).get('/api/v1/auth/verify-email').query({ token });
+    expect(reused.status).toBe(400);
+    expect(reused.body.error.message).toBe('Invalid or expired verification token');
+  });
+
+  test('should verify from the link and reject expired tokens', async () => {
+    await register();
+    await database.query(
+      "UPDATE email_verification_tokens SET expires_at = NOW() - INTERVAL '1 hour'",
+      []
+    );
+
+    const expired = await request(app).get('/api/v1/auth/verify-email').query({ token: lastToken() });
+    expect(expired.status).toBe(400);
+    expect(expired.body.error.message).toBe('Verification token has expired. Request a new one');
+
+    const missing = await request(app).get('/api/v1/auth/verify-email');
+    expect(missing.status).toBe(400);
+  });
+
+  test('should resend a fresh link and refuse once verified', async () => {
+    const registered = await register();
+    const first = lastToken();
+
+    const resent = await as(registered.token, 'post', '/auth/verify-email/resend');
+    expect(resent.status).toBe(200);
+    await jobQueue.drain();
+    expect(verificationEmail).toHaveBeenCalledTimes(2);
+
+    // The earlier link stops working
+    const stale = await request(app).post('/api/v1/auth/verify-email').send({ token: first });
+    expect(stale.status).toBe(400);
+
+    const verified = await request(app).get('/api/v1/auth/verify-email').query({ token: lastToken() });
+    expect(verified.status).toBe(200);
+
+    const again = await as(registered.token, 'post', '/auth/verify-email/resend');
+    expect(again.status).toBe(409);
+  });
+
+  test('should let admins activate a pending user', async () => {
+    const registered = await register();
+    const admin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+
+    const activated = await as(admin.body.data.token, 'put', `/users/${registered.user.id}/status`)
+      .send({ status: 'active' });
+    expect(activated.status).toBe(200);
+    expect(activated.body.data.status).toBe('active');
+    expect(activated.body.data.email_verified_at).not.toBeNull();
+
+    const allowed = await as(registered.token, 'get', '/influencers');
+    expect(allowed.status).toBe(200);
+
+    // The emailed link is no longer needed
+    const stale = await request(app).post('/api/v1/auth/verify-email').send({ token: lastToken() });
+    expect(stale.status).toBe(400);
+  });
+
+  test('should keep the old email until a changed address is verified', async () => {
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'user@example.com', password: 'password123' });
+    const token = login.body.data.token;
+
+    const changed = await as(token, 'put', '/users/profile').send({ email: 'Moved@example.com' });
+    expect(changed.status).toBe(200);
+    expect(changed.body.data).toMatchObject({ email: 'user@example.com', pending_email: 'moved@example.com' });
+    await jobQueue.drain();
+    expect(verificationEmail.mock.calls[0][0]).toMatchObject({ to: 'moved@example.com' });
+
+    const before = await as(token, 'get', '/auth/me');
+    expect(before.body.data).toMatchObject({ email: 'user@example.com', status: 'active' });
+    expect(before.body.data.email_verified_at).not.toBeNull();
+
+    const taken = await as(token, 'put', '/users/profile').send({ email: 'admin@example.com' });
+    expect(taken.status).toBe(409);
+
+    const verified = await request(app).post('/api/v1/auth/verify-email').send({ token: lastToken() });
+    expect(verified.status).toBe(200);
+    expect(verified.body.data).toMatchObject({ email: 'moved@example.com', activated: false });
+
+    const after = await as(token, 'get', '/auth/me');
+    expect(after.body.data.email).toBe('moved@example.com');
+    expect(after.body.data.email_verified_at).not.toBeNull();
+
+    const oldLogin = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'user@example.com', password: 'password123' });
+    expect(oldLogin.status).toBe(401);
+  });
+
+  test('should resend the link for a pending email change', async () => {
+    const token = await login('user@example.com');
+    await as(token, 'put', '/users/profile').send({ email: 'moved@example.com' });
+    await jobQueue.drain();
+    const firstLink = lastToken();
+
+    const resent = await as(token, 'post', '/auth/verify-email/resend');
+    expect(resent.status).toBe(200);
+    expect(resent.body.data.pending_email).toBe('moved@example.com');
+    await jobQueue.drain();
+    expect(verificationEmail).toHaveBeenCalledTimes(2);
+    expect(verificationEmail.mock.calls[1][0]).toMatchObject({ to: 'moved@example.com' });
+
+    const stale = await request(app).post('/api/v1/auth/verify-email').send({ token: firstLink });
+    expect(stale.status).toBe(400);
+    const verified = await request(app).post('/api/v1/auth/verify-email').send({ token: lastToken() });
+    expect(verified.body.data.email).toBe('moved@example.com');
+
+    const nothingPending = await as(token, 'post', '/auth/verify-email/resend');
+    expect(nothingPending.status).toBe(409);
+  });
+});
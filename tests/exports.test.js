@@ -0,0 +1,197 @@
+/**
+ * Data Export Tests
+ * Tests for CSV quoting, the ZIP/XLSX writers and streamed dataset exports
+ */
+
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const database = require('../src/database');
+const exportsService = require('../src/services/exports');
+const { formatCsvValue, formatCsvRow, parseCsv } = require('../src/utils/csv');
+const { crc32 } = require('../src/utils/zip');
+const { writeXlsx, columnName } = require('../src/utils/xlsx');
+
+// Collect everything written to a stream by fn
+async function capture(fn) {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(Buffer.from(chunk)));
+  await fn(output);
+  output.end();
+  return Buffer.concat(chunks);
+}
+
+// Read entries back out of a ZIP archive via its central directory
+function unzip(buffer) {
+  const entries = {};
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < buffer.readUInt16LE(end + 10); i++) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    entries[name] = { data: data.toString('utf8'), crc: buffer.readUInt32LE(offset + 16), checksum: crc32(data) };
+    offset += 46 + nameLength;
+  }
+  return entries;
+}
+
+async function* batchesOf(...batches) {
+  yield* batches;
+}
+
+describe('CSV Formatting', () => {
+  test('should quote fields containing delimiters, quotes or line breaks', () => {
+    expect(formatCsvValue('plain')).toBe('plain');
+    expect(formatCsvValue('a, b')).toBe('"a, b"');
+    expect(formatCsvValue('say "hi"')).toBe('"say ""hi"""');
+    expect(formatCsvValue('line1\nline2')).toBe('"line1\nline2"');
+    expect(formatCsvValue(null)).toBe('');
+  });
+
+  test('should write objects as JSON and dates as ISO 8601', () => {
+    const row = formatCsvRow([['a', 'b'], new Date('2024-01-02T03:04:05Z'), 12]);
+
+    expect(row).toBe('"[""a"",""b""]",2024-01-02T03:04:05.000Z,12\r\n');
+  });
+
+  test('should round-trip through the parser', () => {
+    const text = formatCsvRow(['name', 'bio']) + formatCsvRow(['Ann', 'Travel, food & "fun"\nDaily']);
+
+    expect(parseCsv(text)[0].record).toEqual({ name: 'Ann', bio: 'Travel, food & "fun"\nDaily' });
+  });
+});
+
+describe('XLSX Writer', () => {
+  test('should compute standard CRC-32 checksums', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+  });
+
+  test('should name columns like a spreadsheet', () => {
+    expect([0, 25, 26, 701, 702].map(columnName)).toEqual(['A', 'Z', 'AA', 'ZZ', 'AAA']);
+  });
+
+  test('should stream a valid workbook with typed cells', async () => {
+    const columns = [
+      { name: 'name', type: 'text' },
+      { name: 'followers', type: 'number' },
+      { name: 'created_at', type: 'date' }
+    ];
+    const buffer = await capture(output => writeXlsx(output, columns, batchesOf(
+      [['A & B <co>', '1200.50', new Date(Date.UTC(2024, 0, 1))]],
+      [['Second', null, null]]
+    ), { sheetName: 'Influencers' }));
+
+    const entries = unzip(buffer);
+    expect(Object.keys(entries)).toEqual(expect.arrayContaining([
+      '[Content_Types].xml', 'xl/workbook.xml', 'xl/styles.xml', 'xl/worksheets/sheet1.xml'
+    ]));
+    Object.values(entries).forEach(entry => expect(entry.checksum).toBe(entry.crc));
+
+    const sheet = entries['xl/worksheets/sheet1.xml'].data;
+    expect(sheet).toContain('<c r="A2" t="inlineStr"><is><t xml:space="preserve">A &amp; B &lt;co&gt;</t></is></c>');
+    expect(sheet).toContain('<c r="B2"><v>1200.5</v></c>');
+    expect(sheet).toContain('<c r="C2" s="2"><v>45292</v></c>');
+    expect(sheet).toContain('<row r="3"><c r="A3"');
+    expect(entries['xl/workbook.xml'].data).toContain('<sheet name="Influencers"');
+  });
+});
+
+describe('Export Service', () => {
+  let campaignId;
+  let modelId;
+
+  async function exportText(type, format, params = {}) {
+    const plan = await exportsService.prepareExport(type, params);
+    return (await capture(output => exportsService.writeExport(plan, format, output))).toString('utf8');
+  }
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+
+    const influencers = [];
+    for (const [name, platform, followers, bio] of [
+      ['Ann', 'instagram', 1000, 'Travel, food & "fun"'],
+      ['Bob', 'tiktok', 5000, null],
+      ['Cy', 'tiktok', 200, 'Line one\nLine two']
+    ]) {
+      const result = await database.query(
+        `INSERT INTO influencers (name, platform, followers, bio, tags) VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+        [name, platform, followers, bio, JSON.stringify(['x'])]
+      );
+      influencers.push(result.rows[0].id);
+    }
+
+    const campaign = await database.query(
+      `INSERT INTO campaigns (name, platform) VALUES ('Launch', 'multi') RETURNING id`
+    );
+    campaignId = campaign.rows[0].id;
+    await database.query(
+      `INSERT INTO campaign_influencers (campaign_id, influencer_id, status) VALUES ($1, $2, 'active'), ($1, $3, 'pending')`,
+      [campaignId, influencers[0], influencers[1]]
+    );
+
+    const model = await database.query(
+      `INSERT INTO data_models (name, source, schema) VALUES ('Metrics', 'custom', $1) RETURNING id`,
+      [JSON.stringify({ fields: [{ name: 'likes', type: 'number' }, { name: 'handle', type: 'string' }] })]
+    );
+    modelId = model.rows[0].id;
+    await database.query(
+      'INSERT INTO model_data (model_id, data) VALUES ($1, $2)',
+      [modelId, JSON.stringify({ likes: 12, handle: 'ann, official' })]
+    );
+  });
+
+  test('should export selected columns with list filters and sorting', async () => {
+    const csv = await exportText('influencers', 'csv', {
+      columns: 'name,followers,bio',
+      platform: 'tiktok',
+      sortBy: 'followers',
+      sortOrder: 'asc'
+    });
+
+    expect(csv).toBe('name,followers,bio\r\nCy,200,"Line one\nLine two"\r\nBob,5000,\r\n');
+  });
+
+  test('should quote values so every row parses back', async () => {
+    const records = parseCsv(await exportText('influencers', 'csv', { sortBy: 'name', sortOrder: 'asc' }));
+
+    expect(records.map(({ record }) => record.bio)).toEqual(['Travel, food & "fun"', '', 'Line one\nLine two']);
+    expect(records[0].record.tags).toBe('["x"]');
+  });
+
+  test('should export NDJSON records', async () => {
+    const lines = (await exportText('campaigns', 'ndjson', { columns: 'name,budget' })).trim().split('\n');
+
+    expect(lines.map(line => JSON.parse(line))).toEqual([{ name: 'Launch', budget: '0.00' }]);
+  });
+
+  test('should export a campaign roster with participation status', async () => {
+    const csv = await exportText('campaign_roster', 'csv', {
+      campaignId,
+      columns: 'name,participation_status',
+      minFollowers: 2000
+    });
+
+    expect(csv).toBe('name,participation_status\r\nBob,pending\r\n');
+  });
+
+  test('should flatten data model fields into columns', async () => {
+    const csv = await exportText('model_data', 'csv', { modelId });
+
+    expect(csv.split('\r\n')[0]).toBe('id,created_at,data.likes,data.handle');
+    expect(csv).toContain(',12,"ann, official"\r\n');
+  });
+
+  test('should reject unknown columns and missing parents', async () => {
+    await expect(exportsService.prepareExport('influencers', { columns: 'name,password' }))
+      .rejects.toThrow('Unknown export column(s): password');
+    await expect(exportsService.prepareExport('campaign_roster', { campaignId: '00000000-0000-4000-8000-00000000ffff' }))
+      .rejects.toThrow('Campaign not found');
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Influencer Import Tests
+ * Tests for CSV/multipart parsing and the bulk import endpoint
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const { parseCsv, parseRows } = require('../src/utils/csv');
+const { parseMultipart, resolveType } = require('../src/middleware/upload');
+
+describe('CSV Parser', () => {
+  test('should parse a header row into records with line numbers', () => {
+    const records = parseCsv('name,platform\r\nAnn,instagram\r\nBob,tiktok\r\n');
+
+    expect(records).toEqual([
+      { line: 2, record: { name: 'Ann', platform: 'instagram' } },
+      { line: 3, record: { name: 'Bob', platform: 'tiktok' } }
+    ]);
+  });
+
+  test('should handle quoted fields, escaped quotes and embedded newlines', () => {
+    const rows = parseRows('a,"b, ""quoted""","multi\nline"\nnext,,');
+
+    expect(rows[0].fields).toEqual(['a', 'b, "quoted"', 'multi\nline']);
+    expect(rows[1]).toEqual({ line: 3, fields: ['next', '', ''] });
+  });
+
+  test('should strip a byte order mark and skip blank lines', () => {
+    const records = parseCsv('\uFEFFname\n\nAnn\n');
+
+    expect(records).toEqual([{ line: 3, record: { name: 'Ann' } }]);
+  });
+
+  test('should reject unterminated quotes', () => {
+    expect(() => parseCsv('name\n"Ann')).toThrow('Unterminated quoted field starting on line 2');
+  });
+});
+
+describe('Upload Middleware', () => {
+  test('should split multipart parts into fields and files', () => {
+    const body = Buffer.from([
+      '--xyz',
+      'Content-Disposition: form-data; name="mode"',
+      '',
+      'upsert',
+      '--xyz',
+      'Content-Disposition: form-data; name="file"; filename="creators.csv"',
+      'Content-Type: text/csv',
+      '',
+      'name\r\nAnn',
+      '--xyz--',
+      ''
+    ].join('\r\n'));
+
+    const parts = parseMultipart(body, 'xyz');
+
+    expect(parts).toHaveLength(2);
+    expect(parts[0]).toMatchObject({ name: 'mode', filename: undefined });
+    expect(parts[0].data.toString()).toBe('upsert');
+    expect(parts[1]).toMatchObject({ name: 'file', filename: 'creators.csv', contentType: 'text/csv' });
+    expect(parts[1].data.toString()).toBe('name\r\nAnn');
+  });
+
+  test('should infer generic content types from the file extension', () => {
+    expect(resolveType('application/octet-stream', 'creators.CSV')).toBe('text/csv');
+    expect(resolveType(undefined, 'creators.json')).toBe('application/json');
+    expect(resolveType('text/csv; charset=utf-8')).toBe('text/csv');
+  });
+});
+
+describe('POST /api/v1/influencers/import', () => {
+  let token;
+
+  const csv = [
+    'name,username,platform,followers,tags',
+    'Ann,ann,instagram,1000,"fitness;travel"',
+    'Invalid,,myspace,,',
+    'Ann Again,ann,instagram,2000,'
+  ].join('\n');
+
+  const importCsv = (path) => request(app)
+    .post(`/api/v1/influencers/import${path}`)
+    .set('Authorization', `Bearer ${token}`)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  const countByUsername = async (username) => {
+    const { rows } = await database.query('SELECT COUNT(*) FROM influencers WHERE username = $1', [username]);
+    return parseInt(rows[0].count);
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    token = login.body.data.token;
+  });
+
+  test('should report results without saving in a dry run', async () => {
+    const res = await importCsv('?dryRun=true');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toEqual({ total: 3, created: 1, updated: 0, skipped: 1, failed: 1 });
+    expect(res.body.data.results[1]).toMatchObject({ row: 2, line: 3, status: 'failed' });
+    expect(res.body.data.results[1].errors[0]).toContain('"platform" must be one of');
+    expect(res.body.data.results[2]).toMatchObject({ status: 'skipped', username: 'ann' });
+    expect(await countByUsername('ann')).toBe(0);
+  });
+
+  test('should create rows and skip duplicates by default', async () => {
+    const res = await importCsv('');
+
+    expect(res.body.data.summary).toMatchObject({ created: 1, skipped: 1, failed: 1 });
+    expect(await countByUsername('ann')).toBe(1);
+
+    const { rows } = await database.query('SELECT followers, tags FROM influencers WHERE username = $1', ['ann']);
+    expect(rows[0].followers).toBe(1000);
+    expect(rows[0].tags).toEqual(['fitness', 'travel']);
+  });
+
+  test('should update duplicates in upsert mode and record a metrics snapshot', async () => {
+    const res = await request(app)
+      .post('/api/v1/influencers/import')
+      .set('Authorization', `Bearer ${token}`)
+      .field('mode', 'upsert')
+      .attach('file', Buffer.from(csv), 'creators.csv');
+
+    expect(res.body.data.mode).toBe('upsert');
+    expect(res.body.data.summary).toMatchObject({ created: 1, updated: 1, failed: 1 });
+
+    const { rows } = await database.query(
+      `SELECT i.name, i.followers, COUNT(m.id) AS snapshots
+       FROM influencers i JOIN influencer_metrics m ON m.influencer_id = i.id
+       WHERE i.username = $1 GROUP BY i.name, i.followers`,
+      ['ann']
+    );
+    expect(rows[0]).toMatchObject({ name: 'Ann Again', followers: 2000, snapshots: '2' });
+  });
+
+  test('should require update permission to upsert', async () => {
+    const created = await request(app)
+      .post('/api/v1/api-keys')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'Create only', scopes: ['influencer:create'] });
+    const key = created.body.data.key;
+
+    await importCsv('');
+    const upsert = await request(app)
+      .post('/api/v1/influencers/import?mode=upsert')
+      .set('X-API-Key', key)
+      .set('Content-Type', 'text/csv')
+      .send(csv);
+
+    expect(upsert.status).toBe(403);
+    const { rows } = await database.query('SELECT followers FROM influencers WHERE username = $1', ['ann']);
+    expect(rows[0].followers).toBe(1000);
+
+    const skip = await request(app)
+      .post('/api/v1/influencers/import')
+      .set('X-API-Key', key)
+      .send([{ name: 'Zed', platform: 'tiktok' }]);
+    expect(skip.status).toBe(200);
+  });
+
+  test('should not reveal duplicates the importer cannot access', async () => {
+    await importCsv('');
+    const userToken = await global.testHelpers.login('user@example.com');
+
+    const res = await global.testHelpers.as(userToken, 'post', '/influencers/import')
+      .send([{ name: 'Ann', username: 'ann', platform: 'instagram' }]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.summary).toMatchObject({ created: 0, skipped: 0, failed: 1 });
+    expect(res.body.data.results[0]).toEqual(expect.objectContaining({
+      status: 'failed',
+      errors: ['Influencer with this username and platform already exists']
+    }));
+    expect(res.body.data.results[0]).not.toHaveProperty('id');
+  });
+
+  test('should accept a JSON array body', async () => {
+    const res = await request(app)
+      .post('/api/v1/influencers/import')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ influencers: [{ name: 'Zed', platform: 'tiktok', followers: 10 }, 'not a row'] });
+
+    expect(res.body.data.summary).toMatchObject({ total: 2, created: 1, failed: 1 });
+    expect(res.body.data.results[1].errors).toEqual(['Row must be an object']);
+  });
+
+  test('should reject unsupported file types', async () => {
+    const res = await request(app)
+      .post('/api/v1/influencers/import')
+      .set('Authorization', `Bearer ${token}`)
+      .set('Content-Type', 'application/xml')
+      .send('<influencers/>');
+
+    expect(res.status).toBe(415);
+    expect(res.body.error.code).toBe('UNSUPPORTED_MEDIA_TYPE');
+  });
+
+  test('should reject an empty import', async () => {
+    const res = await request(app)
+      .post('/api/v1/influencers/import')
+      .set('Authorization', `Bearer ${token}`)
+      .send([]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.message).toBe('Import contains no rows');
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Background Job Tests
+ * Tests the job queue's retries, dead-letter queue and concurrency limits,
+ * schedules and cron expressions, queued emails, the cleanup job and the
+ * admin endpoints
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const config = require('../src/config');
+const jobQueue = require('../src/services/jobQueue');
+const { JOBS } = require('../src/services/jobs');
+const emailService = require('../src/services/email');
+const { parseCron, nextCronRun } = require('../src/utils/cron');
+
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+
+describe('Background Jobs', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    await jobQueue.clear();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should retry failing jobs and dead-letter them once out of attempts', async () => {
+    const calls = [];
+    jobQueue.defineJob('test.flaky', async ({ failures }) => {
+      calls.push(Date.now());
+      if (calls.length <= failures) {
+        throw new Error(`Failure ${calls.length}`);
+      }
+      return { calls: calls.length };
+    }, { retryDelay: 0, maxAttempts: 3 });
+
+    const recovered = await jobQueue.enqueue('test.flaky', { failures: 2 });
+    await jobQueue.drain();
+    expect(await jobQueue.getJob(recovered.id)).toMatchObject({ status: 'completed', attempts: 3, result: { calls: 3 }, last_error: null });
+
+    calls.length = 0;
+    const dead = await jobQueue.enqueue('test.flaky', { failures: 5 });
+    await jobQueue.drain();
+    expect(await jobQueue.getJob(dead.id)).toMatchObject({ status: 'dead', attempts: 3, last_error: 'Failure 3' });
+
+    // Retries back off from the configured base delay
+    jobQueue.defineJob('test.failing', async () => { throw new Error('Down'); });
+    const delayed = await jobQueue.enqueue('test.failing');
+    await jobQueue.drain();
+    const waiting = await jobQueue.getJob(delayed.id);
+    expect(waiting).toMatchObject({ status: 'waiting', attempts: 1, last_error: 'Down' });
+    expect(Date.parse(waiting.run_at) - Date.now()).toBeGreaterThan(config.jobs.retry_base_delay - 1000);
+  });
+
+  test('should keep to the concurrency limit of each job type', async () => {
+    let running = 0;
+    let most = 0;
+    jobQueue.defineJob('test.slow', async () => {
+      running++;
+      most = Math.max(most, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    }, { concurrency: 2 });
+
+    for (let i = 0; i < 5; i++) {
+      await jobQueue.enqueue('test.slow');
+    }
+    await jobQueue.drain();
+
+    expect(most).toBe(2);
+    const { counts } = await jobQueue.listJobs();
+    expect(counts.completed).toBe(5);
+  });
+
+  test('should enqueue each scheduled run once and parse cron expressions', async () => {
+    jobQueue.defineJob('test.tick', async () => 'tick');
+    jobQueue.schedule('test.tick', { every: 60000 });
+    const [schedule] = jobQueue.listSchedules().filter(entry => entry.name === 'test.tick');
+
+    const later = new Date(schedule.next_run_at.getTime() + 1000);
+    expect(await jobQueue.runSchedules(later)).toBeGreaterThanOrEqual(1);
+    const { jobs } = await jobQueue.listJobs({ name: 'test.tick' });
+    expect(jobs).toHaveLength(1);
+    expect(jobs[0]).toMatchObject({ schedule: 'test.tick', run_at: schedule.next_run_at.toISOString() });
+
+    // Another instance reaching the same run does not enqueue it again
+    const duplicate = await jobQueue.enqueue('test.tick', {}, { uniqueKey: `schedule:test.tick:${schedule.next_run_at.getTime()}` });
+    expect(duplicate).toBeNull();
+
+    const names = jobQueue.listSchedules().map(entry => entry.name);
+    expect(names).toEqual(expect.arrayContaining([JOBS.CLEANUP_EXPIRED_AUTH, JOBS.PURGE_TRASH, JOBS.COMPLETE_ENDED_CAMPAIGNS]));
+
+    const from = new Date('2026-03-14T10:07:30Z');
+    expect(nextCronRun('15 * * * *', from).toISOString()).toBe('2026-03-14T10:15:00.000Z');
+    expect(nextCronRun('*/10 9-17 * * 1-5', new Date('2026-03-14T10:07:30Z')).toISOString()).toBe('2026-03-16T09:00:00.000Z');
+    expect(nextCronRun('0 0 1 1 *', from).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(nextCronRun('0 0 30 2 *', from)).toBeNull();
+    expect(() => parseCron('61 * * * *')).toThrow('Invalid cron minute');
+    expect(() => parseCron('* * *')).toThrow('expected 5 fields');
+  });
+
+  test('should send queued emails in the background and retry failed sends', async () => {
+    const sent = jest.spyOn(emailService, 'sendVerificationEmail')
+      .mockResolvedValueOnce({ success: false, error: 'SMTP unavailable' })
+      .mockResolvedValue({ success: true, messageId: 'm-1' });
+
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Queued Agent', email: 'queued@example.com', password: 'password123' });
+    expect(sent).not.toHaveBeenCalled();
+
+    // Only the user is queued; the link is created when the email is sent
+    const { jobs: [job] } = await jobQueue.listJobs({ name: JOBS.SEND_VERIFICATION_EMAIL });
+    expect(Object.keys(job.data).sort()).toEqual(['expires_at', 'user_id']);
+    expect(job.data.user_id).toBe(registered.body.data.user.id);
+
+    await jobQueue.drain();
+    const failed = await jobQueue.getJob(job.id);
+    expect(failed).toMatchObject({ status: 'waiting', attempts: 1, last_error: 'SMTP unavailable' });
+    expect(sent.mock.calls[0][0]).toMatchObject({ to: 'queued@example.com' });
+
+    await jobQueue.cancelJob(job.id);
+    await jobQueue.retryJob(job.id);
+    await jobQueue.drain();
+    expect(await jobQueue.getJob(job.id)).toMatchObject({ status: 'completed', result: { message_id: 'm-1' } });
+    expect(sent).toHaveBeenCalledTimes(2);
+
+    // The retry sent a fresh link, and the first one no longer works
+    const [first, second] = sent.mock.calls.map(([options]) => options.verifyToken);
+    expect(second).not.toBe(first);
+    const stale = await request(app).post('/api/v1/auth/verify-email').send({ token: first });
+    expect(stale.status).toBe(400);
+    const verified = await request(app).post('/api/v1/auth/verify-email').send({ token: second });
+    expect(verified.status).toBe(200);
+
+    // Nothing is sent once the link is no longer needed
+    await jobQueue.enqueue(JOBS.SEND_VERIFICATION_EMAIL, { user_id: registered.body.data.user.id, expires_at: new Date() });
+    await jobQueue.drain();
+    expect(sent).toHaveBeenCalledTimes(2);
+  });
+
+  test('should queue reset and invitation emails without their tokens', async () => {
+    const resetEmail = jest.spyOn(emailService, 'sendPasswordResetEmail').mockResolvedValue({ success: true });
+    const inviteEmail = jest.spyOn(emailService, 'sendWorkspaceInvitationEmail').mockResolvedValue({ success: true });
+    const emailEnabled = config.email.enabled;
+    config.email.enabled = true;
+
+    try {
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: 'user@example.com' });
+      await as(adminToken, 'post', '/workspaces/00000000-0000-4000-8000-000000000301/invitations')
+        .send({ email: 'invitee@example.com', role: 'member' });
+    } finally {
+      config.email.enabled = emailEnabled;
+    }
+
+    const { jobs } = await jobQueue.listJobs();
+    const queued = Object.fromEntries(jobs.map(job => [job.name, job.data]));
+    expect(queued[JOBS.SEND_PASSWORD_RESET_EMAIL]).toEqual({ user_id: USER_ID });
+    expect(Object.keys(queued[JOBS.SEND_INVITATION_EMAIL])).toEqual(['invitation_id']);
+
+    await jobQueue.drain();
+    expect(resetEmail.mock.calls[0][0]).toMatchObject({ to: 'user@example.com' });
+    const reset = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: resetEmail.mock.calls[0][0].resetToken, password: 'newpassword1', confirmPassword: 'newpassword1' });
+    expect(reset.status).toBe(200);
+
+    expect(inviteEmail.mock.calls[0][0]).toMatchObject({ to: 'invitee@example.com', role: 'member', workspaceName: expect.any(String) });
+    expect(inviteEmail.mock.calls[0][0].inviteToken).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  test('should clean up expired sessions and tokens', async () => {
+    await database.query(
+      `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, created_at)
+       VALUES ($1, $2, $3, NOW())`,
+      [USER_ID, 'expired-token-hash', new Date(Date.now() - 60000)]
+    );
+
+    const job = await jobQueue.enqueue(JOBS.CLEANUP_EXPIRED_AUTH);
+    await jobQueue.drain();
+
+    const done = await jobQueue.getJob(job.id);
+    expect(done.status).toBe('completed');
+    expect(done.result.password_reset_tokens).toBe(1);
+    const left = await database.query('SELECT id FROM password_reset_tokens WHERE token_hash = $1', ['expired-token-hash']);
+    expect(left.rows).toEqual([]);
+  });
+
+  test('should let admins view, retry and cancel jobs', async () => {
+    jobQueue.defineJob('test.broken', async () => { throw new Error('Broken'); }, { maxAttempts: 1 });
+    const dead = await jobQueue.enqueue('test.broken', { attempt: 'first' });
+    await jobQueue.drain();
+    const later = await jobQueue.enqueue('test.broken', {}, { delay: 60000 });
+
+    const denied = await as(userToken, 'get', '/jobs');
+    expect(denied.status).toBe(403);
+
+    const deadLetters = await as(adminToken, 'get', '/jobs?status=dead');
+    expect(deadLetters.status).toBe(200);
+    expect(deadLetters.body.data.jobs.map(job => job.id)).toEqual([dead.id]);
+    expect(deadLetters.body.data.counts).toMatchObject({ dead: 1, waiting: 1 });
+
+    const detail = await as(adminToken, 'get', `/jobs/${dead.id}`);
+    expect(detail.body.data).toMatchObject({ name: 'test.broken', data: { attempt: 'first' }, last_error: 'Broken' });
+
+    const secret = await jobQueue.enqueue('test.broken', { options: { to: 'a@example.com', resetToken: 'raw' } }, { delay: 60000 });
+    const listed = await as(adminToken, 'get', '/jobs?status=waiting');
+    const shown = listed.body.data.jobs.find(job => job.id === secret.id);
+    expect(shown.data).toEqual({ options: { to: 'a@example.com', resetToken: '[redacted]' } });
+    const secretDetail = await as(adminToken, 'get', `/jobs/${secret.id}`);
+    expect(secretDetail.body.data.data.options.resetToken).toBe('[redacted]');
+
+    const notDead = await as(adminToken, 'post', `/jobs/${later.id}/retry`);
+    expect(notDead.status).toBe(409);
+
+    const retried = await as(adminToken, 'post', `/jobs/${dead.id}/retry`);
+    expect(retried.status).toBe(200);
+    expect(retried.body.data).toMatchObject({ status: 'waiting', attempts: 0 });
+
+    const cancelled = await as(adminToken, 'post', `/jobs/${later.id}/cancel`);
+    expect(cancelled.body.data.status).toBe('cancelled');
+    const again = await as(adminToken, 'post', `/jobs/${later.id}/cancel`);
+    expect(again.status).toBe(409);
+
+    const schedules = await as(adminToken, 'get', '/jobs/schedules');
+    expect(schedules.body.data.find(entry => entry.name === JOBS.CLEANUP_EXPIRED_AUTH).cron).toBe(config.jobs.cleanup_schedule);
+
+    const missing = await as(adminToken, 'get', '/jobs/00000000-0000-4000-8000-000000009999');
+    expect(missing.status).toBe(404);
+  });
+});
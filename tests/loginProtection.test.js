@@ -0,0 +1,183 @@
+/**
+ * Login Protection Tests
+ * Tests for failed-attempt counters, progressive delays, account and IP
+ * lockouts, lockout emails, admin unlock and the attempt audit trail
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const config = require('../src/config');
+const counterStore = require('../src/services/counterStore');
+const emailService = require('../src/services/email');
+const jobQueue = require('../src/services/jobQueue');
+const passwordResetService = require('../src/services/passwordReset');
+
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+
+describe('Login Protection', () => {
+  const settings = config.loginProtection;
+  const originalDelay = { ...settings.delay };
+  let lockedEmail;
+
+  const login = (email, password) => request(app)
+    .post('/api/v1/auth/login')
+    .send({ email, password });
+
+  const failTimes = async (count, email = 'user@example.com') => {
+    for (let i = 0; i < count; i++) {
+      await login(email, 'not-the-password');
+    }
+    await jobQueue.drain();
+  };
+
+  const asAdmin = async (method, path) => {
+    const res = await login('admin@example.com', 'password123');
+    return request(app)[method](`/api/v1${path}`).set('Authorization', `Bearer ${res.body.data.token}`);
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    await counterStore.getStore().clear();
+    await jobQueue.clear();
+
+    // Keep the progressive delay out of the way unless a test measures it
+    Object.assign(settings.delay, { base_ms: 1, max_ms: 5 });
+    lockedEmail = jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    Object.assign(settings.delay, originalDelay);
+    jest.restoreAllMocks();
+  });
+
+  test('should lock an account after repeated failures and email its owner', async () => {
+    await failTimes(settings.account.max_failures);
+
+    const blocked = await login('user@example.com', 'password123');
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.error.code).toBe('TOO_MANY_REQUESTS');
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(14 * 60);
+
+    expect(lockedEmail).toHaveBeenCalledTimes(1);
+    expect(lockedEmail.mock.calls[0][0]).toMatchObject({ to: 'user@example.com', name: 'Demo User' });
+
+    // Other accounts are unaffected
+    const admin = await login('admin@example.com', 'password123');
+    expect(admin.status).toBe(200);
+  });
+
+  test('should lock unknown emails the same way as real ones', async () => {
+    await failTimes(settings.account.max_failures, 'nobody@example.com');
+
+    const blocked = await login('nobody@example.com', 'whatever');
+    expect(blocked.status).toBe(429);
+    expect(lockedEmail).not.toHaveBeenCalled();
+  });
+
+  test('should forget failures after a successful login', async () => {
+    await failTimes(settings.account.max_failures - 1);
+    expect((await login('user@example.com', 'password123')).status).toBe(200);
+
+    await failTimes(settings.account.max_failures - 1);
+    expect((await login('user@example.com', 'password123')).status).toBe(200);
+  });
+
+  test('should lengthen each lockout in a day', async () => {
+    await failTimes(settings.account.max_failures);
+
+    // Let the first lockout run out
+    await counterStore.getStore().delete('login:lock:account:user@example.com');
+    await failTimes(settings.account.max_failures);
+
+    const status = await asAdmin('get', `/users/${USER_ID}/login-attempts`);
+    const minutesLeft = (new Date(status.body.data.lockout.locked_until) - Date.now()) / 60000;
+    expect(minutesLeft).toBeGreaterThan(settings.account.lockout_minutes * 2 - 1);
+  });
+
+  test('should slow responses as failures pile up', async () => {
+    Object.assign(settings.delay, { base_ms: 300, max_ms: 1000 });
+    await failTimes(settings.delay.after_failures);
+
+    const started = Date.now();
+    await login('user@example.com', 'password123');
+    expect(Date.now() - started).toBeGreaterThanOrEqual(300);
+  });
+
+  test('should lock an IP address trying many accounts', async () => {
+    for (let i = 0; i < settings.ip.max_failures; i++) {
+      await login(`guess${i}@example.com`, 'password123');
+    }
+
+    const blocked = await login('user@example.com', 'password123');
+    expect(blocked.status).toBe(429);
+  });
+
+  test('should let admins review attempts and unlock an account', async () => {
+    await login('user@example.com', 'password123');
+    await failTimes(settings.account.max_failures);
+    await login('user@example.com', 'password123');
+
+    const review = await asAdmin('get', `/users/${USER_ID}/login-attempts`);
+    expect(review.status).toBe(200);
+    expect(review.body.data.lockout.locked).toBe(true);
+    const reasons = review.body.data.attempts.map(a => a.reason);
+    expect(reasons[0]).toBe('locked');
+    expect(reasons.filter(r => r === 'invalid_password')).toHaveLength(settings.account.max_failures);
+    expect(review.body.data.attempts.some(a => a.success)).toBe(true);
+
+    const unlocked = await asAdmin('post', `/users/${USER_ID}/unlock`);
+    expect(unlocked.status).toBe(200);
+    expect(unlocked.body.data.locked).toBe(false);
+    expect((await login('user@example.com', 'password123')).status).toBe(200);
+
+    const res = await login('user@example.com', 'password123');
+    const forbidden = await request(app)
+      .post(`/api/v1/users/${USER_ID}/unlock`)
+      .set('Authorization', `Bearer ${res.body.data.token}`);
+    expect(forbidden.status).toBe(403);
+  });
+
+  test('should limit password reset requests and lift lockouts on a successful reset', async () => {
+    for (let i = 0; i < settings.account.max_failures; i++) {
+      await request(app).post('/api/v1/auth/forgot-password').send({ email: 'user@example.com' });
+    }
+    const flooded = await request(app).post('/api/v1/auth/forgot-password').send({ email: 'user@example.com' });
+    expect(flooded.status).toBe(429);
+
+    const invalid = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: 'not-a-token', password: 'newpassword1', confirmPassword: 'newpassword1' });
+    expect(invalid.status).toBe(401);
+
+    await failTimes(settings.account.max_failures);
+    const { resetToken } = await passwordResetService.createResetRequest('user@example.com');
+    const reset = await request(app)
+      .post('/api/v1/auth/reset-password')
+      .send({ token: resetToken, password: 'newpassword1', confirmPassword: 'newpassword1' });
+    expect(reset.status).toBe(200);
+
+    expect((await login('user@example.com', 'newpassword1')).status).toBe(200);
+  });
+});
+
+describe('Counter Store', () => {
+  afterEach(() => {
+    jest.dontMock('redis');
+  });
+
+  test('should explain how to install redis when the package is missing', () => {
+    jest.isolateModules(() => {
+      jest.doMock('redis', () => {
+        const error = new Error("Cannot find module 'redis'");
+        error.code = 'MODULE_NOT_FOUND';
+        throw error;
+      });
+      const { createRedisStore } = require('../src/services/counterStore');
+
+      expect(() => createRedisStore({ host: 'localhost', port: 6379 }))
+        .toThrow('redis.enabled is set but the "redis" package is not installed; run npm install redis');
+    });
+  });
+});
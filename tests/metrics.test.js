@@ -0,0 +1,145 @@
+/**
+ * Influencer Metrics Service Unit Tests
+ * Runs against the in-memory database to exercise the history queries
+ */
+
+const database = require('../src/database');
+const metrics = require('../src/services/metrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Influencer Metrics Service', () => {
+  let annId;
+  let bobId;
+
+  async function createInfluencer(name, platform, followers, engagementRate) {
+    const result = await database.query(
+      `INSERT INTO influencers (name, platform, followers, engagement_rate)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+      [name, platform, followers, engagementRate]
+    );
+    return result.rows[0].id;
+  }
+
+  function daysAgo(days) {
+    return new Date(Date.now() - days * DAY_MS);
+  }
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    annId = await createInfluencer('Ann', 'instagram', 1000, 3);
+    bobId = await createInfluencer('Bob', 'tiktok', 5000, 5);
+  });
+
+  describe('metricsChanged', () => {
+    test('should detect follower or engagement changes only', () => {
+      const before = { followers: 1000, engagement_rate: '3.00' };
+
+      expect(metrics.metricsChanged(before, { followers: 1200 })).toBe(true);
+      expect(metrics.metricsChanged(before, { engagement_rate: 3.5 })).toBe(true);
+      expect(metrics.metricsChanged(before, { engagement_rate: 3 })).toBe(false);
+      expect(metrics.metricsChanged(before, { name: 'Renamed' })).toBe(false);
+    });
+  });
+
+  describe('recordSnapshots', () => {
+    test('should store backdated snapshots without touching current values', async () => {
+      const recorded = await metrics.recordSnapshots([
+        { influencer_id: annId, followers: 800, recorded_at: daysAgo(10) }
+      ], null);
+
+      expect(recorded).toHaveLength(1);
+      expect(recorded[0].source).toBe(metrics.SNAPSHOT_SOURCE.SNAPSHOT);
+      expect(recorded[0].engagement_rate).toBe('3.00');
+
+      const { rows } = await database.query('SELECT followers FROM influencers WHERE id = $1', [annId]);
+      expect(rows[0].followers).toBe(1000);
+    });
+
+    test('should update the influencer for current readings', async () => {
+      await metrics.recordSnapshots([{ influencer_id: annId, followers: 1300 }], null);
+
+      const { rows } = await database.query('SELECT followers FROM influencers WHERE id = $1', [annId]);
+      expect(rows[0].followers).toBe(1300);
+    });
+
+    test('should reject unknown influencers and record nothing', async () => {
+      await expect(metrics.recordSnapshots([
+        { influencer_id: annId, followers: 1300 },
+        { influencer_id: '00000000-0000-4000-8000-00000000ffff', followers: 1 }
+      ], null)).rejects.toThrow('not found');
+
+      const { rows } = await database.query('SELECT COUNT(*) FROM influencer_metrics');
+      expect(rows[0].count).toBe('0');
+    });
+  });
+
+  describe('captureSnapshots', () => {
+    test('should snapshot current values of active influencers', async () => {
+      await expect(metrics.captureSnapshots()).resolves.toBe(2);
+      await expect(metrics.captureSnapshots({ platform: 'tiktok' })).resolves.toBe(1);
+    });
+  });
+
+  describe('growth', () => {
+    beforeEach(async () => {
+      await metrics.recordSnapshot(annId, { followers: 800, engagement_rate: 2.5 }, { recordedAt: daysAgo(20) });
+      await metrics.recordSnapshot(annId, { followers: 900, engagement_rate: 2.75 }, { recordedAt: daysAgo(10) });
+      await metrics.recordSnapshot(annId, { followers: 1000, engagement_rate: 3 }, { recordedAt: daysAgo(1) });
+      await metrics.recordSnapshot(bobId, { followers: 5000, engagement_rate: 5 }, { recordedAt: daysAgo(10) });
+      await metrics.recordSnapshot(bobId, { followers: 5100, engagement_rate: 4.5 }, { recordedAt: daysAgo(1) });
+    });
+
+    test('should build an influencer history with deltas between points', async () => {
+      const history = await metrics.getInfluencerHistory(annId, { interval: 'day', from: daysAgo(30) });
+
+      expect(history.points.map(point => point.followers)).toEqual([800, 900, 1000]);
+      expect(history.points[0].followers_change).toBeNull();
+      expect(history.points[1]).toMatchObject({ followers_change: 100, growth_pct: 12.5, engagement_change: 0.25 });
+      expect(history.weekOverWeek).toMatchObject({ previous_followers: 900, followers_change: 100, growth_pct: 11.11 });
+    });
+
+    test('should limit history to the requested range', async () => {
+      const history = await metrics.getInfluencerHistory(annId, { interval: 'day', from: daysAgo(5) });
+
+      expect(history.points.map(point => point.followers)).toEqual([1000]);
+    });
+
+    test('should reject unsupported intervals', async () => {
+      await expect(metrics.getInfluencerHistory(annId, { interval: 'hour' })).rejects.toThrow('interval must be one of');
+    });
+
+    test('should carry values forward in platform curves', async () => {
+      const growth = await metrics.getPlatformGrowth({ interval: 'day', from: daysAgo(15) });
+
+      expect(growth.overall.map(point => point.total_followers)).toEqual([5900, 6100]);
+      expect(growth.overall[1]).toMatchObject({ followers_change: 200, influencer_count: 2 });
+
+      const instagram = growth.byPlatform.find(entry => entry.platform === 'instagram');
+      expect(instagram.points.map(point => point.total_followers)).toEqual([900, 1000]);
+    });
+
+    test('should rank the fastest-growing influencers', async () => {
+      const rankings = await metrics.getGrowthRankings({ days: 7 });
+
+      expect(rankings.map(row => row.name)).toEqual(['Ann', 'Bob']);
+      expect(rankings[0]).toMatchObject({ followers_change: 100, growth_pct: 11.11 });
+      expect(rankings[1]).toMatchObject({ followers_change: 100, growth_pct: 2, engagement_change: -0.5 });
+    });
+
+    test('should filter and sort rankings', async () => {
+      const rankings = await metrics.getGrowthRankings({ days: 15, sortBy: 'followers_change', platform: 'instagram' });
+
+      expect(rankings).toHaveLength(1);
+      expect(rankings[0]).toMatchObject({ name: 'Ann', previous_followers: 800, followers_change: 200 });
+    });
+
+    test('should total week-over-week change per platform', async () => {
+      const totals = await metrics.getPlatformWeekOverWeek();
+
+      expect(totals).toEqual(expect.arrayContaining([
+        expect.objectContaining({ platform: 'tiktok', followers: 5100, previous_followers: 5000, growth_pct: 2 })
+      ]));
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Migration Runner Unit Tests
+ * Tests for versioned migrations, the ledger and checksum verification
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { MemoryDatabase } = require('../src/db/memory');
+const migrator = require('../src/db/migrator');
+const { parseOptions } = require('../src/db/migrations');
+
+describe('Migration Runner', () => {
+  let directory;
+  let memory;
+  let db;
+  const silent = { log: () => {} };
+
+  function writeMigration(file, definition) {
+    fs.writeFileSync(
+      path.join(directory, file),
+      `module.exports = ${JSON.stringify(definition, null, 2)};\n`
+    );
+    jest.resetModules();
+  }
+
+  async function tableNames() {
+    const names = [];
+    for (const table of ['accounts', 'posts', 'schema_migrations']) {
+      try {
+        await memory.query(`SELECT 1 FROM ${table} LIMIT 1`);
+        names.push(table);
+      } catch (error) {
+        // Table does not exist
+      }
+    }
+    return names;
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    writeMigration('001_create_accounts.js', {
+      up: 'CREATE TABLE accounts (id SERIAL PRIMARY KEY, email TEXT NOT NULL)',
+      down: 'DROP TABLE accounts'
+    });
+    writeMigration('002_create_posts.js', {
+      up: [
+        'CREATE TABLE posts (id SERIAL PRIMARY KEY, account_id INTEGER REFERENCES accounts(id))',
+        'CREATE INDEX idx_posts_account_id ON posts(account_id)'
+      ],
+      down: ['DROP TABLE posts']
+    });
+    fs.writeFileSync(path.join(directory, 'README.md'), 'not a migration');
+
+    memory = new MemoryDatabase();
+    db = { getClient: () => memory.connect() };
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('loadMigrations', () => {
+    test('should load numbered files in version order', () => {
+      const migrations = migrator.loadMigrations(directory);
+
+      expect(migrations.map(m => m.version)).toEqual(['001', '002']);
+      expect(migrations[0].name).toBe('create_accounts');
+      expect(migrations[0].up).toHaveLength(1);
+      expect(migrations[0].checksum).toMatch(/^[0-9a-f]{64}$/);
+    });
+
+    test('should reject duplicate versions', () => {
+      writeMigration('2_other.js', { up: 'SELECT 1' });
+
+      expect(() => migrator.loadMigrations(directory)).toThrow(migrator.MigrationError);
+    });
+
+    test('should include the application migrations', () => {
+      const migrations = migrator.loadMigrations();
+
+      expect(migrations[0].version).toBe('001');
+      expect(migrations.every(m => m.down.length > 0)).toBe(true);
+    });
+  });
+
+  describe('up', () => {
+    test('should apply pending migrations and record them in the ledger', async () => {
+      const applied = await migrator.up(db, { directory, ...silent });
+
+      expect(applied).toEqual(['001', '002']);
+      expect(await tableNames()).toEqual(['accounts', 'posts', 'schema_migrations']);
+
+      const { rows } = await memory.query('SELECT version, name, checksum FROM schema_migrations ORDER BY version');
+      expect(rows.map(r => r.name)).toEqual(['create_accounts', 'create_posts']);
+      expect(rows[0].checksum).toBe(migrator.loadMigrations(directory)[0].checksum);
+    });
+
+    test('should skip migrations that were already applied', async () => {
+      await migrator.up(db, { directory, ...silent });
+
+      await expect(migrator.up(db, { directory, ...silent })).resolves.toEqual([]);
+    });
+
+    test('should stop at the requested version', async () => {
+      const applied = await migrator.up(db, { directory, to: '1', ...silent });
+
+      expect(applied).toEqual(['001']);
+      expect(await tableNames()).toEqual(['accounts', 'schema_migrations']);
+    });
+
+    test('should print SQL without changing anything in a dry run', async () => {
+      const log = jest.fn();
+      const applied = await migrator.up(db, { directory, dryRun: true, log });
+
+      expect(applied).toEqual(['001', '002']);
+      expect(log).toHaveBeenCalledWith('-- up: 001_create_accounts');
+      expect(log).toHaveBeenCalledWith('CREATE INDEX idx_posts_account_id ON posts(account_id);');
+      expect(await tableNames()).toEqual([]);
+    });
+
+    test('should roll back a failed migration and leave it pending', async () => {
+      writeMigration('003_broken.js', {
+        up: ['CREATE TABLE broken (id INTEGER)', 'SELECT * FROM missing_table'],
+        down: 'DROP TABLE broken'
+      });
+
+      await expect(migrator.up(db, { directory, ...silent })).rejects.toThrow('Migration 003_broken (up) failed');
+
+      const entries = await migrator.status(db, { directory });
+      expect(entries.map(e => e.state)).toEqual(['applied', 'applied', 'pending']);
+      await expect(memory.query('SELECT * FROM broken')).rejects.toMatchObject({ code: '42P01' });
+    });
+  });
+
+  describe('checksums', () => {
+    test('should refuse to run when an applied migration was edited', async () => {
+      await migrator.up(db, { directory, ...silent });
+      writeMigration('001_create_accounts.js', {
+        up: 'CREATE TABLE accounts (id SERIAL PRIMARY KEY, email TEXT)',
+        down: 'DROP TABLE accounts'
+      });
+
+      const entries = await migrator.status(db, { directory });
+      expect(entries[0].state).toBe('modified');
+      await expect(migrator.up(db, { directory, ...silent })).rejects.toThrow('001_create_accounts (modified)');
+      await expect(migrator.down(db, { directory, ...silent })).rejects.toThrow(migrator.MigrationError);
+    });
+
+    test('should report applied migrations whose file is missing', async () => {
+      await migrator.up(db, { directory, ...silent });
+      fs.unlinkSync(path.join(directory, '002_create_posts.js'));
+
+      const entries = await migrator.status(db, { directory });
+      expect(entries.map(e => `${e.version}:${e.state}`)).toEqual(['001:applied', '002:missing']);
+    });
+  });
+
+  describe('down, redo and reset', () => {
+    beforeEach(async () => {
+      await migrator.up(db, { directory, ...silent });
+    });
+
+    test('should roll back the latest migration by default', async () => {
+      const rolledBack = await migrator.down(db, { directory, ...silent });
+
+      expect(rolledBack).toEqual(['002']);
+      expect(await tableNames()).toEqual(['accounts', 'schema_migrations']);
+      const entries = await migrator.status(db, { directory });
+      expect(entries.map(e => e.state)).toEqual(['applied', 'pending']);
+    });
+
+    test('should roll back several steps newest first', async () => {
+      await expect(migrator.down(db, { directory, steps: 5, ...silent })).resolves.toEqual(['002', '001']);
+    });
+
+    test('should not change anything in a dry run', async () => {
+      const log = jest.fn();
+      await migrator.down(db, { directory, dryRun: true, log });
+
+      expect(log).toHaveBeenCalledWith('DROP TABLE posts;');
+      expect(await tableNames()).toEqual(['accounts', 'posts', 'schema_migrations']);
+    });
+
+    test('should redo the latest migration', async () => {
+      await memory.query('INSERT INTO accounts (email) VALUES ($1)', ['a@example.com']);
+      const redone = await migrator.redo(db, { directory, ...silent });
+
+      expect(redone).toEqual(['002']);
+      expect(await tableNames()).toEqual(['accounts', 'posts', 'schema_migrations']);
+      const { rows } = await memory.query('SELECT COUNT(*) FROM accounts');
+      expect(rows[0].count).toBe('1');
+    });
+
+    test('should refuse to roll back a migration without down statements', async () => {
+      writeMigration('003_irreversible.js', { up: 'ALTER TABLE accounts ADD COLUMN name TEXT' });
+      await migrator.up(db, { directory, ...silent });
+
+      await expect(migrator.down(db, { directory, ...silent })).rejects.toThrow('cannot be rolled back');
+    });
+
+    test('should drop every migrated table and the ledger on reset', async () => {
+      await migrator.reset(db, { directory, ...silent });
+
+      expect(await tableNames()).toEqual([]);
+    });
+  });
+
+  describe('parseOptions', () => {
+    test('should parse command line flags', () => {
+      expect(parseOptions(['--dry-run', '--steps=2', '--to=003'])).toEqual({ dryRun: true, steps: 2, to: '003' });
+    });
+
+    test('should reject invalid flags', () => {
+      expect(() => parseOptions(['--steps=0'])).toThrow('--steps must be a positive integer');
+      expect(() => parseOptions(['--to=latest'])).toThrow('--to must be a migration version number');
+      expect(() => parseOptions(['--force'])).toThrow('Unknown option: --force');
+    });
+  });
+});
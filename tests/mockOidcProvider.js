@@ -0,0 +1,112 @@
+/**
+ * Mock OpenID Connect Provider
+ * A local identity provider for the OIDC sign-in tests. It serves discovery,
+ * signing keys, an authorize endpoint that consents straight away for the
+ * current user, and a token endpoint that checks the client and PKCE.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const CLIENT_ID = 'influencerium-test';
+const CLIENT_SECRET = 'test-secret';
+
+/**
+ * Start a provider on a free local port
+ * @returns {Promise<object>} { issuer, clientId, clientSecret, setUser, setIdTokenClaims, authorize, close }
+ */
+async function startMockOidcProvider() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+  let user = { sub: 'mock-user-1', email: 'oidc@example.com', email_verified: true, name: 'Oidc User' };
+  let extraClaims = {};
+  let issuer;
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      code_challenge_methods_supported: ['S256'],
+      id_token_signing_alg_values_supported: ['RS256']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }] });
+  });
+
+  // Consent at once and send the browser back with a code
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method } = req.query;
+    if (client_id !== CLIENT_ID || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, { redirect_uri, nonce, code_challenge, user });
+    res.redirect(`${redirect_uri}?${new URLSearchParams({ code, state })}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+    const challenge = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+    if (grant_type !== 'authorization_code' || !grant || grant.redirect_uri !== redirect_uri || grant.code_challenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { iss: issuer, aud: CLIENT_ID, ...grant.user, nonce: grant.nonce, ...extraClaims },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, expiresIn: '5m' }
+    );
+    res.json({ access_token: crypto.randomBytes(16).toString('hex'), token_type: 'Bearer', id_token: idToken });
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  issuer = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    issuer,
+    clientId: CLIENT_ID,
+    clientSecret: CLIENT_SECRET,
+
+    // Who signs in at the provider next
+    setUser(claims) {
+      user = claims;
+    },
+
+    // Claims to force into ID tokens, such as a wrong audience
+    setIdTokenClaims(claims) {
+      extraClaims = claims;
+    },
+
+    // Follow an authorization URL as a browser would, returning the redirect's code and state
+    async authorize(authorizationUrl) {
+      const response = await fetch(authorizationUrl, { redirect: 'manual' });
+      const location = new URL(response.headers.get('location'));
+      return { code: location.searchParams.get('code'), state: location.searchParams.get('state') };
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockOidcProvider };
@@ -0,0 +1,61 @@
+/**
+ * Mock Webhook Receiver
+ * A local HTTP endpoint for the webhook tests. It records every request
+ * with its raw body and answers with a configurable status.
+ */
+
+const express = require('express');
+
+/**
+ * Start a receiver on a free local port
+ * @returns {Promise<object>} { url, requests, respondWith, waitFor, reset, close }
+ */
+async function startMockWebhookReceiver() {
+  const requests = [];
+  let status = 200;
+
+  const app = express();
+  app.use(express.text({ type: '*/*' }));
+
+  app.post('/hooks', (req, res) => {
+    requests.push({ headers: req.headers, body: req.body, json: JSON.parse(req.body) });
+    res.status(status).send(status < 300 ? 'ok' : 'receiver error');
+  });
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hooks`,
+    requests,
+
+    // Status to answer the next requests with
+    respondWith(code) {
+      status = code;
+    },
+
+    // Wait until at least `count` requests have arrived
+    async waitFor(count, timeoutMs = 5000) {
+      const deadline = Date.now() + timeoutMs;
+      while (requests.length < count) {
+        if (Date.now() > deadline) {
+          throw new Error(`Expected ${count} webhook request(s), received ${requests.length}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+      return requests;
+    },
+
+    reset() {
+      requests.length = 0;
+      status = 200;
+    },
+
+    close() {
+      return new Promise(resolve => server.close(resolve));
+    }
+  };
+}
+
+module.exports = { startMockWebhookReceiver };
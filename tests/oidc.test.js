@@ -0,0 +1,155 @@
+/**
+ * OpenID Connect Sign-In Tests
+ * Tests the authorization code + PKCE flow against a local mock provider,
+ * account creation and linking by verified email, and ID token checks
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const config = require('../src/config');
+const oidc = require('../src/services/oidc');
+const { startMockOidcProvider } = require('./mockOidcProvider');
+
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+
+describe('OIDC Sign-In', () => {
+  let provider;
+
+  const { as } = global.testHelpers;
+
+  // Sign in at the mock provider and hand the redirect to the API
+  const signInWithProvider = async () => {
+    const started = await request(app).get('/api/v1/auth/oidc/mock/authorize');
+    const { code, state } = await provider.authorize(started.body.data.authorization_url);
+    return request(app).post('/api/v1/auth/oidc/mock/callback').send({ code, state });
+  };
+
+  beforeAll(async () => {
+    provider = await startMockOidcProvider();
+    config.oidc.providers.mock = {
+      enabled: true,
+      name: 'Mock',
+      issuer: provider.issuer,
+      client_id: provider.clientId,
+      client_secret: provider.clientSecret,
+      redirect_uri: 'http://localhost:8080/oidc/callback',
+      scopes: ['openid', 'email', 'profile']
+    };
+  });
+
+  afterAll(async () => {
+    delete config.oidc.providers.mock;
+    oidc.clearCache();
+    await provider.close();
+  });
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    provider.setUser({ sub: 'mock-user-1', email: 'oidc@example.com', email_verified: true, name: 'Oidc User' });
+    provider.setIdTokenClaims({});
+  });
+
+  test('should list enabled providers and start with PKCE', async () => {
+    const providers = await request(app).get('/api/v1/auth/oidc/providers');
+    expect(providers.body.data).toEqual([{ id: 'mock', name: 'Mock' }]);
+
+    const started = await request(app).get('/api/v1/auth/oidc/mock/authorize');
+    expect(started.status).toBe(200);
+    const url = new URL(started.body.data.authorization_url);
+    expect(url.origin).toBe(provider.issuer);
+    expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    expect(url.searchParams.get('state')).toBe(started.body.data.state);
+    expect(url.searchParams.get('nonce')).toBeTruthy();
+
+    const unknown = await request(app).get('/api/v1/auth/oidc/google/authorize');
+    expect(unknown.status).toBe(404);
+  });
+
+  test('should create a verified user on first sign-in and reuse them after', async () => {
+    const first = await signInWithProvider();
+    expect(first.status).toBe(201);
+    expect(first.body.data.identity).toMatchObject({ provider: 'mock', created: true });
+    expect(first.body.data.email_verification_required).toBe(false);
+
+    const allowed = await as(first.body.data.token, 'get', '/influencers');
+    expect(allowed.status).toBe(200);
+
+    const second = await signInWithProvider();
+    expect(second.status).toBe(200);
+    expect(second.body.data.user.id).toBe(first.body.data.user.id);
+    expect(second.body.data.identity).toMatchObject({ linked: false, created: false });
+  });
+
+  test('should link an existing user by verified email', async () => {
+    provider.setUser({ sub: 'mock-user-2', email: 'User@Example.com', email_verified: true, name: 'Someone' });
+
+    const res = await signInWithProvider();
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(USER_ID);
+    expect(res.body.data.identity).toMatchObject({ linked: true, created: false });
+
+    const identities = await as(res.body.data.token, 'get', '/auth/oidc/identities');
+    expect(identities.body.data).toMatchObject([{ provider: 'mock', email: 'user@example.com' }]);
+  });
+
+  test('should not link an existing user by an unverified email', async () => {
+    provider.setUser({ sub: 'mock-user-3', email: 'user@example.com', email_verified: false });
+
+    const res = await signInWithProvider();
+    expect(res.status).toBe(409);
+  });
+
+  test('should take every credential away from whoever registered an unverified account', async () => {
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Squatter', email: 'oidc@example.com', password: 'password123' });
+    expect(registered.status).toBe(201);
+    const { token, refreshToken } = registered.body.data;
+
+    const res = await signInWithProvider();
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.id).toBe(registered.body.data.user.id);
+    expect(res.body.data.identity).toMatchObject({ linked: true, created: false });
+    expect(res.body.data.email_verification_required).toBe(false);
+
+    const oldSession = await as(token, 'get', '/auth/me');
+    expect(oldSession.status).toBe(401);
+    const refreshed = await request(app).post('/api/v1/auth/refresh').send({ refreshToken });
+    expect(refreshed.status).toBe(401);
+
+    const password = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'oidc@example.com', password: 'password123' });
+    expect(password.status).toBe(401);
+
+    const me = await as(res.body.data.token, 'get', '/auth/me');
+    expect(me.body.data).toMatchObject({ status: 'active' });
+    expect(me.body.data.email_verified_at).not.toBeNull();
+  });
+
+  test('should accept each sign-in state once', async () => {
+    const started = await request(app).get('/api/v1/auth/oidc/mock/authorize');
+    const { code, state } = await provider.authorize(started.body.data.authorization_url);
+
+    const done = await request(app).post('/api/v1/auth/oidc/mock/callback').send({ code, state });
+    expect(done.status).toBe(201);
+
+    const replay = await request(app).post('/api/v1/auth/oidc/mock/callback').send({ code, state });
+    expect(replay.status).toBe(401);
+    expect(replay.body.error.message).toBe('Invalid or expired sign-in. Start again');
+  });
+
+  test('should reject ID tokens for another client or sign-in', async () => {
+    provider.setIdTokenClaims({ aud: 'another-client' });
+    const wrongAudience = await signInWithProvider();
+    expect(wrongAudience.status).toBe(401);
+    expect(wrongAudience.body.error.message).toMatch(/^Invalid ID token/);
+
+    provider.setIdTokenClaims({ nonce: 'replayed' });
+    const wrongNonce = await signInWithProvider();
+    expect(wrongNonce.status).toBe(401);
+    expect(wrongNonce.body.error.message).toBe('Invalid ID token: nonce does not match');
+  });
+});
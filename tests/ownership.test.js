@@ -0,0 +1,115 @@
+/**
+ * Ownership Tests
+ * Tests for record-level access: own, shared, team and admin scopes on
+ * influencers, campaigns and data models
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
+describe('Record Ownership', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+
+    // The admin owns this influencer; the demo user owns the seeded one
+    await as(adminToken, 'post', '/influencers').send({ name: 'Admin Creator', username: 'admincreator', platform: 'tiktok' });
+  });
+
+  test('should scope lists and lookups to the records a user owns', async () => {
+    const influencers = await as(userToken, 'get', '/influencers');
+    expect(influencers.body.data.influencers.map(influencer => influencer.id)).toEqual([INFLUENCER_ID]);
+    expect(influencers.body.data.pagination.total).toBe(1);
+
+    const campaigns = await as(userToken, 'get', '/campaigns');
+    expect(campaigns.body.data.campaigns).toEqual([]);
+
+    const campaign = await as(userToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(campaign.status).toBe(404);
+
+    const budget = await as(userToken, 'get', `/campaigns/${CAMPAIGN_ID}/budget`);
+    expect(budget.status).toBe(404);
+
+    const adminView = await as(adminToken, 'get', '/influencers');
+    expect(adminView.body.data.pagination.total).toBe(2);
+  });
+
+  test('should give access to shared records until the share is removed', async () => {
+    const shared = await as(adminToken, 'post', `/campaigns/${CAMPAIGN_ID}/shares`).send({ user_id: USER_ID });
+    expect(shared.status).toBe(201);
+
+    const campaign = await as(userToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(campaign.status).toBe(200);
+
+    const list = await as(userToken, 'get', '/campaigns');
+    expect(list.body.data.campaigns.map(item => item.id)).toEqual([CAMPAIGN_ID]);
+
+    // Only the owner (or a moderator/admin) can pass it on
+    const reshare = await as(userToken, 'post', `/campaigns/${CAMPAIGN_ID}/shares`).send({ user_id: USER_ID });
+    expect(reshare.status).toBe(403);
+
+    const shares = await as(adminToken, 'get', `/campaigns/${CAMPAIGN_ID}/shares`);
+    expect(shares.body.data).toMatchObject([{ user_id: USER_ID, name: 'Demo User' }]);
+
+    await as(adminToken, 'delete', `/campaigns/${CAMPAIGN_ID}/shares/${USER_ID}`);
+    const revoked = await as(userToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(revoked.status).toBe(404);
+  });
+
+  test('should let moderators reach their team members\' records', async () => {
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Team Lead', email: 'lead@example.com', password: 'password123' });
+    const leadId = registered.body.data.user.id;
+    await as(adminToken, 'put', `/users/${leadId}/status`).send({ status: 'active' });
+    await as(adminToken, 'put', `/users/${leadId}/role`).send({ role: 'moderator' });
+    await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/members`).send({ user_id: leadId });
+
+    // Registration starts the lead in their own workspace, so switch to the shared one
+    const switched = await as(await login('lead@example.com'), 'post', `/workspaces/${WORKSPACE_ID}/switch`);
+    const leadToken = switched.body.data.token;
+    const beforeTeam = await as(leadToken, 'get', '/influencers');
+    expect(beforeTeam.body.data.influencers).toEqual([]);
+
+    const team = await as(adminToken, 'post', '/teams').send({ name: 'Creators' });
+    await as(adminToken, 'put', `/users/${leadId}/team`).send({ team_id: team.body.data.id });
+    await as(adminToken, 'put', `/users/${USER_ID}/team`).send({ team_id: team.body.data.id });
+
+    const teamView = await as(leadToken, 'get', '/influencers');
+    expect(teamView.body.data.influencers.map(influencer => influencer.id)).toEqual([INFLUENCER_ID]);
+
+    const stats = await as(leadToken, 'get', '/influencers/stats/overview');
+    expect(parseInt(stats.body.data.overview.total)).toBe(1);
+
+    const updated = await as(leadToken, 'put', `/influencers/${INFLUENCER_ID}`).send({ followers: 51000 });
+    expect(updated.status).toBe(200);
+  });
+
+  test('should not let users attach or overwrite records they cannot reach', async () => {
+    const campaign = await as(userToken, 'post', '/campaigns').send({ name: 'My Launch', platform: 'tiktok' });
+    const others = await as(adminToken, 'get', '/influencers?platform=tiktok');
+    const adminInfluencerId = others.body.data.influencers[0].id;
+
+    const attach = await as(userToken, 'post', `/campaigns/${campaign.body.data.id}/influencers`)
+      .send({ influencer_id: adminInfluencerId });
+    expect(attach.status).toBe(404);
+
+    const imported = await as(userToken, 'post', '/influencers/import?mode=upsert')
+      .send([{ name: 'Hijacked', username: 'admincreator', platform: 'tiktok' }]);
+    expect(imported.body.data.summary).toMatchObject({ updated: 0, failed: 1 });
+  });
+});
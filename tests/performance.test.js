@@ -0,0 +1,140 @@
+/**
+ * Campaign Performance Tests
+ * Tests for cost KPIs, ROI, time-bucketed timelines and campaign comparisons
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const { computeKpis, buildTimeline } = require('../src/services/performance');
+
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+
+describe('Performance Calculations', () => {
+  test('should derive cost KPIs and ROI from results', () => {
+    const kpis = computeKpis({ impressions: 40000, engagements: 2000, clicks: 800, conversions: 40, revenue: 6000 }, 4000);
+
+    expect(kpis).toEqual({
+      engagement_rate: 5,
+      click_through_rate: 2,
+      conversion_rate: 5,
+      cpm: 100,
+      cpe: 2,
+      cpc: 5,
+      cpa: 100,
+      roi: 50
+    });
+  });
+
+  test('should leave ratios empty when there is nothing to divide by', () => {
+    const kpis = computeKpis({ impressions: 0, engagements: 0, clicks: 0, conversions: 0, revenue: 100 }, 0);
+
+    expect(Object.values(kpis).every(value => value === null)).toBe(true);
+  });
+
+  test('should bucket results into Monday-based weeks across the campaign', () => {
+    const event = (at, revenue) => ({
+      at: new Date(at), impressions: 100, engagements: 10, clicks: 1, conversions: 0, revenue
+    });
+
+    const timeline = buildTimeline(
+      [event('2024-01-03T12:00:00Z', 50), event('2024-01-08T00:00:00Z', 100), event('2024-03-01T00:00:00Z', 999)],
+      { from: new Date('2024-01-03'), to: new Date('2024-01-14'), interval: 'week' },
+      100
+    );
+
+    expect(timeline.map(point => point.period.toISOString().slice(0, 10))).toEqual(['2024-01-01', '2024-01-08']);
+    expect(timeline.map(point => point.revenue_to_date)).toEqual([50, 150]);
+    expect(timeline[1]).toMatchObject({ impressions: 100, engagement_rate: 10, roi_to_date: 50 });
+  });
+});
+
+describe('Performance Endpoints', () => {
+  let token;
+
+  const api = (method, path) => request(app)[method](`/api/v1${path}`)
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    const login = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'admin@example.com', password: 'password123' });
+    token = login.body.data.token;
+
+    // One published reel and one externally tracked data point
+    const deliverables = `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}/deliverables`;
+    const created = await api('post', deliverables).send({ type: 'reel' });
+    await api('post', `${deliverables}/${created.body.data.id}/submit`).send({ content_url: 'https://instagram.com/p/1' });
+    await api('put', `${deliverables}/${created.body.data.id}/metrics`)
+      .send({ views: 20000, likes: 900, comments: 100, clicks: 400, conversions: 20, revenue: 3000 });
+
+    const model = await database.query(
+      `INSERT INTO data_models (name, source, schema) VALUES ('Paid Social', 'custom', '{"fields": []}') RETURNING id`
+    );
+    await database.query('INSERT INTO model_data (model_id, data) VALUES ($1, $2)', [
+      model.rows[0].id,
+      JSON.stringify({ campaign_id: CAMPAIGN_ID, impressions: 10000, clicks: 100, revenue: 1000, date: '2024-06-15' })
+    ]);
+
+    await api('put', `/campaigns/${CAMPAIGN_ID}`).send({ start_date: '2024-06-01', end_date: '2024-07-31' });
+  });
+
+  test('should report reach, results, cost KPIs and ROI for a campaign', async () => {
+    const res = await api('get', `/analytics/campaigns/${CAMPAIGN_ID}/performance?interval=month`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({
+      currency: 'USD',
+      cost_basis: 'budget',
+      cost: 5000,
+      reach: 50000,
+      impressions: 30000,
+      engagements: 1000,
+      clicks: 500,
+      conversions: 20,
+      revenue: 4000,
+      cpm: 166.67,
+      cpe: 5,
+      cpc: 10,
+      cpa: 250,
+      roi: -20
+    });
+    expect(res.body.data.timeline.map(point => point.period)).toEqual([
+      '2024-06-01T00:00:00.000Z', '2024-07-01T00:00:00.000Z'
+    ]);
+    expect(res.body.data.timeline[0]).toMatchObject({ impressions: 10000, revenue: 1000 });
+  });
+
+  test('should measure ROI against committed spend on request', async () => {
+    await api('put', `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}`).send({ agreed_fee: 2000 });
+
+    const res = await api('get', `/analytics/campaigns/${CAMPAIGN_ID}/performance?costBasis=spend`);
+
+    expect(res.body.data).toMatchObject({ spend: 2000, cost: 2000, roi: 100, cpc: 4 });
+  });
+
+  test('should compare campaigns and platforms in the base currency', async () => {
+    await api('post', '/campaigns').send({ name: 'Euro Launch', platform: 'tiktok', budget: 1000, currency: 'EUR' });
+
+    const res = await api('get', '/analytics/campaigns/performance?sortBy=cost&sortOrder=asc');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.campaigns.map(campaign => [campaign.name, campaign.cost])).toEqual([
+      ['Euro Launch', 1080],
+      ['Summer Campaign 2024', 5000]
+    ]);
+    expect(res.body.data.platforms.find(platform => platform.platform === 'instagram'))
+      .toMatchObject({ campaign_count: 1, revenue: 4000, roi: -20 });
+    expect(res.body.data.totals).toMatchObject({ cost: 6080, revenue: 4000 });
+  });
+
+  test('should 404 for unknown campaigns', async () => {
+    const res = await api('get', '/analytics/campaigns/00000000-0000-4000-8000-00000000ffff/performance');
+
+    expect(res.status).toBe(404);
+  });
+});
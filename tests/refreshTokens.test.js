@@ -0,0 +1,134 @@
+/**
+ * Refresh Token Tests
+ * Tests for rotating refresh tokens, reuse detection and session revocation
+ */
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { app } = require('../src/index');
+const database = require('../src/database');
+
+describe('Refresh Tokens', () => {
+  let session;
+
+  const login = async (email = 'user@example.com') => {
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password: 'password123' });
+    return res.body.data;
+  };
+
+  const refresh = (refreshToken) => request(app)
+    .post('/api/v1/auth/refresh')
+    .send({ refreshToken });
+
+  const me = (token) => request(app)
+    .get('/api/v1/auth/me')
+    .set('Authorization', `Bearer ${token}`);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    session = await login();
+  });
+
+  test('should issue an opaque refresh token bound to a new session', async () => {
+    expect(session.refreshToken.split('.')).toHaveLength(1);
+    expect(jwt.decode(session.token).sid).toBe(session.session.id);
+
+    const stored = await database.query('SELECT token_hash FROM refresh_tokens');
+    expect(stored.rows).toHaveLength(1);
+    expect(stored.rows[0].token_hash).not.toBe(session.refreshToken);
+  });
+
+  test('should rotate the refresh token on every use', async () => {
+    const first = await refresh(session.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.data.refreshToken).not.toBe(session.refreshToken);
+    expect(jwt.decode(first.body.data.token).sid).toBe(session.session.id);
+
+    const second = await refresh(first.body.data.refreshToken);
+    expect(second.status).toBe(200);
+
+    const profile = await me(second.body.data.token);
+    expect(profile.status).toBe(200);
+  });
+
+  test('should revoke the whole session when a used refresh token is replayed', async () => {
+    const rotated = await refresh(session.refreshToken);
+
+    const replay = await refresh(session.refreshToken);
+    expect(replay.status).toBe(401);
+    expect(replay.body.error.message).toMatch(/already been used/);
+
+    // The legitimate holder's newer tokens die with the session
+    const next = await refresh(rotated.body.data.refreshToken);
+    expect(next.status).toBe(401);
+    expect(next.body.error.message).toBe('Session has been revoked');
+
+    const profile = await me(rotated.body.data.token);
+    expect(profile.status).toBe(401);
+
+    const stored = await database.query('SELECT status, revoked_reason FROM sessions WHERE id = $1', [session.session.id]);
+    expect(stored.rows[0]).toMatchObject({ status: 'revoked', revoked_reason: 'refresh_token_reuse' });
+  });
+
+  test('should invalidate outstanding tokens on logout', async () => {
+    const other = await login();
+
+    const logout = await request(app)
+      .post('/api/v1/auth/logout')
+      .set('Authorization', `Bearer ${session.token}`);
+    expect(logout.status).toBe(200);
+
+    expect((await me(session.token)).status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+
+    // Other devices stay signed in
+    expect((await me(other.token)).status).toBe(200);
+  });
+
+  test('should invalidate tokens when a session is revoked from another device', async () => {
+    const other = await login();
+
+    const revoked = await request(app)
+      .delete(`/api/v1/auth/sessions/${session.session.id}`)
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(revoked.status).toBe(200);
+    expect((await me(session.token)).status).toBe(401);
+    expect((await refresh(session.refreshToken)).status).toBe(401);
+
+    const everywhere = await request(app)
+      .delete('/api/v1/auth/sessions/all')
+      .set('Authorization', `Bearer ${other.token}`);
+    expect(everywhere.status).toBe(200);
+    expect((await me(other.token)).status).toBe(401);
+  });
+
+  test('should keep the switched workspace across refreshes', async () => {
+    const admin = await login('admin@example.com');
+    const brand = await request(app)
+      .post('/api/v1/workspaces')
+      .set('Authorization', `Bearer ${admin.token}`)
+      .send({ name: 'Brand B' });
+
+    await request(app)
+      .post(`/api/v1/workspaces/${brand.body.data.id}/switch`)
+      .set('Authorization', `Bearer ${admin.token}`);
+
+    const refreshed = await refresh(admin.refreshToken);
+    expect(jwt.decode(refreshed.body.data.token).workspaceId).toBe(brand.body.data.id);
+  });
+
+  test('should reject unknown and expired refresh tokens', async () => {
+    const unknown = await refresh('not-a-real-token');
+    expect(unknown.status).toBe(401);
+    expect(unknown.body.error.message).toBe('Invalid refresh token');
+
+    await database.query("UPDATE sessions SET expires_at = NOW() - INTERVAL '1 day' WHERE id = $1", [session.session.id]);
+    const expired = await refresh(session.refreshToken);
+    expect(expired.status).toBe(401);
+    expect(expired.body.error.message).toBe('Refresh token has expired');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Custom Role Tests
+ * Tests for database-backed roles, inheritance, permission grants and
+ * revokes, per-user overrides and the cache behind permission lookups
+ */
+
+const database = require('../src/database');
+const roles = require('../src/services/roles');
+const { ROLE_PERMISSIONS } = require('../src/middleware/rbac');
+
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+
+describe('Custom Roles', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    roles.clearCache();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  test('should seed the built-in roles with their default permissions', async () => {
+    const denied = await as(userToken, 'get', '/roles');
+    expect(denied.status).toBe(403);
+
+    const res = await as(adminToken, 'get', '/users/roles/list');
+    expect(res.status).toBe(200);
+    expect(res.body.data.map(role => role.name)).toEqual(['user', 'moderator', 'admin', 'super_admin']);
+    for (const role of res.body.data) {
+      expect(role.permissions.sort()).toEqual([...ROLE_PERMISSIONS[role.name]].sort());
+    }
+
+    const moderator = await as(adminToken, 'get', '/roles/moderator');
+    expect(moderator.body.data).toMatchObject({ base_role: 'user', is_system: true });
+    expect(moderator.body.data.grants).toHaveLength(4);
+  });
+
+  test('should create a role that inherits, grants and revokes', async () => {
+    const created = await as(adminToken, 'post', '/roles').send({
+      name: 'analyst',
+      description: 'Reads everything, exports reports',
+      base_role: 'user',
+      permissions: ['analytics:export']
+    });
+    expect(created.status).toBe(201);
+    expect(created.body.data.permissions).toContain('analytics:export');
+
+    const revoked = await as(adminToken, 'put', '/roles/analyst/permissions/influencer:create').send({ granted: false });
+    expect(revoked.body.data.revokes).toEqual(['influencer:create']);
+
+    const assigned = await as(adminToken, 'put', `/users/${USER_ID}/role`).send({ role: 'analyst' });
+    expect(assigned.status).toBe(200);
+
+    const exported = await as(userToken, 'get', '/analytics/export/csv');
+    expect(exported.status).toBe(200);
+    const create = await as(userToken, 'post', '/influencers').send({ name: 'New Creator', platform: 'tiktok' });
+    expect(create.status).toBe(403);
+
+    const manifest = await as(adminToken, 'get', '/users/roles/routes');
+    const exportRoute = manifest.body.data.find(route => route.path === '/analytics/export/:format');
+    expect(exportRoute.roles).toEqual(['moderator', 'admin', 'super_admin', 'analyst']);
+
+    const inUse = await as(adminToken, 'delete', '/roles/analyst');
+    expect(inUse.status).toBe(409);
+  });
+
+  test('should apply role edits to the next request', async () => {
+    const before = await as(userToken, 'get', '/analytics/export/csv');
+    expect(before.status).toBe(403);
+
+    await as(adminToken, 'put', '/roles/user/permissions/analytics:export').send({ granted: true });
+    const granted = await as(userToken, 'get', '/analytics/export/csv');
+    expect(granted.status).toBe(200);
+
+    // Moderators inherit from user, so they see the grant too
+    const moderator = await as(adminToken, 'get', '/roles/moderator');
+    expect(moderator.body.data.permissions).toContain('analytics:export');
+
+    const reset = await as(adminToken, 'delete', '/roles/user/permissions/analytics:export');
+    expect(reset.status).toBe(200);
+    const after = await as(userToken, 'get', '/analytics/export/csv');
+    expect(after.status).toBe(403);
+  });
+
+  test('should apply per-user overrides on top of the role', async () => {
+    const revoked = await as(adminToken, 'put', `/users/${USER_ID}/permissions/influencer:read`).send({ granted: false });
+    expect(revoked.body.data).toMatchObject({ granted: [], revoked: ['influencer:read'] });
+
+    const list = await as(userToken, 'get', '/influencers');
+    expect(list.status).toBe(403);
+
+    const own = await as(userToken, 'get', `/users/${USER_ID}/permissions`);
+    expect(own.body.data.role).toBe('user');
+    expect(own.body.data.permissions).not.toContain('influencer:read');
+    expect(own.body.data.overrides.revoked).toEqual(['influencer:read']);
+
+    await as(adminToken, 'delete', `/users/${USER_ID}/permissions/influencer:read`);
+    const restored = await as(userToken, 'get', '/influencers');
+    expect(restored.status).toBe(200);
+  });
+
+  test('should refuse escalation, built-in role changes and inheritance cycles', async () => {
+    const notHeld = await as(adminToken, 'put', `/users/${USER_ID}/permissions/system:config`).send({});
+    expect(notHeld.status).toBe(403);
+
+    const superBase = await as(adminToken, 'post', '/roles').send({ name: 'root', base_role: 'super_admin' });
+    expect(superBase.status).toBe(403);
+
+    const superAdmin = await as(adminToken, 'put', '/roles/super_admin/permissions/user:read').send({ granted: false });
+    expect(superAdmin.status).toBe(403);
+
+    const builtIn = await as(adminToken, 'delete', '/roles/moderator');
+    expect(builtIn.status).toBe(409);
+
+    const unknown = await as(adminToken, 'put', '/roles/user/permissions/coffee:make').send({});
+    expect(unknown.status).toBe(400);
+
+    await as(adminToken, 'post', '/roles').send({ name: 'junior', base_role: 'user' });
+    await as(adminToken, 'post', '/roles').send({ name: 'senior', base_role: 'junior' });
+    const cycle = await as(adminToken, 'put', '/roles/junior').send({ base_role: 'senior' });
+    expect(cycle.status).toBe(400);
+
+    const parent = await as(adminToken, 'delete', '/roles/junior');
+    expect(parent.status).toBe(409);
+    await as(adminToken, 'delete', '/roles/senior');
+    const deleted = await as(adminToken, 'delete', '/roles/junior');
+    expect(deleted.status).toBe(200);
+  });
+});
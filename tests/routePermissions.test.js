@@ -0,0 +1,109 @@
+/**
+ * Route Permission Tests
+ * Checks every guarded route against the permission manifest and the
+ * permission middleware against real requests
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const { ROUTE_PERMISSIONS } = require('../src/middleware/routePermissions');
+
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const createShareRoutes = require('../src/routes/shares');
+
+// Routers whose routes the manifest covers, with the path each is mounted at
+const ROUTERS = [
+  ['/influencers', require('../src/routes/influencers')],
+  ['/campaigns', require('../src/routes/campaigns')],
+  ['/campaigns/:id/influencers/:influencerId/deliverables', require('../src/routes/deliverables')],
+  ['/campaigns/:id/expenses', require('../src/routes/expenses')],
+  ['/models', require('../src/routes/models')],
+  ['/analytics', require('../src/routes/analytics')],
+  ['/influencers/:id/shares', createShareRoutes('influencer')],
+  ['/campaigns/:id/shares', createShareRoutes('campaign')],
+  ['/models/:id/shares', createShareRoutes('model')]
+];
+
+/**
+ * The permissions each router actually enforces, keyed like the manifest
+ */
+function enforcedPermissions() {
+  const enforced = {};
+
+  ROUTERS.forEach(([prefix, router]) => {
+    router.stack.filter(layer => layer.route).forEach(layer => {
+      const path = prefix + (layer.route.path === '/' ? '' : layer.route.path);
+      const guard = layer.route.stack.find(handler => handler.handle.permissions);
+
+      Object.keys(layer.route.methods).forEach(method => {
+        enforced[`${method.toUpperCase()} ${path}`] = guard ? guard.handle.permissions.join(', ') : null;
+      });
+    });
+  });
+
+  return enforced;
+}
+
+describe('Route Permission Manifest', () => {
+  test('should match the permission every route enforces', () => {
+    expect(enforcedPermissions()).toEqual(ROUTE_PERMISSIONS);
+  });
+});
+
+describe('Route Permission Enforcement', () => {
+  const { as, login } = global.testHelpers;
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+  });
+
+  test('should reject requests without a token with 401', async () => {
+    const res = await request(app).get('/api/v1/campaigns');
+    expect(res.status).toBe(401);
+  });
+
+  test('should stop regular users from deleting records, even their own', async () => {
+    const token = await login('user@example.com');
+
+    const denied = await as(token, 'delete', `/campaigns/${CAMPAIGN_ID}`);
+    expect(denied.status).toBe(403);
+    expect(denied.body.error.message).toContain('campaign:delete');
+
+    const deniedOwn = await as(token, 'delete', `/influencers/${INFLUENCER_ID}`);
+    expect(deniedOwn.status).toBe(403);
+
+    const allowed = await as(token, 'get', `/influencers/${INFLUENCER_ID}`);
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should gate analytics exports behind analytics:export', async () => {
+    const userToken = await login('user@example.com');
+    const denied = await as(userToken, 'get', '/analytics/export/csv');
+    expect(denied.status).toBe(403);
+
+    const adminToken = await login('admin@example.com');
+    const allowed = await as(adminToken, 'get', '/analytics/export/csv');
+    expect(allowed.status).toBe(200);
+  });
+
+  test('should list the manifest for admins only', async () => {
+    const userToken = await login('user@example.com');
+    const denied = await as(userToken, 'get', '/users/roles/routes');
+    expect(denied.status).toBe(403);
+
+    const adminToken = await login('admin@example.com');
+    const res = await as(adminToken, 'get', '/users/roles/routes');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toHaveLength(Object.keys(ROUTE_PERMISSIONS).length);
+    expect(res.body.data).toContainEqual({
+      method: 'DELETE',
+      path: '/campaigns/:id',
+      permission: 'campaign:delete',
+      roles: ['moderator', 'admin', 'super_admin']
+    });
+  });
+});
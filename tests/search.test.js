@@ -0,0 +1,183 @@
+/**
+ * Influencer Search Tests
+ * Tests typo-tolerant full-text search, ranking, highlighting, facet counts
+ * and filters, and that search only covers the influencers a user may access
+ */
+
+const database = require('../src/database');
+const config = require('../src/config');
+const { editDistance, highlight, tokenize } = require('../src/services/search');
+
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+
+const INFLUENCERS = [
+  {
+    name: 'Fiona Fitness', username: 'fionafit', platform: 'instagram', followers: 900000, engagement_rate: 4.2,
+    category: 'fitness', location: 'London', tags: ['workout', 'nutrition'],
+    bio: 'Certified personal trainer sharing daily workouts, meal prep ideas and honest reviews of <gym> gear from around the world.'
+  },
+  {
+    name: 'Fitness Frank', username: 'frankfit', platform: 'tiktok', followers: 12000, engagement_rate: 2.1,
+    category: 'fitness', location: 'Berlin', tags: ['workout']
+  },
+  {
+    name: 'Carla Cooks', username: 'carlacooks', platform: 'youtube', followers: 450000, engagement_rate: 6.5,
+    category: 'food', location: 'Montréal', tags: ['recipes', 'vegan'], bio: 'Plant-based recipes for busy weeknights'
+  },
+  {
+    name: 'Travel Tom', username: 'tomtravels', platform: 'instagram', followers: 30000, engagement_rate: 3.3,
+    category: 'travel', location: 'London', tags: ['photography'], bio: 'Budget travel and street food tours'
+  }
+];
+
+describe('Influencer Search', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  const search = (token, params) => as(token, 'get', `/influencers/search/query?${new URLSearchParams(params)}`);
+  const names = res => res.body.data.results.map(result => result.name);
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+
+    for (const influencer of INFLUENCERS) {
+      const created = await as(adminToken, 'post', '/influencers').send(influencer);
+      expect(created.status).toBe(201);
+    }
+  });
+
+  test('should match words across fields, tolerating typos, accents and partial words', async () => {
+    const bio = await search(adminToken, { q: 'weeknight recipes' });
+    expect(bio.status).toBe(200);
+    expect(names(bio)).toEqual(['Carla Cooks']);
+
+    const typo = await search(adminToken, { q: 'fitnes londn' });
+    expect(names(typo)).toEqual(['Fiona Fitness']);
+
+    const swapped = await search(adminToken, { q: 'carla ocoks' });
+    expect(names(swapped)).toEqual(['Carla Cooks']);
+
+    const accent = await search(adminToken, { q: 'montreal' });
+    expect(names(accent)).toEqual(['Carla Cooks']);
+
+    const partial = await search(adminToken, { q: 'creator' });
+    expect(names(partial)).toEqual(['Demo Creator']);
+
+    const strict = await search(adminToken, { q: 'fitnes', fuzzy: false });
+    expect(names(strict)).toEqual(['Fiona Fitness', 'Fitness Frank']);
+    const noTypos = await search(adminToken, { q: 'londn', fuzzy: false });
+    expect(names(noTypos)).toEqual([]);
+
+    // Every word must match
+    const both = await search(adminToken, { q: 'fitness vegan' });
+    expect(names(both)).toEqual([]);
+  });
+
+  test('should rank by relevance blended with popularity and highlight matches', async () => {
+    const res = await search(adminToken, { q: 'workout' });
+    expect(names(res)).toEqual(['Fiona Fitness', 'Fitness Frank']);
+    const [fiona, frank] = res.body.data.results;
+    expect(fiona.score).toBeGreaterThan(frank.score);
+    expect(fiona.tags).toEqual(['workout', 'nutrition']);
+    expect(fiona.highlights.tags).toEqual(['<mark>workout</mark>']);
+    expect(fiona.highlights.bio).toMatch(/^Certified personal trainer sharing daily <mark>workouts<\/mark>, meal prep .+…$/);
+    expect(fiona.highlights.bio).not.toContain('<gym>');
+
+    // Equally relevant matches rank by audience
+    const name = await search(adminToken, { q: 'fitness' });
+    expect(names(name)).toEqual(['Fiona Fitness', 'Fitness Frank']);
+    const travel = await search(adminToken, { q: 'travel' });
+    expect(names(travel)).toEqual(['Travel Tom']);
+    expect(travel.body.data.results[0].highlights).toMatchObject({
+      name: '<mark>Travel</mark> Tom',
+      category: '<mark>travel</mark>',
+      bio: 'Budget <mark>travel</mark> and street food tours'
+    });
+
+    expect(highlight('Tom & <b>Jerry</b>', new Set(['jerry']))).toBe('Tom &amp; &lt;b&gt;<mark>Jerry</mark>&lt;/b&gt;');
+    expect(tokenize('Café-Racer_99')).toEqual(['cafe', 'racer', '99']);
+    expect(editDistance('ocoks', 'cooks', 2)).toBe(1);
+    expect(editDistance('kitten', 'sitting', 1)).toBe(2);
+  });
+
+  test('should count facets with every other filter applied', async () => {
+    const res = await search(adminToken, { q: 'london', platform: 'instagram' });
+    expect(names(res)).toEqual(['Fiona Fitness', 'Travel Tom']);
+    expect(res.body.data.pagination).toEqual({ page: 1, limit: 10, total: 2, pages: 1 });
+    expect(res.body.data.facets.platform).toEqual([{ value: 'instagram', count: 2 }]);
+
+    // The platform filter applies to every matching field, not only the last one
+    const food = await search(adminToken, { q: 'food', platform: 'instagram' });
+    expect(names(food)).toEqual(['Travel Tom']);
+    expect(food.body.data.facets.platform).toEqual([
+      { value: 'instagram', count: 1 },
+      { value: 'youtube', count: 1 }
+    ]);
+    expect(food.body.data.facets.category).toEqual([{ value: 'travel', count: 1 }]);
+
+    const filtered = await search(adminToken, { q: 'workout', location: 'berlin' });
+    expect(names(filtered)).toEqual(['Fitness Frank']);
+    expect(filtered.body.data.facets.location).toEqual([
+      { value: 'Berlin', count: 1 },
+      { value: 'London', count: 1 }
+    ]);
+
+    const paged = await search(adminToken, { q: 'fit', limit: 1, page: 2 });
+    expect(names(paged)).toEqual(['Fitness Frank']);
+    expect(paged.body.data.pagination).toMatchObject({ total: 2, pages: 2 });
+  });
+
+  test('should filter and prefilter in the database before the candidate limit, and report truncation', async () => {
+    const maxCandidates = config.search.max_candidates;
+    config.search.max_candidates = 1;
+
+    try {
+      // Only influencers the words could match count toward the limit
+      const travel = await search(adminToken, { q: 'travel', fuzzy: false });
+      expect(names(travel)).toEqual(['Travel Tom']);
+      expect(travel.body.data.truncated).toBe(false);
+
+      const accent = await search(adminToken, { q: 'montreal', fuzzy: false });
+      expect(names(accent)).toEqual(['Carla Cooks']);
+
+      // Filters apply before the limit; the unfiltered facet count is cut short
+      const filtered = await search(adminToken, { q: 'fitness', platform: 'tiktok' });
+      expect(names(filtered)).toEqual(['Fitness Frank']);
+      expect(filtered.body.data.facets.platform).toEqual([{ value: 'instagram', count: 1 }]);
+      expect(filtered.body.data.truncated).toBe(true);
+
+      const many = await search(adminToken, { q: 'fit' });
+      expect(names(many)).toEqual(['Fiona Fitness']);
+      expect(many.body.data.truncated).toBe(true);
+    } finally {
+      config.search.max_candidates = maxCandidates;
+    }
+  });
+
+  test('should only search influencers the user may access and reject short queries', async () => {
+    const own = await search(userToken, { q: 'demo' });
+    expect(names(own)).toEqual(['Demo Creator']);
+    const others = await search(userToken, { q: 'fitness' });
+    expect(names(others)).toEqual([]);
+
+    await as(adminToken, 'delete', `/influencers/${INFLUENCER_ID}`);
+    const trashed = await search(adminToken, { q: 'demo' });
+    expect(names(trashed)).toEqual([]);
+
+    const short = await search(adminToken, { q: 'a' });
+    expect(short.status).toBe(400);
+    expect(short.body.error.message).toBe('Search query must be at least 2 characters');
+
+    const missing = await as(adminToken, 'get', '/influencers/search/query');
+    expect(missing.status).toBe(400);
+
+    const badPlatform = await search(adminToken, { q: 'demo', platform: 'myspace' });
+    expect(badPlatform.status).toBe(400);
+  });
+});
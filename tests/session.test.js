@@ -17,6 +17,7 @@ jest.mock('../src/config', () => ({
 // Import modules under test
 const { 
   SESSION_STATUS,
+  durationToMs,
   generateSessionToken,
   createSession,
   validateSession,
@@ -42,6 +43,22 @@ describe('Session Service', () => {
     });
   });
 
+  describe('durationToMs', () => {
+    test('should convert duration strings', () => {
+      expect(durationToMs('30d')).toBe(30 * 24 * 60 * 60 * 1000);
+      expect(durationToMs('12h')).toBe(12 * 60 * 60 * 1000);
+      expect(durationToMs('15m')).toBe(15 * 60 * 1000);
+    });
+
+    test('should treat numbers as seconds', () => {
+      expect(durationToMs(3600)).toBe(3600000);
+    });
+
+    test('should reject unknown formats', () => {
+      expect(() => durationToMs('soon')).toThrow('Invalid duration');
+    });
+  });
+
   describe('generateSessionToken', () => {
     test('should generate a secure token', () => {
       const token = generateSessionToken();
@@ -25,8 +25,30 @@ afterAll(async () => {
   await new Promise(resolve => setTimeout(resolve, 500));
 });
 
+// The app is loaded on first use so unit tests don't start it
+const api = () => require('supertest')(require('../src/index').app);
+
 // Global test utilities
 global.testHelpers = {
+  /**
+   * Sign in a seeded user and return their access token
+   */
+  async login(email, password = 'password123') {
+    const res = await api()
+      .post('/api/v1/auth/login')
+      .send({ email, password });
+    return res.body.data.token;
+  },
+
+  /**
+   * Start an API request signed with an access token,
+   * e.g. as(token, 'get', '/influencers')
+   */
+  as(token, method, path) {
+    return api()[method](`/api/v1${path}`)
+      .set('Authorization', `Bearer ${token}`);
+  },
+
   /**
    * Generate random test data
    */
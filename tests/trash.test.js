@@ -0,0 +1,139 @@
+/**
+ * Trash Tests
+ * Tests for soft-deleting influencers, campaigns and data models, leaving
+ * them out of lists and analytics, restoring them, and the scheduled purge
+ */
+
+const database = require('../src/database');
+const trash = require('../src/services/trash');
+
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+
+describe('Trash', () => {
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  const createModel = async () => {
+    const model = await as(adminToken, 'post', '/models')
+      .send({ name: 'Weekly Reach', source: 'custom', schema: { fields: [{ name: 'reach', type: 'number' }] } });
+    await as(adminToken, 'post', `/models/${model.body.data.id}/data`).send({ data: { reach: 1200 } });
+    return model.body.data.id;
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  test('should move deleted influencers to the trash and leave them out everywhere else', async () => {
+    const deleted = await as(adminToken, 'delete', `/influencers/${INFLUENCER_ID}`);
+    expect(deleted.status).toBe(200);
+    expect(deleted.body.data.id).toBe(INFLUENCER_ID);
+    expect(new Date(deleted.body.data.purge_at) - new Date(deleted.body.data.deleted_at)).toBe(30 * 24 * 60 * 60 * 1000);
+
+    const list = await as(userToken, 'get', '/influencers');
+    expect(list.body.data.pagination.total).toBe(0);
+
+    const found = await as(userToken, 'get', `/influencers/${INFLUENCER_ID}`);
+    expect(found.status).toBe(404);
+
+    const summary = await as(adminToken, 'get', '/analytics/summary');
+    expect(parseInt(summary.body.data.influencers)).toBe(0);
+
+    const campaign = await as(adminToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(campaign.body.data.influencers).toEqual([]);
+
+    const trashed = await as(userToken, 'get', '/influencers/trash');
+    expect(trashed.status).toBe(200);
+    expect(trashed.body.data.influencers).toHaveLength(1);
+    expect(trashed.body.data.influencers[0]).toMatchObject({ id: INFLUENCER_ID, deleted_by_name: 'Demo Admin' });
+    expect(trashed.body.data.influencers[0].purge_at).toBeTruthy();
+  });
+
+  test('should restore records as they were, with their campaign memberships and data', async () => {
+    await as(adminToken, 'delete', `/influencers/${INFLUENCER_ID}`);
+    const restored = await as(adminToken, 'post', `/influencers/${INFLUENCER_ID}/restore`);
+    expect(restored.status).toBe(200);
+    expect(restored.body.data.deleted_at).toBeNull();
+
+    const campaign = await as(adminToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(campaign.body.data.influencers.map(influencer => influencer.id)).toEqual([INFLUENCER_ID]);
+
+    await as(adminToken, 'delete', `/campaigns/${CAMPAIGN_ID}`);
+    expect((await as(adminToken, 'get', `/campaigns/${CAMPAIGN_ID}`)).status).toBe(404);
+    await as(adminToken, 'post', `/campaigns/${CAMPAIGN_ID}/restore`);
+    const back = await as(adminToken, 'get', `/campaigns/${CAMPAIGN_ID}`);
+    expect(back.body.data.influencers).toHaveLength(1);
+
+    const modelId = await createModel();
+    await as(adminToken, 'delete', `/models/${modelId}`);
+    const sameName = await as(adminToken, 'post', '/models').send({ name: 'Weekly Reach', source: 'custom', schema: {} });
+    expect(sameName.status).toBe(409);
+    expect(sameName.body.error.message).toBe('A model with this name is in the trash. Restore it instead');
+
+    await as(adminToken, 'post', `/models/${modelId}/restore`);
+    const data = await as(adminToken, 'get', `/models/${modelId}/data`);
+    expect(data.status).toBe(200);
+    expect(data.body.data.pagination.total).toBe(1);
+
+    const entries = await as(adminToken, 'get', '/audit?action=restore');
+    expect(entries.body.data.entries).toHaveLength(3);
+
+    const again = await as(adminToken, 'post', `/models/${modelId}/restore`);
+    expect(again.status).toBe(404);
+  });
+
+  test('should keep the trash within the records a user may access and delete', async () => {
+    const created = await as(adminToken, 'post', '/influencers')
+      .send({ name: 'Admin Creator', username: 'admincreator', platform: 'tiktok' });
+    await as(adminToken, 'delete', `/influencers/${created.body.data.id}`);
+
+    const trashed = await as(userToken, 'get', '/influencers/trash');
+    expect(trashed.body.data.influencers).toEqual([]);
+
+    await as(adminToken, 'delete', `/influencers/${INFLUENCER_ID}`);
+    const denied = await as(userToken, 'post', `/influencers/${INFLUENCER_ID}/restore`);
+    expect(denied.status).toBe(403);
+
+    const duplicate = await as(adminToken, 'post', '/influencers')
+      .send({ name: 'Admin Creator', username: 'admincreator', platform: 'tiktok' });
+    expect(duplicate.status).toBe(409);
+    expect(duplicate.body.error.message).toBe('Influencer with this username and platform is in the trash. Restore it instead');
+  });
+
+  test('should purge records that have been in the trash past the retention period', async () => {
+    const modelId = await createModel();
+    await as(adminToken, 'delete', `/models/${modelId}`);
+    await as(adminToken, 'delete', `/campaigns/${CAMPAIGN_ID}`);
+    await database.query(
+      `UPDATE campaigns SET deleted_at = NOW() - INTERVAL '31 days' WHERE id = $1`,
+      [CAMPAIGN_ID]
+    );
+
+    expect(await trash.purgeExpired()).toBe(1);
+    const campaigns = await as(adminToken, 'get', '/campaigns/trash');
+    expect(campaigns.body.data.campaigns).toEqual([]);
+    const restore = await as(adminToken, 'post', `/campaigns/${CAMPAIGN_ID}/restore`);
+    expect(restore.status).toBe(404);
+
+    const participations = await database.query('SELECT id FROM campaign_influencers WHERE campaign_id = $1', [CAMPAIGN_ID]);
+    expect(participations.rows).toEqual([]);
+
+    const models = await as(adminToken, 'get', '/models/trash');
+    expect(models.body.data.models.map(model => model.id)).toEqual([modelId]);
+
+    expect(await trash.purgeExpired({ retentionDays: 0 })).toBe(1);
+    const data = await database.query('SELECT id FROM model_data WHERE model_id = $1', [modelId]);
+    expect(data.rows).toEqual([]);
+
+    const entries = await as(adminToken, 'get', '/audit?action=purge');
+    expect(entries.body.data.entries.map(entry => entry.resource_type).sort()).toEqual(['campaign', 'data_model']);
+    expect(entries.body.data.entries[0].actor_id).toBeNull();
+  });
+});
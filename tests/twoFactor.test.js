@@ -0,0 +1,213 @@
+/**
+ * Two-Factor Authentication Tests
+ * Tests for TOTP codes, enrollment, the login challenge, recovery codes,
+ * lockout after repeated wrong codes and roles that require 2FA
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const config = require('../src/config');
+const counterStore = require('../src/services/counterStore');
+const emailService = require('../src/services/email');
+const jobQueue = require('../src/services/jobQueue');
+const roles = require('../src/services/roles');
+const twoFactor = require('../src/services/twoFactor');
+
+// Code for the current 30 second step, or one either side of it
+const codeFor = (secret, offset = 0) => twoFactor.generateTotp(secret, Math.floor(Date.now() / 30000) + offset);
+
+describe('TOTP', () => {
+  // RFC 6238 test secret "12345678901234567890"
+  const secret = twoFactor.base32Encode(Buffer.from('12345678901234567890'));
+
+  test('should match the RFC 6238 test vectors', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(twoFactor.generateTotp(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(twoFactor.generateTotp(secret, Math.floor(1111111109 / 30))).toBe('081804');
+  });
+
+  test('should accept codes within the drift window only', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    expect(twoFactor.findTotpStep(secret, twoFactor.generateTotp(secret, step + 1), now)).toBe(step + 1);
+    expect(twoFactor.findTotpStep(secret, twoFactor.generateTotp(secret, step + 2), now)).toBeNull();
+    expect(twoFactor.findTotpStep(secret, 'abcdef', now)).toBeNull();
+  });
+
+  test('should round-trip base32 secrets', () => {
+    const bytes = Buffer.from('a1b2c3d4e5f60718293a', 'hex');
+    expect(twoFactor.base32Decode(twoFactor.base32Encode(bytes))).toEqual(bytes);
+  });
+});
+
+describe('Two-Factor Authentication', () => {
+  const settings = config.loginProtection;
+  const originalDelay = { ...settings.delay };
+  let userToken;
+
+  const { as } = global.testHelpers;
+
+  const login = async (email = 'user@example.com') => {
+    const res = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email, password: 'password123' });
+    return res.body.data;
+  };
+
+  const answer = (body) => request(app).post('/api/v1/auth/login/2fa').send(body);
+
+  // Enroll the user, returning the secret and recovery codes
+  const enroll = async (token) => {
+    const setup = await as(token, 'post', '/auth/2fa/setup');
+    const enabled = await as(token, 'post', '/auth/2fa/enable').send({ code: codeFor(setup.body.data.secret) });
+    return { secret: setup.body.data.secret, recoveryCodes: enabled.body.data.recovery_codes };
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    await counterStore.getStore().clear();
+    await jobQueue.clear();
+    roles.clearCache();
+
+    // Keep the progressive delay out of the way
+    Object.assign(settings.delay, { base_ms: 1, max_ms: 5 });
+    userToken = (await login()).token;
+  });
+
+  afterEach(() => {
+    Object.assign(settings.delay, originalDelay);
+    jest.restoreAllMocks();
+  });
+
+  test('should enroll and then require a code at login', async () => {
+    const setup = await as(userToken, 'post', '/auth/2fa/setup');
+    expect(setup.status).toBe(200);
+    expect(setup.body.data.otpauth_url).toMatch(/^otpauth:\/\/totp\/Influencerium:user%40example\.com\?secret=[A-Z2-7]+/);
+
+    const wrong = await as(userToken, 'post', '/auth/2fa/enable').send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+
+    const enabled = await as(userToken, 'post', '/auth/2fa/enable').send({ code: codeFor(setup.body.data.secret) });
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.data.recovery_codes).toHaveLength(10);
+
+    const first = await login();
+    expect(first).toMatchObject({ mfa_required: true, methods: ['totp', 'recovery_code'] });
+    expect(first.token).toBeUndefined();
+
+    const code = codeFor(setup.body.data.secret, 1);
+    const done = await answer({ challenge_token: first.challenge_token, code });
+    expect(done.status).toBe(200);
+    expect(done.body.data.session.mfa_verified).toBe(true);
+
+    const session = await as(done.body.data.token, 'get', `/auth/sessions/${done.body.data.session.id}`);
+    expect(session.body.data).toMatchObject({ mfa_verified: true, mfa_method: 'totp' });
+
+    // A code only works once, and a challenge only once
+    const second = await login();
+    const replay = await answer({ challenge_token: second.challenge_token, code });
+    expect(replay.status).toBe(401);
+    const reused = await answer({ challenge_token: first.challenge_token, recovery_code: enabled.body.data.recovery_codes[0] });
+    expect(reused.status).toBe(401);
+    expect(reused.body.error.message).toBe('Invalid or expired challenge. Sign in again');
+  });
+
+  test('should accept each recovery code once and limit attempts', async () => {
+    const { recoveryCodes } = await enroll(userToken);
+
+    const first = await login();
+    const done = await answer({ challenge_token: first.challenge_token, recovery_code: recoveryCodes[0].toUpperCase() });
+    expect(done.status).toBe(200);
+    expect(done.body.data.session.mfa_verified).toBe(true);
+
+    const status = await as(done.body.data.token, 'get', '/auth/2fa');
+    expect(status.body.data).toMatchObject({ enabled: true, recovery_codes_remaining: 9, required: false });
+
+    const second = await login();
+    const reused = await answer({ challenge_token: second.challenge_token, recovery_code: recoveryCodes[0] });
+    expect(reused.status).toBe(401);
+
+    for (let i = 0; i < 4; i++) {
+      await answer({ challenge_token: second.challenge_token, code: '000000' });
+    }
+    const locked = await answer({ challenge_token: second.challenge_token, recovery_code: recoveryCodes[1] });
+    expect(locked.status).toBe(401);
+    expect(locked.body.error.message).toBe('Too many attempts. Sign in again');
+  });
+
+  test('should lock the account after wrong codes across fresh challenges', async () => {
+    const { secret } = await enroll(userToken);
+    const lockedEmail = jest.spyOn(emailService, 'sendAccountLockedEmail').mockResolvedValue({ success: true });
+
+    // Each sign-in is a new challenge, and the right password doesn't reset the count
+    for (let i = 0; i < settings.account.max_failures; i++) {
+      const { challenge_token } = await login();
+      const wrong = await answer({ challenge_token, code: '000000' });
+      expect(wrong.status).toBe(401);
+    }
+
+    const blocked = await request(app)
+      .post('/api/v1/auth/login')
+      .send({ email: 'user@example.com', password: 'password123' });
+    expect(blocked.status).toBe(429);
+
+    const { rows } = await database.query(
+      'SELECT reason FROM auth_attempts WHERE email = $1 AND success = false ORDER BY created_at ASC',
+      ['user@example.com']
+    );
+    expect(rows.map(row => row.reason)).toEqual([...Array(settings.account.max_failures).fill('invalid_code'), 'locked']);
+
+    await jobQueue.drain();
+    expect(lockedEmail).toHaveBeenCalledTimes(1);
+
+    // A challenge issued before the lock can't be used to keep guessing
+    await counterStore.getStore().clear();
+    const { challenge_token } = await login();
+    for (let i = 0; i < settings.account.max_failures - 1; i++) {
+      await answer({ challenge_token, code: '000000' });
+    }
+    const fresh = await login();
+    await answer({ challenge_token: fresh.challenge_token, code: '000000' });
+    const locked = await answer({ challenge_token: fresh.challenge_token, code: codeFor(secret) });
+    expect(locked.status).toBe(429);
+  });
+
+  test('should disable 2FA and replace recovery codes with a valid code', async () => {
+    const { secret, recoveryCodes } = await enroll(userToken);
+
+    const replaced = await as(userToken, 'post', '/auth/2fa/recovery-codes').send({ code: codeFor(secret, 1) });
+    expect(replaced.status).toBe(200);
+    expect(replaced.body.data.recovery_codes).not.toContain(recoveryCodes[0]);
+
+    const disabled = await as(userToken, 'post', '/auth/2fa/disable')
+      .send({ recovery_code: replaced.body.data.recovery_codes[0] });
+    expect(disabled.status).toBe(200);
+
+    const plain = await login();
+    expect(plain.token).toBeDefined();
+  });
+
+  test('should hold users of a role that requires 2FA to enrollment', async () => {
+    const adminToken = (await login('admin@example.com')).token;
+    const required = await as(adminToken, 'put', '/roles/user').send({ require_mfa: true });
+    expect(required.status).toBe(200);
+    expect(required.body.data.require_mfa).toBe(true);
+
+    const signedIn = await login();
+    expect(signedIn.mfa_setup_required).toBe(true);
+
+    const blocked = await as(signedIn.token, 'get', '/influencers');
+    expect(blocked.status).toBe(403);
+    expect((await as(signedIn.token, 'get', '/auth/me')).status).toBe(200);
+
+    const { recoveryCodes } = await enroll(signedIn.token);
+    const allowed = await as(signedIn.token, 'get', '/influencers');
+    expect(allowed.status).toBe(200);
+
+    const disable = await as(signedIn.token, 'post', '/auth/2fa/disable').send({ recovery_code: recoveryCodes[0] });
+    expect(disable.status).toBe(409);
+  });
+});
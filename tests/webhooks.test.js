@@ -0,0 +1,230 @@
+/**
+ * Webhook Tests
+ * Tests subscriptions, signed deliveries to a local receiver, event filters,
+ * retries with backoff, the delivery log and redelivery, and that receivers
+ * on private addresses are refused
+ */
+
+const crypto = require('crypto');
+const database = require('../src/database');
+const config = require('../src/config');
+const webhooks = require('../src/services/webhooks');
+const { isPrivateAddress } = require('../src/utils/network');
+const { startMockWebhookReceiver } = require('./mockWebhookReceiver');
+
+const WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+const INFLUENCER_ID = '00000000-0000-4000-8000-000000000101';
+const CAMPAIGN_ID = '00000000-0000-4000-8000-000000000201';
+
+describe('Webhooks', () => {
+  let receiver;
+  let adminToken;
+  let userToken;
+
+  const { as, login } = global.testHelpers;
+
+  const subscribe = async (body) => {
+    const res = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+      .send({ url: receiver.url, ...body });
+    return res.body.data;
+  };
+
+  // Wait until every delivery of a webhook has had its attempt recorded
+  const settledDeliveries = async (webhookId, count) => {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+      const res = await as(adminToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks/${webhookId}/deliveries`);
+      const { deliveries } = res.body.data;
+      if (deliveries.length >= count && deliveries.every(delivery => delivery.attempts > 0)) {
+        return deliveries;
+      }
+      if (Date.now() > deadline) {
+        throw new Error('Webhook deliveries did not settle');
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  beforeAll(async () => {
+    receiver = await startMockWebhookReceiver();
+    config.webhooks.allowed_hosts = ['127.0.0.1'];
+  });
+
+  afterAll(async () => {
+    config.webhooks.allowed_hosts = [];
+    await receiver.close();
+  });
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+    receiver.reset();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+  });
+
+  test('should create a webhook and show its secret only once', async () => {
+    const created = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+      .send({ url: receiver.url, events: ['campaign.status_changed'], description: 'CRM' });
+    expect(created.status).toBe(201);
+    expect(created.body.data.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+    expect(created.body.data.events).toEqual(['campaign.status_changed']);
+
+    const fetched = await as(adminToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks/${created.body.data.id}`);
+    expect(fetched.status).toBe(200);
+    expect(fetched.body.data.secret).toBeUndefined();
+
+    const invalid = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+      .send({ url: 'ftp://example.com', events: ['campaign.created'] });
+    expect(invalid.status).toBe(400);
+
+    const unknownEvent = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+      .send({ url: receiver.url, events: ['campaign.exploded'] });
+    expect(unknownEvent.status).toBe(400);
+  });
+
+  test('should refuse receivers on loopback, private and link-local addresses', async () => {
+    const webhook = await subscribe({ events: ['campaign.status_changed'] });
+    config.webhooks.allowed_hosts = [];
+
+    try {
+      for (const url of [
+        receiver.url,
+        'http://localhost:8080/hooks',
+        'http://169.254.169.254/latest/meta-data',
+        'http://10.0.0.5/hooks',
+        'http://[::1]/hooks',
+        'http://[::ffff:127.0.0.1]/hooks'
+      ]) {
+        const res = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+          .send({ url, events: ['campaign.created'] });
+        expect([url, res.status]).toEqual([url, 400]);
+        expect(res.body.error.message).toMatch(/^Webhook URL is not allowed: .+ resolves to a private address$/);
+      }
+
+      const moved = await as(adminToken, 'put', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}`)
+        .send({ url: 'http://192.168.1.1/hooks' });
+      expect(moved.status).toBe(400);
+
+      // A receiver subscribed earlier is checked again before every attempt
+      await as(adminToken, 'post', `/campaigns/${CAMPAIGN_ID}/status`).send({ status: 'paused' });
+      const [logged] = await settledDeliveries(webhook.id, 1);
+      expect(logged).toMatchObject({ status: 'pending', response_status: null });
+      expect(logged.error).toMatch(/resolves to a private address$/);
+      expect(receiver.requests).toHaveLength(0);
+    } finally {
+      config.webhooks.allowed_hosts = ['127.0.0.1'];
+    }
+
+    expect(isPrivateAddress('100.64.1.1')).toBe(true);
+    expect(isPrivateAddress('fd12:3456::1')).toBe(true);
+    expect(isPrivateAddress('fe80::1')).toBe(true);
+    expect(isPrivateAddress('not-an-ip')).toBe(true);
+    expect(isPrivateAddress('93.184.216.34')).toBe(false);
+    expect(isPrivateAddress('2606:4700::1111')).toBe(false);
+  });
+
+  test('should only let workspace admins manage webhooks', async () => {
+    const list = await as(userToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks`);
+    expect(list.status).toBe(403);
+
+    const create = await as(userToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks`)
+      .send({ url: receiver.url, events: ['campaign.created'] });
+    expect(create.status).toBe(403);
+  });
+
+  test('should send signed deliveries for subscribed events only', async () => {
+    const webhook = await subscribe({ events: ['campaign.status_changed', 'campaign.influencer_added'] });
+
+    await as(adminToken, 'put', `/influencers/${INFLUENCER_ID}`).send({ notes: 'Not subscribed' });
+    const status = await as(adminToken, 'post', `/campaigns/${CAMPAIGN_ID}/status`).send({ status: 'paused' });
+    expect(status.status).toBe(200);
+
+    const [delivery] = await receiver.waitFor(1);
+    expect(delivery.json).toMatchObject({
+      event: 'campaign.status_changed',
+      workspace_id: WORKSPACE_ID,
+      data: { from: 'active', to: 'paused', campaign: { id: CAMPAIGN_ID } }
+    });
+    expect(delivery.headers['x-webhook-event']).toBe('campaign.status_changed');
+    expect(delivery.headers['x-webhook-id']).toBe(delivery.json.id);
+    expect(delivery.headers['x-webhook-delivery']).toBeTruthy();
+
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+    expect(delivery.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+
+    const [logged] = await settledDeliveries(webhook.id, 1);
+    expect(logged).toMatchObject({ event: 'campaign.status_changed', status: 'succeeded', attempts: 1, response_status: 200 });
+    expect(logged.response_time_ms).toBeGreaterThanOrEqual(0);
+    expect(logged.response_body).toBeUndefined();
+    expect(receiver.requests).toHaveLength(1);
+  });
+
+  test('should retry failed deliveries with backoff until they succeed or run out of attempts', async () => {
+    const webhook = await subscribe({ events: ['model.data_added'] });
+    const model = await as(adminToken, 'post', '/models')
+      .send({ name: 'Weekly Reach', source: 'custom', schema: {} });
+
+    receiver.respondWith(500);
+    await as(adminToken, 'post', `/models/${model.body.data.id}/data`).send({ data: { reach: 1200 } });
+    const [failed] = await settledDeliveries(webhook.id, 1);
+    expect(failed).toMatchObject({ status: 'pending', attempts: 1, response_status: 500, error: 'Receiver responded with HTTP 500' });
+    const delay = new Date(failed.next_attempt_at) - new Date(failed.last_attempt_at);
+    expect(Math.abs(delay - config.webhooks.retry_base_delay)).toBeLessThan(2000);
+
+    // Not due yet
+    expect(await webhooks.processDueDeliveries()).toBe(0);
+
+    await database.query('UPDATE webhook_deliveries SET next_attempt_at = $1 WHERE id = $2', [new Date(Date.now() - 1000), failed.id]);
+    expect(await webhooks.processDueDeliveries()).toBe(1);
+    const retried = await webhooks.getDelivery(webhook.id, failed.id);
+    expect(retried.attempts).toBe(2);
+    expect(new Date(retried.next_attempt_at) - new Date(retried.last_attempt_at)).toBeGreaterThan(config.webhooks.retry_base_delay * 1.5);
+
+    await database.query(
+      'UPDATE webhook_deliveries SET attempts = $1, next_attempt_at = $2 WHERE id = $3',
+      [config.webhooks.max_attempts - 1, new Date(Date.now() - 1000), failed.id]
+    );
+    await webhooks.processDueDeliveries();
+    const exhausted = await webhooks.getDelivery(webhook.id, failed.id);
+    expect(exhausted.status).toBe('failed');
+    expect(exhausted.next_attempt_at).toBeNull();
+
+    receiver.respondWith(200);
+    const redelivered = await as(adminToken, 'post', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}/deliveries/${failed.id}/redeliver`);
+    expect(redelivered.status).toBe(201);
+    expect(redelivered.body.data).toMatchObject({ status: 'succeeded', redelivery_of: failed.id });
+
+    const last = receiver.requests[receiver.requests.length - 1];
+    expect(last.json.id).toBe(failed.payload.id);
+    expect(last.json.data.data_point.data).toEqual({ reach: 1200 });
+  });
+
+  test('should filter the delivery log and stop sending when paused or deleted', async () => {
+    const webhook = await subscribe({ events: ['*'] });
+
+    await as(adminToken, 'post', '/influencers')
+      .send({ name: 'Hook Creator', username: 'hookcreator', platform: 'tiktok' });
+    await as(adminToken, 'delete', `/campaigns/${CAMPAIGN_ID}/influencers/${INFLUENCER_ID}`);
+    await settledDeliveries(webhook.id, 2);
+
+    const filtered = await as(adminToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}/deliveries?event=influencer.created`);
+    expect(filtered.body.data.deliveries).toHaveLength(1);
+    expect(filtered.body.data.deliveries[0].payload.data.username).toBe('hookcreator');
+    expect(filtered.body.data.pagination.total).toBe(1);
+
+    const paused = await as(adminToken, 'put', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}`).send({ is_active: false });
+    expect(paused.body.data.is_active).toBe(false);
+    await as(adminToken, 'put', `/campaigns/${CAMPAIGN_ID}`).send({ notes: 'Quiet' });
+    const afterPause = await as(adminToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}/deliveries`);
+    expect(afterPause.body.data.pagination.total).toBe(2);
+
+    const deleted = await as(adminToken, 'delete', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}`);
+    expect(deleted.status).toBe(200);
+    const gone = await as(adminToken, 'get', `/workspaces/${WORKSPACE_ID}/webhooks/${webhook.id}/deliveries`);
+    expect(gone.status).toBe(404);
+    expect(receiver.requests.map(req => req.json.event).sort()).toEqual(['campaign.influencer_removed', 'influencer.created']);
+  });
+});
@@ -0,0 +1,171 @@
+/**
+ * Workspace Tests
+ * Tests for workspace isolation, the active workspace header and claim,
+ * workspace roles and the invitation flow
+ */
+
+const request = require('supertest');
+const { app } = require('../src/index');
+const database = require('../src/database');
+const emailService = require('../src/services/email');
+const jobQueue = require('../src/services/jobQueue');
+
+const ADMIN_ID = '00000000-0000-4000-8000-000000000001';
+const USER_ID = '00000000-0000-4000-8000-000000000002';
+const WORKSPACE_ID = '00000000-0000-4000-8000-000000000301';
+
+describe('Workspaces', () => {
+  let adminToken;
+  let userToken;
+  let brandId;
+
+  const as = (token, method, path, workspaceId) => {
+    const req = global.testHelpers.as(token, method, path);
+    return workspaceId ? req.set('X-Workspace-Id', workspaceId) : req;
+  };
+
+  const { login } = global.testHelpers;
+
+  // Invite someone and return the token that was emailed to them
+  const invite = async (email, role) => {
+    const send = jest.spyOn(emailService, 'sendWorkspaceInvitationEmail').mockResolvedValue({ success: true });
+    const res = await as(adminToken, 'post', `/workspaces/${brandId}/invitations`).send({ email, role });
+    await jobQueue.drain();
+    const token = send.mock.calls.length > 0 ? send.mock.calls[0][0].inviteToken : null;
+    send.mockRestore();
+    return { res, token };
+  };
+
+  beforeEach(async () => {
+    await database.resetDatabase();
+    await database.initMockData();
+
+    adminToken = await login('admin@example.com');
+    userToken = await login('user@example.com');
+
+    const brand = await as(adminToken, 'post', '/workspaces').send({ name: 'Brand B' });
+    brandId = brand.body.data.id;
+  });
+
+  test('should keep records and analytics inside their workspace', async () => {
+    const created = await as(adminToken, 'post', '/influencers', brandId)
+      .send({ name: 'Brand Creator', username: 'democreator', platform: 'instagram' });
+    // Usernames only clash within a workspace
+    expect(created.status).toBe(201);
+
+    const brandList = await as(adminToken, 'get', '/influencers', brandId);
+    expect(brandList.body.data.influencers.map(influencer => influencer.name)).toEqual(['Brand Creator']);
+
+    const defaultList = await as(adminToken, 'get', '/influencers');
+    expect(defaultList.body.data.influencers.map(influencer => influencer.name)).toEqual(['Demo Creator']);
+
+    const crossLookup = await as(adminToken, 'get', `/influencers/${created.body.data.id}`, WORKSPACE_ID);
+    expect(crossLookup.status).toBe(404);
+
+    const summary = await as(adminToken, 'get', '/analytics/summary', brandId);
+    expect(summary.body.data).toMatchObject({ influencers: 1, campaigns: 0, users: 1 });
+  });
+
+  test('should select the workspace by header or token claim, members only', async () => {
+    const denied = await as(userToken, 'get', '/influencers', brandId);
+    expect(denied.status).toBe(403);
+
+    const hidden = await as(userToken, 'get', `/workspaces/${brandId}`);
+    expect(hidden.status).toBe(404);
+
+    const switched = await as(adminToken, 'post', `/workspaces/${brandId}/switch`);
+    const brandToken = switched.body.data.token;
+
+    const list = await as(brandToken, 'get', '/workspaces');
+    expect(list.body.data.find(workspace => workspace.active).id).toBe(brandId);
+
+    // The header still wins over the claim
+    const overridden = await as(brandToken, 'get', '/campaigns', WORKSPACE_ID);
+    expect(overridden.body.data.campaigns).toHaveLength(1);
+  });
+
+  test('should give new users a personal workspace', async () => {
+    const registered = await request(app)
+      .post('/api/v1/auth/register')
+      .send({ name: 'Solo Agent', email: 'solo@example.com', password: 'password123' });
+    expect(registered.body.data.workspace.role).toBe('owner');
+    await as(adminToken, 'put', `/users/${registered.body.data.user.id}/status`).send({ status: 'active' });
+
+    const token = registered.body.data.token;
+    const workspaces = await as(token, 'get', '/workspaces');
+    expect(workspaces.body.data).toMatchObject([{ name: "Solo Agent's Workspace", role: 'owner', active: true }]);
+
+    const influencers = await as(token, 'get', '/influencers');
+    expect(influencers.body.data.pagination.total).toBe(0);
+  });
+
+  test('should add invited users with the invited role', async () => {
+    const { res, token } = await invite('user@example.com', 'viewer');
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ email: 'user@example.com', role: 'viewer' });
+    expect(token).toBeTruthy();
+
+    const wrongUser = await as(adminToken, 'post', '/workspaces/invitations/accept').send({ token });
+    expect(wrongUser.status).toBe(403);
+
+    const accepted = await as(userToken, 'post', '/workspaces/invitations/accept').send({ token });
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data).toMatchObject({ id: brandId, role: 'viewer' });
+
+    const reused = await as(userToken, 'post', '/workspaces/invitations/accept').send({ token });
+    expect(reused.status).toBe(400);
+
+    // Viewers read but do not write, whatever their global role allows
+    const read = await as(userToken, 'get', '/influencers', brandId);
+    expect(read.status).toBe(200);
+    const write = await as(userToken, 'post', '/influencers', brandId)
+      .send({ name: 'Viewer Creator', platform: 'tiktok' });
+    expect(write.status).toBe(403);
+
+    const invitations = await as(adminToken, 'get', `/workspaces/${brandId}/invitations`);
+    expect(invitations.body.data).toEqual([]);
+  });
+
+  test('should let workspace admins manage records and members, and keep an owner', async () => {
+    await as(adminToken, 'post', `/workspaces/${brandId}/members`).send({ user_id: USER_ID, role: 'admin' });
+    const created = await as(adminToken, 'post', '/influencers', brandId)
+      .send({ name: 'Owner Creator', platform: 'youtube' });
+
+    // Workspace admins reach every record in the workspace and may delete
+    const removed = await as(userToken, 'delete', `/influencers/${created.body.data.id}`, brandId);
+    expect(removed.status).toBe(200);
+
+    const grantOwner = await as(userToken, 'put', `/workspaces/${brandId}/members/${USER_ID}`).send({ role: 'owner' });
+    expect(grantOwner.status).toBe(403);
+
+    const leave = await as(adminToken, 'delete', `/workspaces/${brandId}/members/${ADMIN_ID}`);
+    expect(leave.status).toBe(409);
+
+    const members = await as(userToken, 'get', `/workspaces/${brandId}/members`);
+    expect(members.body.data.map(member => [member.user_id, member.role])).toEqual([
+      [ADMIN_ID, 'owner'],
+      [USER_ID, 'admin']
+    ]);
+  });
+
+  test('should drop shares when a member leaves and records when a workspace is deleted', async () => {
+    await as(adminToken, 'post', `/workspaces/${brandId}/members`).send({ user_id: USER_ID });
+    const created = await as(adminToken, 'post', '/influencers', brandId)
+      .send({ name: 'Shared Creator', platform: 'instagram' });
+    const influencerId = created.body.data.id;
+
+    await as(adminToken, 'post', `/influencers/${influencerId}/shares`, brandId).send({ user_id: USER_ID });
+    const shared = await as(userToken, 'get', `/influencers/${influencerId}`, brandId);
+    expect(shared.status).toBe(200);
+
+    const left = await as(userToken, 'delete', `/workspaces/${brandId}/members/${USER_ID}`);
+    expect(left.status).toBe(200);
+    const shares = await database.query('SELECT * FROM record_shares WHERE resource_id = $1', [influencerId]);
+    expect(shares.rows).toHaveLength(0);
+
+    const deleted = await as(adminToken, 'delete', `/workspaces/${brandId}`);
+    expect(deleted.status).toBe(200);
+    const influencers = await database.query('SELECT id FROM influencers WHERE id = $1', [influencerId]);
+    expect(influencers.rows).toHaveLength(0);
+  });
+});